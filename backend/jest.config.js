@@ -1,24 +1,10 @@
-module.exports = {
+const shared = {
   // Test environment
   testEnvironment: 'node',
   
   // Root directory
   rootDir: '.',
   
-  // Test directories
-  testMatch: [
-    '<rootDir>/tests/**/*.test.js',
-    '<rootDir>/tests/**/*.spec.js',
-    '<rootDir>/src/**/__tests__/**/*.js',
-    '<rootDir>/src/**/*.test.js',
-    '<rootDir>/src/**/*.spec.js'
-  ],
-  
-  // Setup files
-  setupFilesAfterEnv: [
-    '<rootDir>/tests/setup.js'
-  ],
-  
   // Module paths
   modulePaths: [
     '<rootDir>/src'
@@ -51,7 +37,7 @@ module.exports = {
   ],
   
   // Module name mapping
-  moduleNameMapping: {
+  moduleNameMapper: {
     '^@/(.*)$': '<rootDir>/src/$1',
     '^@config/(.*)$': '<rootDir>/src/config/$1',
     '^@controllers/(.*)$': '<rootDir>/src/controllers/$1',
@@ -63,6 +49,44 @@ module.exports = {
     '^@tests/(.*)$': '<rootDir>/tests/$1'
   },
   
+  // Clear mocks
+  clearMocks: true,
+  
+  // Restore mocks
+  restoreMocks: true,
+  
+  // Reset mocks
+  resetMocks: true,
+  
+  // Error on deprecated
+  errorOnDeprecated: true,
+  
+  // Test environment options
+  testEnvironmentOptions: {
+    url: 'http://localhost'
+  },
+  
+  // Global variables
+  globals: {
+    'process.env.NODE_ENV': 'test',
+    'process.env.JWT_SECRET': 'test-jwt-secret',
+    'process.env.MONGODB_URI': 'mongodb://localhost:27017/iiot_platform_test',
+    'process.env.REDIS_URL': 'redis://localhost:6379/1'
+  },
+  
+  // Transform ignore patterns
+  transformIgnorePatterns: [
+    '/node_modules/(?!(.*\\.mjs$))'
+  ],
+  
+  // Snapshot serializers
+  snapshotSerializers: [],
+  
+  // Test runner
+  testRunner: 'jest-circus/runner'
+};
+
+module.exports = {
   // Coverage configuration
   collectCoverage: false,
   collectCoverageFrom: [
@@ -125,19 +149,6 @@ module.exports = {
   // Verbose output
   verbose: true,
   
-  // Clear mocks
-  clearMocks: true,
-  
-  // Restore mocks
-  restoreMocks: true,
-  
-  // Reset mocks
-  resetMocks: true,
-  
-  // Global setup and teardown
-  globalSetup: '<rootDir>/tests/globalSetup.js',
-  globalTeardown: '<rootDir>/tests/globalTeardown.js',
-  
   // Watch plugins
   watchPlugins: [
     'jest-watch-typeahead/filename',
@@ -161,9 +172,6 @@ module.exports = {
     ]
   ],
   
-  // Error on deprecated
-  errorOnDeprecated: true,
-  
   // Notify mode
   notify: false,
   
@@ -185,28 +193,40 @@ module.exports = {
   // Cache directory
   cacheDirectory: '<rootDir>/.jest-cache',
   
-  // Preset
-  preset: null,
-  
-  // Projects (for monorepo)
-  projects: undefined,
-  
-  // Test environment options
-  testEnvironmentOptions: {
-    url: 'http://localhost'
-  },
-  
-  // Global variables
-  globals: {
-    'process.env.NODE_ENV': 'test',
-    'process.env.JWT_SECRET': 'test-jwt-secret',
-    'process.env.MONGODB_URI': 'mongodb://localhost:27017/iiot_platform_test',
-    'process.env.REDIS_URL': 'redis://localhost:6379/1'
-  },
-  
-  // Transform ignore patterns
-  transformIgnorePatterns: [
-    '/node_modules/(?!(.*\\.mjs$))'
+  // Unit tests run without databases; integration tests get MongoDB and Redis
+  projects: [
+    {
+      ...shared,
+      displayName: 'unit',
+      testMatch: [
+        '<rootDir>/tests/**/*.test.js',
+        '<rootDir>/tests/**/*.spec.js'
+      ],
+      testPathIgnorePatterns: [
+        ...shared.testPathIgnorePatterns,
+        '<rootDir>/tests/integration/'
+      ]
+    },
+    {
+      ...shared,
+      displayName: 'integration',
+      testMatch: [
+        '<rootDir>/tests/integration/**/*.test.js',
+        '<rootDir>/tests/integration/**/*.spec.js',
+        '<rootDir>/src/**/__tests__/**/*.js',
+        '<rootDir>/src/**/*.test.js',
+        '<rootDir>/src/**/*.spec.js'
+      ],
+      
+      // Setup files
+      setupFilesAfterEnv: [
+        '<rootDir>/tests/setup.js'
+      ],
+      
+      // Global setup and teardown
+      globalSetup: '<rootDir>/tests/globalSetup.js',
+      globalTeardown: '<rootDir>/tests/globalTeardown.js'
+    }
   ],
   
   // Watch ignore patterns
@@ -220,21 +240,12 @@ module.exports = {
     '/backups/'
   ],
   
-  // Snapshot serializers
-  snapshotSerializers: [],
-  
   // Test results processor
   testResultsProcessor: undefined,
   
-  // Test runner
-  testRunner: 'jest-circus/runner',
-  
   // Test sequence
   testSequencer: '@jest/test-sequencer',
   
-  // Unmocked module path patterns
-  unmockedModulePathPatterns: undefined,
-  
   // Use stderr
   useStderr: false,
   
@@ -1,6 +1,18 @@
 const mqtt = require('mqtt');
 const logger = require('../utils/logger');
 const { redisClient } = require('./redis');
+const ingestionService = require('../services/ingestionService');
+const storeForwardService = require('../services/storeForwardService');
+const sparkplugService = require('../services/sparkplugService');
+const topicMappingService = require('../services/topicMappingService');
+const deadLetterService = require('../services/deadLetterService');
+const livenessService = require('../services/livenessService');
+const commandService = require('../services/commandService');
+const { RejectedMessageError } = require('../utils/errors');
+
+// iiot/{device_id}/{type} messages published by devices
+const DEVICE_MESSAGE_TYPES = ['data', 'status', 'heartbeat', 'alerts', 'config', 'responses', 'lwt'];
+const REPORTED_STATUSES = ['online', 'offline', 'error', 'maintenance'];
 
 class MQTTClient {
   constructor() {
@@ -8,6 +20,15 @@ class MQTTClient {
     this.isConnected = false;
     this.io = null;
     this.subscriptions = new Set();
+    this.builtinTopics = new Set();
+    this.mappingFilters = new Map();
+
+    // Follow topic mapping changes made through the API
+    topicMappingService.on('change', (filters) => {
+      if (this.isConnected) {
+        this.syncMappingSubscriptions(filters);
+      }
+    });
   }
 
   async connect(socketIO) {
@@ -89,12 +110,22 @@ class MQTTClient {
       const topics = [
         'iiot/+/data',           // Device data: iiot/{device_id}/data
         'iiot/+/status',         // Device status: iiot/{device_id}/status
+        'iiot/+/heartbeat',      // Device heartbeat: iiot/{device_id}/heartbeat
         'iiot/+/alerts',         // Device alerts: iiot/{device_id}/alerts
         'iiot/+/config',         // Device config: iiot/{device_id}/config
+        'iiot/+/responses',      // Command responses: iiot/{device_id}/responses
+        'iiot/+/lwt',            // Device last will: iiot/{device_id}/lwt
         'iiot/system/+',         // System messages: iiot/system/{message_type}
         'iiot/broadcast/+',      // Broadcast messages: iiot/broadcast/{message_type}
       ];
 
+      // Sparkplug B namespace: spBv1.0/{group_id}/{message_type}/{edge_node_id}/[{device_id}]
+      if (process.env.SPARKPLUG_ENABLED !== 'false') {
+        topics.push('spBv1.0/#');
+      }
+
+      this.builtinTopics = new Set(topics);
+
       for (const topic of topics) {
         this.client.subscribe(topic, { qos: 1 }, (error) => {
           if (error) {
@@ -105,120 +136,274 @@ class MQTTClient {
           }
         });
       }
+
+      // Topics declared by the configurable mappings
+      try {
+        await topicMappingService.load();
+      } catch (error) {
+        logger.warn(`Could not load topic mappings, using previously loaded rules: ${error.message}`);
+      }
+      this.mappingFilters.clear();
+      this.syncMappingSubscriptions(topicMappingService.getTopicFilters());
     } catch (error) {
       logger.error('Failed to subscribe to topics:', error);
     }
   }
 
-  async handleMessage(topic, message) {
-    try {
-      const messageStr = message.toString();
-      logger.debug(`MQTT message received on topic ${topic}: ${messageStr}`);
+  /**
+   * Bring mapping subscriptions in line with the active mapping rules
+   * @param {Array} filters - [{ filter, qos }]
+   */
+  syncMappingSubscriptions(filters) {
+    const wanted = new Map(
+      filters
+        .filter(({ filter }) => !this.builtinTopics.has(filter))
+        .map(({ filter, qos }) => [filter, qos])
+    );
+
+    for (const filter of this.mappingFilters.keys()) {
+      if (!wanted.has(filter)) {
+        this.mappingFilters.delete(filter);
+        this.client.unsubscribe(filter, (error) => {
+          if (error) {
+            logger.error(`Failed to unsubscribe from topic ${filter}:`, error);
+          } else {
+            this.subscriptions.delete(filter);
+            logger.info(`Unsubscribed from topic: ${filter}`);
+          }
+        });
+      }
+    }
 
-      // Parse message
-      let data;
-      try {
-        data = JSON.parse(messageStr);
-      } catch (parseError) {
-        logger.warn(`Invalid JSON message on topic ${topic}: ${messageStr}`);
-        return;
+    for (const [filter, qos] of wanted) {
+      if (this.mappingFilters.get(filter) === qos) {
+        continue;
       }
 
-      // Extract device ID from topic
-      const topicParts = topic.split('/');
-      const deviceId = topicParts[1];
-      const messageType = topicParts[2];
-
-      // Handle different message types
-      switch (messageType) {
-        case 'data':
-          await this.handleSensorData(deviceId, data);
-          break;
-        case 'status':
-          await this.handleDeviceStatus(deviceId, data);
-          break;
-        case 'alerts':
-          await this.handleDeviceAlert(deviceId, data);
-          break;
-        case 'config':
-          await this.handleDeviceConfig(deviceId, data);
-          break;
-        default:
-          if (topicParts[1] === 'system') {
-            await this.handleSystemMessage(topicParts[2], data);
-          } else if (topicParts[1] === 'broadcast') {
-            await this.handleBroadcastMessage(topicParts[2], data);
-          }
-          break;
+      this.mappingFilters.set(filter, qos);
+      this.client.subscribe(filter, { qos }, (error) => {
+        if (error) {
+          this.mappingFilters.delete(filter);
+          logger.error(`Failed to subscribe to mapped topic ${filter}:`, error);
+        } else {
+          this.subscriptions.add(filter);
+          logger.info(`Subscribed to mapped topic: ${filter}`);
+        }
+      });
+    }
+  }
+
+  async handleMessage(topic, message) {
+    try {
+      // Any message, even one that is rejected below, shows the device is alive
+      const liveness = this.livenessTarget(topic);
+      if (liveness) {
+        await livenessService.touch(liveness.deviceId, { revive: liveness.revive });
       }
+
+      await this.processMessage(topic, message);
     } catch (error) {
-      logger.error(`Error handling MQTT message on topic ${topic}:`, error);
+      if (error instanceof RejectedMessageError) {
+        await deadLetterService.record({
+          topic,
+          payload: error.payload !== null ? error.payload : message,
+          reason: error.reason,
+          error: error.message
+        });
+      } else {
+        // Kept for replay once the failing dependency is back
+        logger.error(`Error handling MQTT message on topic ${topic}:`, error);
+        await deadLetterService.record({ topic, payload: message, reason: 'processing_failed', error: error.message });
+      }
     }
   }
 
-  async handleSensorData(deviceId, data) {
+  /**
+   * Resolve the device a topic belongs to for liveness tracking
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} { deviceId, revive }
+   */
+  livenessTarget(topic) {
+    if (sparkplugService.isSparkplugTopic(topic)) {
+      return sparkplugService.livenessTarget(topic);
+    }
+
+    const mapped = topicMappingService.match(topic);
+    if (mapped) {
+      const deviceId = topicMappingService.resolveDeviceId(mapped);
+      return deviceId ? { deviceId, revive: true } : null;
+    }
+
+    const [prefix, deviceId, messageType] = topic.split('/');
+    if (prefix !== 'iiot' || !DEVICE_MESSAGE_TYPES.includes(messageType)) {
+      return null;
+    }
+
+    // A status report sets the status itself, a last will must not revive the device
+    return messageType === 'lwt' ? null : { deviceId, revive: messageType !== 'status' };
+  }
+
+  /**
+   * Route a message to its handler. Messages that cannot be ingested raise a
+   * RejectedMessageError; dead-letter replays call this directly.
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Raw payload
+   */
+  async processMessage(topic, message) {
+    // Sparkplug B payloads are protobuf, not JSON
+    if (sparkplugService.isSparkplugTopic(topic)) {
+      await sparkplugService.handleMessage(topic, message, this);
+      return;
+    }
+
+    // Configured topic mappings take precedence over the built-in iiot/ layout
+    const mapped = topicMappingService.match(topic);
+    if (mapped) {
+      await this.handleMappedMessage(topic, message, mapped);
+      return;
+    }
+
+    // Last will payloads are set by the device firmware and need not be JSON
+    const topicParts = topic.split('/');
+    if (topicParts[2] === 'lwt') {
+      await this.handleLastWill(topicParts[1], message);
+      return;
+    }
+
+    // A heartbeat carries nothing beyond its arrival, already recorded by the liveness check
+    if (topicParts[2] === 'heartbeat') {
+      return;
+    }
+
+    const messageStr = message.toString();
+    logger.debug(`MQTT message received on topic ${topic}: ${messageStr}`);
+
+    // Parse message
+    let data;
     try {
-      // Validate required fields
-      if (!data.sensors || !Array.isArray(data.sensors)) {
-        logger.warn(`Invalid sensor data format for device ${deviceId}`);
-        return;
-      }
+      data = JSON.parse(messageStr);
+    } catch (parseError) {
+      throw new RejectedMessageError('invalid_json', `Invalid JSON: ${parseError.message}`);
+    }
 
-      const timestamp = data.timestamp || new Date().toISOString();
-      
-      // Insert sensor data into database
-      for (const sensor of data.sensors) {
-        if (!sensor.sensor_id || sensor.value === undefined) {
-          logger.warn(`Invalid sensor data: ${JSON.stringify(sensor)}`);
-          continue;
+    // Extract device ID from topic
+    const deviceId = topicParts[1];
+    const messageType = topicParts[2];
+
+    // Handle different message types
+    switch (messageType) {
+      case 'data':
+        await this.handleSensorData(deviceId, data);
+        break;
+      case 'status':
+        await this.handleDeviceStatus(deviceId, data);
+        break;
+      case 'alerts':
+        await this.handleDeviceAlert(deviceId, data);
+        break;
+      case 'config':
+        await this.handleDeviceConfig(deviceId, data);
+        break;
+      case 'responses':
+        await commandService.handleResponse(deviceId, data);
+        break;
+      default:
+        if (topicParts[1] === 'system') {
+          await this.handleSystemMessage(topicParts[2], data);
+        } else if (topicParts[1] === 'broadcast') {
+          await this.handleBroadcastMessage(topicParts[2], data);
         }
+        break;
+    }
+  }
+
+  async handleMappedMessage(topic, message, mapped) {
+    let reading;
+    try {
+      reading = topicMappingService.extract(mapped, message);
+    } catch (error) {
+      throw new RejectedMessageError('mapping_failed', `Topic mapping ${mapped.rule.mapping._id}: ${error.message}`);
+    }
+
+    await ingestionService.ingest([reading]);
 
-        // TODO: Replace with InfluxDB write
-        // await query(`
-        //   INSERT INTO iiot.sensor_data (device_id, sensor_id, value, unit, timestamp, metadata)
-        //   VALUES ($1, $2, $3, $4, $5, $6)
-        // `, [
-        //   deviceId,
-        //   sensor.sensor_id,
-        //   sensor.value,
-        //   sensor.unit || null,
-        //   timestamp,
-        //   sensor.metadata || null
-        // ]);
+    if (this.io) {
+      this.io.to(`device-${reading.device_id}`).emit('sensor-data', {
+        device_id: reading.device_id,
+        sensors: [{ sensor_id: reading.sensor_id, value: reading.value, unit: reading.unit }],
+        timestamp: reading.timestamp || new Date().toISOString()
+      });
+    }
+
+    logger.debug(`Processed mapped message on ${topic} for sensor ${reading.sensor_id}`);
+  }
+
+  async handleSensorData(deviceId, data) {
+    // Validate required fields
+    if (!data.sensors || !Array.isArray(data.sensors)) {
+      throw new RejectedMessageError('invalid_format', `Sensor data for device ${deviceId} has no sensors array`);
+    }
+
+    const rejected = [];
+    const timestamp = data.timestamp || new Date().toISOString();
+    const readings = [];
+
+    for (const sensor of data.sensors) {
+      if (!sensor.sensor_id || ingestionService.numericValue(sensor.value) === null) {
+        rejected.push(sensor);
+        continue;
       }
 
-      // Cache latest data in Redis
-      await redisClient.hset(`device:${deviceId}:latest`, 'data', {
+      readings.push({
+        device_id: deviceId,
+        sensor_id: sensor.sensor_id,
+        value: sensor.value,
+        unit: sensor.unit || null,
+        timestamp: sensor.timestamp || timestamp
+      });
+    }
+
+    // Queue readings for batched InfluxDB writes
+    await ingestionService.ingest(readings);
+
+    // Cache latest data in Redis
+    await redisClient.hset(`device:${deviceId}:latest`, 'data', {
+      ...data,
+      timestamp,
+      received_at: new Date().toISOString()
+    });
+
+    // Emit to WebSocket clients
+    if (this.io) {
+      this.io.to(`device-${deviceId}`).emit('sensor-data', {
+        device_id: deviceId,
         ...data,
-        timestamp,
-        received_at: new Date().toISOString()
+        timestamp
       });
+    }
 
-      // Emit to WebSocket clients
-      if (this.io) {
-        this.io.to(`device-${deviceId}`).emit('sensor-data', {
-          device_id: deviceId,
-          ...data,
-          timestamp
-        });
-      }
+    logger.debug(`Processed sensor data for device ${deviceId}`);
 
-      logger.debug(`Processed sensor data for device ${deviceId}`);
-    } catch (error) {
-      logger.error(`Error processing sensor data for device ${deviceId}:`, error);
+    // Only the invalid entries are dead-lettered, the valid ones were ingested above
+    if (rejected.length > 0) {
+      throw new RejectedMessageError(
+        'invalid_reading',
+        `${rejected.length} sensor entries for device ${deviceId} lack sensor_id or a numeric value`,
+        { ...data, sensors: rejected }
+      );
     }
   }
 
   async handleDeviceStatus(deviceId, data) {
     try {
       const timestamp = new Date().toISOString();
-      
-      // TODO: Replace with MongoDB update
-      // await query(`
-      //   UPDATE iiot.devices 
-      //   SET status = $1, last_seen = $2, metadata = $3
-      //   WHERE id = $4
-      // `, [data.status || 'unknown', timestamp, data.metadata || null, deviceId]);
+
+      // Status changes are recorded and broadcast by the liveness monitor
+      if (REPORTED_STATUSES.includes(data.status)) {
+        await livenessService.setStatus(deviceId, data.status, data.reason || 'reported', 'device');
+      } else {
+        logger.warn(`Device ${deviceId} reported unknown status: ${data.status}`);
+      }
 
       // Cache status in Redis
       await redisClient.hset(`device:${deviceId}:latest`, 'status', {
@@ -226,21 +411,21 @@ class MQTTClient {
         timestamp
       });
 
-      // Emit to WebSocket clients
-      if (this.io) {
-        this.io.to(`device-${deviceId}`).emit('device-status', {
-          device_id: deviceId,
-          ...data,
-          timestamp
-        });
-      }
-
       logger.debug(`Updated status for device ${deviceId}: ${data.status}`);
     } catch (error) {
       logger.error(`Error updating device status for ${deviceId}:`, error);
     }
   }
 
+  async handleLastWill(deviceId, message) {
+    try {
+      await livenessService.setStatus(deviceId, 'offline', 'last_will', 'device');
+      logger.info(`Last will received from device ${deviceId}: ${message.toString()}`);
+    } catch (error) {
+      logger.error(`Error processing last will for device ${deviceId}:`, error);
+    }
+  }
+
   async handleDeviceAlert(deviceId, data) {
     try {
       const timestamp = new Date().toISOString();
@@ -288,14 +473,15 @@ class MQTTClient {
 
   async handleDeviceConfig(deviceId, data) {
     try {
-      // TODO: Replace with MongoDB update
-      // await query(`
-      //   UPDATE iiot.devices 
-      //   SET config = $1, updated_at = NOW()
-      //   WHERE id = $2
-      // `, [data, deviceId]);
-
-      logger.info(`Configuration updated for device ${deviceId}`);
+      // Kept apart from the server-side configuration, which only the API may change
+      await storeForwardService.writeMongo({
+        collection: 'devices',
+        type: 'updateOne',
+        filter: { _id: deviceId },
+        update: { $set: { reported_configuration: data, reported_configuration_at: new Date() } }
+      });
+
+      logger.info(`Configuration reported by device ${deviceId}`);
     } catch (error) {
       logger.error(`Error updating config for device ${deviceId}:`, error);
     }
@@ -217,6 +217,9 @@ const options = {
               type: 'object',
               description: 'Sensor configuration'
             },
+            virtual: {
+              $ref: '#/components/schemas/VirtualSensorDefinition'
+            },
             created_at: {
               type: 'string',
               format: 'date-time'
@@ -244,8 +247,18 @@ const options = {
             },
             value: {
               type: 'number',
+              description: 'Calibrated value',
               example: 23.5
             },
+            raw_value: {
+              type: 'number',
+              description: 'Value as received, before calibration',
+              example: 23.1
+            },
+            calibration_version: {
+              type: 'integer',
+              description: 'Calibration version applied to the value'
+            },
             unit: {
               type: 'string',
               example: '°C'
@@ -277,7 +290,7 @@ const options = {
             },
             alert_type: {
               type: 'string',
-              enum: ['threshold', 'anomaly', 'offline', 'maintenance'],
+              enum: ['threshold', 'anomaly', 'offline', 'maintenance', 'calibration_due'],
               example: 'threshold'
             },
             severity: {
@@ -314,6 +327,347 @@ const options = {
               format: 'date-time'
             }
           }
+        },
+        SensorCalibration: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid' },
+            sensor_id: { type: 'string', format: 'uuid' },
+            version: { type: 'integer', example: 2 },
+            calibration_type: {
+              type: 'string',
+              enum: ['initial', 'zero_point', 'span', 'full_range', 'factory_reset']
+            },
+            offset: { type: 'number', example: -0.4 },
+            factor: { type: 'number', example: 1 },
+            reference_value: { type: 'number', nullable: true },
+            measured_value: { type: 'number', nullable: true },
+            previous: {
+              type: 'object',
+              nullable: true,
+              description: 'Version in effect when this calibration took effect'
+            },
+            effective_from: { type: 'string', format: 'date-time' },
+            notes: { type: 'string', nullable: true },
+            performed_by: { type: 'string', nullable: true },
+            created_by: { type: 'string' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        CalibrationJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid' },
+            sensor_id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+            window: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', format: 'date-time' },
+                end: { type: 'string', format: 'date-time' }
+              }
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                percent: { type: 'integer' },
+                processed_until: { type: 'string', format: 'date-time', nullable: true },
+                points_read: { type: 'integer' },
+                points_written: { type: 'integer' },
+                points_skipped: { type: 'integer' }
+              }
+            },
+            error: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            started_at: { type: 'string', format: 'date-time', nullable: true },
+            finished_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        VirtualSensorDefinition: {
+          type: 'object',
+          description: 'Present on virtual sensors, whose values are computed from other sensors',
+          required: ['expression', 'inputs'],
+          properties: {
+            expression: {
+              type: 'string',
+              description: 'Expression over the input names; see POST /api/sensors for the functions available',
+              example: 'voltage * current * pf / 1000'
+            },
+            inputs: {
+              type: 'object',
+              additionalProperties: { type: 'string', format: 'uuid' },
+              description: 'Input name used in the expression -> sensor ID'
+            },
+            alignment: {
+              type: 'string',
+              enum: ['any', 'all'],
+              default: 'any',
+              description: 'Evaluate on every input reading, or once every input has a new reading'
+            },
+            max_age: {
+              type: 'number',
+              description: 'Seconds an input value may be older than the evaluation time',
+              example: 300
+            }
+          }
+        },
+        VirtualSensorJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid' },
+            sensor_id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+            window: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', format: 'date-time' },
+                end: { type: 'string', format: 'date-time' }
+              }
+            },
+            definition: { $ref: '#/components/schemas/VirtualSensorDefinition' },
+            progress: {
+              type: 'object',
+              properties: {
+                percent: { type: 'integer' },
+                processed_until: { type: 'string', format: 'date-time', nullable: true },
+                points_read: { type: 'integer' },
+                points_written: { type: 'integer' }
+              }
+            },
+            error: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            started_at: { type: 'string', format: 'date-time', nullable: true },
+            finished_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        QualityFlagCounts: {
+          type: 'object',
+          description: 'Readings per quality flag',
+          properties: {
+            stuck: { type: 'integer' },
+            out_of_range: { type: 'integer' },
+            flatline: { type: 'integer' },
+            spike: { type: 'integer' },
+            gap: { type: 'integer' }
+          }
+        },
+        QualityScore: {
+          type: 'object',
+          properties: {
+            points: { type: 'integer', description: 'Readings stored' },
+            expected_points: { type: 'integer', nullable: true, description: 'Readings the sampling rate calls for' },
+            good: { type: 'integer' },
+            uncertain: { type: 'integer' },
+            bad: { type: 'integer' },
+            unassessed: { type: 'integer', description: 'Readings stored without a quality code' },
+            flags: { $ref: '#/components/schemas/QualityFlagCounts' },
+            completeness: { type: 'number', nullable: true, example: 0.9875 },
+            validity: { type: 'number', nullable: true, example: 0.995 },
+            score: { type: 'number', nullable: true, description: '100 × completeness × validity', example: 98.3 }
+          }
+        },
+        ExportJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled', 'expired'] },
+            request: {
+              type: 'object',
+              description: 'Resolved export parameters',
+              properties: {
+                sensor_ids: { type: 'array', items: { type: 'string', format: 'uuid' } },
+                start: { type: 'string', format: 'date-time' },
+                end: { type: 'string', format: 'date-time' },
+                format: { type: 'string', enum: ['csv', 'json', 'ndjson', 'parquet', 'xlsx'] },
+                include_metadata: { type: 'boolean' },
+                aggregation: { type: 'string', enum: ['none', 'avg', 'min', 'max', 'sum'] },
+                interval: { type: 'string' },
+                unit: { type: 'string', description: 'Unit values are converted to, null to keep the stored units' }
+              }
+            },
+            file: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'sensor_data_2024-01-01_2024-02-01.parquet' },
+                format: { type: 'string' },
+                content_type: { type: 'string' },
+                size: { type: 'integer', nullable: true }
+              }
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                percent: { type: 'integer' },
+                rows_total: { type: 'integer', nullable: true },
+                rows_written: { type: 'integer' }
+              }
+            },
+            error: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            started_at: { type: 'string', format: 'date-time', nullable: true },
+            finished_at: { type: 'string', format: 'date-time', nullable: true },
+            expires_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the file is deleted' }
+          }
+        },
+        RetentionPolicy: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid', readOnly: true },
+            name: { type: 'string', example: 'Vibration raw data' },
+            description: { type: 'string' },
+            sensor_ids: { type: 'array', items: { type: 'string' } },
+            device_ids: { type: 'array', items: { type: 'string' } },
+            device_types: { type: 'array', items: { type: 'string' }, example: ['vibration_monitor'] },
+            retention: {
+              type: 'object',
+              description: 'Days to keep per tier, 0 keeps data forever; tiers left out use the default',
+              properties: {
+                raw: { type: 'integer', minimum: 0, example: 7 },
+                '1m': { type: 'integer', minimum: 0, example: 30 },
+                '1h': { type: 'integer', minimum: 0, example: 365 },
+                '1d': { type: 'integer', minimum: 0, example: 0 }
+              }
+            },
+            created_by: { type: 'string', readOnly: true },
+            created_at: { type: 'string', format: 'date-time', readOnly: true },
+            updated_at: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        EnergyTariff: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', format: 'uuid', readOnly: true },
+            name: { type: 'string', example: 'Industrial TOU' },
+            description: { type: 'string' },
+            currency: { type: 'string', example: 'EUR' },
+            timezone: { type: 'string', example: 'Europe/Berlin' },
+            rate_per_kwh: { type: 'number', example: 0.18, description: 'Rate outside all periods' },
+            periods: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'peak' },
+                  days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, example: [1, 2, 3, 4, 5] },
+                  start: { type: 'string', example: '08:00' },
+                  end: { type: 'string', example: '20:00' },
+                  rate_per_kwh: { type: 'number', example: 0.26 }
+                }
+              }
+            },
+            demand_charge_per_kw: { type: 'number', example: 9.5, description: 'Charge per kW of monthly peak demand' },
+            co2_kg_per_kwh: { type: 'number', nullable: true, example: 0.38 },
+            is_default: { type: 'boolean' },
+            created_at: { type: 'string', format: 'date-time', readOnly: true },
+            updated_at: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        SensorHealth: {
+          type: 'object',
+          description: 'Predictive maintenance assessment of a sensor',
+          properties: {
+            sensor_id: { type: 'string', format: 'uuid' },
+            sensor_name: { type: 'string' },
+            device_id: { type: 'string', format: 'uuid' },
+            assessed_at: { type: 'string', format: 'date-time' },
+            points: { type: 'integer', description: 'Windowed means the model was fitted to' },
+            model: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                type: { type: 'string', enum: ['linear', 'exponential'] },
+                intercept: { type: 'number' },
+                slope: { type: 'number', description: 'Per day, of the log of the value for exponential models' },
+                r_squared: { type: 'number' },
+                rmse: { type: 'number' }
+              }
+            },
+            threshold: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                value: { type: 'number' },
+                direction: { type: 'string', enum: ['rising', 'falling'] },
+                source: { type: 'string', enum: ['configuration', 'max_value', 'min_value'] }
+              }
+            },
+            current_value: { type: 'number', nullable: true },
+            trend_per_day: { type: 'number', nullable: true },
+            rul_days: { type: 'number', nullable: true, description: 'Days until the fitted trend reaches the threshold' },
+            rul_interval: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                confidence: { type: 'number', example: 0.9 },
+                lower_days: { type: 'number', nullable: true },
+                upper_days: { type: 'number', nullable: true },
+                earliest_failure_at: { type: 'string', format: 'date-time', nullable: true },
+                latest_failure_at: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
+            predicted_failure_at: { type: 'string', format: 'date-time', nullable: true },
+            failure_probability: { type: 'number', nullable: true, description: 'Probability of a reading past the threshold at the forecast horizon' },
+            health_score: { type: 'integer', minimum: 0, maximum: 100, nullable: true },
+            status: { type: 'string', enum: ['healthy', 'warning', 'critical', 'no_threshold', 'insufficient_data'] }
+          }
+        },
+        Anomaly: {
+          type: 'object',
+          description: 'Anomaly annotation of a sensor; consecutive anomalous readings of a detector form one anomaly',
+          properties: {
+            _id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', enum: ['anomaly'] },
+            sensor_id: { type: 'string', format: 'uuid' },
+            device_id: { type: 'string', format: 'uuid' },
+            sensor_name: { type: 'string' },
+            detector: { type: 'string', enum: ['zscore', 'ewma', 'seasonal', 'rate_of_change'] },
+            severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            status: { type: 'string', enum: ['open', 'closed'] },
+            start_time: { type: 'string', format: 'date-time' },
+            end_time: { type: 'string', format: 'date-time', description: 'Last anomalous reading' },
+            readings: { type: 'integer', description: 'Anomalous readings so far' },
+            value: { type: 'number', description: 'First anomalous reading' },
+            expected: { type: 'number' },
+            lower: { type: 'number', description: 'Lower bound of the normal range' },
+            upper: { type: 'number', description: 'Upper bound of the normal range' },
+            score: { type: 'number', nullable: true, description: 'Standard deviations (or multiples of max_rate) from the expected value; null without any spread' },
+            rate: { type: 'number', description: 'Rate of change, rate_of_change detector only' },
+            peak_value: { type: 'number' },
+            peak_score: { type: 'number', nullable: true },
+            alert_id: { type: 'string', format: 'uuid', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ForecastMetrics: {
+          type: 'object',
+          description: 'Backtest of a forecasting model on the held-out end of the history',
+          properties: {
+            type: { type: 'string', enum: ['holt_winters_additive', 'holt_winters_multiplicative', 'seasonal_naive'] },
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+            points: { type: 'integer' },
+            rmse: { type: 'number' },
+            mae: { type: 'number' },
+            mape: { type: 'number', nullable: true, description: 'Percent; null when every actual value is zero' }
+          }
+        },
+        EnergyBreakdown: {
+          type: 'object',
+          description: 'Energy of a device or production line; devices carry device_id, device_name, location, line and sensors, lines carry line and devices',
+          properties: {
+            energy_kwh: { type: 'number' },
+            cost: { type: 'number', nullable: true },
+            co2_kg: { type: 'number' },
+            share_percent: { type: 'number' },
+            peak_demand: {
+              type: 'object',
+              properties: {
+                demand_kw: { type: 'number' },
+                at: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
         }
       }
     },
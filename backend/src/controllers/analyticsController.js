@@ -1,9 +1,27 @@
 const { ObjectId } = require('mongodb');
 const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const energyService = require('../services/energyService');
+const predictiveService = require('../services/predictiveService');
+const anomalyService = require('../services/anomalyService');
+const forecastService = require('../services/forecastService');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { UnitError, readingConverter } = require('../utils/units');
 const { redisClient } = require('../config/redis');
 
+const ENERGY_TIME_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  '1y': 365 * 24 * 60 * 60 * 1000
+};
+
+const toList = (value) => (value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : null);
+
 // Get dashboard overview analytics
 const getDashboardOverview = catchAsync(async (req, res, next) => {
   const { time_range = '24h' } = req.query;
@@ -390,244 +408,383 @@ const getSensorAnalytics = catchAsync(async (req, res, next) => {
 // Get energy consumption analytics
 const getEnergyAnalytics = catchAsync(async (req, res, next) => {
   const {
-    device_id,
+    device_ids,
+    lines,
+    start_time,
+    end_time,
     time_range = '24h',
-    aggregation = 'hourly'
+    aggregation = 'hourly',
+    tariff_id,
+    include_cost_analysis,
+    energy_rate_per_kwh
   } = req.query;
-  
-  const timeInterval = {
-    'hourly': '1 hour',
-    'daily': '1 day',
-    'weekly': '1 week',
-    'monthly': '1 month'
-  }[aggregation] || '1 hour';
-  
-  // Build WHERE conditions
-  const conditions = [
-    `sd.timestamp > NOW() - INTERVAL '${time_range}'`,
-    `s.sensor_type IN ('power', 'energy', 'current', 'voltage')`
-  ];
-  const values = [];
-  let paramCount = 1;
-  
-  if (device_id) {
-    conditions.push(`s.device_id = $${paramCount}`);
-    values.push(device_id);
-    paramCount++;
-  }
-  
-  const whereClause = `WHERE ${conditions.join(' AND ')}`;
-  
-  // Energy consumption over time
-  const consumptionQuery = `
-    SELECT 
-      time_bucket($${paramCount}, sd.timestamp) as time_bucket,
-      s.sensor_type,
-      d.name as device_name,
-      d.location as device_location,
-      AVG(sd.value) as avg_consumption,
-      SUM(sd.value) as total_consumption,
-      MIN(sd.value) as min_consumption,
-      MAX(sd.value) as max_consumption,
-      COUNT(sd.id) as data_points
-    FROM iiot.sensor_data sd
-    JOIN iiot.sensors s ON sd.sensor_id = s.id
-    JOIN iiot.devices d ON s.device_id = d.id
-    ${whereClause}
-    GROUP BY time_bucket($${paramCount}, sd.timestamp), s.sensor_type, d.name, d.location
-    ORDER BY time_bucket DESC, s.sensor_type
-  `;
-  
-  values.push(timeInterval);
-  
-  const consumptionResult = await query(consumptionQuery, values);
-  
-  // Energy efficiency metrics
-  const efficiencyQuery = `
-    SELECT 
-      d.id as device_id,
-      d.name as device_name,
-      d.location,
-      s.sensor_type,
-      AVG(sd.value) as avg_consumption,
-      SUM(sd.value) as total_consumption,
-      COUNT(sd.id) as operating_hours,
-      ROUND(SUM(sd.value) / COUNT(sd.id), 2) as efficiency_ratio
-    FROM iiot.sensor_data sd
-    JOIN iiot.sensors s ON sd.sensor_id = s.id
-    JOIN iiot.devices d ON s.device_id = d.id
-    ${whereClause}
-    GROUP BY d.id, d.name, d.location, s.sensor_type
-    ORDER BY total_consumption DESC
-  `;
-  
-  const efficiencyResult = await query(efficiencyQuery, values.slice(0, -1)); // Remove interval parameter
-  
-  res.status(200).json({
-    success: true,
-    data: {
-      time_range,
+
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const stop = end_time ? new Date(end_time).getTime() : Date.now();
+    const start = start_time ? new Date(start_time).getTime() : stop - ENERGY_TIME_RANGES[time_range];
+
+    const analysis = await energyService.analyze({
+      start,
+      stop,
       aggregation,
-      device_id: device_id || 'all',
-      consumption_over_time: consumptionResult.rows,
-      efficiency_metrics: efficiencyResult.rows
-    },
-    timestamp: new Date().toISOString()
-  });
+      deviceIds: toList(device_ids),
+      lines: toList(lines),
+      tariffId: tariff_id,
+      flatRate: energy_rate_per_kwh !== undefined ? parseFloat(energy_rate_per_kwh) : null,
+      includeCost: include_cost_analysis !== 'false'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        time_range: start_time ? null : time_range,
+        ...analysis
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error computing energy analytics:', error);
+    return next(new AppError('Failed to compute energy analytics', 500));
+  }
 });
 
-// Get predictive analytics
+// Get predictive maintenance analytics: degradation trends, remaining useful life and health scores
 const getPredictiveAnalytics = catchAsync(async (req, res, next) => {
   const {
-    sensor_id,
-    device_id,
-    prediction_type = 'failure',
-    time_horizon = '7d'
+    device_ids,
+    sensor_ids,
+    prediction_type = 'all',
+    include_recommendations
   } = req.query;
-  
-  // Build WHERE conditions
-  const conditions = [`sd.timestamp > NOW() - INTERVAL '30 days'`];
-  const values = [];
-  let paramCount = 1;
-  
-  if (sensor_id) {
-    conditions.push(`s.id = $${paramCount}`);
-    values.push(sensor_id);
-    paramCount++;
+  const horizonDays = parseInt(req.query.forecast_horizon_days) || predictiveService.horizonDays;
+  const confidence = req.query.confidence_threshold ? parseFloat(req.query.confidence_threshold) : predictiveService.confidence;
+  const includes = (type) => prediction_type === 'all' || prediction_type === type;
+
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const now = Date.now();
+    const assessments = await predictiveService.assessSensors({
+      sensorIds: toList(sensor_ids),
+      deviceIds: toList(device_ids),
+      horizonDays,
+      confidence,
+      includeForecast: includes('performance'),
+      now
+    });
+
+    const deviceIds = [...new Set(assessments.map((assessment) => assessment.device_id))];
+    const devices = await mongoService.getDb().collection('devices')
+      .find({ _id: { $in: deviceIds } })
+      .project({ name: 1 })
+      .toArray();
+    const deviceNames = new Map(devices.map((device) => [device._id, device.name]));
+    const urgent = assessments
+      .filter((assessment) => assessment.status === 'critical' || assessment.status === 'warning')
+      .sort((a, b) => a.rul_interval.lower_days - b.rul_interval.lower_days);
+
+    const data = {
+      prediction_type,
+      forecast_horizon_days: horizonDays,
+      confidence_level: confidence,
+      assessed_at: new Date(now),
+      sensors: assessments.map(({ forecast: _forecast, ...assessment }) => ({
+        ...assessment,
+        device_name: deviceNames.get(assessment.device_id) || null
+      }))
+    };
+
+    if (includes('failure')) {
+      data.failure_predictions = urgent.map((assessment) => ({
+        sensor_id: assessment.sensor_id,
+        sensor_name: assessment.sensor_name,
+        device_id: assessment.device_id,
+        device_name: deviceNames.get(assessment.device_id) || null,
+        status: assessment.status,
+        predicted_failure_date: assessment.predicted_failure_at,
+        rul_days: assessment.rul_days,
+        rul_interval: assessment.rul_interval,
+        failure_probability: assessment.failure_probability,
+        health_score: assessment.health_score,
+        model: assessment.model.type,
+        threshold: assessment.threshold
+      }));
+    }
+
+    if (includes('maintenance')) {
+      data.maintenance_schedule = predictiveService.maintenanceSchedule(assessments, now).map((entry) => ({
+        ...entry,
+        device_name: deviceNames.get(entry.device_id) || null
+      }));
+    }
+
+    if (includes('performance')) {
+      data.performance_forecasts = assessments
+        .filter((assessment) => assessment.model)
+        .map((assessment) => {
+          // A trend is significant when it moves the value by more than the fit's noise within the horizon
+          const change = assessment.trend_per_day * horizonDays;
+          let trend = 'stable';
+          if (Math.abs(change) > assessment.model.rmse) {
+            if (!assessment.threshold) {
+              trend = 'changing';
+            } else {
+              const towards = assessment.threshold.direction === 'rising' ? change > 0 : change < 0;
+              trend = towards ? 'declining' : 'improving';
+            }
+          }
+
+          return {
+            sensor_id: assessment.sensor_id,
+            sensor_name: assessment.sensor_name,
+            device_id: assessment.device_id,
+            model: assessment.model,
+            performance_trend: trend,
+            trend_per_day: assessment.trend_per_day,
+            forecast_data: assessment.forecast
+          };
+        });
+    }
+
+    if (include_recommendations !== 'false') {
+      data.recommendations = [
+        ...urgent.map((assessment) => ({
+          type: assessment.status === 'critical' ? 'immediate_action' : 'schedule_maintenance',
+          priority: assessment.status === 'critical' ? 'critical' : 'high',
+          description: assessment.rul_days === 0
+            ? `${assessment.sensor_name} has reached its failure threshold of ${assessment.threshold.value}`
+            : `${assessment.sensor_name} may reach its failure threshold of ${assessment.threshold.value} `
+              + `in ${assessment.rul_interval.lower_days} to ${assessment.rul_interval.upper_days === null ? 'more' : assessment.rul_interval.upper_days} days`,
+          affected_devices: [assessment.device_id],
+          affected_sensors: [assessment.sensor_id],
+          deadline: assessment.rul_interval.earliest_failure_at
+        })),
+        ...assessments
+          .filter((assessment) => assessment.status === 'no_threshold' && assessment.model.r_squared >= 0.8)
+          .map((assessment) => ({
+            type: 'monitor_closely',
+            priority: 'low',
+            description: `${assessment.sensor_name} shows a steady trend of ${assessment.trend_per_day} per day; `
+              + 'set a failure threshold or sensor range to estimate its remaining useful life',
+            affected_devices: [assessment.device_id],
+            affected_sensors: [assessment.sensor_id],
+            deadline: null
+          }))
+      ];
+    }
+
+    const scored = assessments.filter((assessment) => assessment.health_score !== null);
+    data.summary = {
+      sensors_assessed: assessments.length,
+      ...['healthy', 'warning', 'critical', 'no_threshold', 'insufficient_data'].reduce((counts, status) => ({
+        ...counts,
+        [status]: assessments.filter((assessment) => assessment.status === status).length
+      }), {}),
+      avg_health_score: scored.length > 0
+        ? Math.round(scored.reduce((sum, assessment) => sum + assessment.health_score, 0) / scored.length)
+        : null,
+      last_scheduled_run: predictiveService.lastRun
+    };
+
+    res.status(200).json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error computing predictive analytics:', error);
+    return next(new AppError('Failed to compute predictive analytics', 500));
   }
-  
-  if (device_id) {
-    conditions.push(`s.device_id = $${paramCount}`);
-    values.push(device_id);
-    paramCount++;
+});
+
+// Get stored health assessments of a sensor to trend its health and remaining useful life
+const getSensorHealthHistory = catchAsync(async (req, res, next) => {
+  const { sensorId } = req.params;
+  const { start_time, end_time, limit = 100 } = req.query;
+
+  try {
+    const sensor = await mongoService.getDb().collection('sensors').findOne({ _id: sensorId }, { projection: { name: 1 } });
+
+    if (!sensor) {
+      return next(new AppError('Sensor not found', 404));
+    }
+
+    const history = await predictiveService.getHistory(sensorId, {
+      start: start_time,
+      end: end_time,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sensor_id: sensorId,
+        sensor_name: sensor.name,
+        assessments: history
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching sensor health history:', error);
+    return next(new AppError('Failed to fetch sensor health history', 500));
   }
-  
-  const whereClause = `WHERE ${conditions.join(' AND ')}`;
-  
-  let predictiveQuery;
-  
-  switch (prediction_type) {
-    case 'failure':
-      // Simple failure prediction based on anomaly patterns
-      predictiveQuery = `
-        WITH recent_anomalies AS (
-          SELECT 
-            s.id as sensor_id,
-            s.name as sensor_name,
-            d.name as device_name,
-            COUNT(CASE WHEN sd.quality = 'bad' THEN 1 END) as bad_quality_count,
-            COUNT(sd.id) as total_readings,
-            AVG(sd.value) as avg_value,
-            STDDEV(sd.value) as stddev_value,
-            COUNT(CASE WHEN ABS(sd.value - AVG(sd.value) OVER (PARTITION BY s.id)) > 2 * STDDEV(sd.value) OVER (PARTITION BY s.id) THEN 1 END) as anomaly_count
-          FROM iiot.sensor_data sd
-          JOIN iiot.sensors s ON sd.sensor_id = s.id
-          JOIN iiot.devices d ON s.device_id = d.id
-          ${whereClause}
-          GROUP BY s.id, s.name, d.name
-        )
-        SELECT 
-          *,
-          CASE 
-            WHEN bad_quality_count > total_readings * 0.1 OR anomaly_count > total_readings * 0.05 THEN 'high'
-            WHEN bad_quality_count > total_readings * 0.05 OR anomaly_count > total_readings * 0.02 THEN 'medium'
-            ELSE 'low'
-          END as failure_risk,
-          ROUND(((bad_quality_count + anomaly_count) * 100.0 / total_readings), 2) as risk_score
-        FROM recent_anomalies
-        ORDER BY risk_score DESC
-      `;
-      break;
-      
-    case 'maintenance':
-      // Maintenance prediction based on usage patterns
-      predictiveQuery = `
-        SELECT 
-          d.id as device_id,
-          d.name as device_name,
-          d.location,
-          COUNT(sd.id) as total_data_points,
-          AVG(sd.value) as avg_sensor_value,
-          COUNT(CASE WHEN sd.timestamp > NOW() - INTERVAL '7 days' THEN 1 END) as recent_activity,
-          EXTRACT(DAYS FROM (NOW() - MAX(sd.timestamp))) as days_since_last_data,
-          CASE 
-            WHEN COUNT(sd.id) > 10000 AND AVG(sd.value) > (SELECT AVG(value) * 1.2 FROM iiot.sensor_data WHERE sensor_id = s.id) THEN 'high'
-            WHEN COUNT(sd.id) > 5000 AND AVG(sd.value) > (SELECT AVG(value) * 1.1 FROM iiot.sensor_data WHERE sensor_id = s.id) THEN 'medium'
-            ELSE 'low'
-          END as maintenance_priority,
-          ROUND(COUNT(sd.id) / 1000.0, 2) as usage_intensity_score
-        FROM iiot.devices d
-        JOIN iiot.sensors s ON d.id = s.device_id
-        LEFT JOIN iiot.sensor_data sd ON s.id = sd.sensor_id
-        ${whereClause}
-        GROUP BY d.id, d.name, d.location, s.id
-        ORDER BY usage_intensity_score DESC
-      `;
-      break;
-      
-    case 'performance':
-      // Performance degradation prediction
-      predictiveQuery = `
-        WITH performance_trends AS (
-          SELECT 
-            s.id as sensor_id,
-            s.name as sensor_name,
-            d.name as device_name,
-            date_trunc('day', sd.timestamp) as day,
-            AVG(sd.value) as daily_avg,
-            COUNT(sd.id) as daily_count
-          FROM iiot.sensor_data sd
-          JOIN iiot.sensors s ON sd.sensor_id = s.id
-          JOIN iiot.devices d ON s.device_id = d.id
-          ${whereClause}
-          GROUP BY s.id, s.name, d.name, date_trunc('day', sd.timestamp)
-        ),
-        trend_analysis AS (
-          SELECT 
-            sensor_id,
-            sensor_name,
-            device_name,
-            AVG(daily_avg) as avg_performance,
-            STDDEV(daily_avg) as performance_variance,
-            COUNT(*) as days_analyzed,
-            (SELECT daily_avg FROM performance_trends pt2 WHERE pt2.sensor_id = pt1.sensor_id ORDER BY day DESC LIMIT 1) as latest_performance,
-            (SELECT daily_avg FROM performance_trends pt2 WHERE pt2.sensor_id = pt1.sensor_id ORDER BY day ASC LIMIT 1) as earliest_performance
-          FROM performance_trends pt1
-          GROUP BY sensor_id, sensor_name, device_name
-        )
-        SELECT 
-          *,
-          ROUND(((latest_performance - earliest_performance) / earliest_performance * 100), 2) as performance_change_percentage,
-          CASE 
-            WHEN ABS(latest_performance - avg_performance) > 2 * performance_variance THEN 'degrading'
-            WHEN latest_performance < avg_performance * 0.9 THEN 'declining'
-            WHEN latest_performance > avg_performance * 1.1 THEN 'improving'
-            ELSE 'stable'
-          END as performance_trend
-        FROM trend_analysis
-        ORDER BY ABS(performance_change_percentage) DESC
-      `;
-      break;
-      
-    default:
-      return next(new AppError('Invalid prediction type', 400));
+});
+
+// Run the scheduled predictive maintenance assessment now
+const runPredictiveMaintenance = catchAsync(async (req, res, next) => {
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const result = await predictiveService.run();
+
+    if (!result) {
+      return next(new AppError('A predictive maintenance run is already in progress', 409));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.assessed} sensors assessed`,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error running predictive maintenance:', error);
+    return next(new AppError('Failed to run predictive maintenance', 500));
   }
-  
-  const result = await query(predictiveQuery, values);
-  
-  res.status(200).json({
-    success: true,
-    data: {
-      prediction_type,
-      time_horizon,
-      filters: {
-        sensor_id: sensor_id || 'all',
-        device_id: device_id || 'all'
+});
+
+// A forecast in the unit requested with ?unit=; model errors convert as differences
+const convertForecast = (forecast, conversion) => {
+  const value = (amount) => conversion.convert(amount, forecast.unit, 'mean');
+  const spread = (amount) => conversion.convert(amount, forecast.unit, 'stddev');
+  const metrics = (entry) => ({ ...entry, rmse: spread(entry.rmse), mae: spread(entry.mae) });
+
+  return {
+    ...forecast,
+    unit: conversion.unit,
+    model: { ...forecast.model, sigma: spread(forecast.model.sigma) },
+    backtest: metrics(forecast.backtest),
+    candidates: forecast.candidates.map(metrics),
+    forecast: forecast.forecast.map((point) => ({
+      ...point,
+      value: value(point.value),
+      lower: value(point.lower),
+      upper: value(point.upper)
+    }))
+  };
+};
+
+// Forecast a sensor with Holt-Winters or seasonal naive models fitted on its history
+const getForecast = catchAsync(async (req, res, next) => {
+  const {
+    sensor_id,
+    model = 'auto',
+    interval = '1h',
+    season_length,
+    horizon,
+    history_days = 28,
+    confidence = 0.95,
+    refresh,
+    unit
+  } = req.query;
+
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const forecast = await forecastService.forecast({
+      sensorId: sensor_id,
+      model,
+      interval,
+      seasonLength: season_length ? parseInt(season_length) : null,
+      horizon: horizon ? parseInt(horizon) : null,
+      historyDays: parseInt(history_days),
+      confidence: parseFloat(confidence),
+      refresh: refresh === 'true'
+    });
+    const { cached, ...data } = forecast;
+
+    res.status(200).json({
+      success: true,
+      data: unit ? convertForecast(data, readingConverter(unit)) : data,
+      cached,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    if (error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error computing forecast:', error);
+    return next(new AppError('Failed to compute forecast', 500));
+  }
+});
+
+// Get anomalies found by the streaming anomaly detectors of the ingestion pipeline
+const getAnomalies = catchAsync(async (req, res, next) => {
+  const {
+    sensor_ids,
+    device_ids,
+    detectors,
+    severity,
+    status,
+    start_time,
+    end_time,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  try {
+    const result = await anomalyService.list({
+      sensorIds: toList(sensor_ids),
+      deviceIds: toList(device_ids),
+      detectors: toList(detectors),
+      severity,
+      status,
+      start: start_time,
+      end: end_time,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        anomalies: result.anomalies,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
+        },
+        summary: {
+          by_detector: result.by_detector,
+          detection: anomalyService.getStats()
+        }
       },
-      predictions: result.rows
-    },
-    timestamp: new Date().toISOString()
-  });
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching anomalies:', error);
+    return next(new AppError('Failed to fetch anomalies', 500));
+  }
 });
 
 // Get custom analytics report
@@ -740,5 +897,9 @@ module.exports = {
   getSensorAnalytics,
   getEnergyAnalytics,
   getPredictiveAnalytics,
+  getSensorHealthHistory,
+  runPredictiveMaintenance,
+  getForecast,
+  getAnomalies,
   getCustomReport
 };
\ No newline at end of file
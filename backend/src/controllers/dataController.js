@@ -1,320 +1,622 @@
 const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const retentionService = require('../services/retentionService');
+const exportService = require('../services/exportService');
+const qualityService = require('../services/qualityService');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { FluxQueryError, durationMs } = require('../utils/flux');
+const { alignRange, windowGrid, alignColumns } = require('../utils/resample');
+const { EXPORT_FORMATS } = require('../utils/exportFormats');
+const { UnitError, readingConverter, unitConverter } = require('../utils/units');
 const { redisClient } = require('../config/redis');
-const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+
+const SORT_COLUMNS = {
+  timestamp: '_time',
+  value: '_value',
+  sensor_id: 'sensor_id'
+};
+
+const STATISTIC_WINDOWS = {
+  hour: '1h',
+  day: '1d',
+  week: '1w',
+  month: '1mo'
+};
+
+const READING_COLUMNS = ['_time', '_value', 'sensor_id', 'device_id', 'unit'];
+
+// Server-side limits of aligned multi-sensor queries
+const QUERY_MAX_SENSORS = parseInt(process.env.DATA_QUERY_MAX_SENSORS) || 50;
+const QUERY_MAX_ROWS = parseInt(process.env.DATA_QUERY_MAX_ROWS) || 10000;
+const QUERY_MAX_CELLS = parseInt(process.env.DATA_QUERY_MAX_CELLS) || 500000;
+// Gaps bridged by previous and linear fill when max_gap is not given, in intervals
+const QUERY_DEFAULT_GAP_INTERVALS = parseInt(process.env.DATA_QUERY_DEFAULT_GAP_INTERVALS) || 10;
+
+const toList = (value) => (value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+/**
+ * Registry filter for the sensor_ids, device_ids and sensor_types parameters.
+ * Sensor types are not stored with the readings, so the filters are resolved to sensor IDs.
+ */
+const sensorFilter = ({ sensor_ids, device_ids, sensor_types }) => {
+  const filter = {};
+  const sensorIds = toList(sensor_ids);
+  const deviceIds = toList(device_ids);
+  const sensorTypes = toList(sensor_types);
+
+  if (sensorIds.length > 0) filter._id = { $in: sensorIds };
+  if (deviceIds.length > 0) filter.device_id = { $in: deviceIds };
+  if (sensorTypes.length > 0) filter.sensor_type = { $in: sensorTypes };
+
+  return filter;
+};
+
+/**
+ * IDs of the sensors selected by the request
+ * @returns {Array|null} Sensor IDs, or null when the request does not filter sensors
+ */
+const selectedSensorIds = async (params) => {
+  const filter = sensorFilter(params);
+  if (Object.keys(filter).length === 0) {
+    return null;
+  }
+
+  const sensors = await mongoService.getCollection('sensors').find(filter).project({ _id: 1 }).toArray();
+  return sensors.map((sensor) => sensor._id);
+};
+
+/**
+ * Registry details of sensors and their devices, keyed by sensor ID
+ */
+const describeSensors = async (sensors) => {
+  const deviceIds = [...new Set(sensors.map((sensor) => sensor.device_id).filter(Boolean))];
+  const devices = deviceIds.length > 0
+    ? await mongoService.getCollection('devices')
+      .find({ _id: { $in: deviceIds } })
+      .project({ name: 1, location: 1, status: 1 })
+      .toArray()
+    : [];
+  const devicesById = new Map(devices.map((device) => [device._id, device]));
+
+  return new Map(sensors.map((sensor) => {
+    const device = devicesById.get(sensor.device_id) || {};
+    return [sensor._id, {
+      sensor_name: sensor.name,
+      sensor_type: sensor.sensor_type,
+      unit: sensor.unit,
+      sampling_rate: sensor.sampling_rate,
+      device_id: sensor.device_id,
+      device_name: device.name,
+      device_location: device.location,
+      device_status: device.status
+    }];
+  }));
+};
+
+const findSensors = (filter) => mongoService.getCollection('sensors')
+  .find(filter)
+  .project({ name: 1, sensor_type: 1, unit: 1, device_id: 1, sampling_rate: 1 })
+  .toArray();
+
+const toReading = (row, details = {}) => ({
+  timestamp: row._time,
+  sensor_id: row.sensor_id,
+  sensor_name: details.sensor_name || null,
+  sensor_type: details.sensor_type || null,
+  device_id: row.device_id || details.device_id || null,
+  device_name: details.device_name || null,
+  device_location: details.device_location || null,
+  unit: row.unit || details.unit || null,
+  value: row._value
+});
+
+// A reading in the unit requested with ?unit=; aggregation names the aggregate its value holds
+const convertReading = (reading, conversion, aggregation) => (conversion
+  ? { ...reading, unit: conversion.unit, value: conversion.convert(reading.value, reading.unit, aggregation) }
+  : reading);
+
+/**
+ * Combine statistics of several series; standard deviations are pooled
+ * @param {Array} items - { count, mean, min, max, stddev, first, last }
+ */
+const mergeStatistics = (items) => {
+  const counted = items.filter((item) => item.count > 0);
+  const total = counted.reduce((sum, item) => sum + item.count, 0);
+
+  if (total === 0) {
+    return {
+      total_readings: 0,
+      avg_value: null,
+      min_value: null,
+      max_value: null,
+      std_deviation: null,
+      first_reading: null,
+      last_reading: null
+    };
+  }
+
+  const mean = counted.reduce((sum, item) => sum + item.count * item.mean, 0) / total;
+  const squares = counted.reduce((sum, item) => {
+    const spread = (item.count - 1) * (item.stddev || 0) ** 2;
+    return sum + spread + item.count * (item.mean - mean) ** 2;
+  }, 0);
+  const firsts = counted.map((item) => item.first).filter(Boolean).sort();
+  const lasts = counted.map((item) => item.last).filter(Boolean).sort();
+
+  return {
+    total_readings: total,
+    avg_value: mean,
+    min_value: Math.min(...counted.map((item) => item.min)),
+    max_value: Math.max(...counted.map((item) => item.max)),
+    std_deviation: total > 1 ? Math.sqrt(squares / (total - 1)) : 0,
+    first_reading: firsts.length > 0 ? firsts[0] : null,
+    last_reading: lasts.length > 0 ? lasts[lasts.length - 1] : null
+  };
+};
+
+/**
+ * Run one aggregate per statistic and collect the values by key columns
+ * @param {Function} build - (fn) => FluxQuery
+ * @param {Array} functions - Aggregate functions; first and last report _time instead of _value
+ * @param {Array} keys - Columns identifying a row across the queries
+ * @returns {Map} key => { series: key column values, count, mean, min, max, stddev, first, last }
+ */
+const collectStatistics = async (build, functions, keys) => {
+  const results = await Promise.all(functions.map((fn) => influxService.run(build(fn))));
+  const statistics = new Map();
+
+  results.forEach((rows, index) => {
+    const fn = functions[index];
+    rows.forEach((row) => {
+      const id = keys.map((key) => row[key]).join('|');
+      const entry = statistics.get(id) || {
+        series: keys.reduce((series, key) => ({ ...series, [key]: row[key] }), {}),
+        count: 0,
+        mean: null,
+        min: null,
+        max: null,
+        stddev: null,
+        first: null,
+        last: null
+      };
+      const value = fn === 'first' || fn === 'last' ? row._time : row._value;
+
+      if (fn === 'count') {
+        entry.count += Number(value) || 0;
+      } else if (fn === 'first') {
+        entry.first = entry.first && entry.first < value ? entry.first : value;
+      } else if (fn === 'last') {
+        entry.last = entry.last && entry.last > value ? entry.last : value;
+      } else {
+        entry[fn] = value;
+      }
+      statistics.set(id, entry);
+    });
+  });
+
+  return statistics;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Cursor of an aligned query: where the next page starts, bound to the query it came from
+ */
+const queryFingerprint = ({ columns, start, end, interval, fill, maxGapMs }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([columns.map((col) => [col.sensor_id, col.aggregation, col.percentile, col.unit]), start, end, interval, fill, maxGapMs]))
+  .digest('base64url')
+  .slice(0, 16);
+
+const encodeCursor = (next, fingerprint) => Buffer.from(JSON.stringify({ next, q: fingerprint })).toString('base64url');
+
+const decodeCursor = (cursor, fingerprint) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || !Number.isInteger(decoded.next) || decoded.q !== fingerprint) {
+    throw new AppError('Cursor is invalid or belongs to a different query', 400);
+  }
+  return decoded.next;
+};
 
 // Get sensor data with advanced filtering and aggregation
 const getSensorData = catchAsync(async (req, res, next) => {
   const {
-    sensor_ids,
-    device_ids,
     start_time,
     end_time,
-    limit = 1000,
-    offset = 0,
+    min_value,
+    max_value,
     aggregation = 'none',
     interval = '1h',
-    quality_filter = 'all',
-    sort_order = 'desc'
+    percentile,
+    fill_gaps,
+    fill_value,
+    sort = 'timestamp',
+    unit
   } = req.query;
-  
+  const fill = req.query.fill || (fill_gaps === 'true' && aggregation !== 'none' ? 'linear' : 'none');
+  const { page, limit, order } = req.pagination;
+
   try {
-    const db = mongoService.getDb();
-    const sensorDataCollection = db.collection('sensor_data');
-    
-    // Build match filter
-    const matchFilter = {};
-    
-    if (sensor_ids) {
-      const sensorIdArray = Array.isArray(sensor_ids) ? sensor_ids : sensor_ids.split(',');
-      matchFilter.sensor_id = { $in: sensorIdArray };
-    }
-    
-    if (start_time) {
-      matchFilter.timestamp = { ...matchFilter.timestamp, $gte: new Date(start_time) };
-    }
-    
-    if (end_time) {
-      matchFilter.timestamp = { ...matchFilter.timestamp, $lte: new Date(end_time) };
-    }
-    
-    if (quality_filter !== 'all') {
-      matchFilter.quality = quality_filter;
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    const sortDirection = sort_order.toUpperCase() === 'ASC' ? 1 : -1;
-    const skip = parseInt(offset);
-    const limitNum = parseInt(limit);
-    
-    let pipeline = [];
-    
-    // Add match stage
-    if (Object.keys(matchFilter).length > 0) {
-      pipeline.push({ $match: matchFilter });
-    }
-    
-    // Join with sensors collection
-    pipeline.push({
-      $lookup: {
-        from: 'sensors',
-        localField: 'sensor_id',
-        foreignField: '_id',
-        as: 'sensor'
-      }
-    });
-    
-    // Join with devices collection
-    pipeline.push({
-      $lookup: {
-        from: 'devices',
-        localField: 'sensor.device_id',
-        foreignField: '_id',
-        as: 'device'
+
+    const sensorIds = await selectedSensorIds(req.query);
+    const conversion = unit ? readingConverter(unit) : null;
+
+    // Value filters run on the stored readings, so bounds in another unit are converted back
+    let bounds = { min: min_value, max: max_value };
+    if (conversion && (min_value !== undefined || max_value !== undefined)) {
+      const storedUnits = await mongoService.getCollection('sensors').distinct('unit', sensorIds ? { _id: { $in: sensorIds } } : {});
+      if (storedUnits.length !== 1) {
+        return next(new AppError('Value filters with a unit need sensors that share one unit', 400));
       }
-    });
-    
-    // Unwind arrays
-    pipeline.push({ $unwind: '$sensor' });
-    pipeline.push({ $unwind: '$device' });
-    
-    // Filter by device_ids if provided
-    if (device_ids) {
-      const deviceIdArray = Array.isArray(device_ids) ? device_ids : device_ids.split(',');
-      pipeline.push({
-        $match: {
-          'device._id': { $in: deviceIdArray }
-        }
-      });
+      const toStored = unitConverter(unit, storedUnits[0]);
+      bounds = {
+        min: min_value !== undefined ? toStored(Number(min_value)) : undefined,
+        max: max_value !== undefined ? toStored(Number(max_value)) : undefined
+      };
     }
-    
-    if (aggregation === 'none') {
-      // Raw data query
-      pipeline.push({
-        $project: {
-          sensor_id: '$sensor_id',
-          sensor_name: '$sensor.name',
-          sensor_type: '$sensor.sensor_type',
-          unit: '$sensor.unit',
-          device_name: '$device.name',
-          device_location: '$device.location',
-          timestamp: '$timestamp',
-          value: '$value',
-          quality: '$quality'
-        }
-      });
-      
-      pipeline.push({ $sort: { timestamp: sortDirection } });
-      pipeline.push({ $skip: skip });
-      pipeline.push({ $limit: limitNum });
-      
+
+    const filter = (part) => {
+      part.between(bounds).fill(fill, fill_value);
+      if (sensorIds) {
+        part.where('sensor_id', sensorIds);
+      }
+    };
+
+    let query;
+    let tier = 'raw';
+    if (aggregation !== 'none') {
+      // Rollups hold window aggregates, so value filters need the raw readings
+      ({ query, tier } = retentionService.select({
+        start: start_time || '-24h',
+        stop: end_time,
+        every: interval,
+        aggregation: aggregation === 'avg' ? 'mean' : aggregation,
+        percentile,
+        rollups: min_value === undefined && max_value === undefined
+      }, filter));
     } else {
-      // Aggregated data query - simplified version
-      const aggregationOp = {
-        'avg': '$avg',
-        'min': '$min',
-        'max': '$max',
-        'sum': '$sum',
-        'count': '$sum'
-      }[aggregation] || '$avg';
-      
-      // Group by time intervals (simplified - would need more complex logic for proper time bucketing)
-      pipeline.push({
-        $group: {
-          _id: {
-            sensor_id: '$sensor_id',
-            sensor_name: '$sensor.name',
-            sensor_type: '$sensor.sensor_type',
-            unit: '$sensor.unit',
-            device_name: '$device.name',
-            device_location: '$device.location'
+      query = influxService.select().range(start_time || '-24h', end_time).field('value');
+      filter(query);
+    }
+    query
+      .keep(READING_COLUMNS)
+      .paginate({ page, limit, sort: [SORT_COLUMNS[sort] || '_time'], desc: order === 'desc' });
+
+    const [rows, total] = await Promise.all([influxService.run(query), influxService.count(query)]);
+
+    const sensorsIncluded = [...new Set(rows.map((row) => row.sensor_id))];
+    const details = await describeSensors(await findSensors({ _id: { $in: sensorsIncluded } }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data_points: rows.map((row) => convertReading(
+          toReading(row, details.get(row.sensor_id)),
+          conversion,
+          aggregation === 'avg' ? 'mean' : aggregation
+        )),
+        metadata: {
+          total_points: total,
+          unit: conversion ? conversion.unit : null,
+          filtered_points: rows.length,
+          sensors_included: sensorsIncluded,
+          time_range: {
+            start_time: start_time || null,
+            end_time: end_time || null
           },
-          value: aggregationOp === '$sum' && aggregation === 'count' ? { $sum: 1 } : { [aggregationOp]: '$value' },
-          data_points: { $sum: 1 },
-          min_value: { $min: '$value' },
-          max_value: { $max: '$value' },
-          timestamp: { $first: '$timestamp' }
-        }
-      });
-      
-      pipeline.push({
-        $project: {
-          sensor_id: '$_id.sensor_id',
-          sensor_name: '$_id.sensor_name',
-          sensor_type: '$_id.sensor_type',
-          unit: '$_id.unit',
-          device_name: '$_id.device_name',
-          device_location: '$_id.device_location',
-          timestamp: '$timestamp',
-          value: '$value',
-          data_points: '$data_points',
-          min_value: '$min_value',
-          max_value: '$max_value'
+          aggregation: {
+            method: aggregation,
+            interval: aggregation !== 'none' ? interval : null,
+            percentile: aggregation === 'percentile' ? Number(percentile) : null,
+            fill: aggregation !== 'none' ? fill : null,
+            tier
+          }
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
         }
-      });
-      
-      pipeline.push({ $sort: { timestamp: sortDirection } });
-      pipeline.push({ $skip: skip });
-      pipeline.push({ $limit: limitNum });
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof FluxQueryError || error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
     }
-    
-    const dataResult = await sensorDataCollection.aggregate(pipeline).toArray();
-    
-    // Get total count for pagination
-    const countPipeline = [];
-    if (Object.keys(matchFilter).length > 0) {
-      countPipeline.push({ $match: matchFilter });
+    logger.error('Database error during sensor data retrieval:', error);
+    return next(new AppError('Failed to retrieve sensor data', 500));
+  }
+});
+
+// Query several sensors resampled onto one time grid, as a wide table
+const queryAlignedData = catchAsync(async (req, res, next) => {
+  const {
+    sensors,
+    start_time,
+    end_time,
+    interval,
+    aggregation = 'mean',
+    percentile,
+    fill = 'null',
+    max_gap,
+    limit = 1000,
+    cursor,
+    format = 'json',
+    unit
+  } = req.body;
+
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    if (device_ids) {
-      countPipeline.push({
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      });
-      countPipeline.push({ $unwind: '$sensor' });
-      const deviceIdArray = Array.isArray(device_ids) ? device_ids : device_ids.split(',');
-      countPipeline.push({
-        $match: {
-          'sensor.device_id': { $in: deviceIdArray }
-        }
+
+    if (sensors.length > QUERY_MAX_SENSORS) {
+      return next(new AppError(`At most ${QUERY_MAX_SENSORS} sensors can be queried together`, 400));
+    }
+
+    const everyMs = durationMs(interval);
+    const maxGapMs = max_gap ? durationMs(max_gap) : everyMs * QUERY_DEFAULT_GAP_INTERVALS;
+    const range = alignRange(
+      new Date(start_time).getTime(),
+      end_time ? new Date(end_time).getTime() : Date.now(),
+      everyMs
+    );
+
+    const columns = sensors.map((entry) => {
+      const spec = typeof entry === 'string' ? { sensor_id: entry } : entry;
+      return {
+        sensor_id: spec.sensor_id,
+        aggregation: spec.aggregation || aggregation,
+        percentile: (spec.aggregation || aggregation) === 'percentile'
+          ? Number(spec.percentile !== undefined ? spec.percentile : percentile)
+          : null,
+        label: spec.label || null,
+        unit: spec.unit || unit || null
+      };
+    });
+    const conversions = columns.map((col) => (col.unit ? readingConverter(col.unit) : null));
+
+    const sensorIds = [...new Set(columns.map((col) => col.sensor_id))];
+    const details = await describeSensors(await findSensors({ _id: { $in: sensorIds } }));
+    const missing = sensorIds.filter((sensorId) => !details.has(sensorId));
+    if (missing.length > 0) {
+      return next(new AppError(`Sensors not found: ${missing.join(', ')}`, 404));
+    }
+
+    const fingerprint = queryFingerprint({ columns, start: range.start, end: range.end, interval, fill, maxGapMs });
+    const pageStart = cursor ? decodeCursor(cursor, fingerprint) : range.start;
+    if (pageStart < range.start || pageStart >= range.end || (pageStart - range.start) % everyMs !== 0) {
+      return next(new AppError('Cursor is outside the query range', 400));
+    }
+
+    const rowsPerPage = Math.max(1, Math.min(limit, QUERY_MAX_ROWS, Math.floor(QUERY_MAX_CELLS / columns.length)));
+    const pageEnd = Math.min(pageStart + rowsPerPage * everyMs, range.end);
+
+    // Windows around the page are read too, so fills across page boundaries match an unpaged read
+    const padMs = fill === 'null' ? 0 : Math.ceil(maxGapMs / everyMs) * everyMs;
+    const groups = new Map();
+    columns.forEach((col, index) => {
+      const key = `${col.aggregation}:${col.percentile}`;
+      if (!groups.has(key)) {
+        groups.set(key, { aggregation: col.aggregation, percentile: col.percentile, columns: [] });
+      }
+      groups.get(key).columns.push(index);
+    });
+
+    const points = columns.map(() => []);
+    const tiers = new Set();
+    await Promise.all(Array.from(groups.values()).map(async (group) => {
+      const groupSensorIds = [...new Set(group.columns.map((index) => columns[index].sensor_id))];
+      const { query, tier } = retentionService.select({
+        start: new Date(pageStart - padMs),
+        stop: new Date(pageEnd + padMs),
+        every: interval,
+        aggregation: group.aggregation,
+        percentile: group.percentile,
+        windowStart: true
+      }, (part) => part.where('sensor_id', groupSensorIds));
+      tiers.add(tier);
+
+      const rows = await influxService.run(query.keep(['_time', '_value', 'sensor_id', 'unit']));
+      rows.forEach((row) => {
+        const value = Number(row._value);
+        if (row._value === null || !Number.isFinite(value)) {
+          return;
+        }
+        const time = new Date(row._time).getTime();
+        const from = row.unit || details.get(row.sensor_id).unit;
+        group.columns
+          .filter((index) => columns[index].sensor_id === row.sensor_id)
+          .forEach((index) => points[index].push({
+            time,
+            value: conversions[index] ? conversions[index].convert(value, from, group.aggregation) : value
+          }));
       });
+    }));
+
+    // A sensor may have several series, e.g. after a unit change; one value per window is kept
+    const series = points.map((column) => column
+      .sort((a, b) => a.time - b.time)
+      .filter((point, index, sorted) => index === sorted.length - 1 || sorted[index + 1].time !== point.time));
+
+    const grid = windowGrid(pageStart, pageEnd, everyMs);
+    const rows = alignColumns(series, grid, { fill, maxGapMs });
+    const nextCursor = pageEnd < range.end ? encodeCursor(pageEnd, fingerprint) : null;
+
+    const names = columns.map((col) => col.label || (details.get(col.sensor_id).sensor_name || col.sensor_id));
+    const headers = names.map((name, index) => (names.indexOf(name) !== names.lastIndexOf(name)
+      ? `${name} (${columns[index].aggregation})`
+      : name));
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="sensor_query_${new Date(pageStart).toISOString().split('T')[0]}.csv"`);
+      if (nextCursor) {
+        res.setHeader('X-Next-Cursor', nextCursor);
+      }
+      res.send([
+        ['timestamp', ...headers].map(csvCell).join(','),
+        ...rows.map(([time, ...values]) => [new Date(time).toISOString(), ...values].map(csvCell).join(','))
+      ].join('\n'));
+      return;
     }
-    
-    countPipeline.push({ $count: 'total' });
-    const countResult = await sensorDataCollection.aggregate(countPipeline).toArray();
-    const totalCount = countResult[0]?.total || 0;
-    
+
     res.status(200).json({
       success: true,
       data: {
-        data_points: dataResult,
-        aggregation,
-        interval: aggregation !== 'none' ? interval : null,
+        columns: [
+          { name: 'timestamp' },
+          ...columns.map((col, index) => {
+            const info = details.get(col.sensor_id);
+            return {
+              name: headers[index],
+              sensor_id: col.sensor_id,
+              sensor_name: info.sensor_name || null,
+              device_id: info.device_id || null,
+              unit: conversions[index] ? conversions[index].unit : info.unit || null,
+              aggregation: col.aggregation,
+              percentile: col.percentile
+            };
+          })
+        ],
+        rows: rows.map(([time, ...values]) => [new Date(time).toISOString(), ...values]),
+        metadata: {
+          interval,
+          fill,
+          max_gap_seconds: fill === 'null' ? null : maxGapMs / 1000,
+          time_range: {
+            start_time: new Date(range.start).toISOString(),
+            end_time: new Date(range.end).toISOString()
+          },
+          page_range: {
+            start_time: new Date(pageStart).toISOString(),
+            end_time: new Date(pageEnd).toISOString()
+          },
+          tiers: Array.from(tiers)
+        },
         pagination: {
-          limit: limitNum,
-          offset: skip,
-          total: totalCount,
-          pages: Math.ceil(totalCount / limitNum)
+          limit: rowsPerPage,
+          rows: rows.length,
+          total_rows: Math.round((range.end - range.start) / everyMs),
+          has_more: nextCursor !== null,
+          next_cursor: nextCursor
         }
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Database error during sensor data retrieval:', error);
-    return next(new AppError('Failed to retrieve sensor data', 500));
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    if (error instanceof FluxQueryError || error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error querying aligned sensor data:', error);
+    return next(new AppError('Failed to query sensor data', 500));
   }
 });
 
 // Get real-time data for dashboard
 const getRealTimeData = catchAsync(async (req, res, next) => {
-  const { device_ids, sensor_types, limit = 50 } = req.query;
-  
+  const maxAgeMinutes = parseInt(req.query.max_age_minutes) || 5;
+  const includeOffline = req.query.include_offline === 'true';
+
   try {
-    const db = mongoService.getDb();
-    const sensorDataCollection = db.collection('sensor_data');
-    
-    // Build match filter for recent data (last 5 minutes)
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    const matchFilter = {
-      timestamp: { $gt: fiveMinutesAgo }
-    };
-    
-    const pipeline = [
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      },
-      {
-        $lookup: {
-          from: 'devices',
-          localField: 'sensor.device_id',
-          foreignField: '_id',
-          as: 'device'
-        }
-      },
-      { $unwind: '$sensor' },
-      { $unwind: '$device' }
-    ];
-    
-    // Add device filter if provided
-    if (device_ids) {
-      const deviceIdArray = Array.isArray(device_ids) ? device_ids : device_ids.split(',');
-      pipeline.push({
-        $match: {
-          'device._id': { $in: deviceIdArray }
-        }
-      });
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    // Add sensor type filter if provided
-    if (sensor_types) {
-      const sensorTypeArray = Array.isArray(sensor_types) ? sensor_types : sensor_types.split(',');
-      pipeline.push({
-        $match: {
-          'sensor.sensor_type': { $in: sensorTypeArray }
-        }
-      });
+
+    const filter = sensorFilter(req.query);
+    const filtered = Object.keys(filter).length > 0;
+    const sensors = await findSensors(filter);
+
+    const query = influxService.select()
+      .range(`-${maxAgeMinutes}m`)
+      .field('value')
+      .aggregate('last')
+      .keep(READING_COLUMNS);
+
+    if (filtered) {
+      query.where('sensor_id', sensors.map((sensor) => sensor._id));
     }
-    
-    // Sort by timestamp descending and get latest for each sensor
-    pipeline.push(
-      { $sort: { sensor_id: 1, timestamp: -1 } },
-      {
-        $group: {
-          _id: '$sensor_id',
-          sensor_id: { $first: '$sensor_id' },
-          sensor_name: { $first: '$sensor.name' },
-          sensor_type: { $first: '$sensor.sensor_type' },
-          unit: { $first: '$sensor.unit' },
-          min_value: { $first: '$sensor.min_value' },
-          max_value: { $first: '$sensor.max_value' },
-          device_id: { $first: '$device._id' },
-          device_name: { $first: '$device.name' },
-          device_location: { $first: '$device.location' },
-          device_status: { $first: '$device.status' },
-          timestamp: { $first: '$timestamp' },
-          value: { $first: '$value' },
-          quality: { $first: '$quality' }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          sensor_id: 1,
-          sensor_name: 1,
-          sensor_type: 1,
-          unit: 1,
-          min_value: 1,
-          max_value: 1,
-          device_id: 1,
-          device_name: 1,
-          device_location: 1,
-          device_status: 1,
-          timestamp: 1,
-          value: 1,
-          quality: 1
+
+    // A sensor may have several series, e.g. after a unit change; keep its newest reading
+    const latest = new Map();
+    (await influxService.run(query)).forEach((row) => {
+      const current = latest.get(row.sensor_id);
+      if (!current || current._time < row._time) {
+        latest.set(row.sensor_id, row);
+      }
+    });
+
+    const details = await describeSensors(sensors);
+    const conversion = req.query.unit ? readingConverter(req.query.unit) : null;
+    const now = Date.now();
+
+    const result = sensors
+      .map((sensor) => {
+        const info = details.get(sensor._id);
+        const row = latest.get(sensor._id);
+        let status = 'offline';
+
+        // Stale: the newest reading is older than three sampling periods
+        if (row) {
+          const age = now - new Date(row._time).getTime();
+          status = info.sampling_rate && age > info.sampling_rate * 3 ? 'stale' : 'online';
         }
-      },
-      { $limit: parseInt(limit) }
-    );
-    
-    const dataResult = await sensorDataCollection.aggregate(pipeline).toArray();
-    
+
+        return {
+          sensor_id: sensor._id,
+          sensor_name: info.sensor_name,
+          sensor_type: info.sensor_type,
+          device_id: info.device_id,
+          device_name: info.device_name || null,
+          device_location: info.device_location || null,
+          latest_reading: row ? convertReading(toReading(row, info), conversion, 'last') : null,
+          status,
+          last_seen: row ? row._time : null
+        };
+      })
+      .filter((sensor) => includeOffline || sensor.status !== 'offline');
+
+    const countStatus = (status) => result.filter((sensor) => sensor.status === status).length;
+
     res.status(200).json({
       success: true,
-      data: dataResult,
+      data: {
+        sensors: result,
+        summary: {
+          total_sensors: result.length,
+          online_sensors: countStatus('online'),
+          offline_sensors: countStatus('offline'),
+          stale_sensors: countStatus('stale'),
+          last_updated: new Date(now).toISOString()
+        }
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof FluxQueryError || error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
+    }
     logger.error('Database error during real-time data retrieval:', error);
     return next(new AppError('Failed to retrieve real-time data', 500));
   }
@@ -322,588 +624,199 @@ const getRealTimeData = catchAsync(async (req, res, next) => {
 
 // Get data statistics
 const getDataStatistics = catchAsync(async (req, res, next) => {
-  const {
-    sensor_id,
-    device_id,
-    start_time,
-    end_time,
-    time_range = '24h'
-  } = req.query;
-  
+  const { start_time, end_time, group_by = 'sensor', unit } = req.query;
+
   try {
-    // Build match filter
-    let matchFilter = {};
-    
-    if (sensor_id) {
-      matchFilter.sensor_id = new ObjectId(sensor_id);
-    }
-    
-    if (device_id) {
-      // First get sensors for this device
-      const deviceSensors = await mongoService.find('sensors', { device_id: new ObjectId(device_id) }, { _id: 1 });
-      const sensorIds = deviceSensors.map(s => s._id);
-      
-      if (sensorIds.length > 0) {
-        if (matchFilter.sensor_id) {
-          // If sensor_id is also specified, ensure it's in the device's sensors
-          if (sensorIds.some(id => id.equals(matchFilter.sensor_id))) {
-            // Keep the existing sensor_id filter
-          } else {
-            // Sensor doesn't belong to device, return empty result
-            return res.status(200).json({
-              success: true,
-              data: {
-                statistics: {
-                  total_data_points: 0,
-                  sensors_count: 0,
-                  devices_count: 0
-                },
-                hourly_distribution: []
-              },
-              timestamp: new Date().toISOString()
-            });
-          }
-        } else {
-          matchFilter.sensor_id = { $in: sensorIds };
-        }
-      }
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    // Handle time filters
-    if (start_time || end_time || time_range) {
-      matchFilter.timestamp = {};
-      
-      if (start_time) {
-        matchFilter.timestamp.$gte = new Date(start_time);
-      } else if (time_range) {
-        const timeRangeMs = {
-          '1h': 60 * 60 * 1000,
-          '24h': 24 * 60 * 60 * 1000,
-          '7d': 7 * 24 * 60 * 60 * 1000,
-          '30d': 30 * 24 * 60 * 60 * 1000
-        };
-        const ms = timeRangeMs[time_range] || timeRangeMs['24h'];
-        matchFilter.timestamp.$gte = new Date(Date.now() - ms);
-      }
-      
-      if (end_time) {
-        matchFilter.timestamp.$lte = new Date(end_time);
-      }
+
+    const sensorIds = await selectedSensorIds(req.query);
+    const conversion = unit ? readingConverter(unit) : null;
+    const select = () => {
+      const query = influxService.select()
+        .range(start_time || '-24h', end_time)
+        .field('value');
+      return sensorIds ? query.where('sensor_id', sensorIds) : query;
+    };
+
+    // Statistics are collected per unit, since readings in different units never share an aggregate
+    let series;
+
+    if (STATISTIC_WINDOWS[group_by]) {
+      // Readings of all sensors in one unit share the time buckets
+      const every = STATISTIC_WINDOWS[group_by];
+      const buckets = await collectStatistics(
+        (fn) => select().group(['unit']).aggregate(fn, { every, windowStart: true }).keep(['_time', '_value', 'unit']),
+        ['count', 'mean', 'min', 'max', 'stddev'],
+        ['_time', 'unit']
+      );
+
+      series = Array.from(buckets.values())
+        .sort((a, b) => (a.series._time < b.series._time ? -1 : 1))
+        .map((entry) => ({ group: entry.series._time, unit: entry.series.unit || null, entry }));
+    } else {
+      // Statistics per sensor series, merged into devices or types from the registry
+      const perSeries = await collectStatistics(
+        (fn) => (['first', 'last'].includes(fn)
+          ? select().aggregate(fn).keep(['_time', 'sensor_id', 'unit'])
+          : select().group(['sensor_id', 'unit']).aggregate(fn).keep(['_value', 'sensor_id', 'unit'])),
+        ['count', 'mean', 'min', 'max', 'stddev', 'first', 'last'],
+        ['sensor_id', 'unit']
+      );
+
+      const entries = Array.from(perSeries.values());
+      const details = await describeSensors(await findSensors({ _id: { $in: [...new Set(entries.map((entry) => entry.series.sensor_id))] } }));
+      const groupOf = (sensorId) => {
+        const info = details.get(sensorId) || {};
+        if (group_by === 'device') return info.device_id || 'unknown';
+        if (group_by === 'type') return info.sensor_type || 'unknown';
+        return sensorId;
+      };
+
+      series = entries.map((entry) => {
+        const { sensor_id: sensorId, unit: seriesUnit } = entry.series;
+        return { group: groupOf(sensorId), unit: seriesUnit || (details.get(sensorId) || {}).unit || null, entry };
+      });
     }
-    
-    // Get comprehensive statistics using aggregation
-    const statsAggregation = [
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      },
-      { $unwind: '$sensor' },
-      {
-        $group: {
-          _id: null,
-          total_data_points: { $sum: 1 },
-          sensors_count: { $addToSet: '$sensor_id' },
-          devices_count: { $addToSet: '$sensor.device_id' },
-          values: { $push: '$value' },
-          avg_value: { $avg: '$value' },
-          min_value: { $min: '$value' },
-          max_value: { $max: '$value' },
-          earliest_timestamp: { $min: '$timestamp' },
-          latest_timestamp: { $max: '$timestamp' },
-          good_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'good'] }, 1, 0] }
-          },
-          bad_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'bad'] }, 1, 0] }
-          },
-          uncertain_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'uncertain'] }, 1, 0] }
-          }
-        }
-      },
-      {
-        $addFields: {
-          sensors_count: { $size: '$sensors_count' },
-          devices_count: { $size: '$devices_count' },
-          stddev_value: { $stdDevPop: '$values' },
-          median_value: {
-            $let: {
-              vars: {
-                sorted: { $sortArray: { input: '$values', sortBy: 1 } },
-                length: { $size: '$values' }
-              },
-              in: {
-                $cond: {
-                  if: { $eq: [{ $mod: ['$$length', 2] }, 0] },
-                  then: {
-                    $avg: [
-                      { $arrayElemAt: ['$$sorted', { $divide: [{ $subtract: ['$$length', 2] }, 2] }] },
-                      { $arrayElemAt: ['$$sorted', { $divide: ['$$length', 2] }] }
-                    ]
-                  },
-                  else: { $arrayElemAt: ['$$sorted', { $floor: { $divide: ['$$length', 2] } }] }
-                }
-              }
-            }
-          }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          values: 0
-        }
+
+    // With a target unit every series is converted, and incompatible units are refused
+    const groups = new Map();
+    series.forEach(({ group, unit: from, entry }) => {
+      const key = conversion ? group : `${group}|${from}`;
+      const converted = conversion ? {
+        ...entry,
+        mean: conversion.convert(entry.mean, from, 'mean'),
+        min: conversion.convert(entry.min, from, 'min'),
+        max: conversion.convert(entry.max, from, 'max'),
+        stddev: conversion.convert(entry.stddev, from, 'stddev')
+      } : entry;
+
+      if (!groups.has(key)) {
+        groups.set(key, { group, unit: conversion ? conversion.unit : from, entries: [] });
       }
-    ];
-    
-    const statsResult = await mongoService.aggregate('sensor_data', statsAggregation);
-    const statistics = statsResult[0] || {
-      total_data_points: 0,
-      sensors_count: 0,
-      devices_count: 0,
-      avg_value: null,
-      min_value: null,
-      max_value: null,
-      stddev_value: null,
-      median_value: null,
-      earliest_timestamp: null,
-      latest_timestamp: null,
-      good_quality_count: 0,
-      bad_quality_count: 0,
-      uncertain_quality_count: 0
-    };
-    
-    // Get data distribution by hour
-    const distributionAggregation = [
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      },
-      { $unwind: '$sensor' },
-      {
-        $group: {
-          _id: { $hour: '$timestamp' },
-          data_points: { $sum: 1 },
-          avg_value: { $avg: '$value' }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          hour: '$_id',
-          data_points: 1,
-          avg_value: 1
-        }
-      },
-      { $sort: { hour: 1 } }
-    ];
-    
-    const distributionResult = await mongoService.aggregate('sensor_data', distributionAggregation);
-    
+      groups.get(key).entries.push(converted);
+    });
+
+    const statistics = Array.from(groups.values()).map((group) => ({
+      group_key: group_by,
+      group_value: group.group,
+      unit: group.unit,
+      ...mergeStatistics(group.entries)
+    }));
+
+    // Groups in different units only add up their reading counts
+    const units = [...new Set(statistics.map((group) => group.unit))];
+    const overall = mergeStatistics(statistics.map((group) => ({
+      count: group.total_readings,
+      mean: group.avg_value,
+      min: group.min_value,
+      max: group.max_value
+    })));
+    const comparable = units.length <= 1;
+
     res.status(200).json({
       success: true,
       data: {
         statistics,
-        hourly_distribution: distributionResult
+        summary: {
+          total_groups: statistics.length,
+          total_readings: overall.total_readings,
+          unit: comparable && units.length === 1 ? units[0] : null,
+          overall_avg: comparable ? overall.avg_value : null,
+          overall_min: comparable ? overall.min_value : null,
+          overall_max: comparable ? overall.max_value : null,
+          time_range: {
+            start_time: start_time || null,
+            end_time: end_time || null
+          }
+        }
       },
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
+    if (error instanceof FluxQueryError || error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
+    }
     logger.error('Error getting data statistics:', error);
     return next(new AppError('Failed to get data statistics', 500));
   }
 });
 
-// Export data to CSV format
+// Export sensor data, streamed from InfluxDB as it is written to the response
 const exportData = catchAsync(async (req, res, next) => {
-  const {
-    sensor_ids,
-    device_ids,
-    start_time,
-    end_time,
-    format = 'json',
-    include_metadata = 'true'
-  } = req.query;
-  
   try {
-    // Build match filter
-    let matchFilter = {};
-    
-    if (sensor_ids) {
-      const sensorIdArray = Array.isArray(sensor_ids) ? sensor_ids : sensor_ids.split(',');
-      matchFilter.sensor_id = { $in: sensorIdArray.map(id => new ObjectId(id)) };
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    if (device_ids) {
-      const deviceIdArray = Array.isArray(device_ids) ? device_ids : device_ids.split(',');
-      // First get sensors for these devices
-      const deviceSensors = await mongoService.find('sensors', 
-        { device_id: { $in: deviceIdArray.map(id => new ObjectId(id)) } }, 
-        { _id: 1 }
-      );
-      const sensorIds = deviceSensors.map(s => s._id);
-      
-      if (sensorIds.length > 0) {
-        if (matchFilter.sensor_id) {
-          // Intersect with existing sensor filter
-          const existingSensorIds = matchFilter.sensor_id.$in;
-          matchFilter.sensor_id = { 
-            $in: sensorIds.filter(id => 
-              existingSensorIds.some(existingId => existingId.equals(id))
-            )
-          };
-        } else {
-          matchFilter.sensor_id = { $in: sensorIds };
-        }
-      } else {
-        // No sensors found for specified devices
-        return res.status(200).json({
-          success: true,
-          data: [],
-          count: 0,
-          timestamp: new Date().toISOString()
-        });
-      }
+
+    const spec = await exportService.resolve(req.query);
+    const rows = await exportService.count(spec);
+    if (rows > exportService.syncMaxRows) {
+      return next(new AppError(
+        `Export has ${rows} rows, more than the ${exportService.syncMaxRows} allowed for a direct download; create an export job with POST /api/v1/data/exports`,
+        413
+      ));
     }
-    
-    if (start_time || end_time) {
-      matchFilter.timestamp = {};
-      if (start_time) {
-        matchFilter.timestamp.$gte = new Date(start_time);
-      }
-      if (end_time) {
-        matchFilter.timestamp.$lte = new Date(end_time);
-      }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[spec.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.fileName(spec)}"`);
+    res.setHeader('X-Total-Rows', String(rows));
+
+    const { rows: written, complete } = await exportService.write(spec, res);
+    if (!complete) {
+      logger.warn(`Data export aborted by the client after ${written} of ${rows} rows`);
     }
-    
-    // Build aggregation pipeline
-    const pipeline = [
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      },
-      { $unwind: '$sensor' }
-    ];
-    
-    if (include_metadata === 'true') {
-      pipeline.push({
-        $lookup: {
-          from: 'devices',
-          localField: 'sensor.device_id',
-          foreignField: '_id',
-          as: 'device'
-        }
-      });
-      pipeline.push({ $unwind: '$device' });
-      
-      pipeline.push({
-        $project: {
-          timestamp: 1,
-          value: 1,
-          quality: 1,
-          sensor_id: 1,
-          sensor_name: '$sensor.name',
-          sensor_type: '$sensor.sensor_type',
-          unit: '$sensor.unit',
-          device_id: '$device._id',
-          device_name: '$device.name',
-          device_location: '$device.location'
-        }
-      });
-    } else {
-      pipeline.push({
-        $project: {
-          timestamp: 1,
-          value: 1,
-          quality: 1,
-          sensor_id: 1
-        }
-      });
+  } catch (error) {
+    // Once streaming has started the status is sent; cut the response so it is not taken as complete
+    if (res.headersSent) {
+      logger.error('Error streaming data export:', error);
+      res.destroy(error);
+      return;
     }
-    
-    pipeline.push({ $sort: { timestamp: -1 } });
-    pipeline.push({ $limit: 10000 });
-    
-    const dataResult = await mongoService.aggregate('sensor_data', pipeline);
-    
-    if (format === 'csv') {
-      // Convert to CSV format
-      if (dataResult.length === 0) {
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="sensor_data_${new Date().toISOString().split('T')[0]}.csv"`);
-        res.send('No data found');
-        return;
-      }
-      
-      const headers = Object.keys(dataResult[0]);
-      const csvContent = [
-        headers.join(','),
-        ...dataResult.map(row => 
-          headers.map(header => {
-            const value = row[header];
-            // Escape commas and quotes in CSV
-            if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-              return `"${value.replace(/"/g, '""')}"`;
-            }
-            return value;
-          }).join(',')
-        )
-      ].join('\n');
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="sensor_data_${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csvContent);
-    } else {
-      // Return JSON format
-      res.status(200).json({
-        success: true,
-        data: dataResult,
-        count: dataResult.length,
-        timestamp: new Date().toISOString()
-      });
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    if (error instanceof FluxQueryError || error instanceof UnitError) {
+      return next(new AppError(error.message, 400));
     }
-    
-  } catch (error) {
     logger.error('Error exporting data:', error);
     return next(new AppError('Failed to export data', 500));
   }
 });
 
-// Get data quality metrics
+// Get quality scores of sensors and devices over time
 const getDataQuality = catchAsync(async (req, res, next) => {
-  const {
-    sensor_id,
-    device_id,
-    start_time,
-    end_time,
-    time_range = '24h'
-  } = req.query;
-  
+  const { sensor_ids, device_ids, start_time, end_time, interval } = req.query;
+
   try {
-    // Build match filter
-    let matchFilter = {};
-    
-    if (sensor_id) {
-      matchFilter.sensor_id = new ObjectId(sensor_id);
-    }
-    
-    if (device_id) {
-      // First get sensors for this device
-      const deviceSensors = await mongoService.find('sensors', { device_id: new ObjectId(device_id) }, { _id: 1 });
-      const sensorIds = deviceSensors.map(s => s._id);
-      
-      if (sensorIds.length > 0) {
-        if (matchFilter.sensor_id) {
-          // If sensor_id is also specified, ensure it's in the device's sensors
-          if (sensorIds.some(id => id.equals(matchFilter.sensor_id))) {
-            // Keep the existing sensor_id filter
-          } else {
-            // Sensor doesn't belong to device, return empty result
-            return res.status(200).json({
-              success: true,
-              data: {
-                quality_by_sensor: [],
-                overall_completeness: {
-                  expected_hours: 0,
-                  actual_hours: 0,
-                  missing_hours: 0,
-                  data_completeness_percentage: 0
-                }
-              },
-              timestamp: new Date().toISOString()
-            });
-          }
-        } else {
-          matchFilter.sensor_id = { $in: sensorIds };
-        }
-      }
-    }
-    
-    // Handle time filters
-    if (start_time || end_time || time_range) {
-      matchFilter.timestamp = {};
-      
-      if (start_time) {
-        matchFilter.timestamp.$gte = new Date(start_time);
-      } else if (time_range) {
-        const timeRangeMs = {
-          '1h': 60 * 60 * 1000,
-          '24h': 24 * 60 * 60 * 1000,
-          '7d': 7 * 24 * 60 * 60 * 1000,
-          '30d': 30 * 24 * 60 * 60 * 1000
-        };
-        const ms = timeRangeMs[time_range] || timeRangeMs['24h'];
-        matchFilter.timestamp.$gte = new Date(Date.now() - ms);
-      }
-      
-      if (end_time) {
-        matchFilter.timestamp.$lte = new Date(end_time);
-      }
-    }
-    
-    // Get quality metrics by sensor
-    const qualityAggregation = [
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: 'sensors',
-          localField: 'sensor_id',
-          foreignField: '_id',
-          as: 'sensor'
-        }
-      },
-      { $unwind: '$sensor' },
-      {
-        $group: {
-          _id: {
-            sensor_id: '$sensor_id',
-            sensor_name: '$sensor.name',
-            sensor_type: '$sensor.sensor_type',
-            min_value: '$sensor.min_value',
-            max_value: '$sensor.max_value'
-          },
-          total_data_points: { $sum: 1 },
-          good_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'good'] }, 1, 0] }
-          },
-          bad_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'bad'] }, 1, 0] }
-          },
-          uncertain_quality_count: {
-            $sum: { $cond: [{ $eq: ['$quality', 'uncertain'] }, 1, 0] }
-          },
-          out_of_range_count: {
-            $sum: {
-              $cond: [
-                {
-                  $or: [
-                    { $lt: ['$value', '$sensor.min_value'] },
-                    { $gt: ['$value', '$sensor.max_value'] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
-      },
-      {
-        $addFields: {
-          good_quality_percentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$good_quality_count', '$total_data_points'] }, 100] },
-              2
-            ]
-          },
-          out_of_range_percentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$out_of_range_count', '$total_data_points'] }, 100] },
-              2
-            ]
-          }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          sensor_id: '$_id.sensor_id',
-          sensor_name: '$_id.sensor_name',
-          sensor_type: '$_id.sensor_type',
-          total_data_points: 1,
-          good_quality_count: 1,
-          bad_quality_count: 1,
-          uncertain_quality_count: 1,
-          good_quality_percentage: 1,
-          out_of_range_count: 1,
-          out_of_range_percentage: 1
-        }
-      },
-      { $sort: { good_quality_percentage: -1 } }
-    ];
-    
-    const qualityResult = await mongoService.aggregate('sensor_data', qualityAggregation);
-    
-    // Get overall data completeness (simplified version)
-    // For MongoDB, we'll calculate based on expected vs actual data points per hour
-    const completenessAggregation = [
-      { $match: matchFilter },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' },
-            hour: { $hour: '$timestamp' }
-          },
-          data_count: { $sum: 1 }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          actual_hours: { $sum: 1 },
-          total_data_points: { $sum: '$data_count' }
-        }
-      }
-    ];
-    
-    const completenessResult = await mongoService.aggregate('sensor_data', completenessAggregation);
-    
-    // Calculate expected hours based on time range
-    let expectedHours = 24; // Default for 24h
-    if (time_range) {
-      const timeRangeHours = {
-        '1h': 1,
-        '24h': 24,
-        '7d': 7 * 24,
-        '30d': 30 * 24
-      };
-      expectedHours = timeRangeHours[time_range] || 24;
-    } else if (start_time && end_time) {
-      const startDate = new Date(start_time);
-      const endDate = new Date(end_time);
-      expectedHours = Math.ceil((endDate - startDate) / (1000 * 60 * 60));
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    const actualHours = completenessResult[0]?.actual_hours || 0;
-    const missingHours = Math.max(0, expectedHours - actualHours);
-    const completenessPercentage = expectedHours > 0 ? 
-      Math.round((actualHours / expectedHours) * 100 * 100) / 100 : 0;
-    
-    const overallCompleteness = {
-      expected_hours: expectedHours,
-      actual_hours: actualHours,
-      missing_hours: missingHours,
-      data_completeness_percentage: completenessPercentage
-    };
-    
+
+    const end = end_time ? new Date(end_time) : new Date();
+    const start = start_time ? new Date(start_time) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+    const report = await qualityService.report({
+      sensorIds: toList(sensor_ids),
+      deviceIds: toList(device_ids),
+      start,
+      end,
+      interval
+    });
+
     res.status(200).json({
       success: true,
-      data: {
-        quality_by_sensor: qualityResult,
-        overall_completeness: overallCompleteness
-      },
+      data: report,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    if (error instanceof FluxQueryError) {
+      return next(new AppError(error.message, 400));
+    }
     logger.error('Error getting data quality:', error);
     return next(new AppError('Failed to get data quality metrics', 500));
   }
@@ -911,85 +824,58 @@ const getDataQuality = catchAsync(async (req, res, next) => {
 
 // Delete old data (data retention)
 const deleteOldData = catchAsync(async (req, res, next) => {
-  const { retention_days = 90, sensor_id, device_id } = req.body;
-  
+  const olderThanDays = parseInt(req.query.older_than_days);
+  const sensorIds = req.query.sensor_ids ? toList(req.query.sensor_ids) : null;
+  const tiers = req.query.tiers ? toList(req.query.tiers) : ['raw'];
+  const dryRun = req.query.dry_run !== 'false';
+  const startedAt = Date.now();
+
   try {
-    // Build filter conditions
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retention_days);
-    
-    let matchFilter = {
-      timestamp: { $lt: cutoffDate }
-    };
-    
-    // If sensor_id or device_id is specified, we need to join with sensors collection
-    if (sensor_id || device_id) {
-      const sensorFilter = {};
-      if (sensor_id) sensorFilter._id = new ObjectId(sensor_id);
-      if (device_id) sensorFilter.device_id = new ObjectId(device_id);
-      
-      // Get matching sensor IDs
-      const matchingSensors = await mongoService.find('sensors', sensorFilter, { _id: 1 });
-      const sensorIds = matchingSensors.map(s => s._id);
-      
-      if (sensorIds.length === 0) {
-        return res.status(200).json({
-          success: true,
-          message: 'No sensors found matching criteria',
-          deleted_count: 0,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      matchFilter.sensor_id = { $in: sensorIds };
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
     }
-    
-    // Count data to be deleted
-    const deleteCount = await mongoService.countDocuments('sensor_data', matchFilter);
-    
-    if (deleteCount === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'No old data found to delete',
-        deleted_count: 0,
-        timestamp: new Date().toISOString()
+
+    const result = await retentionService.purge({ olderThanDays, sensorIds, tiers, dryRun });
+
+    if (!dryRun) {
+      await mongoService.getDb().collection('audit_log').insertOne({
+        user_id: req.user.id,
+        action: 'DELETE',
+        resource_type: 'sensor_data',
+        resource_id: 'bulk',
+        details: {
+          older_than_days: olderThanDays,
+          sensor_ids: sensorIds,
+          tiers,
+          deleted_records: result.deleted_records
+        },
+        timestamp: new Date()
+      });
+
+      logger.info('Old sensor data deleted', {
+        older_than_days: olderThanDays,
+        deleted_records: result.deleted_records,
+        sensor_ids: sensorIds,
+        tiers,
+        deleted_by: req.user.id
       });
     }
-    
-    // Delete old data
-    await mongoService.deleteMany('sensor_data', matchFilter);
-    
-    // Log data deletion
-    await mongoService.insertOne('audit_log', {
-      user_id: new ObjectId(req.user.id),
-      action: 'DELETE',
-      resource_type: 'sensor_data',
-      resource_id: 'bulk',
-      details: {
-        retention_days,
-        deleted_count: deleteCount,
-        sensor_id,
-        device_id
-      },
-      timestamp: new Date()
-    });
-    
-    logger.info(`Old sensor data deleted`, {
-      retention_days,
-      deleted_count: deleteCount,
-      sensor_id,
-      device_id,
-      deleted_by: req.user.id
-    });
-    
+
     res.status(200).json({
       success: true,
-      message: 'Old data deleted successfully',
-      deleted_count: deleteCount,
+      message: dryRun
+        ? `Dry run: ${result.matched_records} records older than ${olderThanDays} days would be deleted`
+        : `${result.deleted_records} records older than ${olderThanDays} days deleted`,
+      data: {
+        ...result,
+        execution_time_ms: Date.now() - startedAt
+      },
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     logger.error('Error deleting old data:', error);
     return next(new AppError('Failed to delete old data', 500));
   }
@@ -997,6 +883,7 @@ const deleteOldData = catchAsync(async (req, res, next) => {
 
 module.exports = {
   getSensorData,
+  queryAlignedData,
   getRealTimeData,
   getDataStatistics,
   exportData,
@@ -1,11 +1,14 @@
 const { v4: uuidv4 } = require('uuid');
-const { ObjectId } = require('mongodb');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const { redisClient } = require('../config/redis');
 const { mqttClient } = require('../config/mqtt');
 const influxService = require('../services/influxService');
 const mongoService = require('../services/mongoService');
+const livenessService = require('../services/livenessService');
+const commandService = require('../services/commandService');
+const modbusService = require('../services/modbusService');
+const provisioningService = require('../services/provisioningService');
 
 // Note: Migrated from TimescaleDB to MongoDB for device metadata
 // Time-series sensor data is stored in InfluxDB
@@ -143,73 +146,113 @@ const getDeviceById = catchAsync(async (req, res, next) => {
   }
 });
 
-// Create new device
+// Create new device (MongoDB implementation)
 const createDevice = catchAsync(async (req, res, next) => {
   const {
     name,
     description,
-    device_type,
+    type,
+    manufacturer,
+    model,
+    serial_number,
+    firmware_version,
     location,
+    coordinates,
     ip_address,
     port,
     protocol = 'MQTT',
     configuration = {},
-    tags = []
+    metadata = {},
+    tags = [],
+    sparkplug_edge_node = null,
+    credential_type = 'password',
+    certificate_fingerprint
   } = req.body;
   
   const deviceId = uuidv4();
   
-  const result = await transaction(async (client) => {
-    // Insert device
-    const deviceResult = await client.query(`
-      INSERT INTO iiot.devices (
-        id, name, description, device_type, location, ip_address, port, protocol,
-        configuration, tags, status, created_by, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'offline', $11, NOW(), NOW())
-      RETURNING *
-    `, [
-      deviceId, name, description, device_type, location, ip_address, port, protocol,
-      JSON.stringify(configuration), JSON.stringify(tags), req.user.id
-    ]);
+  try {
+    const db = mongoService.getDb();
+    
+    const deviceData = {
+      _id: deviceId,
+      name,
+      description,
+      device_type: type,
+      manufacturer,
+      model,
+      serial_number,
+      firmware_version,
+      location,
+      coordinates,
+      ip_address,
+      port,
+      protocol,
+      configuration,
+      metadata,
+      tags,
+      sparkplug_edge_node,
+      status: 'offline',
+      is_active: true,
+      created_by: req.user.id,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    
+    await db.collection('devices').insertOne(deviceData);
+    
+    // Issue the device its broker credential, or a claim token for field commissioning
+    const provisioning = credential_type === 'claim'
+      ? { claim: await provisioningService.createClaimToken(deviceId, {}, req.user.id) }
+      : {
+        credential: await provisioningService.issueCredential(deviceId, {
+          type: credential_type,
+          fingerprint: certificate_fingerprint
+        }, req.user.id)
+      };
     
     // Log device creation
-    await client.query(`
-      INSERT INTO iiot.audit_log (user_id, action, resource_type, resource_id, details, timestamp)
-      VALUES ($1, 'CREATE', 'device', $2, $3, NOW())
-    `, [
-      req.user.id,
-      deviceId,
-      JSON.stringify({ name, device_type, location })
-    ]);
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'CREATE',
+      resource_type: 'device',
+      resource_id: deviceId,
+      details: { name, device_type: type, location, credential_type },
+      timestamp: new Date()
+    });
     
-    return deviceResult.rows[0];
-  });
-  
-  // Cache new device
-  await redisClient.setEx(`device:${deviceId}`, 300, JSON.stringify(result));
-  
-  // Publish device creation event
-  if (mqttClient && mqttClient.connected) {
-    mqttClient.publish('iiot/devices/created', JSON.stringify({
-      device_id: deviceId,
+    // Cache new device
+    await redisClient.set(`device:${deviceId}`, deviceData, 300);
+    
+    // Publish device creation event
+    if (mqttClient && mqttClient.connected) {
+      mqttClient.publish('iiot/devices/created', JSON.stringify({
+        device_id: deviceId,
+        name,
+        device_type: type,
+        timestamp: new Date().toISOString()
+      }));
+    }
+    
+    logger.info(`Device created: ${deviceId}`, {
       name,
-      device_type,
+      device_type: type,
+      created_by: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Device created successfully',
+      data: { ...deviceData, ...provisioning },
       timestamp: new Date().toISOString()
-    }));
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error creating device:', error);
+    return next(new AppError('Failed to create device', 500));
   }
-  
-  logger.info(`Device created: ${deviceId}`, {
-    name,
-    device_type,
-    created_by: req.user.id
-  });
-  
-  res.status(201).json({
-    success: true,
-    message: 'Device created successfully',
-    data: result,
-    timestamp: new Date().toISOString()
-  });
 });
 
 // Update device (MongoDB implementation)
@@ -225,7 +268,9 @@ const updateDevice = catchAsync(async (req, res, next) => {
     protocol,
     configuration,
     tags,
-    status
+    status,
+    heartbeat_interval,
+    sparkplug_edge_node
   } = req.body;
   
   // Build update object dynamically
@@ -241,6 +286,8 @@ const updateDevice = catchAsync(async (req, res, next) => {
   if (configuration !== undefined) updateFields.configuration = configuration;
   if (tags !== undefined) updateFields.tags = tags;
   if (status !== undefined) updateFields.status = status;
+  if (heartbeat_interval !== undefined) updateFields.heartbeat_interval = heartbeat_interval;
+  if (sparkplug_edge_node !== undefined) updateFields.sparkplug_edge_node = sparkplug_edge_node;
   
   if (Object.keys(updateFields).length === 0) {
     return next(new AppError('No fields to update', 400));
@@ -254,17 +301,30 @@ const updateDevice = catchAsync(async (req, res, next) => {
     const auditLogCollection = db.collection('audit_log');
     
     // Update device
-    const result = await devicesCollection.findOneAndUpdate(
+    const updatedDevice = await devicesCollection.findOneAndUpdate(
       { _id: id },
       { $set: updateFields },
       { returnDocument: 'after' }
     );
     
-    if (!result.value) {
+    if (!updatedDevice) {
       return next(new AppError('Device not found', 404));
     }
     
-    const updatedDevice = result.value;
+    // Keep the liveness monitor in sync and record manual status changes in the history
+    livenessService.track(id, {
+      protocol: updatedDevice.protocol,
+      sparkplug: updatedDevice.sparkplug,
+      heartbeat_interval: updatedDevice.heartbeat_interval === undefined ? null : updatedDevice.heartbeat_interval
+    });
+    if (status !== undefined) {
+      await livenessService.setStatus(id, status, 'manual', 'user');
+    }
+
+    // The edge node identity widens the device's broker ACL
+    if (sparkplug_edge_node !== undefined) {
+      await provisioningService.syncBrokerFiles();
+    }
     
     // Update cache
     await redisClient.setEx(`device:${id}`, 300, JSON.stringify(updatedDevice));
@@ -330,8 +390,9 @@ const deleteDevice = catchAsync(async (req, res, next) => {
     // Delete related sensors
     await sensorsCollection.deleteMany({ device_id: id });
     
-    // Delete device
+    // Delete device and revoke its broker access
     await devicesCollection.deleteOne({ _id: id });
+    await provisioningService.revokeDevice(id, req.user.id);
     
     // Log device deletion
     await auditLogCollection.insertOne({
@@ -407,6 +468,98 @@ const getDeviceSensors = catchAsync(async (req, res, next) => {
   }
 });
 
+// Get device status change history
+const getDeviceStatusHistory = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 50, start_date, end_date } = req.query;
+  
+  const skip = (page - 1) * limit;
+  
+  try {
+    const db = mongoService.getDb();
+    const device = await db.collection('devices').findOne({ _id: id }, { projection: { status: 1, last_seen: 1 } });
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    const filter = { device_id: id };
+    if (start_date || end_date) {
+      filter.timestamp = {};
+      if (start_date) filter.timestamp.$gte = new Date(start_date);
+      if (end_date) filter.timestamp.$lte = new Date(end_date);
+    }
+    
+    const historyCollection = db.collection('device_status_history');
+    const [total, history] = await Promise.all([
+      historyCollection.countDocuments(filter),
+      historyCollection.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray()
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        device_id: id,
+        status: device.status,
+        last_seen: device.last_seen || null,
+        history,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching device status history:', error);
+    return next(new AppError('Failed to fetch device status history', 500));
+  }
+});
+
+// Get device health: liveness and connector poll status
+const getDeviceHealth = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  
+  try {
+    const device = await mongoService.getDb().collection('devices').findOne(
+      { _id: id },
+      { projection: { status: 1, status_reason: 1, status_changed_at: 1, last_seen: 1, heartbeat_interval: 1 } }
+    );
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    const modbus = modbusService.getDeviceStatus(id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        device_id: id,
+        status: device.status,
+        status_reason: device.status_reason || null,
+        status_changed_at: device.status_changed_at || null,
+        last_seen: device.last_seen || null,
+        heartbeat_interval: device.heartbeat_interval || null,
+        connectors: {
+          modbus
+        },
+        healthy: device.status === 'online' && (!modbus || modbus.state === 'polling')
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching device health:', error);
+    return next(new AppError('Failed to fetch device health', 500));
+  }
+});
+
 // Get device statistics (MongoDB implementation)
 const getDeviceStats = catchAsync(async (req, res, next) => {
   try {
@@ -500,7 +653,7 @@ const getDeviceStats = catchAsync(async (req, res, next) => {
 // Send command to device (MongoDB implementation)
 const sendCommand = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { command, parameters = {} } = req.body;
+  const { command, parameters = {}, priority = 'normal', timeout } = req.body;
   
   try {
     const db = mongoService.getDb();
@@ -508,7 +661,7 @@ const sendCommand = catchAsync(async (req, res, next) => {
     
     // Check if device exists and is online
     const device = await devicesCollection.findOne(
-      { _id: new ObjectId(id) },
+      { _id: id },
       { projection: { name: 1, status: 1 } }
     );
     
@@ -520,26 +673,20 @@ const sendCommand = catchAsync(async (req, res, next) => {
       return next(new AppError('Device is not online', 400));
     }
     
-    const commandId = uuidv4();
-    const commandData = {
-      command_id: commandId,
-      device_id: id,
-      command,
-      parameters,
-      timestamp: new Date().toISOString(),
-      sent_by: req.user.id
-    };
-    
-    // Store command in Redis for tracking
-    await redisClient.setEx(`command:${commandId}`, 300, JSON.stringify(commandData));
-    
-    // Send command via MQTT
-    if (mqttClient && mqttClient.connected) {
-      mqttClient.publish(`iiot/devices/${id}/commands`, JSON.stringify(commandData));
-    } else {
+    if (!mqttClient || !mqttClient.isConnected) {
       return next(new AppError('MQTT broker is not connected', 503));
     }
     
+    // Queue the command; delivery and responses are tracked by the command service
+    const commandDoc = await commandService.submit({
+      deviceId: id,
+      command,
+      parameters,
+      priority,
+      timeout,
+      userId: req.user.id
+    });
+    
     // Log command in audit_log collection
     const auditLogCollection = db.collection('audit_log');
     await auditLogCollection.insertOne({
@@ -547,24 +694,29 @@ const sendCommand = catchAsync(async (req, res, next) => {
       action: 'COMMAND',
       resource_type: 'device',
       resource_id: id,
-      details: { command, parameters, command_id: commandId },
+      details: { command, parameters, priority, command_id: commandDoc._id },
       timestamp: new Date()
     });
     
-    logger.info(`Command sent to device: ${id}`, {
+    logger.info(`Command queued for device: ${id}`, {
       command,
-      command_id: commandId,
+      command_id: commandDoc._id,
+      priority,
       sent_by: req.user.id
     });
     
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Command sent successfully',
+      message: 'Command accepted for delivery',
       data: {
-        command_id: commandId,
+        command_id: commandDoc._id,
+        correlation_id: commandDoc.correlation_id,
+        response_topic: commandDoc.response_topic,
         device_id: id,
         command,
-        parameters
+        parameters,
+        priority,
+        status: commandDoc.status
       },
       timestamp: new Date().toISOString()
     });
@@ -574,6 +726,223 @@ const sendCommand = catchAsync(async (req, res, next) => {
   }
 });
 
+// Get command history for a device
+const getDeviceCommands = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 50, status, start_date, end_date } = req.query;
+  
+  const skip = (page - 1) * limit;
+  
+  try {
+    const db = mongoService.getDb();
+    const device = await db.collection('devices').findOne({ _id: id }, { projection: { _id: 1 } });
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    const filter = { device_id: id };
+    if (status) filter.status = status;
+    if (start_date || end_date) {
+      filter.created_at = {};
+      if (start_date) filter.created_at.$gte = new Date(start_date);
+      if (end_date) filter.created_at.$lte = new Date(end_date);
+    }
+    
+    const commandsCollection = db.collection('device_commands');
+    const [total, commands] = await Promise.all([
+      commandsCollection.countDocuments(filter),
+      commandsCollection.find(filter, { projection: { history: 0 } })
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray()
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        commands,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching device commands:', error);
+    return next(new AppError('Failed to fetch device commands', 500));
+  }
+});
+
+// Get a single command with its status history
+const getDeviceCommandById = catchAsync(async (req, res, next) => {
+  const { id, commandId } = req.params;
+  
+  try {
+    const db = mongoService.getDb();
+    const command = await db.collection('device_commands').findOne({ _id: commandId, device_id: id });
+    
+    if (!command) {
+      return next(new AppError('Command not found', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: command,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching device command:', error);
+    return next(new AppError('Failed to fetch device command', 500));
+  }
+});
+
+// Get device credentials (secrets are never returned)
+const getDeviceCredentials = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  
+  try {
+    const device = await mongoService.getDb().collection('devices').findOne({ _id: id }, { projection: { _id: 1 } });
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await provisioningService.getCredentials(id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching device credentials:', error);
+    return next(new AppError('Failed to fetch device credentials', 500));
+  }
+});
+
+// Issue a new credential and revoke the current one
+const rotateDeviceCredential = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { type, certificate_fingerprint } = req.body;
+  
+  try {
+    const db = mongoService.getDb();
+    const device = await db.collection('devices').findOne({ _id: id }, { projection: { _id: 1 } });
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    const credential = await provisioningService.rotateCredential(id, {
+      type,
+      fingerprint: certificate_fingerprint
+    }, req.user.id);
+    
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'ROTATE_CREDENTIAL',
+      resource_type: 'device',
+      resource_id: id,
+      details: { credential_id: credential._id, type: credential.type },
+      timestamp: new Date()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Device credential rotated; the secret is shown only once',
+      data: credential,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error rotating device credential:', error);
+    return next(new AppError('Failed to rotate device credential', 500));
+  }
+});
+
+// Revoke a device credential
+const revokeDeviceCredential = catchAsync(async (req, res, next) => {
+  const { id, credentialId } = req.params;
+  
+  try {
+    const credential = await provisioningService.revokeCredential(id, credentialId, req.user.id);
+    
+    if (!credential) {
+      return next(new AppError('Credential not found', 404));
+    }
+    
+    await mongoService.getDb().collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'REVOKE_CREDENTIAL',
+      resource_type: 'device',
+      resource_id: id,
+      details: { credential_id: credentialId, type: credential.type },
+      timestamp: new Date()
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device credential revoked',
+      data: credential,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error revoking device credential:', error);
+    return next(new AppError('Failed to revoke device credential', 500));
+  }
+});
+
+// Create a one-time claim token for field commissioning
+const createClaimToken = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { credential_type, certificate_fingerprint, expires_in_hours } = req.body;
+  
+  try {
+    const db = mongoService.getDb();
+    const device = await db.collection('devices').findOne({ _id: id, is_active: { $ne: false } }, { projection: { _id: 1 } });
+    
+    if (!device) {
+      return next(new AppError('Device not found', 404));
+    }
+    
+    const claim = await provisioningService.createClaimToken(id, {
+      type: credential_type,
+      fingerprint: certificate_fingerprint,
+      expires_in_hours
+    }, req.user.id);
+    
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'CREATE_CLAIM_TOKEN',
+      resource_type: 'device',
+      resource_id: id,
+      details: { credential_type: claim.credential_type, expires_at: claim.expires_at },
+      timestamp: new Date()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Claim token created; it is shown only once',
+      data: claim,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error creating claim token:', error);
+    return next(new AppError('Failed to create claim token', 500));
+  }
+});
+
 module.exports = {
   getAllDevices,
   getDeviceById,
@@ -581,6 +950,14 @@ module.exports = {
   updateDevice,
   deleteDevice,
   getDeviceSensors,
+  getDeviceStatusHistory,
+  getDeviceHealth,
   getDeviceStats,
-  sendCommand
+  sendCommand,
+  getDeviceCommands,
+  getDeviceCommandById,
+  getDeviceCredentials,
+  rotateDeviceCredential,
+  revokeDeviceCredential,
+  createClaimToken
 };
\ No newline at end of file
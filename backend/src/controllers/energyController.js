@@ -0,0 +1,103 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const energyService = require('../services/energyService');
+
+const writeAudit = (req, action, resourceId, details) => mongoService.getDb().collection('audit_log').insertOne({
+  user_id: req.user.id,
+  action,
+  resource_type: 'energy_tariff',
+  resource_id: resourceId,
+  details,
+  timestamp: new Date()
+});
+
+// Get energy tariffs
+const getTariffs = catchAsync(async (req, res, next) => {
+  try {
+    const tariffs = await energyService.listTariffs();
+
+    res.status(200).json({
+      success: true,
+      data: tariffs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching energy tariffs:', error);
+    return next(new AppError('Failed to fetch energy tariffs', 500));
+  }
+});
+
+// Create a time-of-use energy tariff
+const createTariff = catchAsync(async (req, res, next) => {
+  try {
+    const tariff = await energyService.createTariff(req.body, req.user);
+    await writeAudit(req, 'CREATE', tariff._id, { name: tariff.name, is_default: tariff.is_default });
+
+    logger.info(`Energy tariff created: ${tariff._id}`, { name: tariff.name, created_by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Energy tariff created successfully',
+      data: tariff,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating energy tariff:', error);
+    return next(new AppError('Failed to create energy tariff', 500));
+  }
+});
+
+// Update an energy tariff
+const updateTariff = catchAsync(async (req, res, next) => {
+  const { tariffId } = req.params;
+
+  try {
+    const tariff = await energyService.updateTariff(tariffId, req.body, req.user);
+
+    if (!tariff) {
+      return next(new AppError('Energy tariff not found', 404));
+    }
+
+    await writeAudit(req, 'UPDATE', tariffId, { updated_fields: Object.keys(req.body) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Energy tariff updated successfully',
+      data: tariff,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating energy tariff:', error);
+    return next(new AppError('Failed to update energy tariff', 500));
+  }
+});
+
+// Delete an energy tariff
+const deleteTariff = catchAsync(async (req, res, next) => {
+  const { tariffId } = req.params;
+
+  try {
+    if (!(await energyService.deleteTariff(tariffId))) {
+      return next(new AppError('Energy tariff not found', 404));
+    }
+
+    await writeAudit(req, 'DELETE', tariffId, {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Energy tariff deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting energy tariff:', error);
+    return next(new AppError('Failed to delete energy tariff', 500));
+  }
+});
+
+module.exports = {
+  getTariffs,
+  createTariff,
+  updateTariff,
+  deleteTariff
+};
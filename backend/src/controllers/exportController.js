@@ -0,0 +1,140 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const exportService = require('../services/exportService');
+const { FluxQueryError } = require('../utils/flux');
+
+// Queue a background export of sensor data
+const createExportJob = catchAsync(async (req, res, next) => {
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const spec = await exportService.resolve(req.body);
+    // Reject invalid intervals now rather than in the job
+    exportService.buildQuery(spec);
+
+    const job = await exportService.createJob(spec, req.user);
+
+    await mongoService.getDb().collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'EXPORT',
+      resource_type: 'export_job',
+      resource_id: job._id,
+      details: { format: spec.format, start: spec.start, end: spec.end, sensor_ids: spec.sensor_ids },
+      timestamp: new Date()
+    });
+
+    logger.info(`Export job created: ${job._id}`, { file: job.file.name, created_by: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export job queued',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    if (error instanceof FluxQueryError) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error creating export job:', error);
+    return next(new AppError('Failed to create export job', 500));
+  }
+});
+
+// Get export jobs
+const getExportJobs = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const skip = (page - 1) * limit;
+
+  try {
+    const filter = status ? { status } : {};
+    const jobsCollection = mongoService.getDb().collection('export_jobs');
+
+    const [total, jobs] = await Promise.all([
+      jobsCollection.countDocuments(filter),
+      jobsCollection.find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching export jobs:', error);
+    return next(new AppError('Failed to fetch export jobs', 500));
+  }
+});
+
+// Get export job status and progress
+const getExportJobById = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await exportService.getJob(jobId);
+
+    if (!job) {
+      return next(new AppError('Export job not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching export job:', error);
+    return next(new AppError('Failed to fetch export job', 500));
+  }
+});
+
+// Download the file of a completed export job
+const downloadExport = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const artifact = await exportService.artifact(jobId);
+
+    res.setHeader('Content-Type', artifact.content_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.name}"`);
+    res.setHeader('Content-Length', String(artifact.size));
+    res.sendFile(artifact.path, (error) => {
+      if (error && !res.headersSent) {
+        next(new AppError('Failed to download export', 500));
+      } else if (error) {
+        logger.error(`Error sending export ${jobId}:`, error);
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error downloading export:', error);
+    return next(new AppError('Failed to download export', 500));
+  }
+});
+
+module.exports = {
+  createExportJob,
+  getExportJobs,
+  getExportJobById,
+  downloadExport
+};
@@ -0,0 +1,160 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const importService = require('../services/importService');
+
+const writeAudit = (req, action, resourceId, details) => mongoService.getDb().collection('audit_log').insertOne({
+  user_id: req.user.id,
+  action,
+  resource_type: 'import_job',
+  resource_id: resourceId,
+  details,
+  timestamp: new Date()
+});
+
+// Import historical sensor data from an uploaded CSV or Excel file
+const importData = catchAsync(async (req, res, next) => {
+  const dryRun = req.body.dry_run === true;
+  let file = req.file;
+  let job = null;
+
+  try {
+    file = { ...req.file, format: importService.detectFormat(req.file) };
+    const compiled = importService.compileMapping(req.body.mapping, req.body);
+
+    if (dryRun) {
+      const result = await importService.dryRun(file, compiled);
+
+      return res.status(200).json({
+        success: true,
+        message: result.readings_rejected > 0
+          ? `Dry run: ${result.readings_valid} readings valid, ${result.readings_rejected} rejected`
+          : `Dry run: ${result.readings_valid} readings valid`,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!influxService.isConfigured()) {
+      importService.removeUpload(file);
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    job = await importService.createJob(file, compiled, req.user);
+    await writeAudit(req, 'IMPORT', job._id, { file: job.file });
+
+    logger.info(`Import job created: ${job._id}`, { file: job.file.name, created_by: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import job queued',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // Once queued the job owns the upload
+    if (!job) {
+      importService.removeUpload(file);
+    }
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error importing data:', error);
+    return next(new AppError('Failed to import data', 500));
+  }
+});
+
+// Get import jobs
+const getImportJobs = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const skip = (page - 1) * limit;
+
+  try {
+    const filter = status ? { status } : {};
+    const jobsCollection = mongoService.getDb().collection('import_jobs');
+
+    const [total, jobs] = await Promise.all([
+      jobsCollection.countDocuments(filter),
+      jobsCollection.find(filter, { projection: { errors: 0 } })
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching import jobs:', error);
+    return next(new AppError('Failed to fetch import jobs', 500));
+  }
+});
+
+// Get import job status, progress and validation errors
+const getImportJobById = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await mongoService.getDb().collection('import_jobs').findOne({ _id: jobId });
+
+    if (!job) {
+      return next(new AppError('Import job not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching import job:', error);
+    return next(new AppError('Failed to fetch import job', 500));
+  }
+});
+
+// Cancel a queued or running import job
+const cancelImportJob = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await mongoService.getDb().collection('import_jobs').findOne({ _id: jobId }, { projection: { status: 1 } });
+
+    if (!job) {
+      return next(new AppError('Import job not found', 404));
+    }
+
+    if (!(await importService.cancel(jobId))) {
+      return next(new AppError(`Import job is ${job.status} and cannot be cancelled`, 409));
+    }
+
+    await writeAudit(req, 'CANCEL_IMPORT', jobId, { previous_status: job.status });
+
+    res.status(202).json({
+      success: true,
+      message: job.status === 'queued' ? 'Import job cancelled' : 'Import job cancellation requested',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error cancelling import job:', error);
+    return next(new AppError('Failed to cancel import job', 500));
+  }
+});
+
+module.exports = {
+  importData,
+  getImportJobs,
+  getImportJobById,
+  cancelImportJob
+};
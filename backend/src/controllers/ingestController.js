@@ -0,0 +1,639 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { mqttClient } = require('../config/mqtt');
+const mongoService = require('../services/mongoService');
+const topicMappingService = require('../services/topicMappingService');
+const deadLetterService = require('../services/deadLetterService');
+const batchIngestService = require('../services/batchIngestService');
+
+const MAX_BULK_REPLAY = 1000;
+
+const MAPPING_FIELDS = [
+  'name',
+  'description',
+  'topic_pattern',
+  'value_expression',
+  'timestamp_expression',
+  'unit',
+  'device_id',
+  'sensor_id',
+  'qos',
+  'priority',
+  'enabled'
+];
+
+const pickMappingFields = (source) => MAPPING_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = source[field];
+  }
+  return fields;
+}, {});
+
+// Reload rules so the MQTT client picks up the change; a failure here must not fail the request
+const reloadMappings = async () => {
+  try {
+    await topicMappingService.reload();
+  } catch (error) {
+    logger.error('Error reloading topic mappings:', error);
+  }
+};
+
+// Get all topic mappings
+const getMappings = catchAsync(async (req, res, next) => {
+  const { enabled } = req.query;
+
+  try {
+    const filter = {};
+    if (enabled !== undefined) {
+      filter.enabled = enabled === 'true' ? { $ne: false } : false;
+    }
+
+    const mappings = await mongoService.getDb().collection('ingest_mappings')
+      .find(filter)
+      .sort({ priority: -1, created_at: 1 })
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      data: mappings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching topic mappings:', error);
+    return next(new AppError('Failed to fetch topic mappings', 500));
+  }
+});
+
+// Get topic mapping by ID
+const getMappingById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const mapping = await mongoService.getDb().collection('ingest_mappings').findOne({ _id: id });
+
+    if (!mapping) {
+      return next(new AppError('Topic mapping not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapping,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching topic mapping:', error);
+    return next(new AppError('Failed to fetch topic mapping', 500));
+  }
+});
+
+// Create topic mapping
+const createMapping = catchAsync(async (req, res, next) => {
+  const mappingData = {
+    value_expression: '$',
+    qos: 1,
+    priority: 0,
+    enabled: true,
+    ...pickMappingFields(req.body)
+  };
+
+  const errors = topicMappingService.validateMapping(mappingData);
+  if (errors.length > 0) {
+    return next(new AppError(`Invalid topic mapping: ${errors.join('; ')}`, 400));
+  }
+
+  try {
+    const db = mongoService.getDb();
+    const mappingId = uuidv4();
+
+    const mapping = {
+      _id: mappingId,
+      ...mappingData,
+      created_by: req.user.id,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    await db.collection('ingest_mappings').insertOne(mapping);
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'CREATE',
+      resource_type: 'ingest_mapping',
+      resource_id: mappingId,
+      details: { name: mapping.name, topic_pattern: mapping.topic_pattern },
+      timestamp: new Date()
+    });
+
+    await reloadMappings();
+
+    logger.info(`Topic mapping created: ${mappingId}`, {
+      topic_pattern: mapping.topic_pattern,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Topic mapping created successfully',
+      data: mapping,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating topic mapping:', error);
+    return next(new AppError('Failed to create topic mapping', 500));
+  }
+});
+
+// Update topic mapping
+const updateMapping = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const updateFields = pickMappingFields(req.body);
+
+  if (Object.keys(updateFields).length === 0) {
+    return next(new AppError('No fields to update', 400));
+  }
+
+  try {
+    const db = mongoService.getDb();
+    const mappingsCollection = db.collection('ingest_mappings');
+
+    const existing = await mappingsCollection.findOne({ _id: id });
+    if (!existing) {
+      return next(new AppError('Topic mapping not found', 404));
+    }
+
+    const errors = topicMappingService.validateMapping({ ...existing, ...updateFields });
+    if (errors.length > 0) {
+      return next(new AppError(`Invalid topic mapping: ${errors.join('; ')}`, 400));
+    }
+
+    updateFields.updated_at = new Date();
+
+    const updatedMapping = await mappingsCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: updateFields },
+      { returnDocument: 'after' }
+    );
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'UPDATE',
+      resource_type: 'ingest_mapping',
+      resource_id: id,
+      details: { updated_fields: Object.keys(req.body) },
+      timestamp: new Date()
+    });
+
+    await reloadMappings();
+
+    logger.info(`Topic mapping updated: ${id}`, {
+      updated_fields: Object.keys(req.body),
+      updated_by: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Topic mapping updated successfully',
+      data: updatedMapping,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating topic mapping:', error);
+    return next(new AppError('Failed to update topic mapping', 500));
+  }
+});
+
+// Delete topic mapping
+const deleteMapping = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const db = mongoService.getDb();
+    const mapping = await db.collection('ingest_mappings').findOne({ _id: id });
+
+    if (!mapping) {
+      return next(new AppError('Topic mapping not found', 404));
+    }
+
+    await db.collection('ingest_mappings').deleteOne({ _id: id });
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'DELETE',
+      resource_type: 'ingest_mapping',
+      resource_id: id,
+      details: { name: mapping.name, topic_pattern: mapping.topic_pattern },
+      timestamp: new Date()
+    });
+
+    await reloadMappings();
+
+    logger.info(`Topic mapping deleted: ${id}`, { deleted_by: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Topic mapping deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting topic mapping:', error);
+    return next(new AppError('Failed to delete topic mapping', 500));
+  }
+});
+
+// Preview how a topic and payload are mapped, without storing anything
+const testMapping = catchAsync(async (req, res, next) => {
+  const { mapping, topic, payload } = req.body;
+
+  let rules;
+  if (mapping) {
+    const errors = topicMappingService.validateMapping(mapping);
+    if (errors.length > 0) {
+      return next(new AppError(`Invalid topic mapping: ${errors.join('; ')}`, 400));
+    }
+    rules = [topicMappingService.compile({ value_expression: '$', ...mapping })];
+  }
+
+  const match = topicMappingService.match(topic, rules);
+  if (!match) {
+    return res.status(200).json({
+      success: true,
+      data: { matched: false },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  let reading = null;
+  let error = null;
+
+  try {
+    reading = topicMappingService.extract(match, message);
+  } catch (extractError) {
+    error = extractError.message;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      matched: true,
+      mapping_id: match.rule.mapping._id || null,
+      params: match.params,
+      reading,
+      error
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Build a dead letter filter from query or body parameters
+const buildDeadLetterFilter = ({ status, reason, topic, source, start_date, end_date }) => {
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (reason) filter.reason = reason;
+  if (source) filter.source = source;
+  if (topic) {
+    // Topic filters are prefixes, e.g. "iiot/press-01"
+    filter.topic = { $regex: `^${topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+  }
+  if (start_date || end_date) {
+    filter.received_at = {};
+    if (start_date) filter.received_at.$gte = new Date(start_date);
+    if (end_date) filter.received_at.$lte = new Date(end_date);
+  }
+
+  return filter;
+};
+
+const replayThroughIngestion = (deadLetter, userId) => deadLetterService.replay(
+  deadLetter,
+  (topic, message) => mqttClient.processMessage(topic, message),
+  userId
+);
+
+// Get dead letters
+const getDeadLetters = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  try {
+    const collection = mongoService.getDb().collection('ingest_dead_letters');
+    const filter = buildDeadLetterFilter(req.query);
+
+    const [total, deadLetters, reasons] = await Promise.all([
+      collection.countDocuments(filter),
+      collection.find(filter, { projection: { payload: 0 } })
+        .sort({ received_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      collection.aggregate([
+        { $match: { status: 'pending' } },
+        { $group: { _id: '$reason', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]).toArray()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dead_letters: deadLetters,
+        pending_by_reason: reasons.map(({ _id, count }) => ({ reason: _id, count })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching dead letters:', error);
+    return next(new AppError('Failed to fetch dead letters', 500));
+  }
+});
+
+// Get dead letter by ID, including the raw payload
+const getDeadLetterById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const deadLetter = await mongoService.getDb().collection('ingest_dead_letters').findOne({ _id: id });
+
+    if (!deadLetter) {
+      return next(new AppError('Dead letter not found', 404));
+    }
+
+    let parsedPayload = null;
+    if (deadLetter.payload_encoding === 'utf8') {
+      try {
+        parsedPayload = JSON.parse(deadLetter.payload);
+      } catch (error) {
+        // Not JSON, the raw payload is returned as is
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...deadLetter, parsed_payload: parsedPayload },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching dead letter:', error);
+    return next(new AppError('Failed to fetch dead letter', 500));
+  }
+});
+
+// Fix a dead letter's payload or topic before replaying it
+const updateDeadLetter = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { topic, payload, payload_encoding = 'utf8' } = req.body;
+
+  try {
+    const db = mongoService.getDb();
+    const collection = db.collection('ingest_dead_letters');
+
+    const deadLetter = await collection.findOne({ _id: id });
+    if (!deadLetter) {
+      return next(new AppError('Dead letter not found', 404));
+    }
+    if (deadLetter.status === 'replayed') {
+      return next(new AppError('Dead letter has already been replayed', 409));
+    }
+
+    const updateFields = { fixed_by: req.user.id, fixed_at: new Date(), updated_at: new Date() };
+    if (topic !== undefined) updateFields.topic = topic;
+    if (payload !== undefined) {
+      Object.assign(
+        updateFields,
+        payload_encoding === 'base64'
+          ? { payload, payload_encoding }
+          : deadLetterService.encodePayload(payload)
+      );
+    }
+
+    // The first fix keeps the message as it was received
+    if (!deadLetter.original) {
+      updateFields.original = {
+        topic: deadLetter.topic,
+        payload: deadLetter.payload,
+        payload_encoding: deadLetter.payload_encoding
+      };
+    }
+
+    const updatedDeadLetter = await collection.findOneAndUpdate(
+      { _id: id },
+      { $set: updateFields },
+      { returnDocument: 'after' }
+    );
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'UPDATE',
+      resource_type: 'ingest_dead_letter',
+      resource_id: id,
+      details: { updated_fields: Object.keys(req.body) },
+      timestamp: new Date()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter updated successfully',
+      data: updatedDeadLetter,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating dead letter:', error);
+    return next(new AppError('Failed to update dead letter', 500));
+  }
+});
+
+// Replay a single dead letter through the ingestion path
+const replayDeadLetter = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const deadLetter = await mongoService.getDb().collection('ingest_dead_letters').findOne({ _id: id });
+
+    if (!deadLetter) {
+      return next(new AppError('Dead letter not found', 404));
+    }
+    if (deadLetter.status === 'replayed') {
+      return next(new AppError('Dead letter has already been replayed', 409));
+    }
+
+    const result = await replayThroughIngestion(deadLetter, req.user.id);
+
+    logger.info(`Dead letter ${id} replay ${result.replayed ? 'succeeded' : 'rejected'}`, {
+      reason: result.reason,
+      replayed_by: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.replayed ? 'Dead letter replayed successfully' : 'Dead letter was rejected again',
+      data: { id, ...result },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error replaying dead letter:', error);
+    return next(new AppError('Failed to replay dead letter', 500));
+  }
+});
+
+// Replay pending dead letters matching a filter, oldest first
+const replayDeadLetters = catchAsync(async (req, res, next) => {
+  const { ids, limit = 100 } = req.body;
+
+  try {
+    const filter = { ...buildDeadLetterFilter(req.body), status: 'pending' };
+    if (Array.isArray(ids) && ids.length > 0) {
+      filter._id = { $in: ids };
+    }
+
+    const deadLetters = await mongoService.getDb().collection('ingest_dead_letters')
+      .find(filter)
+      .sort({ received_at: 1 })
+      .limit(Math.min(parseInt(limit), MAX_BULK_REPLAY))
+      .toArray();
+
+    const results = [];
+    for (const deadLetter of deadLetters) {
+      results.push({ id: deadLetter._id, ...(await replayThroughIngestion(deadLetter, req.user.id)) });
+    }
+
+    const replayed = results.filter((result) => result.replayed).length;
+
+    logger.info(`Replayed ${replayed} of ${results.length} dead letters`, { replayed_by: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attempted: results.length,
+        replayed,
+        rejected: results.length - replayed,
+        results
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error replaying dead letters:', error);
+    return next(new AppError('Failed to replay dead letters', 500));
+  }
+});
+
+// Delete a single dead letter
+const deleteDeadLetter = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const db = mongoService.getDb();
+    const result = await db.collection('ingest_dead_letters').deleteOne({ _id: id });
+
+    if (result.deletedCount === 0) {
+      return next(new AppError('Dead letter not found', 404));
+    }
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'DELETE',
+      resource_type: 'ingest_dead_letter',
+      resource_id: id,
+      details: {},
+      timestamp: new Date()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting dead letter:', error);
+    return next(new AppError('Failed to delete dead letter', 500));
+  }
+});
+
+// Purge dead letters matching a filter
+const purgeDeadLetters = catchAsync(async (req, res, next) => {
+  try {
+    const db = mongoService.getDb();
+    const filter = buildDeadLetterFilter(req.query);
+
+    if (Object.keys(filter).length === 0 && req.query.all !== 'true') {
+      return next(new AppError('Specify a filter or all=true to purge every dead letter', 400));
+    }
+
+    const result = await db.collection('ingest_dead_letters').deleteMany(filter);
+
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'DELETE',
+      resource_type: 'ingest_dead_letter',
+      resource_id: null,
+      details: { filter: req.query, deleted_count: result.deletedCount },
+      timestamp: new Date()
+    });
+
+    logger.info(`Purged ${result.deletedCount} dead letters`, { filter: req.query, purged_by: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} dead letters purged`,
+      data: { deleted_count: result.deletedCount },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error purging dead letters:', error);
+    return next(new AppError('Failed to purge dead letters', 500));
+  }
+});
+
+// Ingest a batch of readings from a device or edge gateway
+const ingestBatch = catchAsync(async (req, res, next) => {
+  const format = batchIngestService.detectFormat(req.get('Content-Type'));
+
+  if (!format) {
+    return next(new AppError('Unsupported content type; use application/json, application/x-ndjson or text/plain (line protocol)', 415));
+  }
+
+  try {
+    const result = await batchIngestService.ingest(req.device, req.body, format, {
+      precision: req.query.precision
+    });
+
+    res.status(result.accepted > 0 ? 202 : 400).json({
+      success: result.accepted > 0,
+      message: result.rejected > 0
+        ? `${result.accepted} readings accepted, ${result.rejected} rejected`
+        : `${result.accepted} readings accepted`,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error ingesting batch:', error);
+    return next(new AppError('Failed to ingest batch', 500));
+  }
+});
+
+module.exports = {
+  ingestBatch,
+  getMappings,
+  getMappingById,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  testMapping,
+  getDeadLetters,
+  getDeadLetterById,
+  updateDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  deleteDeadLetter,
+  purgeDeadLetters
+};
@@ -0,0 +1,408 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const opcuaService = require('../services/opcuaService');
+
+const CONNECTION_FIELDS = [
+  'name',
+  'description',
+  'endpoint_url',
+  'security_mode',
+  'security_policy',
+  'authentication',
+  'mode',
+  'publishing_interval',
+  'enabled'
+];
+
+const BINDING_FIELDS = ['node_id', 'sensor_id', 'mode', 'sampling_rate', 'enabled'];
+
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Passwords are write-only
+const sanitizeConnection = (connection) => {
+  const { authentication, ...rest } = connection;
+  const safe = { ...rest, runtime: opcuaService.getConnectionStatus(connection._id) };
+
+  if (authentication) {
+    const { password, ...auth } = authentication;
+    safe.authentication = { ...auth, password_set: Boolean(password) };
+  }
+  return safe;
+};
+
+const validateSecurity = ({ security_mode: mode = 'None', security_policy: policy = 'None' }) => {
+  if (mode === 'None' && policy !== 'None') {
+    return 'Security policy must be None when security mode is None';
+  }
+  if (mode !== 'None' && policy === 'None') {
+    return `Security mode ${mode} requires a security policy`;
+  }
+  return null;
+};
+
+const buildBinding = (source) => ({
+  _id: uuidv4(),
+  mode: null,
+  sampling_rate: null,
+  enabled: true,
+  ...pickFields(source, BINDING_FIELDS)
+});
+
+// Bindings must point at registered sensors; returns the missing sensor IDs
+const findMissingSensors = async (db, bindings) => {
+  const sensorIds = [...new Set(bindings.map((binding) => binding.sensor_id))];
+  if (sensorIds.length === 0) {
+    return [];
+  }
+
+  const sensors = await db.collection('sensors')
+    .find({ _id: { $in: sensorIds } }, { projection: { _id: 1 } })
+    .toArray();
+  const found = new Set(sensors.map((sensor) => sensor._id));
+  return sensorIds.filter((sensorId) => !found.has(sensorId));
+};
+
+// Restart the running connection; a failure here must not fail the request
+const reloadConnection = async (connectionId) => {
+  try {
+    await opcuaService.reload(connectionId);
+  } catch (error) {
+    logger.error(`Error reloading OPC UA connection ${connectionId}:`, error);
+  }
+};
+
+const writeAudit = (db, req, action, resourceId, details) => db.collection('audit_log').insertOne({
+  user_id: req.user.id,
+  action,
+  resource_type: 'opcua_connection',
+  resource_id: resourceId,
+  details,
+  timestamp: new Date()
+});
+
+// Get all OPC UA connections
+const getConnections = catchAsync(async (req, res, next) => {
+  try {
+    const connections = await mongoService.getDb().collection('opcua_connections')
+      .find({})
+      .sort({ name: 1 })
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      data: connections.map(sanitizeConnection),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching OPC UA connections:', error);
+    return next(new AppError('Failed to fetch OPC UA connections', 500));
+  }
+});
+
+// Get OPC UA connection by ID
+const getConnectionById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const connection = await mongoService.getDb().collection('opcua_connections').findOne({ _id: id });
+
+    if (!connection) {
+      return next(new AppError('OPC UA connection not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sanitizeConnection(connection),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching OPC UA connection:', error);
+    return next(new AppError('Failed to fetch OPC UA connection', 500));
+  }
+});
+
+// Create OPC UA connection
+const createConnection = catchAsync(async (req, res, next) => {
+  const connectionData = {
+    security_mode: 'None',
+    security_policy: 'None',
+    authentication: { type: 'anonymous' },
+    mode: 'subscription',
+    publishing_interval: 1000,
+    enabled: true,
+    ...pickFields(req.body, CONNECTION_FIELDS)
+  };
+
+  const securityError = validateSecurity(connectionData);
+  if (securityError) {
+    return next(new AppError(securityError, 400));
+  }
+
+  try {
+    const db = mongoService.getDb();
+    const bindings = (req.body.bindings || []).map(buildBinding);
+
+    const missingSensors = await findMissingSensors(db, bindings);
+    if (missingSensors.length > 0) {
+      return next(new AppError(`Sensors not found: ${missingSensors.join(', ')}`, 400));
+    }
+
+    const connectionId = uuidv4();
+    const connection = {
+      _id: connectionId,
+      ...connectionData,
+      bindings,
+      created_by: req.user.id,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    await db.collection('opcua_connections').insertOne(connection);
+    await writeAudit(db, req, 'CREATE', connectionId, {
+      name: connection.name,
+      endpoint_url: connection.endpoint_url
+    });
+
+    await reloadConnection(connectionId);
+
+    logger.info(`OPC UA connection created: ${connectionId}`, {
+      endpoint_url: connection.endpoint_url,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'OPC UA connection created successfully',
+      data: sanitizeConnection(connection),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating OPC UA connection:', error);
+    return next(new AppError('Failed to create OPC UA connection', 500));
+  }
+});
+
+// Update OPC UA connection
+const updateConnection = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const updateFields = pickFields(req.body, CONNECTION_FIELDS);
+
+  if (Object.keys(updateFields).length === 0) {
+    return next(new AppError('No fields to update', 400));
+  }
+
+  try {
+    const db = mongoService.getDb();
+    const connectionsCollection = db.collection('opcua_connections');
+
+    const existing = await connectionsCollection.findOne({ _id: id });
+    if (!existing) {
+      return next(new AppError('OPC UA connection not found', 404));
+    }
+
+    const securityError = validateSecurity({ ...existing, ...updateFields });
+    if (securityError) {
+      return next(new AppError(securityError, 400));
+    }
+
+    // Keep the stored password when only the username changes
+    if (updateFields.authentication && updateFields.authentication.type === 'username'
+      && updateFields.authentication.password === undefined && existing.authentication) {
+      updateFields.authentication.password = existing.authentication.password;
+    }
+
+    updateFields.updated_at = new Date();
+
+    const updatedConnection = await connectionsCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: updateFields },
+      { returnDocument: 'after' }
+    );
+
+    await writeAudit(db, req, 'UPDATE', id, { updated_fields: Object.keys(req.body) });
+    await reloadConnection(id);
+
+    logger.info(`OPC UA connection updated: ${id}`, {
+      updated_fields: Object.keys(req.body),
+      updated_by: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'OPC UA connection updated successfully',
+      data: sanitizeConnection(updatedConnection),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating OPC UA connection:', error);
+    return next(new AppError('Failed to update OPC UA connection', 500));
+  }
+});
+
+// Delete OPC UA connection
+const deleteConnection = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const db = mongoService.getDb();
+    const connection = await db.collection('opcua_connections').findOneAndDelete({ _id: id });
+
+    if (!connection) {
+      return next(new AppError('OPC UA connection not found', 404));
+    }
+
+    await writeAudit(db, req, 'DELETE', id, { name: connection.name });
+    await reloadConnection(id);
+
+    logger.info(`OPC UA connection deleted: ${id}`, { deleted_by: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'OPC UA connection deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting OPC UA connection:', error);
+    return next(new AppError('Failed to delete OPC UA connection', 500));
+  }
+});
+
+// Add a node-to-sensor binding
+const addBinding = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const binding = buildBinding(req.body);
+
+  try {
+    const db = mongoService.getDb();
+
+    const missingSensors = await findMissingSensors(db, [binding]);
+    if (missingSensors.length > 0) {
+      return next(new AppError('Sensor not found', 400));
+    }
+
+    const result = await db.collection('opcua_connections').updateOne(
+      { _id: id },
+      { $push: { bindings: binding }, $set: { updated_at: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return next(new AppError('OPC UA connection not found', 404));
+    }
+
+    await writeAudit(db, req, 'ADD_BINDING', id, {
+      binding_id: binding._id,
+      node_id: binding.node_id,
+      sensor_id: binding.sensor_id
+    });
+    await reloadConnection(id);
+
+    res.status(201).json({
+      success: true,
+      message: 'OPC UA binding added successfully',
+      data: binding,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error adding OPC UA binding:', error);
+    return next(new AppError('Failed to add OPC UA binding', 500));
+  }
+});
+
+// Update a node-to-sensor binding
+const updateBinding = catchAsync(async (req, res, next) => {
+  const { id, bindingId } = req.params;
+  const updateFields = pickFields(req.body, BINDING_FIELDS);
+
+  if (Object.keys(updateFields).length === 0) {
+    return next(new AppError('No fields to update', 400));
+  }
+
+  try {
+    const db = mongoService.getDb();
+
+    if (updateFields.sensor_id) {
+      const missingSensors = await findMissingSensors(db, [updateFields]);
+      if (missingSensors.length > 0) {
+        return next(new AppError('Sensor not found', 400));
+      }
+    }
+
+    const $set = Object.entries(updateFields).reduce((fields, [field, value]) => {
+      fields[`bindings.$.${field}`] = value;
+      return fields;
+    }, { updated_at: new Date() });
+
+    const updatedConnection = await db.collection('opcua_connections').findOneAndUpdate(
+      { _id: id, 'bindings._id': bindingId },
+      { $set },
+      { returnDocument: 'after' }
+    );
+
+    if (!updatedConnection) {
+      return next(new AppError('OPC UA binding not found', 404));
+    }
+
+    await writeAudit(db, req, 'UPDATE_BINDING', id, {
+      binding_id: bindingId,
+      updated_fields: Object.keys(updateFields)
+    });
+    await reloadConnection(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'OPC UA binding updated successfully',
+      data: updatedConnection.bindings.find((binding) => binding._id === bindingId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating OPC UA binding:', error);
+    return next(new AppError('Failed to update OPC UA binding', 500));
+  }
+});
+
+// Remove a node-to-sensor binding
+const deleteBinding = catchAsync(async (req, res, next) => {
+  const { id, bindingId } = req.params;
+
+  try {
+    const db = mongoService.getDb();
+    const result = await db.collection('opcua_connections').updateOne(
+      { _id: id, 'bindings._id': bindingId },
+      { $pull: { bindings: { _id: bindingId } }, $set: { updated_at: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return next(new AppError('OPC UA binding not found', 404));
+    }
+
+    await writeAudit(db, req, 'DELETE_BINDING', id, { binding_id: bindingId });
+    await reloadConnection(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'OPC UA binding deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting OPC UA binding:', error);
+    return next(new AppError('Failed to delete OPC UA binding', 500));
+  }
+});
+
+module.exports = {
+  getConnections,
+  getConnectionById,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  addBinding,
+  updateBinding,
+  deleteBinding
+};
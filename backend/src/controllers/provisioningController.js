@@ -0,0 +1,42 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const provisioningService = require('../services/provisioningService');
+
+// Redeem a one-time claim token from the field
+const claimDevice = catchAsync(async (req, res, next) => {
+  const { claim_token, certificate_fingerprint } = req.body;
+
+  try {
+    const { device_id: deviceId, credential } = await provisioningService.claim(claim_token, {
+      fingerprint: certificate_fingerprint
+    });
+
+    await mongoService.getDb().collection('audit_log').insertOne({
+      user_id: null,
+      action: 'CLAIM',
+      resource_type: 'device',
+      resource_id: deviceId,
+      details: { credential_id: credential._id, type: credential.type, ip: req.ip },
+      timestamp: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device claimed; store the credential, it is shown only once',
+      data: { device_id: deviceId, credential },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      logger.logSecurity('device_claim_failed', 'medium', { ip: req.ip, reason: error.message });
+      return next(error);
+    }
+    logger.error('Error claiming device:', error);
+    return next(new AppError('Failed to claim device', 500));
+  }
+});
+
+module.exports = {
+  claimDevice
+};
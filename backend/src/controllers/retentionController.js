@@ -0,0 +1,163 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const retentionService = require('../services/retentionService');
+
+const writeAudit = (req, action, resourceId, details) => mongoService.getDb().collection('audit_log').insertOne({
+  user_id: req.user.id,
+  action,
+  resource_type: 'retention_policy',
+  resource_id: resourceId,
+  details,
+  timestamp: new Date()
+});
+
+// Get downsampling tiers, rollup progress and retention policies
+const getRetention = catchAsync(async (req, res, next) => {
+  try {
+    const policies = await retentionService.listPolicies();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...retentionService.getStatus(),
+        policies
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching retention settings:', error);
+    return next(new AppError('Failed to fetch retention settings', 500));
+  }
+});
+
+// Create a retention policy for sensors, devices or device types
+const createPolicy = catchAsync(async (req, res, next) => {
+  try {
+    const policy = await retentionService.createPolicy(req.body, req.user);
+    await writeAudit(req, 'CREATE', policy._id, { name: policy.name, retention: policy.retention });
+
+    logger.info(`Retention policy created: ${policy._id}`, { name: policy.name, created_by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Retention policy created successfully',
+      data: policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating retention policy:', error);
+    return next(new AppError('Failed to create retention policy', 500));
+  }
+});
+
+// Update a retention policy
+const updatePolicy = catchAsync(async (req, res, next) => {
+  const { policyId } = req.params;
+
+  try {
+    const policy = await retentionService.updatePolicy(policyId, req.body, req.user);
+
+    if (!policy) {
+      return next(new AppError('Retention policy not found', 404));
+    }
+
+    await writeAudit(req, 'UPDATE', policyId, { changes: req.body });
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating retention policy:', error);
+    return next(new AppError('Failed to update retention policy', 500));
+  }
+});
+
+// Delete a retention policy; its sensors fall back to the next matching policy or the tier defaults
+const deletePolicy = catchAsync(async (req, res, next) => {
+  const { policyId } = req.params;
+
+  try {
+    if (!(await retentionService.deletePolicy(policyId))) {
+      return next(new AppError('Retention policy not found', 404));
+    }
+
+    await writeAudit(req, 'DELETE', policyId, {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting retention policy:', error);
+    return next(new AppError('Failed to delete retention policy', 500));
+  }
+});
+
+// Apply retention policies now instead of waiting for the next scheduled check
+const enforceRetention = catchAsync(async (req, res, next) => {
+  try {
+    if (!retentionService.isActive()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    const result = await retentionService.enforce();
+
+    res.status(200).json({
+      success: true,
+      message: result.errors > 0
+        ? `Retention applied, ${result.errors} purges failed`
+        : 'Retention applied',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error applying retention:', error);
+    return next(new AppError('Failed to apply retention', 500));
+  }
+});
+
+// Rebuild rollups from a point in time, e.g. after correcting historical readings
+const rebuildRollups = catchAsync(async (req, res, next) => {
+  const since = new Date(req.body.start_time);
+
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+
+    retentionService.invalidate(since);
+    await mongoService.getDb().collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'REBUILD',
+      resource_type: 'rollup',
+      resource_id: 'all',
+      details: { start_time: since },
+      timestamp: new Date()
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Rollups will be rebuilt from the given time on the next run',
+      data: { start_time: since },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error scheduling rollup rebuild:', error);
+    return next(new AppError('Failed to schedule rollup rebuild', 500));
+  }
+});
+
+module.exports = {
+  getRetention,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  enforceRetention,
+  rebuildRollups
+};
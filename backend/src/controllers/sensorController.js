@@ -5,6 +5,11 @@ const logger = require('../utils/logger');
 const { redisClient } = require('../config/redis');
 const { mqttClient } = require('../config/mqtt');
 const mongoService = require('../services/mongoService');
+const influxService = require('../services/influxService');
+const compressionService = require('../services/compressionService');
+const calibrationService = require('../services/calibrationService');
+const virtualSensorService = require('../services/virtualSensorService');
+const { resolveUnit, compatibleUnits, sensorUnitError } = require('../utils/units');
 
 // Get all sensors
 const getAllSensors = catchAsync(async (req, res, next) => {
@@ -217,8 +222,11 @@ const createSensor = catchAsync(async (req, res, next) => {
     calibration_offset = 0,
     calibration_factor = 1,
     sampling_rate = 1000,
+    calibration_date,
+    calibration_interval,
     configuration = {},
-    tags = []
+    tags = [],
+    virtual
   } = req.body;
   
   try {
@@ -234,8 +242,16 @@ const createSensor = catchAsync(async (req, res, next) => {
       return next(new AppError('Device not found', 404));
     }
     
+    const unitError = sensorUnitError(sensor_type, unit);
+    if (unitError) {
+      return next(new AppError(unitError, 400));
+    }
+    
     const sensorId = uuidv4();
     
+    // Virtual sensors compute their value from other sensors
+    const virtualDefinition = virtual ? await virtualSensorService.validate(virtual, sensorId) : null;
+    
     // Create sensor document
     const sensorData = {
       _id: sensorId,
@@ -249,8 +265,11 @@ const createSensor = catchAsync(async (req, res, next) => {
       calibration_offset,
       calibration_factor,
       sampling_rate,
+      calibration_date: calibration_date ? new Date(calibration_date) : null,
+      calibration_interval: calibration_interval || null,
       configuration,
       tags,
+      ...(virtualDefinition && { virtual: virtualDefinition }),
       status: 'active',
       created_by: req.user.id,
       created_at: new Date(),
@@ -260,13 +279,17 @@ const createSensor = catchAsync(async (req, res, next) => {
     // Insert sensor
     await sensorsCollection.insertOne(sensorData);
     
+    if (virtualDefinition) {
+      await virtualSensorService.refresh();
+    }
+    
     // Log sensor creation
     await auditLogCollection.insertOne({
       user_id: req.user.id,
       action: 'CREATE',
       resource_type: 'sensor',
       resource_id: sensorId,
-      details: { name, sensor_type, device_id, unit },
+      details: { name, sensor_type, device_id, unit, virtual: virtualDefinition },
       timestamp: new Date()
     });
     
@@ -298,6 +321,9 @@ const createSensor = catchAsync(async (req, res, next) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     logger.error('Error creating sensor:', error);
     return next(new AppError('Failed to create sensor', 500));
   }
@@ -316,9 +342,12 @@ const updateSensor = catchAsync(async (req, res, next) => {
     calibration_offset,
     calibration_factor,
     sampling_rate,
+    calibration_date,
+    calibration_interval,
     configuration,
     tags,
-    status
+    status,
+    virtual
   } = req.body;
   
   try {
@@ -326,8 +355,33 @@ const updateSensor = catchAsync(async (req, res, next) => {
     const sensorsCollection = db.collection('sensors');
     const auditLogCollection = db.collection('audit_log');
     
+    if (unit !== undefined || sensor_type !== undefined) {
+      const current = await sensorsCollection.findOne({ _id: id }, { projection: { sensor_type: 1, unit: 1 } });
+      if (!current) {
+        return next(new AppError('Sensor not found', 404));
+      }
+      
+      const unitError = sensorUnitError(
+        sensor_type !== undefined ? sensor_type : current.sensor_type,
+        unit !== undefined ? unit : current.unit
+      );
+      if (unitError) {
+        return next(new AppError(unitError, 400));
+      }
+      
+      // Stored readings keep their unit, so a new unit must convert to the old one
+      const previous = resolveUnit(current.unit);
+      if (unit !== undefined && previous && !compatibleUnits(current.unit, unit)) {
+        return next(new AppError(
+          `Unit ${unit} measures ${resolveUnit(unit).dimension}, but the readings of this sensor are ${previous.dimension} (${current.unit}); create a new sensor instead`,
+          400
+        ));
+      }
+    }
+    
     // Build update object dynamically
     const updateFields = {};
+    const unsetFields = {};
     
     if (name !== undefined) updateFields.name = name;
     if (description !== undefined) updateFields.description = description;
@@ -338,11 +392,20 @@ const updateSensor = catchAsync(async (req, res, next) => {
     if (calibration_offset !== undefined) updateFields.calibration_offset = calibration_offset;
     if (calibration_factor !== undefined) updateFields.calibration_factor = calibration_factor;
     if (sampling_rate !== undefined) updateFields.sampling_rate = sampling_rate;
+    if (calibration_date !== undefined) updateFields.calibration_date = new Date(calibration_date);
+    if (calibration_interval !== undefined) updateFields.calibration_interval = calibration_interval;
     if (configuration !== undefined) updateFields.configuration = configuration;
     if (tags !== undefined) updateFields.tags = tags;
     if (status !== undefined) updateFields.status = status;
     
-    if (Object.keys(updateFields).length === 0) {
+    // A null definition turns a virtual sensor back into a physical one
+    if (virtual === null) {
+      unsetFields.virtual = '';
+    } else if (virtual !== undefined) {
+      updateFields.virtual = await virtualSensorService.validate(virtual, id);
+    }
+    
+    if (Object.keys(updateFields).length === 0 && Object.keys(unsetFields).length === 0) {
       return next(new AppError('No fields to update', 400));
     }
     
@@ -351,7 +414,7 @@ const updateSensor = catchAsync(async (req, res, next) => {
     // Update sensor
     const result = await sensorsCollection.findOneAndUpdate(
       { _id: id },
-      { $set: updateFields },
+      Object.keys(unsetFields).length > 0 ? { $set: updateFields, $unset: unsetFields } : { $set: updateFields },
       { returnDocument: 'after' }
     );
     
@@ -361,6 +424,10 @@ const updateSensor = catchAsync(async (req, res, next) => {
     
     const updatedSensor = result.value;
     
+    if (virtual !== undefined || status !== undefined) {
+      await virtualSensorService.refresh();
+    }
+    
     // Update cache
     await redisClient.setex(`sensor:${id}`, 120, JSON.stringify(updatedSensor));
     
@@ -395,6 +462,9 @@ const updateSensor = catchAsync(async (req, res, next) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     logger.error('Error updating sensor:', error);
     return next(new AppError('Failed to update sensor', 500));
   }
@@ -417,6 +487,14 @@ const deleteSensor = catchAsync(async (req, res, next) => {
       return next(new AppError('Sensor not found', 404));
     }
     
+    const dependents = await virtualSensorService.dependents(id);
+    if (dependents.length > 0) {
+      return next(new AppError(
+        `Sensor is an input of virtual sensors: ${dependents.map((dependent) => dependent.name).join(', ')}`,
+        409
+      ));
+    }
+    
     // Count sensor data to be deleted
     const dataCount = await sensorDataCollection.countDocuments({ sensor_id: id });
     
@@ -426,6 +504,10 @@ const deleteSensor = catchAsync(async (req, res, next) => {
     // Delete sensor
     await sensorsCollection.deleteOne({ _id: id });
     
+    if (sensor.virtual) {
+      await virtualSensorService.refresh();
+    }
+    
     // Log sensor deletion
     await auditLogCollection.insertOne({
       user_id: req.user.id,
@@ -576,11 +658,19 @@ const getSensorData = catchAsync(async (req, res, next) => {
 
 // Get sensor statistics
 const getSensorStats = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
   try {
     const db = mongoService.getDb();
     const sensorsCollection = db.collection('sensors');
     const sensorDataCollection = db.collection('sensor_data');
     
+    const sensor = await sensorsCollection.findOne({ _id: id }, { projection: { _id: 1 } });
+    
+    if (!sensor) {
+      return next(new AppError('Sensor not found', 404));
+    }
+    
     // Overall sensor statistics
     const overviewStats = await sensorsCollection.aggregate([
       {
@@ -662,12 +752,17 @@ const getSensorStats = catchAsync(async (req, res, next) => {
       }
     ]).toArray();
     
+    // Readings received vs. stored after deadband/swinging door filtering
+    const compressionStats = await compressionService.getSensorStats(id);
+    
     res.status(200).json({
       success: true,
       data: {
+        sensor_id: id,
         overview: overviewStats[0] || {},
         by_type: typeStats,
-        data_overview: dataOverviewStats[0] || {}
+        data_overview: dataOverviewStats[0] || {},
+        compression: compressionStats
       },
       timestamp: new Date().toISOString()
     });
@@ -680,43 +775,28 @@ const getSensorStats = catchAsync(async (req, res, next) => {
 // Calibrate sensor
 const calibrateSensor = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { calibration_offset, calibration_factor, reference_value, measured_value } = req.body;
-  
-  let newOffset = calibration_offset;
-  let newFactor = calibration_factor;
-  
-  // Calculate calibration values if reference and measured values are provided
-  if (reference_value !== undefined && measured_value !== undefined) {
-    newOffset = reference_value - measured_value;
-    newFactor = reference_value / measured_value;
-  }
+  const { calibration_type, reference_value, measured_value, effective_from, reprocess = false } = req.body;
   
   try {
     const db = mongoService.getDb();
-    const sensorsCollection = db.collection('sensors');
     const auditLogCollection = db.collection('audit_log');
     
-    const result = await sensorsCollection.findOneAndUpdate(
-      { _id: id },
-      {
-        $set: {
-          calibration_offset: newOffset,
-          calibration_factor: newFactor,
-          last_calibration: new Date(),
-          updated_at: new Date()
-        }
-      },
-      { returnDocument: 'after' }
-    );
+    const result = await calibrationService.calibrate(id, req.body, req.user);
     
-    if (!result.value) {
+    if (!result) {
       return next(new AppError('Sensor not found', 404));
     }
     
-    const updatedSensor = result.value;
+    const { calibration, sensor: updatedSensor } = result;
+    
+    // Recompute values stored since a backdated calibration took effect
+    let reprocessJob = null;
+    if (reprocess && effective_from && influxService.isConfigured()) {
+      reprocessJob = await calibrationService.createReprocessJob(id, { start_time: calibration.effective_from }, req.user);
+    }
     
     // Update cache
-    await redisClient.setex(`sensor:${id}`, 120, JSON.stringify(updatedSensor));
+    await redisClient.set(`sensor:${id}`, updatedSensor, 120);
     
     // Log calibration
     await auditLogCollection.insertOne({
@@ -725,10 +805,14 @@ const calibrateSensor = catchAsync(async (req, res, next) => {
       resource_type: 'sensor',
       resource_id: id,
       details: {
-        calibration_offset: newOffset,
-        calibration_factor: newFactor,
+        calibration_type,
+        version: calibration.version,
+        calibration_offset: calibration.offset,
+        calibration_factor: calibration.factor,
         reference_value,
-        measured_value
+        measured_value,
+        effective_from: calibration.effective_from,
+        reprocess_job_id: reprocessJob ? reprocessJob._id : null
       },
       timestamp: new Date()
     });
@@ -737,30 +821,238 @@ const calibrateSensor = catchAsync(async (req, res, next) => {
     if (mqttClient && mqttClient.connected) {
       mqttClient.publish('iiot/sensors/calibrated', JSON.stringify({
         sensor_id: id,
-        calibration_offset: newOffset,
-        calibration_factor: newFactor,
+        version: calibration.version,
+        calibration_offset: calibration.offset,
+        calibration_factor: calibration.factor,
+        effective_from: calibration.effective_from.toISOString(),
         timestamp: new Date().toISOString()
       }));
     }
     
     logger.info(`Sensor calibrated: ${id}`, {
-      calibration_offset: newOffset,
-      calibration_factor: newFactor,
+      version: calibration.version,
+      calibration_offset: calibration.offset,
+      calibration_factor: calibration.factor,
       calibrated_by: req.user.id
     });
     
     res.status(200).json({
       success: true,
-      message: 'Sensor calibrated successfully',
-      data: updatedSensor,
+      message: reprocessJob
+        ? 'Sensor calibrated successfully, reprocessing queued'
+        : 'Sensor calibrated successfully',
+      data: {
+        sensor: updatedSensor,
+        calibration,
+        reprocess_job: reprocessJob
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     logger.error('Error calibrating sensor:', error);
     return next(new AppError('Failed to calibrate sensor', 500));
   }
 });
 
+// Get sensor calibration history
+const getCalibrationHistory = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  
+  try {
+    const sensor = await mongoService.getDb().collection('sensors').findOne(
+      { _id: id },
+      { projection: { calibration_offset: 1, calibration_factor: 1, calibration_version: 1, calibration_date: 1, calibration_interval: 1 } }
+    );
+    
+    if (!sensor) {
+      return next(new AppError('Sensor not found', 404));
+    }
+    
+    const calibrations = await calibrationService.getHistory(id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sensor_id: id,
+        current: {
+          version: sensor.calibration_version || null,
+          calibration_offset: sensor.calibration_offset || 0,
+          calibration_factor: sensor.calibration_factor === undefined ? 1 : sensor.calibration_factor,
+          calibration_date: sensor.calibration_date || null,
+          calibration_interval: sensor.calibration_interval || null
+        },
+        calibrations
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching calibration history:', error);
+    return next(new AppError('Failed to fetch calibration history', 500));
+  }
+});
+
+// Queue recomputation of calibrated values for a past window
+const reprocessCalibration = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { start_time, end_time } = req.body;
+  
+  try {
+    const db = mongoService.getDb();
+    const sensor = await db.collection('sensors').findOne({ _id: id }, { projection: { _id: 1 } });
+    
+    if (!sensor) {
+      return next(new AppError('Sensor not found', 404));
+    }
+    
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+    
+    const job = await calibrationService.createReprocessJob(id, { start_time, end_time }, req.user);
+    
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'REPROCESS_CALIBRATION',
+      resource_type: 'sensor',
+      resource_id: id,
+      details: { job_id: job._id, window: job.window },
+      timestamp: new Date()
+    });
+    
+    logger.info(`Calibration reprocessing queued for sensor ${id}: ${job._id}`, { requested_by: req.user.id });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Calibration reprocessing queued',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error queueing calibration reprocessing:', error);
+    return next(new AppError('Failed to queue calibration reprocessing', 500));
+  }
+});
+
+// Get calibration reprocessing job status
+const getCalibrationJob = catchAsync(async (req, res, next) => {
+  const { id, jobId } = req.params;
+  
+  try {
+    const job = await calibrationService.getJob(id, jobId);
+    
+    if (!job) {
+      return next(new AppError('Calibration job not found', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching calibration job:', error);
+    return next(new AppError('Failed to fetch calibration job', 500));
+  }
+});
+
+// Evaluate a virtual sensor definition over stored history without storing the values
+const previewVirtualSensor = catchAsync(async (req, res, next) => {
+  const { virtual, start_time, end_time, limit } = req.body;
+  
+  try {
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+    
+    const preview = await virtualSensorService.preview(virtual, { start_time, end_time, limit });
+    
+    res.status(200).json({
+      success: true,
+      data: preview,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error previewing virtual sensor:', error);
+    return next(new AppError('Failed to preview virtual sensor', 500));
+  }
+});
+
+// Queue evaluation of a virtual sensor over a past window
+const backfillVirtualSensor = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { start_time, end_time } = req.body;
+  
+  try {
+    const db = mongoService.getDb();
+    const sensor = await db.collection('sensors').findOne({ _id: id }, { projection: { virtual: 1 } });
+    
+    if (!sensor) {
+      return next(new AppError('Sensor not found', 404));
+    }
+    
+    if (!influxService.isConfigured()) {
+      return next(new AppError('InfluxDB is not configured', 503));
+    }
+    
+    const job = await virtualSensorService.createBackfillJob(sensor, { start_time, end_time }, req.user);
+    
+    await db.collection('audit_log').insertOne({
+      user_id: req.user.id,
+      action: 'BACKFILL_VIRTUAL_SENSOR',
+      resource_type: 'sensor',
+      resource_id: id,
+      details: { job_id: job._id, window: job.window },
+      timestamp: new Date()
+    });
+    
+    logger.info(`Virtual sensor backfill queued for sensor ${id}: ${job._id}`, { requested_by: req.user.id });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Virtual sensor backfill queued',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('Error queueing virtual sensor backfill:', error);
+    return next(new AppError('Failed to queue virtual sensor backfill', 500));
+  }
+});
+
+// Get virtual sensor backfill job status
+const getVirtualSensorJob = catchAsync(async (req, res, next) => {
+  const { id, jobId } = req.params;
+  
+  try {
+    const job = await virtualSensorService.getJob(id, jobId);
+    
+    if (!job) {
+      return next(new AppError('Virtual sensor job not found', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching virtual sensor job:', error);
+    return next(new AppError('Failed to fetch virtual sensor job', 500));
+  }
+});
+
 module.exports = {
   getAllSensors,
   getSensorById,
@@ -769,5 +1061,11 @@ module.exports = {
   deleteSensor,
   getSensorData,
   getSensorStats,
-  calibrateSensor
+  calibrateSensor,
+  getCalibrationHistory,
+  reprocessCalibration,
+  getCalibrationJob,
+  previewVirtualSensor,
+  backfillVirtualSensor,
+  getVirtualSensorJob
 };
\ No newline at end of file
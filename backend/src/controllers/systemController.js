@@ -3,6 +3,14 @@ const logger = require('../utils/logger');
 const { redisClient } = require('../config/redis');
 const { mqttClient } = require('../config/mqtt');
 const mongoService = require('../services/mongoService');
+const ingestionService = require('../services/ingestionService');
+const storeForwardService = require('../services/storeForwardService');
+const deadLetterService = require('../services/deadLetterService');
+const batchIngestService = require('../services/batchIngestService');
+const opcuaService = require('../services/opcuaService');
+const modbusService = require('../services/modbusService');
+const importService = require('../services/importService');
+const provisioningService = require('../services/provisioningService');
 const os = require('os');
 const fs = require('fs').promises;
 const path = require('path');
@@ -80,6 +88,47 @@ const getSystemHealth = catchAsync(async (req, res, next) => {
     };
   }
   
+  // Ingestion pipeline and store-and-forward buffer depth
+  const bufferStatus = storeForwardService.getStatus();
+  const ingestionStats = ingestionService.getStats();
+  healthDetails.ingestion = {
+    status: Object.values(bufferStatus).some((buffer) => buffer.depth > 0) ? 'buffering' : 'healthy',
+    queued: ingestionStats.queued,
+    received: ingestionStats.received,
+    accepted: ingestionStats.accepted,
+    invalid: ingestionStats.invalid,
+    written: ingestionStats.written,
+    dropped: ingestionStats.dropped,
+    last_flush: ingestionStats.last_flush,
+    last_error: ingestionStats.last_error,
+    compression: ingestionStats.compression,
+    buffer: bufferStatus,
+    dead_letters: deadLetterService.getStats(),
+    http_batches: batchIngestService.getStats(),
+    imports: importService.getStats()
+  };
+  
+  // OPC UA connector
+  const opcuaStats = opcuaService.getStats();
+  healthDetails.opcua = {
+    status: opcuaStats.connected < opcuaStats.connections ? 'degraded' : 'healthy',
+    ...opcuaStats
+  };
+  
+  // Modbus TCP poller
+  const modbusStats = modbusService.getStats();
+  healthDetails.modbus = {
+    status: modbusStats.failing > 0 ? 'degraded' : 'healthy',
+    ...modbusStats
+  };
+
+  // Mosquitto password and ACL files
+  const brokerAuth = provisioningService.getStatus();
+  healthDetails.broker_auth = {
+    status: brokerAuth.last_sync_error ? 'degraded' : 'healthy',
+    ...brokerAuth
+  };
+
   // System resource checks
   const totalMemory = os.totalmem();
   const freeMemory = os.freemem();
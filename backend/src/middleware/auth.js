@@ -4,6 +4,8 @@ const { AppError, catchAsync } = require('./errorHandler');
 const logger = require('../utils/logger');
 const { redisClient } = require('../config/redis');
 const mongoService = require('../services/mongoService');
+const livenessService = require('../services/livenessService');
+const provisioningService = require('../services/provisioningService');
 
 // Generate JWT token
 const signToken = (id) => {
@@ -234,13 +236,13 @@ const authenticateApiKey = catchAsync(async (req, res, next) => {
   
   // Check if API key exists and is valid
   try {
-    const db = mongoService.getDb();
-    const devicesCollection = db.collection('devices');
-    
-    const device = await devicesCollection.findOne({
-      api_key: apiKey,
-      is_active: true
-    });
+    // Provisioned device tokens first, then legacy plaintext API keys.
+    // Devices are active unless explicitly deactivated
+    const device = await provisioningService.authenticateToken(apiKey)
+      || await mongoService.getDb().collection('devices').findOne({
+        api_key: apiKey,
+        is_active: { $ne: false }
+      });
     
     if (!device) {
       logger.logSecurity('invalid_api_key', 'medium', {
@@ -259,18 +261,7 @@ const authenticateApiKey = catchAsync(async (req, res, next) => {
   
   // Update device last seen
   try {
-    const db = mongoService.getDb();
-    const devicesCollection = db.collection('devices');
-    
-    await devicesCollection.updateOne(
-      { _id: device._id },
-      { 
-        $set: { 
-          last_seen: new Date(),
-          updated_at: new Date()
-        }
-      }
-    );
+    await livenessService.touch(req.device._id);
   } catch (error) {
     logger.error('Error updating device last seen:', error);
     // Don't fail the request for this non-critical update
@@ -46,7 +46,7 @@ router.use(protect);
  *         name: type
  *         schema:
  *           type: string
- *           enum: [threshold, anomaly, device_offline, sensor_malfunction, system_error, custom]
+ *           enum: [threshold, anomaly, device_offline, sensor_malfunction, calibration_due, maintenance, system_error, custom]
  *         description: Filter by alert type
  *       - in: query
  *         name: device_ids
@@ -177,8 +177,8 @@ router.get('/', [
     .withMessage('Severity must be one of: low, medium, high, critical'),
   query('type')
     .optional()
-    .isIn(['threshold', 'anomaly', 'device_offline', 'sensor_malfunction', 'system_error', 'custom'])
-    .withMessage('Type must be one of: threshold, anomaly, device_offline, sensor_malfunction, system_error, custom'),
+    .isIn(['threshold', 'anomaly', 'device_offline', 'sensor_malfunction', 'calibration_due', 'maintenance', 'system_error', 'custom'])
+    .withMessage('Type must be one of: threshold, anomaly, device_offline, sensor_malfunction, calibration_due, maintenance, system_error, custom'),
   query('device_ids')
     .optional()
     .isString()
@@ -395,7 +395,7 @@ router.get('/stats', [
  *                 description: Detailed alert description
  *               type:
  *                 type: string
- *                 enum: [threshold, anomaly, device_offline, sensor_malfunction, system_error, custom]
+ *                 enum: [threshold, anomaly, device_offline, sensor_malfunction, calibration_due, maintenance, system_error, custom]
  *                 description: Type of alert
  *               severity:
  *                 type: string
@@ -466,8 +466,8 @@ router.post('/', [
   body('type')
     .notEmpty()
     .withMessage('Type is required')
-    .isIn(['threshold', 'anomaly', 'device_offline', 'sensor_malfunction', 'system_error', 'custom'])
-    .withMessage('Type must be one of: threshold, anomaly, device_offline, sensor_malfunction, system_error, custom'),
+    .isIn(['threshold', 'anomaly', 'device_offline', 'sensor_malfunction', 'calibration_due', 'maintenance', 'system_error', 'custom'])
+    .withMessage('Type must be one of: threshold, anomaly, device_offline, sensor_malfunction, calibration_due, maintenance, system_error, custom'),
   body('severity')
     .notEmpty()
     .withMessage('Severity is required')
@@ -1,18 +1,92 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getDashboardOverview,
   getDevicePerformance,
   getSensorAnalytics,
   getEnergyAnalytics,
   getPredictiveAnalytics,
+  getSensorHealthHistory,
+  runPredictiveMaintenance,
+  getForecast,
+  getAnomalies,
   getCustomReport
 } = require('../controllers/analyticsController');
+const {
+  getTariffs,
+  createTariff,
+  updateTariff,
+  deleteTariff
+} = require('../controllers/energyController');
 const { protect, restrictTo } = require('../middleware/auth');
-const { validate, validateDateRange } = require('../middleware/validation');
+const { validate, validateDateRange, validateUUID } = require('../middleware/validation');
+const { isValidTimeZone } = require('../utils/timestamps');
+const { ANOMALY_DETECTORS } = require('../utils/anomaly');
+const { FORECAST_MODELS } = require('../utils/forecasting');
+const { resolveUnit } = require('../utils/units');
 
 const router = express.Router();
 
+const ENERGY_AGGREGATIONS = ['hourly', 'daily', 'weekly', 'monthly'];
+const FORECAST_INTERVALS = ['15m', '30m', '1h', '1d'];
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Validators for energy tariff bodies; on update every field is optional
+const tariffValidators = (creating) => [
+  (creating ? body('name').notEmpty().withMessage('Name is required') : body('name').optional())
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code'),
+  body('timezone')
+    .optional()
+    .custom((value) => isValidTimeZone(value))
+    .withMessage('Time zone must be an IANA time zone name'),
+  (creating ? body('rate_per_kwh').exists().withMessage('Rate per kWh is required') : body('rate_per_kwh').optional())
+    .isFloat({ min: 0 })
+    .withMessage('Rate per kWh must be a positive number'),
+  body('periods')
+    .optional()
+    .isArray({ max: 24 })
+    .withMessage('Periods must be an array of at most 24 entries'),
+  body('periods.*.name')
+    .isString()
+    .notEmpty()
+    .withMessage('Every period needs a name'),
+  body('periods.*.rate_per_kwh')
+    .isFloat({ min: 0 })
+    .withMessage('Period rate per kWh must be a positive number'),
+  body(['periods.*.start', 'periods.*.end'])
+    .matches(CLOCK_PATTERN)
+    .withMessage('Period start and end must be times of day (HH:MM)'),
+  body('periods.*.days')
+    .optional()
+    .isArray()
+    .custom((days) => days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+    .withMessage('Period days must be weekdays from 0 (Sunday) to 6'),
+  body('demand_charge_per_kw')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Demand charge per kW must be a positive number'),
+  body('co2_kg_per_kwh')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('CO2 per kWh must be a positive number'),
+  body('is_default')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Is default must be a boolean'),
+  validate
+];
+
 // Protect all routes
 router.use(protect);
 
@@ -593,47 +667,70 @@ router.get('/sensors', [
  * /api/analytics/energy:
  *   get:
  *     summary: Get energy consumption analytics
- *     description: Retrieve energy consumption analytics and optimization insights
+ *     description: |
+ *       Energy used by power and energy sensors, read from InfluxDB. Power readings are
+ *       integrated into kWh (steps longer than ENERGY_MAX_GAP_MS count as missing data);
+ *       energy meters contribute their increases, meter resets are skipped. Cost is priced
+ *       with a time-of-use tariff (see /api/analytics/energy/tariffs) in the tariff's time zone,
+ *       peak demand is the average power of the busiest 15 minute interval (1 hour for ranges
+ *       over 31 days) and CO2 uses the tariff's emission factor. Devices are grouped into lines
+ *       by metadata.production_line.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: device_ids
+ *         name: time_range
  *         schema:
  *           type: string
- *         description: Comma-separated list of device IDs
+ *           enum: [1h, 6h, 24h, 7d, 30d, 90d, 1y]
+ *           default: 24h
+ *         description: Period up to end_time (or now) to analyze, ignored when start_time is given
+ *       - in: query
+ *         name: aggregation
+ *         schema:
+ *           type: string
+ *           enum: [hourly, daily, weekly, monthly]
+ *           default: hourly
+ *         description: Period of consumption_over_time entries, in the tariff's time zone
  *       - in: query
  *         name: start_time
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Start time for energy analysis
  *       - in: query
  *         name: end_time
  *         schema:
  *           type: string
  *           format: date-time
- *         description: End time for energy analysis
  *       - in: query
- *         name: group_by
+ *         name: device_ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of device IDs
+ *       - in: query
+ *         name: lines
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of production lines
+ *       - in: query
+ *         name: tariff_id
  *         schema:
  *           type: string
- *           enum: [device, location, type, hour, day, week, month]
- *           default: device
- *         description: Group energy data by field
+ *           format: uuid
+ *         description: Tariff to price energy with, defaults to the default tariff
  *       - in: query
  *         name: include_cost_analysis
  *         schema:
  *           type: boolean
  *           default: true
- *         description: Include cost analysis in results
+ *         description: Include costs in the results
  *       - in: query
  *         name: energy_rate_per_kwh
  *         schema:
  *           type: number
  *           minimum: 0
- *         description: Energy rate per kWh for cost calculations
+ *         description: Flat rate per kWh replacing the tariff's rates
  *     responses:
  *       200:
  *         description: Energy consumption analytics
@@ -647,106 +744,155 @@ router.get('/sensors', [
  *                 data:
  *                   type: object
  *                   properties:
- *                     energy_consumption:
+ *                     time_range:
+ *                       type: string
+ *                       nullable: true
+ *                     aggregation:
+ *                       type: string
+ *                     period:
+ *                       type: object
+ *                       properties:
+ *                         start_time:
+ *                           type: string
+ *                           format: date-time
+ *                         end_time:
+ *                           type: string
+ *                           format: date-time
+ *                     tariff:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                           nullable: true
+ *                         name:
+ *                           type: string
+ *                         currency:
+ *                           type: string
+ *                         timezone:
+ *                           type: string
+ *                         co2_kg_per_kwh:
+ *                           type: number
+ *                     consumption_over_time:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
- *                           group_key:
+ *                           time:
  *                             type: string
- *                           group_value:
- *                             type: string
- *                           total_consumption_kwh:
+ *                             format: date-time
+ *                           energy_kwh:
  *                             type: number
- *                           avg_power_consumption_w:
+ *                           cost:
  *                             type: number
- *                           peak_consumption_w:
+ *                             nullable: true
+ *                           co2_kg:
  *                             type: number
- *                           consumption_trend:
+ *                           peak_demand_kw:
+ *                             type: number
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EnergyBreakdown'
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EnergyBreakdown'
+ *                     cost_by_period:
+ *                       type: array
+ *                       description: Energy and cost per tariff period, omitted without cost analysis
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
  *                             type: string
- *                             enum: [increasing, decreasing, stable]
- *                           efficiency_score:
+ *                           rate_per_kwh:
  *                             type: number
- *                           cost_analysis:
- *                             type: object
- *                             properties:
- *                               total_cost:
- *                                 type: number
- *                               avg_daily_cost:
- *                                 type: number
- *                               projected_monthly_cost:
- *                                 type: number
- *                               cost_per_data_point:
- *                                 type: number
- *                           consumption_patterns:
- *                             type: array
- *                             items:
- *                               type: object
- *                               properties:
- *                                 time_period:
- *                                   type: string
- *                                 avg_consumption_w:
- *                                   type: number
- *                                 pattern_type:
- *                                   type: string
- *                     optimization_insights:
+ *                           energy_kwh:
+ *                             type: number
+ *                           cost:
+ *                             type: number
+ *                     peak_demand:
  *                       type: object
  *                       properties:
- *                         potential_savings_kwh:
- *                           type: number
- *                         potential_cost_savings:
+ *                         demand_kw:
  *                           type: number
- *                         efficiency_recommendations:
- *                           type: array
- *                           items:
- *                             type: object
- *                             properties:
- *                               device_id:
- *                                 type: string
- *                                 format: uuid
- *                               recommendation:
- *                                 type: string
- *                               potential_savings_percentage:
- *                                 type: number
- *                               priority:
- *                                 type: string
- *                                 enum: [low, medium, high]
- *                         peak_usage_times:
+ *                         at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         interval_minutes:
+ *                           type: integer
+ *                         top_intervals:
  *                           type: array
  *                           items:
  *                             type: object
  *                             properties:
- *                               time_range:
+ *                               time:
  *                                 type: string
- *                               avg_consumption_w:
+ *                                 format: date-time
+ *                               demand_kw:
  *                                 type: number
- *                               devices_count:
- *                                 type: integer
+ *                         demand_charge:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Monthly peak demand times the tariff's demand charge, summed over the months analyzed
  *                     summary:
  *                       type: object
  *                       properties:
- *                         total_consumption_kwh:
+ *                         energy_kwh:
  *                           type: number
- *                         total_cost:
+ *                         cost:
  *                           type: number
- *                         avg_efficiency_score:
+ *                           nullable: true
+ *                           description: Energy cost plus demand charge
+ *                         energy_cost:
  *                           type: number
- *                         total_devices_analyzed:
+ *                           nullable: true
+ *                         co2_kg:
+ *                           type: number
+ *                         avg_power_kw:
+ *                           type: number
+ *                         devices_analyzed:
  *                           type: integer
- *                         analysis_period:
- *                           type: object
- *                           properties:
- *                             start_time:
- *                               type: string
- *                               format: date-time
- *                             end_time:
- *                               type: string
- *                               format: date-time
+ *                         sensors_analyzed:
+ *                           type: integer
+ *                         skipped_sensors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               sensor_id:
+ *                                 type: string
+ *                               reason:
+ *                                 type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Tariff not found
+ *       503:
+ *         description: InfluxDB is not configured
  */
 router.get('/energy', [
-  validateDateRange,
+  query('time_range')
+    .optional()
+    .isIn(['1h', '6h', '24h', '7d', '30d', '90d', '1y'])
+    .withMessage('Time range must be one of: 1h, 6h, 24h, 7d, 30d, 90d, 1y'),
+  query('aggregation')
+    .optional()
+    .isIn(ENERGY_AGGREGATIONS)
+    .withMessage(`Aggregation must be one of: ${ENERGY_AGGREGATIONS.join(', ')}`),
+  query('start_time')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  query('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date')
+    .custom((value, { req }) => !req.query.start_time || new Date(req.query.start_time) < new Date(value))
+    .withMessage('End time must be after start time'),
   query('device_ids')
     .optional()
     .isString()
@@ -755,10 +901,14 @@ router.get('/energy', [
       return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
     })
     .withMessage('All device IDs must be valid UUIDs'),
-  query('group_by')
+  query('lines')
+    .optional()
+    .isString()
+    .withMessage('Lines must be a comma-separated list'),
+  query('tariff_id')
     .optional()
-    .isIn(['device', 'location', 'type', 'hour', 'day', 'week', 'month'])
-    .withMessage('Group by must be one of: device, location, type, hour, day, week, month'),
+    .isUUID()
+    .withMessage('Tariff ID must be a valid UUID'),
   query('include_cost_analysis')
     .optional()
     .isBoolean()
@@ -770,12 +920,140 @@ router.get('/energy', [
   validate
 ], getEnergyAnalytics);
 
+/**
+ * @swagger
+ * /api/analytics/energy/tariffs:
+ *   get:
+ *     summary: Get energy tariffs
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Energy tariffs, the default tariff first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EnergyTariff'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Create an energy tariff
+ *     description: |
+ *       Time-of-use periods apply on the listed weekdays (0 = Sunday) from start to end
+ *       in the tariff's time zone; a period ending before it starts runs past midnight,
+ *       and its days are matched against the day each interval falls on.
+ *       The first matching period prices a 15 minute interval, otherwise rate_per_kwh applies.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EnergyTariff'
+ *     responses:
+ *       201:
+ *         description: Energy tariff created
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/energy/tariffs', getTariffs);
+
+router.post('/energy/tariffs', [
+  restrictTo('admin'),
+  ...tariffValidators(true)
+], createTariff);
+
+/**
+ * @swagger
+ * /api/analytics/energy/tariffs/{tariffId}:
+ *   put:
+ *     summary: Update an energy tariff
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tariffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EnergyTariff'
+ *     responses:
+ *       200:
+ *         description: Energy tariff updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Delete an energy tariff
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tariffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Energy tariff deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/energy/tariffs/:tariffId', [
+  restrictTo('admin'),
+  validateUUID('tariffId'),
+  ...tariffValidators(false)
+], updateTariff);
+
+router.delete('/energy/tariffs/:tariffId', [
+  restrictTo('admin'),
+  validateUUID('tariffId'),
+  validate
+], deleteTariff);
+
 /**
  * @swagger
  * /api/analytics/predictive:
  *   get:
- *     summary: Get predictive analytics
- *     description: Retrieve predictive analytics for failure prediction, maintenance scheduling, and performance forecasting
+ *     summary: Get predictive maintenance analytics
+ *     description: |
+ *       Fits linear and exponential degradation models to the hourly means of each sensor's recent history
+ *       and estimates the remaining useful life (RUL) until the trend reaches the sensor's failure threshold,
+ *       with a prediction interval at the requested confidence. The threshold is
+ *       configuration.maintenance.failure_threshold, else the end of the sensor range the trend is heading for.
+ *       Sensors predicted to reach it within the horizon are warnings, within PREDICTIVE_CRITICAL_DAYS critical.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -796,7 +1074,7 @@ router.get('/energy', [
  *           type: string
  *           enum: [failure, maintenance, performance, all]
  *           default: all
- *         description: Type of prediction to generate
+ *         description: Sections to include besides the per-sensor assessments
  *       - in: query
  *         name: forecast_horizon_days
  *         schema:
@@ -811,8 +1089,8 @@ router.get('/energy', [
  *           type: number
  *           minimum: 0.5
  *           maximum: 0.99
- *           default: 0.8
- *         description: Minimum confidence threshold for predictions
+ *           default: 0.9
+ *         description: Confidence level of the RUL and forecast intervals
  *       - in: query
  *         name: include_recommendations
  *         schema:
@@ -832,38 +1110,47 @@ router.get('/energy', [
  *                 data:
  *                   type: object
  *                   properties:
+ *                     sensors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SensorHealth'
  *                     failure_predictions:
  *                       type: array
+ *                       description: Warning and critical sensors, earliest possible failure first
  *                       items:
  *                         type: object
  *                         properties:
+ *                           sensor_id:
+ *                             type: string
+ *                             format: uuid
+ *                           sensor_name:
+ *                             type: string
  *                           device_id:
  *                             type: string
  *                             format: uuid
  *                           device_name:
  *                             type: string
- *                           failure_probability:
- *                             type: number
+ *                           status:
+ *                             type: string
+ *                             enum: [warning, critical]
  *                           predicted_failure_date:
  *                             type: string
  *                             format: date-time
- *                           confidence:
+ *                             nullable: true
+ *                           rul_days:
  *                             type: number
- *                           risk_factors:
- *                             type: array
- *                             items:
- *                               type: object
- *                               properties:
- *                                 factor:
- *                                   type: string
- *                                 impact_score:
- *                                   type: number
- *                                 description:
- *                                   type: string
- *                           recommended_actions:
- *                             type: array
- *                             items:
- *                               type: string
+ *                             nullable: true
+ *                           rul_interval:
+ *                             type: object
+ *                           failure_probability:
+ *                             type: number
+ *                           health_score:
+ *                             type: integer
+ *                           model:
+ *                             type: string
+ *                             enum: [linear, exponential]
+ *                           threshold:
+ *                             type: object
  *                     maintenance_schedule:
  *                       type: array
  *                       items:
@@ -876,37 +1163,36 @@ router.get('/energy', [
  *                             type: string
  *                           maintenance_type:
  *                             type: string
- *                             enum: [preventive, predictive, corrective]
+ *                             enum: [predictive]
  *                           recommended_date:
  *                             type: string
  *                             format: date-time
+ *                             description: PREDICTIVE_MAINTENANCE_LEAD_DAYS before the earliest possible failure
+ *                           earliest_failure_at:
+ *                             type: string
+ *                             format: date-time
  *                           priority:
  *                             type: string
- *                             enum: [low, medium, high, critical]
- *                           estimated_duration_hours:
- *                             type: number
- *                           estimated_cost:
- *                             type: number
- *                           maintenance_tasks:
+ *                             enum: [high, critical]
+ *                           sensors:
  *                             type: array
  *                             items:
- *                               type: string
- *                           last_maintenance:
- *                             type: string
- *                             format: date-time
+ *                               type: object
  *                     performance_forecasts:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
- *                           entity_id:
+ *                           sensor_id:
  *                             type: string
  *                             format: uuid
- *                           entity_type:
+ *                           sensor_name:
  *                             type: string
- *                             enum: [device, sensor]
- *                           entity_name:
+ *                           device_id:
  *                             type: string
+ *                             format: uuid
+ *                           model:
+ *                             type: object
  *                           forecast_data:
  *                             type: array
  *                             items:
@@ -915,7 +1201,7 @@ router.get('/energy', [
  *                                 timestamp:
  *                                   type: string
  *                                   format: date-time
- *                                 predicted_performance:
+ *                                 predicted_value:
  *                                   type: number
  *                                 confidence_interval:
  *                                   type: object
@@ -926,44 +1212,10 @@ router.get('/energy', [
  *                                       type: number
  *                           performance_trend:
  *                             type: string
- *                             enum: [improving, stable, declining]
- *                           expected_degradation_rate:
+ *                             enum: [improving, stable, declining, changing]
+ *                             description: Declining when heading for the threshold, changing when the sensor has none
+ *                           trend_per_day:
  *                             type: number
- *                     model_performance:
- *                       type: object
- *                       properties:
- *                         failure_model:
- *                           type: object
- *                           properties:
- *                             accuracy:
- *                               type: number
- *                             precision:
- *                               type: number
- *                             recall:
- *                               type: number
- *                             last_trained:
- *                               type: string
- *                               format: date-time
- *                         maintenance_model:
- *                           type: object
- *                           properties:
- *                             accuracy:
- *                               type: number
- *                             last_trained:
- *                               type: string
- *                               format: date-time
- *                         performance_model:
- *                           type: object
- *                           properties:
- *                             mae:
- *                               type: number
- *                             rmse:
- *                               type: number
- *                             r_squared:
- *                               type: number
- *                             last_trained:
- *                               type: string
- *                               format: date-time
  *                     recommendations:
  *                       type: array
  *                       items:
@@ -971,10 +1223,10 @@ router.get('/energy', [
  *                         properties:
  *                           type:
  *                             type: string
- *                             enum: [immediate_action, schedule_maintenance, monitor_closely, optimize_settings]
+ *                             enum: [immediate_action, schedule_maintenance, monitor_closely]
  *                           priority:
  *                             type: string
- *                             enum: [low, medium, high, critical]
+ *                             enum: [low, high, critical]
  *                           description:
  *                             type: string
  *                           affected_devices:
@@ -982,13 +1234,40 @@ router.get('/energy', [
  *                             items:
  *                               type: string
  *                               format: uuid
- *                           estimated_impact:
- *                             type: string
+ *                           affected_sensors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               format: uuid
  *                           deadline:
  *                             type: string
  *                             format: date-time
+ *                             nullable: true
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         sensors_assessed:
+ *                           type: integer
+ *                         healthy:
+ *                           type: integer
+ *                         warning:
+ *                           type: integer
+ *                         critical:
+ *                           type: integer
+ *                         no_threshold:
+ *                           type: integer
+ *                         insufficient_data:
+ *                           type: integer
+ *                         avg_health_score:
+ *                           type: integer
+ *                           nullable: true
+ *                         last_scheduled_run:
+ *                           type: object
+ *                           nullable: true
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       503:
+ *         description: InfluxDB is not configured
  */
 router.get('/predictive', [
   query('device_ids')
@@ -1026,6 +1305,439 @@ router.get('/predictive', [
   validate
 ], getPredictiveAnalytics);
 
+/**
+ * @swagger
+ * /api/analytics/predictive/sensors/{sensorId}/history:
+ *   get:
+ *     summary: Get the health history of a sensor
+ *     description: Assessments stored by the scheduled predictive maintenance runs, newest first
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sensorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: start_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Stored assessments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sensor_id:
+ *                       type: string
+ *                       format: uuid
+ *                     sensor_name:
+ *                       type: string
+ *                     assessments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SensorHealth'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/predictive/sensors/:sensorId/history', [
+  validateUUID('sensorId'),
+  query('start_time')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  query('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000'),
+  validate
+], getSensorHealthHistory);
+
+/**
+ * @swagger
+ * /api/analytics/predictive/run:
+ *   post:
+ *     summary: Run predictive maintenance now
+ *     description: |
+ *       Assesses every active sensor, stores the assessments of sensors with a failure threshold and raises
+ *       or resolves maintenance alerts, as the scheduled run every PREDICTIVE_INTERVAL_MS does.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Run summary
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A run is already in progress
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/predictive/run', restrictTo('admin'), runPredictiveMaintenance);
+
+/**
+ * @swagger
+ * /api/analytics/forecast:
+ *   get:
+ *     summary: Forecast a sensor
+ *     description: |
+ *       Fits Holt-Winters (additive or multiplicative) or seasonal naive models to the interval means of a
+ *       sensor's history and forecasts the next intervals with prediction intervals. Each model is backtested
+ *       by fitting it without the last horizon of history (at most a third of it) and forecasting that part;
+ *       with model=auto the model with the lowest backtest RMSE is used. Fitted smoothing parameters are
+ *       cached for FORECAST_MODEL_TTL seconds and forecasts until the current interval closes.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *           enum: [auto, holt_winters_additive, holt_winters_multiplicative, seasonal_naive]
+ *           default: auto
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [15m, 30m, 1h, 1d]
+ *           default: 1h
+ *         description: Resolution of the history and the forecast
+ *       - in: query
+ *         name: season_length
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 2016
+ *         description: Intervals per season; defaults to a day of intervals, or 7 for daily intervals
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2016
+ *         description: Intervals to forecast; defaults to one season
+ *       - in: query
+ *         name: history_days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 730
+ *           default: 28
+ *       - in: query
+ *         name: confidence
+ *         schema:
+ *           type: number
+ *           minimum: 0.5
+ *           maximum: 0.99
+ *           default: 0.95
+ *         description: Confidence level of the prediction intervals
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Refit the model instead of using cached parameters and forecasts
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Unit to report the forecast in, a UCUM code or a known symbol of the sensor's dimension.
+ *           Forecasts, intervals, sigma, RMSE and MAE are converted; MAPE stays relative to the sensor's unit.
+ *         example: '[degF]'
+ *     responses:
+ *       200:
+ *         description: Forecast
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 cached:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sensor_id:
+ *                       type: string
+ *                       format: uuid
+ *                     sensor_name:
+ *                       type: string
+ *                     unit:
+ *                       type: string
+ *                     interval:
+ *                       type: string
+ *                     season_length:
+ *                       type: integer
+ *                     horizon:
+ *                       type: integer
+ *                     confidence:
+ *                       type: number
+ *                     history:
+ *                       type: object
+ *                       properties:
+ *                         start:
+ *                           type: string
+ *                           format: date-time
+ *                         end:
+ *                           type: string
+ *                           format: date-time
+ *                         intervals:
+ *                           type: integer
+ *                         interpolated:
+ *                           type: integer
+ *                           description: Intervals without data, filled by linear interpolation
+ *                     model:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                         params:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Holt-Winters level (alpha), trend (beta) and seasonal (gamma) smoothing
+ *                         sigma:
+ *                           type: number
+ *                           description: One-step-ahead error spread, relative for the multiplicative model
+ *                     backtest:
+ *                       $ref: '#/components/schemas/ForecastMetrics'
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ForecastMetrics'
+ *                     forecast:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Start of the interval
+ *                           value:
+ *                             type: number
+ *                           lower:
+ *                             type: number
+ *                           upper:
+ *                             type: number
+ *       400:
+ *         description: Not enough history for the model and season length
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.get('/forecast', [
+  query('sensor_id')
+    .notEmpty()
+    .withMessage('Sensor ID is required')
+    .isUUID()
+    .withMessage('Sensor ID must be a valid UUID'),
+  query('model')
+    .optional()
+    .isIn(['auto', ...FORECAST_MODELS])
+    .withMessage(`Model must be one of: auto, ${FORECAST_MODELS.join(', ')}`),
+  query('interval')
+    .optional()
+    .isIn(FORECAST_INTERVALS)
+    .withMessage(`Interval must be one of: ${FORECAST_INTERVALS.join(', ')}`),
+  query('season_length')
+    .optional()
+    .isInt({ min: 2, max: 2016 })
+    .withMessage('Season length must be between 2 and 2016 intervals'),
+  query('horizon')
+    .optional()
+    .isInt({ min: 1, max: 2016 })
+    .withMessage('Horizon must be between 1 and 2016 intervals'),
+  query('history_days')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('History must be between 1 and 730 days'),
+  query('confidence')
+    .optional()
+    .isFloat({ min: 0.5, max: 0.99 })
+    .withMessage('Confidence must be between 0.5 and 0.99'),
+  query('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('Refresh must be a boolean'),
+  query('unit')
+    .optional()
+    .custom((unit) => resolveUnit(unit) !== null)
+    .withMessage('Unit must be a UCUM code or a known unit symbol, e.g. Cel, [degF], kPa, m3/h, kW'),
+  validate
+], getForecast);
+
+/**
+ * @swagger
+ * /api/analytics/anomalies:
+ *   get:
+ *     summary: List detected anomalies
+ *     description: |
+ *       Anomalies found by the streaming detectors configured in a sensor's configuration.anomaly.
+ *       Consecutive anomalous readings of a detector form one anomaly, which stays open until the
+ *       detector sees a normal reading again. New anomalies are also streamed over Socket.IO as
+ *       `anomaly:detected`, and `anomaly:ended` follows when they close.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sensor_ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of sensor IDs
+ *       - in: query
+ *         name: device_ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of device IDs
+ *       - in: query
+ *         name: detectors
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of detectors (zscore, ewma, seasonal, rate_of_change)
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: start_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Anomalies that started at or after this time
+ *       - in: query
+ *         name: end_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Anomalies that started at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Anomalies, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     anomalies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Anomaly'
+ *                     pagination:
+ *                       type: object
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         by_detector:
+ *                           type: object
+ *                           description: Anomalies and anomalous readings per detector matching the filters
+ *                         detection:
+ *                           type: object
+ *                           description: Sensors monitored, readings inspected and anomalies and alerts raised since startup
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/anomalies', [
+  query(['sensor_ids', 'device_ids'])
+    .optional()
+    .isString()
+    .custom((value) => value.split(',').every((id) => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim())))
+    .withMessage('All sensor and device IDs must be valid UUIDs'),
+  query('detectors')
+    .optional()
+    .isString()
+    .custom((value) => value.split(',').every((detector) => ANOMALY_DETECTORS.includes(detector.trim())))
+    .withMessage(`Detectors must be a comma-separated list of: ${ANOMALY_DETECTORS.join(', ')}`),
+  query('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Severity must be one of: low, medium, high, critical'),
+  query('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status must be open or closed'),
+  query('start_time')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  query('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  validate
+], getAnomalies);
+
 /**
  * @swagger
  * /api/analytics/reports:
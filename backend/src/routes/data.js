@@ -1,18 +1,161 @@
 const express = require('express');
-const { query } = require('express-validator');
+const multer = require('multer');
+const { body, query } = require('express-validator');
 const {
   getSensorData,
+  queryAlignedData,
   getRealTimeData,
   getDataStatistics,
   exportData,
   getDataQuality,
   deleteOldData
 } = require('../controllers/dataController');
+const {
+  importData,
+  getImportJobs,
+  getImportJobById,
+  cancelImportJob
+} = require('../controllers/importController');
+const {
+  createExportJob,
+  getExportJobs,
+  getExportJobById,
+  downloadExport
+} = require('../controllers/exportController');
+const {
+  getRetention,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  enforceRetention,
+  rebuildRollups
+} = require('../controllers/retentionController');
 const { protect, restrictTo } = require('../middleware/auth');
-const { validate, validateDateRange, validatePagination } = require('../middleware/validation');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  validate,
+  validateDateRange,
+  validatePagination,
+  validateFileUpload,
+  validateUUID,
+  isValidUUID
+} = require('../middleware/validation');
+const importService = require('../services/importService');
+const { AGGREGATE_FUNCTIONS, FILL_MODES } = require('../utils/flux');
+const { RESAMPLE_FILLS } = require('../utils/resample');
+const { EXPORT_FORMATS } = require('../utils/exportFormats');
+const { resolveUnit } = require('../utils/units');
 
 const router = express.Router();
 
+const IMPORT_FILE_TYPES = [
+  'text/csv',
+  'text/plain',
+  'text/tab-separated-values',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+const IMPORT_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const RETENTION_TIERS = ['raw', '1m', '1h', '1d'];
+
+const QUALITY_INTERVALS = ['15m', '1h', '6h', '12h', '1d', '7d'];
+const EXPORT_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled', 'expired'];
+
+// Unit readings are converted to: a UCUM code or a known unit symbol
+const unitValidator = (chain) => chain
+  .optional()
+  .isString()
+  .custom((unit) => resolveUnit(unit) !== null)
+  .withMessage('Unit must be a UCUM code or a known unit symbol, e.g. Cel, [degF], kPa, m3/h, kW');
+
+// Export parameters, read from the query string by GET /export and from the body by POST /exports
+const exportValidators = (location) => [
+  location(['sensor_ids', 'device_ids'])
+    .optional()
+    .custom((value) => (Array.isArray(value) ? value : String(value).split(','))
+      .every((id) => isValidUUID(String(id).trim())))
+    .withMessage('All sensor and device IDs must be valid UUIDs'),
+  location('sensor_types')
+    .optional()
+    .custom((value) => (Array.isArray(value) ? value : String(value).split(','))
+      .every((type) => String(type).trim().length > 0 && String(type).trim().length <= 50))
+    .withMessage('All sensor types must be between 1 and 50 characters'),
+  location(['start_time', 'end_time'])
+    .optional()
+    .isISO8601()
+    .withMessage('Start and end time must be valid ISO 8601 dates'),
+  location('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  location('include_metadata')
+    .optional()
+    .isBoolean()
+    .withMessage('Include metadata must be a boolean')
+    .toBoolean(),
+  location('aggregation')
+    .optional()
+    .isIn(['none', 'avg', 'min', 'max', 'sum'])
+    .withMessage('Aggregation must be one of: none, avg, min, max, sum'),
+  location('interval')
+    .optional()
+    .isIn(['1m', '5m', '15m', '30m', '1h', '6h', '12h', '1d'])
+    .withMessage('Interval must be one of: 1m, 5m, 15m, 30m, 1h, 6h, 12h, 1d'),
+  unitValidator(location('unit')),
+  validate
+];
+
+// Validators for retention policy bodies; on update every field is optional
+const retentionPolicyValidators = (creating) => [
+  (creating ? body('name').notEmpty().withMessage('Name is required') : body('name').optional())
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body(['sensor_ids', 'device_ids', 'device_types'])
+    .optional()
+    .isArray()
+    .withMessage('Sensor IDs, device IDs and device types must be arrays'),
+  body(['sensor_ids.*', 'device_ids.*', 'device_types.*'])
+    .isString()
+    .notEmpty()
+    .withMessage('Sensor IDs, device IDs and device types must be non-empty strings'),
+  (creating ? body('retention').notEmpty().withMessage('Retention is required') : body('retention').optional())
+    .isObject()
+    .custom((retention) => Object.entries(retention).every(([tier, days]) => (
+      RETENTION_TIERS.includes(tier) && (days === null || (Number.isInteger(days) && days >= 0))
+    )))
+    .withMessage(`Retention must map tiers (${RETENTION_TIERS.join(', ')}) to whole days, 0 to keep forever`),
+  body()
+    .custom((policy) => !creating || ['sensor_ids', 'device_ids', 'device_types'].some((field) => (
+      Array.isArray(policy[field]) && policy[field].length > 0
+    )))
+    .withMessage('A policy must select sensor_ids, device_ids or device_types'),
+  validate
+];
+
+const upload = multer({
+  dest: importService.uploadDir,
+  limits: { fileSize: importService.maxFileSize, files: 1 }
+});
+
+// Report upload problems as client errors instead of 500s
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(new AppError(`Upload failed: ${error.message}`, statusCode));
+    }
+    return next(error);
+  });
+};
+
 // Protect all routes
 router.use(protect);
 
@@ -21,7 +164,13 @@ router.use(protect);
  * /api/data:
  *   get:
  *     summary: Get sensor data with advanced filtering
- *     description: Retrieve sensor data with comprehensive filtering and aggregation options
+ *     description: |
+ *       Retrieve sensor readings from the time-series store with filtering, windowed aggregation,
+ *       gap filling and pagination. Without start_time the last 24 hours are returned.
+ *       Mean, min, max, sum and count aggregations are served from the coarsest downsampling
+ *       tier whose resolution divides the interval (metadata.aggregation.tier), unless
+ *       min_value or max_value filter individual readings. A mean over several rollup
+ *       windows weights each of them by its number of readings.
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
@@ -78,7 +227,7 @@ router.use(protect);
  *         name: aggregation
  *         schema:
  *           type: string
- *           enum: [none, avg, min, max, sum, count, stddev]
+ *           enum: [none, avg, mean, median, min, max, first, last, sum, count, stddev, spread, percentile]
  *           default: none
  *         description: Data aggregation method
  *       - in: query
@@ -86,13 +235,33 @@ router.use(protect);
  *         schema:
  *           type: string
  *           enum: [1m, 5m, 15m, 30m, 1h, 6h, 12h, 1d, 1w]
- *         description: Aggregation interval (required if aggregation is not 'none')
+ *           default: 1h
+ *         description: Aggregation window
+ *       - in: query
+ *         name: percentile
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         description: Percentile to compute, required when aggregation is percentile
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: string
+ *           enum: [none, null, previous, linear, value]
+ *           default: none
+ *         description: How aggregation windows without readings are reported
+ *       - in: query
+ *         name: fill_value
+ *         schema:
+ *           type: number
+ *         description: Value for empty windows, required when fill is value
  *       - in: query
  *         name: fill_gaps
  *         schema:
  *           type: boolean
  *           default: false
- *         description: Fill data gaps with interpolated values
+ *         description: Shorthand for fill=linear
  *       - in: query
  *         name: page
  *         schema:
@@ -122,6 +291,15 @@ router.use(protect);
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Convert values to this unit, a UCUM code or a known symbol. Every selected sensor must
+ *           measure its dimension. Minimum and maximum values are given in it too, which needs the
+ *           selected sensors to share one unit. Standard deviations and spreads convert as differences.
+ *         example: '[degF]'
  *     responses:
  *       200:
  *         description: Sensor data with metadata
@@ -144,6 +322,9 @@ router.use(protect);
  *                       properties:
  *                         total_points:
  *                           type: integer
+ *                         unit:
+ *                           type: string
+ *                           description: Unit the values were converted to, null when not converted
  *                         filtered_points:
  *                           type: integer
  *                         sensors_included:
@@ -166,8 +347,10 @@ router.use(protect);
  *                               type: string
  *                             interval:
  *                               type: string
- *                             fill_gaps:
- *                               type: boolean
+ *                             percentile:
+ *                               type: number
+ *                             fill:
+ *                               type: string
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -211,6 +394,14 @@ router.get('/', [
       return types.every(type => type.trim().length > 0 && type.trim().length <= 50);
     })
     .withMessage('All sensor types must be between 1 and 50 characters'),
+  query('start_time')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  query('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
   query('min_value')
     .optional()
     .isNumeric()
@@ -225,8 +416,15 @@ router.get('/', [
     .withMessage('Quality threshold must be between 0 and 100'),
   query('aggregation')
     .optional()
-    .isIn(['none', 'avg', 'min', 'max', 'sum', 'count', 'stddev'])
-    .withMessage('Aggregation must be one of: none, avg, min, max, sum, count, stddev'),
+    .isIn(['none', 'avg', ...AGGREGATE_FUNCTIONS])
+    .withMessage(`Aggregation must be one of: none, avg, ${AGGREGATE_FUNCTIONS.join(', ')}`),
+  query('percentile')
+    .if(query('aggregation').equals('percentile'))
+    .notEmpty()
+    .withMessage('Percentile is required for percentile aggregation')
+    .bail()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentile must be between 0 and 100'),
   query('interval')
     .optional()
     .isIn(['1m', '5m', '15m', '30m', '1h', '6h', '12h', '1d', '1w'])
@@ -235,6 +433,17 @@ router.get('/', [
     .optional()
     .isBoolean()
     .withMessage('Fill gaps must be a boolean'),
+  query('fill')
+    .optional()
+    .isIn(FILL_MODES)
+    .withMessage(`Fill must be one of: ${FILL_MODES.join(', ')}`),
+  query('fill_value')
+    .if(query('fill').equals('value'))
+    .notEmpty()
+    .withMessage('Fill value is required when fill is value')
+    .bail()
+    .isFloat()
+    .withMessage('Fill value must be a number'),
   query('sort')
     .optional()
     .isIn(['timestamp', 'value', 'sensor_id'])
@@ -243,15 +452,270 @@ router.get('/', [
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Order must be asc or desc'),
+  unitValidator(query('unit')),
   validate
 ], getSensorData);
 
+/**
+ * @swagger
+ * /api/data/query:
+ *   post:
+ *     summary: Query several sensors as an aligned table
+ *     description: |
+ *       Resamples the readings of several sensors onto one grid of `interval` windows and returns a wide
+ *       table with one row per window (stamped with its start) and one column per sensor, ready for charts
+ *       and CSV export. Windows are read from the coarsest rollup tier that can answer the aggregation.
+ *       Empty windows are null, carried forward from the previous window (`previous`) or interpolated
+ *       (`linear`) across gaps of at most `max_gap`. Large ranges are paged: pass `next_cursor` back
+ *       as `cursor`, with the rest of the request unchanged, to get the following rows. Rows per page are
+ *       limited to DATA_QUERY_MAX_ROWS and DATA_QUERY_MAX_CELLS divided by the number of columns.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sensors
+ *               - start_time
+ *               - interval
+ *             properties:
+ *               sensors:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: Sensor IDs, or column specs overriding the aggregation of one sensor
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       format: uuid
+ *                     - type: object
+ *                       required:
+ *                         - sensor_id
+ *                       properties:
+ *                         sensor_id:
+ *                           type: string
+ *                           format: uuid
+ *                         aggregation:
+ *                           type: string
+ *                         percentile:
+ *                           type: number
+ *                         label:
+ *                           type: string
+ *                           description: Column name, defaults to the sensor name
+ *                         unit:
+ *                           type: string
+ *                           description: Unit of this column, overriding unit
+ *               unit:
+ *                 type: string
+ *                 description: Convert every column to this unit, a UCUM code or a known symbol
+ *                 example: 'kPa'
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               interval:
+ *                 type: string
+ *                 description: Resample interval (ms, s, m, h, d or w)
+ *                 example: '1m'
+ *               aggregation:
+ *                 type: string
+ *                 enum: [mean, median, min, max, first, last, sum, count, stddev, spread, percentile]
+ *                 default: mean
+ *               percentile:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               fill:
+ *                 type: string
+ *                 enum: [null, previous, linear]
+ *                 default: 'null'
+ *               max_gap:
+ *                 type: string
+ *                 description: Longest gap bridged by fill, defaults to 10 intervals
+ *                 example: '15m'
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1000
+ *                 description: Rows per page
+ *               cursor:
+ *                 type: string
+ *                 description: next_cursor of the previous page
+ *               format:
+ *                 type: string
+ *                 enum: [json, csv]
+ *                 default: json
+ *     responses:
+ *       200:
+ *         description: Aligned table; CSV responses carry the next cursor in the X-Next-Cursor header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           sensor_id:
+ *                             type: string
+ *                           sensor_name:
+ *                             type: string
+ *                           device_id:
+ *                             type: string
+ *                           unit:
+ *                             type: string
+ *                           aggregation:
+ *                             type: string
+ *                     rows:
+ *                       type: array
+ *                       description: Timestamp followed by one value or null per sensor column
+ *                       items:
+ *                         type: array
+ *                     metadata:
+ *                       type: object
+ *                       properties:
+ *                         interval:
+ *                           type: string
+ *                         fill:
+ *                           type: string
+ *                         max_gap_seconds:
+ *                           type: number
+ *                           nullable: true
+ *                         time_range:
+ *                           type: object
+ *                         page_range:
+ *                           type: object
+ *                         tiers:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: integer
+ *                         rows:
+ *                           type: integer
+ *                         total_rows:
+ *                           type: integer
+ *                         has_more:
+ *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/query', [
+  body('sensors')
+    .isArray({ min: 1 })
+    .withMessage('Sensors must be a non-empty list'),
+  body('sensors.*')
+    .custom((entry) => isValidUUID(typeof entry === 'string' ? entry : String(entry && entry.sensor_id)))
+    .withMessage('Sensors must be sensor IDs or objects with a sensor_id'),
+  body('sensors.*.aggregation')
+    .optional()
+    .isIn(AGGREGATE_FUNCTIONS)
+    .withMessage(`Aggregation must be one of: ${AGGREGATE_FUNCTIONS.join(', ')}`),
+  body('sensors.*.percentile')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentile must be between 0 and 100'),
+  body('sensors.*.label')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Column labels must be between 1 and 100 characters'),
+  unitValidator(body(['unit', 'sensors.*.unit'])),
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .bail()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  body('end_time')
+    .optional()
+    .custom((end, { req }) => new Date(end) > new Date(req.body.start_time))
+    .withMessage('End time must be after start time'),
+  // Fixed-length windows only, so every column lines up on one grid
+  body(['interval', 'max_gap'])
+    .optional()
+    .matches(/^(\d+(ms|s|m|h|d|w))+$/)
+    .withMessage('Interval and max gap must be durations such as 30s, 5m or 1h'),
+  body('interval')
+    .notEmpty()
+    .withMessage('Interval is required'),
+  body('aggregation')
+    .optional()
+    .isIn(AGGREGATE_FUNCTIONS)
+    .withMessage(`Aggregation must be one of: ${AGGREGATE_FUNCTIONS.join(', ')}`),
+  body('percentile')
+    .if((value, { req }) => req.body.aggregation === 'percentile'
+      || (Array.isArray(req.body.sensors) && req.body.sensors.some((entry) => entry
+        && entry.aggregation === 'percentile' && entry.percentile === undefined)))
+    .notEmpty()
+    .withMessage('Percentile is required for percentile aggregation')
+    .bail()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentile must be between 0 and 100'),
+  body('fill')
+    .optional()
+    .isIn(RESAMPLE_FILLS)
+    .withMessage(`Fill must be one of: ${RESAMPLE_FILLS.join(', ')}`),
+  body('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer')
+    .toInt(),
+  body('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Cursor must be a string'),
+  body('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  validate
+], queryAlignedData);
+
 /**
  * @swagger
  * /api/data/realtime:
  *   get:
  *     summary: Get real-time sensor data
- *     description: Retrieve the latest sensor readings for real-time monitoring
+ *     description: |
+ *       Retrieve the latest reading of each sensor for real-time monitoring. A sensor is online when it
+ *       reported within max_age_minutes, stale when its latest reading is older than three sampling
+ *       periods and offline without a reading in that time.
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
@@ -285,6 +749,11 @@ router.get('/', [
  *           type: boolean
  *           default: false
  *         description: Include sensors that are offline
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: Convert the latest readings to this unit, a UCUM code or a known symbol
  *     responses:
  *       200:
  *         description: Real-time sensor data
@@ -373,6 +842,7 @@ router.get('/realtime', [
     .optional()
     .isBoolean()
     .withMessage('Include offline must be a boolean'),
+  unitValidator(query('unit')),
   validate
 ], getRealTimeData);
 
@@ -381,7 +851,9 @@ router.get('/realtime', [
  * /api/data/stats:
  *   get:
  *     summary: Get data statistics
- *     description: Retrieve comprehensive statistics about sensor data
+ *     description: |
+ *       Retrieve statistics of sensor readings grouped by sensor, device, type or time period.
+ *       Without start_time the last 24 hours are used. Time period groups are keyed by their start.
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
@@ -420,6 +892,13 @@ router.get('/realtime', [
  *           enum: [sensor, device, type, hour, day, week, month]
  *           default: sensor
  *         description: Group statistics by field
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Convert every series to this unit before aggregating; readings that cannot be converted
+ *           to it are refused. Without a unit, groups are split by the unit of their readings.
  *     responses:
  *       200:
  *         description: Data statistics
@@ -442,6 +921,8 @@ router.get('/realtime', [
  *                             type: string
  *                           group_value:
  *                             type: string
+ *                           unit:
+ *                             type: string
  *                           total_readings:
  *                             type: integer
  *                           avg_value:
@@ -467,6 +948,9 @@ router.get('/realtime', [
  *                           type: integer
  *                         total_readings:
  *                           type: integer
+ *                         unit:
+ *                           type: string
+ *                           description: Unit of the overall values, which are null when groups differ in unit
  *                         overall_avg:
  *                           type: number
  *                         overall_min:
@@ -511,10 +995,19 @@ router.get('/stats', [
       return types.every(type => type.trim().length > 0 && type.trim().length <= 50);
     })
     .withMessage('All sensor types must be between 1 and 50 characters'),
+  query('start_time')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  query('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
   query('group_by')
     .optional()
     .isIn(['sensor', 'device', 'type', 'hour', 'day', 'week', 'month'])
     .withMessage('Group by must be one of: sensor, device, type, hour, day, week, month'),
+  unitValidator(query('unit')),
   validate
 ], getDataStatistics);
 
@@ -523,7 +1016,11 @@ router.get('/stats', [
  * /api/data/export:
  *   get:
  *     summary: Export sensor data
- *     description: Export sensor data in CSV format
+ *     description: |
+ *       Streams sensor readings from InfluxDB as they are written to the response, so exports are not held
+ *       in memory. Rows come sensor by sensor, each in time order. CSV follows RFC 4180 (CRLF line breaks,
+ *       fields with commas, quotes or line breaks quoted). Exports with more rows than EXPORT_SYNC_MAX_ROWS
+ *       are refused with 413; create an export job for them instead. The row count is sent in X-Total-Rows.
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
@@ -548,19 +1045,19 @@ router.get('/stats', [
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Start time for data export
+ *         description: Start time for data export, defaults to 24 hours before end_time
  *       - in: query
  *         name: end_time
  *         schema:
  *           type: string
  *           format: date-time
- *         description: End time for data export
+ *         description: End time for data export, defaults to now
  *       - in: query
  *         name: format
  *         schema:
  *           type: string
- *           enum: [csv, json, xlsx]
- *           default: csv
+ *           enum: [csv, json, ndjson, parquet, xlsx]
+ *           default: json
  *         description: Export format
  *       - in: query
  *         name: include_metadata
@@ -580,7 +1077,13 @@ router.get('/stats', [
  *         schema:
  *           type: string
  *           enum: [1m, 5m, 15m, 30m, 1h, 6h, 12h, 1d]
- *         description: Aggregation interval
+ *           default: 1h
+ *         description: Aggregation interval; windows are stamped with their start
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: Convert values to this unit, a UCUM code or a known symbol
  *     responses:
  *       200:
  *         description: Exported data file
@@ -591,6 +1094,13 @@ router.get('/stats', [
  *           application/json:
  *             schema:
  *               type: object
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/vnd.apache.parquet:
+ *             schema:
+ *               type: string
+ *               format: binary
  *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
  *             schema:
  *               type: string
@@ -599,134 +1109,318 @@ router.get('/stats', [
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       413:
+ *         description: Too many rows for a direct download
+ *       503:
+ *         description: InfluxDB is not configured
  */
 router.get('/export', [
   validateDateRange,
-  query('sensor_ids')
-    .optional()
-    .isString()
-    .custom((value) => {
-      const ids = value.split(',');
-      return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
-    })
-    .withMessage('All sensor IDs must be valid UUIDs'),
-  query('device_ids')
-    .optional()
-    .isString()
-    .custom((value) => {
-      const ids = value.split(',');
-      return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
-    })
-    .withMessage('All device IDs must be valid UUIDs'),
-  query('sensor_types')
-    .optional()
-    .isString()
-    .custom((value) => {
-      const types = value.split(',');
-      return types.every(type => type.trim().length > 0 && type.trim().length <= 50);
-    })
-    .withMessage('All sensor types must be between 1 and 50 characters'),
-  query('format')
-    .optional()
-    .isIn(['csv', 'json', 'xlsx'])
-    .withMessage('Format must be one of: csv, json, xlsx'),
-  query('include_metadata')
-    .optional()
-    .isBoolean()
-    .withMessage('Include metadata must be a boolean'),
-  query('aggregation')
-    .optional()
-    .isIn(['none', 'avg', 'min', 'max', 'sum'])
-    .withMessage('Aggregation must be one of: none, avg, min, max, sum'),
-  query('interval')
-    .optional()
-    .isIn(['1m', '5m', '15m', '30m', '1h', '6h', '12h', '1d'])
-    .withMessage('Interval must be one of: 1m, 5m, 15m, 30m, 1h, 6h, 12h, 1d'),
-  validate
+  ...exportValidators(query)
 ], exportData);
 
 /**
  * @swagger
- * /api/data/quality:
+ * /api/data/exports:
+ *   post:
+ *     summary: Create an export job
+ *     description: |
+ *       Queues a background export of any size with the parameters of GET /api/data/export. The file can be
+ *       downloaded from /api/data/exports/{jobId}/download once the job has completed, until `expires_at`
+ *       (EXPORT_RETENTION_HOURS after completion).
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sensor_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               device_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               sensor_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, ndjson, parquet, xlsx]
+ *                 default: json
+ *               include_metadata:
+ *                 type: boolean
+ *                 default: true
+ *               aggregation:
+ *                 type: string
+ *                 enum: [none, avg, min, max, sum]
+ *                 default: none
+ *               interval:
+ *                 type: string
+ *                 enum: [1m, 5m, 15m, 30m, 1h, 6h, 12h, 1d]
+ *                 default: 1h
+ *               unit:
+ *                 type: string
+ *                 description: Convert values to this unit, a UCUM code or a known symbol
+ *     responses:
+ *       202:
+ *         description: Export job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ExportJob'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       503:
+ *         description: InfluxDB is not configured
  *   get:
- *     summary: Get data quality metrics
- *     description: Retrieve data quality metrics and anomaly detection results
+ *     summary: Get export jobs
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: sensor_ids
- *         schema:
- *           type: string
- *         description: Comma-separated list of sensor IDs
- *       - in: query
- *         name: device_ids
- *         schema:
- *           type: string
- *         description: Comma-separated list of device IDs
- *       - in: query
- *         name: start_time
+ *         name: status
  *         schema:
  *           type: string
- *           format: date-time
- *         description: Start time for quality analysis
+ *           enum: [queued, running, completed, failed, cancelled, expired]
  *       - in: query
- *         name: end_time
+ *         name: page
  *         schema:
- *           type: string
- *           format: date-time
- *         description: End time for quality analysis
+ *           type: integer
+ *           default: 1
  *       - in: query
- *         name: include_anomalies
+ *         name: limit
  *         schema:
- *           type: boolean
- *           default: true
- *         description: Include anomaly detection results
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Data quality metrics
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     quality_metrics:
- *                       type: array
- *                       items:
- *                         type: object
+ *         description: Export jobs, newest first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/exports', [
+  ...exportValidators(body),
+  validate
+], createExportJob);
+
+router.get('/exports', [
+  validatePagination,
+  query('status')
+    .optional()
+    .isIn(EXPORT_JOB_STATUSES)
+    .withMessage(`Status must be one of: ${EXPORT_JOB_STATUSES.join(', ')}`),
+  validate
+], getExportJobs);
+
+/**
+ * @swagger
+ * /api/data/exports/{jobId}:
+ *   get:
+ *     summary: Get export job status
+ *     description: Progress of an export job and, once completed, the size and expiry of its file
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Export job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ExportJob'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/exports/:jobId', [
+  validateUUID('jobId'),
+  validate
+], getExportJobById);
+
+/**
+ * @swagger
+ * /api/data/exports/{jobId}/download:
+ *   get:
+ *     summary: Download an export
+ *     description: The file of a completed export job
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Exported data file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The export has not completed
+ *       410:
+ *         description: The export has expired
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/exports/:jobId/download', [
+  validateUUID('jobId'),
+  validate
+], downloadExport);
+
+/**
+ * @swagger
+ * /api/data/quality:
+ *   get:
+ *     summary: Get data quality scores
+ *     description: |
+ *       Quality scores of sensors and their devices per interval and over the whole range. Readings are given an
+ *       OPC DA style quality code at ingest: good (192), uncertain when out of range (85 below min_value, 86 above
+ *       max_value), flatlined (83) or a spike (80), bad when stuck (19). Flags raised are stored with the reading,
+ *       `gap` marking the first reading after more than `gap_factor` sampling intervals without data.
+ *       A score is 100 × completeness × validity, where completeness is stored readings over the readings the
+ *       sampling rate calls for (unknown without a sampling rate or with compression) and validity weighs good
+ *       readings 1, uncertain 0.5 and bad 0. Device scores are the mean of their sensors' scores.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sensor_ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of sensor IDs
+ *       - in: query
+ *         name: device_ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of device IDs
+ *       - in: query
+ *         name: start_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the report, defaults to 24 hours before end_time
+ *       - in: query
+ *         name: end_time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the report, defaults to now
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [15m, 1h, 6h, 12h, 1d, 7d]
+ *         description: Length of the intervals scored, chosen from the range when omitted
+ *     responses:
+ *       200:
+ *         description: Data quality report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         sensors:
+ *                           type: integer
+ *                         devices:
+ *                           type: integer
+ *                         score:
+ *                           type: number
+ *                           nullable: true
+ *                         points:
+ *                           type: integer
+ *                         good:
+ *                           type: integer
+ *                         uncertain:
+ *                           type: integer
+ *                         bad:
+ *                           type: integer
+ *                         unassessed:
+ *                           type: integer
+ *                           description: Readings stored without a quality code
+ *                         flags:
+ *                           $ref: '#/components/schemas/QualityFlagCounts'
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         type: object
  *                         properties:
- *                           sensor_id:
+ *                           device_id:
  *                             type: string
  *                             format: uuid
- *                           sensor_name:
+ *                           device_name:
  *                             type: string
- *                           completeness_score:
- *                             type: number
- *                           accuracy_score:
- *                             type: number
- *                           consistency_score:
- *                             type: number
- *                           timeliness_score:
- *                             type: number
- *                           overall_quality_score:
- *                             type: number
- *                           total_readings:
- *                             type: integer
- *                           missing_readings:
- *                             type: integer
- *                           duplicate_readings:
- *                             type: integer
- *                           out_of_range_readings:
- *                             type: integer
- *                           anomalous_readings:
+ *                           sensors:
  *                             type: integer
- *                     anomalies:
+ *                           score:
+ *                             type: number
+ *                             nullable: true
+ *                           series:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 time:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 score:
+ *                                   type: number
+ *                                   nullable: true
+ *                     sensors:
  *                       type: array
  *                       items:
  *                         type: object
@@ -734,62 +1428,71 @@ router.get('/export', [
  *                           sensor_id:
  *                             type: string
  *                             format: uuid
- *                           timestamp:
+ *                           sensor_name:
  *                             type: string
- *                             format: date-time
- *                           value:
- *                             type: number
- *                           anomaly_type:
+ *                           device_id:
  *                             type: string
- *                             enum: [outlier, spike, drift, gap]
- *                           severity:
+ *                             format: uuid
+ *                           sensor_type:
  *                             type: string
- *                             enum: [low, medium, high]
- *                           confidence:
- *                             type: number
- *                     summary:
+ *                           unit:
+ *                             type: string
+ *                           range:
+ *                             type: object
+ *                             properties:
+ *                               min_value:
+ *                                 type: number
+ *                                 nullable: true
+ *                               max_value:
+ *                                 type: number
+ *                                 nullable: true
+ *                           sampling_rate:
+ *                             type: integer
+ *                             nullable: true
+ *                           checks:
+ *                             type: boolean
+ *                             description: Whether readings are given quality codes at ingest
+ *                           summary:
+ *                             $ref: '#/components/schemas/QualityScore'
+ *                           series:
+ *                             type: array
+ *                             items:
+ *                               allOf:
+ *                                 - type: object
+ *                                   properties:
+ *                                     time:
+ *                                       type: string
+ *                                       format: date-time
+ *                                 - $ref: '#/components/schemas/QualityScore'
+ *                     metadata:
  *                       type: object
  *                       properties:
- *                         overall_quality_score:
- *                           type: number
- *                         total_sensors_analyzed:
- *                           type: integer
- *                         total_anomalies_detected:
- *                           type: integer
- *                         analysis_period:
- *                           type: object
- *                           properties:
- *                             start_time:
- *                               type: string
- *                               format: date-time
- *                             end_time:
- *                               type: string
- *                               format: date-time
+ *                         start_time:
+ *                           type: string
+ *                           format: date-time
+ *                         end_time:
+ *                           type: string
+ *                           format: date-time
+ *                         interval:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       503:
+ *         description: InfluxDB is not configured
  */
 router.get('/quality', [
   validateDateRange,
-  query('sensor_ids')
-    .optional()
-    .isString()
-    .custom((value) => {
-      const ids = value.split(',');
-      return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
-    })
-    .withMessage('All sensor IDs must be valid UUIDs'),
-  query('device_ids')
+  query(['sensor_ids', 'device_ids'])
     .optional()
     .isString()
-    .custom((value) => {
-      const ids = value.split(',');
-      return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
-    })
-    .withMessage('All device IDs must be valid UUIDs'),
-  query('include_anomalies')
+    .custom((value) => value.split(',').every((id) => isValidUUID(id.trim())))
+    .withMessage('All sensor and device IDs must be valid UUIDs'),
+  query('interval')
     .optional()
-    .isBoolean()
-    .withMessage('Include anomalies must be a boolean'),
+    .isIn(QUALITY_INTERVALS)
+    .withMessage(`Interval must be one of: ${QUALITY_INTERVALS.join(', ')}`),
   validate
 ], getDataQuality);
 
@@ -798,7 +1501,10 @@ router.get('/quality', [
  * /api/data/cleanup:
  *   delete:
  *     summary: Delete old data
- *     description: Delete old sensor data based on retention policies (admin only)
+ *     description: |
+ *       Delete sensor readings older than a number of days from InfluxDB right away (admin only).
+ *       Scheduled retention is configured with retention policies, see /api/data/retention.
+ *       A dry run reports how many records would be deleted.
  *     tags: [Data]
  *     security:
  *       - bearerAuth: []
@@ -816,6 +1522,12 @@ router.get('/quality', [
  *           type: string
  *         description: Comma-separated list of sensor IDs (optional, deletes from all sensors if not specified)
  *       - in: query
+ *         name: tiers
+ *         schema:
+ *           type: string
+ *           default: raw
+ *         description: Comma-separated tiers to delete from (raw, 1m, 1h, 1d)
+ *       - in: query
  *         name: dry_run
  *         schema:
  *           type: boolean
@@ -838,6 +1550,19 @@ router.get('/quality', [
  *                   properties:
  *                     deleted_records:
  *                       type: integer
+ *                     matched_records:
+ *                       type: integer
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tier:
+ *                             type: string
+ *                           bucket:
+ *                             type: string
+ *                           records:
+ *                             type: integer
  *                     affected_sensors:
  *                       type: array
  *                       items:
@@ -871,6 +1596,10 @@ router.delete('/cleanup', [
       return ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id.trim()));
     })
     .withMessage('All sensor IDs must be valid UUIDs'),
+  query('tiers')
+    .optional()
+    .custom((value) => value.split(',').every((tier) => RETENTION_TIERS.includes(tier.trim())))
+    .withMessage(`Tiers must be a comma-separated list of: ${RETENTION_TIERS.join(', ')}`),
   query('dry_run')
     .optional()
     .isBoolean()
@@ -878,4 +1607,438 @@ router.delete('/cleanup', [
   validate
 ], deleteOldData);
 
+/**
+ * @swagger
+ * /api/data/retention:
+ *   get:
+ *     summary: Get downsampling tiers and retention policies
+ *     description: |
+ *       Raw readings are rolled up into 1 minute, 1 hour and 1 day buckets holding
+ *       min, max, mean, sum and count per window. Each tier reports its bucket, default
+ *       retention, the retention its bucket currently has (the longest any sensor needs)
+ *       and the time up to which rollups are complete. Retention is in days, 0 keeps data forever.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tiers, rollup progress, last retention run and policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             enum: [raw, 1m, 1h, 1d]
+ *                           resolution:
+ *                             type: string
+ *                             nullable: true
+ *                           bucket:
+ *                             type: string
+ *                           default_retention_days:
+ *                             type: integer
+ *                           bucket_retention_days:
+ *                             type: integer
+ *                             nullable: true
+ *                           rolled_up_until:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                     last_enforcement:
+ *                       type: object
+ *                       nullable: true
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RetentionPolicy'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/retention', getRetention);
+
+/**
+ * @swagger
+ * /api/data/retention/policies:
+ *   post:
+ *     summary: Create a retention policy
+ *     description: |
+ *       Keep data of selected sensors, devices or device types for a different number of days
+ *       per tier. Tiers left out use the default retention. When several policies match a sensor,
+ *       a policy listing the sensor wins over one listing its device, which wins over one listing
+ *       its device type; among equals the most recently updated policy applies.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RetentionPolicy'
+ *     responses:
+ *       201:
+ *         description: Retention policy created
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/retention/policies', [
+  restrictTo('admin'),
+  ...retentionPolicyValidators(true)
+], createPolicy);
+
+/**
+ * @swagger
+ * /api/data/retention/policies/{policyId}:
+ *   put:
+ *     summary: Update a retention policy
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RetentionPolicy'
+ *     responses:
+ *       200:
+ *         description: Retention policy updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Delete a retention policy
+ *     description: Sensors of the policy fall back to the next matching policy or the tier defaults
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Retention policy deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/retention/policies/:policyId', [
+  restrictTo('admin'),
+  validateUUID('policyId'),
+  ...retentionPolicyValidators(false)
+], updatePolicy);
+
+router.delete('/retention/policies/:policyId', [
+  restrictTo('admin'),
+  validateUUID('policyId'),
+  validate
+], deletePolicy);
+
+/**
+ * @swagger
+ * /api/data/retention/enforce:
+ *   post:
+ *     summary: Apply retention now
+ *     description: Update bucket retention and delete expired readings of sensors with shorter retention without waiting for the scheduled check
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sensor series purged and failed purges
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/retention/enforce', [
+  restrictTo('admin')
+], enforceRetention);
+
+/**
+ * @swagger
+ * /api/data/retention/rollups/rebuild:
+ *   post:
+ *     summary: Rebuild rollups
+ *     description: |
+ *       Recompute every rollup tier from the given time on. Late and rewritten readings
+ *       (imports, calibration reprocessing) are picked up automatically; use this after
+ *       changing data in InfluxDB by other means.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [start_time]
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       202:
+ *         description: Rebuild scheduled for the next rollup run
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/retention/rollups/rebuild', [
+  restrictTo('admin'),
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  validate
+], rebuildRollups);
+
+/**
+ * @swagger
+ * /api/data/import:
+ *   post:
+ *     summary: Import historical sensor data
+ *     description: |
+ *       Upload a CSV or Excel (.xlsx) historian export and map its columns to
+ *       device, sensor, timestamp and value. Long files have one reading per row
+ *       (value plus sensor_id column or fixed value); wide files have one column
+ *       per sensor, listed in mapping.columns. Every sensor must be registered;
+ *       values are converted from the mapped unit to the sensor's unit.
+ *       Timestamps without a UTC offset are read in the given time zone.
+ *
+ *       With dry_run the first rows are validated and a preview of the converted
+ *       readings is returned; nothing is written. Otherwise a job is queued that
+ *       writes to InfluxDB in chunks; follow it with GET /api/data/import/{jobId}.
+ *       Re-running an import is safe, identical points are overwritten.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - mapping
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: |
+ *                   JSON column mapping. A string is shorthand for { "column": name };
+ *                   device_id, sensor_id and unit also accept { "value": fixed }.
+ *                   Timestamp formats: auto, iso, epoch_s, epoch_ms, excel or a pattern
+ *                   built from YYYY, MM, DD, HH, mm, ss and SSS.
+ *                 example: '{"timestamp":{"column":"Time","format":"DD.MM.YYYY HH:mm:ss"},"columns":[{"column":"TT101","sensor_id":"123e4567-e89b-12d3-a456-426614174000","unit":"degF"}]}'
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               timezone:
+ *                 type: string
+ *                 default: UTC
+ *                 example: 'Europe/Berlin'
+ *               delimiter:
+ *                 type: string
+ *                 enum: [',', ';', tab, '|']
+ *                 default: ','
+ *                 description: CSV field delimiter
+ *               decimal_separator:
+ *                 type: string
+ *                 enum: ['.', ',']
+ *                 default: '.'
+ *               sheet:
+ *                 type: string
+ *                 description: Worksheet name, defaults to the first worksheet
+ *     responses:
+ *       200:
+ *         description: Dry run result with counts, validation errors and a preview
+ *       202:
+ *         description: Import job queued
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: File too large
+ *       503:
+ *         description: InfluxDB not configured
+ *   get:
+ *     summary: Get import jobs
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import jobs, newest first, without their error lists
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/import', [
+  restrictTo('admin', 'manager'),
+  uploadImportFile,
+  validateFileUpload(IMPORT_FILE_TYPES, importService.maxFileSize),
+  body('mapping')
+    .notEmpty()
+    .withMessage('Mapping is required'),
+  body('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean(),
+  body('timezone')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Time zone must be an IANA time zone name'),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t', 'tab', '|'])
+    .withMessage('Delimiter must be a comma, semicolon, tab or pipe'),
+  body('decimal_separator')
+    .optional()
+    .isIn(['.', ','])
+    .withMessage('Decimal separator must be . or ,'),
+  body('sheet')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sheet must be a worksheet name'),
+  validate
+], importData);
+
+router.get('/import', [
+  validatePagination,
+  query('status')
+    .optional()
+    .isIn(IMPORT_JOB_STATUSES)
+    .withMessage(`Status must be one of: ${IMPORT_JOB_STATUSES.join(', ')}`),
+  validate
+], getImportJobs);
+
+/**
+ * @swagger
+ * /api/data/import/{jobId}:
+ *   get:
+ *     summary: Get import job status
+ *     description: Progress, time range covered, counts and the first validation errors (with file row numbers) of an import job
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Import job
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/import/:jobId', [
+  validateUUID('jobId'),
+  validate
+], getImportJobById);
+
+/**
+ * @swagger
+ * /api/data/import/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel an import job
+ *     description: Queued jobs are cancelled at once; running jobs stop after the current chunk. Chunks already written stay in InfluxDB.
+ *     tags: [Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Cancellation accepted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Job already finished
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/import/:jobId/cancel', [
+  restrictTo('admin', 'manager'),
+  validateUUID('jobId'),
+  validate
+], cancelImportJob);
+
 module.exports = router;
\ No newline at end of file
@@ -7,14 +7,86 @@ const {
   updateDevice,
   deleteDevice,
   getDeviceSensors,
+  getDeviceStatusHistory,
+  getDeviceHealth,
   getDeviceStats,
-  sendCommand
+  sendCommand,
+  getDeviceCommands,
+  getDeviceCommandById,
+  getDeviceCredentials,
+  rotateDeviceCredential,
+  revokeDeviceCredential,
+  createClaimToken
 } = require('../controllers/deviceController');
 const { protect, restrictTo } = require('../middleware/auth');
-const { validate, validateUUID, validatePagination } = require('../middleware/validation');
+const { validate, validateUUID, validatePagination, validateDateRange } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Modbus TCP connection settings in configuration.modbus
+const modbusDeviceValidators = [
+  body('configuration.modbus.host')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Modbus host must be between 1 and 255 characters'),
+  body('configuration.modbus.port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Modbus port must be between 1 and 65535'),
+  body('configuration.modbus.unit_id')
+    .optional()
+    .isInt({ min: 0, max: 255 })
+    .withMessage('Modbus unit ID must be between 0 and 255'),
+  body('configuration.modbus.poll_interval')
+    .optional()
+    .isInt({ min: 100 })
+    .withMessage('Modbus poll interval must be at least 100 ms'),
+  body('configuration.modbus.timeout')
+    .optional()
+    .isInt({ min: 100, max: 60000 })
+    .withMessage('Modbus timeout must be between 100 and 60000 ms'),
+  body('configuration.modbus.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Modbus enabled must be a boolean')
+];
+
+// Sparkplug B edge node a gateway may publish as; the IDs become topic levels of its ACL
+const SPARKPLUG_ID = /^[^+#/\s\p{Cc}]+$/u;
+
+const sparkplugEdgeNodeValidators = [
+  body('sparkplug_edge_node')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Sparkplug edge node must be an object'),
+  body(['sparkplug_edge_node.group_id', 'sparkplug_edge_node.edge_node_id'])
+    .if(body('sparkplug_edge_node').exists({ checkNull: true }))
+    .isString()
+    .matches(SPARKPLUG_ID)
+    .withMessage('Sparkplug group and edge node IDs must not be empty or contain +, #, /, whitespace or control characters')
+];
+
+const COMMAND_STATUSES = ['pending', 'delivered', 'acknowledged', 'succeeded', 'failed', 'timed_out'];
+const CREDENTIAL_TYPES = ['password', 'token', 'certificate'];
+const SHA256_FINGERPRINT = /^(sha256[:=]?)?([0-9a-f]{2}:?){31}[0-9a-f]{2}$/i;
+
+// Credential type and client certificate fingerprint, e.g. for rotation
+const credentialValidators = (typeField, allowedTypes) => [
+  body(typeField)
+    .optional()
+    .isIn(allowedTypes)
+    .withMessage(`Credential type must be one of: ${allowedTypes.join(', ')}`),
+  body('certificate_fingerprint')
+    .if(body(typeField).equals('certificate'))
+    .notEmpty()
+    .withMessage('Certificate fingerprint is required for certificate credentials'),
+  body('certificate_fingerprint')
+    .optional()
+    .matches(SHA256_FINGERPRINT)
+    .withMessage('Certificate fingerprint must be a SHA-256 fingerprint (64 hex digits, colons optional)')
+];
+
 // Protect all routes
 router.use(protect);
 
@@ -260,13 +332,38 @@ router.get('/:id', [
  *                 description: Device GPS coordinates
  *               configuration:
  *                 type: object
- *                 description: Device-specific configuration
+ *                 description: |
+ *                   Device-specific configuration. `modbus` ({ host, port, unit_id, poll_interval, timeout, enabled })
+ *                   enables Modbus TCP polling of the device's sensors; host defaults to ip_address.
  *               metadata:
  *                 type: object
  *                 description: Additional device metadata
+ *               sparkplug_edge_node:
+ *                 type: object
+ *                 nullable: true
+ *                 description: |
+ *                   Sparkplug B edge node the device publishes as. Its credential may then use
+ *                   spBv1.0/{group_id}/+/{edge_node_id}/#.
+ *                 properties:
+ *                   group_id:
+ *                     type: string
+ *                   edge_node_id:
+ *                     type: string
+ *               credential_type:
+ *                 type: string
+ *                 enum: [password, token, certificate, claim]
+ *                 default: password
+ *                 description: |
+ *                   Broker credential issued to the device (username is the device ID).
+ *                   token also authenticates HTTP ingestion as X-API-Key; certificate
+ *                   registers a client certificate whose CN must be the device ID;
+ *                   claim returns a one-time claim token instead of a credential.
+ *               certificate_fingerprint:
+ *                 type: string
+ *                 description: SHA-256 client certificate fingerprint, required for certificate credentials
  *     responses:
  *       201:
- *         description: Device created successfully
+ *         description: Device created; data.credential (or data.claim) carries the secret, shown only once
  *         content:
  *           application/json:
  *             schema:
@@ -342,10 +439,13 @@ router.post('/', [
     .optional()
     .isObject()
     .withMessage('Configuration must be an object'),
+  ...modbusDeviceValidators,
+  ...sparkplugEdgeNodeValidators,
   body('metadata')
     .optional()
     .isObject()
     .withMessage('Metadata must be an object'),
+  ...credentialValidators('credential_type', [...CREDENTIAL_TYPES, 'claim']),
   validate
 ], createDevice);
 
@@ -418,6 +518,24 @@ router.post('/', [
  *                 type: object
  *               metadata:
  *                 type: object
+ *               sparkplug_edge_node:
+ *                 type: object
+ *                 nullable: true
+ *                 description: |
+ *                   Sparkplug B edge node the device publishes as. Its credential may then use
+ *                   spBv1.0/{group_id}/+/{edge_node_id}/#.
+ *                 properties:
+ *                   group_id:
+ *                     type: string
+ *                   edge_node_id:
+ *                     type: string
+ *               heartbeat_interval:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: |
+ *                   Expected seconds between messages. The device is marked offline after
+ *                   DEVICE_MISSED_HEARTBEATS intervals of silence; null uses the default.
  *     responses:
  *       200:
  *         description: Device updated successfully
@@ -500,10 +618,17 @@ router.put('/:id', [
     .optional()
     .isObject()
     .withMessage('Configuration must be an object'),
+  ...modbusDeviceValidators,
+  ...sparkplugEdgeNodeValidators,
   body('metadata')
     .optional()
     .isObject()
     .withMessage('Metadata must be an object'),
+  body('heartbeat_interval')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Heartbeat interval must be between 1 and 86400 seconds')
+    .toInt(),
   validate
 ], updateDevice);
 
@@ -596,6 +721,100 @@ router.get('/:id/sensors', [
   validate
 ], getDeviceSensors);
 
+/**
+ * @swagger
+ * /api/devices/{id}/status-history:
+ *   get:
+ *     summary: Get device status history
+ *     description: |
+ *       Status changes of a device, newest first. Entries are written by the liveness
+ *       monitor (heartbeat timeouts, devices coming back), device status reports and
+ *       last-will messages, Sparkplug B birth/death certificates and manual updates.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Current status, last seen time and status changes
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/status-history', [
+  // Sparkplug B and mapped devices use non-UUID ids
+  param('id')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Device ID must be between 1 and 200 characters'),
+  validatePagination,
+  validateDateRange,
+  validate
+], getDeviceStatusHistory);
+
+/**
+ * @swagger
+ * /api/devices/{id}/health:
+ *   get:
+ *     summary: Get device health
+ *     description: |
+ *       Liveness status and last-seen time of a device together with the status of
+ *       the connectors polling it. For Modbus TCP devices this includes the poll
+ *       state, last successful poll, consecutive errors and the last error.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Device health
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/health', [
+  param('id')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Device ID must be between 1 and 200 characters'),
+  validate
+], getDeviceHealth);
+
 /**
  * @swagger
  * /api/devices/{id}/stats:
@@ -670,7 +889,13 @@ router.get('/:id/stats', [
  * /api/devices/{id}/command:
  *   post:
  *     summary: Send command to device
- *     description: Send a command to a specific device via MQTT
+ *     description: |
+ *       Queue a command for a device. Commands are delivered one at a time per device,
+ *       highest priority first, on iiot/{id}/commands with a correlation id and
+ *       response topic. The device answers on iiot/{id}/responses with
+ *       { correlation_id, status: acknowledged|succeeded|failed, result, error }.
+ *       Unacknowledged commands are republished until the retry limit is reached.
+ *       Progress is pushed to the device room as `command-status` Socket.IO events.
  *     tags: [Devices]
  *     security:
  *       - bearerAuth: []
@@ -706,9 +931,14 @@ router.get('/:id/stats', [
  *                 enum: [low, normal, high, urgent]
  *                 default: normal
  *                 description: Command priority
+ *               timeout:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 86400
+ *                 description: Seconds to wait for a result after acknowledgement
  *     responses:
- *       200:
- *         description: Command sent successfully
+ *       202:
+ *         description: Command accepted for delivery
  *         content:
  *           application/json:
  *             schema:
@@ -724,6 +954,11 @@ router.get('/:id/stats', [
  *                     command_id:
  *                       type: string
  *                       format: uuid
+ *                     correlation_id:
+ *                       type: string
+ *                       format: uuid
+ *                     response_topic:
+ *                       type: string
  *                     device_id:
  *                       type: string
  *                       format: uuid
@@ -735,9 +970,7 @@ router.get('/:id/stats', [
  *                       type: string
  *                     status:
  *                       type: string
- *                     sent_at:
- *                       type: string
- *                       format: date-time
+ *                       enum: [pending]
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
@@ -746,6 +979,8 @@ router.get('/:id/stats', [
  *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         description: MQTT broker is not connected
  */
 router.post('/:id/command', [
   restrictTo('admin', 'manager', 'operator'),
@@ -764,7 +999,301 @@ router.post('/:id/command', [
     .optional()
     .isIn(['low', 'normal', 'high', 'urgent'])
     .withMessage('Priority must be one of: low, normal, high, urgent'),
+  body('timeout')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Timeout must be between 1 and 86400 seconds')
+    .toInt(),
   validate
 ], sendCommand);
 
+/**
+ * @swagger
+ * /api/devices/{id}/commands:
+ *   get:
+ *     summary: Get device command history
+ *     description: Commands sent to a device, newest first
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, acknowledged, succeeded, failed, timed_out]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Commands with status, attempts, result and error
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/commands', [
+  validateUUID('id'),
+  query('status')
+    .optional()
+    .isIn(COMMAND_STATUSES)
+    .withMessage(`Status must be one of: ${COMMAND_STATUSES.join(', ')}`),
+  validatePagination,
+  validateDateRange,
+  validate
+], getDeviceCommands);
+
+/**
+ * @swagger
+ * /api/devices/{id}/commands/{commandId}:
+ *   get:
+ *     summary: Get device command
+ *     description: A single command including its status transitions
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *       - in: path
+ *         name: commandId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Command ID
+ *     responses:
+ *       200:
+ *         description: Command details and history
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/commands/:commandId', [
+  validateUUID('id'),
+  validateUUID('commandId'),
+  validate
+], getDeviceCommandById);
+
+/**
+ * @swagger
+ * /api/devices/{id}/credentials:
+ *   get:
+ *     summary: Get device credentials
+ *     description: Active and revoked credentials of a device; secrets are never returned
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Device credentials, newest first
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/credentials', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validate
+], getDeviceCredentials);
+
+/**
+ * @swagger
+ * /api/devices/{id}/credentials/rotate:
+ *   post:
+ *     summary: Rotate device credential
+ *     description: |
+ *       Issue a new credential and revoke the current one. The Mosquitto password
+ *       and ACL files are regenerated; the new secret is returned only once.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [password, token, certificate]
+ *                 description: Defaults to the type of the current credential
+ *               certificate_fingerprint:
+ *                 type: string
+ *                 description: Fingerprint of the new client certificate
+ *     responses:
+ *       201:
+ *         description: New credential with its secret
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/credentials/rotate', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  ...credentialValidators('type', CREDENTIAL_TYPES),
+  validate
+], rotateDeviceCredential);
+
+/**
+ * @swagger
+ * /api/devices/{id}/credentials/{credentialId}/revoke:
+ *   post:
+ *     summary: Revoke device credential
+ *     description: The device loses broker and HTTP access with this credential once the broker has reloaded its files
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Credential revoked
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Credential already revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/credentials/:credentialId/revoke', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validateUUID('credentialId'),
+  validate
+], revokeDeviceCredential);
+
+/**
+ * @swagger
+ * /api/devices/{id}/claim-token:
+ *   post:
+ *     summary: Create a claim token
+ *     description: |
+ *       One-time token for field commissioning. The device redeems it at
+ *       POST /api/provisioning/claim to receive its credential. Creating a new
+ *       token invalidates earlier unused ones.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               credential_type:
+ *                 type: string
+ *                 enum: [password, token, certificate]
+ *                 default: password
+ *               certificate_fingerprint:
+ *                 type: string
+ *                 description: Pin the client certificate; otherwise the device supplies it when claiming
+ *               expires_in_hours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 default: 72
+ *     responses:
+ *       201:
+ *         description: Claim token, shown only once
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/claim-token', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  body('credential_type')
+    .optional()
+    .isIn(CREDENTIAL_TYPES)
+    .withMessage(`Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}`),
+  body('certificate_fingerprint')
+    .optional()
+    .matches(SHA256_FINGERPRINT)
+    .withMessage('Certificate fingerprint must be a SHA-256 fingerprint (64 hex digits, colons optional)'),
+  body('expires_in_hours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Expiry must be between 1 and 720 hours')
+    .toInt(),
+  validate
+], createClaimToken);
+
 module.exports = router;
\ No newline at end of file
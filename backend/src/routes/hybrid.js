@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const influxService = require('../services/influxService');
+const ingestionService = require('../services/ingestionService');
+const retentionService = require('../services/retentionService');
 const mongoService = require('../services/mongoService');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { body, query, param } = require('express-validator');
+const { AGGREGATE_FUNCTIONS, FILL_MODES, FluxQueryError } = require('../utils/flux');
 
 /**
  * @swagger
@@ -58,6 +61,10 @@ router.get('/health', authenticateToken, async (req, res) => {
  * /api/hybrid/sensor-data:
  *   post:
  *     summary: Store sensor data in InfluxDB
+ *     description: |
+ *       The reading goes through the ingestion pipeline like MQTT and batch readings:
+ *       calibration, virtual sensors, quality checks, anomaly detection, compression
+ *       and the store-and-forward buffer while InfluxDB is unavailable.
  *     tags: [Hybrid Database]
  *     security:
  *       - bearerAuth: []
@@ -76,6 +83,9 @@ router.get('/health', authenticateToken, async (req, res) => {
  *                 type: string
  *               sensorType:
  *                 type: string
+ *               sensorId:
+ *                 type: string
+ *                 description: Sensor the reading belongs to, defaults to sensorType
  *               value:
  *                 type: number
  *               unit:
@@ -91,6 +101,7 @@ router.post('/sensor-data',
   [
     body('deviceId').notEmpty().withMessage('Device ID is required'),
     body('sensorType').notEmpty().withMessage('Sensor type is required'),
+    body('sensorId').optional().isString().notEmpty(),
     body('value').isNumeric().withMessage('Value must be numeric'),
     body('unit').optional().isString(),
     body('location').optional().isString()
@@ -98,22 +109,24 @@ router.post('/sensor-data',
   validateRequest,
   async (req, res) => {
     try {
-      const { deviceId, sensorType, value, unit, location } = req.body;
-      
-      const result = await influxService.writeSensorData({
-        deviceId,
-        sensorType,
-        value,
-        unit,
-        location
-      });
+      const { deviceId, sensorType, sensorId, value, unit, location } = req.body;
+      const tags = { sensor_type: sensorType, source: 'http' };
+      if (location) tags.location = location;
+
+      await ingestionService.ingest([{
+        device_id: deviceId,
+        sensor_id: sensorId || sensorType,
+        value: Number(value),
+        unit: unit || null,
+        tags
+      }]);
 
       logger.info(`Sensor data stored for device ${deviceId}`);
       
       res.status(201).json({
         success: true,
         message: 'Sensor data stored successfully',
-        data: result
+        data: { deviceId, sensorType, sensorId: sensorId || sensorType, value: Number(value), unit, location }
       });
     } catch (error) {
       logger.error('Error storing sensor data:', error);
@@ -154,9 +167,23 @@ router.post('/sensor-data',
  *         name: sensorType
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: sensorIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of sensor IDs
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
+ *         description: Maximum number of points per series
  *     responses:
  *       200:
  *         description: Sensor data retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  */
 router.get('/sensor-data/:deviceId',
   authenticateToken,
@@ -164,19 +191,23 @@ router.get('/sensor-data/:deviceId',
     param('deviceId').notEmpty().withMessage('Device ID is required'),
     query('start').optional().isISO8601().withMessage('Start must be valid ISO8601 date'),
     query('stop').optional().isISO8601().withMessage('Stop must be valid ISO8601 date'),
-    query('sensorType').optional().isString()
+    query('sensorType').optional().isString(),
+    query('sensorIds').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 10000 })
   ],
   validateRequest,
   async (req, res) => {
     try {
       const { deviceId } = req.params;
-      const { start, stop, sensorType } = req.query;
+      const { start, stop, sensorType, sensorIds, limit } = req.query;
       
       const data = await influxService.getSensorData({
         deviceId,
+        sensorIds: sensorIds ? sensorIds.split(',').map((id) => id.trim()) : undefined,
         start,
         stop,
-        sensorType
+        sensorType,
+        limit: limit ? parseInt(limit) : undefined
       });
 
       res.json({
@@ -185,6 +216,12 @@ router.get('/sensor-data/:deviceId',
         count: data.length
       });
     } catch (error) {
+      if (error instanceof FluxQueryError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
       logger.error('Error retrieving sensor data:', error);
       res.status(500).json({
         success: false,
@@ -405,6 +442,11 @@ router.get('/assets',
  * /api/hybrid/analytics/aggregated:
  *   get:
  *     summary: Get aggregated sensor data from InfluxDB
+ *     description: |
+ *       Mean, min, max, sum and count are read from the coarsest downsampling tier
+ *       whose resolution divides the window (see /api/data/retention); parameters.tier
+ *       reports which one. A mean over several rollup windows weights each of them by
+ *       its number of readings, so it equals the mean of the raw readings.
  *     tags: [Hybrid Database]
  *     security:
  *       - bearerAuth: []
@@ -436,10 +478,31 @@ router.get('/assets',
  *         name: aggregation
  *         schema:
  *           type: string
- *           enum: [mean, max, min, sum, count]
+ *           enum: [mean, median, min, max, first, last, sum, count, stddev, spread, percentile]
+ *       - in: query
+ *         name: percentile
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         description: Percentile to compute, required when aggregation is percentile
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: string
+ *           enum: [none, null, previous, linear, value]
+ *           default: none
+ *         description: How windows without data are reported
+ *       - in: query
+ *         name: fillValue
+ *         schema:
+ *           type: number
+ *         description: Value for empty windows, required when fill is value
  *     responses:
  *       200:
  *         description: Aggregated data retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  */
 router.get('/analytics/aggregated',
   authenticateToken,
@@ -449,7 +512,18 @@ router.get('/analytics/aggregated',
     query('start').optional().isISO8601(),
     query('stop').optional().isISO8601(),
     query('window').optional().isIn(['1m', '5m', '15m', '1h', '1d']),
-    query('aggregation').optional().isIn(['mean', 'max', 'min', 'sum', 'count'])
+    query('aggregation').optional().isIn(AGGREGATE_FUNCTIONS),
+    query('percentile')
+      .if(query('aggregation').equals('percentile'))
+      .notEmpty().withMessage('Percentile is required for percentile aggregation')
+      .bail()
+      .isFloat({ min: 0, max: 100 }).withMessage('Percentile must be between 0 and 100'),
+    query('fill').optional().isIn(FILL_MODES),
+    query('fillValue')
+      .if(query('fill').equals('value'))
+      .notEmpty().withMessage('Fill value is required when fill is value')
+      .bail()
+      .isFloat().withMessage('Fill value must be a number')
   ],
   validateRequest,
   async (req, res) => {
@@ -460,17 +534,29 @@ router.get('/analytics/aggregated',
         start,
         stop,
         window = '1h',
-        aggregation = 'mean'
+        aggregation = 'mean',
+        percentile,
+        fill = 'none',
+        fillValue
       } = req.query;
       
-      const data = await influxService.getAggregatedSensorData({
-        deviceId,
-        sensorType,
-        start,
+      // Served from the coarsest rollup tier that fits the window, raw readings fill in the rest
+      const { query: fluxQuery, tier } = retentionService.select({
+        start: start || '-24h',
         stop,
-        window,
-        aggregation
+        every: window,
+        aggregation,
+        percentile
+      }, (part) => {
+        part.fill(fill, fillValue);
+        if (deviceId) {
+          part.where('device_id', deviceId);
+        }
+        if (sensorType) {
+          part.where('sensor_type', sensorType);
+        }
       });
+      const data = await influxService.run(fluxQuery);
 
       res.json({
         success: true,
@@ -482,10 +568,19 @@ router.get('/analytics/aggregated',
           start,
           stop,
           window,
-          aggregation
+          aggregation,
+          percentile,
+          fill,
+          tier
         }
       });
     } catch (error) {
+      if (error instanceof FluxQueryError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
       logger.error('Error retrieving aggregated data:', error);
       res.status(500).json({
         success: false,
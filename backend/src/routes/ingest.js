@@ -0,0 +1,814 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query } = require('express-validator');
+const {
+  ingestBatch,
+  getMappings,
+  getMappingById,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  testMapping,
+  getDeadLetters,
+  getDeadLetterById,
+  updateDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  deleteDeadLetter,
+  purgeDeadLetters
+} = require('../controllers/ingestController');
+const { protect, restrictTo, authenticateApiKey } = require('../middleware/auth');
+const { validate, validateUUID, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Batches are limited per authenticated device instead of by the application-wide limit per IP,
+// which a few gateways behind one address would exhaust in minutes
+const batchLimiter = rateLimit({
+  windowMs: parseInt(process.env.INGEST_BATCH_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.INGEST_BATCH_RATE_LIMIT_MAX_REQUESTS) || 600,
+  keyGenerator: (req) => req.device._id,
+  message: 'Too many batches from this device, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/ingest/batch:
+ *   post:
+ *     summary: Ingest a batch of sensor readings
+ *     description: |
+ *       Bulk ingestion for edge gateways that cannot use MQTT. Authenticated with the
+ *       device's API key, not a user token. Readings default to the authenticated
+ *       device; a gateway may also write for devices whose gateway_id is its own ID.
+ *       The body format follows the Content-Type:
+ *       - application/json: an array of readings or { "readings": [...] }
+ *       - application/x-ndjson: one JSON reading per line
+ *       - text/plain: InfluxDB line protocol. The sensor ID is the sensor_id tag or the
+ *         measurement, suffixed with ".{field}" for fields other than "value"; device_id
+ *         and unit tags are honoured and other tags are kept.
+ *
+ *       Bodies may be gzip compressed (Content-Encoding: gzip). Every reading is validated
+ *       on its own; valid readings are queued even when others are rejected, and errors
+ *       are reported per array index or line number. A reading's sensor must be registered
+ *       for its device. Tag keys must not be empty or start with "_", tag values must be
+ *       non-empty strings, and a reading may carry at most INGEST_BATCH_MAX_TAGS tags.
+ *     tags: [Ingest]
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: precision
+ *         schema:
+ *           type: string
+ *           enum: [ns, us, ms, s]
+ *           default: ns
+ *         description: Line protocol timestamp precision
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - sensor_id
+ *                 - value
+ *               properties:
+ *                 device_id:
+ *                   type: string
+ *                 sensor_id:
+ *                   type: string
+ *                 value:
+ *                   type: number
+ *                 unit:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 tags:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *             example: 'press,device_id=press-01,unit=bar pressure=4.2,temperature=61.5 1700000000000000000'
+ *     responses:
+ *       202:
+ *         description: Readings accepted; data contains received, accepted and rejected counts and per-item errors
+ *       400:
+ *         description: No reading in the batch was valid
+ *       401:
+ *         description: Missing or invalid API key
+ *       413:
+ *         description: Body or number of readings exceeds the limit
+ *       415:
+ *         description: Unsupported content type
+ *       429:
+ *         description: The device sent more than INGEST_BATCH_RATE_LIMIT_MAX_REQUESTS batches in the window
+ */
+router.post('/batch', [
+  authenticateApiKey,
+  batchLimiter,
+  // JSON bodies are handled by the application-wide parser
+  express.text({
+    type: ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'text/plain', 'application/vnd.influx.line-protocol'],
+    limit: process.env.INGEST_BATCH_MAX_BODY || '10mb'
+  }),
+  query('precision')
+    .optional()
+    .isIn(['ns', 'us', 'ms', 's'])
+    .withMessage('Precision must be one of: ns, us, ms, s'),
+  validate
+], ingestBatch);
+
+// Protect all remaining routes
+router.use(protect);
+
+const mappingValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters')
+      .trim(),
+    field('topic_pattern')
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Topic pattern must be between 1 and 500 characters'),
+    body('value_expression')
+      .optional()
+      .isString()
+      .withMessage('Value expression must be a string'),
+    body('timestamp_expression')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Timestamp expression must be a string'),
+    body('unit')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 20 })
+      .withMessage('Unit must not exceed 20 characters'),
+    field('device_id')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Device ID template must be between 1 and 200 characters'),
+    field('sensor_id')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Sensor ID template must be between 1 and 200 characters'),
+    body('qos')
+      .optional()
+      .isInt({ min: 0, max: 2 })
+      .withMessage('QoS must be 0, 1 or 2')
+      .toInt(),
+    body('priority')
+      .optional()
+      .isInt()
+      .withMessage('Priority must be an integer')
+      .toInt(),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/ingest/mappings:
+ *   get:
+ *     summary: Get topic mappings
+ *     description: List the rules that map MQTT topics and payloads onto devices and sensors, highest priority first
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *         description: Filter by enabled state
+ *     responses:
+ *       200:
+ *         description: List of topic mappings
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/mappings', [
+  query('enabled')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Enabled must be true or false'),
+  validate
+], getMappings);
+
+/**
+ * @swagger
+ * /api/ingest/mappings/test:
+ *   post:
+ *     summary: Test a topic mapping
+ *     description: |
+ *       Preview the reading produced for a topic and payload. Uses the supplied
+ *       mapping, or the active rules when no mapping is given. Nothing is stored.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - topic
+ *               - payload
+ *             properties:
+ *               topic:
+ *                 type: string
+ *                 example: 'acme/berlin/packaging/line1/cell2/filler01/temperature'
+ *               payload:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 example: { "data": { "value": 21.5 }, "ts": "2024-01-01T00:00:00Z" }
+ *               mapping:
+ *                 type: object
+ *                 description: Unsaved mapping to test instead of the active rules
+ *     responses:
+ *       200:
+ *         description: Match result and extracted reading
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/mappings/test', [
+  body('topic')
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Topic must be between 1 and 500 characters'),
+  body('payload')
+    .exists()
+    .withMessage('Payload is required'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must be an object'),
+  validate
+], testMapping);
+
+/**
+ * @swagger
+ * /api/ingest/mappings/{id}:
+ *   get:
+ *     summary: Get topic mapping by ID
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Mapping ID
+ *     responses:
+ *       200:
+ *         description: Topic mapping details
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/mappings/:id', [
+  validateUUID('id'),
+  validate
+], getMappingById);
+
+/**
+ * @swagger
+ * /api/ingest/mappings:
+ *   post:
+ *     summary: Create a topic mapping
+ *     description: |
+ *       Create a rule that maps an MQTT topic pattern onto a device and sensor.
+ *       Named wildcards ({name}) match one topic level, a trailing {name#} matches
+ *       the remaining levels; + and # can be used for unnamed levels. The device and
+ *       sensor templates may reference the named wildcards. Expressions select values
+ *       from a JSON payload ($.data.value, $.values[0]); "$" uses the whole payload.
+ *       The MQTT client resubscribes as soon as the mapping is saved.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - topic_pattern
+ *               - device_id
+ *               - sensor_id
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'UNS metrics'
+ *               description:
+ *                 type: string
+ *               topic_pattern:
+ *                 type: string
+ *                 example: 'acme/{site}/{area}/{line}/{cell}/{device}/{metric}'
+ *               value_expression:
+ *                 type: string
+ *                 default: '$'
+ *                 example: '$.data.value'
+ *               timestamp_expression:
+ *                 type: string
+ *                 example: '$.ts'
+ *               unit:
+ *                 type: string
+ *                 example: '°C'
+ *               device_id:
+ *                 type: string
+ *                 example: '{site}-{device}'
+ *               sensor_id:
+ *                 type: string
+ *                 example: '{site}-{device}-{metric}'
+ *               qos:
+ *                 type: integer
+ *                 enum: [0, 1, 2]
+ *                 default: 1
+ *               priority:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Higher priority rules are matched first
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Topic mapping created
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/mappings', [
+  restrictTo('admin', 'manager'),
+  ...mappingValidators(false),
+  validate
+], createMapping);
+
+/**
+ * @swagger
+ * /api/ingest/mappings/{id}:
+ *   put:
+ *     summary: Update a topic mapping
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Mapping ID
+ *     responses:
+ *       200:
+ *         description: Topic mapping updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/mappings/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  ...mappingValidators(true),
+  validate
+], updateMapping);
+
+/**
+ * @swagger
+ * /api/ingest/mappings/{id}:
+ *   delete:
+ *     summary: Delete a topic mapping
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Mapping ID
+ *     responses:
+ *       200:
+ *         description: Topic mapping deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/mappings/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validate
+], deleteMapping);
+
+const DEAD_LETTER_REASONS = [
+  'invalid_json',
+  'invalid_format',
+  'invalid_reading',
+  'mapping_failed',
+  'decode_failed',
+  'processing_failed',
+  'replay_failed'
+];
+
+const deadLetterFilterValidators = (location) => [
+  location('status')
+    .optional()
+    .isIn(['pending', 'replayed'])
+    .withMessage('Status must be pending or replayed'),
+  location('reason')
+    .optional()
+    .isIn(DEAD_LETTER_REASONS)
+    .withMessage(`Reason must be one of: ${DEAD_LETTER_REASONS.join(', ')}`),
+  location('topic')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Topic must be between 1 and 500 characters'),
+  location('source')
+    .optional()
+    .isString()
+    .withMessage('Source must be a string'),
+  location('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  location('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+];
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters:
+ *   get:
+ *     summary: Get dead letters
+ *     description: |
+ *       List inbound messages that could not be ingested (invalid JSON, missing
+ *       sensor_id or value, failed topic mappings, undecodable Sparkplug payloads),
+ *       newest first. Payloads are omitted; fetch a single dead letter to inspect one.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, replayed]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [invalid_json, invalid_format, invalid_reading, mapping_failed, decode_failed, processing_failed, replay_failed]
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Topic prefix
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Dead letters with pending counts per reason
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/dead-letters', [
+  validatePagination,
+  ...deadLetterFilterValidators(query),
+  validate
+], getDeadLetters);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters/replay:
+ *   post:
+ *     summary: Replay dead letters
+ *     description: |
+ *       Send pending dead letters back through the normal ingestion path, oldest
+ *       first. Selects by ids or by the same filters as the list endpoint. Messages
+ *       that are rejected again stay pending with the new reason.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               reason:
+ *                 type: string
+ *               topic:
+ *                 type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 default: 100
+ *     responses:
+ *       200:
+ *         description: Replay results per dead letter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/dead-letters/replay', [
+  restrictTo('admin', 'manager'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('IDs must be an array of 1 to 1000 items'),
+  body('ids.*')
+    .isUUID()
+    .withMessage('Each ID must be a valid UUID'),
+  ...deadLetterFilterValidators(body).slice(1),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt(),
+  validate
+], replayDeadLetters);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters/{id}:
+ *   get:
+ *     summary: Get dead letter by ID
+ *     description: Inspect a dead letter including its raw payload and, for JSON payloads, the parsed payload
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dead letter details
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/dead-letters/:id', [
+  validateUUID('id'),
+  validate
+], getDeadLetterById);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters/{id}:
+ *   put:
+ *     summary: Fix a dead letter
+ *     description: |
+ *       Correct the topic or payload of a pending dead letter before replaying it.
+ *       The message as originally received is kept in the original field.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               topic:
+ *                 type: string
+ *               payload:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 description: Corrected payload; objects are stored as JSON
+ *               payload_encoding:
+ *                 type: string
+ *                 enum: [utf8, base64]
+ *                 default: utf8
+ *     responses:
+ *       200:
+ *         description: Dead letter updated
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Dead letter has already been replayed
+ */
+router.put('/dead-letters/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  body('topic')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Topic must be between 1 and 500 characters'),
+  body('payload_encoding')
+    .optional()
+    .isIn(['utf8', 'base64'])
+    .withMessage('Payload encoding must be utf8 or base64'),
+  body('payload')
+    .if(body('payload_encoding').equals('base64'))
+    .isBase64()
+    .withMessage('Payload must be base64 encoded'),
+  body()
+    .custom((value) => value.topic !== undefined || value.payload !== undefined)
+    .withMessage('Topic or payload is required'),
+  validate
+], updateDeadLetter);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters/{id}/replay:
+ *   post:
+ *     summary: Replay a dead letter
+ *     description: Send a pending dead letter back through the normal ingestion path
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Replay result
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Dead letter has already been replayed
+ */
+router.post('/dead-letters/:id/replay', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validate
+], replayDeadLetter);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters/{id}:
+ *   delete:
+ *     summary: Delete a dead letter
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dead letter deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/dead-letters/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validate
+], deleteDeadLetter);
+
+/**
+ * @swagger
+ * /api/ingest/dead-letters:
+ *   delete:
+ *     summary: Purge dead letters
+ *     description: Delete all dead letters matching the filters, e.g. everything replayed before a date
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, replayed]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only purge dead letters received before this date
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Required to purge without any filter
+ *     responses:
+ *       200:
+ *         description: Number of purged dead letters
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/dead-letters', [
+  restrictTo('admin'),
+  ...deadLetterFilterValidators(query),
+  query('all')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('All must be true or false'),
+  validate
+], purgeDeadLetters);
+
+module.exports = router;
@@ -0,0 +1,445 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getConnections,
+  getConnectionById,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  addBinding,
+  updateBinding,
+  deleteBinding
+} = require('../controllers/opcuaController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate, validateUUID } = require('../middleware/validation');
+
+const router = express.Router();
+
+const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+const SECURITY_POLICIES = [
+  'None',
+  'Basic128Rsa15',
+  'Basic256',
+  'Basic256Sha256',
+  'Aes128_Sha256_RsaOaep',
+  'Aes256_Sha256_RsaPss'
+];
+const ACQUISITION_MODES = ['subscription', 'polling'];
+
+// Protect all routes
+router.use(protect);
+
+const connectionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters')
+      .trim(),
+    field('endpoint_url')
+      .matches(/^opc\.tcp:\/\/[^\s]+$/)
+      .withMessage('Endpoint URL must be an opc.tcp:// URL'),
+    body('security_mode')
+      .optional()
+      .isIn(SECURITY_MODES)
+      .withMessage(`Security mode must be one of: ${SECURITY_MODES.join(', ')}`),
+    body('security_policy')
+      .optional()
+      .isIn(SECURITY_POLICIES)
+      .withMessage(`Security policy must be one of: ${SECURITY_POLICIES.join(', ')}`),
+    body('authentication.type')
+      .if(body('authentication').exists())
+      .isIn(['anonymous', 'username'])
+      .withMessage('Authentication type must be anonymous or username'),
+    body('authentication.username')
+      .if(body('authentication.type').equals('username'))
+      .isString()
+      .withMessage('Username is required for username authentication')
+      .bail()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Username must be between 1 and 200 characters'),
+    body('authentication.password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string'),
+    body('mode')
+      .optional()
+      .isIn(ACQUISITION_MODES)
+      .withMessage('Mode must be subscription or polling'),
+    body('publishing_interval')
+      .optional()
+      .isInt({ min: 50, max: 3600000 })
+      .withMessage('Publishing interval must be between 50 and 3600000 ms')
+      .toInt(),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean()
+  ];
+};
+
+const bindingValidators = (prefix, optional) => {
+  const field = (name) => (optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+
+  return [
+    field('node_id')
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Node ID is required, e.g. ns=2;s=Machine1.Temperature'),
+    field('sensor_id')
+      .isUUID()
+      .withMessage('Sensor ID must be a valid UUID'),
+    body(`${prefix}mode`)
+      .optional({ nullable: true })
+      .isIn(ACQUISITION_MODES)
+      .withMessage('Binding mode must be subscription or polling'),
+    body(`${prefix}sampling_rate`)
+      .optional({ nullable: true })
+      .isInt({ min: 50 })
+      .withMessage('Sampling rate must be at least 50 ms')
+      .toInt(),
+    body(`${prefix}enabled`)
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/opcua/connections:
+ *   get:
+ *     summary: Get OPC UA connections
+ *     description: List OPC UA server connections with their node bindings and live connection status
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of OPC UA connections
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/connections', getConnections);
+
+/**
+ * @swagger
+ * /api/opcua/connections:
+ *   post:
+ *     summary: Create OPC UA connection
+ *     description: |
+ *       Connect to an OPC UA server and feed bound nodes into the sensor pipeline.
+ *       In subscription mode nodes are monitored with the sensor's sampling_rate as
+ *       sampling interval; in polling mode they are read every sampling_rate ms.
+ *       A binding's own mode and sampling_rate override the connection and sensor.
+ *       Lost connections are re-established with exponential backoff.
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - endpoint_url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Press line PLC'
+ *               description:
+ *                 type: string
+ *               endpoint_url:
+ *                 type: string
+ *                 example: 'opc.tcp://plc01.local:4840'
+ *               security_mode:
+ *                 type: string
+ *                 enum: [None, Sign, SignAndEncrypt]
+ *                 default: None
+ *               security_policy:
+ *                 type: string
+ *                 enum: [None, Basic128Rsa15, Basic256, Basic256Sha256, Aes128_Sha256_RsaOaep, Aes256_Sha256_RsaPss]
+ *                 default: None
+ *               authentication:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [anonymous, username]
+ *                   username:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ *                     description: Write-only, never returned
+ *               mode:
+ *                 type: string
+ *                 enum: [subscription, polling]
+ *                 default: subscription
+ *               publishing_interval:
+ *                 type: integer
+ *                 default: 1000
+ *                 description: Subscription publishing interval in ms
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               bindings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - node_id
+ *                     - sensor_id
+ *                   properties:
+ *                     node_id:
+ *                       type: string
+ *                       example: 'ns=2;s=Press1.Temperature'
+ *                     sensor_id:
+ *                       type: string
+ *                       format: uuid
+ *                     mode:
+ *                       type: string
+ *                       enum: [subscription, polling]
+ *                     sampling_rate:
+ *                       type: integer
+ *                       description: Overrides the sensor's sampling_rate (ms)
+ *                     enabled:
+ *                       type: boolean
+ *     responses:
+ *       201:
+ *         description: OPC UA connection created
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/connections', [
+  restrictTo('admin', 'manager'),
+  ...connectionValidators(false),
+  body('bindings')
+    .optional()
+    .isArray({ max: 5000 })
+    .withMessage('Bindings must be an array'),
+  ...bindingValidators('bindings.*.', false),
+  validate
+], createConnection);
+
+/**
+ * @swagger
+ * /api/opcua/connections/{id}:
+ *   get:
+ *     summary: Get OPC UA connection
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: OPC UA connection with bindings and status
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Update OPC UA connection
+ *     description: Update connection settings; the connection is restarted. Bindings are managed through the bindings endpoints.
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: OPC UA connection updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Delete OPC UA connection
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: OPC UA connection deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/connections/:id', [
+  validateUUID('id'),
+  validate
+], getConnectionById);
+
+router.put('/connections/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  ...connectionValidators(true),
+  validate
+], updateConnection);
+
+router.delete('/connections/:id', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validate
+], deleteConnection);
+
+/**
+ * @swagger
+ * /api/opcua/connections/{id}/bindings:
+ *   post:
+ *     summary: Bind an OPC UA node to a sensor
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - node_id
+ *               - sensor_id
+ *             properties:
+ *               node_id:
+ *                 type: string
+ *                 example: 'ns=2;s=Press1.Temperature'
+ *               sensor_id:
+ *                 type: string
+ *                 format: uuid
+ *               mode:
+ *                 type: string
+ *                 enum: [subscription, polling]
+ *               sampling_rate:
+ *                 type: integer
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Binding added
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/connections/:id/bindings', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  ...bindingValidators('', false),
+  validate
+], addBinding);
+
+/**
+ * @swagger
+ * /api/opcua/connections/{id}/bindings/{bindingId}:
+ *   put:
+ *     summary: Update an OPC UA node binding
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: bindingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Binding updated
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Remove an OPC UA node binding
+ *     tags: [OPC UA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: bindingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Binding removed
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.put('/connections/:id/bindings/:bindingId', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validateUUID('bindingId'),
+  ...bindingValidators('', true),
+  validate
+], updateBinding);
+
+router.delete('/connections/:id/bindings/:bindingId', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  validateUUID('bindingId'),
+  validate
+], deleteBinding);
+
+module.exports = router;
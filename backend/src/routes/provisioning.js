@@ -0,0 +1,55 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { claimDevice } = require('../controllers/provisioningController');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/provisioning/claim:
+ *   post:
+ *     summary: Claim a device with a one-time claim token
+ *     description: |
+ *       Used by devices during field commissioning; no user authentication.
+ *       The claim token is consumed and the device receives its credential and
+ *       MQTT connection details. It may only use its own iiot/{deviceId}/# topics.
+ *     tags: [Devices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - claim_token
+ *             properties:
+ *               claim_token:
+ *                 type: string
+ *                 example: 'ct_3q2Z...'
+ *               certificate_fingerprint:
+ *                 type: string
+ *                 description: SHA-256 fingerprint of the device certificate, for certificate claim tokens without a pinned fingerprint
+ *     responses:
+ *       201:
+ *         description: Device claimed; the credential secret is shown only once
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Claim token invalid, expired or already used
+ */
+router.post('/claim', [
+  body('claim_token')
+    .isString()
+    .withMessage('Claim token is required')
+    .bail()
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Claim token is malformed'),
+  body('certificate_fingerprint')
+    .optional()
+    .matches(/^(sha256[:=]?)?([0-9a-f]{2}:?){31}[0-9a-f]{2}$/i)
+    .withMessage('Certificate fingerprint must be a SHA-256 fingerprint (64 hex digits, colons optional)'),
+  validate
+], claimDevice);
+
+module.exports = router;
@@ -8,13 +8,256 @@ const {
   deleteSensor,
   getSensorData,
   getSensorStats,
-  calibrateSensor
+  calibrateSensor,
+  getCalibrationHistory,
+  reprocessCalibration,
+  getCalibrationJob,
+  previewVirtualSensor,
+  backfillVirtualSensor,
+  getVirtualSensorJob
 } = require('../controllers/sensorController');
 const { protect, restrictTo } = require('../middleware/auth');
 const { validate, validateUUID, validatePagination, validateDateRange } = require('../middleware/validation');
+const { DEGRADATION_MODELS } = require('../utils/degradation');
+const { ANOMALY_DETECTORS, RATE_UNITS } = require('../utils/anomaly');
+const { resolveUnit } = require('../utils/units');
 
 const router = express.Router();
 
+// Modbus register map in configuration.modbus, read by the Modbus TCP poller
+const modbusRegisterValidators = [
+  body('configuration.modbus.register_type')
+    .if(body('configuration.modbus').exists())
+    .isIn(['holding', 'input', 'coil', 'discrete_input'])
+    .withMessage('Modbus register type must be one of: holding, input, coil, discrete_input'),
+  body('configuration.modbus.address')
+    .if(body('configuration.modbus').exists())
+    .isInt({ min: 0, max: 65535 })
+    .withMessage('Modbus address must be between 0 and 65535'),
+  body('configuration.modbus.data_type')
+    .optional()
+    .isIn(['int16', 'uint16', 'int32', 'uint32', 'float32', 'bool'])
+    .withMessage('Modbus data type must be one of: int16, uint16, int32, uint32, float32, bool'),
+  body('configuration.modbus.word_order')
+    .optional()
+    .isIn(['big', 'little'])
+    .withMessage('Modbus word order must be big or little'),
+  body('configuration.modbus.byte_order')
+    .optional()
+    .isIn(['big', 'little'])
+    .withMessage('Modbus byte order must be big or little'),
+  body('configuration.modbus.scale')
+    .optional()
+    .isFloat()
+    .withMessage('Modbus scale must be a number'),
+  body('configuration.modbus.offset')
+    .optional()
+    .isFloat()
+    .withMessage('Modbus offset must be a number')
+];
+
+// Storage compression in configuration.compression, applied by the ingestion pipeline
+const compressionValidators = [
+  body('configuration.compression.mode')
+    .if(body('configuration.compression').exists())
+    .isIn(['deadband', 'exception', 'swinging_door'])
+    .withMessage('Compression mode must be one of: deadband, exception, swinging_door'),
+  body('configuration.compression.deviation')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Compression deviation must be a non-negative number'),
+  body('configuration.compression.deviation_percent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Compression deviation percent must be between 0 and 100'),
+  body('configuration.compression')
+    .optional()
+    .custom((compression) => compression.enabled === false
+      || (compression.deviation === undefined) !== (compression.deviation_percent === undefined))
+    .withMessage('Compression requires either deviation or deviation_percent'),
+  body('configuration.compression.max_interval')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Compression max interval must be a non-negative number of seconds'),
+  body('configuration.compression.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Compression enabled must be a boolean')
+];
+
+// Predictive maintenance settings in configuration.maintenance
+const maintenanceValidators = [
+  body('configuration.maintenance.failure_threshold')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Failure threshold must be a number'),
+  body('configuration.maintenance.direction')
+    .optional()
+    .isIn(['rising', 'falling'])
+    .withMessage('Failure direction must be rising or falling'),
+  body('configuration.maintenance.model')
+    .optional()
+    .isIn(['auto', ...DEGRADATION_MODELS])
+    .withMessage(`Degradation model must be one of: auto, ${DEGRADATION_MODELS.join(', ')}`),
+  body('configuration.maintenance.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Maintenance enabled must be a boolean')
+];
+
+// Streaming anomaly detection in configuration.anomaly, applied by the ingestion pipeline
+const anomalyValidators = [
+  body('configuration.anomaly.detectors')
+    .optional()
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Anomaly detectors must be a list of 1 to 4 detectors'),
+  body('configuration.anomaly.detectors.*.type')
+    .isIn(ANOMALY_DETECTORS)
+    .withMessage(`Anomaly detector type must be one of: ${ANOMALY_DETECTORS.join(', ')}`),
+  body('configuration.anomaly.detectors.*.window')
+    .optional()
+    .isInt({ min: 2, max: 1000 })
+    .withMessage('Z-score window must be between 2 and 1000 readings'),
+  body('configuration.anomaly.detectors.*.min_samples')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('Minimum samples must be at least 2'),
+  body(['configuration.anomaly.detectors.*.threshold', 'configuration.anomaly.detectors.*.limit'])
+    .optional()
+    .isFloat({ min: 0.5, max: 10 })
+    .withMessage('Detector thresholds must be between 0.5 and 10 standard deviations'),
+  body(['configuration.anomaly.detectors.*.lambda', 'configuration.anomaly.detectors.*.alpha', 'configuration.anomaly.detectors.*.baseline_alpha'])
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Smoothing factors must be greater than 0 and at most 1'),
+  body('configuration.anomaly.detectors.*.warmup')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('EWMA warmup must be at least 2 readings'),
+  body('configuration.anomaly.detectors.*.period')
+    .optional()
+    .isInt({ min: 60 })
+    .withMessage('Seasonal period must be at least 60 seconds'),
+  body('configuration.anomaly.detectors.*.buckets')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Seasonal buckets must be between 1 and 1440'),
+  body('configuration.anomaly.detectors.*.min_cycles')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Seasonal minimum cycles must be a positive integer'),
+  body('configuration.anomaly.detectors.*.min_deviation')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum deviation must be a non-negative number'),
+  body('configuration.anomaly.detectors.*')
+    .custom((detector) => detector.type !== 'rate_of_change'
+      || (typeof detector.max_rate === 'number' && detector.max_rate >= 0))
+    .withMessage('Rate of change detectors require a non-negative max_rate'),
+  body('configuration.anomaly.detectors.*.per')
+    .optional()
+    .isIn(Object.keys(RATE_UNITS))
+    .withMessage(`Rate unit must be one of: ${Object.keys(RATE_UNITS).join(', ')}`),
+  body('configuration.anomaly.severity')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Anomaly severity must be one of: low, medium, high, critical'),
+  body('configuration.anomaly.alert')
+    .optional()
+    .isBoolean()
+    .withMessage('Anomaly alert must be a boolean'),
+  body('configuration.anomaly.alert_cooldown')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Anomaly alert cooldown must be a non-negative number of seconds'),
+  body('configuration.anomaly.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Anomaly detection enabled must be a boolean')
+];
+
+// Virtual sensor definition in virtual; the expression itself is checked by the virtual sensor service
+const qualityValidators = [
+  body(['configuration.quality.stuck', 'configuration.quality.flatline', 'configuration.quality.spike'])
+    .optional()
+    .isObject()
+    .withMessage('Stuck, flatline and spike settings must be objects'),
+  body('configuration.quality.stuck.count')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('Stuck count must be at least 2 readings'),
+  body('configuration.quality.flatline.duration')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Flatline duration must be a positive number of seconds'),
+  body(['configuration.quality.flatline.tolerance', 'configuration.quality.spike.min_delta'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Flatline tolerance and spike minimum delta must be non-negative numbers'),
+  body('configuration.quality.spike.window')
+    .optional()
+    .isInt({ min: 3, max: 1000 })
+    .withMessage('Spike window must be between 3 and 1000 readings'),
+  body('configuration.quality.spike.threshold')
+    .optional()
+    .isFloat({ min: 1, max: 20 })
+    .withMessage('Spike threshold must be between 1 and 20 deviations'),
+  body('configuration.quality.gap_factor')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Gap factor must be at least 1'),
+  body('configuration.quality.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Quality checks enabled must be a boolean')
+];
+
+const virtualSensorValidators = [
+  body('virtual')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Virtual sensor definition must be an object'),
+  body('virtual.expression')
+    .if(body('virtual').isObject())
+    .isString()
+    .withMessage('Virtual sensor expression is required')
+    .bail()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Virtual sensor expression must be between 1 and 1000 characters'),
+  body('virtual.inputs')
+    .if(body('virtual').isObject())
+    .isObject()
+    .withMessage('Virtual sensor inputs must map names to sensor IDs')
+    .bail()
+    .custom((inputs) => Object.keys(inputs).length > 0 && Object.keys(inputs).length <= 20)
+    .withMessage('Virtual sensors need 1 to 20 inputs'),
+  body('virtual.inputs.*')
+    .isUUID()
+    .withMessage('Virtual sensor inputs must be sensor IDs'),
+  body('virtual.alignment')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Virtual sensor alignment must be any or all'),
+  body('virtual.max_age')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Virtual sensor max age must be a positive number of seconds')
+    .toFloat()
+];
+
+const virtualWindowValidators = [
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .bail()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date')
+];
+
 // Protect all routes
 router.use(protect);
 
@@ -228,7 +471,10 @@ router.get('/:id', [
  *                 type: string
  *                 minLength: 1
  *                 maxLength: 20
- *                 description: Measurement unit
+ *                 description: |
+ *                   Measurement unit as a UCUM code (Cel, [degF], kPa, m3/h, kg.m-3) or a common
+ *                   symbol (°C, psi, m³/h, rpm). It must measure a dimension the sensor type
+ *                   reports, e.g. temperature for temperature sensors.
  *                 example: '°C'
  *               min_value:
  *                 type: number
@@ -265,7 +511,48 @@ router.get('/:id', [
  *                 example: 365
  *               configuration:
  *                 type: object
- *                 description: Sensor-specific configuration
+ *                 description: |
+ *                   Sensor-specific configuration. `modbus` ({ register_type, address, data_type, word_order,
+ *                   byte_order, scale, offset }) maps the sensor to a register of a Modbus TCP device.
+ *                   `compression` ({ mode, deviation | deviation_percent, max_interval, enabled }) filters
+ *                   readings before storage: `deadband` stores a value once it moves more than the deviation,
+ *                   `exception` also stores the last held value before each change, and `swinging_door`
+ *                   stores only the points where the trend turns by more than the deviation. `deviation_percent`
+ *                   is relative to the sensor range (min_value to max_value), or to the last stored value
+ *                   when no range is set. `max_interval` (seconds) forces a stored value at least that
+ *                   often; 0 disables the heartbeat.
+ *                   `maintenance` ({ failure_threshold, direction, model, enabled }) sets up predictive
+ *                   maintenance: the value the sensor fails at (default: the end of its range the trend is
+ *                   heading for), whether failure is `rising` or `falling` past it, the degradation model
+ *                   (`auto`, `linear` or `exponential`) and whether the sensor is assessed at all.
+ *                   `anomaly` ({ detectors, severity, alert, alert_cooldown, enabled }) checks every reading
+ *                   as it arrives. Detectors are `zscore` ({ window, threshold, min_samples }), `ewma`
+ *                   control limits ({ lambda, limit, warmup, baseline_alpha }), `seasonal` baseline per
+ *                   bucket of the period in seconds ({ period, buckets, threshold, alpha, min_cycles }) and
+ *                   `rate_of_change` ({ max_rate, per: second | minute | hour }); all but the last accept
+ *                   `min_deviation` in sensor units. Anomalies are listed by /api/analytics/anomalies, and
+ *                   `alert` raises an anomaly alert at most every `alert_cooldown` seconds.
+ *                   `quality` ({ stuck, flatline, spike, gap_factor, enabled }) tunes the data quality codes
+ *                   given to readings at ingest. Readings outside min_value to max_value are uncertain and a
+ *                   reading after more than `gap_factor` sampling intervals (default 2) is flagged as a gap.
+ *                   `stuck` ({ count }) marks readings bad once the same value repeats `count` times,
+ *                   `flatline` ({ duration, tolerance }) uncertain once values stay within `tolerance` for
+ *                   `duration` seconds and `spike` ({ window, threshold, min_delta }) uncertain when further
+ *                   than `threshold` scaled median absolute deviations from the median of the last `window`
+ *                   readings. `enabled: false` turns the quality checks off.
+ *               virtual:
+ *                 $ref: '#/components/schemas/VirtualSensorDefinition'
+ *                 description: |
+ *                   Makes this a virtual sensor: its values are computed from other sensors at ingest and
+ *                   stored like readings, so they are queried, charted, rolled up and checked for anomalies
+ *                   the same way. `inputs` maps the names used in `expression` to sensor IDs. Expressions
+ *                   support + - * / % ^, comparisons, && || !, `test ? a : b`, abs, sqrt, exp, ln, log10,
+ *                   floor, ceil, round, pow, min, max, clamp, if, the constants pi and e, the windowed
+ *                   functions rolling_mean, rolling_min, rolling_max and rolling_sum (`rolling_mean(p, "5m")`)
+ *                   and delta and rate (`rate(flow, "hour")`). Alignment `any` evaluates at every input
+ *                   reading with the latest value of each input, `all` once every input has a new reading;
+ *                   input values more than `max_age` seconds apart are not combined. Readings sent for a
+ *                   virtual sensor are ignored.
  *               metadata:
  *                 type: object
  *                 description: Additional sensor metadata
@@ -319,7 +606,9 @@ router.post('/', [
     .withMessage('Unit is required')
     .isLength({ min: 1, max: 20 })
     .withMessage('Unit must be between 1 and 20 characters')
-    .trim(),
+    .trim()
+    .custom((unit) => resolveUnit(unit) !== null)
+    .withMessage('Unit must be a UCUM code or a known unit symbol, e.g. Cel, [degF], kPa, m3/h, kW'),
   body('min_value')
     .optional()
     .isNumeric()
@@ -347,11 +636,18 @@ router.post('/', [
   body('calibration_interval')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Calibration interval must be a positive integer'),
+    .withMessage('Calibration interval must be a positive integer')
+    .toInt(),
   body('configuration')
     .optional()
     .isObject()
     .withMessage('Configuration must be an object'),
+  ...modbusRegisterValidators,
+  ...compressionValidators,
+  ...maintenanceValidators,
+  ...anomalyValidators,
+  ...qualityValidators,
+  ...virtualSensorValidators,
   body('metadata')
     .optional()
     .isObject()
@@ -398,6 +694,9 @@ router.post('/', [
  *                 type: string
  *                 minLength: 1
  *                 maxLength: 20
+ *                 description: |
+ *                   New measurement unit. It must measure the same dimension as the current unit;
+ *                   stored readings keep the unit they were written in.
  *               min_value:
  *                 type: number
  *               max_value:
@@ -423,6 +722,11 @@ router.post('/', [
  *                 minimum: 1
  *               configuration:
  *                 type: object
+ *               virtual:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/VirtualSensorDefinition'
+ *                 nullable: true
+ *                 description: New virtual sensor definition; null turns the sensor back into a physical one
  *               metadata:
  *                 type: object
  *     responses:
@@ -470,7 +774,9 @@ router.put('/:id', [
     .optional()
     .isLength({ min: 1, max: 20 })
     .withMessage('Unit must be between 1 and 20 characters')
-    .trim(),
+    .trim()
+    .custom((unit) => resolveUnit(unit) !== null)
+    .withMessage('Unit must be a UCUM code or a known unit symbol, e.g. Cel, [degF], kPa, m3/h, kW'),
   body('min_value')
     .optional()
     .isNumeric()
@@ -502,11 +808,18 @@ router.put('/:id', [
   body('calibration_interval')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Calibration interval must be a positive integer'),
+    .withMessage('Calibration interval must be a positive integer')
+    .toInt(),
   body('configuration')
     .optional()
     .isObject()
     .withMessage('Configuration must be an object'),
+  ...modbusRegisterValidators,
+  ...compressionValidators,
+  ...maintenanceValidators,
+  ...anomalyValidators,
+  ...qualityValidators,
+  ...virtualSensorValidators,
   body('metadata')
     .optional()
     .isObject()
@@ -549,6 +862,8 @@ router.put('/:id', [
  *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The sensor is an input of virtual sensors
  */
 router.delete('/:id', [
   restrictTo('admin'),
@@ -737,6 +1052,42 @@ router.get('/:id/data', [
  *                           format: date-time
  *                         is_due:
  *                           type: boolean
+ *                     compression:
+ *                       type: object
+ *                       description: Readings received vs. stored since compression statistics were first recorded
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         mode:
+ *                           type: string
+ *                           enum: [deadband, exception, swinging_door]
+ *                           nullable: true
+ *                         deviation:
+ *                           type: number
+ *                           nullable: true
+ *                         deviation_percent:
+ *                           type: number
+ *                           nullable: true
+ *                         max_interval:
+ *                           type: integer
+ *                           nullable: true
+ *                         received:
+ *                           type: integer
+ *                         stored:
+ *                           type: integer
+ *                         discarded:
+ *                           type: integer
+ *                         compression_ratio:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Readings received per reading stored
+ *                         reduction_percent:
+ *                           type: number
+ *                           nullable: true
+ *                         since:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       401:
@@ -756,7 +1107,12 @@ router.get('/:id/stats', [
  * /api/sensors/{id}/calibrate:
  *   post:
  *     summary: Calibrate sensor
- *     description: Initiate sensor calibration process
+ *     description: |
+ *       Records a new calibration version. Incoming values are stored as value = raw * factor + offset
+ *       with the raw reading kept in raw_value; each reading uses the version in effect at its timestamp.
+ *       `zero_point` adjusts the offset and `span` the factor so that the raw `measured_value` reads as
+ *       `reference_value`; `full_range` sets `calibration_offset` and/or `calibration_factor` directly and
+ *       `factory_reset` restores offset 0 and factor 1. Open calibration due alerts are resolved.
  *     tags: [Sensors]
  *     security:
  *       - bearerAuth: []
@@ -784,8 +1140,26 @@ router.get('/:id/stats', [
  *                 example: 'zero_point'
  *               reference_value:
  *                 type: number
- *                 description: Reference value for calibration
+ *                 description: Reference value (required for zero_point and span)
  *                 example: 0
+ *               measured_value:
+ *                 type: number
+ *                 description: Raw sensor reading at the reference (required for zero_point and span)
+ *                 example: 0.4
+ *               calibration_offset:
+ *                 type: number
+ *                 description: Offset for full_range calibrations
+ *               calibration_factor:
+ *                 type: number
+ *                 description: Factor for full_range calibrations
+ *               effective_from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the calibration takes effect (defaults to now, must not be in the future)
+ *               reprocess:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Queue a job recomputing values stored since effective_from
  *               notes:
  *                 type: string
  *                 maxLength: 500
@@ -798,7 +1172,7 @@ router.get('/:id/stats', [
  *                 example: 'John Doe'
  *     responses:
  *       200:
- *         description: Calibration initiated successfully
+ *         description: Sensor calibrated
  *         content:
  *           application/json:
  *             schema:
@@ -811,24 +1185,12 @@ router.get('/:id/stats', [
  *                 data:
  *                   type: object
  *                   properties:
- *                     calibration_id:
- *                       type: string
- *                       format: uuid
- *                     sensor_id:
- *                       type: string
- *                       format: uuid
- *                     calibration_type:
- *                       type: string
- *                     reference_value:
- *                       type: number
- *                     status:
- *                       type: string
- *                     started_at:
- *                       type: string
- *                       format: date-time
- *                     estimated_completion:
- *                       type: string
- *                       format: date-time
+ *                     sensor:
+ *                       $ref: '#/components/schemas/Sensor'
+ *                     calibration:
+ *                       $ref: '#/components/schemas/SensorCalibration'
+ *                     reprocess_job:
+ *                       $ref: '#/components/schemas/CalibrationJob'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
@@ -847,9 +1209,39 @@ router.post('/:id/calibrate', [
     .isIn(['zero_point', 'span', 'full_range', 'factory_reset'])
     .withMessage('Calibration type must be one of: zero_point, span, full_range, factory_reset'),
   body('reference_value')
-    .optional()
+    .if(body('calibration_type').isIn(['zero_point', 'span']))
+    .notEmpty()
+    .withMessage('Reference value is required for zero point and span calibrations')
+    .bail()
     .isNumeric()
     .withMessage('Reference value must be a number'),
+  body('measured_value')
+    .if(body('calibration_type').isIn(['zero_point', 'span']))
+    .notEmpty()
+    .withMessage('Measured value is required for zero point and span calibrations')
+    .bail()
+    .isNumeric()
+    .withMessage('Measured value must be a number'),
+  body('calibration_offset')
+    .optional()
+    .isFloat()
+    .withMessage('Calibration offset must be a number'),
+  body('calibration_factor')
+    .optional()
+    .isFloat()
+    .withMessage('Calibration factor must be a number'),
+  body('calibration_type')
+    .custom((type, { req }) => type !== 'full_range'
+      || req.body.calibration_offset !== undefined || req.body.calibration_factor !== undefined)
+    .withMessage('Full range calibrations require calibration_offset or calibration_factor'),
+  body('effective_from')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid ISO 8601 date'),
+  body('reprocess')
+    .optional()
+    .isBoolean()
+    .withMessage('Reprocess must be a boolean'),
   body('notes')
     .optional()
     .isLength({ max: 500 })
@@ -863,4 +1255,394 @@ router.post('/:id/calibrate', [
   validate
 ], calibrateSensor);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/sensors/{id}/calibrations:
+ *   get:
+ *     summary: Get calibration history
+ *     description: Returns the calibration in effect and every calibration version of a sensor, newest first
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sensor ID
+ *     responses:
+ *       200:
+ *         description: Calibration history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sensor_id:
+ *                       type: string
+ *                       format: uuid
+ *                     current:
+ *                       type: object
+ *                       properties:
+ *                         version:
+ *                           type: integer
+ *                           nullable: true
+ *                         calibration_offset:
+ *                           type: number
+ *                         calibration_factor:
+ *                           type: number
+ *                         calibration_date:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         calibration_interval:
+ *                           type: integer
+ *                           nullable: true
+ *                     calibrations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SensorCalibration'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/calibrations', [
+  validateUUID('id'),
+  validate
+], getCalibrationHistory);
+
+/**
+ * @swagger
+ * /api/sensors/{id}/calibrations/reprocess:
+ *   post:
+ *     summary: Reprocess calibrated values
+ *     description: |
+ *       Queues a job that recomputes the stored values of a sensor in a past window from their raw
+ *       values, using the calibration version in effect at each timestamp. Use after a late calibration.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sensor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start_time
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       202:
+ *         description: Reprocessing job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CalibrationJob'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/:id/calibrations/reprocess', [
+  restrictTo('admin', 'manager', 'technician'),
+  validateUUID('id'),
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .bail()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('end_time')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  validate
+], reprocessCalibration);
+
+/**
+ * @swagger
+ * /api/sensors/{id}/calibrations/reprocess/{jobId}:
+ *   get:
+ *     summary: Get calibration reprocessing job
+ *     description: Returns status and progress of a calibration reprocessing job
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sensor ID
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Reprocessing job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalibrationJob'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/calibrations/reprocess/:jobId', [
+  validateUUID('id'),
+  validateUUID('jobId'),
+  validate
+], getCalibrationJob);
+
+/**
+ * @swagger
+ * /api/sensors/virtual/preview:
+ *   post:
+ *     summary: Preview a virtual sensor
+ *     description: |
+ *       Evaluates a virtual sensor definition over stored readings of its inputs without storing the
+ *       values. Readings from before start_time warm up windowed functions.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - virtual
+ *               - start_time
+ *             properties:
+ *               virtual:
+ *                 $ref: '#/components/schemas/VirtualSensorDefinition'
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Maximum number of values returned
+ *     responses:
+ *       200:
+ *         description: Computed values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     definition:
+ *                       $ref: '#/components/schemas/VirtualSensorDefinition'
+ *                     start:
+ *                       type: string
+ *                       format: date-time
+ *                     end:
+ *                       type: string
+ *                       format: date-time
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           value:
+ *                             type: number
+ *                     truncated:
+ *                       type: boolean
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/virtual/preview', [
+  body('virtual')
+    .notEmpty()
+    .withMessage('Virtual sensor definition is required'),
+  ...virtualSensorValidators,
+  ...virtualWindowValidators,
+  body('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer')
+    .toInt(),
+  validate
+], previewVirtualSensor);
+
+/**
+ * @swagger
+ * /api/sensors/{id}/virtual/backfill:
+ *   post:
+ *     summary: Backfill a virtual sensor
+ *     description: |
+ *       Queues a job that evaluates a virtual sensor over a past window from the stored readings of its
+ *       inputs and stores the values, replacing those stored for the window before. Use after creating
+ *       a virtual sensor or changing its expression.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sensor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start_time
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       202:
+ *         description: Backfill job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/VirtualSensorJob'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         description: InfluxDB is not configured
+ */
+router.post('/:id/virtual/backfill', [
+  restrictTo('admin', 'manager'),
+  validateUUID('id'),
+  ...virtualWindowValidators,
+  validate
+], backfillVirtualSensor);
+
+/**
+ * @swagger
+ * /api/sensors/{id}/virtual/backfill/{jobId}:
+ *   get:
+ *     summary: Get virtual sensor backfill job
+ *     description: Returns status and progress of a virtual sensor backfill job
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sensor ID
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Backfill job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/VirtualSensorJob'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:id/virtual/backfill/:jobId', [
+  validateUUID('id'),
+  validateUUID('jobId'),
+  validate
+], getVirtualSensorJob);
+
+module.exports = router;
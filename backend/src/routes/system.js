@@ -55,6 +55,19 @@ const router = express.Router();
  *                           type: boolean
  *                     details:
  *                       type: object
+ *                       properties:
+ *                         ingestion:
+ *                           type: object
+ *                           description: Ingestion queue, compression totals, store-and-forward buffer depth per store, dead-letter counts and HTTP batch totals
+ *                         opcua:
+ *                           type: object
+ *                           description: Configured and connected OPC UA connections and readings received
+ *                         modbus:
+ *                           type: object
+ *                           description: Polled Modbus TCP devices and how many are failing; see /devices/{id}/health for details
+ *                         broker_auth:
+ *                           type: object
+ *                           description: Last generation of the Mosquitto password and ACL files from device credentials
  *                     uptime_seconds:
  *                       type: number
  *                     timestamp:
@@ -10,9 +10,25 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { connectRedis } = require('./config/redis');
-const { connectMQTT } = require('./config/mqtt');
+const { connectMQTT, mqttClient } = require('./config/mqtt');
 const influxService = require('./services/influxService');
 const mongoService = require('./services/mongoService');
+const ingestionService = require('./services/ingestionService');
+const storeForwardService = require('./services/storeForwardService');
+const compressionService = require('./services/compressionService');
+const calibrationService = require('./services/calibrationService');
+const retentionService = require('./services/retentionService');
+const predictiveService = require('./services/predictiveService');
+const anomalyService = require('./services/anomalyService');
+const virtualSensorService = require('./services/virtualSensorService');
+const qualityService = require('./services/qualityService');
+const livenessService = require('./services/livenessService');
+const commandService = require('./services/commandService');
+const opcuaService = require('./services/opcuaService');
+const modbusService = require('./services/modbusService');
+const importService = require('./services/importService');
+const exportService = require('./services/exportService');
+const provisioningService = require('./services/provisioningService');
 // const BaSyxMQTTService = require('./services/basyxMqttService');
 const { globalErrorHandler } = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
@@ -28,6 +44,9 @@ const analyticsRoutes = require('./routes/analytics');
 const systemRoutes = require('./routes/system');
 const hybridRoutes = require('./routes/hybrid');
 const basyxRoutes = require('./routes/basyx');
+const ingestRoutes = require('./routes/ingest');
+const opcuaRoutes = require('./routes/opcua');
+const provisioningRoutes = require('./routes/provisioning');
 
 const app = express();
 const server = createServer(app);
@@ -56,7 +75,9 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Gateways post batches continuously; the batch route limits each device itself
+  skip: (req) => req.path.endsWith('/ingest/batch')
 });
 app.use('/api/', limiter);
 
@@ -98,6 +119,9 @@ app.use(`/api/${apiVersion}/analytics`, analyticsRoutes);
 app.use(`/api/${apiVersion}/system`, systemRoutes);
 app.use(`/api/${apiVersion}/hybrid`, hybridRoutes);
 app.use(`/api/${apiVersion}/basyx`, basyxRoutes);
+app.use(`/api/${apiVersion}/ingest`, ingestRoutes);
+app.use(`/api/${apiVersion}/opcua`, opcuaRoutes);
+app.use(`/api/${apiVersion}/provisioning`, provisioningRoutes);
 
 // Swagger documentation
 swaggerSetup(app, apiVersion);
@@ -136,6 +160,14 @@ async function startServer() {
       logger.error('InfluxDB connection failed:', error.message);
       logger.info('Continuing without InfluxDB...');
     }
+
+    // Load the store-and-forward buffer and start batched sensor data ingestion
+    try {
+      await storeForwardService.start();
+    } catch (error) {
+      logger.error('Store-and-forward buffer initialization failed:', error.message);
+    }
+    ingestionService.start();
     
     // Connect to MongoDB (Primary metadata and document database)
     try {
@@ -146,20 +178,60 @@ async function startServer() {
       logger.info('Continuing without MongoDB...');
     }
     
+    // Load per-sensor deadband and swinging door settings
+    await compressionService.start();
+    
+    // Load virtual sensor definitions evaluated at ingest
+    await virtualSensorService.start();
+    
+    // Load sensor ranges, sampling rates and data quality checks applied at ingest
+    await qualityService.start();
+    
+    // Load per-sensor anomaly detectors and what they learned before the restart
+    await anomalyService.start(io);
+    
+    // Load sensor calibration history and raise calibration due alerts
+    await calibrationService.start(io);
+    
+    // Roll up readings into downsampling tiers and apply retention policies
+    await retentionService.start();
+    
+    // Assess sensor degradation and raise predictive maintenance alerts
+    await predictiveService.start(io);
+    
+    // Track device heartbeats and mark silent devices offline
+    await livenessService.start(io);
+    
+    // Resume device commands that were still awaiting a response
+    await commandService.start(io, mqttClient);
+    
+    // Connect to configured OPC UA servers
+    await opcuaService.start();
+    
+    // Poll Modbus TCP devices
+    await modbusService.start();
+    
+    // Fail import jobs interrupted by a restart
+    await importService.start();
+    
+    // Fail export jobs interrupted by a restart and expire old export files
+    await exportService.start();
+    
+    // Regenerate the Mosquitto password and ACL files from device credentials
+    await provisioningService.start();
+    
     // Connect to Redis (temporarily disabled for debugging)
     // await connectRedis();
     // logger.info('Redis connected successfully');
     logger.info('Redis temporarily disabled for debugging');
     
-    // Connect to MQTT (temporarily disabled for debugging)
-    // try {
-    //   await connectMQTT(io);
-    //   logger.info('MQTT connected successfully');
-    // } catch (error) {
-    //   logger.error('MQTT connection failed:', error.message);
-    //   logger.info('Continuing without MQTT...');
-    // }
-    logger.info('MQTT temporarily disabled for debugging');
+    // Connect to MQTT without holding up the API: the client keeps retrying in the
+    // background, so a broker that is down only delays device ingestion
+    connectMQTT(io)
+      .then(() => logger.info('MQTT connected successfully'))
+      .catch((error) => {
+        logger.error('MQTT connection failed, retrying in the background:', error.message);
+      });
     
     // Initialize BaSyx MQTT Service (temporarily disabled)
     // try {
@@ -197,20 +269,43 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+async function shutdown() {
+  try {
+    // Stop taking device messages before the queue is flushed
+    await mqttClient.disconnect();
+    await ingestionService.stop();
+    await compressionService.stop();
+    await anomalyService.stop();
+    virtualSensorService.stop();
+    qualityService.stop();
+    calibrationService.stop();
+    retentionService.stop();
+    predictiveService.stop();
+    await livenessService.stop();
+    commandService.stop();
+    await opcuaService.stop();
+    modbusService.stop();
+    importService.stop();
+    exportService.stop();
+    storeForwardService.stop();
+  } catch (error) {
+    logger.error('Failed to flush ingestion queue on shutdown:', error);
+  }
+
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
   });
+}
+
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM received, shutting down gracefully');
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
-  });
+  shutdown();
 });
 
 // Handle uncaught exceptions
@@ -0,0 +1,487 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const storeForwardService = require('./storeForwardService');
+const { ANOMALY_DETECTORS, createDetector } = require('../utils/anomaly');
+const logger = require('../utils/logger');
+
+const ANNOTATION_COLLECTION = 'sensor_annotations';
+const STATE_COLLECTION = 'anomaly_detector_state';
+const ALERT_SOURCE = 'anomaly_detection';
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Online anomaly detection of the ingestion stream, configured through a sensor's
+ * configuration.anomaly: { detectors: [{ type, ...options }], severity, alert, alert_cooldown, enabled }
+ *
+ * Consecutive anomalous readings of a detector form one anomaly, stored as an annotation
+ * in sensor_annotations that is extended until the detector sees a normal reading again.
+ * Each new anomaly is streamed over Socket.IO and, with alert set, raises an anomaly alert.
+ */
+class AnomalyService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.ANOMALY_REFRESH_INTERVAL_MS) || 60000;
+    this.flushIntervalMs = parseInt(process.env.ANOMALY_FLUSH_INTERVAL_MS) || 2000;
+    // Seconds between alerts of a sensor for sensors that do not set alert_cooldown
+    this.defaultCooldown = parseInt(process.env.ANOMALY_ALERT_COOLDOWN) || 900;
+
+    this.io = null;
+    this.sensors = new Map();
+    this.saved = new Map();
+    this.dirty = new Set();
+    this.alerts = [];
+    this.refreshTimer = null;
+    this.flushTimer = null;
+    this.stats = { inspected: 0, anomalies: 0, alerts: 0 };
+  }
+
+  /**
+   * @param {Object} io - Socket.IO server
+   */
+  async start(io) {
+    this.io = io;
+
+    try {
+      await this.loadState();
+      await this.refresh();
+    } catch (error) {
+      logger.warn(`Sensor anomaly detection settings not loaded: ${error.message}`);
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh()
+          .then(() => this.persistState())
+          .catch((error) => logger.error('Anomaly detection settings refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+
+      this.flushTimer = setInterval(() => {
+        this.flush().catch((error) => logger.error('Failed to store anomalies:', error));
+      }, this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+
+    if (this.sensors.size > 0) {
+      logger.info(`Anomaly detection enabled for ${this.sensors.size} sensors`);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.flushTimer);
+    this.refreshTimer = null;
+    this.flushTimer = null;
+
+    try {
+      await this.flush();
+      await this.persistState();
+    } catch (error) {
+      logger.error('Failed to store anomaly detection state:', error);
+    }
+  }
+
+  /**
+   * Normalise a sensor's anomaly detection settings
+   * @returns {Object|null} Config or null when detection is off or invalid
+   */
+  compile(sensor) {
+    const config = sensor.configuration && sensor.configuration.anomaly;
+    if (!config || config.enabled === false) {
+      return null;
+    }
+
+    const detectors = (config.detectors && config.detectors.length > 0 ? config.detectors : [{ type: 'zscore' }]);
+    try {
+      detectors.forEach((detector) => createDetector(detector));
+    } catch (error) {
+      logger.warn(`Sensor ${sensor._id} has invalid anomaly detection settings: ${error.message}`);
+      return null;
+    }
+
+    return {
+      detectors,
+      severity: config.severity || 'medium',
+      alert: config.alert === true,
+      alert_cooldown: config.alert_cooldown !== undefined ? config.alert_cooldown : this.defaultCooldown
+    };
+  }
+
+  /**
+   * Load detector state saved by the last run
+   */
+  async loadState() {
+    const states = await mongoService.getCollection(STATE_COLLECTION).find({}).toArray();
+    states.forEach((state) => this.saved.set(state._id, state));
+  }
+
+  /**
+   * Sync detectors with the sensor registry. Detectors of changed sensors start
+   * learning again; open anomalies of changed or removed sensors are closed.
+   */
+  async refresh() {
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ 'configuration.anomaly': { $exists: true } })
+      .project({ name: 1, device_id: 1, 'configuration.anomaly': 1 })
+      .toArray();
+
+    const active = new Set();
+
+    sensors.forEach((sensor) => {
+      const config = this.compile(sensor);
+      if (!config) {
+        return;
+      }
+
+      active.add(sensor._id);
+      const fingerprint = JSON.stringify(config.detectors);
+      const current = this.sensors.get(sensor._id);
+      if (current && current.fingerprint === fingerprint) {
+        Object.assign(current, { config, name: sensor.name, device_id: sensor.device_id });
+        return;
+      }
+
+      if (current) {
+        this.closeAll(current);
+      }
+
+      const saved = this.saved.get(sensor._id);
+      this.saved.delete(sensor._id);
+      const detectors = config.detectors.map((detectorConfig, index) => {
+        const detector = createDetector(detectorConfig);
+        if (saved && saved.fingerprint === fingerprint && saved.detectors[index]) {
+          detector.setState(saved.detectors[index]);
+        }
+        return { type: detectorConfig.type, detector, open: null };
+      });
+
+      this.sensors.set(sensor._id, {
+        config,
+        fingerprint,
+        name: sensor.name,
+        device_id: sensor.device_id,
+        detectors,
+        last: null,
+        lastAlertAt: null
+      });
+    });
+
+    for (const [sensorId, entry] of this.sensors) {
+      if (!active.has(sensorId)) {
+        this.closeAll(entry);
+        this.sensors.delete(sensorId);
+      }
+    }
+  }
+
+  /**
+   * Run calibrated points through their sensor's detectors. Only numeric readings of
+   * configured sensors are inspected; annotations and alerts are stored on the next flush.
+   * @param {Array} points - InfluxDB point descriptions in arrival order
+   */
+  inspect(points) {
+    if (this.sensors.size === 0) {
+      return;
+    }
+
+    points.forEach((point) => {
+      const entry = this.sensors.get(point.tags.sensor_id);
+      if (!entry || typeof point.fields.value !== 'number') {
+        return;
+      }
+
+      // Late readings are stored but not judged against what came after them
+      const time = point.timestamp.getTime();
+      if (entry.last !== null && time <= entry.last) {
+        return;
+      }
+      entry.last = time;
+
+      this.stats.inspected += 1;
+      const reading = { timestamp: point.timestamp, value: point.fields.value };
+
+      entry.detectors.forEach((slot) => {
+        const result = slot.detector.offer(reading);
+        if (result) {
+          this.record(point, entry, slot, result);
+        } else if (slot.open) {
+          this.close(slot);
+        }
+      });
+    });
+  }
+
+  /**
+   * Start an anomaly or extend the open one of a detector
+   */
+  record(point, entry, slot, result) {
+    const score = round(result.score);
+
+    if (slot.open) {
+      const annotation = slot.open;
+      annotation.end_time = point.timestamp;
+      annotation.readings += 1;
+      if (score > annotation.peak_score) {
+        annotation.peak_score = score;
+        annotation.peak_value = point.fields.value;
+      }
+      annotation.updated_at = new Date();
+      this.dirty.add(annotation);
+      return;
+    }
+
+    const annotation = {
+      _id: uuidv4(),
+      type: 'anomaly',
+      sensor_id: point.tags.sensor_id,
+      device_id: entry.device_id,
+      sensor_name: entry.name,
+      detector: slot.type,
+      severity: entry.config.severity,
+      status: 'open',
+      start_time: point.timestamp,
+      end_time: point.timestamp,
+      readings: 1,
+      value: point.fields.value,
+      expected: round(result.expected),
+      lower: round(result.lower),
+      upper: round(result.upper),
+      score,
+      peak_value: point.fields.value,
+      peak_score: score,
+      alert_id: null,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    if (result.rate !== undefined) {
+      annotation.rate = round(result.rate);
+    }
+
+    slot.open = annotation;
+    annotation.saved = false;
+    this.dirty.add(annotation);
+    this.stats.anomalies += 1;
+
+    if (this.io) {
+      this.io.emit('anomaly:detected', { anomaly: this.toDocument(annotation), timestamp: new Date().toISOString() });
+    }
+
+    if (entry.config.alert) {
+      this.queueAlert(entry, annotation);
+    }
+  }
+
+  close(slot) {
+    const annotation = slot.open;
+    slot.open = null;
+    annotation.status = 'closed';
+    annotation.updated_at = new Date();
+    this.dirty.add(annotation);
+
+    if (this.io) {
+      this.io.emit('anomaly:ended', {
+        anomaly_id: annotation._id,
+        sensor_id: annotation.sensor_id,
+        detector: annotation.detector,
+        end_time: annotation.end_time,
+        readings: annotation.readings,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  closeAll(entry) {
+    entry.detectors.filter((slot) => slot.open).forEach((slot) => this.close(slot));
+  }
+
+  /**
+   * Raise an anomaly alert unless the sensor raised one within its cooldown
+   */
+  queueAlert(entry, annotation) {
+    const at = annotation.start_time.getTime();
+    if (entry.lastAlertAt !== null && at - entry.lastAlertAt < entry.config.alert_cooldown * 1000) {
+      return;
+    }
+    entry.lastAlertAt = at;
+
+    const above = annotation.value > annotation.expected;
+    const alert = {
+      _id: uuidv4(),
+      title: `Anomaly detected: ${entry.name}`,
+      description: `Sensor ${entry.name} read ${round(annotation.value)} at ${annotation.start_time.toISOString()}, `
+        + `${above ? 'above' : 'below'} the expected range ${annotation.lower} to ${annotation.upper} (${annotation.detector})`,
+      alert_type: 'anomaly',
+      severity: annotation.severity,
+      device_id: entry.device_id,
+      sensor_id: annotation.sensor_id,
+      threshold_value: above ? annotation.upper : annotation.lower,
+      actual_value: annotation.value,
+      condition_details: {
+        detector: annotation.detector,
+        expected: annotation.expected,
+        lower: annotation.lower,
+        upper: annotation.upper,
+        score: annotation.score
+      },
+      metadata: { source: ALERT_SOURCE, anomaly_id: annotation._id },
+      status: 'active',
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    annotation.alert_id = alert._id;
+    this.alerts.push(alert);
+    this.stats.alerts += 1;
+
+    if (this.io) {
+      this.io.emit('alert:created', { alert, timestamp: new Date().toISOString() });
+    }
+  }
+
+  toDocument(annotation) {
+    const { saved: _saved, ...document } = annotation;
+    return document;
+  }
+
+  /**
+   * Store new and changed anomalies and queued alerts
+   */
+  async flush() {
+    const annotations = Array.from(this.dirty);
+    const alerts = this.alerts.splice(0);
+    this.dirty.clear();
+
+    for (const annotation of annotations) {
+      if (!annotation.saved) {
+        annotation.saved = true;
+        await storeForwardService.writeMongo({
+          collection: ANNOTATION_COLLECTION,
+          type: 'insertOne',
+          document: this.toDocument(annotation)
+        });
+      } else {
+        await storeForwardService.writeMongo({
+          collection: ANNOTATION_COLLECTION,
+          type: 'updateOne',
+          filter: { _id: annotation._id },
+          update: {
+            $set: {
+              status: annotation.status,
+              end_time: annotation.end_time,
+              readings: annotation.readings,
+              peak_value: annotation.peak_value,
+              peak_score: annotation.peak_score,
+              updated_at: annotation.updated_at
+            }
+          }
+        });
+      }
+    }
+
+    for (const alert of alerts) {
+      await storeForwardService.writeMongo({ collection: 'alerts', type: 'insertOne', document: alert });
+    }
+  }
+
+  /**
+   * Save what the detectors have learned so a restart resumes from it
+   */
+  async persistState() {
+    if (this.sensors.size === 0 || !mongoService.isConnected) {
+      return;
+    }
+
+    const now = new Date();
+    await mongoService.getCollection(STATE_COLLECTION).bulkWrite(
+      Array.from(this.sensors.entries()).map(([sensorId, entry]) => ({
+        replaceOne: {
+          filter: { _id: sensorId },
+          replacement: {
+            fingerprint: entry.fingerprint,
+            detectors: entry.detectors.map((slot) => slot.detector.getState()),
+            updated_at: now
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Stored anomalies, newest first
+   * @param {Object} options - { sensorIds, deviceIds, detectors, severity, status, start, end, page, limit }
+   * @returns {Object} { anomalies, total, by_detector }
+   */
+  async list({
+    sensorIds,
+    deviceIds,
+    detectors,
+    severity,
+    status,
+    start,
+    end,
+    page = 1,
+    limit = 50
+  } = {}) {
+    const filter = { type: 'anomaly' };
+    if (sensorIds && sensorIds.length > 0) {
+      filter.sensor_id = { $in: sensorIds };
+    }
+    if (deviceIds && deviceIds.length > 0) {
+      filter.device_id = { $in: deviceIds };
+    }
+    if (detectors && detectors.length > 0) {
+      filter.detector = { $in: detectors };
+    }
+    if (severity) {
+      filter.severity = severity;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (start || end) {
+      filter.start_time = {};
+      if (start) {
+        filter.start_time.$gte = new Date(start);
+      }
+      if (end) {
+        filter.start_time.$lte = new Date(end);
+      }
+    }
+
+    const annotations = mongoService.getCollection(ANNOTATION_COLLECTION);
+    const [anomalies, total, byDetector] = await Promise.all([
+      annotations.find(filter).sort({ start_time: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      annotations.countDocuments(filter),
+      annotations.aggregate([
+        { $match: filter },
+        { $group: { _id: '$detector', count: { $sum: 1 }, readings: { $sum: '$readings' } } }
+      ]).toArray()
+    ]);
+
+    return {
+      anomalies,
+      total,
+      by_detector: ANOMALY_DETECTORS.reduce((counts, detector) => {
+        const group = byDetector.find((item) => item._id === detector);
+        return { ...counts, [detector]: { anomalies: group ? group.count : 0, readings: group ? group.readings : 0 } };
+      }, {})
+    };
+  }
+
+  getStats() {
+    let open = 0;
+    this.sensors.forEach((entry) => {
+      open += entry.detectors.filter((slot) => slot.open).length;
+    });
+
+    return {
+      sensors: this.sensors.size,
+      ...this.stats,
+      open
+    };
+  }
+}
+
+module.exports = new AnomalyService();
@@ -0,0 +1,299 @@
+const mongoService = require('./mongoService');
+const ingestionService = require('./ingestionService');
+const livenessService = require('./livenessService');
+const { parseLine } = require('../utils/lineProtocol');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MAX_ID_LENGTH = 200;
+const MAX_UNIT_LENGTH = 20;
+const MAX_TAG_LENGTH = 200;
+const PRECISIONS = ['ns', 'us', 'ms', 's'];
+
+/**
+ * Bulk HTTP ingestion for edge gateways.
+ * Accepts JSON arrays, NDJSON and InfluxDB line protocol, validates every
+ * reading on its own and feeds the accepted ones into the ingestion pipeline.
+ */
+class BatchIngestService {
+  constructor() {
+    this.maxReadings = parseInt(process.env.INGEST_BATCH_MAX_READINGS) || 50000;
+    this.maxErrors = parseInt(process.env.INGEST_BATCH_MAX_ERRORS) || 1000;
+    this.maxTags = parseInt(process.env.INGEST_BATCH_MAX_TAGS) || 20;
+    this.stats = { batches: 0, accepted: 0, rejected: 0 };
+  }
+
+  /**
+   * Detect the body format from the Content-Type header
+   * @returns {string|null} json, ndjson, line_protocol or null if unsupported
+   */
+  detectFormat(contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+
+    if (type === 'application/json') return 'json';
+    if (['application/x-ndjson', 'application/ndjson', 'application/jsonl'].includes(type)) return 'ndjson';
+    if (type === 'text/plain' || type === 'application/vnd.influx.line-protocol') return 'line_protocol';
+    return null;
+  }
+
+  /**
+   * Split a request body into candidate readings
+   * @param {string|Object|Array} body - Parsed JSON or raw text
+   * @param {string} format - json, ndjson or line_protocol
+   * @param {Object} options - { precision } for line protocol timestamps
+   * @returns {Object} { items: [{ position, reading }], errors: [{ position, error }], received }
+   * where received counts the array entries or non-blank lines of the body
+   */
+  parse(body, format, { precision = 'ns' } = {}) {
+    const items = [];
+    const errors = [];
+
+    if (format === 'json') {
+      const readings = Array.isArray(body) ? body : body && body.readings;
+      if (!Array.isArray(readings)) {
+        throw new AppError('JSON body must be an array of readings or { "readings": [...] }', 400);
+      }
+      readings.forEach((reading, index) => items.push({ position: { index }, reading }));
+      return { items, errors, received: readings.length };
+    }
+
+    const lines = String(body || '').split('\n');
+    let received = 0;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const position = { line: index + 1 };
+
+      if (line === '' || (format === 'line_protocol' && line.startsWith('#'))) {
+        return;
+      }
+
+      received += 1;
+      try {
+        if (format === 'ndjson') {
+          items.push({ position, reading: JSON.parse(line) });
+        } else {
+          this.fromLineProtocol(parseLine(line, precision)).forEach((reading) => items.push({ position, reading }));
+        }
+      } catch (error) {
+        errors.push({ ...position, error: error.message });
+      }
+    });
+
+    return { items, errors, received };
+  }
+
+  /**
+   * One reading per field. The sensor ID is the sensor_id tag (or the measurement),
+   * suffixed with ".{field}" for fields other than "value".
+   */
+  fromLineProtocol({ measurement, tags, fields, timestamp }) {
+    const { device_id: deviceId, sensor_id: sensorId, unit, ...otherTags } = tags;
+    const base = sensorId || measurement;
+
+    return Object.entries(fields).map(([field, value]) => ({
+      device_id: deviceId,
+      sensor_id: field === 'value' ? base : `${base}.${field}`,
+      value,
+      unit,
+      timestamp: timestamp || undefined,
+      tags: otherTags
+    }));
+  }
+
+  /**
+   * Validate and normalise a single reading
+   * @returns {Object} { reading } or { error }
+   */
+  validateReading(reading, defaultDeviceId) {
+    if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+      return { error: 'Reading must be an object' };
+    }
+
+    const deviceId = reading.device_id === undefined || reading.device_id === null ? defaultDeviceId : reading.device_id;
+    if (typeof deviceId !== 'string' || deviceId === '' || deviceId.length > MAX_ID_LENGTH) {
+      return { error: `device_id must be a string of 1 to ${MAX_ID_LENGTH} characters` };
+    }
+
+    if (typeof reading.sensor_id !== 'string' || reading.sensor_id === '' || reading.sensor_id.length > MAX_ID_LENGTH) {
+      return { error: `sensor_id must be a string of 1 to ${MAX_ID_LENGTH} characters` };
+    }
+
+    let { value } = reading;
+    if (typeof value === 'boolean') {
+      value = value ? 1 : 0;
+    } else if (typeof value === 'string' && value.trim() !== '') {
+      value = Number(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: 'value must be a finite number' };
+    }
+
+    let timestamp;
+    if (reading.timestamp !== undefined && reading.timestamp !== null) {
+      timestamp = reading.timestamp instanceof Date ? reading.timestamp : new Date(reading.timestamp);
+      if (Number.isNaN(timestamp.getTime())) {
+        return { error: 'timestamp must be an ISO 8601 date or epoch milliseconds' };
+      }
+    }
+
+    if (reading.unit !== undefined && reading.unit !== null
+      && (typeof reading.unit !== 'string' || reading.unit.length > MAX_UNIT_LENGTH)) {
+      return { error: `unit must be a string of at most ${MAX_UNIT_LENGTH} characters` };
+    }
+
+    const tagError = this.validateTags(reading.tags);
+    if (tagError) {
+      return { error: tagError };
+    }
+
+    return {
+      reading: {
+        device_id: deviceId,
+        sensor_id: reading.sensor_id,
+        value,
+        unit: reading.unit || null,
+        timestamp,
+        tags: { ...reading.tags, source: 'http_batch' }
+      }
+    };
+  }
+
+  /**
+   * Tags become InfluxDB tags, whose keys starting with "_" are reserved and whose
+   * values are strings, and every distinct value adds a series
+   * @returns {string|null} Error message or null if the tags are valid
+   */
+  validateTags(tags) {
+    if (tags === undefined) {
+      return null;
+    }
+    if (typeof tags !== 'object' || tags === null || Array.isArray(tags)) {
+      return 'tags must be an object';
+    }
+
+    const entries = Object.entries(tags);
+    if (entries.length > this.maxTags) {
+      return `tags must not have more than ${this.maxTags} entries`;
+    }
+
+    for (const [key, value] of entries) {
+      if (key === '' || key.startsWith('_') || key.length > MAX_TAG_LENGTH) {
+        return `tag key "${key}" must be 1 to ${MAX_TAG_LENGTH} characters and not start with "_"`;
+      }
+      if (typeof value !== 'string' || value === '' || value.length > MAX_TAG_LENGTH) {
+        return `tag ${key} must be a string of 1 to ${MAX_TAG_LENGTH} characters`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Devices the authenticated device may write for: itself and devices it is the gateway of
+   * @returns {Set<string>} Allowed device IDs
+   */
+  async allowedDevices(device, requestedIds) {
+    const allowed = new Set([device._id]);
+    const others = requestedIds.filter((id) => id !== device._id);
+
+    if (others.length > 0) {
+      const children = await mongoService.getCollection('devices')
+        .find({ _id: { $in: others }, gateway_id: device._id }, { projection: { _id: 1 } })
+        .toArray();
+      children.forEach((child) => allowed.add(child._id));
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Device each of the sensors is registered for
+   * @returns {Map<string, string>} Sensor ID to device ID, for the sensors that exist
+   */
+  async sensorOwners(sensorIds) {
+    if (sensorIds.length === 0) {
+      return new Map();
+    }
+
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ _id: { $in: sensorIds } }, { projection: { _id: 1, device_id: 1 } })
+      .toArray();
+    return new Map(sensors.map((sensor) => [sensor._id, sensor.device_id]));
+  }
+
+  /**
+   * Validate a parsed batch and queue the valid readings
+   * @param {Object} device - Authenticated device
+   * @param {string|Object|Array} body - Request body
+   * @param {string} format - json, ndjson or line_protocol
+   * @param {Object} options - { precision }
+   * @returns {Object} { received, accepted, rejected, errors, errors_truncated }
+   */
+  async ingest(device, body, format, options = {}) {
+    if (options.precision && !PRECISIONS.includes(options.precision)) {
+      throw new AppError(`Precision must be one of: ${PRECISIONS.join(', ')}`, 400);
+    }
+
+    const { items, errors, received } = this.parse(body, format, options);
+
+    if (items.length > this.maxReadings) {
+      throw new AppError(`Batch contains ${items.length} readings, the limit is ${this.maxReadings}`, 413);
+    }
+
+    const validated = [];
+    items.forEach(({ position, reading }) => {
+      const result = this.validateReading(reading, device._id);
+      if (result.error) {
+        errors.push({ ...position, error: result.error });
+      } else {
+        validated.push({ position, reading: result.reading });
+      }
+    });
+
+    const allowed = await this.allowedDevices(device, [...new Set(validated.map(({ reading }) => reading.device_id))]);
+    const owners = await this.sensorOwners([...new Set(validated.map(({ reading }) => reading.sensor_id))]);
+    const accepted = [];
+
+    validated.forEach(({ position, reading }) => {
+      if (!allowed.has(reading.device_id)) {
+        errors.push({ ...position, error: `Device ${reading.device_id} is not this device or one of its gateway devices` });
+      } else if (owners.get(reading.sensor_id) !== reading.device_id) {
+        errors.push({ ...position, error: `Sensor ${reading.sensor_id} is not registered for device ${reading.device_id}` });
+      } else {
+        accepted.push(reading);
+      }
+    });
+
+    if (accepted.length > 0) {
+      for (const deviceId of new Set(accepted.map((reading) => reading.device_id))) {
+        await livenessService.touch(deviceId);
+      }
+      await ingestionService.ingest(accepted);
+    }
+
+    errors.sort((a, b) => (a.index !== undefined ? a.index - b.index : a.line - b.line));
+
+    this.stats.batches += 1;
+    this.stats.accepted += accepted.length;
+    this.stats.rejected += errors.length;
+
+    if (errors.length > 0) {
+      logger.warn(`Batch from device ${device._id}: ${accepted.length} readings accepted, ${errors.length} rejected`);
+    }
+
+    return {
+      received,
+      accepted: accepted.length,
+      rejected: errors.length,
+      errors: errors.slice(0, this.maxErrors),
+      errors_truncated: errors.length > this.maxErrors
+    };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new BatchIngestService();
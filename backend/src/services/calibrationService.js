@@ -0,0 +1,596 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const CALIBRATIONS_COLLECTION = 'sensor_calibrations';
+const JOBS_COLLECTION = 'calibration_jobs';
+const CALIBRATION_TYPES = ['zero_point', 'span', 'full_range', 'factory_reset'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns of a pivoted sensor_data row that are not tags
+const NON_TAG_COLUMNS = new Set([
+  'result', 'table', '_start', '_stop', '_time', '_measurement', 'value', 'raw_value', 'calibration_version'
+]);
+
+const applyCalibration = (raw, { offset, factor }) => Number((raw * factor + offset).toPrecision(12));
+
+const toVersion = (calibration) => ({
+  version: calibration.version,
+  offset: calibration.offset,
+  factor: calibration.factor,
+  from: new Date(calibration.effective_from).getTime()
+});
+
+/**
+ * Sensor calibration: calibrated = raw * factor + offset.
+ * Every calibration is kept as a version with an effective-from time, and a reading
+ * is calibrated with the version in effect at its timestamp.
+ */
+class CalibrationService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.CALIBRATION_REFRESH_INTERVAL_MS) || 60000;
+    this.checkIntervalMs = parseInt(process.env.CALIBRATION_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+    this.dueNoticeDays = parseInt(process.env.CALIBRATION_DUE_NOTICE_DAYS) || 0;
+    this.reprocessWindowMs = (parseInt(process.env.CALIBRATION_REPROCESS_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+    this.reprocessBatchSize = parseInt(process.env.CALIBRATION_REPROCESS_BATCH_SIZE) || 5000;
+
+    this.io = null;
+    this.versions = new Map();
+    this.refreshTimer = null;
+    this.checkTimer = null;
+    this.pending = [];
+    this.running = null;
+  }
+
+  /**
+   * Load calibrations, recover interrupted jobs and start the calibration due check
+   * @param {Object} io - Socket.IO server
+   */
+  async start(io) {
+    this.io = io;
+
+    if (mongoService.isConnected) {
+      try {
+        const result = await mongoService.getCollection(JOBS_COLLECTION).updateMany(
+          { status: { $in: ['queued', 'running'] } },
+          { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+          logger.warn(`Marked ${result.modifiedCount} interrupted calibration jobs as failed`);
+        }
+
+        await this.refresh();
+        await this.checkDue();
+      } catch (error) {
+        logger.warn(`Sensor calibrations not loaded: ${error.message}`);
+      }
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch((error) => logger.error('Calibration refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+    }
+
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => {
+        this.checkDue().catch((error) => logger.error('Calibration due check failed:', error));
+      }, this.checkIntervalMs);
+      this.checkTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.checkTimer);
+    this.refreshTimer = null;
+    this.checkTimer = null;
+  }
+
+  /**
+   * Build a sensor's version list, oldest first. Sensors without history use
+   * the offset and factor on the sensor document for all readings.
+   */
+  buildVersions(sensor, calibrations) {
+    if (calibrations.length > 0) {
+      return calibrations
+        .map(toVersion)
+        .sort((a, b) => a.from - b.from || a.version - b.version);
+    }
+
+    const offset = sensor.calibration_offset || 0;
+    const factor = sensor.calibration_factor === undefined || sensor.calibration_factor === null ? 1 : sensor.calibration_factor;
+    if (offset === 0 && factor === 1) {
+      return null;
+    }
+    return [{ version: 0, offset, factor, from: -Infinity }];
+  }
+
+  /**
+   * Reload calibration versions of all sensors
+   */
+  async refresh() {
+    const [sensors, calibrations] = await Promise.all([
+      mongoService.getCollection('sensors')
+        .find({ $or: [{ calibration_offset: { $nin: [0, null] } }, { calibration_factor: { $nin: [1, null] } }] })
+        .project({ calibration_offset: 1, calibration_factor: 1 })
+        .toArray(),
+      mongoService.getCollection(CALIBRATIONS_COLLECTION)
+        .find({})
+        .project({ sensor_id: 1, version: 1, offset: 1, factor: 1, effective_from: 1 })
+        .toArray()
+    ]);
+
+    const bySensor = new Map();
+    calibrations.forEach((calibration) => {
+      if (!bySensor.has(calibration.sensor_id)) {
+        bySensor.set(calibration.sensor_id, []);
+      }
+      bySensor.get(calibration.sensor_id).push(calibration);
+    });
+
+    const versions = new Map();
+    sensors.forEach((sensor) => {
+      const list = this.buildVersions(sensor, bySensor.get(sensor._id) || []);
+      if (list) {
+        versions.set(sensor._id, list);
+      }
+    });
+    for (const [sensorId, list] of bySensor) {
+      if (!versions.has(sensorId)) {
+        versions.set(sensorId, this.buildVersions({}, list));
+      }
+    }
+
+    this.versions = versions;
+  }
+
+  /**
+   * Reload one sensor's calibration versions, e.g. right after a calibration
+   */
+  async loadSensor(sensorId) {
+    const [sensor, calibrations] = await Promise.all([
+      mongoService.getCollection('sensors').findOne(
+        { _id: sensorId },
+        { projection: { calibration_offset: 1, calibration_factor: 1 } }
+      ),
+      mongoService.getCollection(CALIBRATIONS_COLLECTION).find({ sensor_id: sensorId }).toArray()
+    ]);
+
+    const list = sensor || calibrations.length > 0 ? this.buildVersions(sensor || {}, calibrations) : null;
+    if (list) {
+      this.versions.set(sensorId, list);
+    } else {
+      this.versions.delete(sensorId);
+    }
+  }
+
+  /**
+   * Calibration version in effect for a sensor at a point in time
+   * @returns {Object|null} { version, offset, factor } or null when uncalibrated
+   */
+  versionAt(sensorId, time) {
+    const list = this.versions.get(sensorId);
+    if (!list) {
+      return null;
+    }
+
+    for (let index = list.length - 1; index >= 0; index -= 1) {
+      if (list[index].from <= time) {
+        return list[index];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Calibrate numeric point values in place. The reading as received is kept in raw_value.
+   * @param {Array} points - InfluxDB point descriptions
+   * @returns {Array} The same points
+   */
+  apply(points) {
+    points.forEach((point) => {
+      const raw = point.fields.value;
+      if (typeof raw !== 'number') {
+        return;
+      }
+
+      const version = this.versionAt(point.tags.sensor_id, point.timestamp.getTime());
+      point.fields = version
+        ? { ...point.fields, value: applyCalibration(raw, version), raw_value: raw, calibration_version: version.version }
+        : { ...point.fields, raw_value: raw };
+    });
+
+    return points;
+  }
+
+  /**
+   * Work out the new offset and factor from a calibration request
+   * @param {Object} current - { offset, factor } in effect when the calibration takes effect
+   * @param {Object} input - { calibration_type, reference_value, measured_value, calibration_offset, calibration_factor }
+   * @returns {Object} { offset, factor }
+   */
+  compute(current, input) {
+    const reference = Number(input.reference_value);
+    const measured = Number(input.measured_value);
+    let offset = current.offset;
+    let factor = current.factor;
+
+    switch (input.calibration_type) {
+      case 'zero_point':
+        // Shift the curve so the raw reading at the reference point reads as the reference
+        offset = reference - measured * factor;
+        break;
+      case 'span':
+        if (measured === 0) {
+          throw new AppError('Measured value must not be zero for a span calibration', 400);
+        }
+        factor = (reference - offset) / measured;
+        break;
+      case 'full_range':
+        if (input.calibration_offset !== undefined) offset = Number(input.calibration_offset);
+        if (input.calibration_factor !== undefined) factor = Number(input.calibration_factor);
+        break;
+      case 'factory_reset':
+        offset = 0;
+        factor = 1;
+        break;
+      default:
+        throw new AppError(`Calibration type must be one of: ${CALIBRATION_TYPES.join(', ')}`, 400);
+    }
+
+    if (!Number.isFinite(offset) || !Number.isFinite(factor) || factor === 0) {
+      throw new AppError('Calibration results in an invalid offset or factor', 400);
+    }
+
+    return { offset: Number(offset.toPrecision(12)), factor: Number(factor.toPrecision(12)) };
+  }
+
+  /**
+   * Record a new calibration version and update the sensor if it is now in effect
+   * @param {string} sensorId - Sensor ID
+   * @param {Object} input - Calibration request, effective_from defaults to now
+   * @param {Object} user - Calibrating user
+   * @returns {Object|null} { calibration, sensor } or null if the sensor does not exist
+   */
+  async calibrate(sensorId, input, user) {
+    const sensors = mongoService.getCollection('sensors');
+    const calibrations = mongoService.getCollection(CALIBRATIONS_COLLECTION);
+    const now = new Date();
+    const effectiveFrom = input.effective_from ? new Date(input.effective_from) : now;
+
+    const sensor = await sensors.findOne({ _id: sensorId });
+    if (!sensor) {
+      return null;
+    }
+
+    if (effectiveFrom > now) {
+      throw new AppError('Calibration cannot take effect in the future', 400);
+    }
+
+    let [latest] = await calibrations.find({ sensor_id: sensorId }).sort({ version: -1 }).limit(1).toArray();
+
+    // The values set before history was recorded become version 1
+    if (!latest) {
+      latest = {
+        _id: uuidv4(),
+        sensor_id: sensorId,
+        version: 1,
+        calibration_type: 'initial',
+        offset: sensor.calibration_offset || 0,
+        factor: sensor.calibration_factor === undefined || sensor.calibration_factor === null ? 1 : sensor.calibration_factor,
+        effective_from: new Date(0),
+        notes: 'Calibration in effect before history was recorded',
+        created_by: sensor.created_by || null,
+        created_at: now
+      };
+      await calibrations.insertOne(latest);
+    }
+
+    const [previous] = await calibrations
+      .find({ sensor_id: sensorId, effective_from: { $lte: effectiveFrom } })
+      .sort({ effective_from: -1, version: -1 })
+      .limit(1)
+      .toArray();
+
+    const { offset, factor } = this.compute(previous || latest, input);
+
+    const calibration = {
+      _id: uuidv4(),
+      sensor_id: sensorId,
+      version: latest.version + 1,
+      calibration_type: input.calibration_type,
+      offset,
+      factor,
+      reference_value: input.reference_value !== undefined ? Number(input.reference_value) : null,
+      measured_value: input.measured_value !== undefined ? Number(input.measured_value) : null,
+      previous: previous ? { version: previous.version, offset: previous.offset, factor: previous.factor } : null,
+      effective_from: effectiveFrom,
+      notes: input.notes || null,
+      performed_by: input.performed_by || null,
+      created_by: user.id,
+      created_at: now
+    };
+    await calibrations.insertOne(calibration);
+
+    // The sensor document carries the calibration in effect now; a backdated one may be superseded
+    const [inEffect] = await calibrations
+      .find({ sensor_id: sensorId, effective_from: { $lte: now } })
+      .sort({ effective_from: -1, version: -1 })
+      .limit(1)
+      .toArray();
+
+    const lastCalibration = sensor.calibration_date && new Date(sensor.calibration_date) > effectiveFrom
+      ? new Date(sensor.calibration_date)
+      : effectiveFrom;
+
+    const updated = await sensors.findOneAndUpdate(
+      { _id: sensorId },
+      {
+        $set: {
+          calibration_offset: inEffect.offset,
+          calibration_factor: inEffect.factor,
+          calibration_version: inEffect.version,
+          calibration_date: lastCalibration,
+          updated_at: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    await this.loadSensor(sensorId);
+    await this.resolveDue(sensorId, user);
+
+    return { calibration, sensor: updated };
+  }
+
+  /**
+   * Calibration history of a sensor, newest version first
+   */
+  async getHistory(sensorId) {
+    return mongoService.getCollection(CALIBRATIONS_COLLECTION)
+      .find({ sensor_id: sensorId })
+      .sort({ version: -1 })
+      .toArray();
+  }
+
+  /**
+   * Raise a calibration due alert for sensors whose calibration_interval (days) has elapsed
+   * @returns {number} Number of alerts raised
+   */
+  async checkDue() {
+    if (!mongoService.isConnected) {
+      return 0;
+    }
+
+    const alerts = mongoService.getCollection('alerts');
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ calibration_interval: { $gt: 0 }, status: { $ne: 'inactive' } })
+      .project({ name: 1, device_id: 1, calibration_interval: 1, calibration_date: 1, created_at: 1 })
+      .toArray();
+
+    const now = Date.now();
+    let raised = 0;
+
+    for (const sensor of sensors) {
+      const lastCalibration = sensor.calibration_date || sensor.created_at;
+      if (!lastCalibration) {
+        continue;
+      }
+
+      const dueAt = new Date(new Date(lastCalibration).getTime() + sensor.calibration_interval * DAY_MS);
+      if (now < dueAt.getTime() - this.dueNoticeDays * DAY_MS) {
+        continue;
+      }
+
+      const open = await alerts.findOne({
+        sensor_id: sensor._id,
+        alert_type: 'calibration_due',
+        status: { $in: ['active', 'acknowledged'] }
+      });
+      if (open) {
+        continue;
+      }
+
+      const overdue = now >= dueAt.getTime();
+      const alert = {
+        _id: uuidv4(),
+        title: `Calibration ${overdue ? 'overdue' : 'due'}: ${sensor.name}`,
+        description: `Sensor ${sensor.name} was last calibrated on ${new Date(lastCalibration).toISOString()} `
+          + `and is due every ${sensor.calibration_interval} days`,
+        alert_type: 'calibration_due',
+        severity: overdue ? 'medium' : 'low',
+        device_id: sensor.device_id,
+        sensor_id: sensor._id,
+        threshold_value: null,
+        actual_value: null,
+        condition_details: {
+          last_calibration: new Date(lastCalibration),
+          calibration_interval: sensor.calibration_interval,
+          due_at: dueAt
+        },
+        metadata: {},
+        status: 'active',
+        created_at: new Date(),
+        updated_at: new Date()
+      };
+
+      await alerts.insertOne(alert);
+      raised += 1;
+
+      if (this.io) {
+        this.io.emit('alert:created', { alert, timestamp: new Date().toISOString() });
+      }
+      logger.info(`Calibration due alert raised for sensor ${sensor._id}`, { due_at: dueAt.toISOString() });
+    }
+
+    return raised;
+  }
+
+  /**
+   * Resolve open calibration due alerts once a sensor has been calibrated
+   */
+  async resolveDue(sensorId, user) {
+    const now = new Date();
+    const result = await mongoService.getCollection('alerts').updateMany(
+      { sensor_id: sensorId, alert_type: 'calibration_due', status: { $in: ['active', 'acknowledged'] } },
+      {
+        $set: {
+          status: 'resolved',
+          resolved_by: user.id,
+          resolved_at: now,
+          resolution_note: 'Sensor calibrated',
+          updated_at: now
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0 && this.io) {
+      this.io.emit('alert:resolved', { sensor_id: sensorId, alert_type: 'calibration_due', timestamp: now.toISOString() });
+    }
+  }
+
+  /**
+   * Queue a job that recomputes stored calibrated values of a sensor for a past window
+   * @param {string} sensorId - Sensor ID
+   * @param {Object} window - { start_time, end_time = now }
+   * @param {Object} user - Requesting user
+   * @returns {Object} Job document
+   */
+  async createReprocessJob(sensorId, { start_time, end_time }, user) {
+    const start = new Date(start_time);
+    const end = end_time ? new Date(end_time) : new Date();
+
+    if (start >= end) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+
+    const job = {
+      _id: uuidv4(),
+      sensor_id: sensorId,
+      status: 'queued',
+      window: { start, end },
+      progress: {
+        percent: 0,
+        processed_until: null,
+        points_read: 0,
+        points_written: 0,
+        points_skipped: 0
+      },
+      error: null,
+      created_by: user.id,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null
+    };
+
+    await mongoService.getCollection(JOBS_COLLECTION).insertOne(job);
+
+    this.pending.push(job);
+    this.pump();
+
+    return job;
+  }
+
+  async getJob(sensorId, jobId) {
+    return mongoService.getCollection(JOBS_COLLECTION).findOne({ _id: jobId, sensor_id: sensorId });
+  }
+
+  // Jobs run one at a time; each rewrites a window of one sensor
+  pump() {
+    if (this.running || this.pending.length === 0) {
+      return;
+    }
+
+    const job = this.pending.shift();
+    this.running = job._id;
+
+    this.runJob(job)
+      .catch((error) => logger.error(`Calibration job ${job._id} crashed:`, error))
+      .finally(() => {
+        this.running = null;
+        this.pump();
+      });
+  }
+
+  reprocessQuery(sensorId, start, stop) {
+    return influxService.select()
+      .range(start, stop)
+      .where('sensor_id', sensorId)
+      .field(['value', 'raw_value'])
+      .pivot();
+  }
+
+  /**
+   * Rebuild a stored row as a point with values from the calibration in effect at its time.
+   * Rows written before calibration was applied at ingest hold the raw reading in value.
+   */
+  recalibrate(row, sensorId) {
+    const raw = typeof row.raw_value === 'number' ? row.raw_value : row.value;
+    if (typeof raw !== 'number') {
+      return null;
+    }
+
+    const timestamp = new Date(row._time);
+    const tags = Object.keys(row)
+      .filter((column) => !NON_TAG_COLUMNS.has(column))
+      .reduce((values, column) => ({ ...values, [column]: row[column] }), {});
+
+    const point = { measurement: row._measurement, tags, fields: { value: raw }, timestamp };
+    const version = this.versionAt(sensorId, timestamp.getTime());
+
+    point.fields = version
+      ? { value: applyCalibration(raw, version), raw_value: raw, calibration_version: version.version }
+      : { value: raw, raw_value: raw };
+    return point;
+  }
+
+  async runJob(job) {
+    const jobs = mongoService.getCollection(JOBS_COLLECTION);
+    const { sensor_id: sensorId } = job;
+    const start = new Date(job.window.start);
+    const end = new Date(job.window.end);
+    const progress = { ...job.progress };
+
+    await jobs.updateOne({ _id: job._id }, { $set: { status: 'running', started_at: new Date() } });
+    logger.info(`Calibration job ${job._id} started for sensor ${sensorId}: ${start.toISOString()} to ${end.toISOString()}`);
+
+    try {
+      if (!influxService.isConfigured()) {
+        throw new Error('InfluxDB is not configured');
+      }
+
+      await this.loadSensor(sensorId);
+
+      for (let from = start.getTime(); from < end.getTime(); from += this.reprocessWindowMs) {
+        const until = new Date(Math.min(from + this.reprocessWindowMs, end.getTime()));
+        const rows = await influxService.run(this.reprocessQuery(sensorId, new Date(from), until));
+        const points = rows.map((row) => this.recalibrate(row, sensorId)).filter(Boolean);
+
+        for (let index = 0; index < points.length; index += this.reprocessBatchSize) {
+          progress.points_written += await influxService.writePoints(points.slice(index, index + this.reprocessBatchSize));
+        }
+
+        progress.points_read += rows.length;
+        progress.points_skipped += rows.length - points.length;
+        progress.processed_until = until;
+        progress.percent = Math.floor(((until.getTime() - start.getTime()) / (end.getTime() - start.getTime())) * 100);
+
+        await jobs.updateOne({ _id: job._id }, { $set: { progress } });
+      }
+
+      await jobs.updateOne({ _id: job._id }, { $set: { status: 'completed', progress, finished_at: new Date() } });
+      logger.info(`Calibration job ${job._id} completed: ${progress.points_written} points rewritten`);
+    } catch (error) {
+      logger.error(`Calibration job ${job._id} failed:`, error);
+      await jobs.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', error: error.message, progress, finished_at: new Date() }
+      });
+    }
+  }
+}
+
+module.exports = new CalibrationService();
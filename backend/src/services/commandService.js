@@ -0,0 +1,320 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const storeForwardService = require('./storeForwardService');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'device_commands';
+
+const PRIORITIES = { urgent: 3, high: 2, normal: 1, low: 0 };
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'timed_out'];
+
+// Statuses a device may report on its response topic
+const RESPONSE_STATUSES = ['acknowledged', 'succeeded', 'failed'];
+
+/**
+ * Request/response command channel.
+ * Commands are queued per device by priority and published on
+ * iiot/{device_id}/commands with a correlation id and response topic.
+ * Devices answer on iiot/{device_id}/responses with
+ * { correlation_id, status: acknowledged|succeeded|failed, result, error }.
+ * Unacknowledged commands are republished; devices must treat a repeated
+ * correlation id as the same command.
+ */
+class CommandService {
+  constructor() {
+    this.ackTimeoutMs = parseInt(process.env.COMMAND_ACK_TIMEOUT_MS) || 10000;
+    this.resultTimeoutMs = parseInt(process.env.COMMAND_TIMEOUT_MS) || 60000;
+    this.maxRetries = parseInt(process.env.COMMAND_MAX_RETRIES) || 3;
+    this.maxInFlight = parseInt(process.env.COMMAND_MAX_IN_FLIGHT) || 1;
+
+    this.io = null;
+    this.mqtt = null;
+    this.queues = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Resume unfinished commands from a previous run
+   * @param {Object} io - Socket.IO server
+   * @param {Object} mqtt - MQTT client wrapper used to publish commands
+   */
+  async start(io, mqtt) {
+    this.io = io;
+    this.mqtt = mqtt;
+
+    try {
+      const unfinished = await mongoService.getCollection(COLLECTION)
+        .find({ status: { $nin: TERMINAL_STATUSES } })
+        .sort({ created_at: 1 })
+        .toArray();
+
+      unfinished.forEach((command) => this.enqueue(command));
+      if (unfinished.length > 0) {
+        logger.info(`Resuming ${unfinished.length} unfinished device commands`);
+      }
+    } catch (error) {
+      logger.warn(`Unfinished device commands not resumed: ${error.message}`);
+    }
+  }
+
+  stop() {
+    for (const { timer } of this.inFlight.values()) {
+      clearTimeout(timer);
+    }
+    this.inFlight.clear();
+  }
+
+  requestTopic(deviceId) {
+    return `iiot/${deviceId}/commands`;
+  }
+
+  responseTopic(deviceId) {
+    return `iiot/${deviceId}/responses`;
+  }
+
+  /**
+   * Store a new command and queue it for delivery
+   * @param {Object} options - { deviceId, command, parameters, priority, timeout, userId }
+   * @returns {Object} Command document
+   */
+  async submit({ deviceId, command, parameters = {}, priority = 'normal', timeout, userId }) {
+    const now = new Date();
+    const commandId = uuidv4();
+
+    const commandDoc = {
+      _id: commandId,
+      device_id: deviceId,
+      command,
+      parameters,
+      priority,
+      status: 'pending',
+      correlation_id: commandId,
+      response_topic: this.responseTopic(deviceId),
+      timeout_ms: timeout ? timeout * 1000 : this.resultTimeoutMs,
+      attempts: 0,
+      result: null,
+      error: null,
+      history: [{ status: 'pending', timestamp: now }],
+      created_by: userId,
+      created_at: now,
+      updated_at: now
+    };
+
+    await mongoService.getCollection(COLLECTION).insertOne(commandDoc);
+    this.emitStatus(commandDoc);
+    this.enqueue(commandDoc);
+
+    return commandDoc;
+  }
+
+  /**
+   * Insert a command into its device queue, highest priority first
+   */
+  enqueue(command) {
+    const queue = this.queues.get(command.device_id) || [];
+    const rank = PRIORITIES[command.priority] || 0;
+    const index = queue.findIndex((queued) => (PRIORITIES[queued.priority] || 0) < rank);
+
+    queue.splice(index === -1 ? queue.length : index, 0, command);
+    this.queues.set(command.device_id, queue);
+    this.dispatch(command.device_id);
+  }
+
+  inFlightCount(deviceId) {
+    let count = 0;
+    for (const { command } of this.inFlight.values()) {
+      if (command.device_id === deviceId) count += 1;
+    }
+    return count;
+  }
+
+  dispatch(deviceId) {
+    const queue = this.queues.get(deviceId) || [];
+
+    while (queue.length > 0 && this.inFlightCount(deviceId) < this.maxInFlight) {
+      const command = queue.shift();
+      this.inFlight.set(command._id, { command, timer: null });
+      this.send(command).catch((error) => logger.error(`Failed to send command ${command._id}:`, error));
+    }
+
+    if (queue.length === 0) {
+      this.queues.delete(deviceId);
+    }
+  }
+
+  /**
+   * Publish a command; the broker accepting it moves it to delivered
+   */
+  async send(command) {
+    command.attempts += 1;
+
+    const message = {
+      command_id: command._id,
+      correlation_id: command.correlation_id,
+      response_topic: command.response_topic,
+      device_id: command.device_id,
+      command: command.command,
+      parameters: command.parameters,
+      priority: command.priority,
+      attempt: command.attempts,
+      timestamp: new Date().toISOString()
+    };
+
+    let published = false;
+    try {
+      published = this.mqtt ? await this.mqtt.publish(this.requestTopic(command.device_id), message, {
+        qos: 1,
+        properties: {
+          responseTopic: command.response_topic,
+          correlationData: Buffer.from(command.correlation_id)
+        }
+      }) : false;
+    } catch (error) {
+      logger.warn(`Publishing command ${command._id} failed: ${error.message}`);
+    }
+
+    await this.persist(command, { attempts: command.attempts });
+
+    if (published && command.status === 'pending') {
+      await this.transition(command, 'delivered', { delivered_at: new Date() });
+    }
+
+    if (command.status === 'acknowledged') {
+      // Resumed after a restart: only the result is outstanding
+      this.scheduleResultTimeout(command);
+    } else if (!TERMINAL_STATUSES.includes(command.status)) {
+      // Without an acknowledgement the command is sent again
+      this.schedule(command, this.ackTimeoutMs, () => this.onAckTimeout(command));
+    }
+  }
+
+  async onAckTimeout(command) {
+    if (command.attempts <= this.maxRetries) {
+      logger.warn(`Command ${command._id} not acknowledged, retrying (attempt ${command.attempts + 1})`);
+      await this.send(command);
+      return;
+    }
+
+    await this.transition(command, 'timed_out', {
+      error: `Not acknowledged after ${command.attempts} attempts`,
+      completed_at: new Date()
+    });
+  }
+
+  scheduleResultTimeout(command) {
+    this.schedule(command, command.timeout_ms, () => this.transition(command, 'timed_out', {
+      error: `No result within ${command.timeout_ms / 1000}s of acknowledgement`,
+      completed_at: new Date()
+    }));
+  }
+
+  schedule(command, delay, callback) {
+    const entry = this.inFlight.get(command._id);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      callback().catch((error) => logger.error(`Command ${command._id} timeout handling failed:`, error));
+    }, delay);
+    entry.timer.unref();
+  }
+
+  /**
+   * Handle a message on a device's response topic
+   * @param {string} deviceId - Device the response was published by
+   * @param {Object} data - { correlation_id | command_id, status, result, error }
+   */
+  async handleResponse(deviceId, data) {
+    const commandId = data.correlation_id || data.command_id;
+    const entry = commandId ? this.inFlight.get(commandId) : null;
+
+    if (!entry || entry.command.device_id !== deviceId) {
+      logger.debug(`Ignoring response from ${deviceId} for unknown or finished command ${commandId}`);
+      return;
+    }
+
+    if (!RESPONSE_STATUSES.includes(data.status)) {
+      logger.warn(`Device ${deviceId} sent invalid command status ${data.status} for ${commandId}`);
+      return;
+    }
+
+    const { command } = entry;
+
+    if (data.status === 'acknowledged') {
+      if (command.status === 'acknowledged') {
+        return;
+      }
+      await this.transition(command, 'acknowledged', { acknowledged_at: new Date() });
+      this.scheduleResultTimeout(command);
+      return;
+    }
+
+    await this.transition(command, data.status, {
+      acknowledged_at: command.acknowledged_at || new Date(),
+      result: data.result === undefined ? null : data.result,
+      error: data.status === 'failed' ? (data.error || 'Command failed on device') : null,
+      completed_at: new Date()
+    });
+  }
+
+  /**
+   * Move a command to a new status, persist the change and notify clients
+   */
+  async transition(command, status, fields = {}) {
+    const now = new Date();
+    Object.assign(command, fields, { status, updated_at: now });
+
+    await this.persist(command, { ...fields, status }, { status, timestamp: now, ...(fields.error && { error: fields.error }) });
+    this.emitStatus(command);
+
+    if (TERMINAL_STATUSES.includes(status)) {
+      const entry = this.inFlight.get(command._id);
+      if (entry) {
+        clearTimeout(entry.timer);
+        this.inFlight.delete(command._id);
+      }
+      logger.info(`Command ${command._id} (${command.command}) on ${command.device_id} ${status}`);
+      this.dispatch(command.device_id);
+    }
+  }
+
+  async persist(command, fields, historyEntry = null) {
+    await storeForwardService.writeMongo({
+      collection: COLLECTION,
+      type: 'updateOne',
+      filter: { _id: command._id },
+      update: {
+        $set: { ...fields, updated_at: new Date() },
+        ...(historyEntry && { $push: { history: historyEntry } })
+      }
+    });
+  }
+
+  emitStatus(command) {
+    if (this.io) {
+      this.io.to(`device-${command.device_id}`).emit('command-status', {
+        command_id: command._id,
+        device_id: command.device_id,
+        command: command.command,
+        priority: command.priority,
+        status: command.status,
+        attempts: command.attempts,
+        result: command.result,
+        error: command.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  getStats() {
+    let queued = 0;
+    for (const queue of this.queues.values()) {
+      queued += queue.length;
+    }
+    return { queued, in_flight: this.inFlight.size };
+  }
+}
+
+module.exports = new CommandService();
@@ -0,0 +1,281 @@
+const mongoService = require('./mongoService');
+const { COMPRESSION_MODES, createFilter } = require('../utils/compression');
+const logger = require('../utils/logger');
+
+const STATS_COLLECTION = 'sensor_compression_stats';
+
+/**
+ * Per-sensor compression of the ingestion stream, configured through a sensor's
+ * configuration.compression: { mode, deviation | deviation_percent, max_interval, enabled }
+ */
+class CompressionService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.COMPRESSION_REFRESH_INTERVAL_MS) || 60000;
+    // Heartbeat in seconds for sensors that do not set max_interval
+    this.defaultMaxInterval = parseInt(process.env.COMPRESSION_MAX_INTERVAL) || 3600;
+
+    this.sensors = new Map();
+    this.counters = new Map();
+    this.released = [];
+    this.refreshTimer = null;
+    this.totals = { received: 0, stored: 0 };
+  }
+
+  async start() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn(`Sensor compression settings not loaded: ${error.message}`);
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh()
+          .then(() => this.persistStats())
+          .catch((error) => logger.error('Compression settings refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+    }
+
+    if (this.sensors.size > 0) {
+      logger.info(`Compression enabled for ${this.sensors.size} sensors`);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    try {
+      await this.persistStats();
+    } catch (error) {
+      logger.error('Failed to persist compression statistics:', error);
+    }
+  }
+
+  /**
+   * Normalise a sensor's compression settings
+   * @returns {Object|null} Config or null when compression is off or invalid
+   */
+  compile(sensor) {
+    const config = sensor.configuration && sensor.configuration.compression;
+    if (!config || config.enabled === false) {
+      return null;
+    }
+
+    const hasDeviation = config.deviation !== undefined || config.deviation_percent !== undefined;
+    if (!COMPRESSION_MODES.includes(config.mode) || !hasDeviation) {
+      logger.warn(`Sensor ${sensor._id} has invalid compression settings, storing all readings`);
+      return null;
+    }
+
+    const span = Number.isFinite(sensor.min_value) && Number.isFinite(sensor.max_value) && sensor.max_value > sensor.min_value
+      ? sensor.max_value - sensor.min_value
+      : null;
+
+    return {
+      mode: config.mode,
+      deviation: config.deviation,
+      deviation_percent: config.deviation_percent,
+      max_interval: config.max_interval !== undefined ? config.max_interval : this.defaultMaxInterval,
+      span
+    };
+  }
+
+  /**
+   * Sync filters with the sensor registry. Filters of changed or removed sensors
+   * are replaced and hand back the point they were still holding.
+   */
+  async refresh() {
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ 'configuration.compression': { $exists: true } })
+      .project({ min_value: 1, max_value: 1, 'configuration.compression': 1 })
+      .toArray();
+
+    const active = new Set();
+
+    sensors.forEach((sensor) => {
+      const config = this.compile(sensor);
+      if (!config) {
+        return;
+      }
+
+      active.add(sensor._id);
+      const fingerprint = JSON.stringify(config);
+      const current = this.sensors.get(sensor._id);
+      if (current && current.fingerprint === fingerprint) {
+        return;
+      }
+
+      if (current) {
+        this.release(sensor._id, current);
+      }
+      this.sensors.set(sensor._id, {
+        config,
+        fingerprint,
+        filter: createFilter(config, { span: config.span })
+      });
+    });
+
+    for (const [sensorId, entry] of this.sensors) {
+      if (!active.has(sensorId)) {
+        this.release(sensorId, entry);
+        this.sensors.delete(sensorId);
+      }
+    }
+  }
+
+  release(sensorId, entry) {
+    const pending = entry.filter.takePending();
+    if (pending) {
+      this.released.push(pending.point);
+      this.count(sensorId, 0, 1);
+    }
+  }
+
+  count(sensorId, received, stored) {
+    const counter = this.counters.get(sensorId) || { received: 0, stored: 0 };
+    counter.received += received;
+    counter.stored += stored;
+    this.counters.set(sensorId, counter);
+
+    this.totals.received += received;
+    this.totals.stored += stored;
+  }
+
+  /**
+   * Run points through their sensor's filter
+   * @param {Array} points - InfluxDB point descriptions in arrival order
+   * @returns {Array} Points to store
+   */
+  filter(points) {
+    if (this.sensors.size === 0) {
+      return points;
+    }
+
+    const stored = [];
+
+    points.forEach((point) => {
+      const sensorId = point.tags.sensor_id;
+      const entry = this.sensors.get(sensorId);
+
+      // Only numeric readings of configured sensors are compressed
+      if (!entry || typeof point.fields.value !== 'number') {
+        stored.push(point);
+        return;
+      }
+
+      const kept = entry.filter.offer({ timestamp: point.timestamp, value: point.fields.value, point });
+      kept.forEach((sample) => stored.push(sample.point));
+      this.count(sensorId, 1, kept.length);
+    });
+
+    return stored;
+  }
+
+  /**
+   * Collect points held back by filters that have not seen a reading for their
+   * max interval, plus points released by reconfigured sensors
+   * @param {number} now - Current time in ms
+   * @returns {Array} Points to store
+   */
+  collectIdle(now = Date.now()) {
+    const points = this.released.splice(0);
+
+    for (const [sensorId, entry] of this.sensors) {
+      const since = entry.filter.pendingSince();
+      const idleMs = (entry.config.max_interval || this.defaultMaxInterval) * 1000;
+
+      if (since !== null && now - since >= idleMs) {
+        points.push(entry.filter.takePending().point);
+        this.count(sensorId, 0, 1);
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Collect every point still held back, e.g. before shutdown
+   * @returns {Array} Points to store
+   */
+  collectAll() {
+    return this.collectIdle(Infinity);
+  }
+
+  /**
+   * Add counters gathered since the last call to the persisted per-sensor totals
+   */
+  async persistStats() {
+    if (this.counters.size === 0 || !mongoService.isConnected) {
+      return;
+    }
+
+    const counters = Array.from(this.counters.entries());
+    this.counters.clear();
+
+    const now = new Date();
+    try {
+      await mongoService.getCollection(STATS_COLLECTION).bulkWrite(counters.map(([sensorId, counter]) => ({
+        updateOne: {
+          filter: { _id: sensorId },
+          update: {
+            $inc: { received: counter.received, stored: counter.stored },
+            $set: { updated_at: now },
+            $setOnInsert: { since: now }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      // Put the counters back so they are retried with the next refresh
+      counters.forEach(([sensorId, counter]) => {
+        const current = this.counters.get(sensorId) || { received: 0, stored: 0 };
+        this.counters.set(sensorId, {
+          received: current.received + counter.received,
+          stored: current.stored + counter.stored
+        });
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compression settings and ratio of a sensor
+   * @param {string} sensorId - Sensor ID
+   * @returns {Object} { enabled, mode, deviation, deviation_percent, max_interval, received, stored, discarded, compression_ratio, reduction_percent, since }
+   */
+  async getSensorStats(sensorId) {
+    const entry = this.sensors.get(sensorId);
+    const persisted = await mongoService.getCollection(STATS_COLLECTION).findOne({ _id: sensorId });
+    const pending = this.counters.get(sensorId) || { received: 0, stored: 0 };
+
+    const received = (persisted ? persisted.received : 0) + pending.received;
+    const stored = (persisted ? persisted.stored : 0) + pending.stored;
+
+    return {
+      enabled: Boolean(entry),
+      mode: entry ? entry.config.mode : null,
+      deviation: entry && entry.config.deviation !== undefined ? entry.config.deviation : null,
+      deviation_percent: entry && entry.config.deviation_percent !== undefined ? entry.config.deviation_percent : null,
+      max_interval: entry ? entry.config.max_interval : null,
+      received,
+      stored,
+      discarded: Math.max(received - stored, 0),
+      compression_ratio: stored > 0 ? Number((received / stored).toFixed(2)) : null,
+      reduction_percent: received > 0 ? Number(((1 - stored / received) * 100).toFixed(2)) : null,
+      since: persisted ? persisted.since : null
+    };
+  }
+
+  getStats() {
+    return {
+      sensors: this.sensors.size,
+      received: this.totals.received,
+      stored: this.totals.stored,
+      compression_ratio: this.totals.stored > 0 ? Number((this.totals.received / this.totals.stored).toFixed(2)) : null
+    };
+  }
+}
+
+module.exports = new CompressionService();
@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const storeForwardService = require('./storeForwardService');
+const { RejectedMessageError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'ingest_dead_letters';
+
+class DeadLetterService {
+  constructor() {
+    this.stats = {
+      recorded: 0,
+      replayed: 0,
+      last_recorded: null
+    };
+  }
+
+  /**
+   * Store a payload as text when it is valid UTF-8, otherwise as base64
+   * @param {Buffer|string|Object} payload - Raw or already parsed payload
+   * @returns {Object} { payload, payload_encoding }
+   */
+  encodePayload(payload) {
+    if (Buffer.isBuffer(payload)) {
+      const text = payload.toString('utf8');
+      return Buffer.from(text, 'utf8').equals(payload)
+        ? { payload: text, payload_encoding: 'utf8' }
+        : { payload: payload.toString('base64'), payload_encoding: 'base64' };
+    }
+
+    return {
+      payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+      payload_encoding: 'utf8'
+    };
+  }
+
+  decodePayload(deadLetter) {
+    return Buffer.from(deadLetter.payload, deadLetter.payload_encoding === 'base64' ? 'base64' : 'utf8');
+  }
+
+  /**
+   * Persist a rejected message, buffered on disk while MongoDB is down
+   * @param {Object} entry - { topic, payload, reason, error, source }
+   */
+  async record({ topic, payload, reason, error, source = 'mqtt' }) {
+    const now = new Date();
+    const document = {
+      _id: uuidv4(),
+      source,
+      topic,
+      ...this.encodePayload(payload),
+      reason,
+      error,
+      status: 'pending',
+      replay_count: 0,
+      received_at: now,
+      created_at: now,
+      updated_at: now
+    };
+
+    try {
+      await storeForwardService.writeMongo({ collection: COLLECTION, type: 'insertOne', document });
+      this.stats.recorded += 1;
+      this.stats.last_recorded = now.toISOString();
+      logger.warn(`Dead-lettered message on ${topic} (${reason}): ${error}`);
+    } catch (writeError) {
+      logger.error(`Failed to dead-letter message on ${topic}, data lost:`, writeError);
+    }
+
+    return document;
+  }
+
+  /**
+   * Send a dead letter back through the ingestion path
+   * @param {Object} deadLetter - Dead letter document
+   * @param {Function} processor - async (topic, message) => void, throws RejectedMessageError on rejection
+   * @param {string} userId - User triggering the replay
+   * @returns {Object} { replayed, reason, error }
+   */
+  async replay(deadLetter, processor, userId) {
+    const collection = mongoService.getCollection(COLLECTION);
+    const attempt = { last_replay_at: new Date(), last_replay_by: userId, updated_at: new Date() };
+
+    try {
+      await processor(deadLetter.topic, this.decodePayload(deadLetter));
+    } catch (error) {
+      const update = {
+        ...attempt,
+        reason: error instanceof RejectedMessageError ? error.reason : 'replay_failed',
+        error: error.message
+      };
+
+      // Keep only the part that was rejected again so accepted readings are not ingested twice
+      if (error instanceof RejectedMessageError && error.payload !== null) {
+        Object.assign(update, this.encodePayload(error.payload));
+      }
+
+      await collection.updateOne({ _id: deadLetter._id }, { $set: update, $inc: { replay_count: 1 } });
+      return { replayed: false, reason: update.reason, error: error.message };
+    }
+
+    await collection.updateOne(
+      { _id: deadLetter._id },
+      { $set: { ...attempt, status: 'replayed', replayed_at: new Date() }, $inc: { replay_count: 1 } }
+    );
+    this.stats.replayed += 1;
+
+    return { replayed: true, reason: null, error: null };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new DeadLetterService();
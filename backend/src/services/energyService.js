@@ -0,0 +1,486 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const { AppError } = require('../middleware/errorHandler');
+const { energyQuery } = require('../utils/flux');
+const { resolveUnit } = require('../utils/units');
+const { fromWallClock, zoneOffset } = require('../utils/timestamps');
+
+const TARIFFS_COLLECTION = 'energy_tariffs';
+const ENERGY_SENSOR_TYPES = ['power', 'energy'];
+const AGGREGATIONS = ['hourly', 'daily', 'weekly', 'monthly'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TOP_INTERVALS = 5;
+const UNASSIGNED_LINE = 'unassigned';
+
+// Demand is measured over 15 minute intervals; long ranges fall back to hourly intervals
+const DEMAND_INTERVALS = [
+  { every: '15m', ms: 15 * 60 * 1000, maxRangeMs: 31 * DAY_MS },
+  { every: '1h', ms: HOUR_MS, maxRangeMs: Infinity }
+];
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+const toMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+const localTime = (time, timeZone) => {
+  const local = new Date(time + zoneOffset(time, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: local.getUTCDay()
+  };
+};
+
+/**
+ * Start of the hour, day, week (Monday) or month containing an instant, in a time zone
+ */
+const periodStart = (time, aggregation, timeZone) => {
+  const { year, month, day, hour, weekday } = localTime(time, timeZone);
+
+  if (aggregation === 'hourly') {
+    return fromWallClock({ year, month, day, hour }, timeZone).getTime();
+  }
+  if (aggregation === 'monthly') {
+    return fromWallClock({ year, month, day: 1 }, timeZone).getTime();
+  }
+  if (aggregation === 'weekly') {
+    const monday = new Date(Date.UTC(year, month - 1, day - ((weekday + 6) % 7)));
+    return fromWallClock({
+      year: monday.getUTCFullYear(),
+      month: monday.getUTCMonth() + 1,
+      day: monday.getUTCDate()
+    }, timeZone).getTime();
+  }
+  return fromWallClock({ year, month, day }, timeZone).getTime();
+};
+
+/**
+ * Accumulates energy, cost and per-interval demand of one group
+ */
+const createTotals = () => ({ energy: 0, cost: 0, intervals: new Map() });
+
+const addEnergy = (totals, time, energy, cost) => {
+  totals.energy += energy;
+  totals.cost += cost;
+  totals.intervals.set(time, (totals.intervals.get(time) || 0) + energy);
+};
+
+const peakOf = (intervals, intervalHours) => {
+  let peak = null;
+  intervals.forEach((energy, time) => {
+    if (!peak || energy > peak.energy) {
+      peak = { energy, time };
+    }
+  });
+  return peak
+    ? { demand_kw: round(peak.energy / intervalHours, 3), at: new Date(peak.time) }
+    : { demand_kw: 0, at: null };
+};
+
+/**
+ * Energy analytics: power readings are integrated into kWh, meter readings
+ * contribute their increases. Cost comes from time-of-use tariffs whose periods
+ * are evaluated in the tariff's time zone; demand is the average power of the
+ * busiest 15 minute interval.
+ */
+class EnergyService {
+  constructor() {
+    this.maxGapMs = parseInt(process.env.ENERGY_MAX_GAP_MS) || 15 * 60 * 1000;
+    this.fallbackTariff = {
+      _id: null,
+      name: 'Flat rate',
+      currency: process.env.ENERGY_CURRENCY || 'EUR',
+      timezone: process.env.ENERGY_TIMEZONE || 'UTC',
+      rate_per_kwh: envNumber('ENERGY_RATE_PER_KWH', 0),
+      periods: [],
+      demand_charge_per_kw: 0,
+      co2_kg_per_kwh: envNumber('ENERGY_CO2_KG_PER_KWH', 0.4)
+    };
+  }
+
+  async listTariffs() {
+    return mongoService.getCollection(TARIFFS_COLLECTION).find({}).sort({ is_default: -1, name: 1 }).toArray();
+  }
+
+  async getTariff(tariffId) {
+    return mongoService.getCollection(TARIFFS_COLLECTION).findOne({ _id: tariffId });
+  }
+
+  /**
+   * Only one tariff is the default; setting it clears the flag elsewhere
+   */
+  async clearDefault(exceptId) {
+    await mongoService.getCollection(TARIFFS_COLLECTION).updateMany(
+      { _id: { $ne: exceptId }, is_default: true },
+      { $set: { is_default: false, updated_at: new Date() } }
+    );
+  }
+
+  /**
+   * @param {Object} input - { name, currency, timezone, rate_per_kwh, periods, demand_charge_per_kw, co2_kg_per_kwh, is_default }
+   * @param {Object} user - Creating user
+   */
+  async createTariff(input, user) {
+    const now = new Date();
+    const tariff = {
+      _id: uuidv4(),
+      name: input.name,
+      description: input.description || '',
+      currency: input.currency || this.fallbackTariff.currency,
+      timezone: input.timezone || 'UTC',
+      rate_per_kwh: input.rate_per_kwh,
+      periods: input.periods || [],
+      demand_charge_per_kw: input.demand_charge_per_kw || 0,
+      co2_kg_per_kwh: input.co2_kg_per_kwh !== undefined ? input.co2_kg_per_kwh : null,
+      is_default: input.is_default === true,
+      created_by: user.id,
+      created_at: now,
+      updated_at: now
+    };
+
+    await mongoService.getCollection(TARIFFS_COLLECTION).insertOne(tariff);
+    if (tariff.is_default) {
+      await this.clearDefault(tariff._id);
+    }
+    return tariff;
+  }
+
+  /**
+   * @returns {Object|null} Updated tariff or null when not found
+   */
+  async updateTariff(tariffId, input, user) {
+    const updates = { updated_by: user.id, updated_at: new Date() };
+    [
+      'name', 'description', 'currency', 'timezone', 'rate_per_kwh', 'periods',
+      'demand_charge_per_kw', 'co2_kg_per_kwh', 'is_default'
+    ].forEach((field) => {
+      if (input[field] !== undefined) {
+        updates[field] = input[field];
+      }
+    });
+
+    const tariff = await mongoService.getCollection(TARIFFS_COLLECTION).findOneAndUpdate(
+      { _id: tariffId },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    if (tariff && updates.is_default === true) {
+      await this.clearDefault(tariffId);
+    }
+    return tariff;
+  }
+
+  /**
+   * @returns {boolean} False when the tariff does not exist
+   */
+  async deleteTariff(tariffId) {
+    const result = await mongoService.getCollection(TARIFFS_COLLECTION).deleteOne({ _id: tariffId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Tariff to price an analysis with: the requested one, else the default tariff, else a
+   * flat rate from the environment. A flat rate given with the request replaces all rates.
+   * @param {Object} options - { tariffId, flatRate }
+   */
+  async resolveTariff({ tariffId, flatRate }) {
+    let tariff = tariffId
+      ? await this.getTariff(tariffId)
+      : await mongoService.getCollection(TARIFFS_COLLECTION).findOne({ is_default: true });
+
+    if (tariffId && !tariff) {
+      throw new AppError('Tariff not found', 404);
+    }
+    tariff = tariff || this.fallbackTariff;
+
+    if (flatRate !== undefined && flatRate !== null) {
+      tariff = { ...tariff, rate_per_kwh: flatRate, periods: [] };
+    }
+
+    return {
+      ...tariff,
+      co2_kg_per_kwh: tariff.co2_kg_per_kwh !== null && tariff.co2_kg_per_kwh !== undefined
+        ? tariff.co2_kg_per_kwh
+        : this.fallbackTariff.co2_kg_per_kwh,
+      compiled: (tariff.periods || []).map((period) => ({
+        name: period.name,
+        rate: period.rate_per_kwh,
+        days: period.days && period.days.length > 0 ? period.days : ALL_DAYS,
+        start: toMinutes(period.start),
+        end: toMinutes(period.end)
+      }))
+    };
+  }
+
+  /**
+   * Tariff period in effect at an instant; periods ending before they start run
+   * past midnight, the first matching period wins
+   * @returns {Object} { name, rate }
+   */
+  rateAt(tariff, time) {
+    const { weekday, hour, minute } = localTime(time, tariff.timezone);
+    const minuteOfDay = hour * 60 + minute;
+
+    const period = tariff.compiled.find(({ days, start, end }) => {
+      if (!days.includes(weekday)) {
+        return false;
+      }
+      if (start === end) {
+        return true;
+      }
+      return start < end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+    });
+
+    return period ? { name: period.name, rate: period.rate } : { name: 'standard', rate: tariff.rate_per_kwh };
+  }
+
+  /**
+   * Power and energy sensors of the selected devices and lines, with the factor that
+   * turns their query values into kWh. Sensors without a unit are taken to report W or kWh.
+   * @returns {Object} { devices: Map, sensors: Map, skipped: [{ sensor_id, reason }] }
+   */
+  async findSensors({ deviceIds, lines }) {
+    const deviceFilter = {};
+    if (deviceIds && deviceIds.length > 0) {
+      deviceFilter._id = { $in: deviceIds };
+    }
+    if (lines && lines.length > 0) {
+      deviceFilter['metadata.production_line'] = { $in: lines };
+    }
+
+    const devices = await mongoService.getCollection('devices')
+      .find(deviceFilter)
+      .project({ name: 1, location: 1, device_type: 1, 'metadata.production_line': 1 })
+      .toArray();
+    const devicesById = new Map(devices.map((device) => [device._id, device]));
+
+    const sensorFilter = { sensor_type: { $in: ENERGY_SENSOR_TYPES } };
+    if (Object.keys(deviceFilter).length > 0) {
+      sensorFilter.device_id = { $in: devices.map((device) => device._id) };
+    }
+    const registered = await mongoService.getCollection('sensors')
+      .find(sensorFilter)
+      .project({ name: 1, device_id: 1, sensor_type: 1, unit: 1 })
+      .toArray();
+
+    const sensors = new Map();
+    const skipped = [];
+    registered.forEach((sensor) => {
+      const unit = resolveUnit(sensor.unit || (sensor.sensor_type === 'power' ? 'W' : 'kWh'));
+      const device = devicesById.get(sensor.device_id);
+
+      if (!device) {
+        skipped.push({ sensor_id: sensor._id, reason: 'Device not found' });
+      } else if (unit && unit.dimension === 'power') {
+        // Integrated power is in unit hours: W·h = 3600 J
+        sensors.set(sensor._id, { sensor, device, kind: 'power', toKwh: (unit.factor * 3600) / 3.6e6 });
+      } else if (unit && unit.dimension === 'energy') {
+        sensors.set(sensor._id, { sensor, device, kind: 'meter', toKwh: unit.factor / 3.6e6 });
+      } else {
+        skipped.push({ sensor_id: sensor._id, reason: `Unit "${sensor.unit}" is not a power or energy unit` });
+      }
+    });
+
+    return { devices: devicesById, sensors, skipped };
+  }
+
+  /**
+   * Energy, cost, CO2 and peak demand over a time range
+   * @param {Object} options - { start, stop, aggregation, deviceIds, lines, tariffId, flatRate, includeCost }
+   * @returns {Object} Consumption over time, per device and line breakdowns, peak demand and totals
+   */
+  async analyze({
+    start,
+    stop,
+    aggregation = 'hourly',
+    deviceIds,
+    lines,
+    tariffId,
+    flatRate,
+    includeCost = true
+  }) {
+    if (start >= stop) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+    if (!AGGREGATIONS.includes(aggregation)) {
+      throw new AppError(`Aggregation must be one of: ${AGGREGATIONS.join(', ')}`, 400);
+    }
+
+    const tariff = await this.resolveTariff({ tariffId, flatRate });
+    const { sensors, skipped } = await this.findSensors({ deviceIds, lines });
+    const interval = DEMAND_INTERVALS.find((candidate) => stop - start <= candidate.maxRangeMs);
+    const intervalHours = interval.ms / HOUR_MS;
+
+    const ids = (kind) => Array.from(sensors.values())
+      .filter((entry) => entry.kind === kind)
+      .map((entry) => entry.sensor._id);
+
+    const rows = sensors.size > 0
+      ? await influxService.query(energyQuery({
+        bucket: influxService.bucket,
+        start,
+        stop,
+        every: interval.every,
+        powerSensorIds: ids('power'),
+        meterSensorIds: ids('meter'),
+        maxGapMs: this.maxGapMs
+      }))
+      : [];
+
+    const site = createTotals();
+    const byDevice = new Map();
+    const byLine = new Map();
+    const byPeriod = new Map();
+    const overTime = new Map();
+    const monthlyPeaks = new Map();
+    const rates = new Map();
+    const buckets = new Map();
+
+    rows.forEach((row) => {
+      const entry = sensors.get(row.sensor_id);
+      const value = Number(row._value);
+      if (!entry || !Number.isFinite(value)) {
+        return;
+      }
+
+      const time = new Date(row._time).getTime();
+      const energy = value * entry.toKwh;
+      if (!rates.has(time)) {
+        rates.set(time, this.rateAt(tariff, time));
+        buckets.set(time, periodStart(time, aggregation, tariff.timezone));
+      }
+      const rate = rates.get(time);
+      const cost = energy * rate.rate;
+      const { device } = entry;
+      const line = (device.metadata && device.metadata.production_line) || UNASSIGNED_LINE;
+
+      if (!byDevice.has(device._id)) {
+        byDevice.set(device._id, { device, line, sensors: new Set(), totals: createTotals() });
+      }
+      byDevice.get(device._id).sensors.add(row.sensor_id);
+      addEnergy(byDevice.get(device._id).totals, time, energy, cost);
+
+      if (!byLine.has(line)) {
+        byLine.set(line, { devices: new Set(), totals: createTotals() });
+      }
+      byLine.get(line).devices.add(device._id);
+      addEnergy(byLine.get(line).totals, time, energy, cost);
+
+      addEnergy(site, time, energy, cost);
+
+      const period = byPeriod.get(rate.name) || { rate: rate.rate, energy: 0, cost: 0 };
+      period.energy += energy;
+      period.cost += cost;
+      byPeriod.set(rate.name, period);
+
+      const bucket = buckets.get(time);
+      if (!overTime.has(bucket)) {
+        overTime.set(bucket, createTotals());
+      }
+      addEnergy(overTime.get(bucket), time, energy, cost);
+    });
+
+    // Demand charges are billed on the peak of every calendar month
+    site.intervals.forEach((energy, time) => {
+      const month = periodStart(time, 'monthly', tariff.timezone);
+      monthlyPeaks.set(month, Math.max(monthlyPeaks.get(month) || 0, energy / intervalHours));
+    });
+    const demandCharge = Array.from(monthlyPeaks.values())
+      .reduce((sum, demand) => sum + demand * (tariff.demand_charge_per_kw || 0), 0);
+
+    const costOf = (value) => (includeCost ? round(value, 2) : null);
+    const describe = (totals) => ({
+      energy_kwh: round(totals.energy, 3),
+      cost: costOf(totals.cost),
+      co2_kg: round(totals.energy * tariff.co2_kg_per_kwh, 3),
+      share_percent: site.energy > 0 ? round((totals.energy / site.energy) * 100, 2) : 0,
+      peak_demand: peakOf(totals.intervals, intervalHours)
+    });
+
+    const hours = (stop - start) / HOUR_MS;
+    const result = {
+      period: { start_time: new Date(start), end_time: new Date(stop) },
+      aggregation,
+      tariff: {
+        id: tariff._id,
+        name: tariff.name,
+        currency: tariff.currency,
+        timezone: tariff.timezone,
+        co2_kg_per_kwh: tariff.co2_kg_per_kwh
+      },
+      consumption_over_time: Array.from(overTime.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([time, totals]) => ({
+          time: new Date(time),
+          energy_kwh: round(totals.energy, 3),
+          cost: costOf(totals.cost),
+          co2_kg: round(totals.energy * tariff.co2_kg_per_kwh, 3),
+          peak_demand_kw: peakOf(totals.intervals, intervalHours).demand_kw
+        })),
+      devices: Array.from(byDevice.values())
+        .map(({ device, line, sensors: deviceSensors, totals }) => ({
+          device_id: device._id,
+          device_name: device.name,
+          location: device.location || null,
+          line,
+          sensors: deviceSensors.size,
+          ...describe(totals)
+        }))
+        .sort((a, b) => b.energy_kwh - a.energy_kwh),
+      lines: Array.from(byLine.entries())
+        .map(([line, { devices, totals }]) => ({ line, devices: devices.size, ...describe(totals) }))
+        .sort((a, b) => b.energy_kwh - a.energy_kwh),
+      peak_demand: {
+        ...peakOf(site.intervals, intervalHours),
+        interval_minutes: interval.ms / 60000,
+        top_intervals: Array.from(site.intervals.entries())
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, TOP_INTERVALS)
+          .map(([time, energy]) => ({ time: new Date(time), demand_kw: round(energy / intervalHours, 3) })),
+        demand_charge: costOf(demandCharge)
+      },
+      summary: {
+        energy_kwh: round(site.energy, 3),
+        cost: costOf(site.cost + demandCharge),
+        energy_cost: costOf(site.cost),
+        co2_kg: round(site.energy * tariff.co2_kg_per_kwh, 3),
+        avg_power_kw: hours > 0 ? round(site.energy / hours, 3) : 0,
+        devices_analyzed: byDevice.size,
+        sensors_analyzed: sensors.size,
+        skipped_sensors: skipped
+      }
+    };
+
+    if (includeCost) {
+      result.cost_by_period = Array.from(byPeriod.entries()).map(([name, period]) => ({
+        period: name,
+        rate_per_kwh: period.rate,
+        energy_kwh: round(period.energy, 3),
+        cost: round(period.cost, 2)
+      }));
+    }
+
+    return result;
+  }
+}
+
+module.exports = new EnergyService();
@@ -0,0 +1,492 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const retentionService = require('./retentionService');
+const { AppError } = require('../middleware/errorHandler');
+const { EXPORT_FORMATS, createExportWriter } = require('../utils/exportFormats');
+const { resolveUnit, compatibleUnits, readingConverter } = require('../utils/units');
+const logger = require('../utils/logger');
+
+const JOBS_COLLECTION = 'export_jobs';
+const HOUR_MS = 60 * 60 * 1000;
+
+const READING_COLUMNS = [
+  { name: 'timestamp', type: 'timestamp' },
+  { name: 'sensor_id', type: 'string' },
+  { name: 'device_id', type: 'string' },
+  { name: 'unit', type: 'string' },
+  { name: 'value', type: 'number' }
+];
+const METADATA_COLUMNS = [
+  { name: 'sensor_name', type: 'string' },
+  { name: 'sensor_type', type: 'string' },
+  { name: 'device_name', type: 'string' },
+  { name: 'device_location', type: 'string' }
+];
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : [];
+};
+
+const formatLocation = (location) => {
+  if (location === undefined || location === null) return null;
+  return typeof location === 'object' ? JSON.stringify(location) : String(location);
+};
+
+/**
+ * Exports of sensor readings read from InfluxDB as a stream. Exports are either written
+ * straight to the response or, when large, by a background job to a file that can be
+ * downloaded until it expires.
+ */
+class ExportService {
+  constructor() {
+    this.exportDir = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'iiot-exports');
+    this.syncMaxRows = parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 1000000;
+    this.retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+    this.cleanupIntervalMs = parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MS) || 15 * 60 * 1000;
+    this.progressRows = parseInt(process.env.EXPORT_PROGRESS_ROWS) || 50000;
+    this.maxConcurrentJobs = parseInt(process.env.EXPORT_MAX_CONCURRENT_JOBS) || 1;
+
+    this.pending = [];
+    this.running = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Fail jobs left queued or running by a previous process and start expiring artifacts
+   */
+  async start() {
+    fs.mkdirSync(this.exportDir, { recursive: true });
+
+    if (mongoService.isConnected) {
+      try {
+        const result = await mongoService.getCollection(JOBS_COLLECTION).updateMany(
+          { status: { $in: ['queued', 'running'] } },
+          { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+          logger.warn(`Marked ${result.modifiedCount} interrupted export jobs as failed`);
+        }
+
+        await this.cleanup();
+      } catch (error) {
+        logger.error('Error recovering export jobs:', error);
+      }
+    }
+
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup().catch((error) => logger.error('Export cleanup failed:', error));
+      }, this.cleanupIntervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Stop expiring artifacts and cancel running jobs at their next row
+   */
+  stop() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    this.pending.splice(0);
+    this.running.forEach((run) => {
+      run.cancelled = true;
+    });
+  }
+
+  /**
+   * Turn request parameters into an export specification. Sensor, device and type filters
+   * are resolved to sensor IDs now, so a job exports the sensors selected when it was created.
+   * @param {Object} params - { sensor_ids, device_ids, sensor_types, start_time, end_time, format,
+   *   include_metadata, aggregation, interval, unit }
+   * @returns {Object} { sensor_ids (null for all), start, end, format, include_metadata, aggregation, interval,
+   *   unit (null to keep the stored units) }
+   */
+  async resolve({
+    sensor_ids,
+    device_ids,
+    sensor_types,
+    start_time,
+    end_time,
+    format = 'json',
+    include_metadata = true,
+    aggregation = 'none',
+    interval = '1h',
+    unit
+  }) {
+    const end = end_time ? new Date(end_time) : new Date();
+    const start = start_time ? new Date(start_time) : new Date(end.getTime() - 24 * HOUR_MS);
+    if (start >= end) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+    if (!EXPORT_FORMATS[format]) {
+      throw new AppError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    const filter = {};
+    const sensorIds = toList(sensor_ids);
+    const deviceIds = toList(device_ids);
+    const sensorTypes = toList(sensor_types);
+    if (sensorIds.length > 0) filter._id = { $in: sensorIds };
+    if (deviceIds.length > 0) filter.device_id = { $in: deviceIds };
+    if (sensorTypes.length > 0) filter.sensor_type = { $in: sensorTypes };
+
+    const selected = Object.keys(filter).length > 0
+      ? (await mongoService.getCollection('sensors').find(filter).project({ _id: 1 }).toArray()).map((sensor) => sensor._id)
+      : null;
+
+    // Refuse units the sensors' readings cannot be converted to before any job is queued
+    const target = unit ? resolveUnit(unit) : null;
+    if (unit && !target) {
+      throw new AppError(`Unknown unit "${unit}"`, 400);
+    }
+    if (target) {
+      const units = (await mongoService.getCollection('sensors').distinct('unit', selected ? { _id: { $in: selected } } : {}))
+        .filter(Boolean);
+      const incompatible = units.filter((sensorUnit) => !compatibleUnits(sensorUnit, unit));
+      if (incompatible.length > 0) {
+        throw new AppError(`Readings in ${incompatible.join(', ')} cannot be converted to ${target.symbol}`, 400);
+      }
+      if (aggregation === 'sum' && units.some((sensorUnit) => resolveUnit(sensorUnit).offset !== target.offset)) {
+        throw new AppError(`Sums cannot be converted to ${target.symbol}`, 400);
+      }
+    }
+
+    return {
+      sensor_ids: selected,
+      start,
+      end,
+      format,
+      include_metadata: include_metadata !== false && include_metadata !== 'false',
+      aggregation,
+      interval: aggregation !== 'none' ? interval : null,
+      unit: target ? target.symbol : null
+    };
+  }
+
+  /**
+   * Query of an export; rows come series by series, each in time order
+   */
+  buildQuery(spec) {
+    const filter = (query) => {
+      if (spec.sensor_ids) {
+        query.where('sensor_id', spec.sensor_ids);
+      }
+    };
+
+    let query;
+    if (spec.aggregation !== 'none') {
+      ({ query } = retentionService.select({
+        start: new Date(spec.start),
+        stop: new Date(spec.end),
+        every: spec.interval,
+        aggregation: spec.aggregation === 'avg' ? 'mean' : spec.aggregation,
+        windowStart: true
+      }, filter));
+    } else {
+      query = influxService.select().range(new Date(spec.start), new Date(spec.end)).field('value');
+      filter(query);
+    }
+    return query.keep(['_time', '_value', 'sensor_id', 'device_id', 'unit']);
+  }
+
+  columns(spec) {
+    return spec.include_metadata ? [...READING_COLUMNS, ...METADATA_COLUMNS] : READING_COLUMNS;
+  }
+
+  /**
+   * Number of rows an export will have
+   */
+  async count(spec) {
+    return influxService.count(this.buildQuery(spec));
+  }
+
+  fileName(spec) {
+    const day = (date) => new Date(date).toISOString().split('T')[0];
+    return `sensor_data_${day(spec.start)}_${day(spec.end)}.${EXPORT_FORMATS[spec.format].extension}`;
+  }
+
+  /**
+   * Registry details of the sensors met in an export, looked up once per sensor
+   */
+  describer() {
+    const cache = new Map();
+    return (sensorId) => {
+      if (!cache.has(sensorId)) {
+        cache.set(sensorId, (async () => {
+          const sensor = await mongoService.getCollection('sensors').findOne(
+            { _id: sensorId },
+            { projection: { name: 1, sensor_type: 1, device_id: 1 } }
+          );
+          const device = sensor && sensor.device_id
+            ? await mongoService.getCollection('devices').findOne(
+              { _id: sensor.device_id },
+              { projection: { name: 1, location: 1 } }
+            )
+            : null;
+          return {
+            sensor_name: sensor ? sensor.name : null,
+            sensor_type: sensor ? sensor.sensor_type : null,
+            device_name: device ? device.name : null,
+            device_location: device ? formatLocation(device.location) : null
+          };
+        })());
+      }
+      return cache.get(sensorId);
+    };
+  }
+
+  /**
+   * Registry unit of the sensors met in an export, for readings stored without a unit tag
+   */
+  unitFinder() {
+    const cache = new Map();
+    return (sensorId) => {
+      if (!cache.has(sensorId)) {
+        cache.set(sensorId, mongoService.getCollection('sensors')
+          .findOne({ _id: sensorId }, { projection: { unit: 1 } })
+          .then((sensor) => (sensor ? sensor.unit : null)));
+      }
+      return cache.get(sensorId);
+    };
+  }
+
+  /**
+   * Stream an export to a writable stream and end it. Stops early, leaving the stream
+   * open, when the stream is destroyed (e.g. the client went away) or the export is cancelled.
+   * @param {Object} spec - Export specification from resolve()
+   * @param {stream.Writable} output - Response or file stream
+   * @param {Object} options - { onProgress: async (rows) => void, isCancelled: () => boolean }
+   * @returns {Object} { rows, complete }
+   */
+  async write(spec, output, { onProgress, isCancelled = () => false } = {}) {
+    const writer = await createExportWriter(spec.format, output, this.columns(spec));
+    const describe = spec.include_metadata ? this.describer() : null;
+    const conversion = spec.unit ? readingConverter(spec.unit) : null;
+    const findUnit = conversion ? this.unitFinder() : null;
+    const aggregation = spec.aggregation === 'avg' ? 'mean' : spec.aggregation;
+    let rows = 0;
+    let complete = true;
+
+    for await (const row of influxService.iterate(this.buildQuery(spec))) {
+      if (output.destroyed || isCancelled()) {
+        // Leaving the loop cancels the rest of the query
+        complete = false;
+        break;
+      }
+
+      const record = {
+        timestamp: row._time,
+        sensor_id: row.sensor_id,
+        device_id: row.device_id || null,
+        unit: row.unit || null,
+        value: row._value === null || row._value === undefined ? null : Number(row._value)
+      };
+      if (conversion) {
+        record.value = conversion.convert(record.value, record.unit || await findUnit(row.sensor_id), aggregation);
+        record.unit = conversion.unit;
+      }
+      if (describe) {
+        Object.assign(record, await describe(row.sensor_id));
+      }
+
+      await writer.write(record);
+      rows += 1;
+      if (onProgress && rows % this.progressRows === 0) {
+        await onProgress(rows);
+      }
+    }
+
+    if (complete && !output.destroyed) {
+      await writer.end();
+    }
+    return { rows, complete };
+  }
+
+  /**
+   * Queue a background export
+   * @param {Object} spec - Export specification from resolve()
+   * @param {Object} user - Requesting user
+   * @returns {Object} Job document
+   */
+  async createJob(spec, user) {
+    const job = {
+      _id: uuidv4(),
+      status: 'queued',
+      request: spec,
+      file: {
+        name: this.fileName(spec),
+        format: spec.format,
+        content_type: EXPORT_FORMATS[spec.format].contentType,
+        size: null
+      },
+      progress: {
+        percent: 0,
+        rows_total: null,
+        rows_written: 0
+      },
+      error: null,
+      created_by: user.id,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      expires_at: null
+    };
+
+    await mongoService.getCollection(JOBS_COLLECTION).insertOne(job);
+
+    this.pending.push(job);
+    this.pump();
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    return mongoService.getCollection(JOBS_COLLECTION).findOne({ _id: jobId });
+  }
+
+  artifactPath(job) {
+    return path.join(this.exportDir, `${job._id}.${EXPORT_FORMATS[job.file.format].extension}`);
+  }
+
+  /**
+   * File of a completed export job
+   * @returns {Object} { path, name, content_type, size }
+   * @throws {AppError} 404 when the job does not exist, 409 while it is not completed, 410 once expired
+   */
+  async artifact(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new AppError('Export job not found', 404);
+    }
+    if (job.status === 'expired' || (job.expires_at && job.expires_at <= new Date())) {
+      throw new AppError('Export has expired', 410);
+    }
+    if (job.status !== 'completed') {
+      throw new AppError(`Export is ${job.status}`, 409);
+    }
+
+    const filePath = this.artifactPath(job);
+    if (!fs.existsSync(filePath)) {
+      throw new AppError('Export file is no longer available', 410);
+    }
+
+    return { path: filePath, name: job.file.name, content_type: job.file.content_type, size: job.file.size };
+  }
+
+  pump() {
+    while (this.running.size < this.maxConcurrentJobs && this.pending.length > 0) {
+      const job = this.pending.shift();
+      const run = { cancelled: false };
+      this.running.set(job._id, run);
+
+      this.runJob(job, run)
+        .catch((error) => logger.error(`Export job ${job._id} crashed:`, error))
+        .finally(() => {
+          this.running.delete(job._id);
+          this.pump();
+        });
+    }
+  }
+
+  async runJob(job, run) {
+    const jobs = mongoService.getCollection(JOBS_COLLECTION);
+    const filePath = this.artifactPath(job);
+    const partPath = `${filePath}.part`;
+    let rowsTotal = null;
+
+    await jobs.updateOne({ _id: job._id }, { $set: { status: 'running', started_at: new Date() } });
+    logger.info(`Export job ${job._id} started: ${job.file.name}`);
+
+    try {
+      if (!influxService.isConfigured()) {
+        throw new Error('InfluxDB is not configured');
+      }
+
+      rowsTotal = await this.count(job.request);
+      await jobs.updateOne({ _id: job._id }, { $set: { 'progress.rows_total': rowsTotal } });
+
+      const output = fs.createWriteStream(partPath);
+      const { rows, complete } = await this.write(job.request, output, {
+        isCancelled: () => run.cancelled,
+        onProgress: (written) => jobs.updateOne({ _id: job._id }, {
+          $set: {
+            'progress.rows_written': written,
+            'progress.percent': rowsTotal > 0 ? Math.min(99, Math.floor((written / rowsTotal) * 100)) : 0
+          }
+        })
+      });
+
+      if (!complete) {
+        output.destroy();
+        await fs.promises.rm(partPath, { force: true });
+        await jobs.updateOne({ _id: job._id }, {
+          $set: { status: 'cancelled', 'progress.rows_written': rows, finished_at: new Date() }
+        });
+        logger.info(`Export job ${job._id} cancelled after ${rows} rows`);
+        return;
+      }
+
+      await finished(output);
+      await fs.promises.rename(partPath, filePath);
+      const { size } = await fs.promises.stat(filePath);
+      const finishedAt = new Date();
+
+      await jobs.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          'file.size': size,
+          'progress.rows_written': rows,
+          'progress.percent': 100,
+          finished_at: finishedAt,
+          expires_at: new Date(finishedAt.getTime() + this.retentionHours * HOUR_MS)
+        }
+      });
+      logger.info(`Export job ${job._id} completed: ${rows} rows, ${size} bytes`);
+    } catch (error) {
+      logger.error(`Export job ${job._id} failed:`, error);
+      await fs.promises.rm(partPath, { force: true }).catch(() => {});
+      await jobs.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', error: error.message, finished_at: new Date() }
+      });
+    }
+  }
+
+  /**
+   * Delete the files of expired exports
+   * @returns {number} Number of exports expired
+   */
+  async cleanup(now = new Date()) {
+    const jobs = mongoService.getCollection(JOBS_COLLECTION);
+    const expired = await jobs
+      .find({ status: 'completed', expires_at: { $lte: now } })
+      .project({ file: 1 })
+      .toArray();
+
+    for (const job of expired) {
+      await fs.promises.rm(this.artifactPath(job), { force: true });
+      await jobs.updateOne({ _id: job._id }, { $set: { status: 'expired' } });
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Expired ${expired.length} data exports`);
+    }
+    return expired.length;
+  }
+
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.pending.length,
+      max_concurrent_jobs: this.maxConcurrentJobs,
+      retention_hours: this.retentionHours
+    };
+  }
+}
+
+module.exports = new ExportService();
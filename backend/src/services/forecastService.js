@@ -0,0 +1,223 @@
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const retentionService = require('./retentionService');
+const { redisClient } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const { durationMs } = require('../utils/flux');
+const { normalQuantile } = require('../utils/degradation');
+const { FORECAST_MODELS, minimumLength, fitForecastModel, backtest } = require('../utils/forecasting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Share of the history that may be missing and filled by interpolation
+const MAX_MISSING_SHARE = 0.2;
+
+const round = (value, digits = 4) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * Fill missing intervals by linear interpolation between their neighbours, and leading
+ * or trailing ones with the nearest value
+ * @param {Array} values - Numbers or null
+ * @returns {Array} Numbers
+ */
+const interpolate = (values) => {
+  const filled = values.slice();
+  let previous = null;
+
+  values.forEach((value, index) => {
+    if (value === null) {
+      return;
+    }
+    const from = previous === null ? 0 : previous + 1;
+    for (let gap = from; gap < index; gap += 1) {
+      filled[gap] = previous === null
+        ? value
+        : values[previous] + ((value - values[previous]) * (gap - previous)) / (index - previous);
+    }
+    previous = index;
+  });
+
+  if (previous !== null) {
+    filled.fill(values[previous], previous + 1);
+  }
+  return filled;
+};
+
+/**
+ * Forecasts of sensor series from their interval means. Fitted smoothing parameters
+ * are cached for FORECAST_MODEL_TTL seconds, so most requests only rerun the smoothing
+ * over the latest history; complete forecasts are cached until the next interval
+ * closes, at most FORECAST_CACHE_TTL seconds.
+ */
+class ForecastService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.FORECAST_CACHE_TTL) || 900;
+    this.modelTtl = parseInt(process.env.FORECAST_MODEL_TTL) || 86400;
+  }
+
+  async cacheGet(key) {
+    return redisClient.isConnected ? redisClient.get(key) : null;
+  }
+
+  async cacheSet(key, value, ttl) {
+    if (redisClient.isConnected) {
+      await redisClient.set(key, value, ttl);
+    }
+  }
+
+  /**
+   * Interval means of a sensor, oldest first, with missing intervals interpolated
+   * @returns {Object} { values, missing } where missing counts the filled intervals
+   */
+  async loadSeries(sensorId, { start, stop, interval }) {
+    const intervalMs = durationMs(interval);
+    const { query } = retentionService.select({ start, stop, every: interval, aggregation: 'mean' },
+      (part) => part.where('sensor_id', [sensorId]));
+    const rows = await influxService.run(query.keep(['_time', '_value']));
+
+    const count = Math.round((stop.getTime() - start.getTime()) / intervalMs);
+    const values = new Array(count).fill(null);
+    rows.forEach((row) => {
+      // Windows are stamped with their end
+      const index = Math.round((new Date(row._time).getTime() - start.getTime()) / intervalMs) - 1;
+      const value = Number(row._value);
+      if (index >= 0 && index < count && row._value !== null && Number.isFinite(value)) {
+        values[index] = value;
+      }
+    });
+
+    const missing = values.filter((value) => value === null).length;
+    return { values: missing > 0 && missing < count ? interpolate(values) : values, missing };
+  }
+
+  /**
+   * Forecast a sensor
+   * @param {Object} options - { sensorId, model, interval, seasonLength, horizon, historyDays, confidence, refresh }
+   * @returns {Object} Forecast with backtest metrics; cached is true when served from the cache
+   */
+  async forecast({
+    sensorId,
+    model = 'auto',
+    interval = '1h',
+    seasonLength,
+    horizon,
+    historyDays = 28,
+    confidence = 0.95,
+    refresh = false,
+    now = Date.now()
+  }) {
+    const sensor = await mongoService.getCollection('sensors').findOne(
+      { _id: sensorId },
+      { projection: { name: 1, unit: 1, device_id: 1 } }
+    );
+    if (!sensor) {
+      throw new AppError('Sensor not found', 404);
+    }
+
+    const intervalMs = durationMs(interval);
+    const season = seasonLength || Math.max(Math.round(DAY_MS / intervalMs), 2);
+    const steps = horizon || season;
+    // Only complete intervals are used
+    const stop = new Date(Math.floor(now / intervalMs) * intervalMs);
+    const start = new Date(stop.getTime() - historyDays * DAY_MS);
+
+    const settings = `${sensorId}:${model}:${interval}:${season}:${historyDays}`;
+    const resultKey = `forecast:${settings}:${steps}:${confidence}:${stop.getTime()}`;
+    const paramsKey = `forecast_params:${settings}`;
+
+    if (!refresh) {
+      const cached = await this.cacheGet(resultKey);
+      if (cached) {
+        return { ...cached, cached: true };
+      }
+    }
+
+    const { values, missing } = await this.loadSeries(sensorId, { start, stop, interval });
+    // The backtest holds out the forecast horizon, but never more than a third of the history
+    const holdout = Math.min(steps, Math.floor(values.length / 3));
+    const candidates = model === 'auto' ? FORECAST_MODELS : [model];
+    const shortest = Math.min(...candidates.map((type) => minimumLength(type, season)));
+
+    if (missing === values.length || missing / values.length > MAX_MISSING_SHARE) {
+      throw new AppError(`Too little history to forecast: ${values.length - missing} of ${values.length} intervals have data`, 400);
+    }
+    if (values.length - holdout < shortest) {
+      throw new AppError(`At least ${shortest + holdout} intervals of history are needed for a season of ${season} intervals`, 400);
+    }
+
+    const cachedParams = refresh ? null : await this.cacheGet(paramsKey);
+    const results = candidates
+      .map((type) => {
+        const params = cachedParams && cachedParams[type] !== undefined ? cachedParams[type] : null;
+        const tested = backtest(values, { type, seasonLength: season, holdout, params });
+        return tested ? { type, ...tested } : null;
+      })
+      .filter(Boolean);
+
+    if (results.length === 0) {
+      throw new AppError(`The ${model} model cannot be fitted to this sensor's history`, 400);
+    }
+
+    // Cached parameters keep their expiry so models are refitted at least every FORECAST_MODEL_TTL
+    if (!cachedParams || results.some((result) => cachedParams[result.type] === undefined)) {
+      await this.cacheSet(paramsKey, Object.fromEntries(results.map((result) => [result.type, result.params])), this.modelTtl);
+    }
+
+    const best = results.reduce((winner, result) => (result.metrics.rmse < winner.metrics.rmse ? result : winner));
+    const fitted = fitForecastModel(values, { type: best.type, seasonLength: season, params: best.params });
+    const z = normalQuantile(0.5 + confidence / 2);
+    const toMetrics = (metrics) => ({
+      points: metrics.points,
+      rmse: round(metrics.rmse),
+      mae: round(metrics.mae),
+      mape: round(metrics.mape, 2)
+    });
+
+    const result = {
+      sensor_id: sensorId,
+      sensor_name: sensor.name,
+      device_id: sensor.device_id,
+      unit: sensor.unit,
+      interval,
+      season_length: season,
+      horizon: steps,
+      confidence,
+      history: {
+        start,
+        end: stop,
+        intervals: values.length,
+        interpolated: missing
+      },
+      model: {
+        type: best.type,
+        params: best.params && {
+          alpha: round(best.params.alpha),
+          beta: round(best.params.beta),
+          gamma: round(best.params.gamma)
+        },
+        sigma: round(fitted.sigma)
+      },
+      backtest: {
+        start: new Date(stop.getTime() - holdout * intervalMs),
+        end: stop,
+        ...toMetrics(best.metrics)
+      },
+      candidates: results.map((candidate) => ({ type: candidate.type, ...toMetrics(candidate.metrics) })),
+      forecast: fitted.forecast(steps, z).map((point) => ({
+        // Intervals are stamped with their start
+        timestamp: new Date(stop.getTime() + (point.step - 1) * intervalMs),
+        value: round(point.value),
+        lower: round(point.lower),
+        upper: round(point.upper)
+      })),
+      generated_at: new Date(now)
+    };
+
+    // Expire with the interval: the next request after it closes refits on its data
+    const untilNextInterval = Math.ceil((stop.getTime() + intervalMs - now) / 1000);
+    await this.cacheSet(resultKey, result, Math.max(Math.min(this.cacheTtl, untilNextInterval), 1));
+
+    return { ...result, cached: false };
+  }
+}
+
+module.exports = new ForecastService();
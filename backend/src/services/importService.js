@@ -0,0 +1,688 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const ingestionService = require('./ingestionService');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidTimeZone, isValidTimestampFormat, parseTimestamp } = require('../utils/timestamps');
+const { resolveUnit, convertValue } = require('../utils/units');
+const logger = require('../utils/logger');
+
+const JOBS_COLLECTION = 'import_jobs';
+const FILE_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.xlsx': 'xlsx'
+};
+const MAPPING_FIELDS = ['timestamp', 'value', 'device_id', 'sensor_id', 'unit'];
+const WRITE_ATTEMPTS = 3;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Spreadsheet cells can hold formulas, rich text and hyperlinks
+const cellValue = (cell) => {
+  if (cell === undefined || cell === null || cell instanceof Date || typeof cell !== 'object') {
+    return cell === undefined ? null : cell;
+  }
+  if (cell.result !== undefined) return cellValue(cell.result);
+  if (Array.isArray(cell.richText)) return cell.richText.map((part) => part.text).join('');
+  if (cell.text !== undefined) return cellValue(cell.text);
+  if (cell.error !== undefined) return null;
+  return null;
+};
+
+/**
+ * Historical bulk import of sensor data from CSV and Excel files.
+ * Columns are mapped to device, sensor, timestamp and value; values are
+ * converted to the sensor's unit and written to InfluxDB in chunks by a
+ * background job whose progress is kept in MongoDB.
+ */
+class ImportService {
+  constructor() {
+    this.uploadDir = process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'iiot-imports');
+    this.maxFileSize = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 500 * 1024 * 1024;
+    this.chunkSize = parseInt(process.env.IMPORT_CHUNK_SIZE) || 5000;
+    this.maxErrors = parseInt(process.env.IMPORT_MAX_ERRORS) || 1000;
+    this.dryRunRows = parseInt(process.env.IMPORT_DRY_RUN_ROWS) || 1000;
+    this.previewSize = parseInt(process.env.IMPORT_PREVIEW_SIZE) || 20;
+    this.maxConcurrentJobs = parseInt(process.env.IMPORT_MAX_CONCURRENT_JOBS) || 1;
+
+    this.pending = [];
+    this.running = new Map();
+  }
+
+  /**
+   * Fail jobs left queued or running by a previous process; their uploads are gone
+   */
+  async start() {
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+
+    if (!mongoService.isConnected) {
+      return;
+    }
+
+    try {
+      const result = await mongoService.getDb().collection(JOBS_COLLECTION).updateMany(
+        { status: { $in: ['queued', 'running'] } },
+        { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn(`Marked ${result.modifiedCount} interrupted import jobs as failed`);
+      }
+    } catch (error) {
+      logger.error('Error recovering import jobs:', error);
+    }
+  }
+
+  /**
+   * Cancel running jobs so their loops stop at the next chunk
+   */
+  stop() {
+    this.pending.splice(0).forEach(({ file }) => this.removeUpload(file));
+    this.running.forEach((run) => {
+      run.cancelled = true;
+    });
+  }
+
+  /**
+   * Detect the file format from the file name, falling back to the MIME type
+   * @returns {string} csv or xlsx
+   */
+  detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.xls') {
+      throw new AppError('Legacy .xls workbooks are not supported, save the file as .xlsx or CSV', 400);
+    }
+    if (FILE_FORMATS[extension]) {
+      return FILE_FORMATS[extension];
+    }
+    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    return 'csv';
+  }
+
+  /**
+   * Validate and normalise the column mapping and parsing options
+   * @param {Object|string} mapping - Column mapping, as an object or JSON string
+   * @param {Object} options - { timezone, delimiter, decimal_separator, sheet }
+   * @returns {Object} Compiled mapping
+   */
+  compileMapping(mapping, options = {}) {
+    let raw = mapping;
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (error) {
+        throw new AppError('Mapping must be valid JSON', 400);
+      }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new AppError('Mapping must be an object', 400);
+    }
+
+    // A string is shorthand for { column }
+    const source = (name) => {
+      const spec = raw[name];
+      if (spec === undefined || spec === null) return null;
+      if (typeof spec === 'string') return { column: spec };
+      if (typeof spec !== 'object' || (isEmpty(spec.column) && isEmpty(spec.value))) {
+        throw new AppError(`Mapping for ${name} needs a column or a fixed value`, 400);
+      }
+      return isEmpty(spec.column) ? { value: String(spec.value) } : { ...spec, column: String(spec.column) };
+    };
+
+    const compiled = {};
+    MAPPING_FIELDS.forEach((name) => {
+      compiled[name] = source(name);
+    });
+
+    if (!compiled.timestamp || !compiled.timestamp.column) {
+      throw new AppError('Mapping must name the timestamp column', 400);
+    }
+
+    compiled.timestamp.format = compiled.timestamp.format || 'auto';
+    if (!isValidTimestampFormat(compiled.timestamp.format)) {
+      throw new AppError('Timestamp format must be auto, iso, epoch_s, epoch_ms, excel or a pattern such as "DD.MM.YYYY HH:mm:ss"', 400);
+    }
+
+    compiled.timeZone = compiled.timestamp.timezone || options.timezone || 'UTC';
+    if (!isValidTimeZone(compiled.timeZone)) {
+      throw new AppError(`Unknown time zone "${compiled.timeZone}"`, 400);
+    }
+
+    // Wide exports have one column per sensor; long exports one reading per row
+    if (raw.columns !== undefined) {
+      if (!Array.isArray(raw.columns) || raw.columns.length === 0) {
+        throw new AppError('Mapping columns must be a non-empty array', 400);
+      }
+      if (compiled.value || compiled.sensor_id) {
+        throw new AppError('Use either value and sensor_id or columns, not both', 400);
+      }
+
+      compiled.columns = raw.columns.map((column, index) => {
+        if (!column || isEmpty(column.column) || isEmpty(column.sensor_id)) {
+          throw new AppError(`Mapping columns[${index}] needs a column and a sensor_id`, 400);
+        }
+        return {
+          column: String(column.column),
+          sensor_id: String(column.sensor_id),
+          device_id: isEmpty(column.device_id) ? null : String(column.device_id),
+          unit: isEmpty(column.unit) ? null : String(column.unit)
+        };
+      });
+    } else if (!compiled.value || !compiled.value.column || !compiled.sensor_id) {
+      throw new AppError('Mapping must name the value column and the sensor_id column or value, or list wide columns', 400);
+    }
+
+    const fixedUnits = [compiled.unit && compiled.unit.value, ...(compiled.columns || []).map((column) => column.unit)];
+    fixedUnits.filter(Boolean).forEach((unit) => {
+      if (!resolveUnit(unit)) {
+        throw new AppError(`Unknown unit "${unit}"`, 400);
+      }
+    });
+
+    compiled.delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter || ',';
+    compiled.decimalSeparator = options.decimal_separator || '.';
+    compiled.sheet = options.sheet || null;
+
+    return compiled;
+  }
+
+  /**
+   * Column names the mapping reads from
+   */
+  mappedColumns(compiled) {
+    const columns = MAPPING_FIELDS
+      .map((name) => compiled[name] && compiled[name].column)
+      .filter(Boolean);
+    return [...columns, ...(compiled.columns || []).map((column) => column.column)];
+  }
+
+  /**
+   * Stream the rows of an uploaded file as arrays of cell values
+   * @param {ReadStream} stream - File stream
+   * @param {string} format - csv or xlsx
+   * @param {Object} compiled - Compiled mapping (delimiter, sheet)
+   * @yields {Object} { number, cells } where number is the 1-based row in the file
+   */
+  async* readRows(stream, format, compiled) {
+    if (format === 'csv') {
+      let number = 0;
+      const parser = stream.pipe(csv({ separator: compiled.delimiter, headers: false }));
+
+      for await (const row of parser) {
+        number += 1;
+        yield { number, cells: Object.values(row) };
+      }
+      return;
+    }
+
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+      sharedStrings: 'cache',
+      styles: 'cache',
+      hyperlinks: 'ignore',
+      worksheets: 'emit',
+      entries: 'emit'
+    });
+
+    let found = false;
+    for await (const worksheet of reader) {
+      const selected = compiled.sheet ? worksheet.name === compiled.sheet : !found;
+
+      for await (const row of worksheet) {
+        if (selected) {
+          yield { number: row.number, cells: row.values.slice(1).map(cellValue) };
+        }
+      }
+      found = found || selected;
+    }
+
+    if (!found) {
+      throw new AppError(compiled.sheet ? `Worksheet "${compiled.sheet}" not found` : 'Workbook has no worksheets', 400);
+    }
+  }
+
+  parseValue(raw, compiled) {
+    if (typeof raw === 'number') return raw;
+    if (typeof raw === 'boolean') return raw ? 1 : 0;
+
+    let text = String(raw).trim().replace(/\s/g, '');
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true' ? 1 : 0;
+    if (compiled.decimalSeparator === ',') {
+      text = text.replace(/\./g, '').replace(',', '.');
+    }
+
+    const value = Number(text);
+    return text !== '' && Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Turn one row into candidate readings
+   * @returns {Object} { candidates, errors, skipped }
+   */
+  mapRow(record, compiled) {
+    const candidates = [];
+    const errors = [];
+    let skipped = 0;
+    const read = (spec) => {
+      if (!spec) return null;
+      const value = spec.column ? record[spec.column] : spec.value;
+      return isEmpty(value) ? null : value;
+    };
+
+    let timestamp;
+    try {
+      timestamp = parseTimestamp(record[compiled.timestamp.column], {
+        format: compiled.timestamp.format,
+        timeZone: compiled.timeZone
+      });
+    } catch (error) {
+      return { candidates, errors: [{ column: compiled.timestamp.column, error: error.message }], skipped };
+    }
+
+    const rowDevice = read(compiled.device_id);
+    const rowUnit = read(compiled.unit);
+    const targets = compiled.columns || [{ column: compiled.value.column, sensor_id: null, device_id: null, unit: null }];
+
+    targets.forEach((target) => {
+      const raw = record[target.column];
+      if (isEmpty(raw)) {
+        skipped += 1;
+        return;
+      }
+
+      const value = this.parseValue(raw, compiled);
+      const sensorId = target.sensor_id || read(compiled.sensor_id);
+
+      if (value === null) {
+        errors.push({ column: target.column, error: `Value "${raw}" is not a number` });
+      } else if (!sensorId) {
+        errors.push({ column: compiled.sensor_id.column, error: 'sensor_id is empty' });
+      } else {
+        candidates.push({
+          column: target.column,
+          device_id: target.device_id || (rowDevice === null ? null : String(rowDevice)),
+          sensor_id: String(sensorId),
+          unit: target.unit || (rowUnit === null ? null : String(rowUnit)),
+          value,
+          timestamp
+        });
+      }
+    });
+
+    return { candidates, errors, skipped };
+  }
+
+  /**
+   * Load sensors not yet in the cache
+   */
+  async resolveSensors(sensorIds, cache) {
+    const missing = [...new Set(sensorIds)].filter((sensorId) => !cache.has(sensorId));
+    if (missing.length === 0) {
+      return;
+    }
+
+    const sensors = await mongoService.getDb().collection('sensors')
+      .find({ _id: { $in: missing } }, { projection: { _id: 1, device_id: 1, unit: 1 } })
+      .toArray();
+
+    missing.forEach((sensorId) => cache.set(sensorId, null));
+    sensors.forEach((sensor) => cache.set(sensor._id, sensor));
+  }
+
+  /**
+   * Check candidates against their sensors and convert values to the sensor's unit
+   * @returns {Object} { readings, errors }
+   */
+  async validateCandidates(candidates, sensorCache) {
+    await this.resolveSensors(candidates.map((candidate) => candidate.sensor_id), sensorCache);
+
+    const readings = [];
+    const errors = [];
+
+    candidates.forEach((candidate) => {
+      const { row, column } = candidate;
+      const sensor = sensorCache.get(candidate.sensor_id);
+
+      if (!sensor) {
+        errors.push({ row, column, error: `Sensor ${candidate.sensor_id} not found` });
+        return;
+      }
+      if (candidate.device_id && candidate.device_id !== sensor.device_id) {
+        errors.push({ row, column, error: `Sensor ${candidate.sensor_id} does not belong to device ${candidate.device_id}` });
+        return;
+      }
+
+      let { value } = candidate;
+      let unit = sensor.unit || candidate.unit;
+
+      if (candidate.unit && sensor.unit && candidate.unit !== sensor.unit) {
+        try {
+          value = convertValue(value, candidate.unit, sensor.unit);
+          unit = sensor.unit;
+        } catch (error) {
+          errors.push({ row, column, error: error.message });
+          return;
+        }
+      }
+
+      readings.push({
+        device_id: sensor.device_id,
+        sensor_id: sensor._id,
+        value,
+        unit: unit || null,
+        timestamp: candidate.timestamp,
+        tags: { source: 'import' }
+      });
+    });
+
+    return { readings, errors };
+  }
+
+  /**
+   * Write a chunk to InfluxDB, retrying transient failures.
+   * Points overwrite on identical series and timestamp, so a re-run is safe.
+   */
+  async writeChunk(readings) {
+    const points = readings.map((reading) => ingestionService.toPoint(reading)).filter(Boolean);
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await influxService.writePoints(points);
+        return points.length;
+      } catch (error) {
+        if (attempt >= WRITE_ATTEMPTS) {
+          throw error;
+        }
+        logger.warn(`Import chunk write failed (attempt ${attempt}), retrying: ${error.message}`);
+        await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+      }
+    }
+  }
+
+  /**
+   * Read, map and validate a file chunk by chunk
+   * @param {Object} file - { path, format }
+   * @param {Object} compiled - Compiled mapping
+   * @param {Object} options - { maxRows, onChunk(readings, progress), isCancelled() }
+   * @returns {Object} Summary with counts, errors and the time range
+   */
+  async process(file, compiled, { maxRows = Infinity, onChunk, isCancelled = () => false } = {}) {
+    const summary = {
+      rows_processed: 0,
+      readings_valid: 0,
+      readings_rejected: 0,
+      values_skipped: 0,
+      bytes_read: 0,
+      bytes_total: file.size,
+      truncated: false,
+      columns: [],
+      errors: [],
+      errors_truncated: false,
+      time_range: { start: null, end: null }
+    };
+    const sensorCache = new Map();
+    let headers = null;
+    let chunk = [];
+
+    const addErrors = (errors) => {
+      summary.readings_rejected += errors.length;
+      const room = this.maxErrors - summary.errors.length;
+      summary.errors.push(...errors.slice(0, Math.max(room, 0)));
+      summary.errors_truncated = summary.errors_truncated || errors.length > room;
+    };
+
+    const flush = async () => {
+      const { readings, errors } = await this.validateCandidates(chunk, sensorCache);
+      chunk = [];
+      addErrors(errors);
+
+      readings.forEach(({ timestamp }) => {
+        if (!summary.time_range.start || timestamp < summary.time_range.start) summary.time_range.start = timestamp;
+        if (!summary.time_range.end || timestamp > summary.time_range.end) summary.time_range.end = timestamp;
+      });
+      summary.readings_valid += readings.length;
+
+      if (onChunk) {
+        await onChunk(readings, summary);
+      }
+    };
+
+    const stream = fs.createReadStream(file.path);
+
+    try {
+      for await (const { number, cells } of this.readRows(stream, file.format, compiled)) {
+        if (!headers) {
+          headers = cells.map((cell) => String(cell === null ? '' : cell).replace(/^\uFEFF/, '').trim());
+          summary.columns = headers;
+
+          const missing = this.mappedColumns(compiled).filter((column) => !headers.includes(column));
+          if (missing.length > 0) {
+            throw new AppError(`Columns not found in file: ${missing.join(', ')}. Available columns: ${headers.join(', ')}`, 400);
+          }
+          continue;
+        }
+
+        if (cells.every(isEmpty)) {
+          continue;
+        }
+        if (summary.rows_processed >= maxRows) {
+          summary.truncated = true;
+          break;
+        }
+
+        const record = headers.reduce((values, header, index) => {
+          values[header] = cells[index];
+          return values;
+        }, {});
+
+        const { candidates, errors, skipped } = this.mapRow(record, compiled);
+        summary.rows_processed += 1;
+        summary.values_skipped += skipped;
+        addErrors(errors.map((error) => ({ row: number, ...error })));
+        candidates.forEach((candidate) => chunk.push({ row: number, ...candidate }));
+
+        if (chunk.length >= this.chunkSize) {
+          summary.bytes_read = stream.bytesRead;
+          await flush();
+          if (isCancelled()) {
+            break;
+          }
+        }
+      }
+
+      if (!headers) {
+        throw new AppError('File is empty', 400);
+      }
+      if (chunk.length > 0 && !isCancelled()) {
+        await flush();
+      }
+      summary.bytes_read = summary.truncated ? stream.bytesRead : file.size;
+    } finally {
+      stream.destroy();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Validate a file without writing anything
+   * @returns {Object} Summary with a preview of the converted readings
+   */
+  async dryRun(file, compiled) {
+    const preview = [];
+
+    try {
+      const summary = await this.process(file, compiled, {
+        maxRows: this.dryRunRows,
+        onChunk: async (readings) => {
+          preview.push(...readings.slice(0, this.previewSize - preview.length));
+        }
+      });
+
+      return { format: file.format, ...summary, preview };
+    } finally {
+      this.removeUpload(file);
+    }
+  }
+
+  /**
+   * Create an import job and queue it for processing
+   * @param {Object} file - Uploaded file { path, originalname, size, format }
+   * @param {Object} compiled - Compiled mapping
+   * @param {Object} user - Requesting user
+   * @returns {Object} Job document
+   */
+  async createJob(file, compiled, user) {
+    const job = {
+      _id: uuidv4(),
+      status: 'queued',
+      file: { name: file.originalname, size: file.size, format: file.format },
+      mapping: {
+        ...MAPPING_FIELDS.reduce((fields, name) => ({ ...fields, [name]: compiled[name] }), {}),
+        columns: compiled.columns || null,
+        timezone: compiled.timeZone,
+        delimiter: compiled.delimiter,
+        decimal_separator: compiled.decimalSeparator,
+        sheet: compiled.sheet
+      },
+      progress: {
+        percent: 0,
+        bytes_read: 0,
+        bytes_total: file.size,
+        rows_processed: 0,
+        readings_written: 0,
+        readings_rejected: 0,
+        values_skipped: 0
+      },
+      time_range: { start: null, end: null },
+      errors: [],
+      errors_truncated: false,
+      error: null,
+      created_by: user.id,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null
+    };
+
+    await mongoService.getDb().collection(JOBS_COLLECTION).insertOne(job);
+
+    this.pending.push({ jobId: job._id, file: { ...file, compiled } });
+    this.pump();
+
+    return job;
+  }
+
+  pump() {
+    while (this.running.size < this.maxConcurrentJobs && this.pending.length > 0) {
+      const { jobId, file } = this.pending.shift();
+      const run = { cancelled: false };
+      this.running.set(jobId, run);
+
+      this.runJob(jobId, file, run)
+        .catch((error) => logger.error(`Import job ${jobId} crashed:`, error))
+        .finally(() => {
+          this.running.delete(jobId);
+          this.removeUpload(file);
+          this.pump();
+        });
+    }
+  }
+
+  async runJob(jobId, file, run) {
+    const jobs = mongoService.getDb().collection(JOBS_COLLECTION);
+    let written = 0;
+
+    const progressUpdate = (summary) => ({
+      'progress.percent': summary.bytes_total > 0 ? Math.min(100, Math.floor((summary.bytes_read / summary.bytes_total) * 100)) : 100,
+      'progress.bytes_read': summary.bytes_read,
+      'progress.rows_processed': summary.rows_processed,
+      'progress.readings_written': written,
+      'progress.readings_rejected': summary.readings_rejected,
+      'progress.values_skipped': summary.values_skipped,
+      time_range: summary.time_range,
+      errors: summary.errors,
+      errors_truncated: summary.errors_truncated
+    });
+
+    await jobs.updateOne({ _id: jobId }, { $set: { status: 'running', started_at: new Date() } });
+    logger.info(`Import job ${jobId} started: ${file.originalname} (${file.size} bytes)`);
+
+    try {
+      const summary = await this.process(file, file.compiled, {
+        isCancelled: () => run.cancelled,
+        onChunk: async (readings, progress) => {
+          if (readings.length > 0) {
+            written += await this.writeChunk(readings);
+          }
+          await jobs.updateOne({ _id: jobId }, { $set: progressUpdate(progress) });
+        }
+      });
+
+      const status = run.cancelled ? 'cancelled' : 'completed';
+      await jobs.updateOne({ _id: jobId }, { $set: { ...progressUpdate(summary), status, finished_at: new Date() } });
+
+      logger.info(`Import job ${jobId} ${status}: ${written} readings written, ${summary.readings_rejected} rejected`);
+    } catch (error) {
+      logger.error(`Import job ${jobId} failed:`, error);
+      await jobs.updateOne({ _id: jobId }, {
+        $set: {
+          status: 'failed',
+          error: error.message,
+          'progress.readings_written': written,
+          finished_at: new Date()
+        }
+      });
+    }
+  }
+
+  /**
+   * Ask a queued or running job to stop
+   * @returns {boolean} Whether the job was queued or running in this process
+   */
+  async cancel(jobId) {
+    const queued = this.pending.findIndex((entry) => entry.jobId === jobId);
+    if (queued !== -1) {
+      const [{ file }] = this.pending.splice(queued, 1);
+      this.removeUpload(file);
+      await mongoService.getDb().collection(JOBS_COLLECTION).updateOne(
+        { _id: jobId },
+        { $set: { status: 'cancelled', finished_at: new Date() } }
+      );
+      return true;
+    }
+
+    const run = this.running.get(jobId);
+    if (run) {
+      run.cancelled = true;
+      return true;
+    }
+    return false;
+  }
+
+  removeUpload(file) {
+    fs.unlink(file.path, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        logger.warn(`Could not remove import upload ${file.path}: ${error.message}`);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.pending.length,
+      max_concurrent_jobs: this.maxConcurrentJobs
+    };
+  }
+}
+
+module.exports = new ImportService();
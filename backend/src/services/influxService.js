@@ -1,5 +1,6 @@
 const { InfluxDB, Point } = require('@influxdata/influxdb-client');
 const { WriteApi } = require('@influxdata/influxdb-client');
+const { FluxQuery } = require('../utils/flux');
 
 class InfluxService {
   constructor() {
@@ -7,6 +8,7 @@ class InfluxService {
     this.token = process.env.INFLUXDB_TOKEN;
     this.org = process.env.INFLUXDB_ORG || 'basyx';
     this.bucket = process.env.INFLUXDB_BUCKET || 'iiot-data';
+    this.writeListeners = [];
     
     if (!this.token) {
       console.warn('InfluxDB token not provided. Time-series data will not be stored.');
@@ -23,6 +25,53 @@ class InfluxService {
     console.log(`InfluxDB service initialized: ${this.url}`);
   }
 
+  /**
+   * Check whether a write API is available
+   * @returns {boolean} True when InfluxDB is configured
+   */
+  isConfigured() {
+    return Boolean(this.writeApi);
+  }
+
+  /**
+   * Build an InfluxDB point
+   * @param {string} measurement - Measurement name
+   * @param {Object} tags - Tags object
+   * @param {Object} fields - Fields object
+   * @param {Date} timestamp - Optional timestamp
+   * @returns {Point} InfluxDB point
+   */
+  buildPoint(measurement, tags = {}, fields = {}, timestamp = null) {
+    const point = new Point(measurement);
+
+    // Add tags
+    Object.entries(tags).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        point.tag(key, String(value));
+      }
+    });
+
+    // Add fields
+    Object.entries(fields).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        if (Number.isFinite(value)) {
+          point.floatField(key, value);
+        }
+      } else if (typeof value === 'boolean') {
+        point.booleanField(key, value);
+      } else if (value !== undefined && value !== null) {
+        point.stringField(key, String(value));
+      }
+    });
+
+    // Set timestamp if provided
+    if (timestamp) {
+      point.timestamp(timestamp);
+    }
+
+    return point;
+  }
+
   /**
    * Write time-series data point
    * @param {string} measurement - Measurement name
@@ -31,45 +80,49 @@ class InfluxService {
    * @param {Date} timestamp - Optional timestamp
    */
   async writePoint(measurement, tags = {}, fields = {}, timestamp = null) {
+    await this.writePoints([{ measurement, tags, fields, timestamp }]);
+  }
+
+  /**
+   * Write a batch of points with a single flush
+   * @param {Array} points - Array of { measurement, tags, fields, timestamp }
+   * @returns {number} Number of points written
+   */
+  async writePoints(points = []) {
     if (!this.writeApi) {
       console.warn('InfluxDB not configured. Skipping write operation.');
-      return;
+      return 0;
+    }
+
+    if (points.length === 0) {
+      return 0;
     }
 
     try {
-      const point = new Point(measurement);
-      
-      // Add tags
-      Object.entries(tags).forEach(([key, value]) => {
-        point.tag(key, value);
-      });
-      
-      // Add fields
-      Object.entries(fields).forEach(([key, value]) => {
-        if (typeof value === 'number') {
-          point.floatField(key, value);
-        } else if (typeof value === 'boolean') {
-          point.booleanField(key, value);
-        } else {
-          point.stringField(key, String(value));
-        }
-      });
-      
-      // Set timestamp if provided
-      if (timestamp) {
-        point.timestamp(timestamp);
-      }
-      
-      this.writeApi.writePoint(point);
+      this.writeApi.writePoints(
+        points.map((p) => this.buildPoint(p.measurement, p.tags, p.fields, p.timestamp))
+      );
       await this.writeApi.flush();
-      
-      console.log(`Data written to InfluxDB: ${measurement}`);
+
+      this.writeListeners.forEach((listener) => listener(points));
+      return points.length;
     } catch (error) {
       console.error('Error writing to InfluxDB:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether a failed write may succeed when retried: network failures, timeouts, 429 and
+   * 5xx responses. Other 4xx responses, e.g. a field type conflict (422), fail every time.
+   * @param {Error} error - Error thrown by writePoints
+   * @returns {boolean} True when the write should be retried
+   */
+  isRetriableError(error) {
+    const status = error && error.statusCode;
+    return !status || status === 429 || status >= 500;
+  }
+
   /**
    * Write sensor data
    * @param {string} deviceId - Device identifier
@@ -104,21 +157,7 @@ class InfluxService {
     }
 
     try {
-      const results = [];
-      await this.queryApi.queryRows(query, {
-        next(row, tableMeta) {
-          const o = tableMeta.toObject(row);
-          results.push(o);
-        },
-        error(error) {
-          console.error('Query error:', error);
-        },
-        complete() {
-          console.log('Query completed');
-        },
-      });
-      
-      return results;
+      return await this.queryApi.collectRows(query);
     } catch (error) {
       console.error('Error querying InfluxDB:', error);
       throw error;
@@ -126,41 +165,184 @@ class InfluxService {
   }
 
   /**
-   * Get sensor data for a device within time range
-   * @param {string} deviceId - Device identifier
-   * @param {string} timeRange - Time range (e.g., '-1h', '-24h')
-   * @returns {Array} Sensor data
-   */
-  async getSensorData(deviceId, timeRange = '-1h') {
-    const query = `
-      from(bucket: "${this.bucket}")
-        |> range(start: ${timeRange})
-        |> filter(fn: (r) => r._measurement == "sensor_data")
-        |> filter(fn: (r) => r.device_id == "${deviceId}")
-        |> sort(columns: ["_time"], desc: false)
-    `;
-    
-    return await this.query(query);
+   * Start a query against a bucket
+   * @param {string} measurement - Measurement to read, omitted when null
+   * @param {Object} options - { bucket = configured bucket }
+   * @returns {FluxQuery} Query builder
+   */
+  select(measurement = 'sensor_data', { bucket = this.bucket } = {}) {
+    const query = new FluxQuery(bucket);
+    return measurement ? query.measurement(measurement) : query;
+  }
+
+  /**
+   * Run a query built with select()
+   * @param {FluxQuery} fluxQuery - Query builder
+   * @returns {Array} Query results
+   */
+  async run(fluxQuery) {
+    return await this.query(fluxQuery.toString());
+  }
+
+  /**
+   * Stream the rows of a query built with select(). Rows are read from the response as
+   * they are consumed, so a slow consumer slows the query down instead of buffering it.
+   * @param {FluxQuery} fluxQuery - Query builder
+   * @returns {AsyncIterable<Object>} Rows
+   */
+  async *iterate(fluxQuery) {
+    if (!this.queryApi) {
+      console.warn('InfluxDB not configured. Returning empty results.');
+      return;
+    }
+
+    for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery.toString())) {
+      yield tableMeta.toObject(values);
+    }
+  }
+
+  /**
+   * Count the rows a query built with select() returns, ignoring its limit
+   * @param {FluxQuery} fluxQuery - Query builder
+   * @returns {number} Row count
+   */
+  async count(fluxQuery) {
+    const rows = await this.query(fluxQuery.toCountQuery());
+    return rows.length > 0 ? Number(rows[0]._value) || 0 : 0;
+  }
+
+  /**
+   * Get sensor data of one or more devices within a time range
+   * @param {Object} options - { deviceId | deviceIds, sensorIds, sensorType, field, start = '-1h', stop, limit }
+   * @returns {Array} Sensor data sorted by time
+   */
+  async getSensorData({ deviceId, deviceIds, sensorIds, sensorType, field, start = '-1h', stop, limit } = {}) {
+    const query = this.select()
+      .range(start, stop)
+      .sort(['_time']);
+
+    if (deviceId || deviceIds) {
+      query.where('device_id', deviceIds || deviceId);
+    }
+    if (sensorIds) {
+      query.where('sensor_id', sensorIds);
+    }
+    if (sensorType) {
+      query.where('sensor_type', sensorType);
+    }
+    if (field) {
+      query.field(field);
+    }
+    if (limit) {
+      query.limit(limit);
+    }
+
+    return await this.run(query);
   }
 
   /**
    * Get aggregated sensor data
-   * @param {string} deviceId - Device identifier
-   * @param {string} timeRange - Time range
-   * @param {string} aggregateWindow - Aggregation window (e.g., '5m', '1h')
-   * @returns {Array} Aggregated data
-   */
-  async getAggregatedSensorData(deviceId, timeRange = '-24h', aggregateWindow = '1h') {
-    const query = `
-      from(bucket: "${this.bucket}")
-        |> range(start: ${timeRange})
-        |> filter(fn: (r) => r._measurement == "sensor_data")
-        |> filter(fn: (r) => r.device_id == "${deviceId}")
-        |> aggregateWindow(every: ${aggregateWindow}, fn: mean, createEmpty: false)
-        |> yield(name: "mean")
-    `;
-    
-    return await this.query(query);
+   * @param {Object} options - { deviceId | deviceIds, sensorIds, sensorType, field = 'value', start = '-24h', stop,
+   *   window = '1h', aggregation = 'mean', percentile, fill = 'none', fillValue }
+   * @returns {Array} One row per series and window
+   */
+  async getAggregatedSensorData({
+    deviceId,
+    deviceIds,
+    sensorIds,
+    sensorType,
+    field = 'value',
+    start = '-24h',
+    stop,
+    window = '1h',
+    aggregation = 'mean',
+    percentile,
+    fill = 'none',
+    fillValue
+  } = {}) {
+    const query = this.select()
+      .range(start, stop)
+      .field(field)
+      .aggregate(aggregation, { every: window, percentile })
+      .fill(fill, fillValue);
+
+    if (deviceId || deviceIds) {
+      query.where('device_id', deviceIds || deviceId);
+    }
+    if (sensorIds) {
+      query.where('sensor_id', sensorIds);
+    }
+    if (sensorType) {
+      query.where('sensor_type', sensorType);
+    }
+
+    return await this.run(query);
+  }
+
+  /**
+   * Call an InfluxDB HTTP API endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - API path including the query string
+   * @param {Object} body - JSON body
+   * @returns {Object} Parsed response
+   */
+  async request(method, path, body = null) {
+    if (!this.client) {
+      throw new Error('InfluxDB is not configured');
+    }
+    return await this.client.transport.request(path, body, { method });
+  }
+
+  /**
+   * Create a bucket or update its retention
+   * @param {string} name - Bucket name
+   * @param {number} retentionSeconds - Expiry of data, 0 to keep it forever
+   * @returns {Object} { name, retention_seconds, created, updated }
+   */
+  async ensureBucket(name, retentionSeconds = 0) {
+    const org = encodeURIComponent(this.org);
+    const retentionRules = retentionSeconds > 0 ? [{ type: 'expire', everySeconds: retentionSeconds }] : [];
+    const { buckets = [] } = await this.request('GET', `/api/v2/buckets?org=${org}&name=${encodeURIComponent(name)}`);
+    const bucket = buckets[0];
+
+    if (!bucket) {
+      const { orgs = [] } = await this.request('GET', `/api/v2/orgs?org=${org}`);
+      if (orgs.length === 0) {
+        throw new Error(`InfluxDB organization ${this.org} not found`);
+      }
+      await this.request('POST', '/api/v2/buckets', { orgID: orgs[0].id, name, retentionRules });
+      return { name, retention_seconds: retentionSeconds, created: true, updated: false };
+    }
+
+    const current = (bucket.retentionRules || []).find((rule) => rule.type === 'expire');
+    const currentSeconds = current ? current.everySeconds : 0;
+    if (currentSeconds !== retentionSeconds) {
+      await this.request('PATCH', `/api/v2/buckets/${bucket.id}`, { retentionRules });
+    }
+
+    return { name, retention_seconds: retentionSeconds, created: false, updated: currentSeconds !== retentionSeconds };
+  }
+
+  /**
+   * Delete points of a bucket within a time range
+   * @param {string} bucket - Bucket name
+   * @param {Object} options - { start, stop, predicate } as accepted by the delete API
+   */
+  async deleteData(bucket, { start = new Date(0), stop, predicate }) {
+    const path = `/api/v2/delete?org=${encodeURIComponent(this.org)}&bucket=${encodeURIComponent(bucket)}`;
+    await this.request('POST', path, {
+      start: new Date(start).toISOString(),
+      stop: new Date(stop).toISOString(),
+      predicate
+    });
+  }
+
+  /**
+   * Register a callback for every batch handed to writePoints
+   * @param {Function} listener - (points) => void
+   */
+  onWrite(listener) {
+    this.writeListeners.push(listener);
   }
 
   /**
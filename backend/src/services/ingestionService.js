@@ -0,0 +1,239 @@
+const influxService = require('./influxService');
+const storeForwardService = require('./storeForwardService');
+const compressionService = require('./compressionService');
+const calibrationService = require('./calibrationService');
+const anomalyService = require('./anomalyService');
+const virtualSensorService = require('./virtualSensorService');
+const qualityService = require('./qualityService');
+const logger = require('../utils/logger');
+
+const SENSOR_MEASUREMENT = 'sensor_data';
+
+class IngestionService {
+  constructor() {
+    this.batchSize = parseInt(process.env.INGEST_BATCH_SIZE) || 500;
+    this.flushIntervalMs = parseInt(process.env.INGEST_FLUSH_INTERVAL_MS) || 1000;
+    this.highWaterMark = parseInt(process.env.INGEST_HIGH_WATER_MARK) || this.batchSize * 10;
+    this.maxQueueSize = parseInt(process.env.INGEST_MAX_QUEUE_SIZE) || this.batchSize * 100;
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.flushing = null;
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      invalid: 0,
+      written: 0,
+      buffered: 0,
+      rejected: 0,
+      dropped: 0,
+      failed_batches: 0,
+      batches: 0,
+      last_flush: null,
+      last_error: null
+    };
+  }
+
+  /**
+   * Start the periodic flush timer
+   */
+  start() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      // Snapshots held back by compression are stored once their sensor goes quiet
+      this.queue.push(...compressionService.collectIdle());
+      this.flush().catch((error) => logger.error('Scheduled ingestion flush failed:', error));
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+
+    logger.info(
+      `Ingestion pipeline started (batch size ${this.batchSize}, flush interval ${this.flushIntervalMs}ms)`
+    );
+  }
+
+  /**
+   * Stop the flush timer and write out whatever is still queued
+   */
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.queue.push(...compressionService.collectAll());
+    await this.flush();
+    logger.info('Ingestion pipeline stopped');
+  }
+
+  /**
+   * Numeric value of a reading. The value field holds floats only, since InfluxDB refuses
+   * other types once a series has floats; booleans are stored as 1 and 0.
+   * @returns {number|null} The value, or null when it is not a finite number
+   */
+  numericValue(value) {
+    let number = value;
+    if (typeof number === 'boolean') {
+      number = number ? 1 : 0;
+    } else if (typeof number === 'string' && number.trim() !== '') {
+      number = Number(number);
+    }
+
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Convert a sensor reading into an InfluxDB point description
+   * @param {Object} reading - { device_id, sensor_id, value, unit, timestamp, tags }
+   * @returns {Object|null} Point description or null if the reading is unusable
+   */
+  toPoint(reading) {
+    const value = this.numericValue(reading.value);
+
+    if (value === null || !reading.sensor_id) {
+      return null;
+    }
+
+    const timestamp = reading.timestamp ? new Date(reading.timestamp) : new Date();
+
+    return {
+      measurement: SENSOR_MEASUREMENT,
+      tags: {
+        ...reading.tags,
+        device_id: reading.device_id,
+        sensor_id: reading.sensor_id,
+        unit: reading.unit
+      },
+      fields: { value },
+      timestamp: isNaN(timestamp.getTime()) ? new Date() : timestamp
+    };
+  }
+
+  /**
+   * Queue sensor readings for batched storage.
+   * Values are calibrated (the reading as received is kept in raw_value), virtual sensors
+   * depending on them are evaluated, all values are given a quality code and checked for
+   * anomalies, then readings of sensors with compression configured are filtered before
+   * they are queued.
+   * Resolves once the readings are queued; when the queue is above the high
+   * water mark it waits for a flush so awaiting producers are slowed down.
+   * @param {Array} readings - Sensor readings
+   * @returns {number} Number of readings accepted
+   */
+  async ingest(readings = []) {
+    const accepted = readings.map((reading) => this.toPoint(reading)).filter(Boolean);
+    const derived = qualityService.assess(virtualSensorService.derive(calibrationService.apply(accepted)));
+    anomalyService.inspect(derived);
+    const points = compressionService.filter(derived);
+
+    this.stats.received += readings.length;
+    this.stats.accepted += accepted.length;
+    this.stats.invalid += readings.length - accepted.length;
+    this.queue.push(...points);
+
+    if (this.queue.length > this.maxQueueSize) {
+      const overflow = this.queue.length - this.maxQueueSize;
+      this.queue.splice(0, overflow);
+      this.stats.dropped += overflow;
+      logger.warn(`Ingestion queue full, dropped ${overflow} oldest points`);
+    }
+
+    if (this.queue.length >= this.highWaterMark) {
+      await this.flush();
+    } else if (this.queue.length >= this.batchSize) {
+      this.flush().catch((error) => logger.error('Ingestion flush failed:', error));
+    }
+
+    return accepted.length;
+  }
+
+  /**
+   * Flush queued points. Concurrent callers share the same in-flight flush.
+   */
+  async flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async drain() {
+    // Older buffered points go first so InfluxDB receives data in order
+    if (storeForwardService.hasPendingInflux()) {
+      await storeForwardService.replayInflux();
+    }
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+
+      if (!influxService.isConfigured() || storeForwardService.hasPendingInflux()) {
+        await this.bufferBatch(batch);
+        continue;
+      }
+
+      try {
+        await influxService.writePoints(batch);
+        this.stats.written += batch.length;
+        this.stats.batches += 1;
+        this.stats.last_flush = new Date().toISOString();
+      } catch (error) {
+        this.stats.failed_batches += 1;
+        this.stats.last_error = error.message;
+        if (influxService.isRetriableError(error)) {
+          logger.error(`Failed to write batch of ${batch.length} points to InfluxDB, buffering:`, error);
+          await this.bufferBatch(batch);
+        } else {
+          // Buffering a refused batch would hold back every later one
+          logger.error(`InfluxDB refused a batch of ${batch.length} points, moving it to the dead-letter file:`, error);
+          await this.rejectBatch(batch);
+        }
+      }
+    }
+  }
+
+  async bufferBatch(batch) {
+    try {
+      await storeForwardService.bufferPoints(batch);
+      this.stats.buffered += batch.length;
+    } catch (error) {
+      this.stats.dropped += batch.length;
+      logger.error(`Failed to buffer ${batch.length} points, data lost:`, error);
+    }
+  }
+
+  async rejectBatch(batch) {
+    try {
+      await storeForwardService.rejectPoints(batch);
+      this.stats.rejected += batch.length;
+    } catch (error) {
+      this.stats.dropped += batch.length;
+      logger.error(`Failed to set aside ${batch.length} refused points, data lost:`, error);
+    }
+  }
+
+  /**
+   * Get pipeline statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      batch_size: this.batchSize,
+      flush_interval_ms: this.flushIntervalMs,
+      high_water_mark: this.highWaterMark,
+      max_queue_size: this.maxQueueSize,
+      compression: compressionService.getStats(),
+      quality: qualityService.getStats(),
+      anomaly: anomalyService.getStats(),
+      virtual_sensors: virtualSensorService.getStats(),
+      buffer: storeForwardService.getStatus().influxdb
+    };
+  }
+}
+
+module.exports = new IngestionService();
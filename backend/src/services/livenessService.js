@@ -0,0 +1,276 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const storeForwardService = require('./storeForwardService');
+const logger = require('../utils/logger');
+
+// Statuses the monitor may replace; maintenance is only ever changed by a user or the device
+const TIMEOUT_STATUSES = ['online', 'error'];
+
+class LivenessService {
+  constructor() {
+    this.defaultHeartbeatMs = (parseInt(process.env.DEVICE_HEARTBEAT_INTERVAL) || 60) * 1000;
+    this.missedHeartbeats = parseInt(process.env.DEVICE_MISSED_HEARTBEATS) || 3;
+    this.checkIntervalMs = parseInt(process.env.LIVENESS_CHECK_INTERVAL_MS) || 5000;
+    this.refreshIntervalMs = parseInt(process.env.LIVENESS_REFRESH_INTERVAL_MS) || 60000;
+
+    this.io = null;
+    this.devices = new Map();
+    this.checkTimer = null;
+    this.lastRefresh = 0;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Load the device registry and start the heartbeat check loop
+   * @param {Object} io - Socket.IO server
+   */
+  async start(io) {
+    this.io = io;
+    this.startedAt = Date.now();
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn(`Device registry not loaded, liveness starts empty: ${error.message}`);
+    }
+
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => {
+        this.check().catch((error) => logger.error('Device liveness check failed:', error));
+      }, this.checkIntervalMs);
+      this.checkTimer.unref();
+    }
+
+    logger.info(
+      `Device liveness monitor started (default heartbeat ${this.defaultHeartbeatMs / 1000}s, ` +
+      `offline after ${this.missedHeartbeats} missed heartbeats)`
+    );
+  }
+
+  async stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+
+    await this.flushLastSeen();
+  }
+
+  /**
+   * Merge the devices collection into the in-memory registry
+   */
+  async refresh() {
+    const devices = await mongoService.getCollection('devices')
+      .find({}, { projection: { status: 1, last_seen: 1, heartbeat_interval: 1, protocol: 1, sparkplug: 1 } })
+      .toArray();
+
+    const ids = new Set();
+    devices.forEach((device) => {
+      ids.add(device._id);
+      this.track(device._id, device);
+    });
+
+    // Devices deleted in the meantime are no longer monitored
+    for (const id of this.devices.keys()) {
+      if (this.devices.get(id).known && !ids.has(id)) {
+        this.devices.delete(id);
+      }
+    }
+
+    this.lastRefresh = Date.now();
+  }
+
+  /**
+   * Register or update a monitored device from its document
+   * @param {string} deviceId - Device ID
+   * @param {Object} device - { status, last_seen, heartbeat_interval, protocol, sparkplug }
+   */
+  track(deviceId, device = {}) {
+    const entry = this.getEntry(deviceId);
+    const lastSeen = device.last_seen ? new Date(device.last_seen).getTime() : 0;
+
+    // A partial update (e.g. a Sparkplug birth) keeps a previously configured interval
+    if (!entry.known || 'heartbeat_interval' in device) {
+      entry.heartbeatMs = this.heartbeatFor(device);
+    }
+    entry.known = true;
+    entry.lastSeen = Math.max(entry.lastSeen, lastSeen);
+    entry.parentId = device.sparkplug ? device.sparkplug.node_device_id : entry.parentId;
+    if (device.status !== undefined) {
+      entry.status = device.status;
+    }
+
+    return entry;
+  }
+
+  getEntry(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        known: false,
+        status: null,
+        lastSeen: 0,
+        persistedLastSeen: 0,
+        heartbeatMs: this.defaultHeartbeatMs,
+        parentId: null
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Heartbeat interval in ms; 0 disables timeouts.
+   * Sparkplug B devices report by exception and signal loss with death certificates,
+   * so they only time out when an interval is configured explicitly.
+   */
+  heartbeatFor(device) {
+    if (device.heartbeat_interval !== undefined && device.heartbeat_interval !== null) {
+      return device.heartbeat_interval * 1000;
+    }
+    return device.protocol === 'SparkplugB' || device.sparkplug ? 0 : this.defaultHeartbeatMs;
+  }
+
+  /**
+   * Record that a message was received from a device
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - { revive } brings an offline device back online
+   */
+  async touch(deviceId, { revive = true } = {}) {
+    const entry = this.getEntry(deviceId);
+    entry.lastSeen = Date.now();
+
+    if (revive && entry.known && (entry.status === 'offline' || !entry.status)) {
+      await this.setStatus(deviceId, 'online', 'message_received', 'liveness');
+    }
+  }
+
+  /**
+   * Change a device's status, write history and notify clients
+   * @param {string} deviceId - Device ID
+   * @param {string} status - online, offline, error or maintenance
+   * @param {string} reason - Why the status changed
+   * @param {string} source - liveness, device, sparkplug or user
+   * @returns {boolean} True if the status changed
+   */
+  async setStatus(deviceId, status, reason, source) {
+    const entry = this.getEntry(deviceId);
+
+    if (!entry.known || entry.status === status) {
+      return false;
+    }
+
+    const previousStatus = entry.status;
+    const now = new Date();
+    const lastSeen = entry.lastSeen ? new Date(entry.lastSeen) : null;
+    entry.status = status;
+
+    await storeForwardService.writeMongo({
+      collection: 'devices',
+      type: 'updateOne',
+      filter: { _id: deviceId },
+      update: {
+        $set: { status, status_reason: reason, status_changed_at: now, updated_at: now },
+        ...(lastSeen && { $max: { last_seen: lastSeen } })
+      }
+    });
+
+    await storeForwardService.writeMongo({
+      collection: 'device_status_history',
+      type: 'insertOne',
+      document: {
+        _id: uuidv4(),
+        device_id: deviceId,
+        status,
+        previous_status: previousStatus,
+        reason,
+        source,
+        last_seen: lastSeen,
+        timestamp: now
+      }
+    });
+
+    if (this.io) {
+      this.io.to(`device-${deviceId}`).emit('device-status', {
+        device_id: deviceId,
+        status,
+        previous_status: previousStatus,
+        reason,
+        source,
+        last_seen: lastSeen ? lastSeen.toISOString() : null,
+        timestamp: now.toISOString()
+      });
+    }
+
+    logger.info(`Device ${deviceId} is now ${status} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Devices registered under a Sparkplug B edge node
+   */
+  getChildren(parentId) {
+    return Array.from(this.devices.entries())
+      .filter(([, entry]) => entry.parentId === parentId)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Mark silent devices offline and persist last-seen timestamps
+   */
+  async check() {
+    if (Date.now() - this.lastRefresh >= this.refreshIntervalMs) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        logger.debug(`Device registry refresh skipped: ${error.message}`);
+      }
+    }
+
+    const now = Date.now();
+
+    for (const [deviceId, entry] of this.devices) {
+      if (!entry.known || !entry.heartbeatMs || !TIMEOUT_STATUSES.includes(entry.status)) {
+        continue;
+      }
+
+      // Devices not heard from since startup get a full timeout before they are marked offline
+      const lastSeen = Math.max(entry.lastSeen, this.startedAt);
+      if (now - lastSeen > entry.heartbeatMs * this.missedHeartbeats) {
+        await this.setStatus(deviceId, 'offline', 'heartbeat_timeout', 'liveness');
+      }
+    }
+
+    await this.flushLastSeen();
+  }
+
+  async flushLastSeen() {
+    for (const [deviceId, entry] of this.devices) {
+      if (!entry.known || entry.lastSeen <= entry.persistedLastSeen) {
+        continue;
+      }
+
+      entry.persistedLastSeen = entry.lastSeen;
+      await storeForwardService.writeMongo({
+        collection: 'devices',
+        type: 'updateOne',
+        filter: { _id: deviceId },
+        update: { $max: { last_seen: new Date(entry.lastSeen) } }
+      });
+    }
+  }
+
+  getStats() {
+    const counts = {};
+    let monitored = 0;
+
+    for (const entry of this.devices.values()) {
+      if (entry.known) {
+        monitored += 1;
+        counts[entry.status || 'unknown'] = (counts[entry.status || 'unknown'] || 0) + 1;
+      }
+    }
+
+    return { monitored, by_status: counts };
+  }
+}
+
+module.exports = new LivenessService();
@@ -0,0 +1,439 @@
+const ModbusRTU = require('modbus-serial');
+const mongoService = require('./mongoService');
+const ingestionService = require('./ingestionService');
+const livenessService = require('./livenessService');
+const logger = require('../utils/logger');
+
+const REGISTER_TYPES = ['holding', 'input', 'coil', 'discrete_input'];
+const DATA_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'float32', 'bool'];
+
+// Protocol limits per read request
+const MAX_REGISTERS_PER_READ = 125;
+const MAX_BITS_PER_READ = 2000;
+
+const READ_FUNCTIONS = {
+  holding: 'readHoldingRegisters',
+  input: 'readInputRegisters',
+  coil: 'readCoils',
+  discrete_input: 'readDiscreteInputs'
+};
+
+const isBitType = (registerType) => registerType === 'coil' || registerType === 'discrete_input';
+
+const registerCount = (dataType) => (['int32', 'uint32', 'float32'].includes(dataType) ? 2 : 1);
+
+/**
+ * Decode 16-bit register words into a number
+ * @param {Array<number>} words - Register values as read from the device
+ * @param {Object} map - { data_type, word_order, byte_order }
+ * word_order 'little' means the low word comes first (word swap);
+ * byte_order 'little' swaps the two bytes inside each word (byte swap).
+ */
+const decodeRegisters = (words, { data_type: dataType, word_order: wordOrder, byte_order: byteOrder }) => {
+  const ordered = wordOrder === 'little' ? [...words].reverse() : words;
+  const buffer = Buffer.alloc(ordered.length * 2);
+
+  ordered.forEach((word, index) => {
+    if (byteOrder === 'little') {
+      buffer.writeUInt16LE(word, index * 2);
+    } else {
+      buffer.writeUInt16BE(word, index * 2);
+    }
+  });
+
+  switch (dataType) {
+    case 'int16':
+      return buffer.readInt16BE(0);
+    case 'int32':
+      return buffer.readInt32BE(0);
+    case 'uint32':
+      return buffer.readUInt32BE(0);
+    case 'float32':
+      return buffer.readFloatBE(0);
+    case 'bool':
+      return buffer.readUInt16BE(0) !== 0 ? 1 : 0;
+    default:
+      return buffer.readUInt16BE(0);
+  }
+};
+
+/**
+ * Normalise a sensor's configuration.modbus register entry
+ * @returns {Object|null} Register map or null if it is unusable
+ */
+const normalizeRegisterMap = (sensor) => {
+  const config = sensor.configuration && sensor.configuration.modbus;
+  if (!config || !REGISTER_TYPES.includes(config.register_type)) {
+    return null;
+  }
+
+  const address = parseInt(config.address);
+  const dataType = config.data_type || (isBitType(config.register_type) ? 'bool' : 'uint16');
+  if (!Number.isInteger(address) || address < 0 || address > 65535 || !DATA_TYPES.includes(dataType)) {
+    return null;
+  }
+
+  return {
+    sensor_id: sensor._id,
+    unit: sensor.unit || null,
+    register_type: config.register_type,
+    address,
+    count: isBitType(config.register_type) ? 1 : registerCount(dataType),
+    data_type: dataType,
+    word_order: config.word_order === 'little' ? 'little' : 'big',
+    byte_order: config.byte_order === 'little' ? 'little' : 'big',
+    scale: config.scale !== undefined ? Number(config.scale) : 1,
+    offset: config.offset !== undefined ? Number(config.offset) : 0,
+    sampling_rate: sensor.sampling_rate
+  };
+};
+
+/**
+ * Merge register maps into as few contiguous read requests as possible
+ */
+const planReads = (registerMaps) => {
+  const reads = [];
+
+  REGISTER_TYPES.forEach((registerType) => {
+    const maxLength = isBitType(registerType) ? MAX_BITS_PER_READ : MAX_REGISTERS_PER_READ;
+    const maps = registerMaps
+      .filter((map) => map.register_type === registerType)
+      .sort((a, b) => a.address - b.address);
+
+    maps.forEach((map) => {
+      const current = reads[reads.length - 1];
+      const end = map.address + map.count;
+
+      if (current && current.register_type === registerType && map.address <= current.address + current.length
+        && end - current.address <= maxLength) {
+        current.length = Math.max(current.length, end - current.address);
+        current.maps.push(map);
+      } else {
+        reads.push({ register_type: registerType, address: map.address, length: map.count, maps: [map] });
+      }
+    });
+  });
+
+  return reads;
+};
+
+/**
+ * Polls one Modbus TCP device and feeds decoded values into the ingestion pipeline
+ */
+class ModbusPoller {
+  constructor(deviceId, config, registerMaps, options) {
+    this.deviceId = deviceId;
+    this.config = config;
+    this.registerMaps = registerMaps;
+    this.reads = planReads(registerMaps);
+    this.options = options;
+
+    this.client = new ModbusRTU();
+    this.timer = null;
+    this.stopped = false;
+    this.backoffMs = 0;
+
+    this.status = {
+      state: 'starting',
+      polls: 0,
+      errors: 0,
+      consecutive_errors: 0,
+      last_poll_at: null,
+      last_success_at: null,
+      last_duration_ms: null,
+      last_error: null,
+      last_error_at: null
+    };
+  }
+
+  start() {
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.close();
+    this.status.state = 'stopped';
+  }
+
+  schedule(delay) {
+    if (this.stopped) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.poll().finally(() => this.schedule(this.backoffMs || this.config.poll_interval));
+    }, delay);
+    this.timer.unref();
+  }
+
+  async connect() {
+    if (this.client.isOpen) {
+      return;
+    }
+
+    await this.client.connectTCP(this.config.host, { port: this.config.port });
+    this.client.setID(this.config.unit_id);
+    this.client.setTimeout(this.config.timeout);
+  }
+
+  close() {
+    try {
+      this.client.close(() => {});
+    } catch (error) {
+      logger.debug(`Modbus connection to ${this.deviceId} not closed cleanly: ${error.message}`);
+    }
+  }
+
+  async poll() {
+    const startedAt = Date.now();
+    this.status.polls += 1;
+    this.status.last_poll_at = new Date(startedAt).toISOString();
+
+    try {
+      await this.connect();
+
+      const timestamp = new Date();
+      const readings = [];
+
+      for (const read of this.reads) {
+        const response = await this.client[READ_FUNCTIONS[read.register_type]](read.address, read.length);
+        read.maps.forEach((map) => {
+          readings.push(this.toReading(map, read, response.data, timestamp));
+        });
+      }
+
+      const valid = readings.filter((reading) => reading !== null);
+      if (valid.length > 0) {
+        await livenessService.touch(this.deviceId);
+        await ingestionService.ingest(valid);
+      }
+
+      this.status.state = 'polling';
+      this.status.consecutive_errors = 0;
+      this.status.last_success_at = new Date().toISOString();
+      this.backoffMs = 0;
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      this.status.last_duration_ms = Date.now() - startedAt;
+    }
+  }
+
+  toReading(map, read, data, timestamp) {
+    const start = map.address - read.address;
+    let value;
+
+    if (isBitType(map.register_type)) {
+      value = data[start] ? 1 : 0;
+    } else {
+      value = decodeRegisters(data.slice(start, start + map.count), map);
+    }
+
+    value = value * map.scale + map.offset;
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    return {
+      device_id: this.deviceId,
+      sensor_id: map.sensor_id,
+      value,
+      unit: map.unit,
+      timestamp,
+      tags: { source: 'modbus' }
+    };
+  }
+
+  handleError(error) {
+    const message = error.message || String(error);
+
+    this.status.state = 'error';
+    this.status.errors += 1;
+    this.status.consecutive_errors += 1;
+    this.status.last_error = message;
+    this.status.last_error_at = new Date().toISOString();
+
+    // Drop the socket on transport errors so the next poll reconnects
+    if (!error.modbusCode) {
+      this.close();
+    }
+
+    this.backoffMs = Math.min(
+      this.config.poll_interval * 2 ** Math.min(this.status.consecutive_errors, 10),
+      this.options.maxBackoffMs
+    );
+
+    // Log the first failure and then only occasionally to keep logs readable
+    if (this.status.consecutive_errors === 1 || this.status.consecutive_errors % 10 === 0) {
+      logger.warn(`Modbus poll of ${this.deviceId} (${this.config.host}:${this.config.port}) failed: ${message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.status,
+      host: this.config.host,
+      port: this.config.port,
+      unit_id: this.config.unit_id,
+      poll_interval: this.config.poll_interval,
+      registers: this.registerMaps.length,
+      read_requests: this.reads.length
+    };
+  }
+}
+
+/**
+ * Modbus TCP connector. A device is polled when its configuration.modbus is set;
+ * each sensor's configuration.modbus describes the register it is read from.
+ */
+class ModbusService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.MODBUS_REFRESH_INTERVAL_MS) || 60000;
+    this.options = {
+      defaultTimeoutMs: parseInt(process.env.MODBUS_TIMEOUT_MS) || 2000,
+      maxBackoffMs: parseInt(process.env.MODBUS_MAX_BACKOFF_MS) || 60000
+    };
+
+    this.pollers = new Map();
+    this.fingerprints = new Map();
+    this.refreshTimer = null;
+  }
+
+  async start() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn(`Modbus devices not loaded: ${error.message}`);
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch((error) => logger.error('Modbus device refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+    }
+
+    if (this.pollers.size > 0) {
+      logger.info(`Modbus poller started for ${this.pollers.size} devices`);
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    for (const poller of this.pollers.values()) {
+      poller.stop();
+    }
+    this.pollers.clear();
+    this.fingerprints.clear();
+  }
+
+  /**
+   * Sync pollers with the device and sensor registry; only changed devices are restarted
+   */
+  async refresh() {
+    const devices = await mongoService.getCollection('devices')
+      .find({ 'configuration.modbus': { $exists: true } })
+      .project({ ip_address: 1, configuration: 1 })
+      .toArray();
+
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ device_id: { $in: devices.map((device) => device._id) }, 'configuration.modbus': { $exists: true } })
+      .project({ device_id: 1, unit: 1, sampling_rate: 1, status: 1, configuration: 1 })
+      .toArray();
+
+    const active = new Set();
+
+    devices.forEach((device) => {
+      const config = this.deviceConfig(device);
+      if (!config) {
+        return;
+      }
+
+      const registerMaps = [];
+      sensors
+        .filter((sensor) => sensor.device_id === device._id && sensor.status !== 'inactive')
+        .forEach((sensor) => {
+          const map = normalizeRegisterMap(sensor);
+          if (map) {
+            registerMaps.push(map);
+          } else {
+            logger.warn(`Sensor ${sensor._id} has an invalid Modbus register map and is not polled`);
+          }
+        });
+
+      if (registerMaps.length === 0) {
+        return;
+      }
+
+      // Without an explicit interval the fastest sensor sets the pace
+      if (!config.poll_interval) {
+        config.poll_interval = Math.min(...registerMaps.map((map) => map.sampling_rate || 1000));
+      }
+
+      active.add(device._id);
+      const fingerprint = JSON.stringify({ config, registerMaps });
+      if (this.fingerprints.get(device._id) === fingerprint) {
+        return;
+      }
+
+      if (this.pollers.has(device._id)) {
+        this.pollers.get(device._id).stop();
+      }
+
+      const poller = new ModbusPoller(device._id, config, registerMaps, this.options);
+      this.pollers.set(device._id, poller);
+      this.fingerprints.set(device._id, fingerprint);
+      poller.start();
+      logger.info(`Polling Modbus device ${device._id} at ${config.host}:${config.port} (${registerMaps.length} registers)`);
+    });
+
+    for (const [deviceId, poller] of this.pollers) {
+      if (!active.has(deviceId)) {
+        poller.stop();
+        this.pollers.delete(deviceId);
+        this.fingerprints.delete(deviceId);
+        logger.info(`Stopped polling Modbus device ${deviceId}`);
+      }
+    }
+  }
+
+  deviceConfig(device) {
+    const modbus = device.configuration.modbus || {};
+    const host = modbus.host || device.ip_address;
+
+    if (modbus.enabled === false || !host) {
+      return null;
+    }
+
+    return {
+      host,
+      port: parseInt(modbus.port) || 502,
+      unit_id: modbus.unit_id !== undefined ? parseInt(modbus.unit_id) : 1,
+      poll_interval: parseInt(modbus.poll_interval) || null,
+      timeout: parseInt(modbus.timeout) || this.options.defaultTimeoutMs
+    };
+  }
+
+  /**
+   * Poll status of a device, or null if it is not polled over Modbus
+   * @param {string} deviceId - Device ID
+   */
+  getDeviceStatus(deviceId) {
+    const poller = this.pollers.get(deviceId);
+    return poller ? poller.getStatus() : null;
+  }
+
+  getStats() {
+    const stats = { devices: this.pollers.size, polling: 0, failing: 0 };
+    for (const poller of this.pollers.values()) {
+      if (poller.status.state === 'polling') stats.polling += 1;
+      if (poller.status.state === 'error') stats.failing += 1;
+    }
+    return stats;
+  }
+}
+
+module.exports = new ModbusService();
@@ -55,6 +55,54 @@ class MongoService {
       await this.db.collection('aas_metadata').createIndex({ aasId: 1 }, { unique: true });
       await this.db.collection('aas_metadata').createIndex({ 'identification.id': 1 });
       
+      // Device status history indexes
+      await this.db.collection('device_status_history').createIndex({ device_id: 1, timestamp: -1 });
+      
+      // Device command indexes
+      await this.db.collection('device_commands').createIndex({ device_id: 1, created_at: -1 });
+      await this.db.collection('device_commands').createIndex({ status: 1 });
+      
+      // MQTT topic mapping and dead-letter indexes
+      await this.db.collection('ingest_mappings').createIndex({ enabled: 1, priority: -1 });
+      await this.db.collection('ingest_dead_letters').createIndex({ status: 1, received_at: -1 });
+      await this.db.collection('ingest_dead_letters').createIndex({ reason: 1 });
+      
+      // Device credential and claim token indexes
+      await this.db.collection('device_credentials').createIndex({ device_id: 1, status: 1 });
+      await this.db.collection('device_credentials').createIndex({ token_lookup: 1 }, { sparse: true });
+      await this.db.collection('device_claim_tokens').createIndex({ token_hash: 1 }, { unique: true });
+      await this.db.collection('device_claim_tokens').createIndex({ device_id: 1 });
+      
+      // Historical import job indexes
+      await this.db.collection('import_jobs').createIndex({ created_at: -1 });
+      await this.db.collection('import_jobs').createIndex({ status: 1 });
+      await this.db.collection('export_jobs').createIndex({ created_at: -1 });
+      await this.db.collection('export_jobs').createIndex({ status: 1, expires_at: 1 });
+      
+      // Sensor calibration history and reprocessing job indexes
+      await this.db.collection('sensor_calibrations').createIndex({ sensor_id: 1, version: -1 }, { unique: true });
+      await this.db.collection('sensor_calibrations').createIndex({ sensor_id: 1, effective_from: -1 });
+      await this.db.collection('calibration_jobs').createIndex({ sensor_id: 1, created_at: -1 });
+      await this.db.collection('calibration_jobs').createIndex({ status: 1 });
+      
+      // Retention policy indexes
+      await this.db.collection('retention_policies').createIndex({ updated_at: -1 });
+      
+      // Energy tariff indexes
+      await this.db.collection('energy_tariffs').createIndex({ is_default: 1 });
+      
+      // Sensor health indexes
+      await this.db.collection('sensor_health').createIndex({ sensor_id: 1, assessed_at: -1 });
+      
+      // Sensor annotation indexes
+      await this.db.collection('sensor_annotations').createIndex({ sensor_id: 1, start_time: -1 });
+      await this.db.collection('sensor_annotations').createIndex({ type: 1, start_time: -1 });
+      
+      // Virtual sensor indexes
+      await this.db.collection('sensors').createIndex({ 'virtual.expression': 1 }, { sparse: true });
+      await this.db.collection('virtual_sensor_jobs').createIndex({ sensor_id: 1, created_at: -1 });
+      await this.db.collection('virtual_sensor_jobs').createIndex({ status: 1 });
+      
       console.log('MongoDB indexes created successfully');
     } catch (error) {
       console.error('Error creating MongoDB indexes:', error);
@@ -262,6 +310,27 @@ class MongoService {
     }
   }
 
+  /**
+   * Apply a single write operation description
+   * @param {Object} op - { collection, type, filter, document, update, options }
+   */
+  async applyWrite(op) {
+    const collection = this.getCollection(op.collection);
+
+    switch (op.type) {
+      case 'insertOne':
+        return collection.insertOne(op.document, op.options);
+      case 'updateOne':
+        return collection.updateOne(op.filter, op.update, op.options);
+      case 'updateMany':
+        return collection.updateMany(op.filter, op.update, op.options);
+      case 'replaceOne':
+        return collection.replaceOne(op.filter, op.document, op.options);
+      default:
+        throw new Error(`Unsupported write operation: ${op.type}`);
+    }
+  }
+
   /**
    * Health check
    */
@@ -0,0 +1,433 @@
+const {
+  OPCUAClient,
+  MessageSecurityMode,
+  SecurityPolicy,
+  AttributeIds,
+  TimestampsToReturn,
+  UserTokenType,
+  StatusCodes
+} = require('node-opcua-client');
+const mongoService = require('./mongoService');
+const ingestionService = require('./ingestionService');
+const livenessService = require('./livenessService');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'opcua_connections';
+
+/**
+ * Convert an OPC UA variant value to a number the sensor pipeline can store
+ * @returns {number|null} Null for values that are not numeric scalars
+ */
+const toNumericValue = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  // (U)Int64 values arrive as [high, low] 32-bit words
+  if (Array.isArray(value) && value.length === 2 && value.every(Number.isInteger)) {
+    return value[0] * 0x100000000 + (value[1] >>> 0);
+  }
+  return null;
+};
+
+/**
+ * A single OPC UA endpoint: client, session and either a subscription or poll timers
+ */
+class OpcUaConnection {
+  constructor(config, bindings, options) {
+    this.config = config;
+    this.bindings = bindings;
+    this.options = options;
+
+    this.client = null;
+    this.session = null;
+    this.subscription = null;
+    this.pollTimers = [];
+    this.retryTimer = null;
+    this.retryDelay = options.reconnectDelayMs;
+    this.reconnecting = false;
+    this.stopped = false;
+
+    this.status = 'disconnected';
+    this.lastError = null;
+    this.connectedAt = null;
+    this.stats = { readings: 0, bad_quality: 0, skipped: 0, reconnects: 0, last_value_at: null };
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.connect();
+  }
+
+  async connect() {
+    const { config, options } = this;
+    this.status = 'connecting';
+
+    this.client = OPCUAClient.create({
+      applicationName: options.applicationName,
+      securityMode: MessageSecurityMode[config.security_mode || 'None'],
+      securityPolicy: SecurityPolicy[config.security_policy || 'None'],
+      endpointMustExist: false,
+      keepSessionAlive: true,
+      requestedSessionTimeout: options.sessionTimeoutMs,
+      // Reconnection is handled here so sessions and subscriptions are rebuilt from the bindings
+      connectionStrategy: {
+        initialDelay: options.reconnectDelayMs,
+        maxDelay: options.reconnectMaxDelayMs,
+        maxRetry: 0
+      },
+      ...(options.certificateFile && { certificateFile: options.certificateFile }),
+      ...(options.privateKeyFile && { privateKeyFile: options.privateKeyFile })
+    });
+
+    this.client.on('connection_lost', () => this.scheduleReconnect(new Error('Connection lost')));
+    this.client.on('connection_failed', () => this.scheduleReconnect(new Error('Connection failed')));
+
+    try {
+      await this.client.connect(config.endpoint_url);
+      this.session = await this.client.createSession(this.userIdentity());
+
+      if (this.stopped) {
+        await this.disconnect();
+        return;
+      }
+
+      this.session.on('session_closed', () => {
+        if (!this.stopped) {
+          this.scheduleReconnect(new Error('Session closed by server'));
+        }
+      });
+
+      await this.startAcquisition();
+
+      this.status = 'connected';
+      this.lastError = null;
+      this.connectedAt = new Date();
+      this.retryDelay = options.reconnectDelayMs;
+      logger.info(`OPC UA connection ${config.name} connected to ${config.endpoint_url} (${this.bindings.length} nodes)`);
+    } catch (error) {
+      this.scheduleReconnect(error);
+    }
+  }
+
+  userIdentity() {
+    const auth = this.config.authentication || {};
+
+    if (auth.type === 'username') {
+      return { type: UserTokenType.UserName, userName: auth.username, password: auth.password };
+    }
+    return { type: UserTokenType.Anonymous };
+  }
+
+  /**
+   * Tear down the client and try again with exponential backoff
+   */
+  scheduleReconnect(error) {
+    if (this.stopped || this.reconnecting) {
+      return;
+    }
+
+    this.reconnecting = true;
+    this.status = 'error';
+    this.lastError = error.message;
+    logger.warn(`OPC UA connection ${this.config.name} failed, retrying in ${this.retryDelay}ms: ${error.message}`);
+
+    const delay = this.retryDelay;
+    this.retryDelay = Math.min(this.retryDelay * 2, this.options.reconnectMaxDelayMs);
+
+    this.disconnect().finally(() => {
+      if (this.stopped) {
+        return;
+      }
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.reconnecting = false;
+        this.stats.reconnects += 1;
+        this.connect().catch((connectError) => this.scheduleReconnect(connectError));
+      }, delay);
+      this.retryTimer.unref();
+    });
+  }
+
+  bindingMode(binding) {
+    return binding.mode || this.config.mode || 'subscription';
+  }
+
+  async startAcquisition() {
+    const subscribed = this.bindings.filter((binding) => this.bindingMode(binding) === 'subscription');
+    const polled = this.bindings.filter((binding) => this.bindingMode(binding) === 'polling');
+
+    if (subscribed.length > 0) {
+      await this.subscribe(subscribed);
+    }
+    if (polled.length > 0) {
+      this.startPolling(polled);
+    }
+  }
+
+  async subscribe(bindings) {
+    this.subscription = await this.session.createSubscription2({
+      requestedPublishingInterval: this.config.publishing_interval || 1000,
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 1000,
+      publishingEnabled: true,
+      priority: 10
+    });
+
+    for (const binding of bindings) {
+      try {
+        const item = await this.subscription.monitor(
+          { nodeId: binding.node_id, attributeId: AttributeIds.Value },
+          { samplingInterval: binding.sampling_rate, discardOldest: true, queueSize: 10 },
+          TimestampsToReturn.Both
+        );
+        item.on('changed', (dataValue) => {
+          this.handleValues([[binding, dataValue]]).catch((error) => {
+            logger.error(`OPC UA value from ${binding.node_id} not ingested:`, error);
+          });
+        });
+        item.on('err', (message) => logger.warn(`OPC UA monitored item ${binding.node_id} failed: ${message}`));
+      } catch (error) {
+        logger.warn(`OPC UA node ${binding.node_id} on ${this.config.name} not monitored: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Read polled nodes in one request per sampling rate
+   */
+  startPolling(bindings) {
+    const groups = new Map();
+    bindings.forEach((binding) => {
+      const group = groups.get(binding.sampling_rate) || [];
+      group.push(binding);
+      groups.set(binding.sampling_rate, group);
+    });
+
+    for (const [interval, group] of groups) {
+      let polling = false;
+      const timer = setInterval(async () => {
+        // Skip a tick rather than pile up reads against a slow server
+        if (polling || this.status !== 'connected') {
+          return;
+        }
+        polling = true;
+        try {
+          const dataValues = await this.session.read(
+            group.map((binding) => ({ nodeId: binding.node_id, attributeId: AttributeIds.Value }))
+          );
+          await this.handleValues(group.map((binding, index) => [binding, dataValues[index]]));
+        } catch (error) {
+          logger.warn(`OPC UA poll on ${this.config.name} failed: ${error.message}`);
+        } finally {
+          polling = false;
+        }
+      }, interval);
+      timer.unref();
+      this.pollTimers.push(timer);
+    }
+  }
+
+  async handleValues(entries) {
+    const readings = [];
+
+    entries.forEach(([binding, dataValue]) => {
+      if (!dataValue || !dataValue.statusCode || dataValue.statusCode.value !== StatusCodes.Good.value) {
+        this.stats.bad_quality += 1;
+        return;
+      }
+
+      const value = toNumericValue(dataValue.value && dataValue.value.value);
+      if (value === null) {
+        this.stats.skipped += 1;
+        return;
+      }
+
+      readings.push({
+        device_id: binding.device_id,
+        sensor_id: binding.sensor_id,
+        value,
+        unit: binding.unit,
+        timestamp: dataValue.sourceTimestamp || dataValue.serverTimestamp || new Date(),
+        tags: { source: 'opcua' }
+      });
+    });
+
+    if (readings.length === 0) {
+      return;
+    }
+
+    this.stats.readings += readings.length;
+    this.stats.last_value_at = new Date().toISOString();
+
+    for (const deviceId of new Set(readings.map((reading) => reading.device_id))) {
+      await livenessService.touch(deviceId);
+    }
+    await ingestionService.ingest(readings);
+  }
+
+  async disconnect() {
+    this.pollTimers.forEach((timer) => clearInterval(timer));
+    this.pollTimers = [];
+
+    const { client, session, subscription } = this;
+    this.client = null;
+    this.session = null;
+    this.subscription = null;
+
+    try {
+      if (subscription) await subscription.terminate();
+      if (session) await session.close();
+    } catch (error) {
+      logger.debug(`OPC UA session on ${this.config.name} not closed cleanly: ${error.message}`);
+    }
+    if (client) {
+      await client.disconnect().catch(() => {});
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.reconnecting = false;
+    await this.disconnect();
+    this.status = 'disconnected';
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      last_error: this.lastError,
+      connected_at: this.connectedAt ? this.connectedAt.toISOString() : null,
+      nodes: this.bindings.length,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * OPC UA connector. Connections and their node-to-sensor bindings live in
+ * the opcua_connections collection; readings are fed into the ingestion pipeline.
+ */
+class OpcUaService {
+  constructor() {
+    this.options = {
+      applicationName: process.env.OPCUA_APPLICATION_NAME || 'IIoT Platform',
+      reconnectDelayMs: parseInt(process.env.OPCUA_RECONNECT_DELAY_MS) || 1000,
+      reconnectMaxDelayMs: parseInt(process.env.OPCUA_RECONNECT_MAX_DELAY_MS) || 30000,
+      sessionTimeoutMs: parseInt(process.env.OPCUA_SESSION_TIMEOUT_MS) || 60000,
+      certificateFile: process.env.OPCUA_CERTIFICATE_FILE || null,
+      privateKeyFile: process.env.OPCUA_PRIVATE_KEY_FILE || null
+    };
+
+    this.connections = new Map();
+  }
+
+  /**
+   * Open every enabled connection
+   */
+  async start() {
+    let configs = [];
+    try {
+      configs = await mongoService.getCollection(COLLECTION).find({ enabled: { $ne: false } }).toArray();
+    } catch (error) {
+      logger.warn(`OPC UA connections not loaded: ${error.message}`);
+      return;
+    }
+
+    for (const config of configs) {
+      await this.open(config);
+    }
+
+    if (configs.length > 0) {
+      logger.info(`OPC UA connector started with ${configs.length} connections`);
+    }
+  }
+
+  async stop() {
+    for (const connection of this.connections.values()) {
+      await connection.stop();
+    }
+    this.connections.clear();
+  }
+
+  /**
+   * Resolve bindings against the sensor registry; the sensor supplies device, unit and sampling rate
+   */
+  async resolveBindings(config) {
+    const bindings = (config.bindings || []).filter((binding) => binding.enabled !== false);
+    if (bindings.length === 0) {
+      return [];
+    }
+
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ _id: { $in: bindings.map((binding) => binding.sensor_id) } })
+      .project({ device_id: 1, unit: 1, sampling_rate: 1, status: 1 })
+      .toArray();
+    const sensorsById = new Map(sensors.map((sensor) => [sensor._id, sensor]));
+
+    return bindings.reduce((resolved, binding) => {
+      const sensor = sensorsById.get(binding.sensor_id);
+      if (!sensor) {
+        logger.warn(`OPC UA binding ${binding.node_id} on ${config.name} skipped: sensor ${binding.sensor_id} not found`);
+        return resolved;
+      }
+
+      resolved.push({
+        ...binding,
+        device_id: sensor.device_id,
+        unit: sensor.unit || null,
+        sampling_rate: binding.sampling_rate || sensor.sampling_rate || 1000
+      });
+      return resolved;
+    }, []);
+  }
+
+  async open(config) {
+    try {
+      const connection = new OpcUaConnection(config, await this.resolveBindings(config), this.options);
+      this.connections.set(config._id, connection);
+      // Connecting can take a while when the server is down; it retries in the background
+      connection.start().catch((error) => logger.error(`OPC UA connection ${config.name} failed to start:`, error));
+    } catch (error) {
+      logger.error(`OPC UA connection ${config.name} not opened:`, error);
+    }
+  }
+
+  /**
+   * Re-read a connection from MongoDB and restart it, or close it if it was removed or disabled
+   * @param {string} connectionId - Connection ID
+   */
+  async reload(connectionId) {
+    const existing = this.connections.get(connectionId);
+    if (existing) {
+      this.connections.delete(connectionId);
+      await existing.stop();
+    }
+
+    const config = await mongoService.getCollection(COLLECTION).findOne({ _id: connectionId });
+    if (config && config.enabled !== false) {
+      await this.open(config);
+    }
+  }
+
+  getConnectionStatus(connectionId) {
+    const connection = this.connections.get(connectionId);
+    return connection ? connection.getStatus() : { status: 'disabled' };
+  }
+
+  getStats() {
+    const stats = { connections: this.connections.size, connected: 0, readings: 0 };
+    for (const connection of this.connections.values()) {
+      if (connection.status === 'connected') stats.connected += 1;
+      stats.readings += connection.stats.readings;
+    }
+    return stats;
+  }
+}
+
+module.exports = new OpcUaService();
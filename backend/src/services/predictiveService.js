@@ -0,0 +1,470 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const retentionService = require('./retentionService');
+const logger = require('../utils/logger');
+const { fitDegradation, normalQuantile, remainingLife } = require('../utils/degradation');
+
+const HEALTH_COLLECTION = 'sensor_health';
+const ALERT_SOURCE = 'predictive_maintenance';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUERY_CHUNK_SIZE = 50;
+const STATUS_SEVERITY = { warning: 'high', critical: 'critical' };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * Failure threshold of a sensor: configuration.maintenance.failure_threshold, else the
+ * end of the sensor range the trend is heading for
+ * @returns {Object|null} { value, direction, source }
+ */
+const thresholdFor = (sensor, slope) => {
+  const config = (sensor.configuration && sensor.configuration.maintenance) || {};
+
+  if (config.failure_threshold !== undefined && config.failure_threshold !== null) {
+    return {
+      value: Number(config.failure_threshold),
+      direction: config.direction || (slope >= 0 ? 'rising' : 'falling'),
+      source: 'configuration'
+    };
+  }
+  if (slope >= 0 && sensor.max_value !== undefined && sensor.max_value !== null) {
+    return { value: Number(sensor.max_value), direction: 'rising', source: 'max_value' };
+  }
+  if (slope < 0 && sensor.min_value !== undefined && sensor.min_value !== null) {
+    return { value: Number(sensor.min_value), direction: 'falling', source: 'min_value' };
+  }
+  return null;
+};
+
+/**
+ * Predictive maintenance: fits linear and exponential degradation models to the
+ * hourly means of each sensor's recent history and estimates when the trend reaches
+ * the sensor's failure threshold. A scheduled run stores every assessment in
+ * sensor_health and raises maintenance alerts for sensors predicted to fail.
+ */
+class PredictiveService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.PREDICTIVE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+    this.historyDays = parseInt(process.env.PREDICTIVE_HISTORY_DAYS) || 30;
+    this.window = process.env.PREDICTIVE_WINDOW || '1h';
+    this.minPoints = parseInt(process.env.PREDICTIVE_MIN_POINTS) || 24;
+    this.horizonDays = parseInt(process.env.PREDICTIVE_HORIZON_DAYS) || 30;
+    this.criticalDays = parseInt(process.env.PREDICTIVE_CRITICAL_DAYS) || 7;
+    this.confidence = parseFloat(process.env.PREDICTIVE_CONFIDENCE) || 0.9;
+    this.maxRulDays = parseInt(process.env.PREDICTIVE_MAX_RUL_DAYS) || 3650;
+    this.leadDays = parseInt(process.env.PREDICTIVE_MAINTENANCE_LEAD_DAYS) || 3;
+
+    this.io = null;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * @param {Object} io - Socket.IO server
+   */
+  async start(io) {
+    this.io = io;
+
+    if (!influxService.isConfigured() || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => logger.error('Predictive maintenance run failed:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sensors to assess, active ones only
+   * @param {Object} filter - { sensorIds, deviceIds }
+   */
+  async findSensors({ sensorIds, deviceIds } = {}) {
+    const filter = { status: { $ne: 'inactive' } };
+    if (sensorIds && sensorIds.length > 0) {
+      filter._id = { $in: sensorIds };
+    }
+    if (deviceIds && deviceIds.length > 0) {
+      filter.device_id = { $in: deviceIds };
+    }
+
+    const sensors = await mongoService.getCollection('sensors')
+      .find(filter)
+      .project({ name: 1, device_id: 1, sensor_type: 1, unit: 1, min_value: 1, max_value: 1, 'configuration.maintenance': 1 })
+      .toArray();
+
+    return sensors.filter((sensor) => !sensor.configuration
+      || !sensor.configuration.maintenance
+      || sensor.configuration.maintenance.enabled !== false);
+  }
+
+  /**
+   * Windowed means of the sensors' recent history, read from rollups where available
+   * @returns {Map} sensorId => [{ t, value }] with t in days before now (negative)
+   */
+  async loadHistory(sensorIds, now) {
+    const history = new Map(sensorIds.map((sensorId) => [sensorId, []]));
+
+    for (let index = 0; index < sensorIds.length; index += QUERY_CHUNK_SIZE) {
+      const chunk = sensorIds.slice(index, index + QUERY_CHUNK_SIZE);
+      const { query } = retentionService.select({
+        start: new Date(now - this.historyDays * DAY_MS),
+        stop: new Date(now),
+        every: this.window,
+        aggregation: 'mean'
+      }, (part) => part.where('sensor_id', chunk));
+
+      const rows = await influxService.run(query.keep(['_time', '_value', 'sensor_id']));
+      rows.forEach((row) => {
+        const value = Number(row._value);
+        if (history.has(row.sensor_id) && row._value !== null && Number.isFinite(value)) {
+          history.get(row.sensor_id).push({ t: (new Date(row._time).getTime() - now) / DAY_MS, value });
+        }
+      });
+    }
+
+    history.forEach((points) => points.sort((a, b) => a.t - b.t));
+    return history;
+  }
+
+  /**
+   * Assess one sensor from its history
+   * @param {Object} sensor - Sensor document
+   * @param {Array} points - [{ t, value }]
+   * @param {Object} options - { now, horizonDays, confidence }
+   * @returns {Object} Assessment; status is insufficient_data, no_threshold, healthy, warning or critical
+   */
+  assess(sensor, points, { now, horizonDays, confidence }) {
+    const config = (sensor.configuration && sensor.configuration.maintenance) || {};
+    const assessment = {
+      sensor_id: sensor._id,
+      sensor_name: sensor.name,
+      device_id: sensor.device_id,
+      assessed_at: new Date(now),
+      points: points.length,
+      model: null,
+      threshold: null,
+      current_value: points.length > 0 ? round(points[points.length - 1].value) : null,
+      trend_per_day: null,
+      rul_days: null,
+      rul_interval: null,
+      predicted_failure_at: null,
+      failure_probability: null,
+      health_score: null,
+      status: 'insufficient_data'
+    };
+
+    const model = points.length >= this.minPoints ? fitDegradation(points, config.model || 'auto') : null;
+    if (!model) {
+      return assessment;
+    }
+
+    assessment.model = {
+      type: model.type,
+      intercept: model.intercept,
+      slope: model.slope,
+      r_squared: round(model.rSquared, 4),
+      rmse: round(model.rmse, 4)
+    };
+    assessment.current_value = round(model.predict(0));
+    assessment.trend_per_day = round(model.predict(1) - model.predict(0), 6);
+
+    const threshold = thresholdFor(sensor, model.slope);
+    if (!threshold) {
+      assessment.status = 'no_threshold';
+      return assessment;
+    }
+    assessment.threshold = threshold;
+
+    const life = remainingLife(model, {
+      threshold: threshold.value,
+      direction: threshold.direction,
+      confidence,
+      maxDays: this.maxRulDays,
+      horizonDays
+    });
+    const atDays = (days) => (days === null ? null : new Date(now + days * DAY_MS));
+
+    assessment.rul_days = round(life.rul_days, 2);
+    assessment.rul_interval = {
+      confidence,
+      lower_days: round(life.lower_days, 2),
+      upper_days: round(life.upper_days, 2),
+      earliest_failure_at: atDays(life.lower_days),
+      latest_failure_at: atDays(life.upper_days)
+    };
+    assessment.predicted_failure_at = atDays(life.rul_days);
+    assessment.failure_probability = round(life.failure_probability, 4);
+
+    // Health is the share of the margin to the threshold left since the start of the
+    // history, capped by how soon the pessimistic estimate reaches the threshold
+    const margin = (value) => (threshold.direction === 'rising' ? threshold.value - value : value - threshold.value);
+    const startMargin = margin(model.predict(points[0].t));
+    const marginLeft = startMargin > 0 ? clamp(margin(model.predict(0)) / startMargin, 0, 1) : 0;
+    const lifeLeft = life.lower_days === null ? 1 : clamp(life.lower_days / horizonDays, 0, 1);
+    assessment.health_score = Math.round(100 * Math.min(marginLeft, lifeLeft));
+
+    if (life.lower_days !== null && life.lower_days <= this.criticalDays) {
+      assessment.status = 'critical';
+    } else if (life.lower_days !== null && life.lower_days <= horizonDays) {
+      assessment.status = 'warning';
+    } else {
+      assessment.status = 'healthy';
+    }
+
+    return assessment;
+  }
+
+  /**
+   * Assess sensors
+   * @param {Object} options - { sensorIds, deviceIds, horizonDays, confidence, includeForecast, now }
+   * @returns {Array} Assessments, with a daily forecast when includeForecast is set
+   */
+  async assessSensors({
+    sensorIds,
+    deviceIds,
+    horizonDays = this.horizonDays,
+    confidence = this.confidence,
+    includeForecast = false,
+    now = Date.now()
+  } = {}) {
+    const sensors = await this.findSensors({ sensorIds, deviceIds });
+    if (sensors.length === 0) {
+      return [];
+    }
+
+    const history = await this.loadHistory(sensors.map((sensor) => sensor._id), now);
+    return sensors.map((sensor) => {
+      const points = history.get(sensor._id);
+      const options = { now, horizonDays, confidence };
+      const assessment = this.assess(sensor, points, options);
+
+      if (includeForecast) {
+        assessment.forecast = this.forecast(assessment, points, options);
+      }
+      return assessment;
+    });
+  }
+
+  /**
+   * Maintenance due per device: before the earliest predicted failure of its sensors,
+   * leaving PREDICTIVE_MAINTENANCE_LEAD_DAYS to plan the work
+   * @param {Array} assessments - Results of assessSensors
+   * @returns {Array} [{ device_id, recommended_date, priority, sensors }] most urgent first
+   */
+  maintenanceSchedule(assessments, now = Date.now()) {
+    const devices = new Map();
+
+    assessments
+      .filter((assessment) => STATUS_SEVERITY[assessment.status])
+      .forEach((assessment) => {
+        const earliest = assessment.rul_interval.earliest_failure_at.getTime();
+        const entry = devices.get(assessment.device_id) || { device_id: assessment.device_id, earliest, priority: 'high', sensors: [] };
+
+        entry.earliest = Math.min(entry.earliest, earliest);
+        if (assessment.status === 'critical') {
+          entry.priority = 'critical';
+        }
+        entry.sensors.push({
+          sensor_id: assessment.sensor_id,
+          sensor_name: assessment.sensor_name,
+          rul_days: assessment.rul_days,
+          status: assessment.status
+        });
+        devices.set(assessment.device_id, entry);
+      });
+
+    return Array.from(devices.values())
+      .sort((a, b) => a.earliest - b.earliest)
+      .map(({ earliest, ...entry }) => ({
+        ...entry,
+        maintenance_type: 'predictive',
+        recommended_date: new Date(Math.max(now, earliest - this.leadDays * DAY_MS)),
+        earliest_failure_at: new Date(earliest)
+      }));
+  }
+
+  /**
+   * Daily forecast of a sensor with its prediction interval
+   * @returns {Array} [{ timestamp, predicted_value, confidence_interval: { lower, upper } }]
+   */
+  forecast(assessment, points, { now, horizonDays, confidence }) {
+    if (!assessment.model) {
+      return [];
+    }
+
+    const model = fitDegradation(points, assessment.model.type);
+    const z = normalQuantile(0.5 + confidence / 2);
+    const days = Array.from({ length: Math.ceil(horizonDays) }, (value, index) => index + 1);
+
+    return days.map((day) => {
+      const interval = model.interval(day, z);
+      return {
+        timestamp: new Date(now + day * DAY_MS),
+        predicted_value: round(model.predict(day)),
+        confidence_interval: { lower: round(interval.lower), upper: round(interval.upper) }
+      };
+    });
+  }
+
+  /**
+   * Scheduled run: assess every sensor, store the results and update maintenance alerts
+   * @returns {Object} { assessed, stored, alerts_raised, alerts_resolved }
+   */
+  async run(now = Date.now()) {
+    if (this.running || !mongoService.isConnected || !influxService.isConfigured()) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const assessments = await this.assessSensors({ now });
+      const stored = assessments.filter((assessment) => assessment.threshold);
+
+      if (stored.length > 0) {
+        await mongoService.getCollection(HEALTH_COLLECTION).insertMany(
+          stored.map((assessment) => ({ _id: uuidv4(), ...assessment }))
+        );
+      }
+
+      let raised = 0;
+      let resolved = 0;
+      for (const assessment of stored) {
+        if (STATUS_SEVERITY[assessment.status]) {
+          raised += (await this.raiseAlert(assessment)) ? 1 : 0;
+        } else {
+          resolved += (await this.resolveAlert(assessment)) ? 1 : 0;
+        }
+      }
+
+      this.lastRun = { at: new Date(now), assessed: assessments.length, stored: stored.length, alerts_raised: raised, alerts_resolved: resolved };
+      logger.info(`Predictive maintenance: ${assessments.length} sensors assessed, ${raised} alerts raised, ${resolved} resolved`);
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Raise a maintenance alert for a sensor predicted to fail, or raise the severity of
+   * its open alert when the prediction got worse
+   * @returns {boolean} True when a new alert was raised
+   */
+  async raiseAlert(assessment) {
+    const alerts = mongoService.getCollection('alerts');
+    const severity = STATUS_SEVERITY[assessment.status];
+    const conditionDetails = {
+      model: assessment.model.type,
+      threshold: assessment.threshold,
+      rul_days: assessment.rul_days,
+      rul_interval: assessment.rul_interval,
+      failure_probability: assessment.failure_probability,
+      health_score: assessment.health_score
+    };
+
+    const open = await alerts.findOne({
+      sensor_id: assessment.sensor_id,
+      alert_type: 'maintenance',
+      'metadata.source': ALERT_SOURCE,
+      status: { $in: ['active', 'acknowledged'] }
+    });
+
+    if (open) {
+      const update = { condition_details: conditionDetails, actual_value: assessment.current_value, updated_at: new Date() };
+      if (severity === 'critical' && open.severity !== 'critical') {
+        update.severity = severity;
+      }
+      await alerts.updateOne({ _id: open._id }, { $set: update });
+      return false;
+    }
+
+    const earliest = assessment.rul_interval.earliest_failure_at;
+    const alert = {
+      _id: uuidv4(),
+      title: `Predicted failure: ${assessment.sensor_name}`,
+      description: `Sensor ${assessment.sensor_name} is trending towards ${assessment.threshold.value} `
+        + `(${assessment.threshold.source}) and may reach it ${earliest ? `from ${earliest.toISOString()}` : 'soon'}; `
+        + `expected in ${assessment.rul_days === null ? 'more than the forecast range' : `${assessment.rul_days} days`}`,
+      alert_type: 'maintenance',
+      severity,
+      device_id: assessment.device_id,
+      sensor_id: assessment.sensor_id,
+      threshold_value: assessment.threshold.value,
+      actual_value: assessment.current_value,
+      condition_details: conditionDetails,
+      metadata: { source: ALERT_SOURCE },
+      status: 'active',
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    await alerts.insertOne(alert);
+    if (this.io) {
+      this.io.emit('alert:created', { alert, timestamp: new Date().toISOString() });
+    }
+    logger.info(`Predictive maintenance alert raised for sensor ${assessment.sensor_id}`, { rul_days: assessment.rul_days });
+    return true;
+  }
+
+  /**
+   * Resolve open predictive maintenance alerts of a sensor that is healthy again
+   * @returns {boolean} True when an alert was resolved
+   */
+  async resolveAlert(assessment) {
+    const now = new Date();
+    const result = await mongoService.getCollection('alerts').updateMany(
+      {
+        sensor_id: assessment.sensor_id,
+        alert_type: 'maintenance',
+        'metadata.source': ALERT_SOURCE,
+        status: { $in: ['active', 'acknowledged'] }
+      },
+      {
+        $set: {
+          status: 'resolved',
+          resolved_at: now,
+          resolution_note: 'Sensor no longer predicted to reach its failure threshold',
+          updated_at: now
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0 && this.io) {
+      this.io.emit('alert:resolved', { sensor_id: assessment.sensor_id, alert_type: 'maintenance', timestamp: now.toISOString() });
+    }
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Stored assessments of a sensor, newest first
+   * @param {Object} options - { start, end, limit }
+   */
+  async getHistory(sensorId, { start, end, limit = 100 } = {}) {
+    const filter = { sensor_id: sensorId };
+    if (start || end) {
+      filter.assessed_at = {};
+      if (start) {
+        filter.assessed_at.$gte = new Date(start);
+      }
+      if (end) {
+        filter.assessed_at.$lte = new Date(end);
+      }
+    }
+
+    return mongoService.getCollection(HEALTH_COLLECTION)
+      .find(filter)
+      .sort({ assessed_at: -1 })
+      .limit(limit)
+      .toArray();
+  }
+}
+
+module.exports = new PredictiveService();
@@ -0,0 +1,515 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { exec } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const topicMappingService = require('./topicMappingService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const CREDENTIALS_COLLECTION = 'device_credentials';
+const CLAIM_TOKENS_COLLECTION = 'device_claim_tokens';
+const CREDENTIAL_TYPES = ['password', 'token', 'certificate'];
+const TOPIC_PREFIX = 'iiot';
+const SPARKPLUG_NAMESPACE = 'spBv1.0';
+// Sparkplug group and edge node IDs become topic levels, so wildcards, separators,
+// whitespace and control characters would widen the ACL entry built from them
+const SPARKPLUG_ID_PATTERN = /^[^+#/\s\p{Cc}]+$/u;
+
+// Mosquitto 2.x password hashes: $7$<iterations>$<salt>$<PBKDF2-SHA512 hash>
+const PBKDF2_ITERATIONS = 101;
+const PBKDF2_SALT_BYTES = 12;
+const PBKDF2_KEY_BYTES = 64;
+const BROKER_FILE_MODE = 0o640;
+const RELOAD_TIMEOUT_MS = 10000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const randomSecret = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Normalise a certificate fingerprint to upper-case colon-separated hex
+ * @returns {string|null} Normalised SHA-256 fingerprint or null if malformed
+ */
+const normalizeFingerprint = (fingerprint) => {
+  const hex = String(fingerprint || '').replace(/^sha256[:=]?/i, '').replace(/[:\s]/g, '').toUpperCase();
+  return /^[0-9A-F]{64}$/.test(hex) ? hex.match(/.{2}/g).join(':') : null;
+};
+
+// Secrets and hashes never leave the service
+const HIDDEN_CREDENTIAL_FIELDS = ['secret_hash', 'token_lookup'];
+
+const sanitizeCredential = (credential) => Object.fromEntries(
+  Object.entries(credential).filter(([key]) => !HIDDEN_CREDENTIAL_FIELDS.includes(key))
+);
+
+/**
+ * Device provisioning: per-device MQTT/HTTP credentials, one-time claim tokens
+ * for field commissioning, and the Mosquitto password and ACL files that
+ * restrict every device to its own iiot/{deviceId}/# topics.
+ */
+class ProvisioningService {
+  constructor() {
+    this.passwordFile = path.resolve(process.env.MOSQUITTO_PASSWORD_FILE || '../docker/mosquitto/passwd');
+    this.aclFile = path.resolve(process.env.MOSQUITTO_ACL_FILE || '../docker/mosquitto/acl');
+    this.reloadCommand = process.env.MOSQUITTO_RELOAD_COMMAND || null;
+    this.claimTokenTtlHours = parseInt(process.env.DEVICE_CLAIM_TOKEN_TTL_HOURS) || 72;
+
+    this.syncing = Promise.resolve();
+    this.status = {
+      last_sync: null,
+      last_sync_error: null,
+      devices: 0,
+      password_entries: 0
+    };
+  }
+
+  /**
+   * Write the broker files from the stored credentials
+   */
+  async start() {
+    // The broker refuses anonymous clients, so files without a service user would lock the backend out
+    if (!process.env.MQTT_USERNAME || !process.env.MQTT_PASSWORD) {
+      logger.warn('MQTT_USERNAME and MQTT_PASSWORD not set, Mosquitto password and ACL files not generated');
+      return;
+    }
+
+    if (!mongoService.isConnected) {
+      logger.warn('MongoDB not connected, Mosquitto password and ACL files not generated');
+      return;
+    }
+
+    try {
+      await this.syncBrokerFiles();
+    } catch (error) {
+      logger.error('Failed to generate Mosquitto password and ACL files:', error);
+    }
+
+    // The backend needs read access to the topics of new or edited mappings
+    topicMappingService.on('change', () => {
+      this.syncBrokerFiles().catch((error) => {
+        logger.error('Failed to update the Mosquitto ACL file for changed topic mappings:', error);
+      });
+    });
+  }
+
+  /**
+   * Hash a password the way mosquitto_passwd does
+   * @returns {string} $7$ PBKDF2-SHA512 hash
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(PBKDF2_SALT_BYTES);
+    const hash = crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, PBKDF2_KEY_BYTES, 'sha512');
+    return `$7$${PBKDF2_ITERATIONS}$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  /**
+   * Topic filter a device is restricted to
+   */
+  deviceTopic(deviceId) {
+    return `${TOPIC_PREFIX}/${deviceId}/#`;
+  }
+
+  /**
+   * Sparkplug B edge node identity an administrator assigned to the device. Identities
+   * reported by the device itself (births, configuration) are never used for its ACL.
+   * @returns {Object|null} { group_id, edge_node_id }
+   */
+  sparkplugIdentity(device) {
+    const identity = device.sparkplug_edge_node;
+    if (!identity) {
+      return null;
+    }
+
+    const { group_id: groupId, edge_node_id: edgeNodeId } = identity;
+    if (!SPARKPLUG_ID_PATTERN.test(groupId || '') || !SPARKPLUG_ID_PATTERN.test(edgeNodeId || '')) {
+      logger.warn(`Ignoring invalid Sparkplug B edge node identity of device ${device._id}`);
+      return null;
+    }
+    return { group_id: groupId, edge_node_id: edgeNodeId };
+  }
+
+  /**
+   * Connection details handed to a device together with its credential
+   */
+  connectionInfo(deviceId) {
+    const prefix = `${TOPIC_PREFIX}/${deviceId}`;
+
+    return {
+      broker_url: process.env.MQTT_PUBLIC_URL || process.env.MQTT_BROKER_URL || null,
+      client_id: deviceId,
+      topics: {
+        data: `${prefix}/data`,
+        status: `${prefix}/status`,
+        heartbeat: `${prefix}/heartbeat`,
+        lwt: `${prefix}/lwt`,
+        commands: `${prefix}/commands`,
+        responses: `${prefix}/responses`
+      }
+    };
+  }
+
+  /**
+   * Build a new credential document and its one-time secret
+   * @returns {Object} { document, secret } where secret is { password } or { token } or {}
+   */
+  buildCredential(deviceId, { type = 'password', fingerprint } = {}, issuedBy) {
+    if (!CREDENTIAL_TYPES.includes(type)) {
+      throw new AppError(`Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}`, 400);
+    }
+
+    const document = {
+      _id: uuidv4(),
+      device_id: deviceId,
+      type,
+      username: deviceId,
+      status: 'active',
+      fingerprint: null,
+      secret_hash: null,
+      token_lookup: null,
+      issued_by: issuedBy,
+      created_at: new Date(),
+      last_used_at: null,
+      revoked_at: null,
+      revoked_by: null
+    };
+    let secret = {};
+
+    if (type === 'certificate') {
+      document.fingerprint = normalizeFingerprint(fingerprint);
+      if (!document.fingerprint) {
+        throw new AppError('A SHA-256 client certificate fingerprint is required for certificate credentials', 400);
+      }
+    } else if (type === 'token') {
+      const token = `dt_${randomSecret(32)}`;
+      document.secret_hash = this.hashPassword(token);
+      document.token_lookup = sha256(token);
+      secret = { token };
+    } else {
+      const password = randomSecret(24);
+      document.secret_hash = this.hashPassword(password);
+      secret = { password };
+    }
+
+    return { document, secret };
+  }
+
+  /**
+   * Issue a credential for a device, revoking any credential it had before
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - { type: password|token|certificate, fingerprint }
+   * @param {string} issuedBy - User ID, or "claim" for field commissioning
+   * @returns {Object} Credential with its secret; the secret is not stored and cannot be shown again
+   */
+  async issueCredential(deviceId, options, issuedBy) {
+    const { document, secret } = this.buildCredential(deviceId, options, issuedBy);
+    const credentials = mongoService.getDb().collection(CREDENTIALS_COLLECTION);
+
+    await credentials.updateMany(
+      { device_id: deviceId, status: 'active' },
+      { $set: { status: 'revoked', revoked_at: new Date(), revoked_by: issuedBy } }
+    );
+    await credentials.insertOne(document);
+    await this.syncBrokerFiles();
+
+    logger.info(`Issued ${document.type} credential ${document._id} for device ${deviceId}`);
+
+    return {
+      ...sanitizeCredential(document),
+      ...secret,
+      mqtt: this.connectionInfo(deviceId)
+    };
+  }
+
+  /**
+   * Replace the device's active credential, keeping its type unless another is requested.
+   * Certificate credentials need the fingerprint of the new certificate.
+   */
+  async rotateCredential(deviceId, options = {}, rotatedBy) {
+    const current = await mongoService.getDb().collection(CREDENTIALS_COLLECTION)
+      .findOne({ device_id: deviceId, status: 'active' }, { sort: { created_at: -1 } });
+
+    const type = options.type || (current ? current.type : 'password');
+    return this.issueCredential(deviceId, { type, fingerprint: options.fingerprint }, rotatedBy);
+  }
+
+  /**
+   * Revoke one credential
+   * @returns {Object|null} Revoked credential, or null if the device has no such credential
+   */
+  async revokeCredential(deviceId, credentialId, revokedBy) {
+    const credentials = mongoService.getDb().collection(CREDENTIALS_COLLECTION);
+    const credential = await credentials.findOne({ _id: credentialId, device_id: deviceId });
+
+    if (!credential) {
+      return null;
+    }
+    if (credential.status === 'revoked') {
+      throw new AppError('Credential is already revoked', 409);
+    }
+
+    const revoked = await credentials.findOneAndUpdate(
+      { _id: credentialId },
+      { $set: { status: 'revoked', revoked_at: new Date(), revoked_by: revokedBy } },
+      { returnDocument: 'after' }
+    );
+    await this.syncBrokerFiles();
+
+    logger.info(`Revoked credential ${credentialId} of device ${deviceId}`);
+    return sanitizeCredential(revoked);
+  }
+
+  /**
+   * Revoke every credential and unused claim token of a device, e.g. when it is deleted
+   */
+  async revokeDevice(deviceId, revokedBy) {
+    const db = mongoService.getDb();
+    const now = new Date();
+
+    await db.collection(CREDENTIALS_COLLECTION).updateMany(
+      { device_id: deviceId, status: 'active' },
+      { $set: { status: 'revoked', revoked_at: now, revoked_by: revokedBy } }
+    );
+    await db.collection(CLAIM_TOKENS_COLLECTION).updateMany(
+      { device_id: deviceId, used_at: null, revoked_at: null },
+      { $set: { revoked_at: now } }
+    );
+    await this.syncBrokerFiles();
+  }
+
+  async getCredentials(deviceId) {
+    const credentials = await mongoService.getDb().collection(CREDENTIALS_COLLECTION)
+      .find({ device_id: deviceId })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    return credentials.map(sanitizeCredential);
+  }
+
+  /**
+   * Create a one-time claim token. Earlier unused tokens of the device stop working.
+   * @param {Object} options - { type, fingerprint, expires_in_hours } of the credential issued on claim
+   * @returns {Object} { claim_token, expires_at, credential_type }
+   */
+  async createClaimToken(deviceId, options = {}, createdBy) {
+    const type = options.type || 'password';
+    if (!CREDENTIAL_TYPES.includes(type)) {
+      throw new AppError(`Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}`, 400);
+    }
+
+    const fingerprint = options.fingerprint ? normalizeFingerprint(options.fingerprint) : null;
+    if (options.fingerprint && !fingerprint) {
+      throw new AppError('Certificate fingerprint must be a SHA-256 fingerprint', 400);
+    }
+
+    const claimTokens = mongoService.getDb().collection(CLAIM_TOKENS_COLLECTION);
+    const token = `ct_${randomSecret(24)}`;
+    const expiresAt = new Date(Date.now() + (options.expires_in_hours || this.claimTokenTtlHours) * 60 * 60 * 1000);
+
+    await claimTokens.updateMany(
+      { device_id: deviceId, used_at: null, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+    await claimTokens.insertOne({
+      _id: uuidv4(),
+      device_id: deviceId,
+      token_hash: sha256(token),
+      credential_type: type,
+      fingerprint,
+      expires_at: expiresAt,
+      used_at: null,
+      revoked_at: null,
+      created_by: createdBy,
+      created_at: new Date()
+    });
+
+    return { claim_token: token, credential_type: type, expires_at: expiresAt };
+  }
+
+  /**
+   * Redeem a claim token: it is consumed and the device receives a fresh credential
+   * @param {string} token - Claim token
+   * @param {Object} options - { fingerprint } for certificate credentials not fixed at token creation
+   * @returns {Object} { device_id, credential }
+   */
+  async claim(token, { fingerprint } = {}) {
+    const claimTokens = mongoService.getDb().collection(CLAIM_TOKENS_COLLECTION);
+    const filter = {
+      token_hash: sha256(String(token)),
+      used_at: null,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    };
+
+    const pending = await claimTokens.findOne(filter);
+    if (!pending) {
+      throw new AppError('Claim token is invalid, expired or already used', 401);
+    }
+
+    const credentialOptions = { type: pending.credential_type, fingerprint: pending.fingerprint || fingerprint };
+    // Fail before consuming the token when the request cannot produce a credential
+    this.buildCredential(pending.device_id, credentialOptions, 'claim');
+
+    const device = await mongoService.getDb().collection('devices')
+      .findOne({ _id: pending.device_id, is_active: { $ne: false } }, { projection: { _id: 1 } });
+    if (!device) {
+      throw new AppError('Claim token is invalid, expired or already used', 401);
+    }
+
+    // Consume atomically so a token can only be redeemed once
+    const consumed = await claimTokens.findOneAndUpdate(
+      { _id: pending._id, used_at: null },
+      { $set: { used_at: new Date() } }
+    );
+    if (!consumed) {
+      throw new AppError('Claim token is invalid, expired or already used', 401);
+    }
+
+    const credential = await this.issueCredential(pending.device_id, credentialOptions, 'claim');
+
+    logger.info(`Device ${pending.device_id} claimed with claim token ${pending._id}`);
+    return { device_id: pending.device_id, credential };
+  }
+
+  /**
+   * Find the device for an HTTP device token
+   * @returns {Object|null} Active device or null
+   */
+  async authenticateToken(token) {
+    const db = mongoService.getDb();
+    const credential = await db.collection(CREDENTIALS_COLLECTION).findOneAndUpdate(
+      { token_lookup: sha256(token), type: 'token', status: 'active' },
+      { $set: { last_used_at: new Date() } }
+    );
+
+    if (!credential) {
+      return null;
+    }
+
+    return db.collection('devices').findOne({ _id: credential.device_id, is_active: { $ne: false } });
+  }
+
+  /**
+   * Regenerate the Mosquitto password and ACL files. Calls are serialised.
+   */
+  syncBrokerFiles() {
+    const run = this.syncing.catch(() => {}).then(() => this.writeBrokerFiles());
+    this.syncing = run;
+    return run;
+  }
+
+  async writeBrokerFiles() {
+    const db = mongoService.getDb();
+
+    try {
+      const credentials = await db.collection(CREDENTIALS_COLLECTION)
+        .find({ status: 'active' })
+        .sort({ device_id: 1 })
+        .toArray();
+
+      const deviceIds = [...new Set(credentials.map((credential) => credential.device_id))];
+      const devices = await db.collection('devices')
+        .find(
+          { _id: { $in: deviceIds }, is_active: { $ne: false } },
+          { projection: { _id: 1, sparkplug_edge_node: 1 } }
+        )
+        .toArray();
+      const activeDevices = new Map(devices.map((device) => [device._id, device]));
+      const active = credentials.filter((credential) => activeDevices.has(credential.device_id));
+
+      const passwordEntries = active.filter((credential) => credential.secret_hash);
+      const passwordLines = passwordEntries.map((credential) => `${credential.username}:${credential.secret_hash}`);
+      const aclLines = [
+        '# Generated by the IIoT platform backend. Do not edit, changes are overwritten.',
+        ''
+      ];
+
+      // The backend itself reads and writes every device topic and reads the UNS topics it has mappings for
+      const serviceUser = process.env.MQTT_USERNAME;
+      if (serviceUser && process.env.MQTT_PASSWORD) {
+        await topicMappingService.load();
+        const mappedTopics = topicMappingService.getTopicFilters()
+          .map(({ filter }) => filter)
+          .filter((filter) => !filter.startsWith(`${TOPIC_PREFIX}/`) && !filter.startsWith(`${SPARKPLUG_NAMESPACE}/`));
+
+        passwordLines.unshift(`${serviceUser}:${this.hashPassword(process.env.MQTT_PASSWORD)}`);
+        aclLines.push(
+          `user ${serviceUser}`,
+          `topic readwrite ${TOPIC_PREFIX}/#`,
+          `topic readwrite ${SPARKPLUG_NAMESPACE}/#`,
+          ...mappedTopics.map((filter) => `topic read ${filter}`),
+          ''
+        );
+      }
+
+      active.forEach((credential) => {
+        // Certificate clients connect on the TLS listener, where the certificate CN is the username
+        if (credential.fingerprint) {
+          aclLines.push(`# certificate ${credential.fingerprint}, CN ${credential.username}`);
+        }
+        aclLines.push(`user ${credential.username}`, `topic readwrite ${this.deviceTopic(credential.device_id)}`);
+
+        // Sparkplug edge nodes publish for themselves and the devices behind them, and watch host state
+        const sparkplug = this.sparkplugIdentity(activeDevices.get(credential.device_id));
+        if (sparkplug) {
+          aclLines.push(
+            `topic readwrite ${SPARKPLUG_NAMESPACE}/${sparkplug.group_id}/+/${sparkplug.edge_node_id}/#`,
+            `topic read ${SPARKPLUG_NAMESPACE}/STATE/#`
+          );
+        }
+        aclLines.push('');
+      });
+
+      await this.writeFileAtomic(this.passwordFile, passwordLines.length > 0 ? `${passwordLines.join('\n')}\n` : '');
+      await this.writeFileAtomic(this.aclFile, `${aclLines.join('\n')}\n`);
+      await this.reloadBroker();
+
+      this.status = {
+        last_sync: new Date().toISOString(),
+        last_sync_error: null,
+        devices: activeDevices.size,
+        password_entries: passwordLines.length
+      };
+    } catch (error) {
+      this.status.last_sync_error = error.message;
+      throw error;
+    }
+  }
+
+  async writeFileAtomic(file, content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, content, { mode: BROKER_FILE_MODE });
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Ask Mosquitto to reload its password and ACL files (e.g. "docker kill -s HUP iiot-mqtt")
+   */
+  reloadBroker() {
+    if (!this.reloadCommand) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      exec(this.reloadCommand, { timeout: RELOAD_TIMEOUT_MS }, (error) => {
+        if (error) {
+          logger.error(`Mosquitto reload command failed: ${error.message}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  getStatus() {
+    return {
+      ...this.status,
+      password_file: this.passwordFile,
+      acl_file: this.aclFile,
+      reload_command: Boolean(this.reloadCommand)
+    };
+  }
+}
+
+module.exports = new ProvisioningService();
@@ -0,0 +1,363 @@
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const { AppError } = require('../middleware/errorHandler');
+const { durationMs, qualityQuery } = require('../utils/flux');
+const { QUALITY_FLAGS, qualityClass, createQualityChecker } = require('../utils/quality');
+const { alignRange, windowGrid } = require('../utils/resample');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report interval for a range when none is requested
+const DEFAULT_INTERVALS = [
+  { maxRangeMs: DAY_MS, every: '1h' },
+  { maxRangeMs: 7 * DAY_MS, every: '6h' },
+  { maxRangeMs: 90 * DAY_MS, every: '1d' },
+  { maxRangeMs: Infinity, every: '7d' }
+];
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const emptyFlags = () => QUALITY_FLAGS.reduce((flags, flag) => ({ ...flags, [flag]: 0 }), {});
+
+/**
+ * Counts of a sensor over a window or the whole report, scored 0 to 100 as
+ * completeness × validity. Completeness is stored readings over the readings
+ * sampling_rate calls for; validity weighs good readings 1, uncertain 0.5 and bad 0.
+ * Either is left out when it cannot be known.
+ */
+const score = (counts) => {
+  const assessed = counts.good + counts.uncertain + counts.bad;
+  const completeness = counts.expected_points !== null
+    ? (counts.expected_points > 0 ? Math.min(1, counts.points / counts.expected_points) : null)
+    : null;
+  const validity = assessed > 0 ? (counts.good + 0.5 * counts.uncertain) / assessed : null;
+
+  return {
+    ...counts,
+    expected_points: counts.expected_points !== null ? Math.round(counts.expected_points) : null,
+    unassessed: Math.max(0, counts.points - assessed),
+    completeness: round(completeness, 4),
+    validity: round(validity, 4),
+    score: completeness === null && validity === null
+      ? null
+      : round(100 * (completeness === null ? 1 : completeness) * (validity === null ? 1 : validity), 1)
+  };
+};
+
+/**
+ * Data quality of the ingestion stream. Every numeric reading of a registered sensor is
+ * checked against the sensor's range and sampling rate, plus the stuck, flatline and spike
+ * checks set up in its configuration.quality: { stuck, flatline, spike, gap_factor, enabled }.
+ * The OPC DA style quality code is stored with the reading in the quality field and the
+ * flags raised in quality_flags; see utils/quality for the codes.
+ */
+class QualityService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.QUALITY_REFRESH_INTERVAL_MS) || 60000;
+    // Sampling intervals without a reading before a gap is flagged, for sensors without gap_factor
+    this.gapFactor = parseFloat(process.env.QUALITY_GAP_FACTOR) || 2;
+    this.maxWindows = parseInt(process.env.QUALITY_REPORT_MAX_WINDOWS) || 1000;
+
+    this.sensors = new Map();
+    this.refreshTimer = null;
+    this.stats = { assessed: 0, good: 0, uncertain: 0, bad: 0, flags: emptyFlags() };
+  }
+
+  async start() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn(`Sensor data quality settings not loaded: ${error.message}`);
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch((error) => logger.error('Data quality settings refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+    }
+
+    logger.info(`Data quality checks enabled for ${this.sensors.size} sensors`);
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Normalise a sensor's data quality settings
+   * @returns {Object|null} Settings or null when quality checks are off
+   */
+  compile(sensor) {
+    const config = (sensor.configuration && sensor.configuration.quality) || {};
+    if (config.enabled === false) {
+      return null;
+    }
+
+    return {
+      min_value: sensor.min_value,
+      max_value: sensor.max_value,
+      sampling_rate: sensor.sampling_rate,
+      quality: {
+        gap_factor: config.gap_factor !== undefined ? config.gap_factor : this.gapFactor,
+        stuck: config.stuck,
+        flatline: config.flatline,
+        spike: config.spike
+      }
+    };
+  }
+
+  /**
+   * Sync checkers with the sensor registry. Checkers of changed sensors start over.
+   */
+  async refresh() {
+    const sensors = await mongoService.getCollection('sensors')
+      .find({})
+      .project({ min_value: 1, max_value: 1, sampling_rate: 1, 'configuration.quality': 1 })
+      .toArray();
+
+    const active = new Set();
+
+    sensors.forEach((sensor) => {
+      const config = this.compile(sensor);
+      if (!config) {
+        return;
+      }
+
+      const fingerprint = JSON.stringify(config);
+      const current = this.sensors.get(sensor._id);
+      active.add(sensor._id);
+      if (current && current.fingerprint === fingerprint) {
+        return;
+      }
+
+      try {
+        this.sensors.set(sensor._id, { fingerprint, checker: createQualityChecker(config, config.quality) });
+      } catch (error) {
+        active.delete(sensor._id);
+        logger.warn(`Sensor ${sensor._id} has invalid data quality settings: ${error.message}`);
+      }
+    });
+
+    for (const sensorId of this.sensors.keys()) {
+      if (!active.has(sensorId)) {
+        this.sensors.delete(sensorId);
+      }
+    }
+  }
+
+  /**
+   * Set the quality code and flags of numeric points of registered sensors in place
+   * @param {Array} points - InfluxDB point descriptions in arrival order
+   * @returns {Array} The same points
+   */
+  assess(points) {
+    if (this.sensors.size === 0) {
+      return points;
+    }
+
+    points.forEach((point) => {
+      const entry = this.sensors.get(point.tags.sensor_id);
+      if (!entry || typeof point.fields.value !== 'number') {
+        return;
+      }
+
+      const { code, flags } = entry.checker.check({ timestamp: point.timestamp, value: point.fields.value });
+      point.fields = flags.length > 0
+        ? { ...point.fields, quality: code, quality_flags: flags.join(',') }
+        : { ...point.fields, quality: code };
+
+      this.stats.assessed += 1;
+      this.stats[qualityClass(code)] += 1;
+      flags.forEach((flag) => {
+        this.stats.flags[flag] += 1;
+      });
+    });
+
+    return points;
+  }
+
+  defaultInterval(rangeMs) {
+    return DEFAULT_INTERVALS.find(({ maxRangeMs }) => rangeMs <= maxRangeMs).every;
+  }
+
+  /**
+   * Quality scores of sensors and their devices over time
+   * @param {Object} options - { sensorIds, deviceIds, start, end, interval }
+   * @returns {Object} { summary, devices, sensors, metadata }
+   */
+  async report({ sensorIds = [], deviceIds = [], start, end, interval }) {
+    const startMs = start.getTime();
+    const endMs = end.getTime();
+    if (startMs >= endMs) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+
+    const every = interval || this.defaultInterval(endMs - startMs);
+    const everyMs = durationMs(every);
+    if (everyMs <= 0) {
+      throw new AppError('Interval must be a positive duration', 400);
+    }
+    const aligned = alignRange(startMs, endMs, everyMs);
+    if ((aligned.end - aligned.start) / everyMs > this.maxWindows) {
+      throw new AppError(`The range spans more than ${this.maxWindows} intervals of ${every}; choose a longer interval`, 400);
+    }
+    const grid = windowGrid(aligned.start, aligned.end, everyMs);
+
+    const filter = {};
+    if (sensorIds.length > 0) filter._id = { $in: sensorIds };
+    if (deviceIds.length > 0) filter.device_id = { $in: deviceIds };
+
+    const sensors = await mongoService.getCollection('sensors')
+      .find(filter)
+      .project({
+        name: 1,
+        device_id: 1,
+        sensor_type: 1,
+        unit: 1,
+        min_value: 1,
+        max_value: 1,
+        sampling_rate: 1,
+        'configuration.compression': 1,
+        'configuration.quality': 1
+      })
+      .toArray();
+    const devices = await mongoService.getCollection('devices')
+      .find({ _id: { $in: [...new Set(sensors.map((sensor) => sensor.device_id))] } })
+      .project({ name: 1 })
+      .toArray();
+
+    const rows = sensors.length > 0
+      ? await influxService.query(qualityQuery({
+        bucket: influxService.bucket,
+        start,
+        stop: end,
+        every,
+        sensorIds: sensors.map((sensor) => sensor._id),
+        flags: QUALITY_FLAGS
+      }))
+      : [];
+
+    const counted = new Map();
+    rows.forEach((row) => {
+      if (!counted.has(row.sensor_id)) {
+        counted.set(row.sensor_id, new Map());
+      }
+      counted.get(row.sensor_id).set(new Date(row._time).getTime(), row);
+    });
+
+    const sensorReports = sensors.map((sensor) => this.sensorReport(sensor, counted.get(sensor._id), grid, {
+      startMs,
+      endMs,
+      everyMs
+    }));
+
+    const deviceNames = new Map(devices.map((device) => [device._id, device.name]));
+    const deviceReports = [...new Set(sensors.map((sensor) => sensor.device_id))].map((deviceId) => {
+      const members = sensorReports.filter((report) => report.device_id === deviceId);
+      const scores = (reports) => reports.map((entry) => entry.score).filter((value) => value !== null);
+
+      return {
+        device_id: deviceId,
+        device_name: deviceNames.get(deviceId) || null,
+        sensors: members.length,
+        score: round(mean(scores(members.map((member) => member.summary))), 1),
+        series: grid.map((time, index) => ({
+          time: new Date(time).toISOString(),
+          score: round(mean(scores(members.map((member) => member.series[index]))), 1)
+        }))
+      };
+    });
+
+    const totals = sensorReports.reduce((sum, { summary }) => {
+      ['points', 'good', 'uncertain', 'bad', 'unassessed'].forEach((key) => {
+        sum[key] += summary[key];
+      });
+      QUALITY_FLAGS.forEach((flag) => {
+        sum.flags[flag] += summary.flags[flag];
+      });
+      return sum;
+    }, { points: 0, good: 0, uncertain: 0, bad: 0, unassessed: 0, flags: emptyFlags() });
+
+    return {
+      summary: {
+        sensors: sensorReports.length,
+        devices: deviceReports.length,
+        score: round(mean(sensorReports.map(({ summary }) => summary.score).filter((value) => value !== null)), 1),
+        ...totals
+      },
+      devices: deviceReports,
+      sensors: sensorReports,
+      metadata: {
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        interval: every
+      }
+    };
+  }
+
+  /**
+   * Counts and scores of one sensor per window and in total. Completeness is only
+   * known for sensors with a sampling rate whose readings are not compressed.
+   */
+  sensorReport(sensor, windows = new Map(), grid, { startMs, endMs, everyMs }) {
+    const compression = sensor.configuration && sensor.configuration.compression;
+    const samplingMs = sensor.sampling_rate > 0 && !(compression && compression.enabled !== false)
+      ? sensor.sampling_rate * 1000
+      : null;
+    const total = { points: 0, expected_points: samplingMs ? 0 : null, good: 0, uncertain: 0, bad: 0, flags: emptyFlags() };
+
+    const series = grid.map((time) => {
+      const row = windows.get(time) || {};
+      const overlapMs = Math.min(time + everyMs, endMs) - Math.max(time, startMs);
+      const counts = {
+        points: Number(row.points) || 0,
+        expected_points: samplingMs ? overlapMs / samplingMs : null,
+        good: Number(row.good) || 0,
+        uncertain: Number(row.uncertain) || 0,
+        bad: Number(row.bad) || 0,
+        flags: QUALITY_FLAGS.reduce((flags, flag) => ({ ...flags, [flag]: Number(row[flag]) || 0 }), {})
+      };
+
+      ['points', 'good', 'uncertain', 'bad'].forEach((key) => {
+        total[key] += counts[key];
+      });
+      if (samplingMs) {
+        total.expected_points += counts.expected_points;
+      }
+      QUALITY_FLAGS.forEach((flag) => {
+        total.flags[flag] += counts.flags[flag];
+      });
+
+      return { time: new Date(time).toISOString(), ...score(counts) };
+    });
+
+    return {
+      sensor_id: sensor._id,
+      sensor_name: sensor.name,
+      device_id: sensor.device_id,
+      sensor_type: sensor.sensor_type,
+      unit: sensor.unit,
+      range: {
+        min_value: sensor.min_value !== undefined ? sensor.min_value : null,
+        max_value: sensor.max_value !== undefined ? sensor.max_value : null
+      },
+      sampling_rate: sensor.sampling_rate || null,
+      checks: this.sensors.has(sensor._id),
+      summary: score(total),
+      series
+    };
+  }
+
+  getStats() {
+    return {
+      sensors: this.sensors.size,
+      ...this.stats,
+      flags: { ...this.stats.flags }
+    };
+  }
+}
+
+module.exports = new QualityService();
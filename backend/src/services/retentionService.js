@@ -0,0 +1,552 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const { deletePredicate, durationMs, rollupQuery } = require('../utils/flux');
+const logger = require('../utils/logger');
+
+const POLICIES_COLLECTION = 'retention_policies';
+const STATE_COLLECTION = 'rollup_state';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aggregates a rollup tier can answer: the rollup fields to read and how to combine them.
+// Means are the totals of sum over those of count, not the mean of the window means.
+const TIER_AGGREGATES = {
+  mean: { field: ['sum', 'count'], fn: 'mean', weighted: true },
+  min: { field: 'min', fn: 'min' },
+  max: { field: 'max', fn: 'max' },
+  sum: { field: 'sum', fn: 'sum' },
+  count: { field: 'count', fn: 'sum' }
+};
+
+const envDays = (name) => {
+  const days = parseInt(process.env[name]);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+};
+
+const floorTo = (time, stepMs) => Math.floor(time / stepMs) * stepMs;
+
+/**
+ * Time of a range bound in ms
+ * @param {Date|string} value - Date, ISO string or relative duration ('-24h')
+ */
+const toTime = (value, now) => {
+  if (value === undefined || value === null || value === '') {
+    return now;
+  }
+  if (typeof value === 'string' && /^-?\d/.test(value) && !/^\d{4}-/.test(value)) {
+    return now + durationMs(value);
+  }
+  return new Date(value).getTime();
+};
+
+/**
+ * Downsampling tiers and retention of sensor readings.
+ * Raw readings are rolled up into 1 minute, 1 hour and 1 day buckets holding the
+ * min, max, mean, sum and count of every window; each tier is built from the one below.
+ * Retention is set per tier, with policies overriding it for sensors, devices or device types.
+ */
+class RetentionService {
+  constructor() {
+    this.enabled = process.env.RETENTION_ENABLED !== 'false';
+    this.rollupIntervalMs = parseInt(process.env.ROLLUP_INTERVAL_MS) || 60000;
+    // Readings may arrive this late and still be part of the first rollup of their window
+    this.lagMs = parseInt(process.env.ROLLUP_LAG_MS) || 2 * 60 * 1000;
+    this.backfillDays = parseInt(process.env.ROLLUP_BACKFILL_DAYS) || 7;
+    this.maxWindows = parseInt(process.env.ROLLUP_MAX_WINDOWS) || 360;
+    this.checkIntervalMs = parseInt(process.env.RETENTION_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+    const bucket = influxService.bucket;
+    this.tiers = [
+      { name: 'raw', every: null, everyMs: 0, bucket, defaultDays: envDays('RETENTION_RAW_DAYS') },
+      { name: '1m', every: '1m', everyMs: 60 * 1000, bucket: process.env.INFLUXDB_BUCKET_1M || `${bucket}_1m`, defaultDays: envDays('RETENTION_1M_DAYS') },
+      { name: '1h', every: '1h', everyMs: 60 * 60 * 1000, bucket: process.env.INFLUXDB_BUCKET_1H || `${bucket}_1h`, defaultDays: envDays('RETENTION_1H_DAYS') },
+      { name: '1d', every: '1d', everyMs: DAY_MS, bucket: process.env.INFLUXDB_BUCKET_1D || `${bucket}_1d`, defaultDays: envDays('RETENTION_1D_DAYS') }
+    ];
+
+    this.policies = [];
+    this.watermarks = new Map();
+    this.bucketDays = {};
+    this.dirtySince = null;
+    this.rolling = false;
+    this.lastEnforcement = null;
+    this.rollupTimer = null;
+    this.checkTimer = null;
+    this.listening = false;
+  }
+
+  isActive() {
+    return this.enabled && influxService.isConfigured();
+  }
+
+  async start() {
+    if (!this.isActive()) {
+      logger.info('Downsampling and retention disabled');
+      return;
+    }
+
+    try {
+      await this.loadState();
+      await this.loadPolicies();
+      await this.ensureBuckets();
+    } catch (error) {
+      logger.warn(`Retention tiers not prepared: ${error.message}`);
+    }
+
+    if (!this.listening) {
+      influxService.onWrite((points) => this.noteWritten(points));
+      this.listening = true;
+    }
+
+    if (!this.rollupTimer) {
+      this.rollupTimer = setInterval(() => {
+        this.rollup().catch((error) => logger.error('Rollup failed:', error));
+      }, this.rollupIntervalMs);
+      this.rollupTimer.unref();
+    }
+
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => {
+        this.enforce().catch((error) => logger.error('Retention enforcement failed:', error));
+      }, this.checkIntervalMs);
+      this.checkTimer.unref();
+    }
+
+    logger.info(`Downsampling started (${this.tiers.slice(1).map((tier) => tier.bucket).join(', ')})`);
+  }
+
+  stop() {
+    clearInterval(this.rollupTimer);
+    clearInterval(this.checkTimer);
+    this.rollupTimer = null;
+    this.checkTimer = null;
+  }
+
+  async loadState() {
+    const states = await mongoService.getCollection(STATE_COLLECTION).find({}).toArray();
+    states.forEach((state) => this.watermarks.set(state._id, new Date(state.watermark).getTime()));
+  }
+
+  async loadPolicies() {
+    this.policies = await mongoService.getCollection(POLICIES_COLLECTION)
+      .find({})
+      .sort({ updated_at: -1 })
+      .toArray();
+  }
+
+  async setWatermark(tierName, watermark, points = null) {
+    this.watermarks.set(tierName, watermark);
+    const update = { watermark: new Date(watermark), updated_at: new Date() };
+    if (points !== null) {
+      update.last_points = points;
+    }
+    await mongoService.getCollection(STATE_COLLECTION).updateOne({ _id: tierName }, { $set: update }, { upsert: true });
+  }
+
+  /**
+   * Mark rollups from a time on as outdated, e.g. after late or rewritten readings
+   * @param {Date|number} since - Oldest changed reading
+   */
+  invalidate(since) {
+    const time = new Date(since).getTime();
+    if (Number.isFinite(time)) {
+      this.dirtySince = this.dirtySince === null ? time : Math.min(this.dirtySince, time);
+    }
+  }
+
+  /**
+   * Invalidate rollups that already cover readings just written
+   */
+  noteWritten(points) {
+    const rolledUntil = this.watermarks.get(this.tiers[1].name);
+    if (rolledUntil === undefined) {
+      return;
+    }
+
+    let oldest = Infinity;
+    points.forEach((point) => {
+      const time = point.timestamp ? new Date(point.timestamp).getTime() : Infinity;
+      if (time < oldest) {
+        oldest = time;
+      }
+    });
+
+    if (oldest < rolledUntil) {
+      this.invalidate(oldest);
+    }
+  }
+
+  async applyInvalidation() {
+    if (this.dirtySince === null) {
+      return;
+    }
+
+    const since = this.dirtySince;
+    this.dirtySince = null;
+
+    for (const tier of this.tiers.slice(1)) {
+      const watermark = this.watermarks.get(tier.name);
+      if (watermark !== undefined && watermark > since) {
+        await this.setWatermark(tier.name, floorTo(since, tier.everyMs));
+      }
+    }
+  }
+
+  /**
+   * Roll up windows completed since the last run, one chunk per tier
+   * @param {number} now - Current time in ms
+   */
+  async rollup(now = Date.now()) {
+    if (this.rolling || !this.isActive()) {
+      return;
+    }
+
+    this.rolling = true;
+    try {
+      await this.applyInvalidation();
+
+      for (let index = 1; index < this.tiers.length; index += 1) {
+        const tier = this.tiers[index];
+        const source = this.tiers[index - 1];
+
+        // A tier only rolls up windows its source tier has completed
+        let end = floorTo(now - this.lagMs, tier.everyMs);
+        if (source.everyMs) {
+          end = Math.min(end, floorTo(this.watermarks.get(source.name) || 0, tier.everyMs));
+        }
+
+        const start = this.watermarks.has(tier.name)
+          ? this.watermarks.get(tier.name)
+          : floorTo(now - this.backfillDays * DAY_MS, tier.everyMs);
+        end = Math.min(end, start + tier.everyMs * this.maxWindows);
+
+        if (end > start) {
+          const rows = await influxService.query(rollupQuery({
+            source: source.bucket,
+            target: tier.bucket,
+            org: influxService.org,
+            start: new Date(start),
+            stop: new Date(end),
+            every: tier.every,
+            fromRollup: Boolean(source.every)
+          }));
+          await this.setWatermark(tier.name, end, rows.length > 0 ? Number(rows[0]._time) || 0 : 0);
+        }
+      }
+    } finally {
+      this.rolling = false;
+    }
+  }
+
+  /**
+   * Policy that applies to a sensor: sensor policies before device policies before
+   * device type policies, the most recently updated first
+   */
+  policyFor(sensor, device) {
+    const matchers = [
+      (policy) => (policy.sensor_ids || []).includes(sensor._id),
+      (policy) => (policy.device_ids || []).includes(sensor.device_id),
+      (policy) => Boolean(device) && (policy.device_types || []).includes(device.device_type)
+    ];
+
+    for (const matches of matchers) {
+      const policy = this.policies.find(matches);
+      if (policy) {
+        return policy;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Retention in days per tier of every registered sensor; 0 keeps data forever
+   * @returns {Map} sensorId => { raw, 1m, 1h, 1d, policy_id }
+   */
+  async sensorRetention() {
+    const [sensors, devices] = await Promise.all([
+      mongoService.getCollection('sensors').find({}).project({ device_id: 1 }).toArray(),
+      mongoService.getCollection('devices').find({}).project({ device_type: 1 }).toArray()
+    ]);
+    const devicesById = new Map(devices.map((device) => [device._id, device]));
+
+    return new Map(sensors.map((sensor) => {
+      const policy = this.policyFor(sensor, devicesById.get(sensor.device_id));
+      const retention = { policy_id: policy ? policy._id : null };
+
+      this.tiers.forEach((tier) => {
+        const days = policy && policy.retention ? policy.retention[tier.name] : undefined;
+        retention[tier.name] = days !== undefined && days !== null ? days : tier.defaultDays;
+      });
+      return [sensor._id, retention];
+    }));
+  }
+
+  /**
+   * Create missing tier buckets and set their expiry to the longest retention that
+   * applies to any sensor; shorter retention is enforced by deleting per sensor
+   * @param {Map} retention - Result of sensorRetention()
+   */
+  async ensureBuckets(retention = null) {
+    const sensors = retention || await this.sensorRetention();
+
+    for (const tier of this.tiers) {
+      const days = [tier.defaultDays, ...Array.from(sensors.values()).map((values) => values[tier.name])];
+      const bucketDays = days.includes(0) ? 0 : Math.max(...days);
+
+      await influxService.ensureBucket(tier.bucket, bucketDays * 24 * 60 * 60);
+      this.bucketDays[tier.name] = bucketDays;
+    }
+
+    return this.bucketDays;
+  }
+
+  /**
+   * Apply retention: update bucket expiry and delete readings of sensors whose
+   * retention is shorter than their bucket's
+   * @param {number} now - Current time in ms
+   * @returns {Object} { at, purged_series, errors }
+   */
+  async enforce(now = Date.now()) {
+    if (!this.isActive()) {
+      return null;
+    }
+
+    await this.loadPolicies();
+    const retention = await this.sensorRetention();
+    const bucketDays = await this.ensureBuckets(retention);
+
+    let purged = 0;
+    let errors = 0;
+
+    for (const tier of this.tiers) {
+      for (const [sensorId, days] of retention) {
+        const limit = bucketDays[tier.name];
+        if (days[tier.name] === 0 || (limit !== 0 && days[tier.name] >= limit)) {
+          continue;
+        }
+
+        try {
+          await influxService.deleteData(tier.bucket, {
+            stop: new Date(now - days[tier.name] * DAY_MS),
+            predicate: deletePredicate({ _measurement: 'sensor_data', sensor_id: sensorId })
+          });
+          purged += 1;
+        } catch (error) {
+          errors += 1;
+          logger.error(`Retention purge of sensor ${sensorId} in ${tier.bucket} failed:`, error);
+        }
+      }
+    }
+
+    this.lastEnforcement = { at: new Date(now), purged_series: purged, errors };
+    if (purged > 0 || errors > 0) {
+      logger.info(`Retention applied: ${purged} sensor series purged, ${errors} failed`);
+    }
+    return this.lastEnforcement;
+  }
+
+  /**
+   * Delete readings older than a number of days right away
+   * @param {Object} options - { olderThanDays, sensorIds, tiers = ['raw'], dryRun = true }
+   * @returns {Object} { cutoff_date, tiers: [{ tier, records }], deleted_records, affected_sensors, dry_run }
+   */
+  async purge({ olderThanDays, sensorIds = null, tiers = ['raw'], dryRun = true }) {
+    const cutoff = new Date(Date.now() - olderThanDays * DAY_MS);
+    const results = [];
+
+    for (const tier of this.tiers.filter((item) => tiers.includes(item.name))) {
+      const query = influxService.select('sensor_data', { bucket: tier.bucket }).range(new Date(0), cutoff);
+      if (sensorIds) {
+        query.where('sensor_id', sensorIds);
+      }
+      const records = await influxService.count(query);
+
+      if (!dryRun && records > 0) {
+        const predicates = sensorIds
+          ? sensorIds.map((sensorId) => deletePredicate({ _measurement: 'sensor_data', sensor_id: sensorId }))
+          : [deletePredicate({ _measurement: 'sensor_data' })];
+
+        for (const predicate of predicates) {
+          await influxService.deleteData(tier.bucket, { stop: cutoff, predicate });
+        }
+      }
+
+      results.push({ tier: tier.name, bucket: tier.bucket, records });
+    }
+
+    return {
+      cutoff_date: cutoff,
+      tiers: results,
+      deleted_records: dryRun ? 0 : results.reduce((sum, result) => sum + result.records, 0),
+      matched_records: results.reduce((sum, result) => sum + result.records, 0),
+      affected_sensors: sensorIds || [],
+      dry_run: dryRun
+    };
+  }
+
+  /**
+   * Choose where to read a windowed aggregation from: the coarsest rollup tier whose
+   * resolution divides the window, that still holds the start of the range and that can
+   * answer the aggregate. Readings after the tier's last rollup come from the raw bucket.
+   * @param {Object} options - { start, stop, every, aggregation }
+   * @returns {Object} { tier, bucket, field, aggregation, weighted, split } with split null for raw reads
+   */
+  plan({ start, stop, every, aggregation }, now = Date.now()) {
+    const raw = { tier: 'raw', bucket: this.tiers[0].bucket, field: 'value', aggregation, split: null };
+    const mapped = TIER_AGGREGATES[aggregation];
+    if (!this.isActive() || !mapped || !every) {
+      return raw;
+    }
+
+    const everyMs = durationMs(every);
+    const startTime = toTime(start, now);
+    const stopTime = toTime(stop, now);
+
+    for (const tier of this.tiers.slice(1).reverse()) {
+      const watermark = this.watermarks.get(tier.name);
+      const days = this.bucketDays[tier.name] !== undefined ? this.bucketDays[tier.name] : tier.defaultDays;
+      const retained = days === 0 || startTime >= now - days * DAY_MS;
+
+      if (everyMs % tier.everyMs === 0 && watermark !== undefined && retained) {
+        // Split on a window boundary so no window is read from both tiers
+        const split = Math.min(floorTo(watermark, everyMs), stopTime);
+        if (split > startTime) {
+          return {
+            tier: tier.name,
+            bucket: tier.bucket,
+            field: mapped.field,
+            aggregation: mapped.fn,
+            weighted: Boolean(mapped.weighted),
+            split: new Date(split)
+          };
+        }
+      }
+    }
+
+    return raw;
+  }
+
+  /**
+   * Build a windowed aggregation over the tiers chosen by plan()
+   * @param {Object} options - { start, stop, every, aggregation, percentile, windowStart, rollups = true }
+   * @param {Function} configure - (query) => void, adds filters and fill to every part
+   * @returns {Object} { query, tier }
+   */
+  select({ start, stop, every, aggregation, percentile, windowStart = false, rollups = true }, configure = () => {}) {
+    const plan = rollups ? this.plan({ start, stop, every, aggregation }) : { tier: 'raw', split: null };
+    const part = (bucket, field, fn, from, to, weighted = false) => {
+      const query = influxService.select('sensor_data', { bucket })
+        .range(from, to)
+        .field(field)
+        .aggregate(fn, { every, percentile, windowStart, weighted });
+      configure(query);
+      return query;
+    };
+
+    if (!plan.split) {
+      return { query: part(this.tiers[0].bucket, 'value', aggregation, start, stop), tier: 'raw' };
+    }
+
+    const query = part(plan.bucket, plan.field, plan.aggregation, start, plan.split, plan.weighted);
+    if (plan.split.getTime() < toTime(stop, Date.now())) {
+      query.union(part(this.tiers[0].bucket, 'value', aggregation, plan.split, stop));
+    }
+    return { query, tier: plan.tier };
+  }
+
+  /**
+   * Tiers, policies and rollup progress
+   */
+  getStatus() {
+    return {
+      enabled: this.isActive(),
+      tiers: this.tiers.map((tier) => ({
+        name: tier.name,
+        resolution: tier.every,
+        bucket: tier.bucket,
+        default_retention_days: tier.defaultDays,
+        bucket_retention_days: this.bucketDays[tier.name] !== undefined ? this.bucketDays[tier.name] : null,
+        rolled_up_until: this.watermarks.has(tier.name) ? new Date(this.watermarks.get(tier.name)) : null
+      })),
+      last_enforcement: this.lastEnforcement
+    };
+  }
+
+  async listPolicies() {
+    return mongoService.getCollection(POLICIES_COLLECTION).find({}).sort({ updated_at: -1 }).toArray();
+  }
+
+  /**
+   * Reload policies and raise bucket expiry right away, so data a new policy keeps
+   * longer is not expired before the next retention check
+   */
+  async policiesChanged() {
+    await this.loadPolicies();
+    if (this.isActive()) {
+      try {
+        await this.ensureBuckets();
+      } catch (error) {
+        logger.error('Failed to update bucket retention:', error);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} input - { name, description, sensor_ids, device_ids, device_types, retention }
+   * @param {Object} user - Creating user
+   */
+  async createPolicy(input, user) {
+    const now = new Date();
+    const policy = {
+      _id: uuidv4(),
+      name: input.name,
+      description: input.description || '',
+      sensor_ids: input.sensor_ids || [],
+      device_ids: input.device_ids || [],
+      device_types: input.device_types || [],
+      retention: input.retention,
+      created_by: user.id,
+      created_at: now,
+      updated_at: now
+    };
+
+    await mongoService.getCollection(POLICIES_COLLECTION).insertOne(policy);
+    await this.policiesChanged();
+    return policy;
+  }
+
+  /**
+   * @returns {Object|null} Updated policy or null when not found
+   */
+  async updatePolicy(policyId, input, user) {
+    const updates = { updated_by: user.id, updated_at: new Date() };
+    ['name', 'description', 'sensor_ids', 'device_ids', 'device_types', 'retention'].forEach((field) => {
+      if (input[field] !== undefined) {
+        updates[field] = input[field];
+      }
+    });
+
+    const policy = await mongoService.getCollection(POLICIES_COLLECTION).findOneAndUpdate(
+      { _id: policyId },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    if (policy) {
+      await this.policiesChanged();
+    }
+    return policy;
+  }
+
+  /**
+   * @returns {boolean} False when the policy does not exist
+   */
+  async deletePolicy(policyId) {
+    const result = await mongoService.getCollection(POLICIES_COLLECTION).deleteOne({ _id: policyId });
+    if (result.deletedCount > 0) {
+      await this.loadPolicies();
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new RetentionService();
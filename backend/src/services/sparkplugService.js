@@ -0,0 +1,377 @@
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+const ingestionService = require('./ingestionService');
+const storeForwardService = require('./storeForwardService');
+const livenessService = require('./livenessService');
+const { RejectedMessageError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const NAMESPACE = 'spBv1.0';
+
+// Metric datatypes that map to a numeric reading; String, Text, UUID, DateTime and
+// the array and dataset types are not process values the sensor pipeline can store
+const NUMERIC_TYPES = [
+  'Int8', 'Int16', 'Int32', 'Int64',
+  'UInt8', 'UInt16', 'UInt32', 'UInt64',
+  'Float', 'Double', 'Boolean'
+];
+
+// Session metrics that are not process values
+const CONTROL_METRIC_PREFIXES = ['bdSeq', 'Node Control/', 'Device Control/', 'Properties/'];
+
+/**
+ * Convert protobuf Long values to plain numbers
+ */
+const toNumber = (value) => {
+  if (value && typeof value === 'object' && typeof value.toNumber === 'function') {
+    return value.toNumber();
+  }
+  if (value && typeof value === 'object' && 'low' in value && 'high' in value) {
+    return value.high * 2 ** 32 + (value.low >>> 0);
+  }
+  return value;
+};
+
+class SparkplugService {
+  constructor() {
+    // Alias tables keyed by "group/node" or "group/node/device"
+    this.aliases = new Map();
+    // Birth/death sequence per edge node, used to discard stale NDEATHs
+    this.bdSeq = new Map();
+    this.rebirthRequested = new Map();
+    this.rebirthCooldownMs = parseInt(process.env.SPARKPLUG_REBIRTH_COOLDOWN_MS) || 30000;
+  }
+
+  isSparkplugTopic(topic) {
+    return topic.startsWith(`${NAMESPACE}/`);
+  }
+
+  /**
+   * Parse spBv1.0/{group}/{type}/{edge_node}[/{device}]
+   */
+  parseTopic(topic) {
+    const [, groupId, messageType, edgeNodeId, deviceId] = topic.split('/');
+    return { groupId, messageType, edgeNodeId, deviceId: deviceId || null };
+  }
+
+  /**
+   * Device a message counts as a sign of life for. Births set the status
+   * themselves and deaths must not revive the device, so only data revives.
+   * @returns {Object|null} { deviceId, revive }
+   */
+  livenessTarget(topic) {
+    const { groupId, messageType, edgeNodeId, deviceId } = this.parseTopic(topic);
+
+    if (!['NBIRTH', 'DBIRTH', 'NDATA', 'DDATA'].includes(messageType)) {
+      return null;
+    }
+
+    return {
+      deviceId: this.platformDeviceId(groupId, edgeNodeId, deviceId),
+      revive: messageType.endsWith('DATA')
+    };
+  }
+
+  /**
+   * Platform device id for an edge node or a device behind it
+   */
+  platformDeviceId(groupId, edgeNodeId, deviceId = null) {
+    return deviceId ? `${groupId}:${edgeNodeId}:${deviceId}` : `${groupId}:${edgeNodeId}`;
+  }
+
+  platformSensorId(platformDeviceId, metricName) {
+    return `${platformDeviceId}:${metricName}`;
+  }
+
+  aliasKey(groupId, edgeNodeId, deviceId = null) {
+    return deviceId ? `${groupId}/${edgeNodeId}/${deviceId}` : `${groupId}/${edgeNodeId}`;
+  }
+
+  /**
+   * Handle a Sparkplug B message
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Protobuf payload
+   * @param {Object} mqtt - MQTT client wrapper, used for rebirth requests
+   */
+  async handleMessage(topic, message, mqtt) {
+    const { groupId, messageType, edgeNodeId, deviceId } = this.parseTopic(topic);
+
+    if (messageType === 'STATE' || messageType === 'NCMD' || messageType === 'DCMD') {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = sparkplug.decodePayload(message);
+    } catch (error) {
+      throw new RejectedMessageError('decode_failed', `Invalid Sparkplug B payload: ${error.message}`);
+    }
+
+    const context = { groupId, edgeNodeId, deviceId, payload, mqtt };
+
+    switch (messageType) {
+      case 'NBIRTH':
+      case 'DBIRTH':
+        await this.handleBirth(context);
+        break;
+      case 'NDATA':
+      case 'DDATA':
+        await this.handleData(context);
+        break;
+      case 'NDEATH':
+        await this.handleNodeDeath(context);
+        break;
+      case 'DDEATH':
+        await this.handleDeviceDeath(context);
+        break;
+      default:
+        logger.debug(`Ignoring Sparkplug B message type ${messageType} on ${topic}`);
+    }
+  }
+
+  async handleBirth({ groupId, edgeNodeId, deviceId, payload }) {
+    const metrics = payload.metrics || [];
+    const key = this.aliasKey(groupId, edgeNodeId, deviceId);
+
+    if (!deviceId) {
+      // A new node session invalidates every alias table of the node and its devices
+      for (const aliasKey of this.aliases.keys()) {
+        if (aliasKey === key || aliasKey.startsWith(`${key}/`)) {
+          this.aliases.delete(aliasKey);
+        }
+      }
+
+      const bdSeqMetric = metrics.find((metric) => metric.name === 'bdSeq');
+      if (bdSeqMetric) {
+        this.bdSeq.set(key, toNumber(bdSeqMetric.value));
+      }
+      this.rebirthRequested.delete(key);
+    }
+
+    const aliasTable = new Map();
+    metrics.forEach((metric) => {
+      if (metric.alias !== undefined && metric.alias !== null) {
+        aliasTable.set(toNumber(metric.alias), {
+          name: metric.name,
+          type: metric.type,
+          unit: this.engineeringUnit(metric)
+        });
+      }
+    });
+    this.aliases.set(key, aliasTable);
+
+    const platformDeviceId = this.platformDeviceId(groupId, edgeNodeId, deviceId);
+    await this.registerDevice({ groupId, edgeNodeId, deviceId, platformDeviceId, payload });
+    await this.registerSensors(platformDeviceId, metrics);
+
+    livenessService.track(platformDeviceId, {
+      sparkplug: { node_device_id: this.platformDeviceId(groupId, edgeNodeId) }
+    });
+    await livenessService.setStatus(platformDeviceId, 'online', 'birth', 'sparkplug');
+
+    await this.ingestMetrics(platformDeviceId, payload, aliasTable);
+
+    logger.info(
+      `Sparkplug B ${deviceId ? 'DBIRTH' : 'NBIRTH'} from ${platformDeviceId} with ${metrics.length} metrics`
+    );
+  }
+
+  async handleData({ groupId, edgeNodeId, deviceId, payload, mqtt }) {
+    const aliasTable = this.aliases.get(this.aliasKey(groupId, edgeNodeId, deviceId));
+
+    // Without a birth certificate aliases cannot be resolved: ask the node to rebirth
+    if (!aliasTable) {
+      this.requestRebirth(groupId, edgeNodeId, mqtt);
+    }
+
+    const platformDeviceId = this.platformDeviceId(groupId, edgeNodeId, deviceId);
+    await this.ingestMetrics(platformDeviceId, payload, aliasTable || new Map());
+  }
+
+  async handleNodeDeath({ groupId, edgeNodeId, payload }) {
+    const key = this.aliasKey(groupId, edgeNodeId);
+    const bdSeqMetric = (payload.metrics || []).find((metric) => metric.name === 'bdSeq');
+
+    // A death certificate from a previous session must not take the current one offline
+    if (bdSeqMetric && this.bdSeq.has(key) && toNumber(bdSeqMetric.value) !== this.bdSeq.get(key)) {
+      logger.debug(`Ignoring stale NDEATH for ${key}`);
+      return;
+    }
+
+    const nodeDeviceId = this.platformDeviceId(groupId, edgeNodeId);
+    const deviceIds = new Set([nodeDeviceId, ...livenessService.getChildren(nodeDeviceId)]);
+
+    for (const aliasKey of Array.from(this.aliases.keys())) {
+      if (aliasKey.startsWith(`${key}/`)) {
+        deviceIds.add(this.platformDeviceId(groupId, edgeNodeId, aliasKey.slice(key.length + 1)));
+      }
+      if (aliasKey === key || aliasKey.startsWith(`${key}/`)) {
+        this.aliases.delete(aliasKey);
+      }
+    }
+
+    for (const id of deviceIds) {
+      await livenessService.setStatus(id, 'offline', 'death', 'sparkplug');
+    }
+
+    logger.info(`Sparkplug B NDEATH: ${nodeDeviceId} and its devices marked offline`);
+  }
+
+  async handleDeviceDeath({ groupId, edgeNodeId, deviceId }) {
+    const platformDeviceId = this.platformDeviceId(groupId, edgeNodeId, deviceId);
+    this.aliases.delete(this.aliasKey(groupId, edgeNodeId, deviceId));
+
+    await livenessService.setStatus(platformDeviceId, 'offline', 'death', 'sparkplug');
+    logger.info(`Sparkplug B DDEATH: ${platformDeviceId} marked offline`);
+  }
+
+  /**
+   * Turn payload metrics into sensor readings and feed the ingestion pipeline
+   */
+  async ingestMetrics(platformDeviceId, payload, aliasTable) {
+    const payloadTimestamp = toNumber(payload.timestamp);
+    const readings = [];
+
+    (payload.metrics || []).forEach((metric) => {
+      const known = metric.alias !== undefined && metric.alias !== null
+        ? aliasTable.get(toNumber(metric.alias))
+        : null;
+      const name = metric.name || (known && known.name);
+      const type = metric.type || (known && known.type);
+
+      if (!name || metric.isNull || !NUMERIC_TYPES.includes(type) || this.isControlMetric(name)) {
+        return;
+      }
+
+      readings.push({
+        device_id: platformDeviceId,
+        sensor_id: this.platformSensorId(platformDeviceId, name),
+        value: type === 'Boolean' ? (metric.value ? 1 : 0) : toNumber(metric.value),
+        unit: this.engineeringUnit(metric) || (known && known.unit) || null,
+        timestamp: toNumber(metric.timestamp) || payloadTimestamp || undefined
+      });
+    });
+
+    if (readings.length > 0) {
+      await ingestionService.ingest(readings);
+    }
+  }
+
+  isControlMetric(name) {
+    return CONTROL_METRIC_PREFIXES.some((prefix) => name.startsWith(prefix));
+  }
+
+  engineeringUnit(metric) {
+    const properties = metric.properties || {};
+    const unit = properties.engUnit || properties.EngUnit || properties.engineeringUnits;
+    return unit ? String(unit.value) : null;
+  }
+
+  /**
+   * Auto-register an edge node or device in the devices collection
+   */
+  async registerDevice({ groupId, edgeNodeId, deviceId, platformDeviceId }) {
+    const now = new Date();
+
+    await storeForwardService.writeMongo({
+      collection: 'devices',
+      type: 'updateOne',
+      filter: { _id: platformDeviceId },
+      update: {
+        $set: {
+          last_seen: now,
+          updated_at: now,
+          sparkplug: {
+            group_id: groupId,
+            edge_node_id: edgeNodeId,
+            device_id: deviceId,
+            node_device_id: this.platformDeviceId(groupId, edgeNodeId)
+          }
+        },
+        $setOnInsert: {
+          name: deviceId || edgeNodeId,
+          description: `Auto-registered from Sparkplug B ${deviceId ? 'DBIRTH' : 'NBIRTH'}`,
+          device_type: deviceId ? 'sparkplug_device' : 'sparkplug_edge_node',
+          location: groupId,
+          protocol: 'SparkplugB',
+          configuration: {},
+          tags: ['sparkplug', groupId],
+          status: 'offline',
+          created_at: now
+        }
+      },
+      options: { upsert: true }
+    });
+  }
+
+  /**
+   * Auto-register birth metrics in the sensors collection
+   */
+  async registerSensors(platformDeviceId, metrics) {
+    const now = new Date();
+
+    for (const metric of metrics) {
+      if (!metric.name || !NUMERIC_TYPES.includes(metric.type) || this.isControlMetric(metric.name)) {
+        continue;
+      }
+
+      // Dotted paths keep the rest of a sensor's configuration, and a unit set on the
+      // platform stays unless the birth certificate carries one
+      const fields = {
+        'configuration.sparkplug_alias': metric.alias !== undefined ? toNumber(metric.alias) : null,
+        'configuration.sparkplug_datatype': metric.type,
+        updated_at: now
+      };
+      const unit = this.engineeringUnit(metric);
+      const insertFields = unit ? {} : { unit: null };
+      if (unit) {
+        fields.unit = unit;
+      }
+
+      await storeForwardService.writeMongo({
+        collection: 'sensors',
+        type: 'updateOne',
+        filter: { _id: this.platformSensorId(platformDeviceId, metric.name) },
+        update: {
+          $set: fields,
+          $setOnInsert: {
+            ...insertFields,
+            device_id: platformDeviceId,
+            name: metric.name,
+            description: 'Auto-registered from Sparkplug B birth certificate',
+            sensor_type: metric.type.toLowerCase(),
+            calibration_offset: 0,
+            calibration_factor: 1,
+            tags: ['sparkplug'],
+            status: 'active',
+            created_at: now
+          }
+        },
+        options: { upsert: true }
+      });
+    }
+  }
+
+  /**
+   * Ask an edge node to republish its birth certificates (rate limited)
+   */
+  requestRebirth(groupId, edgeNodeId, mqtt) {
+    const key = this.aliasKey(groupId, edgeNodeId);
+    const lastRequest = this.rebirthRequested.get(key) || 0;
+
+    if (!mqtt || !mqtt.client || !mqtt.isConnected || Date.now() - lastRequest < this.rebirthCooldownMs) {
+      return;
+    }
+
+    this.rebirthRequested.set(key, Date.now());
+
+    const payload = sparkplug.encodePayload({
+      timestamp: Date.now(),
+      metrics: [{ name: 'Node Control/Rebirth', type: 'Boolean', value: true }]
+    });
+
+    mqtt.client.publish(`${NAMESPACE}/${groupId}/NCMD/${edgeNodeId}`, payload, { qos: 0 });
+    logger.info(`Requested Sparkplug B rebirth from ${key}`);
+  }
+}
+
+module.exports = new SparkplugService();
@@ -0,0 +1,202 @@
+const path = require('path');
+const { BSON } = require('mongodb');
+const influxService = require('./influxService');
+const mongoService = require('./mongoService');
+const WriteBuffer = require('../utils/writeBuffer');
+const logger = require('../utils/logger');
+
+// Errors that indicate MongoDB is unreachable rather than a bad write
+const TRANSIENT_MONGO_ERRORS = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+
+class StoreForwardService {
+  constructor() {
+    const dir = process.env.STORE_FORWARD_DIR || path.join(process.cwd(), 'buffer');
+    const maxBytes = parseInt(process.env.STORE_FORWARD_MAX_BYTES) || 512 * 1024 * 1024;
+    const segmentBytes = parseInt(process.env.STORE_FORWARD_SEGMENT_BYTES) || 4 * 1024 * 1024;
+
+    this.replayIntervalMs = parseInt(process.env.STORE_FORWARD_REPLAY_INTERVAL_MS) || 5000;
+    this.replayBatchSize = parseInt(process.env.INGEST_BATCH_SIZE) || 500;
+    this.replayTimer = null;
+    this.replaying = null;
+
+    // InfluxDB points: timestamps are revived from ISO strings
+    this.influxBuffer = new WriteBuffer('influx', {
+      dir,
+      maxBytes,
+      segmentBytes,
+      deserialize: (line) => {
+        const point = JSON.parse(line);
+        return { ...point, timestamp: point.timestamp ? new Date(point.timestamp) : null };
+      }
+    });
+
+    // MongoDB write operations: Extended JSON keeps Dates and ObjectIds intact
+    this.mongoBuffer = new WriteBuffer('mongo', {
+      dir,
+      maxBytes,
+      segmentBytes,
+      serialize: (op) => BSON.EJSON.stringify(op, { relaxed: false }),
+      deserialize: (line) => BSON.EJSON.parse(line, { relaxed: false })
+    });
+  }
+
+  /**
+   * Load buffered data from disk and start the replay loop
+   */
+  async start() {
+    await Promise.all([this.influxBuffer.init(), this.mongoBuffer.init()]);
+
+    const pending = this.influxBuffer.getDepth() + this.mongoBuffer.getDepth();
+    if (pending > 0) {
+      logger.info(`Store-and-forward buffer holds ${pending} records from a previous run`);
+    }
+
+    if (!this.replayTimer) {
+      this.replayTimer = setInterval(() => {
+        this.replay().catch((error) => logger.error('Store-and-forward replay failed:', error));
+      }, this.replayIntervalMs);
+      this.replayTimer.unref();
+    }
+  }
+
+  stop() {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
+  hasPendingInflux() {
+    return !this.influxBuffer.isEmpty();
+  }
+
+  /**
+   * Persist InfluxDB points until the store is reachable again
+   * @param {Array} points - Point descriptions as produced by the ingestion pipeline
+   */
+  async bufferPoints(points) {
+    await this.influxBuffer.append(points);
+  }
+
+  /**
+   * Set aside InfluxDB points that were refused and would be refused again
+   * @param {Array} points - Point descriptions as produced by the ingestion pipeline
+   */
+  async rejectPoints(points) {
+    await this.influxBuffer.reject(points);
+  }
+
+  /**
+   * Apply a MongoDB write, buffering it on disk if MongoDB is unavailable
+   * @param {Object} op - { collection, type, filter, document, update, options }
+   * @returns {boolean} True if written immediately, false if buffered
+   */
+  async writeMongo(op) {
+    if (this.mongoBuffer.isEmpty() && mongoService.isConnected) {
+      try {
+        await mongoService.applyWrite(op);
+        return true;
+      } catch (error) {
+        if (!this.isTransientMongoError(error)) {
+          throw error;
+        }
+        logger.warn(`MongoDB unavailable, buffering ${op.type} on ${op.collection}`);
+      }
+    }
+
+    await this.mongoBuffer.append([op]);
+    return false;
+  }
+
+  isTransientMongoError(error) {
+    return TRANSIENT_MONGO_ERRORS.includes(error.name) || error.message === 'MongoDB not connected';
+  }
+
+  /**
+   * Replay buffered writes in order. Concurrent callers share one run.
+   */
+  async replay() {
+    if (!this.replaying) {
+      this.replaying = Promise.all([this.replayInflux(), this.replayMongo()]).finally(() => {
+        this.replaying = null;
+      });
+    }
+
+    return this.replaying;
+  }
+
+  async replayInflux() {
+    if (this.influxBuffer.isEmpty() || !influxService.isConfigured()) {
+      return;
+    }
+
+    const { replayed, rejected, error } = await this.influxBuffer.replay(
+      (points) => influxService.writePoints(points),
+      this.replayBatchSize,
+      { isRetriable: (writeError) => influxService.isRetriableError(writeError) }
+    );
+
+    if (replayed > 0) {
+      logger.info(`Replayed ${replayed} buffered points to InfluxDB`);
+    }
+    if (rejected > 0) {
+      logger.error(`InfluxDB refused ${rejected} buffered points, moved them to the dead-letter file`);
+    }
+    if (error) {
+      logger.debug(`InfluxDB still unavailable: ${error.message}`);
+    }
+  }
+
+  async replayMongo() {
+    if (this.mongoBuffer.isEmpty()) {
+      return;
+    }
+
+    if (!mongoService.isConnected) {
+      try {
+        await mongoService.connect();
+        logger.info('MongoDB reconnected');
+      } catch (error) {
+        await mongoService.close();
+        return;
+      }
+    }
+
+    // One operation per batch so a failure never re-applies earlier writes
+    const { replayed, error } = await this.mongoBuffer.replay(async ([op]) => {
+      try {
+        await mongoService.applyWrite(op);
+      } catch (writeError) {
+        if (this.isTransientMongoError(writeError)) {
+          throw writeError;
+        }
+        logger.error(`Discarding buffered ${op.type} on ${op.collection}:`, writeError);
+      }
+    }, 1);
+
+    if (replayed > 0) {
+      logger.info(`Replayed ${replayed} buffered writes to MongoDB`);
+    }
+    if (error) {
+      logger.warn(`MongoDB replay interrupted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buffer depth and capacity for health reporting
+   */
+  getStatus() {
+    return {
+      influxdb: this.influxBuffer.getStats(),
+      mongodb: this.mongoBuffer.getStats()
+    };
+  }
+}
+
+module.exports = new StoreForwardService();
@@ -0,0 +1,290 @@
+const EventEmitter = require('events');
+const mongoService = require('./mongoService');
+const ingestionService = require('./ingestionService');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'ingest_mappings';
+
+// Path tokens: .key, ['key'], ["key"] and [0]
+const PATH_TOKEN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[['"]([^'"\]]+)['"]\]/y;
+const PLACEHOLDER = /\{([A-Za-z_][\w]*)\}/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a topic pattern such as "enterprise/{site}/{area}/+/{device}/{metric}".
+ * {name} matches one level, a trailing {name#} or # matches the remaining levels.
+ * @param {string} pattern - Topic pattern
+ * @returns {Object} { filter, regex, names }
+ */
+const compileTopicPattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error('Topic pattern is required');
+  }
+
+  const levels = pattern.split('/');
+  const names = [];
+  const filterLevels = [];
+  const regexLevels = [];
+
+  levels.forEach((level, index) => {
+    const isLast = index === levels.length - 1;
+    const named = level.match(/^\{([A-Za-z_]\w*)(#?)\}$/);
+
+    if (named) {
+      const [, name, multiLevel] = named;
+      if (names.includes(name)) {
+        throw new Error(`Wildcard {${name}} is used more than once`);
+      }
+      if (multiLevel && !isLast) {
+        throw new Error(`Multi-level wildcard {${name}#} must be the last level`);
+      }
+      names.push(name);
+      filterLevels.push(multiLevel ? '#' : '+');
+      regexLevels.push(multiLevel ? '(.+)' : '([^/]+)');
+    } else if (level === '+') {
+      filterLevels.push('+');
+      regexLevels.push('[^/]+');
+    } else if (level === '#') {
+      if (!isLast) {
+        throw new Error('# must be the last level of a topic pattern');
+      }
+      filterLevels.push('#');
+      regexLevels.push('.+');
+    } else if (/[+#{}]/.test(level)) {
+      throw new Error(`Invalid topic level "${level}"`);
+    } else {
+      filterLevels.push(level);
+      regexLevels.push(escapeRegex(level));
+    }
+  });
+
+  return {
+    filter: filterLevels.join('/'),
+    regex: new RegExp(`^${regexLevels.join('/')}$`),
+    names
+  };
+};
+
+/**
+ * Parse a payload path expression such as "$.data.values[0].temp"
+ * @param {string} expression - Path expression, "$" selects the whole payload
+ * @returns {Array} Path segments
+ */
+const parsePathExpression = (expression) => {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error('Extraction expression must start with $');
+  }
+
+  const segments = [];
+  let position = 1;
+
+  while (position < expression.length) {
+    PATH_TOKEN.lastIndex = position;
+    const token = PATH_TOKEN.exec(expression);
+
+    if (!token) {
+      throw new Error(`Invalid extraction expression near "${expression.slice(position)}"`);
+    }
+
+    if (token[2] !== undefined) {
+      segments.push(parseInt(token[2]));
+    } else {
+      segments.push(token[1] !== undefined ? token[1] : token[3]);
+    }
+    position = PATH_TOKEN.lastIndex;
+  }
+
+  return segments;
+};
+
+const evaluatePath = (payload, segments) => segments.reduce(
+  (current, segment) => (current === undefined || current === null ? undefined : current[segment]),
+  payload
+);
+
+/**
+ * Fill "{name}" placeholders from the captured topic wildcards
+ */
+const renderTemplate = (template, params) => template.replace(PLACEHOLDER, (match, name) => {
+  if (params[name] === undefined) {
+    throw new Error(`Unknown wildcard ${match} in template "${template}"`);
+  }
+  return params[name];
+});
+
+class TopicMappingService extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = [];
+  }
+
+  /**
+   * Validate a mapping document, returning a list of error messages
+   * @param {Object} mapping - Mapping rule
+   * @returns {Array} Errors
+   */
+  validateMapping(mapping) {
+    const errors = [];
+    let names = [];
+
+    try {
+      ({ names } = compileTopicPattern(mapping.topic_pattern));
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    ['value_expression', 'timestamp_expression'].forEach((field) => {
+      if (mapping[field]) {
+        try {
+          parsePathExpression(mapping[field]);
+        } catch (error) {
+          errors.push(`${field}: ${error.message}`);
+        }
+      }
+    });
+
+    ['device_id', 'sensor_id'].forEach((field) => {
+      const template = mapping[field] || '';
+      Array.from(template.matchAll(PLACEHOLDER)).forEach(([placeholder, name]) => {
+        if (!names.includes(name)) {
+          errors.push(`${field}: ${placeholder} is not a wildcard of the topic pattern`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Load enabled rules from MongoDB, highest priority first
+   */
+  async load() {
+    const mappings = await mongoService.getCollection(COLLECTION)
+      .find({ enabled: { $ne: false } })
+      .sort({ priority: -1, created_at: 1 })
+      .toArray();
+
+    this.rules = mappings.reduce((rules, mapping) => {
+      try {
+        rules.push(this.compile(mapping));
+      } catch (error) {
+        logger.warn(`Skipping invalid topic mapping ${mapping._id}: ${error.message}`);
+      }
+      return rules;
+    }, []);
+
+    return this.rules;
+  }
+
+  /**
+   * Reload rules and notify listeners (the MQTT client resubscribes)
+   */
+  async reload() {
+    await this.load();
+    this.emit('change', this.getTopicFilters());
+    logger.info(`Topic mappings reloaded: ${this.rules.length} active rules`);
+  }
+
+  /**
+   * MQTT subscriptions required by the active rules
+   * @returns {Array} [{ filter, qos }]
+   */
+  getTopicFilters() {
+    const filters = new Map();
+
+    this.rules.forEach((rule) => {
+      const qos = rule.mapping.qos === undefined ? 1 : rule.mapping.qos;
+      filters.set(rule.filter, Math.max(filters.get(rule.filter) || 0, qos));
+    });
+
+    return Array.from(filters, ([filter, qos]) => ({ filter, qos }));
+  }
+
+  /**
+   * Find the first rule matching a topic
+   * @param {string} topic - MQTT topic
+   * @param {Array} rules - Optional rule list (defaults to the loaded rules)
+   * @returns {Object|null} { rule, params }
+   */
+  match(topic, rules = this.rules) {
+    for (const rule of rules) {
+      const result = rule.regex.exec(topic);
+      if (result) {
+        const params = {};
+        rule.names.forEach((name, index) => {
+          params[name] = result[index + 1];
+        });
+        return { rule, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a sensor reading from a matched message
+   * @param {Object} match - Result of match()
+   * @param {Buffer|string} message - Raw payload
+   * @returns {Object} Reading for the ingestion pipeline
+   */
+  extract({ rule, params }, message) {
+    const { mapping } = rule;
+    const text = message.toString();
+    let payload;
+
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      // Plain-text payloads ("21.5") are allowed when the whole payload is the value
+      if (rule.valuePath.length > 0) {
+        throw new Error('Payload is not valid JSON');
+      }
+      payload = text;
+    }
+
+    const value = evaluatePath(payload, rule.valuePath);
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`Expression ${mapping.value_expression || '$'} did not yield a scalar value`);
+    }
+    if (ingestionService.numericValue(value) === null) {
+      throw new Error(`Expression ${mapping.value_expression || '$'} yielded ${JSON.stringify(value)}, which is not a number`);
+    }
+
+    const timestamp = rule.timestampPath ? evaluatePath(payload, rule.timestampPath) : undefined;
+
+    return {
+      device_id: renderTemplate(mapping.device_id, params),
+      sensor_id: renderTemplate(mapping.sensor_id, params),
+      value,
+      unit: mapping.unit || null,
+      timestamp: timestamp || undefined
+    };
+  }
+
+  /**
+   * Device a matched topic belongs to, without looking at the payload
+   * @param {Object} match - Result of match()
+   * @returns {string|null} Device ID
+   */
+  resolveDeviceId({ rule, params }) {
+    try {
+      return renderTemplate(rule.mapping.device_id, params);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Compile a mapping document into a matchable rule
+   */
+  compile(mapping) {
+    return {
+      mapping,
+      ...compileTopicPattern(mapping.topic_pattern),
+      valuePath: parsePathExpression(mapping.value_expression || '$'),
+      timestampPath: mapping.timestamp_expression ? parsePathExpression(mapping.timestamp_expression) : null
+    };
+  }
+}
+
+module.exports = new TopicMappingService();
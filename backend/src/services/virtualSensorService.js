@@ -0,0 +1,589 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoService = require('./mongoService');
+const influxService = require('./influxService');
+const retentionService = require('./retentionService');
+const { AppError } = require('../middleware/errorHandler');
+const { deletePredicate } = require('../utils/flux');
+const { ExpressionError, compileExpression, isValidVariableName } = require('../utils/expression');
+const logger = require('../utils/logger');
+
+const JOBS_COLLECTION = 'virtual_sensor_jobs';
+const ALIGNMENTS = ['any', 'all'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Virtual sensors: sensors whose value is an expression over other sensors' values,
+ * configured through a sensor's virtual: { expression, inputs: { name: sensor_id }, alignment, max_age }.
+ *
+ * Values are evaluated at ingest from the calibrated readings of the inputs and stored
+ * as readings of the virtual sensor, so they are queried, rolled up, charted and checked
+ * for anomalies like any other reading. With alignment 'any' the sensor is evaluated
+ * at every input reading using the latest value of each input; with 'all' it waits
+ * until every input has a new reading and is stamped with the newest of them. Either
+ * way input values older than max_age seconds are not combined. Virtual sensors may use
+ * other virtual sensors as inputs, up to VIRTUAL_SENSOR_MAX_DEPTH levels.
+ *
+ * History is evaluated on demand by replaying stored input readings through the same
+ * rules, either as a preview or by a backfill job that stores the values.
+ */
+class VirtualSensorService {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.VIRTUAL_SENSOR_REFRESH_INTERVAL_MS) || 60000;
+    this.defaultMaxAge = parseInt(process.env.VIRTUAL_SENSOR_MAX_AGE) || 300;
+    this.maxDepth = parseInt(process.env.VIRTUAL_SENSOR_MAX_DEPTH) || 5;
+    this.maxWindowMs = (parseInt(process.env.VIRTUAL_SENSOR_MAX_WINDOW_HOURS) || 24) * HOUR_MS;
+    this.backfillWindowMs = (parseInt(process.env.VIRTUAL_SENSOR_BACKFILL_WINDOW_HOURS) || 24) * HOUR_MS;
+    this.backfillBatchSize = parseInt(process.env.VIRTUAL_SENSOR_BACKFILL_BATCH_SIZE) || 5000;
+    this.previewLimit = parseInt(process.env.VIRTUAL_SENSOR_PREVIEW_LIMIT) || 10000;
+
+    // Virtual sensor ID -> { id, name, device_id, unit, definition, fingerprint, series }
+    this.sensors = new Map();
+    // Input sensor ID -> [{ entry, name }]
+    this.consumers = new Map();
+    this.refreshTimer = null;
+    this.pending = [];
+    this.running = null;
+    this.stats = { evaluated: 0, undefined: 0, failed: 0, dropped: 0 };
+  }
+
+  async start() {
+    if (mongoService.isConnected) {
+      try {
+        const result = await mongoService.getCollection(JOBS_COLLECTION).updateMany(
+          { status: { $in: ['queued', 'running'] } },
+          { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+          logger.warn(`Marked ${result.modifiedCount} interrupted virtual sensor backfill jobs as failed`);
+        }
+
+        await this.refresh();
+      } catch (error) {
+        logger.warn(`Virtual sensors not loaded: ${error.message}`);
+      }
+    }
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch((error) => logger.error('Virtual sensor refresh failed:', error));
+      }, this.refreshIntervalMs);
+      this.refreshTimer.unref();
+    }
+
+    if (this.sensors.size > 0) {
+      logger.info(`${this.sensors.size} virtual sensors loaded`);
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Fill in defaults of a virtual sensor definition
+   */
+  normalise(definition) {
+    return {
+      expression: String(definition.expression || '').trim(),
+      inputs: { ...definition.inputs },
+      alignment: definition.alignment || 'any',
+      max_age: definition.max_age !== undefined && definition.max_age !== null ? Number(definition.max_age) : this.defaultMaxAge
+    };
+  }
+
+  /**
+   * Compile a normalised definition
+   * @throws {AppError} 400 when the expression or its inputs are invalid
+   */
+  compile(definition) {
+    let compiled;
+    try {
+      compiled = compileExpression(definition.expression, { maxWindowMs: this.maxWindowMs });
+    } catch (error) {
+      if (error instanceof ExpressionError) {
+        throw new AppError(`Invalid expression: ${error.message}`, 400);
+      }
+      throw error;
+    }
+
+    const names = Object.keys(definition.inputs);
+    const invalid = names.find((name) => !isValidVariableName(name));
+    if (invalid) {
+      throw new AppError(`Input name "${invalid}" must be an identifier and not a function or constant name`, 400);
+    }
+    const undeclared = compiled.variables.find((name) => !names.includes(name));
+    if (undeclared) {
+      throw new AppError(`Expression uses "${undeclared}", which is not one of the inputs`, 400);
+    }
+    const unused = names.find((name) => !compiled.variables.includes(name));
+    if (unused) {
+      throw new AppError(`Input "${unused}" is not used by the expression`, 400);
+    }
+    if (!ALIGNMENTS.includes(definition.alignment)) {
+      throw new AppError(`Alignment must be one of: ${ALIGNMENTS.join(', ')}`, 400);
+    }
+    if (!Number.isFinite(definition.max_age) || definition.max_age <= 0) {
+      throw new AppError('max_age must be a positive number of seconds', 400);
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Check a virtual sensor definition against the sensor registry: inputs must exist and
+   * must not lead back to the sensor itself, and chains of virtual sensors stay within
+   * the maximum depth.
+   * @param {Object} definition - Definition as submitted
+   * @param {string} sensorId - ID of the sensor being defined, null for a preview
+   * @returns {Object} Normalised definition
+   */
+  async validate(definition, sensorId = null) {
+    const normalised = this.normalise(definition);
+    this.compile(normalised);
+
+    const sensors = mongoService.getCollection('sensors');
+    const depthOf = async (inputIds, trail) => {
+      const found = await sensors
+        .find({ _id: { $in: inputIds } })
+        .project({ virtual: 1 })
+        .toArray();
+
+      const missing = inputIds.find((inputId) => !found.some((sensor) => sensor._id === inputId));
+      if (missing) {
+        throw new AppError(`Input sensor ${missing} does not exist`, 400);
+      }
+
+      let depth = 1;
+      for (const sensor of found) {
+        if (sensorId !== null && sensor._id === sensorId) {
+          throw new AppError(`Virtual sensor inputs lead back to the sensor itself (${trail.concat(sensor._id).join(' -> ')})`, 400);
+        }
+        if (sensor.virtual && sensor.virtual.inputs) {
+          if (trail.length >= this.maxDepth) {
+            throw new AppError(`Virtual sensors can be chained at most ${this.maxDepth} levels deep`, 400);
+          }
+          const inner = await depthOf(Object.values(sensor.virtual.inputs), trail.concat(sensor._id));
+          depth = Math.max(depth, inner + 1);
+        }
+      }
+      return depth;
+    };
+
+    const depth = await depthOf(Array.from(new Set(Object.values(normalised.inputs))), sensorId ? [sensorId] : []);
+    if (depth > this.maxDepth) {
+      throw new AppError(`Virtual sensors can be chained at most ${this.maxDepth} levels deep`, 400);
+    }
+
+    return normalised;
+  }
+
+  /**
+   * Virtual sensors that use a sensor as an input
+   * @returns {Array} { _id, name } of the dependent sensors
+   */
+  async dependents(sensorId) {
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ virtual: { $exists: true, $ne: null } })
+      .project({ name: 1, virtual: 1 })
+      .toArray();
+
+    return sensors
+      .filter((sensor) => sensor.virtual.inputs && Object.values(sensor.virtual.inputs).includes(sensorId))
+      .map((sensor) => ({ _id: sensor._id, name: sensor.name }));
+  }
+
+  /**
+   * Evaluation state of one virtual sensor series
+   */
+  createSeries(definition, compiled) {
+    return {
+      names: Object.keys(definition.inputs),
+      alignment: definition.alignment,
+      maxAgeMs: definition.max_age * 1000,
+      evaluator: compiled.createEvaluator(),
+      latest: {},
+      fresh: new Set(),
+      last: null
+    };
+  }
+
+  /**
+   * Feed one input reading to a series
+   * @returns {Object|null} { time, value } when the reading completes an evaluation; value is
+   *   not finite when the expression is undefined there, e.g. a division by zero
+   */
+  step(series, name, time, value) {
+    const latest = series.latest[name];
+    if (latest && time < latest.time) {
+      // Late readings do not rewrite values already derived from newer ones
+      return null;
+    }
+    series.latest[name] = { time, value };
+    series.fresh.add(name);
+
+    let at = time;
+    if (series.alignment === 'all') {
+      if (series.fresh.size < series.names.length) {
+        return null;
+      }
+      const times = series.names.map((input) => series.latest[input].time);
+      at = Math.max(...times);
+      if (at - Math.min(...times) > series.maxAgeMs) {
+        // Wait for fresh partners of the newest readings
+        series.names
+          .filter((input) => at - series.latest[input].time > series.maxAgeMs)
+          .forEach((input) => series.fresh.delete(input));
+        return null;
+      }
+      series.fresh.clear();
+    } else if (series.names.some((input) => {
+      const current = series.latest[input];
+      return !current || current.time > at || at - current.time > series.maxAgeMs;
+    })) {
+      return null;
+    }
+
+    if (series.last !== null && at <= series.last) {
+      return null;
+    }
+    series.last = at;
+
+    const scope = {};
+    series.names.forEach((input) => {
+      scope[input] = series.latest[input].value;
+    });
+    const result = series.evaluator.evaluate(scope, at);
+    return { time: at, value: Number.isFinite(result) ? Number(result.toPrecision(12)) : result };
+  }
+
+  toPoint(sensor, { time, value }) {
+    return {
+      measurement: 'sensor_data',
+      tags: { device_id: sensor.device_id, sensor_id: sensor.id || sensor._id, unit: sensor.unit },
+      fields: { value },
+      timestamp: new Date(time)
+    };
+  }
+
+  /**
+   * Reload virtual sensor definitions. Series of unchanged sensors keep their window state.
+   */
+  async refresh() {
+    const sensors = await mongoService.getCollection('sensors')
+      .find({ virtual: { $exists: true, $ne: null }, status: { $ne: 'inactive' } })
+      .project({ name: 1, device_id: 1, unit: 1, virtual: 1 })
+      .toArray();
+
+    const active = new Map();
+    sensors.forEach((sensor) => {
+      try {
+        const definition = this.normalise(sensor.virtual);
+        const fingerprint = JSON.stringify(definition);
+        const current = this.sensors.get(sensor._id);
+        const entry = current && current.fingerprint === fingerprint
+          ? current
+          : { definition, fingerprint, series: this.createSeries(definition, this.compile(definition)) };
+
+        active.set(sensor._id, Object.assign(entry, {
+          id: sensor._id,
+          name: sensor.name,
+          device_id: sensor.device_id,
+          unit: sensor.unit
+        }));
+      } catch (error) {
+        logger.warn(`Virtual sensor ${sensor._id} has an invalid definition: ${error.message}`);
+      }
+    });
+
+    const consumers = new Map();
+    for (const entry of active.values()) {
+      Object.entries(entry.definition.inputs).forEach(([name, inputId]) => {
+        if (!consumers.has(inputId)) {
+          consumers.set(inputId, []);
+        }
+        consumers.get(inputId).push({ entry, name });
+      });
+    }
+
+    this.sensors = active;
+    this.consumers = consumers;
+  }
+
+  /**
+   * Add the values of virtual sensors to calibrated points at ingest. Readings sent for a
+   * virtual sensor are dropped, its values only come from its expression.
+   * @param {Array} points - InfluxDB point descriptions in arrival order
+   * @returns {Array} Points of physical sensors followed by the derived points
+   */
+  derive(points) {
+    if (this.sensors.size === 0) {
+      return points;
+    }
+
+    const physical = points.filter((point) => !this.sensors.has(point.tags.sensor_id));
+    this.stats.dropped += points.length - physical.length;
+
+    const derived = [];
+    const offer = (point, depth) => {
+      const consumers = this.consumers.get(point.tags.sensor_id);
+      if (!consumers || typeof point.fields.value !== 'number') {
+        return;
+      }
+
+      consumers.forEach(({ entry, name }) => {
+        let result;
+        try {
+          result = this.step(entry.series, name, point.timestamp.getTime(), point.fields.value);
+        } catch (error) {
+          // Only this derived value is lost, the readings and other virtual sensors go on
+          this.stats.failed += 1;
+          logger.warn(`Virtual sensor ${entry.id} failed to evaluate: ${error.message}`);
+          return;
+        }
+        if (!result) {
+          return;
+        }
+        if (!Number.isFinite(result.value)) {
+          this.stats.undefined += 1;
+          return;
+        }
+
+        this.stats.evaluated += 1;
+        const output = this.toPoint(entry, result);
+        derived.push(output);
+        if (depth < this.maxDepth) {
+          offer(output, depth + 1);
+        }
+      });
+    };
+
+    physical.forEach((point) => offer(point, 1));
+    return derived.length > 0 ? physical.concat(derived) : physical;
+  }
+
+  /**
+   * Replay stored input readings through a definition, one chunk of time at a time.
+   * Readings from before start warm up windowed functions and the latest input values.
+   * @param {Object} definition - Normalised definition
+   * @param {Object} range - { start, end } Dates
+   * @param {Function} onChunk - async ({ values, rows, until }) => false to stop early
+   */
+  async replay(definition, { start, end }, onChunk) {
+    const compiled = this.compile(definition);
+    const series = this.createSeries(definition, compiled);
+    const names = new Map();
+    Object.entries(definition.inputs).forEach(([name, inputId]) => {
+      if (!names.has(inputId)) {
+        names.set(inputId, []);
+      }
+      names.get(inputId).push(name);
+    });
+
+    const warmupMs = Math.max(compiled.longestWindowMs, series.maxAgeMs);
+    const from = start.getTime() - warmupMs;
+
+    for (let chunkStart = from; chunkStart < end.getTime(); chunkStart += this.backfillWindowMs) {
+      const until = new Date(Math.min(chunkStart + this.backfillWindowMs, end.getTime()));
+      const rows = await influxService.run(influxService.select()
+        .range(new Date(chunkStart), until)
+        .where('sensor_id', Array.from(names.keys()))
+        .field('value')
+        .keep(['_time', '_value', 'sensor_id'])
+        .group()
+        .sort(['_time']));
+
+      const values = [];
+      rows.forEach((row) => {
+        const value = Number(row._value);
+        if (row._value === null || !Number.isFinite(value)) {
+          return;
+        }
+        const time = new Date(row._time).getTime();
+        names.get(row.sensor_id).forEach((name) => {
+          const result = this.step(series, name, time, value);
+          if (result && Number.isFinite(result.value) && result.time >= start.getTime()) {
+            values.push(result);
+          }
+        });
+      });
+
+      const proceed = await onChunk({ values, rows: rows.length, until });
+      if (proceed === false) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Evaluate a definition over stored history without storing the values
+   * @param {Object} definition - Definition as submitted
+   * @param {Object} options - { start_time, end_time = now, limit }
+   * @returns {Object} { definition, values, truncated }
+   */
+  async preview(definition, { start_time, end_time, limit }) {
+    const start = new Date(start_time);
+    const end = end_time ? new Date(end_time) : new Date();
+    if (start >= end) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+
+    const normalised = await this.validate(definition);
+    const maximum = Math.min(limit || this.previewLimit, this.previewLimit);
+    const values = [];
+    let truncated = false;
+
+    await this.replay(normalised, { start, end }, async (chunk) => {
+      values.push(...chunk.values);
+      if (values.length > maximum) {
+        values.length = maximum;
+        truncated = true;
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      definition: normalised,
+      start,
+      end,
+      values: values.map(({ time, value }) => ({ timestamp: new Date(time), value })),
+      truncated
+    };
+  }
+
+  /**
+   * Queue a job that evaluates a virtual sensor over a past window and stores the values,
+   * replacing those stored for the window before
+   * @param {Object} sensor - Virtual sensor document
+   * @param {Object} window - { start_time, end_time = now }
+   * @param {Object} user - Requesting user
+   * @returns {Object} Job document
+   */
+  async createBackfillJob(sensor, { start_time, end_time }, user) {
+    const start = new Date(start_time);
+    const end = end_time ? new Date(end_time) : new Date();
+
+    if (start >= end) {
+      throw new AppError('Start time must be before end time', 400);
+    }
+    if (!sensor.virtual) {
+      throw new AppError('Sensor is not a virtual sensor', 400);
+    }
+
+    const job = {
+      _id: uuidv4(),
+      sensor_id: sensor._id,
+      status: 'queued',
+      window: { start, end },
+      definition: this.normalise(sensor.virtual),
+      progress: {
+        percent: 0,
+        processed_until: null,
+        points_read: 0,
+        points_written: 0
+      },
+      error: null,
+      created_by: user.id,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null
+    };
+
+    await mongoService.getCollection(JOBS_COLLECTION).insertOne(job);
+
+    this.pending.push(job);
+    this.pump();
+
+    return job;
+  }
+
+  async getJob(sensorId, jobId) {
+    return mongoService.getCollection(JOBS_COLLECTION).findOne({ _id: jobId, sensor_id: sensorId });
+  }
+
+  // Jobs run one at a time
+  pump() {
+    if (this.running || this.pending.length === 0) {
+      return;
+    }
+
+    const job = this.pending.shift();
+    this.running = job._id;
+
+    this.runJob(job)
+      .catch((error) => logger.error(`Virtual sensor job ${job._id} crashed:`, error))
+      .finally(() => {
+        this.running = null;
+        this.pump();
+      });
+  }
+
+  async runJob(job) {
+    const jobs = mongoService.getCollection(JOBS_COLLECTION);
+    const { sensor_id: sensorId } = job;
+    const start = new Date(job.window.start);
+    const end = new Date(job.window.end);
+    const progress = { ...job.progress };
+
+    await jobs.updateOne({ _id: job._id }, { $set: { status: 'running', started_at: new Date() } });
+    logger.info(`Virtual sensor job ${job._id} started for sensor ${sensorId}: ${start.toISOString()} to ${end.toISOString()}`);
+
+    try {
+      if (!influxService.isConfigured()) {
+        throw new Error('InfluxDB is not configured');
+      }
+
+      const sensor = await mongoService.getCollection('sensors').findOne(
+        { _id: sensorId },
+        { projection: { device_id: 1, unit: 1 } }
+      );
+      if (!sensor) {
+        throw new Error('Sensor no longer exists');
+      }
+
+      const predicate = deletePredicate({ _measurement: 'sensor_data', sensor_id: sensorId });
+      let cleared = start;
+
+      await this.replay(job.definition, { start, end }, async ({ values, rows, until }) => {
+        progress.points_read += rows;
+        if (until <= start) {
+          return;
+        }
+
+        // Values stored before for the chunk are replaced, including those at other timestamps
+        await influxService.deleteData(influxService.bucket, { start: cleared, stop: until, predicate });
+        cleared = until;
+
+        const points = values.map((value) => this.toPoint(sensor, value));
+        for (let index = 0; index < points.length; index += this.backfillBatchSize) {
+          progress.points_written += await influxService.writePoints(points.slice(index, index + this.backfillBatchSize));
+        }
+
+        progress.processed_until = until;
+        progress.percent = Math.floor(((until.getTime() - start.getTime()) / (end.getTime() - start.getTime())) * 100);
+
+        await jobs.updateOne({ _id: job._id }, { $set: { progress } });
+      });
+
+      retentionService.invalidate(start);
+      await jobs.updateOne({ _id: job._id }, { $set: { status: 'completed', progress, finished_at: new Date() } });
+      logger.info(`Virtual sensor job ${job._id} completed: ${progress.points_written} points written`);
+    } catch (error) {
+      logger.error(`Virtual sensor job ${job._id} failed:`, error);
+      await jobs.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', error: error.message, progress, finished_at: new Date() }
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      sensors: this.sensors.size,
+      ...this.stats,
+      backfill: { running: this.running, queued: this.pending.length }
+    };
+  }
+}
+
+module.exports = new VirtualSensorService();
@@ -0,0 +1,321 @@
+/**
+ * Online anomaly detectors. Each detector sees one sensor's readings in time order
+ * and judges every reading against what it has learned from the readings before it.
+ * A reading is { timestamp: Date, value: number }.
+ *
+ * offer() returns null for a normal reading, or { score, expected, lower, upper }
+ * where lower and upper bound the normal range and score is how far the reading is
+ * outside it in units of the detector's threshold scale (standard deviations, or
+ * multiples of the allowed rate). A spread of zero, as learned from a constant series,
+ * is taken as MIN_SPREAD so the score stays finite. Detector state can be saved with getState() and
+ * restored with setState() so a restart does not lose what has been learned.
+ */
+
+const ANOMALY_DETECTORS = ['zscore', 'ewma', 'seasonal', 'rate_of_change'];
+const RATE_UNITS = { second: 1, minute: 60, hour: 3600 };
+
+// Smallest spread a score is measured in
+const MIN_SPREAD = 1e-6;
+
+const timeOf = (reading) => reading.timestamp.getTime();
+
+const scoreOf = (deviation, spread) => Math.abs(deviation) / Math.max(spread, MIN_SPREAD);
+
+/**
+ * Anomaly result for a value outside expected ± band
+ * @returns {Object|null} Null when the value is within the band
+ */
+const judge = (value, expected, band, spread) => {
+  if (Math.abs(value - expected) <= band) {
+    return null;
+  }
+  return {
+    score: scoreOf(value - expected, spread),
+    expected,
+    lower: expected - band,
+    upper: expected + band
+  };
+};
+
+/**
+ * Rolling z-score: a reading is anomalous when it lies more than threshold standard
+ * deviations from the mean of the last window readings.
+ */
+class ZScoreDetector {
+  constructor({ window = 60, threshold = 3, min_samples: minSamples, min_deviation: minDeviation = 0 }) {
+    this.window = window;
+    this.threshold = threshold;
+    this.minSamples = Math.min(minSamples || 20, window);
+    this.minDeviation = minDeviation;
+    this.values = [];
+    this.last = null;
+  }
+
+  offer(reading) {
+    if (this.last !== null && timeOf(reading) <= this.last) {
+      return null;
+    }
+    this.last = timeOf(reading);
+
+    let result = null;
+    const n = this.values.length;
+    if (n >= this.minSamples) {
+      const mean = this.values.reduce((sum, value) => sum + value, 0) / n;
+      const variance = this.values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(n - 1, 1);
+      const sd = Math.sqrt(variance);
+      result = judge(reading.value, mean, Math.max(this.threshold * sd, this.minDeviation), sd);
+    }
+
+    this.values.push(reading.value);
+    if (this.values.length > this.window) {
+      this.values.shift();
+    }
+    return result;
+  }
+
+  getState() {
+    return { values: this.values, last: this.last };
+  }
+
+  setState(state) {
+    this.values = state.values.slice(-this.window);
+    this.last = state.last;
+  }
+}
+
+/**
+ * EWMA control chart. The exponentially weighted mean z = λ·x + (1 − λ)·z signals when
+ * it leaves μ ± L·σ·√(λ / (2 − λ)). μ and σ are learned over the first warmup readings
+ * and then follow in-control readings slowly (baseline_alpha), so the chart tracks a
+ * drifting process without absorbing the shifts it is meant to detect.
+ */
+class EwmaDetector {
+  constructor({
+    lambda = 0.2,
+    limit = 3,
+    warmup = 30,
+    baseline_alpha: baselineAlpha = 0.01,
+    min_deviation: minDeviation = 0
+  }) {
+    this.lambda = lambda;
+    this.limit = limit;
+    this.warmup = warmup;
+    this.baselineAlpha = baselineAlpha;
+    this.minDeviation = minDeviation;
+    this.n = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.z = null;
+    this.last = null;
+  }
+
+  offer(reading) {
+    if (this.last !== null && timeOf(reading) <= this.last) {
+      return null;
+    }
+    this.last = timeOf(reading);
+    const { value } = reading;
+
+    if (this.n < this.warmup) {
+      // Welford's algorithm for the baseline mean and variance
+      this.n += 1;
+      const delta = value - this.mean;
+      this.mean += delta / this.n;
+      this.m2 += delta * (value - this.mean);
+      this.z = this.mean;
+      return null;
+    }
+
+    this.z = this.lambda * value + (1 - this.lambda) * this.z;
+    const sigma = Math.sqrt(this.m2 / Math.max(this.n - 1, 1));
+    const sigmaZ = sigma * Math.sqrt(this.lambda / (2 - this.lambda));
+    const band = Math.max(this.limit * sigmaZ, this.minDeviation);
+
+    if (Math.abs(this.z - this.mean) > band) {
+      return {
+        score: scoreOf(this.z - this.mean, sigmaZ),
+        expected: this.mean,
+        lower: this.mean - band,
+        upper: this.mean + band
+      };
+    }
+
+    // In control: let the baseline follow, keeping m2 / (n − 1) as the variance
+    const variance = sigma ** 2;
+    const delta = value - this.mean;
+    this.mean += this.baselineAlpha * delta;
+    this.m2 = (1 - this.baselineAlpha) * (variance + this.baselineAlpha * delta ** 2) * Math.max(this.n - 1, 1);
+    return null;
+  }
+
+  getState() {
+    return { n: this.n, mean: this.mean, m2: this.m2, z: this.z, last: this.last };
+  }
+
+  setState(state) {
+    Object.assign(this, state);
+  }
+}
+
+/**
+ * Seasonal baseline: the period (a day by default) is split into buckets, and every
+ * bucket learns the mean and spread of its readings over past cycles, weighting the
+ * latest cycle by alpha. A reading is anomalous when it lies more than threshold
+ * standard deviations from the baseline of its bucket. Buckets are aligned to UTC.
+ */
+class SeasonalDetector {
+  constructor({
+    period = 86400,
+    buckets = 24,
+    threshold = 3,
+    alpha = 0.2,
+    min_cycles: minCycles = 2,
+    min_deviation: minDeviation = 0
+  }) {
+    this.periodMs = period * 1000;
+    this.buckets = buckets;
+    this.threshold = threshold;
+    this.alpha = alpha;
+    this.minCycles = minCycles;
+    this.minDeviation = minDeviation;
+    // Baseline per bucket: { mean, square, cycles }
+    this.slots = {};
+    // Readings of the bucket being filled: { key, n, sum, square }
+    this.current = null;
+    this.last = null;
+  }
+
+  slotOf(time) {
+    const cycle = Math.floor(time / this.periodMs);
+    const slot = Math.floor(((time - cycle * this.periodMs) / this.periodMs) * this.buckets);
+    return { slot, key: cycle * this.buckets + slot };
+  }
+
+  // Fold the finished bucket of a cycle into the baseline of its slot
+  fold() {
+    const { current } = this;
+    const slot = ((current.key % this.buckets) + this.buckets) % this.buckets;
+    const mean = current.sum / current.n;
+    const square = current.square / current.n;
+    const baseline = this.slots[slot];
+
+    this.slots[slot] = baseline
+      ? {
+        mean: (1 - this.alpha) * baseline.mean + this.alpha * mean,
+        square: (1 - this.alpha) * baseline.square + this.alpha * square,
+        cycles: baseline.cycles + 1
+      }
+      : { mean, square, cycles: 1 };
+  }
+
+  offer(reading) {
+    const time = timeOf(reading);
+    if (this.last !== null && time <= this.last) {
+      return null;
+    }
+    this.last = time;
+
+    const { slot, key } = this.slotOf(time);
+    if (this.current && this.current.key !== key) {
+      this.fold();
+      this.current = null;
+    }
+
+    let result = null;
+    const baseline = this.slots[slot];
+    if (baseline && baseline.cycles >= this.minCycles) {
+      const sd = Math.sqrt(Math.max(baseline.square - baseline.mean ** 2, 0));
+      result = judge(reading.value, baseline.mean, Math.max(this.threshold * sd, this.minDeviation), sd);
+    }
+
+    this.current = this.current || { key, n: 0, sum: 0, square: 0 };
+    this.current.n += 1;
+    this.current.sum += reading.value;
+    this.current.square += reading.value ** 2;
+    return result;
+  }
+
+  getState() {
+    return { slots: this.slots, current: this.current, last: this.last };
+  }
+
+  setState(state) {
+    Object.assign(this, state);
+  }
+}
+
+/**
+ * Rate of change: a reading is anomalous when the value changed faster than
+ * max_rate per unit of time (second, minute or hour) since the previous reading.
+ */
+class RateOfChangeDetector {
+  constructor({ max_rate: maxRate, per = 'second' }) {
+    this.maxRate = Math.abs(maxRate);
+    this.unitMs = RATE_UNITS[per] * 1000;
+    this.previous = null;
+  }
+
+  offer(reading) {
+    const { previous } = this;
+    if (previous && timeOf(reading) <= previous.time) {
+      return null;
+    }
+    this.previous = { time: timeOf(reading), value: reading.value };
+    if (!previous) {
+      return null;
+    }
+
+    const units = (timeOf(reading) - previous.time) / this.unitMs;
+    const rate = (reading.value - previous.value) / units;
+    if (Math.abs(rate) <= this.maxRate) {
+      return null;
+    }
+
+    return {
+      score: scoreOf(rate, this.maxRate),
+      expected: previous.value,
+      lower: previous.value - this.maxRate * units,
+      upper: previous.value + this.maxRate * units,
+      rate
+    };
+  }
+
+  getState() {
+    return { previous: this.previous };
+  }
+
+  setState(state) {
+    this.previous = state.previous;
+  }
+}
+
+const DETECTOR_CLASSES = {
+  zscore: ZScoreDetector,
+  ewma: EwmaDetector,
+  seasonal: SeasonalDetector,
+  rate_of_change: RateOfChangeDetector
+};
+
+/**
+ * Create the detector of a detector config
+ * @param {Object} config - { type, ...detector options }
+ */
+const createDetector = (config) => {
+  const Detector = DETECTOR_CLASSES[config.type];
+  if (!Detector) {
+    throw new Error(`Unknown anomaly detector: ${config.type}`);
+  }
+  if (config.type === 'rate_of_change' && typeof config.max_rate !== 'number') {
+    throw new Error('Rate of change detector requires max_rate');
+  }
+  if (config.per !== undefined && !RATE_UNITS[config.per]) {
+    throw new Error(`Unknown rate unit: ${config.per}`);
+  }
+  return new Detector(config);
+};
+
+module.exports = {
+  ANOMALY_DETECTORS,
+  RATE_UNITS,
+  createDetector
+};
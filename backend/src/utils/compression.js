@@ -0,0 +1,192 @@
+/**
+ * Historian-style compression filters. Each filter sees one sensor's points in
+ * time order and returns the points that have to be stored.
+ * A point is { timestamp: Date, value: number, ... }; extra properties are passed through.
+ */
+
+const COMPRESSION_MODES = ['deadband', 'exception', 'swinging_door'];
+
+/**
+ * Build the deviation function of a compression config
+ * @param {Object} config - { deviation } in sensor units or { deviation_percent } of the span
+ * @param {number|null} span - Sensor range (max_value - min_value); percent falls back to the reference value without one
+ * @returns {Function} (reference value) => allowed deviation
+ */
+const deviationFor = (config, span) => {
+  if (config.deviation !== undefined && config.deviation !== null) {
+    const deviation = Math.abs(Number(config.deviation));
+    return () => deviation;
+  }
+
+  const fraction = Math.abs(Number(config.deviation_percent)) / 100;
+  if (span) {
+    const deviation = fraction * span;
+    return () => deviation;
+  }
+  return (reference) => fraction * Math.abs(reference);
+};
+
+const timeOf = (point) => point.timestamp.getTime();
+
+/**
+ * Deadband filter. A point is stored when it differs from the last stored value
+ * by more than the deviation, or when max interval has passed since the last stored point.
+ * With reportPrevious (exception reporting) the last suppressed point is stored as well
+ * before each exception, so a step is not read back as a ramp when interpolating.
+ */
+class DeadbandFilter {
+  constructor({ deviation, maxIntervalMs, reportPrevious = false }) {
+    this.deviation = deviation;
+    this.maxIntervalMs = maxIntervalMs;
+    this.reportPrevious = reportPrevious;
+    this.last = null;
+    this.held = null;
+  }
+
+  offer(point) {
+    if (!this.last) {
+      this.last = point;
+      return [point];
+    }
+
+    // Late points are stored as they are and do not disturb the filter
+    if (timeOf(point) <= timeOf(this.last)) {
+      return [point];
+    }
+
+    const exceeded = Math.abs(point.value - this.last.value) > this.deviation(this.last.value);
+    const heartbeat = this.maxIntervalMs > 0 && timeOf(point) - timeOf(this.last) >= this.maxIntervalMs;
+
+    if (!exceeded && !heartbeat) {
+      this.held = point;
+      return [];
+    }
+
+    const stored = exceeded && this.reportPrevious && this.held ? [this.held, point] : [point];
+    this.last = point;
+    this.held = null;
+    return stored;
+  }
+
+  /**
+   * Points still waiting to be stored; a deadband never holds back a point it owes storage
+   */
+  takePending() {
+    return null;
+  }
+
+  pendingSince() {
+    return null;
+  }
+}
+
+/**
+ * Swinging door trending. The last point is kept as a snapshot while every point since
+ * the last archived one still fits a line from it within the deviation; once the door
+ * opens the snapshot is archived and becomes the new pivot.
+ */
+class SwingingDoorFilter {
+  constructor({ deviation, maxIntervalMs }) {
+    this.deviation = deviation;
+    this.maxIntervalMs = maxIntervalMs;
+    this.archive = null;
+    this.snapshot = null;
+    this.snapshotAt = null;
+    this.upperSlope = Infinity;
+    this.lowerSlope = -Infinity;
+  }
+
+  openDoor(point) {
+    const elapsed = timeOf(point) - timeOf(this.archive);
+    const deviation = this.deviation(this.archive.value);
+    this.upperSlope = (point.value + deviation - this.archive.value) / elapsed;
+    this.lowerSlope = (point.value - deviation - this.archive.value) / elapsed;
+  }
+
+  offer(point) {
+    if (!this.archive) {
+      this.archive = point;
+      return [point];
+    }
+
+    const latest = this.snapshot || this.archive;
+    if (timeOf(point) <= timeOf(latest)) {
+      return [point];
+    }
+
+    const stored = [];
+
+    if (!this.snapshot) {
+      this.openDoor(point);
+    } else {
+      const elapsed = timeOf(point) - timeOf(this.archive);
+      const deviation = this.deviation(this.archive.value);
+      const upperSlope = Math.min(this.upperSlope, (point.value + deviation - this.archive.value) / elapsed);
+      const lowerSlope = Math.max(this.lowerSlope, (point.value - deviation - this.archive.value) / elapsed);
+
+      if (lowerSlope > upperSlope) {
+        stored.push(this.snapshot);
+        this.archive = this.snapshot;
+        this.openDoor(point);
+      } else {
+        this.upperSlope = upperSlope;
+        this.lowerSlope = lowerSlope;
+      }
+    }
+
+    this.snapshot = point;
+    this.snapshotAt = Date.now();
+
+    // Heartbeat: all points since the archive fit the corridor, so the newest can be archived directly
+    if (this.maxIntervalMs > 0 && timeOf(point) - timeOf(this.archive) >= this.maxIntervalMs) {
+      stored.push(this.takePending());
+    }
+
+    return stored;
+  }
+
+  /**
+   * Archive and return the snapshot, e.g. when the sensor went quiet or on shutdown
+   * @returns {Object|null} Snapshot point or null
+   */
+  takePending() {
+    const { snapshot } = this;
+    if (!snapshot) {
+      return null;
+    }
+
+    this.archive = snapshot;
+    this.snapshot = null;
+    this.snapshotAt = null;
+    return snapshot;
+  }
+
+  /**
+   * Wall-clock time the current snapshot was received, or null
+   */
+  pendingSince() {
+    return this.snapshotAt;
+  }
+}
+
+/**
+ * Create the filter for a compression config
+ * @param {Object} config - { mode, deviation | deviation_percent, max_interval (seconds) }
+ * @param {Object} options - { span, defaultMaxInterval (seconds) }
+ * @returns {DeadbandFilter|SwingingDoorFilter}
+ */
+const createFilter = (config, { span = null, defaultMaxInterval = 0 } = {}) => {
+  const deviation = deviationFor(config, span);
+  const maxInterval = config.max_interval !== undefined ? Number(config.max_interval) : defaultMaxInterval;
+  const maxIntervalMs = maxInterval > 0 ? maxInterval * 1000 : 0;
+
+  if (config.mode === 'swinging_door') {
+    return new SwingingDoorFilter({ deviation, maxIntervalMs });
+  }
+  return new DeadbandFilter({ deviation, maxIntervalMs, reportPrevious: config.mode === 'exception' });
+};
+
+module.exports = {
+  COMPRESSION_MODES,
+  createFilter
+};
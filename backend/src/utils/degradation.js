@@ -0,0 +1,211 @@
+/**
+ * Degradation models for remaining useful life estimates. A history is a list of
+ * { t, value } points with t in days relative to the assessment time (negative in
+ * the past). Models are fitted by least squares; exponential models are fitted on
+ * the log of the values, so they need positive values.
+ */
+
+const DEGRADATION_MODELS = ['linear', 'exponential'];
+
+// Acklam's rational approximation of the inverse standard normal distribution
+const ACKLAM_A = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+const ACKLAM_B = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+const ACKLAM_C = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+const ACKLAM_D = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+
+const polynomial = (coefficients, x) => coefficients.reduce((sum, coefficient) => sum * x + coefficient, 0);
+
+/**
+ * Quantile of the standard normal distribution
+ * @param {number} p - Probability between 0 and 1
+ */
+const normalQuantile = (p) => {
+  if (p <= 0 || p >= 1) {
+    throw new Error('Probability must be between 0 and 1');
+  }
+
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return polynomial(ACKLAM_C, q) / (polynomial(ACKLAM_D, q) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (polynomial(ACKLAM_A, r) * q) / (polynomial(ACKLAM_B, r) * r + 1);
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - polynomial([1.061405429, -1.453152027, 1.421413741, -0.284496736, 0.254829592, 0], t) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Ordinary least squares of y on t
+ * @returns {Object|null} { intercept, slope, meanT, sxx, sigma, n } or null when t does not vary
+ */
+const leastSquares = (points, transform) => {
+  const n = points.length;
+  const ys = points.map((point) => transform(point.value));
+  const meanT = points.reduce((sum, point) => sum + point.t, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach((point, index) => {
+    sxx += (point.t - meanT) ** 2;
+    sxy += (point.t - meanT) * (ys[index] - meanY);
+  });
+  if (sxx === 0) {
+    return null;
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanT;
+  const sse = points.reduce((sum, point, index) => sum + (ys[index] - (intercept + slope * point.t)) ** 2, 0);
+
+  return { intercept, slope, meanT, sxx, sigma: Math.sqrt(sse / Math.max(n - 2, 1)), n };
+};
+
+/**
+ * Fit a degradation model
+ * @param {Array} points - [{ t, value }]
+ * @param {string} type - 'linear' (value = a + b·t) or 'exponential' (value = e^(a + b·t))
+ * @returns {Object|null} Model or null when it cannot be fitted to the points
+ */
+const fitModel = (points, type) => {
+  if (points.length < 3 || (type === 'exponential' && points.some((point) => point.value <= 0))) {
+    return null;
+  }
+
+  const log = type === 'exponential';
+  const fit = leastSquares(points, log ? Math.log : (value) => value);
+  if (!fit) {
+    return null;
+  }
+
+  const toValue = log ? Math.exp : (y) => y;
+  const toScale = log ? Math.log : (value) => value;
+
+  const model = {
+    type,
+    ...fit,
+    // Mean and standard error of a new observation at t, on the fitted scale
+    predictScaled(t) {
+      const se = fit.sigma * Math.sqrt(1 + 1 / fit.n + ((t - fit.meanT) ** 2) / fit.sxx);
+      return { mean: fit.intercept + fit.slope * t, se };
+    },
+    predict(t) {
+      return toValue(this.predictScaled(t).mean);
+    },
+    // Prediction interval at t for a two-sided z
+    interval(t, z) {
+      const { mean, se } = this.predictScaled(t);
+      return { lower: toValue(mean - z * se), upper: toValue(mean + z * se) };
+    },
+    toScale
+  };
+
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  let sse = 0;
+  let sst = 0;
+  points.forEach((point) => {
+    sse += (point.value - model.predict(point.t)) ** 2;
+    sst += (point.value - meanValue) ** 2;
+  });
+
+  model.rmse = Math.sqrt(sse / points.length);
+  model.rSquared = sst > 0 ? 1 - sse / sst : 0;
+  return model;
+};
+
+/**
+ * Fit the requested model, or with 'auto' every model and keep the best fit
+ * @param {Array} points - [{ t, value }]
+ * @param {string} type - 'auto', 'linear' or 'exponential'
+ * @returns {Object|null} Model or null when no model fits
+ */
+const fitDegradation = (points, type = 'auto') => {
+  const candidates = (type === 'auto' ? DEGRADATION_MODELS : [type])
+    .map((candidate) => fitModel(points, candidate))
+    .filter(Boolean);
+
+  return candidates.reduce((best, model) => (!best || model.rmse < best.rmse ? model : best), null);
+};
+
+/**
+ * First time in (0, maxT] at which a curve reaches the threshold, by scanning and bisection
+ * @param {Function} curve - t => value
+ * @param {Function} reached - value => boolean
+ * @returns {number|null} Days from now, 0 when already reached, or null within maxT
+ */
+const firstCrossing = (curve, reached, maxT, steps = 2000) => {
+  if (reached(curve(0))) {
+    return 0;
+  }
+
+  const step = maxT / steps;
+  for (let index = 1; index <= steps; index += 1) {
+    let high = index * step;
+    if (reached(curve(high))) {
+      let low = high - step;
+      for (let iteration = 0; iteration < 40; iteration += 1) {
+        const middle = (low + high) / 2;
+        if (reached(curve(middle))) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+      return high;
+    }
+  }
+  return null;
+};
+
+/**
+ * Remaining useful life: days until the fitted model reaches the failure threshold,
+ * with the times the pessimistic and optimistic prediction bounds reach it
+ * @param {Object} model - Result of fitDegradation
+ * @param {Object} options - { threshold, direction: 'rising' | 'falling', confidence, maxDays, horizonDays }
+ * @returns {Object} { rul_days, lower_days, upper_days, failure_probability }, null days beyond maxDays
+ */
+const remainingLife = (model, { threshold, direction, confidence, maxDays, horizonDays }) => {
+  const rising = direction === 'rising';
+  const reached = rising ? (value) => value >= threshold : (value) => value <= threshold;
+  const z = normalQuantile(0.5 + confidence / 2);
+
+  const pessimistic = (t) => (rising ? model.interval(t, z).upper : model.interval(t, z).lower);
+  const optimistic = (t) => (rising ? model.interval(t, z).lower : model.interval(t, z).upper);
+
+  // Probability that a reading at the horizon is past the threshold
+  let failureProbability = rising ? 1 : 0;
+  if (model.type !== 'exponential' || threshold > 0) {
+    const { mean, se } = model.predictScaled(horizonDays);
+    const distance = (model.toScale(threshold) - mean) / (se || Number.EPSILON);
+    failureProbability = rising ? 1 - normalCdf(distance) : normalCdf(distance);
+  }
+
+  return {
+    rul_days: firstCrossing((t) => model.predict(t), reached, maxDays),
+    lower_days: firstCrossing(pessimistic, reached, maxDays),
+    upper_days: firstCrossing(optimistic, reached, maxDays),
+    failure_probability: failureProbability
+  };
+};
+
+module.exports = {
+  DEGRADATION_MODELS,
+  fitDegradation,
+  normalCdf,
+  normalQuantile,
+  remainingLife
+};
@@ -0,0 +1,22 @@
+/**
+ * An inbound device message that cannot be ingested and belongs in the dead-letter store
+ */
+class RejectedMessageError extends Error {
+  /**
+   * @param {string} reason - Machine-readable rejection reason, e.g. invalid_json
+   * @param {string} message - Human-readable description
+   * @param {*} payload - Parsed payload to store instead of the raw message, if any
+   */
+  constructor(reason, message, payload = null) {
+    super(message);
+    this.name = 'RejectedMessageError';
+    this.reason = reason;
+    this.payload = payload;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = {
+  RejectedMessageError
+};
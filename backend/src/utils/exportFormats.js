@@ -0,0 +1,217 @@
+/**
+ * Streaming writers for data exports. A writer takes one record at a time and writes it
+ * to a Node.js stream, waiting for the stream to drain when its buffer is full, so an
+ * export of any size holds only a few rows in memory.
+ *
+ *   const writer = await createExportWriter('csv', res, columns);
+ *   for await (const record of records) await writer.write(record);
+ *   await writer.end();
+ *
+ * Columns are { name, type } with type timestamp, string or number.
+ */
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Rows per worksheet, one below the Excel limit to leave room for the header
+const XLSX_MAX_ROWS = 1048575;
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+/**
+ * Wait until a stream accepts more data or is closed
+ */
+const drain = (output) => new Promise((resolve) => {
+  const done = () => {
+    output.off('drain', done);
+    output.off('close', done);
+    resolve();
+  };
+  output.on('drain', done);
+  output.on('close', done);
+});
+
+const writeChunk = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await drain(output);
+  }
+};
+
+/**
+ * RFC 4180 field: quoted when it contains a comma, quote, CR or LF; quotes doubled
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+const toJsonValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return type === 'timestamp' ? toDate(value).toISOString() : value;
+};
+
+const jsonRecord = (record, columns) => JSON.stringify(columns.reduce((object, { name, type }) => {
+  object[name] = toJsonValue(record[name], type);
+  return object;
+}, {}));
+
+const csvWriter = (output, columns) => ({
+  async start() {
+    await writeChunk(output, `${columns.map(({ name }) => csvField(name)).join(',')}\r\n`);
+  },
+  async write(record) {
+    await writeChunk(output, `${columns.map(({ name, type }) => csvField(toJsonValue(record[name], type))).join(',')}\r\n`);
+  },
+  async end() {
+    output.end();
+  }
+});
+
+const ndjsonWriter = (output, columns) => ({
+  async start() {},
+  async write(record) {
+    await writeChunk(output, `${jsonRecord(record, columns)}\n`);
+  },
+  async end() {
+    output.end();
+  }
+});
+
+// Same envelope as the other JSON responses, with data streamed as an array
+const jsonWriter = (output, columns) => {
+  let count = 0;
+  return {
+    async start() {
+      await writeChunk(output, '{"success":true,"data":[');
+    },
+    async write(record) {
+      await writeChunk(output, `${count > 0 ? ',' : ''}${jsonRecord(record, columns)}`);
+      count += 1;
+    },
+    async end() {
+      output.end(`],"count":${count},"timestamp":"${new Date().toISOString()}"}`);
+    }
+  };
+};
+
+const xlsxWriter = (output, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+  let worksheet = null;
+  let sheets = 0;
+  let rows = 0;
+
+  const addWorksheet = () => {
+    if (worksheet) {
+      worksheet.commit();
+    }
+    sheets += 1;
+    worksheet = workbook.addWorksheet(sheets === 1 ? 'Data' : `Data ${sheets}`);
+    worksheet.addRow(columns.map(({ name }) => name)).commit();
+    rows = 0;
+  };
+
+  return {
+    async start() {
+      addWorksheet();
+    },
+    async write(record) {
+      if (rows >= XLSX_MAX_ROWS) {
+        addWorksheet();
+      }
+      worksheet.addRow(columns.map(({ name, type }) => {
+        const value = record[name];
+        if (value === null || value === undefined) {
+          return null;
+        }
+        return type === 'timestamp' ? toDate(value) : value;
+      })).commit();
+      rows += 1;
+
+      if (output.writableNeedDrain) {
+        await drain(output);
+      }
+    },
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+const PARQUET_TYPES = {
+  timestamp: 'TIMESTAMP_MILLIS',
+  string: 'UTF8',
+  number: 'DOUBLE'
+};
+
+const parquetWriter = (output, columns) => {
+  const schema = new parquet.ParquetSchema(columns.reduce((fields, { name, type }) => {
+    fields[name] = { type: PARQUET_TYPES[type], optional: true };
+    return fields;
+  }, {}));
+  let writer = null;
+
+  return {
+    async start() {
+      writer = await parquet.ParquetWriter.openStream(schema, output, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+    },
+    async write(record) {
+      // Parquet leaves optional fields out instead of storing null
+      const row = {};
+      columns.forEach(({ name, type }) => {
+        const value = record[name];
+        if (value !== null && value !== undefined) {
+          row[name] = type === 'timestamp' ? toDate(value) : value;
+        }
+      });
+      await writer.appendRow(row);
+    },
+    async end() {
+      await writer.close();
+    }
+  };
+};
+
+const WRITERS = {
+  csv: csvWriter,
+  json: jsonWriter,
+  ndjson: ndjsonWriter,
+  parquet: parquetWriter,
+  xlsx: xlsxWriter
+};
+
+/**
+ * Open a writer for an export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {stream.Writable} output - Response or file stream; ended by end()
+ * @param {Array} columns - { name, type }
+ * @returns {Promise<Object>} { write(record), end() }, both returning promises
+ */
+const createExportWriter = async (format, output, columns) => {
+  const factory = WRITERS[format];
+  if (!factory) {
+    throw new Error(`Unsupported export format ${format}`);
+  }
+  const writer = factory(output, columns);
+  await writer.start();
+  return { write: writer.write, end: writer.end };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvField,
+  createExportWriter
+};
@@ -0,0 +1,537 @@
+/**
+ * Safe arithmetic expressions for virtual sensors. An expression is parsed into a tree
+ * that is evaluated by walking it: nothing is handed to eval or Function, and only the
+ * operators and functions below exist.
+ *
+ *   Operators:  + - * / % ^ (power), < <= > >= == !=, && || !, test ? a : b
+ *   Functions:  abs, sqrt, exp, ln, log10, floor, ceil, round(x[, digits]), pow(x, y),
+ *               min(a, b, ...), max(a, b, ...), clamp(x, low, high), if(test, a, b)
+ *   Windowed:   rolling_mean, rolling_min, rolling_max, rolling_sum (x, "5m"),
+ *               delta(x), rate(x[, "second" | "minute" | "hour"])
+ *   Constants:  pi, e
+ *
+ * Comparisons and logical operators yield 1 or 0. Windowed functions keep state between
+ * evaluations: rolling functions aggregate the values their argument had over the window
+ * ending at the evaluation time, delta and rate compare with the previous evaluation.
+ * One evaluator must therefore see one series of evaluations, in time order.
+ */
+
+const { durationMs } = require('./flux');
+const { RATE_UNITS } = require('./anomaly');
+
+const MAX_LENGTH = 1000;
+const MAX_NODES = 250;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// name: [min arguments, max arguments, implementation]
+const FUNCTIONS = {
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  exp: [1, 1, Math.exp],
+  ln: [1, 1, Math.log],
+  log10: [1, 1, Math.log10],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  round: [1, 2, (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits],
+  pow: [2, 2, (base, exponent) => base ** exponent],
+  min: [1, Infinity, Math.min],
+  max: [1, Infinity, Math.max],
+  clamp: [3, 3, (value, low, high) => Math.min(Math.max(value, low), high)],
+  if: [3, 3, (test, whenTrue, whenFalse) => (test !== 0 && !Number.isNaN(test) ? whenTrue : whenFalse)]
+};
+
+/**
+ * Queue that drops items from the front by advancing an index, so taking the oldest
+ * sample does not move every other one
+ */
+class Deque {
+  constructor() {
+    this.items = [];
+    this.head = 0;
+  }
+
+  get length() {
+    return this.items.length - this.head;
+  }
+
+  front() {
+    return this.items[this.head];
+  }
+
+  back() {
+    return this.items[this.items.length - 1];
+  }
+
+  push(item) {
+    this.items.push(item);
+  }
+
+  pop() {
+    return this.items.pop();
+  }
+
+  shift() {
+    const item = this.items[this.head];
+    this.head += 1;
+    if (this.head >= 1024 && this.head * 2 >= this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+    return item;
+  }
+}
+
+/**
+ * Samples of a rolling window with a running sum and monotonic deques of the
+ * candidates for minimum and maximum, so each evaluation costs amortised O(1)
+ */
+class RollingWindow {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.samples = new Deque();
+    this.minima = new Deque();
+    this.maxima = new Deque();
+    this.sum = 0;
+  }
+
+  add(time, value) {
+    const sample = { time, value };
+    this.samples.push(sample);
+    this.sum += value;
+
+    while (this.minima.length > 0 && this.minima.back().value >= value) {
+      this.minima.pop();
+    }
+    this.minima.push(sample);
+    while (this.maxima.length > 0 && this.maxima.back().value <= value) {
+      this.maxima.pop();
+    }
+    this.maxima.push(sample);
+  }
+
+  /**
+   * Drop samples that have left the window ending at time
+   */
+  expire(time) {
+    while (this.samples.length > 0 && this.samples.front().time <= time - this.windowMs) {
+      const sample = this.samples.shift();
+      this.sum -= sample.value;
+      // The deques keep samples in arrival order, so an expired one can only be at the front
+      if (this.minima.front() === sample) {
+        this.minima.shift();
+      }
+      if (this.maxima.front() === sample) {
+        this.maxima.shift();
+      }
+    }
+
+    // Start over from an exact sum rather than carry rounding error into the next fill
+    if (this.samples.length === 0) {
+      this.sum = 0;
+    }
+  }
+}
+
+const ROLLING = {
+  rolling_mean: (window) => window.sum / window.samples.length,
+  rolling_min: (window) => window.minima.front().value,
+  rolling_max: (window) => window.maxima.front().value,
+  rolling_sum: (window) => window.sum
+};
+
+const WINDOWED = [...Object.keys(ROLLING), 'delta', 'rate'];
+const RESERVED = new Set([...Object.keys(CONSTANTS), ...Object.keys(FUNCTIONS), ...WINDOWED]);
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => a ** b,
+  '<': (a, b) => Number(a < b),
+  '<=': (a, b) => Number(a <= b),
+  '>': (a, b) => Number(a > b),
+  '>=': (a, b) => Number(a >= b),
+  '==': (a, b) => Number(a === b),
+  '!=': (a, b) => Number(a !== b),
+  '&&': (a, b) => Number(a !== 0 && b !== 0),
+  '||': (a, b) => Number(a !== 0 || b !== 0)
+};
+
+// Binding power of binary operators; ^ is right associative
+const PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3,
+  '!=': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6,
+  '^': 8
+};
+const UNARY_PRECEDENCE = 7;
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|"([^"]*)"|'([^']*)'|(<=|>=|==|!=|&&|\|\||[-+*/%^<>!?:(),]))/y;
+
+/**
+ * Split an expression into tokens: { type: number|identifier|string|operator, value, position }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+
+    const from = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      const position = from + source.slice(from).search(/\S/);
+      throw new ExpressionError(`Unexpected character "${source[position]}"`, position);
+    }
+
+    const position = match.index + match[0].search(/\S/);
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]), position });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2], position });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ type: 'string', value: match[3] !== undefined ? match[3] : match[4], position });
+    } else {
+      tokens.push({ type: 'operator', value: match[5], position });
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+};
+
+/**
+ * Pratt parser over the token list
+ */
+class Parser {
+  constructor(source, { maxWindowMs }) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.nodes = 0;
+    this.maxWindowMs = maxWindowMs;
+    this.variables = new Set();
+    this.windows = 0;
+    this.longestWindowMs = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    this.index += 1;
+    return token;
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw new ExpressionError(`Expected "${value}"`, token.position);
+    }
+    return token;
+  }
+
+  node(properties) {
+    this.nodes += 1;
+    if (this.nodes > MAX_NODES) {
+      throw new ExpressionError(`Expression is too complex (more than ${MAX_NODES} terms)`);
+    }
+    return properties;
+  }
+
+  parse() {
+    const tree = this.expression();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+    }
+    return tree;
+  }
+
+  // Conditionals bind loosest
+  expression() {
+    const test = this.binary(0);
+    if (!this.isOperator('?')) {
+      return test;
+    }
+
+    this.next();
+    const consequent = this.expression();
+    this.expect(':');
+    const alternate = this.expression();
+    return this.node({ type: 'conditional', test, consequent, alternate });
+  }
+
+  binary(minimum) {
+    let left = this.unary();
+
+    for (;;) {
+      const token = this.peek();
+      const precedence = token.type === 'operator' ? PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minimum) {
+        return left;
+      }
+
+      this.next();
+      const right = this.binary(token.value === '^' ? precedence - 1 : precedence);
+      left = this.node({ type: 'binary', operator: token.value, left, right });
+    }
+  }
+
+  unary() {
+    if (this.isOperator('-') || this.isOperator('!') || this.isOperator('+')) {
+      const { value: operator } = this.next();
+      const operand = this.binary(UNARY_PRECEDENCE);
+      return operator === '+' ? operand : this.node({ type: 'unary', operator, operand });
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const token = this.next();
+
+    if (token.type === 'number') {
+      return this.node({ type: 'number', value: token.value });
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = this.expression();
+      this.expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      if (this.isOperator('(')) {
+        return this.call(token);
+      }
+      if (CONSTANTS[token.value] !== undefined) {
+        return this.node({ type: 'number', value: CONSTANTS[token.value] });
+      }
+      if (RESERVED.has(token.value)) {
+        throw new ExpressionError(`${token.value} is a function`, token.position);
+      }
+      this.variables.add(token.value);
+      return this.node({ type: 'variable', name: token.value });
+    }
+
+    if (token.type === 'string') {
+      throw new ExpressionError('Text is only allowed as a window or rate unit argument', token.position);
+    }
+    if (token.type === 'end') {
+      throw new ExpressionError('Unexpected end of expression', token.position);
+    }
+    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  // Arguments of a call; string literals only where a window function expects them
+  arguments() {
+    this.expect('(');
+    const args = [];
+    if (this.isOperator(')')) {
+      this.next();
+      return args;
+    }
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'string') {
+        this.next();
+        args.push({ type: 'string', value: token.value, position: token.position });
+      } else {
+        args.push(this.expression());
+      }
+
+      if (this.isOperator(')')) {
+        this.next();
+        return args;
+      }
+      this.expect(',');
+    }
+  }
+
+  call(token) {
+    const { value: name, position } = token;
+    const args = this.arguments();
+
+    if (FUNCTIONS[name]) {
+      const [min, max] = FUNCTIONS[name];
+      if (args.length < min || args.length > max) {
+        const expected = min === max ? `${min}` : `${min} to ${max === Infinity ? 'any number of' : max}`;
+        throw new ExpressionError(`${name}() takes ${expected} arguments`, position);
+      }
+      args.forEach((arg) => {
+        if (arg.type === 'string') {
+          throw new ExpressionError(`${name}() does not take text arguments`, arg.position);
+        }
+      });
+      return this.node({ type: 'call', name, args });
+    }
+
+    if (!WINDOWED.includes(name)) {
+      throw new ExpressionError(`Unknown function ${name}()`, position);
+    }
+
+    const [argument, option] = args;
+    if (!argument || argument.type === 'string') {
+      throw new ExpressionError(`${name}() needs a value as its first argument`, position);
+    }
+
+    const window = { type: 'window', name, argument, slot: this.windows };
+    if (ROLLING[name]) {
+      if (args.length !== 2 || option.type !== 'string') {
+        throw new ExpressionError(`${name}() takes a value and a window such as "5m"`, position);
+      }
+      let windowMs;
+      try {
+        windowMs = durationMs(option.value);
+      } catch (error) {
+        throw new ExpressionError(`Invalid window "${option.value}"`, option.position);
+      }
+      if (windowMs <= 0 || windowMs > this.maxWindowMs) {
+        throw new ExpressionError(`Window must be positive and at most ${this.maxWindowMs / 1000} seconds`, option.position);
+      }
+      window.windowMs = windowMs;
+      this.longestWindowMs = Math.max(this.longestWindowMs, windowMs);
+    } else if (name === 'rate') {
+      if (args.length > 2 || (option && (option.type !== 'string' || !RATE_UNITS[option.value]))) {
+        throw new ExpressionError(`rate() takes a value and optionally one of: ${Object.keys(RATE_UNITS).join(', ')}`, position);
+      }
+      window.unitMs = RATE_UNITS[option ? option.value : 'second'] * 1000;
+    } else if (args.length !== 1) {
+      throw new ExpressionError('delta() takes 1 argument', position);
+    }
+
+    this.windows += 1;
+    return this.node(window);
+  }
+}
+
+/**
+ * Parse and check an expression
+ * @param {string} source - Expression text
+ * @param {Object} options - { maxWindowMs } longest window allowed, one day by default
+ * @returns {Object} { source, tree, variables, longestWindowMs, createEvaluator }
+ * @throws {ExpressionError} With the position of the offending token
+ */
+const compileExpression = (source, { maxWindowMs = 24 * 60 * 60 * 1000 } = {}) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const parser = new Parser(source, { maxWindowMs });
+  const tree = parser.parse();
+  const windows = parser.windows;
+
+  return {
+    source,
+    tree,
+    variables: Array.from(parser.variables),
+    longestWindowMs: parser.longestWindowMs,
+
+    /**
+     * Evaluator with its own window state
+     * @returns {Object} { evaluate(scope, time) } returning a number, NaN or ±Infinity
+     */
+    createEvaluator() {
+      const state = Array.from({ length: windows }, () => ({ window: null, previous: null }));
+
+      // Every branch is evaluated so windowed functions see every evaluation
+      const evaluate = (node, scope, time) => {
+        switch (node.type) {
+          case 'number':
+            return node.value;
+          case 'variable':
+            return scope[node.name];
+          case 'unary': {
+            const operand = evaluate(node.operand, scope, time);
+            return node.operator === '-' ? -operand : Number(operand === 0);
+          }
+          case 'binary':
+            return BINARY[node.operator](evaluate(node.left, scope, time), evaluate(node.right, scope, time));
+          case 'conditional': {
+            const test = evaluate(node.test, scope, time);
+            const consequent = evaluate(node.consequent, scope, time);
+            const alternate = evaluate(node.alternate, scope, time);
+            return test !== 0 && !Number.isNaN(test) ? consequent : alternate;
+          }
+          case 'call':
+            return FUNCTIONS[node.name][2](...node.args.map((arg) => evaluate(arg, scope, time)));
+          case 'window': {
+            const value = evaluate(node.argument, scope, time);
+            const slot = state[node.slot];
+
+            if (node.windowMs) {
+              slot.window = slot.window || new RollingWindow(node.windowMs);
+              if (Number.isFinite(value)) {
+                slot.window.add(time, value);
+              }
+              slot.window.expire(time);
+              return slot.window.samples.length > 0 ? ROLLING[node.name](slot.window) : NaN;
+            }
+
+            const { previous } = slot;
+            if (Number.isFinite(value)) {
+              slot.previous = { time, value };
+            }
+            if (!previous || !Number.isFinite(value)) {
+              return NaN;
+            }
+            if (node.name === 'delta') {
+              return value - previous.value;
+            }
+            return time > previous.time ? (value - previous.value) / ((time - previous.time) / node.unitMs) : NaN;
+          }
+          default:
+            throw new ExpressionError(`Unknown expression node ${node.type}`);
+        }
+      };
+
+      return {
+        evaluate: (scope, time) => evaluate(tree, scope, time)
+      };
+    }
+  };
+};
+
+const isValidVariableName = (name) => IDENTIFIER_PATTERN.test(name) && !RESERVED.has(name);
+
+module.exports = {
+  ExpressionError,
+  EXPRESSION_FUNCTIONS: [...Object.keys(FUNCTIONS), ...WINDOWED],
+  compileExpression,
+  isValidVariableName
+};
@@ -0,0 +1,618 @@
+/**
+ * Composable Flux query builder. Every value that ends up in the query text is
+ * either escaped as a Flux literal or checked against a strict pattern, so request
+ * parameters can be passed in as they are.
+ *
+ *   new FluxQuery(bucket)
+ *     .range('-24h')
+ *     .measurement('sensor_data')
+ *     .field('value')
+ *     .where('device_id', deviceIds)
+ *     .aggregate('mean', { every: '15m' })
+ *     .fill('previous')
+ *     .toString();
+ *
+ * Stages are emitted in a fixed order regardless of call order:
+ * range, filters, group, aggregate, fill, union, pivot, keep, sort, limit.
+ */
+const { fluxString, fluxFloat, fluxInteger } = require('@influxdata/influxdb-client');
+
+const DURATION_PATTERN = /^-?(\d+(ns|us|µs|ms|s|mo|m|h|d|w|y))+$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const AGGREGATE_FUNCTIONS = ['mean', 'median', 'min', 'max', 'first', 'last', 'sum', 'count', 'stddev', 'spread', 'percentile'];
+const FILL_MODES = ['none', 'null', 'previous', 'linear', 'value'];
+
+class FluxQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FluxQueryError';
+  }
+}
+
+/**
+ * Validate a Flux duration such as 5m, 1h30m or -7d
+ * @returns {string} Duration literal
+ */
+const duration = (value) => {
+  const text = String(value).trim();
+  if (!DURATION_PATTERN.test(text)) {
+    throw new FluxQueryError(`Invalid duration "${value}"`);
+  }
+  return text;
+};
+
+const UNIT_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  µs: 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Length of a duration in milliseconds; months and years are approximated as 30 and 365 days
+ * @returns {number} Milliseconds, negative for negative durations
+ */
+const durationMs = (value) => {
+  const text = duration(value);
+  const sign = text.startsWith('-') ? -1 : 1;
+  const total = Array.from(text.matchAll(/(\d+)(ns|us|µs|ms|s|mo|m|h|d|w|y)/g))
+    .reduce((sum, [, amount, unit]) => sum + Number(amount) * UNIT_MS[unit], 0);
+  return sign * total;
+};
+
+/**
+ * Convert a range bound to a Flux literal
+ * @param {Date|string|number} value - Date, ISO 8601 string, epoch ms or relative duration ('-1h')
+ * @returns {string} Duration or RFC 3339 time literal
+ */
+const time = (value) => {
+  if (typeof value === 'string' && DURATION_PATTERN.test(value.trim())) {
+    return value.trim();
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new FluxQueryError(`Invalid time "${value}"`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Validate a column name
+ * @returns {string} Escaped string literal of the name
+ */
+const column = (name) => {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new FluxQueryError(`Invalid column name "${name}"`);
+  }
+  return fluxString(name);
+};
+
+const columnList = (names) => `[${[].concat(names).map(column).join(', ')}]`;
+
+const float = (value, label) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    throw new FluxQueryError(`${label} must be a number`);
+  }
+  return fluxFloat(number);
+};
+
+const toList = (values) => [].concat(values).filter((value) => value !== undefined && value !== null && value !== '');
+
+/**
+ * Predicate matching a column against one or more values; an empty list matches nothing
+ */
+const matchAny = (name, values) => {
+  const list = toList(values);
+  if (list.length === 0) {
+    return 'false';
+  }
+  const key = column(name);
+  return list.map((value) => `r[${key}] == ${fluxString(String(value))}`).join(' or ');
+};
+
+const pipeline = ([source, ...rest]) => [source, ...rest.map((stage) => `  |> ${stage}`)].join('\n');
+
+const render = ({ imports, preamble, stages }) => [imports.join('\n'), ...preamble, pipeline(stages)]
+  .filter(Boolean)
+  .join('\n\n');
+
+class FluxQuery {
+  /**
+   * @param {string} bucket - Bucket to read from
+   */
+  constructor(bucket) {
+    if (!bucket) {
+      throw new FluxQueryError('Bucket is required');
+    }
+    this.bucket = bucket;
+    this.start = '-1h';
+    this.stop = null;
+    this.predicates = [];
+    this.groupColumns = null;
+    this.aggregation = null;
+    this.fillMode = null;
+    this.fillValue = null;
+    this.pivotSpec = null;
+    this.keepColumns = null;
+    this.sortSpec = null;
+    this.limitSpec = null;
+    this.unions = [];
+  }
+
+  /**
+   * Time range; bounds are Dates, ISO strings or relative durations
+   */
+  range(start, stop = null) {
+    const from = time(start);
+    const to = stop !== null && stop !== undefined ? time(stop) : null;
+
+    if (to && !DURATION_PATTERN.test(from) && !DURATION_PATTERN.test(to) && new Date(from) >= new Date(to)) {
+      throw new FluxQueryError('Range start must be before stop');
+    }
+
+    this.start = from;
+    this.stop = to;
+    return this;
+  }
+
+  measurement(name) {
+    return this.where('_measurement', name);
+  }
+
+  field(names) {
+    return this.where('_field', names);
+  }
+
+  /**
+   * Keep rows whose column equals any of the values
+   * @param {string} name - Tag or column name
+   * @param {string|Array} values - One value or a list of alternatives
+   */
+  where(name, values) {
+    this.predicates.push(matchAny(name, values));
+    return this;
+  }
+
+  /**
+   * Tag filters from an object; array values are alternatives
+   * @param {Object} tags - { tag: value | [values] }
+   */
+  tags(tags = {}) {
+    Object.entries(tags).forEach(([name, values]) => this.where(name, values));
+    return this;
+  }
+
+  /**
+   * Keep rows whose value lies within the bounds
+   * @param {Object} bounds - { min, max }, both optional and inclusive
+   */
+  between({ min, max } = {}) {
+    if (min !== undefined && min !== null && min !== '') {
+      this.predicates.push(`r._value >= ${float(min, 'Minimum value')}`);
+    }
+    if (max !== undefined && max !== null && max !== '') {
+      this.predicates.push(`r._value <= ${float(max, 'Maximum value')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Regroup series before aggregating; no columns merges all series into one table
+   * @param {Array} columns - Group key columns
+   */
+  group(columns = []) {
+    [].concat(columns).forEach(column);
+    this.groupColumns = [].concat(columns);
+    return this;
+  }
+
+  /**
+   * Aggregate each series, per window when every is given or over the whole range otherwise
+   * @param {string} fn - One of AGGREGATE_FUNCTIONS
+   * @param {Object} options - { every, percentile (0-100, for 'percentile'), windowStart, weighted }
+   *   Windows are stamped with their end time unless windowStart is set. A weighted mean
+   *   reads the sum and count fields of rollups and divides their totals, so every
+   *   rollup window counts with its number of readings.
+   */
+  aggregate(fn, { every = null, percentile = null, windowStart = false, weighted = false } = {}) {
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw new FluxQueryError(`Unsupported aggregate "${fn}"`);
+    }
+    if (weighted && fn !== 'mean') {
+      throw new FluxQueryError('Only the mean can be weighted');
+    }
+
+    let quantile = null;
+    if (fn === 'percentile') {
+      const p = Number(percentile);
+      if (percentile === null || percentile === '' || !Number.isFinite(p) || p < 0 || p > 100) {
+        throw new FluxQueryError('Percentile must be between 0 and 100');
+      }
+      quantile = p / 100;
+    }
+
+    this.aggregation = {
+      fn,
+      every: every ? duration(every) : null,
+      quantile,
+      windowStart: Boolean(windowStart),
+      weighted: Boolean(weighted)
+    };
+    return this;
+  }
+
+  /**
+   * How empty aggregation windows are reported
+   * @param {string} mode - none (omit), null, previous, linear or value
+   * @param {number} value - Fill value for mode 'value'
+   */
+  fill(mode, value = null) {
+    if (!FILL_MODES.includes(mode)) {
+      throw new FluxQueryError(`Unsupported fill mode "${mode}"`);
+    }
+    this.fillMode = mode;
+    this.fillValue = mode === 'value' ? float(value, 'Fill value') : null;
+    return this;
+  }
+
+  /**
+   * Turn rows into columns, by default one column per field
+   */
+  pivot({ rowKey = ['_time'], columnKey = ['_field'], valueColumn = '_value' } = {}) {
+    this.pivotSpec = {
+      rowKey: columnList(rowKey),
+      columnKey: columnList(columnKey),
+      valueColumn: column(valueColumn)
+    };
+    return this;
+  }
+
+  keep(columns) {
+    this.keepColumns = columnList(columns);
+    return this;
+  }
+
+  sort(columns = ['_time'], { desc = false } = {}) {
+    this.sortSpec = { columns: columnList(columns), desc: Boolean(desc) };
+    return this;
+  }
+
+  /**
+   * Limit rows. With merge the series are combined into one table first, so limit
+   * and offset page through the whole result instead of applying to every series.
+   * @param {number} count - Maximum number of rows
+   * @param {Object} options - { offset = 0, merge = false }
+   */
+  limit(count, { offset = 0, merge = false } = {}) {
+    const n = Number(count);
+    const skip = Number(offset);
+    if (!Number.isInteger(n) || n < 1 || !Number.isInteger(skip) || skip < 0) {
+      throw new FluxQueryError('Limit must be a positive integer and offset a non-negative integer');
+    }
+    this.limitSpec = { count: fluxInteger(n), offset: fluxInteger(skip), merge: Boolean(merge) };
+    return this;
+  }
+
+  /**
+   * Page through the whole result; rows of all series are merged and sorted
+   * @param {Object} options - { page, limit, sort: columns, desc }
+   */
+  paginate({ page = 1, limit, sort = ['_time'], desc = false }) {
+    this.sort(sort, { desc });
+    return this.limit(limit, { offset: (Number(page) - 1) * Number(limit), merge: true });
+  }
+
+  /**
+   * Combine with other queries, e.g. adjacent time ranges read from different buckets.
+   * Only their stages up to fill are used; pivot, keep, sort and limit of this query
+   * apply to the combined rows.
+   * @param {...FluxQuery} queries - Queries to combine with
+   */
+  union(...queries) {
+    this.unions.push(...queries);
+    return this;
+  }
+
+  /**
+   * Stages from the source up to and including fill
+   */
+  sourceStages() {
+    const stages = [];
+    const imports = [];
+
+    stages.push(`from(bucket: ${fluxString(this.bucket)})`);
+    stages.push(this.stop ? `range(start: ${this.start}, stop: ${this.stop})` : `range(start: ${this.start})`);
+    this.predicates.forEach((predicate) => stages.push(`filter(fn: (r) => ${predicate})`));
+
+    if (this.groupColumns) {
+      stages.push(`group(columns: ${columnList(this.groupColumns)})`);
+    }
+
+    const fillMode = this.fillMode || 'none';
+    if (fillMode !== 'none' && !(this.aggregation && this.aggregation.every)) {
+      throw new FluxQueryError('Filling gaps requires an aggregation window');
+    }
+
+    if (this.aggregation && this.aggregation.weighted) {
+      const { every, windowStart } = this.aggregation;
+      const timeSrc = windowStart ? ', timeSrc: "_start"' : '';
+
+      imports.push('import "experimental"');
+      stages.push(every ? `aggregateWindow(every: ${every}, fn: sum, timeSrc: "_start", createEmpty: false)` : 'sum()');
+      stages.push('pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")');
+      stages.push('map(fn: (r) => ({ r with _field: "mean", _value: float(v: r.sum) / float(v: r.count) }))');
+      stages.push('drop(columns: ["sum", "count"])');
+      stages.push('experimental.group(columns: ["_field"], mode: "extend")');
+      if (every) {
+        // One value per window by now; windowing again creates the empty windows fill() needs
+        const createEmpty = ['null', 'previous', 'value'].includes(fillMode);
+        stages.push(`aggregateWindow(every: ${every}, fn: mean${timeSrc}, createEmpty: ${createEmpty})`);
+      }
+    } else if (this.aggregation) {
+      const { fn, every, quantile, windowStart } = this.aggregation;
+      const percentile = (target) => `quantile(q: ${fluxFloat(quantile)}${target})`;
+
+      if (every) {
+        const fnExpression = fn === 'percentile'
+          ? `(column, tables=<-) => tables |> ${percentile(', column: column')}`
+          : fn;
+        const createEmpty = ['null', 'previous', 'value'].includes(fillMode);
+        const timeSrc = windowStart ? ', timeSrc: "_start"' : '';
+        stages.push(`aggregateWindow(every: ${every}, fn: ${fnExpression}${timeSrc}, createEmpty: ${createEmpty})`);
+      } else {
+        stages.push(fn === 'percentile' ? percentile('') : `${fn}()`);
+      }
+    }
+
+    if (fillMode === 'previous') {
+      stages.push('fill(usePrevious: true)');
+    } else if (fillMode === 'value') {
+      stages.push(`fill(value: ${this.fillValue})`);
+    } else if (fillMode === 'linear') {
+      imports.push('import "interpolate"');
+      stages.push(`interpolate.linear(every: ${this.aggregation.every})`);
+    }
+
+    return { imports, stages };
+  }
+
+  /**
+   * Stages up to and including pivot and keep; shared by the data and count queries
+   */
+  baseStages() {
+    const parts = [this, ...this.unions].map((query) => query.sourceStages());
+    const imports = [...new Set(parts.flatMap((part) => part.imports))];
+    let preamble = [];
+    let stages = parts[0].stages;
+
+    if (parts.length > 1) {
+      preamble = parts.map((part, index) => `part${index} = ${pipeline(part.stages)}`);
+      stages = [`union(tables: [${parts.map((part, index) => `part${index}`).join(', ')}])`];
+    }
+
+    if (this.pivotSpec) {
+      const { rowKey, columnKey, valueColumn } = this.pivotSpec;
+      stages.push(`pivot(rowKey: ${rowKey}, columnKey: ${columnKey}, valueColumn: ${valueColumn})`);
+    }
+
+    if (this.keepColumns) {
+      stages.push(`keep(columns: ${this.keepColumns})`);
+    }
+
+    return { imports, preamble, stages };
+  }
+
+  /**
+   * @returns {string} Flux query text
+   */
+  toString() {
+    const query = this.baseStages();
+    const { stages } = query;
+
+    if (this.limitSpec && this.limitSpec.merge) {
+      stages.push('group()');
+    }
+    if (this.sortSpec) {
+      stages.push(`sort(columns: ${this.sortSpec.columns}, desc: ${this.sortSpec.desc})`);
+    }
+    if (this.limitSpec) {
+      stages.push(`limit(n: ${this.limitSpec.count}, offset: ${this.limitSpec.offset})`);
+    }
+
+    return render(query);
+  }
+
+  /**
+   * Query counting the rows toString() would return without its limit
+   * @returns {string} Flux query text yielding one row with the count in _value
+   */
+  toCountQuery() {
+    const query = this.baseStages();
+    const { stages } = query;
+    // Pivoted rows no longer have a _value column
+    const counted = this.pivotSpec ? '_time' : '_value';
+
+    stages.push('group()');
+    stages.push(`count(column: ${fluxString(counted)})`);
+    if (counted !== '_value') {
+      stages.push(`rename(columns: {${counted}: "_value"})`);
+    }
+
+    return render(query);
+  }
+}
+
+/**
+ * Query that writes min, max, sum, count and mean rollups of sensor_data windows into
+ * another bucket. Rolling up a rollup tier combines its min, max, sum and count fields,
+ * so means stay weighted by the number of raw readings.
+ * @param {Object} options - { source, target, org, start, stop, every, fromRollup }
+ * @returns {string} Flux query text yielding the number of points written in _time
+ */
+const rollupQuery = ({ source, target, org, start, stop, every, fromRollup = false }) => {
+  const field = (name) => fluxString(fromRollup ? name : 'value');
+
+  return [
+    'import "types"',
+    [
+      `data = from(bucket: ${fluxString(source)})`,
+      `  |> range(start: ${time(start)}, stop: ${time(stop)})`,
+      '  |> filter(fn: (r) => r._measurement == "sensor_data")',
+      '  |> filter(fn: (r) => types.isNumeric(v: r._value))'
+    ].join('\n'),
+    [
+      'rollup = (field, fn, as) => data',
+      '  |> filter(fn: (r) => r._field == field)',
+      `  |> aggregateWindow(every: ${duration(every)}, fn: fn, timeSrc: "_start", createEmpty: false)`,
+      '  |> set(key: "_field", value: as)'
+    ].join('\n'),
+    [
+      `minimum = rollup(field: ${field('min')}, fn: min, as: "min")`,
+      `maximum = rollup(field: ${field('max')}, fn: max, as: "max")`,
+      `total = rollup(field: ${field('sum')}, fn: sum, as: "sum")`,
+      `samples = rollup(field: ${field('count')}, fn: ${fromRollup ? 'sum' : 'count'}, as: "count")`
+    ].join('\n'),
+    [
+      'average = union(tables: [total, samples])',
+      '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+      '  |> map(fn: (r) => ({ r with _field: "mean", _value: float(v: r.sum) / float(v: r.count) }))',
+      '  |> drop(columns: ["sum", "count"])'
+    ].join('\n'),
+    [
+      'union(tables: [minimum, maximum, total, samples, average])',
+      `  |> to(bucket: ${fluxString(target)}, org: ${fluxString(org)})`,
+      '  |> keep(columns: ["_time"])',
+      '  |> group()',
+      '  |> count(column: "_time")'
+    ].join('\n')
+  ].join('\n\n');
+};
+
+/**
+ * Query for the energy used per sensor and window. Power readings are integrated with
+ * the trapezoidal rule, each step counted in the window of its later reading; steps
+ * longer than maxGapMs are treated as missing data. Energy meter readings contribute
+ * their increases, a meter reset is skipped.
+ * @param {Object} options - { bucket, start, stop, every, powerSensorIds, meterSensorIds, maxGapMs }
+ * @returns {string} Flux query text yielding sensor_id, _time (window start) and _value,
+ *   in power unit hours for power sensors and in the meter unit for meters
+ */
+const energyQuery = ({ bucket, start, stop, every, powerSensorIds = [], meterSensorIds = [], maxGapMs }) => {
+  const maxGap = Number(maxGapMs);
+  if (!Number.isInteger(maxGap) || maxGap <= 0) {
+    throw new FluxQueryError('Maximum gap must be a positive number of milliseconds');
+  }
+
+  const readings = (sensorIds) => [
+    `from(bucket: ${fluxString(bucket)})`,
+    `  |> range(start: ${time(start)}, stop: ${time(stop)})`,
+    '  |> filter(fn: (r) => r._measurement == "sensor_data" and r._field == "value")',
+    `  |> filter(fn: (r) => ${matchAny('sensor_id', sensorIds)})`,
+    '  |> toFloat()'
+  ].join('\n');
+
+  return [
+    [
+      `power = ${readings(powerSensorIds)}`,
+      '  |> duplicate(column: "_value", as: "power")',
+      '  |> difference(columns: ["_value"], keepFirst: true)',
+      '  |> elapsed(unit: 1ms)',
+      `  |> filter(fn: (r) => r.elapsed <= ${maxGap})`,
+      '  |> map(fn: (r) => ({ r with _value: (r.power - r._value / 2.0) * float(v: r.elapsed) / 3600000.0 }))'
+    ].join('\n'),
+    [
+      `meters = ${readings(meterSensorIds)}`,
+      '  |> difference(nonNegative: true)',
+      '  |> filter(fn: (r) => exists r._value)'
+    ].join('\n'),
+    [
+      'union(tables: [power, meters])',
+      `  |> aggregateWindow(every: ${duration(every)}, fn: sum, timeSrc: "_start", createEmpty: false)`,
+      '  |> keep(columns: ["_time", "_value", "sensor_id"])'
+    ].join('\n')
+  ].join('\n\n');
+};
+
+/**
+ * Query for data quality counts per sensor and window: stored readings, readings per
+ * quality class of their quality code and readings per quality flag.
+ * @param {Object} options - { bucket, start, stop, every, sensorIds, flags }
+ * @returns {string} Flux query text yielding sensor_id, _time (window start), points,
+ *   good, uncertain, bad and one column per flag; counts of none are null
+ */
+const qualityQuery = ({ bucket, start, stop, every, sensorIds = [], flags = [] }) => {
+  const readings = (field) => [
+    `from(bucket: ${fluxString(bucket)})`,
+    `  |> range(start: ${time(start)}, stop: ${time(stop)})`,
+    `  |> filter(fn: (r) => r._measurement == "sensor_data" and r._field == ${fluxString(field)})`,
+    `  |> filter(fn: (r) => ${matchAny('sensor_id', sensorIds)})`
+  ].join('\n');
+  const counted = (as) => [
+    `  |> aggregateWindow(every: ${duration(every)}, fn: count, timeSrc: "_start", createEmpty: false)`,
+    `  |> map(fn: (r) => ({ r with _field: ${as} }))`
+  ].join('\n');
+
+  return [
+    'import "strings"',
+    [
+      `points = ${readings('value')}`,
+      '  |> group(columns: ["sensor_id"])',
+      counted('"points"')
+    ].join('\n'),
+    [
+      `classes = ${readings('quality')}`,
+      '  |> map(fn: (r) => ({ r with class: if r._value >= 192.0 then "good" else if r._value >= 64.0 then "uncertain" else "bad" }))',
+      '  |> group(columns: ["sensor_id", "class"])',
+      counted('r.class')
+    ].join('\n'),
+    [
+      `flags = ${readings('quality_flags')}`,
+      'flagged = (flag) => flags',
+      '  |> filter(fn: (r) => strings.containsStr(v: r._value, substr: flag))',
+      '  |> group(columns: ["sensor_id"])',
+      counted('flag')
+    ].join('\n'),
+    [
+      `union(tables: [points, classes${flags.map((flag) => `, flagged(flag: ${fluxString(flag)})`).join('')}])`,
+      '  |> group(columns: ["sensor_id"])',
+      '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")'
+    ].join('\n')
+  ].join('\n\n');
+};
+
+/**
+ * Predicate for the InfluxDB delete API, which only supports equality joined by AND
+ * @param {Object} conditions - { column: value }
+ * @returns {string} Predicate such as _measurement="sensor_data" AND sensor_id="..."
+ */
+const deletePredicate = (conditions) => Object.entries(conditions)
+  .map(([name, value]) => {
+    if (!IDENTIFIER_PATTERN.test(name)) {
+      throw new FluxQueryError(`Invalid column name "${name}"`);
+    }
+    return `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  })
+  .join(' AND ');
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  FILL_MODES,
+  FluxQuery,
+  FluxQueryError,
+  deletePredicate,
+  duration,
+  durationMs,
+  energyQuery,
+  qualityQuery,
+  rollupQuery
+};
@@ -0,0 +1,213 @@
+/**
+ * Seasonal forecasting models for regularly spaced series. A series is an array of
+ * numbers, one per interval, without gaps; the season length is in intervals.
+ *
+ * Holt-Winters smoothing parameters are fitted by minimising the one-step-ahead
+ * squared error. Prediction intervals follow the additive Holt-Winters variance
+ * (Hyndman et al., Forecasting with Exponential Smoothing, class 1); for the
+ * multiplicative model they are applied to relative errors, which is an approximation.
+ */
+
+const FORECAST_MODELS = ['holt_winters_additive', 'holt_winters_multiplicative', 'seasonal_naive'];
+
+const PARAMETER_MIN = 0.001;
+const PARAMETER_MAX = 0.999;
+const GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const clamp = (value) => Math.min(PARAMETER_MAX, Math.max(PARAMETER_MIN, value));
+
+/**
+ * Run Holt-Winters smoothing over a series
+ * @returns {Object} { level, trend, seasonal, sse, relativeSse, count, n }
+ */
+const smooth = (values, seasonLength, { alpha, beta, gamma }, multiplicative) => {
+  const m = seasonLength;
+  const first = mean(values.slice(0, m));
+  let trend = (mean(values.slice(m, 2 * m)) - first) / m;
+  // Level at the end of the first season, seasonal indices relative to the first season's mean
+  let level = first + (trend * (m - 1)) / 2;
+  const seasonal = values.slice(0, m).map((value) => (multiplicative ? value / first : value - first));
+
+  let sse = 0;
+  let relativeSse = 0;
+  for (let t = m; t < values.length; t += 1) {
+    const index = t % m;
+    const season = seasonal[index];
+    const forecast = multiplicative ? (level + trend) * season : level + trend + season;
+    const error = values[t] - forecast;
+    sse += error ** 2;
+    relativeSse += forecast !== 0 ? (error / forecast) ** 2 : 0;
+
+    const previousLevel = level;
+    level = multiplicative
+      ? alpha * (values[t] / season) + (1 - alpha) * (level + trend)
+      : alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[index] = multiplicative
+      ? gamma * (values[t] / level) + (1 - gamma) * season
+      : gamma * (values[t] - level) + (1 - gamma) * season;
+  }
+
+  return { level, trend, seasonal, sse, relativeSse, count: values.length - m, n: values.length };
+};
+
+/**
+ * Smoothing parameters with the least one-step-ahead squared error: the best point
+ * of a coarse grid, refined by a pattern search
+ */
+const optimise = (values, seasonLength, multiplicative) => {
+  const cost = (params) => {
+    const { sse } = smooth(values, seasonLength, params, multiplicative);
+    return Number.isFinite(sse) ? sse : Infinity;
+  };
+
+  let best = null;
+  let bestCost = Infinity;
+  GRID.forEach((alpha) => GRID.forEach((beta) => GRID.forEach((gamma) => {
+    const candidate = { alpha, beta, gamma };
+    const candidateCost = cost(candidate);
+    if (candidateCost < bestCost) {
+      best = candidate;
+      bestCost = candidateCost;
+    }
+  })));
+
+  for (let step = 0.1; step >= 0.005; step /= 2) {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const name of ['alpha', 'beta', 'gamma']) {
+        for (const direction of [-1, 1]) {
+          const candidate = { ...best, [name]: clamp(best[name] + direction * step) };
+          const candidateCost = cost(candidate);
+          if (candidateCost < bestCost) {
+            best = candidate;
+            bestCost = candidateCost;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Minimum series length a model can be fitted to
+ */
+const minimumLength = (type, seasonLength) => (type === 'seasonal_naive' ? seasonLength + 1 : 2 * seasonLength + 2);
+
+/**
+ * Fit a forecasting model
+ * @param {Array} values - Series without gaps
+ * @param {Object} options - { type, seasonLength, params } with params { alpha, beta, gamma } to skip fitting them
+ * @returns {Object|null} Model with forecast(horizon, z), or null when the series is too short
+ *   or, for the multiplicative model, not strictly positive
+ */
+const fitForecastModel = (values, { type, seasonLength, params = null }) => {
+  if (values.length < minimumLength(type, seasonLength)) {
+    return null;
+  }
+
+  if (type === 'seasonal_naive') {
+    const errors = values.slice(seasonLength).map((value, index) => value - values[index]);
+    const sigma = Math.sqrt(mean(errors.map((error) => error ** 2)));
+
+    return {
+      type,
+      seasonLength,
+      params: null,
+      sigma,
+      forecast(horizon, z) {
+        return Array.from({ length: horizon }, (item, index) => {
+          const h = index + 1;
+          const value = values[values.length - seasonLength + (index % seasonLength)];
+          const spread = z * sigma * Math.sqrt(Math.floor(index / seasonLength) + 1);
+          return { step: h, value, lower: value - spread, upper: value + spread };
+        });
+      }
+    };
+  }
+
+  const multiplicative = type === 'holt_winters_multiplicative';
+  if (multiplicative && values.some((value) => value <= 0)) {
+    return null;
+  }
+
+  const fitted = params || optimise(values, seasonLength, multiplicative);
+  const state = smooth(values, seasonLength, fitted, multiplicative);
+  const sigma = Math.sqrt((multiplicative ? state.relativeSse : state.sse) / state.count);
+
+  return {
+    type,
+    seasonLength,
+    params: fitted,
+    sigma,
+    forecast(horizon, z) {
+      let variance = 0;
+      return Array.from({ length: horizon }, (item, index) => {
+        const h = index + 1;
+        if (h > 1) {
+          const j = h - 1;
+          const c = fitted.alpha * (1 + j * fitted.beta) + (j % seasonLength === 0 ? fitted.gamma : 0);
+          variance += c ** 2;
+        }
+
+        const season = state.seasonal[(state.n - 1 + h) % seasonLength];
+        const value = multiplicative
+          ? (state.level + h * state.trend) * season
+          : state.level + h * state.trend + season;
+        const spread = z * sigma * Math.sqrt(1 + variance) * (multiplicative ? Math.abs(value) : 1);
+        return { step: h, value, lower: value - spread, upper: value + spread };
+      });
+    }
+  };
+};
+
+/**
+ * Error metrics of forecasts against actual values. MAPE skips zero actuals and is
+ * null when every actual is zero.
+ * @returns {Object} { points, rmse, mae, mape }
+ */
+const errorMetrics = (actual, predicted) => {
+  const errors = actual.map((value, index) => value - predicted[index]);
+  const relative = actual
+    .map((value, index) => (value !== 0 ? Math.abs(errors[index] / value) : null))
+    .filter((value) => value !== null);
+
+  return {
+    points: actual.length,
+    rmse: Math.sqrt(mean(errors.map((error) => error ** 2))),
+    mae: mean(errors.map(Math.abs)),
+    mape: relative.length > 0 ? mean(relative) * 100 : null
+  };
+};
+
+/**
+ * Fit a model on all but the last holdout values and score its forecast of them.
+ * Holt-Winters parameters fitted here exclude the holdout, so they can be reused for
+ * the final model without the backtest having seen the values it is scored on.
+ * @param {Array} values - Series without gaps
+ * @param {Object} options - { type, seasonLength, holdout, params }
+ * @returns {Object|null} { params, metrics } or null when the training part is too short
+ */
+const backtest = (values, { type, seasonLength, holdout, params = null }) => {
+  const training = values.slice(0, values.length - holdout);
+  const model = fitForecastModel(training, { type, seasonLength, params });
+  if (!model) {
+    return null;
+  }
+
+  const predicted = model.forecast(holdout, 0).map((point) => point.value);
+  return { params: model.params, metrics: errorMetrics(values.slice(values.length - holdout), predicted) };
+};
+
+module.exports = {
+  FORECAST_MODELS,
+  minimumLength,
+  fitForecastModel,
+  errorMetrics,
+  backtest
+};
@@ -0,0 +1,149 @@
+const PRECISION_DIVISORS = {
+  ns: 1000000n,
+  us: 1000n,
+  ms: 1n
+};
+
+/**
+ * Read up to one of the stop characters, honouring backslash escapes
+ * @returns {Object} { value, end } where end is the index of the stop character
+ */
+const readToken = (line, start, stops) => {
+  let value = '';
+  let index = start;
+
+  while (index < line.length && !stops.includes(line[index])) {
+    if (line[index] === '\\' && index + 1 < line.length) {
+      index += 1;
+    }
+    value += line[index];
+    index += 1;
+  }
+
+  return { value, end: index };
+};
+
+const parseFieldValue = (raw) => {
+  if (raw.startsWith('"')) {
+    if (raw.length < 2 || !raw.endsWith('"')) {
+      throw new Error('Unterminated string field');
+    }
+    return raw.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  if (/^(t|T|true|True|TRUE)$/.test(raw)) {
+    return true;
+  }
+  if (/^(f|F|false|False|FALSE)$/.test(raw)) {
+    return false;
+  }
+  if (/^-?\d+[iu]$/.test(raw)) {
+    return Number(raw.slice(0, -1));
+  }
+
+  const number = Number(raw);
+  if (raw === '' || Number.isNaN(number)) {
+    throw new Error(`Invalid field value "${raw}"`);
+  }
+  return number;
+};
+
+/**
+ * Parse the field set; string values may contain spaces and commas
+ */
+const parseFields = (line, start) => {
+  const fields = {};
+  let index = start;
+
+  while (index < line.length && line[index] !== ' ') {
+    const key = readToken(line, index, ['=', ' ', ',']);
+    if (line[key.end] !== '=' || key.value === '') {
+      throw new Error('Invalid field set');
+    }
+
+    index = key.end + 1;
+    let raw;
+    if (line[index] === '"') {
+      let end = index + 1;
+      while (end < line.length && line[end] !== '"') {
+        end += line[end] === '\\' ? 2 : 1;
+      }
+      raw = line.slice(index, end + 1);
+      index = end + 1;
+    } else {
+      const token = readToken(line, index, [',', ' ']);
+      raw = token.value;
+      index = token.end;
+    }
+
+    fields[key.value] = parseFieldValue(raw);
+    if (line[index] === ',') {
+      index += 1;
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new Error('Missing field set');
+  }
+
+  return { fields, end: index };
+};
+
+/**
+ * Convert a line protocol timestamp to a Date (millisecond resolution)
+ * @param {string} raw - Integer timestamp
+ * @param {string} precision - ns, us, ms or s
+ */
+const parseTimestamp = (raw, precision) => {
+  if (!/^-?\d+$/.test(raw)) {
+    throw new Error(`Invalid timestamp "${raw}"`);
+  }
+
+  const value = BigInt(raw);
+  const ms = precision === 's' ? value * 1000n : value / PRECISION_DIVISORS[precision];
+  return new Date(Number(ms));
+};
+
+/**
+ * Parse one line of InfluxDB line protocol:
+ * measurement[,tag=value...] field=value[,field=value...] [timestamp]
+ * @param {string} line - Line without trailing newline
+ * @param {string} precision - Timestamp precision: ns (default), us, ms or s
+ * @returns {Object} { measurement, tags, fields, timestamp }
+ */
+const parseLine = (line, precision = 'ns') => {
+  const measurement = readToken(line, 0, [',', ' ']);
+  if (measurement.value === '') {
+    throw new Error('Missing measurement');
+  }
+
+  const tags = {};
+  let index = measurement.end;
+
+  while (line[index] === ',') {
+    const key = readToken(line, index + 1, ['=', ',', ' ']);
+    if (line[key.end] !== '=') {
+      throw new Error('Invalid tag set');
+    }
+    const value = readToken(line, key.end + 1, [',', ' ']);
+    tags[key.value] = value.value;
+    index = value.end;
+  }
+
+  if (line[index] !== ' ') {
+    throw new Error('Missing field set');
+  }
+
+  const { fields, end } = parseFields(line, index + 1);
+  const rest = line.slice(end).trim();
+
+  return {
+    measurement: measurement.value,
+    tags,
+    fields,
+    timestamp: rest ? parseTimestamp(rest, precision) : null
+  };
+};
+
+module.exports = {
+  parseLine
+};
@@ -0,0 +1,192 @@
+/**
+ * Data quality checks of sensor readings. Every reading gets an OPC DA style quality
+ * code, one byte QQSSSSLL: quality (good 11, uncertain 01, bad 00), substatus and
+ * limit (0 none, 1 low, 2 high, 3 constant). A reading is { timestamp: Date, value: number }.
+ *
+ *   out_of_range  value outside the sensor's min_value..max_value   uncertain, EGU units exceeded (0x55 low, 0x56 high)
+ *   stuck         the exact same value count readings in a row       bad, sensor failure, constant (0x13)
+ *   flatline      values within tolerance for duration seconds       uncertain, sensor not accurate, constant (0x53)
+ *   spike         Hampel filter: further than threshold scaled MADs   uncertain, sensor not accurate (0x50)
+ *                 from the median of the last window readings
+ *   gap           more than gap_factor sampling intervals since the previous reading; marks
+ *                 the first reading after missing data and leaves its code alone
+ *
+ * Range and gap checks follow the sensor registry; stuck, flatline and spike checks run
+ * only when configured. Readings older than the last one seen are only range checked.
+ */
+
+const QUALITY_GOOD = 0xc0;
+const QUALITY_UNCERTAIN = 0x40;
+const QUALITY_BAD = 0x00;
+const QUALITY_FLAGS = ['stuck', 'out_of_range', 'flatline', 'spike', 'gap'];
+
+// In order of precedence; the first flag raised sets the code
+const FLAG_CODES = {
+  stuck: 0x13,
+  out_of_range: 0x54,
+  flatline: 0x53,
+  spike: 0x50
+};
+const LIMIT_LOW = 0x01;
+const LIMIT_HIGH = 0x02;
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+/**
+ * Quality class of a code
+ * @returns {string} good, uncertain or bad
+ */
+const qualityClass = (code) => {
+  if (code >= QUALITY_GOOD) return 'good';
+  if (code >= QUALITY_UNCERTAIN) return 'uncertain';
+  return 'bad';
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const finiteOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Quality checks of one sensor, fed its readings in time order
+ */
+class QualityChecker {
+  /**
+   * @param {Object} options - { min_value, max_value, sampling_rate, gap_factor,
+   *   stuck: { count }, flatline: { duration, tolerance }, spike: { window, threshold, min_delta } }
+   */
+  constructor({ min_value: min, max_value: max, sampling_rate: samplingRate, gap_factor: gapFactor = 2, stuck, flatline, spike }) {
+    this.min = finiteOrNull(min);
+    this.max = finiteOrNull(max);
+    this.maxIntervalMs = samplingRate > 0 ? samplingRate * gapFactor * 1000 : null;
+    this.stuck = stuck ? { count: stuck.count || 30 } : null;
+    this.flatline = flatline ? { durationMs: (flatline.duration || 3600) * 1000, tolerance: flatline.tolerance || 0 } : null;
+    this.spike = spike
+      ? { window: spike.window || 11, threshold: spike.threshold || 6, minDelta: spike.min_delta || 0 }
+      : null;
+
+    this.last = null;
+    this.repeats = { value: null, count: 0 };
+    this.run = null;
+    this.values = [];
+  }
+
+  /**
+   * Check a reading
+   * @returns {Object} { code, flags }
+   */
+  check(reading) {
+    const { value } = reading;
+    const time = reading.timestamp.getTime();
+    const flags = new Set();
+    let limit = 0;
+
+    if (this.min !== null && value < this.min) {
+      flags.add('out_of_range');
+      limit = LIMIT_LOW;
+    } else if (this.max !== null && value > this.max) {
+      flags.add('out_of_range');
+      limit = LIMIT_HIGH;
+    }
+
+    if (this.last === null || time > this.last) {
+      if (this.last !== null && this.maxIntervalMs !== null && time - this.last > this.maxIntervalMs) {
+        flags.add('gap');
+      }
+      this.last = time;
+
+      if (this.stuck && this.checkStuck(value)) flags.add('stuck');
+      if (this.flatline && this.checkFlatline(time, value)) flags.add('flatline');
+      if (this.spike && this.checkSpike(value)) flags.add('spike');
+    }
+
+    const raised = QUALITY_FLAGS.filter((flag) => flags.has(flag));
+    const first = raised.find((flag) => FLAG_CODES[flag] !== undefined);
+    let code = QUALITY_GOOD;
+    if (first) {
+      code = first === 'out_of_range' ? FLAG_CODES.out_of_range | limit : FLAG_CODES[first];
+    }
+
+    return { code, flags: raised };
+  }
+
+  checkStuck(value) {
+    if (value === this.repeats.value) {
+      this.repeats.count += 1;
+    } else {
+      this.repeats = { value, count: 1 };
+    }
+    return this.repeats.count >= this.stuck.count;
+  }
+
+  checkFlatline(time, value) {
+    const { run } = this;
+    if (run && Math.max(run.max, value) - Math.min(run.min, value) <= this.flatline.tolerance) {
+      run.min = Math.min(run.min, value);
+      run.max = Math.max(run.max, value);
+      return time - run.start >= this.flatline.durationMs;
+    }
+    this.run = { start: time, min: value, max: value };
+    return false;
+  }
+
+  checkSpike(value) {
+    let spike = false;
+    if (this.values.length >= this.spike.window) {
+      const center = median(this.values);
+      const deviation = Math.abs(value - center);
+      const mad = median(this.values.map((sample) => Math.abs(sample - center)));
+      spike = deviation > this.spike.threshold * MAD_SCALE * mad && deviation > this.spike.minDelta;
+    }
+
+    this.values.push(value);
+    if (this.values.length > this.spike.window) {
+      this.values.shift();
+    }
+    return spike;
+  }
+}
+
+/**
+ * Create the checker of a sensor
+ * @param {Object} sensor - { min_value, max_value, sampling_rate }
+ * @param {Object} config - The sensor's configuration.quality
+ */
+const createQualityChecker = (sensor, config = {}) => {
+  const { stuck, flatline, spike, gap_factor: gapFactor } = config;
+  if (gapFactor !== undefined && !(gapFactor >= 1)) {
+    throw new Error('Gap factor must be at least 1');
+  }
+  if (stuck && stuck.count !== undefined && !(Number.isInteger(stuck.count) && stuck.count >= 2)) {
+    throw new Error('Stuck count must be an integer of at least 2');
+  }
+  if (flatline && flatline.duration !== undefined && !(flatline.duration > 0)) {
+    throw new Error('Flatline duration must be a positive number of seconds');
+  }
+  if (spike && spike.window !== undefined && !(Number.isInteger(spike.window) && spike.window >= 3)) {
+    throw new Error('Spike window must be an integer of at least 3');
+  }
+
+  return new QualityChecker({
+    min_value: sensor.min_value,
+    max_value: sensor.max_value,
+    sampling_rate: sensor.sampling_rate,
+    gap_factor: gapFactor,
+    stuck,
+    flatline,
+    spike
+  });
+};
+
+module.exports = {
+  QUALITY_GOOD,
+  QUALITY_UNCERTAIN,
+  QUALITY_BAD,
+  QUALITY_FLAGS,
+  qualityClass,
+  createQualityChecker
+};
@@ -0,0 +1,91 @@
+/**
+ * Wide, time-aligned tables built from window aggregates of several sensors. Every
+ * column is resampled onto one grid of window start times; windows without a value are
+ * left null or filled from their neighbours, bridging gaps of at most maxGapMs:
+ *
+ *   null      empty windows stay null
+ *   previous  the last value carries forward while it is at most maxGapMs old
+ *   linear    values between two known windows at most maxGapMs apart are interpolated
+ */
+
+const RESAMPLE_FILLS = ['null', 'previous', 'linear'];
+
+/**
+ * Widen a range to whole windows
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @param {number} everyMs - Window length in ms
+ * @returns {Object} { start, end } on window boundaries
+ */
+const alignRange = (start, end, everyMs) => ({
+  start: Math.floor(start / everyMs) * everyMs,
+  end: Math.ceil(end / everyMs) * everyMs
+});
+
+/**
+ * Window start times from start (inclusive) to end (exclusive)
+ */
+const windowGrid = (start, end, everyMs) => {
+  const grid = [];
+  for (let time = start; time < end; time += everyMs) {
+    grid.push(time);
+  }
+  return grid;
+};
+
+/**
+ * Values of one column on the grid
+ * @param {Array} points - { time, value } sorted by time, may extend beyond the grid
+ * @param {Array} grid - Window start times
+ * @param {Object} options - { fill, maxGapMs }
+ * @returns {Array} Value or null per grid time
+ */
+const resampleColumn = (points, grid, { fill = 'null', maxGapMs = 0 } = {}) => {
+  const values = [];
+  let next = 0;
+  let previous = null;
+
+  grid.forEach((time) => {
+    while (next < points.length && points[next].time < time) {
+      previous = points[next];
+      next += 1;
+    }
+
+    const current = next < points.length && points[next].time === time ? points[next] : null;
+    if (current) {
+      values.push(current.value);
+      return;
+    }
+
+    if (fill === 'previous' && previous && time - previous.time <= maxGapMs) {
+      values.push(previous.value);
+    } else if (fill === 'linear' && previous && next < points.length && points[next].time - previous.time <= maxGapMs) {
+      const after = points[next];
+      values.push(previous.value + ((after.value - previous.value) * (time - previous.time)) / (after.time - previous.time));
+    } else {
+      values.push(null);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Align several columns into rows
+ * @param {Array} columns - One array of { time, value } per column, each sorted by time
+ * @param {Array} grid - Window start times
+ * @param {Object} options - { fill, maxGapMs }
+ * @returns {Array} Rows of [time, value of column 1, value of column 2, ...]
+ */
+const alignColumns = (columns, grid, options) => {
+  const resampled = columns.map((points) => resampleColumn(points, grid, options));
+  return grid.map((time, index) => [time, ...resampled.map((values) => values[index])]);
+};
+
+module.exports = {
+  RESAMPLE_FILLS,
+  alignRange,
+  windowGrid,
+  resampleColumn,
+  alignColumns
+};
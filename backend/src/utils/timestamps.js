@@ -0,0 +1,260 @@
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const PATTERN_TOKENS = {
+  YYYY: { group: '(\\d{4})', field: 'year' },
+  MM: { group: '(\\d{1,2})', field: 'month' },
+  DD: { group: '(\\d{1,2})', field: 'day' },
+  HH: { group: '(\\d{1,2})', field: 'hour' },
+  mm: { group: '(\\d{2})', field: 'minute' },
+  ss: { group: '(\\d{2})', field: 'second' },
+  SSS: { group: '(\\d{1,9})', field: 'fraction' }
+};
+
+// Excel serial dates count days from 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seconds and milliseconds epochs are told apart by magnitude (1e11 s is the year 5138)
+const EPOCH_MS_THRESHOLD = 1e11;
+
+const BUILT_IN_FORMATS = ['auto', 'iso', 'epoch_s', 'epoch_ms', 'excel'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is an IANA time zone name known to the runtime
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at the given instant, in milliseconds
+ */
+const zoneOffset = (epochMs, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(epochMs)).reduce((values, part) => {
+    values[part.type] = Number(part.value);
+    return values;
+  }, {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(epochMs / 1000) * 1000;
+};
+
+/**
+ * Convert wall-clock fields in a time zone to an instant.
+ * Times skipped by a DST change resolve forward; repeated times take the first occurrence.
+ */
+const fromWallClock = ({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const check = new Date(wallClock);
+
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day
+    || check.getUTCHours() !== hour || check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+    throw new Error('Invalid date');
+  }
+
+  if (!timeZone || timeZone === 'UTC') {
+    return new Date(wallClock);
+  }
+
+  // The offsets a day either side cover at most one transition
+  const offsetBefore = zoneOffset(wallClock - DAY_MS, timeZone);
+  const offsetAfter = zoneOffset(wallClock + DAY_MS, timeZone);
+  const instants = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant) => zoneOffset(instant, timeZone) === wallClock - instant)
+    .sort((a, b) => a - b);
+
+  return new Date(instants.length > 0 ? instants[0] : wallClock - offsetBefore);
+};
+
+const fractionToMs = (fraction) => (fraction ? Math.floor(Number(`0.${fraction}`) * 1000) : 0);
+
+const parseOffset = (designator) => {
+  if (designator.toUpperCase() === 'Z') {
+    return 0;
+  }
+  const digits = designator.replace(':', '');
+  const sign = digits[0] === '-' ? -1 : 1;
+  return sign * (Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5))) * 60 * 1000;
+};
+
+const fromEpoch = (value, unit) => {
+  const ms = unit === 's' ? value * 1000 : value;
+  const date = new Date(Math.round(ms));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Epoch timestamp out of range');
+  }
+  return date;
+};
+
+const parseIso = (raw, timeZone) => {
+  const match = ISO_PATTERN.exec(raw);
+  if (!match) {
+    throw new Error(`Unrecognised timestamp "${raw}"`);
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, designator] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    ms: fractionToMs(fraction)
+  };
+
+  // An explicit offset wins over the configured time zone
+  if (designator) {
+    return new Date(fromWallClock(fields, 'UTC').getTime() - parseOffset(designator));
+  }
+  return fromWallClock(fields, timeZone);
+};
+
+/**
+ * Compile a pattern such as "DD.MM.YYYY HH:mm:ss" into a regular expression
+ * @returns {Object} { regex, fields }
+ */
+const compilePattern = (pattern) => {
+  const fields = [];
+  let source = '';
+  let index = 0;
+
+  while (index < pattern.length) {
+    const token = ['YYYY', 'SSS', 'MM', 'DD', 'HH', 'mm', 'ss'].find((name) => pattern.startsWith(name, index));
+    if (token) {
+      source += PATTERN_TOKENS[token].group;
+      fields.push(PATTERN_TOKENS[token].field);
+      index += token.length;
+    } else {
+      source += pattern[index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      index += 1;
+    }
+  }
+
+  return { regex: new RegExp(`^${source}$`), fields };
+};
+
+const patterns = new Map();
+
+const parsePattern = (raw, pattern, timeZone) => {
+  if (!patterns.has(pattern)) {
+    patterns.set(pattern, compilePattern(pattern));
+  }
+
+  const { regex, fields } = patterns.get(pattern);
+  const match = regex.exec(raw);
+  if (!match) {
+    throw new Error(`Timestamp "${raw}" does not match format ${pattern}`);
+  }
+
+  const values = { hour: 0, minute: 0, second: 0, ms: 0 };
+  fields.forEach((field, position) => {
+    const value = match[position + 1];
+    if (field === 'fraction') {
+      values.ms = fractionToMs(value);
+    } else {
+      values[field] = Number(value);
+    }
+  });
+
+  return fromWallClock(values, timeZone);
+};
+
+/**
+ * Check whether a timestamp format is supported
+ * @param {string} format - auto, iso, epoch_s, epoch_ms, excel or a pattern containing YYYY, MM and DD
+ */
+const isValidTimestampFormat = (format) => BUILT_IN_FORMATS.includes(format)
+  || (typeof format === 'string' && ['YYYY', 'MM', 'DD'].every((token) => format.includes(token)));
+
+/**
+ * Parse a timestamp cell into a Date.
+ * Timestamps without an explicit UTC offset are read as wall-clock time in the given time zone.
+ * @param {string|number|Date} raw - Cell value. Dates (from spreadsheets) carry wall-clock time in their UTC fields
+ * @param {Object} options - { format = 'auto', timeZone = 'UTC' }
+ * @returns {Date} Parsed instant
+ * @throws {Error} When the value cannot be parsed
+ */
+const parseTimestamp = (raw, { format = 'auto', timeZone = 'UTC' } = {}) => {
+  if (raw instanceof Date) {
+    if (Number.isNaN(raw.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return fromWallClock({
+      year: raw.getUTCFullYear(),
+      month: raw.getUTCMonth() + 1,
+      day: raw.getUTCDate(),
+      hour: raw.getUTCHours(),
+      minute: raw.getUTCMinutes(),
+      second: raw.getUTCSeconds(),
+      ms: raw.getUTCMilliseconds()
+    }, timeZone);
+  }
+
+  const text = typeof raw === 'number' ? String(raw) : String(raw === undefined || raw === null ? '' : raw).trim();
+  if (text === '') {
+    throw new Error('Timestamp is empty');
+  }
+
+  const numeric = NUMERIC_PATTERN.test(text);
+
+  switch (format) {
+    case 'epoch_s':
+    case 'epoch_ms':
+      if (!numeric) {
+        throw new Error(`Timestamp "${text}" is not a number`);
+      }
+      return fromEpoch(Number(text), format === 'epoch_s' ? 's' : 'ms');
+    case 'excel': {
+      if (!numeric) {
+        throw new Error(`Timestamp "${text}" is not an Excel serial date`);
+      }
+      const wallClock = new Date(Math.round(EXCEL_EPOCH_MS + Number(text) * DAY_MS));
+      return parseTimestamp(wallClock, { timeZone });
+    }
+    case 'iso':
+      return parseIso(text, timeZone);
+    case 'auto':
+      if (numeric) {
+        const value = Number(text);
+        return fromEpoch(value, Math.abs(value) >= EPOCH_MS_THRESHOLD ? 'ms' : 's');
+      }
+      return parseIso(text, timeZone);
+    default:
+      return parsePattern(text, format, timeZone);
+  }
+};
+
+module.exports = {
+  fromWallClock,
+  isValidTimeZone,
+  isValidTimestampFormat,
+  parseTimestamp,
+  zoneOffset
+};
@@ -0,0 +1,526 @@
+/**
+ * Unit of measure registry. Units are written as UCUM codes ("Cel", "[degF]", "kPa",
+ * "m3/h", "kg.m-3", "{rev}/min") or as the print symbols and aliases found in device
+ * payloads and historian exports ("°C", "psi", "m³/h", "degC", "rpm").
+ *
+ * Every unit reduces to a dimension vector over the SI base quantities and a linear
+ * mapping onto the coherent SI unit of that dimension: base = value * factor + offset.
+ * Units with an offset (Cel, [degF]) and logarithmic units ([pH], B) are special: they
+ * cannot be raised to a power or combined with other units.
+ */
+
+// length, mass, time, current, temperature, amount of substance, luminous intensity
+const BASE_DIMENSIONS = ['L', 'M', 'T', 'I', 'Θ', 'N', 'J'];
+
+const vector = (exponents = {}) => BASE_DIMENSIONS.map((base) => exponents[base] || 0);
+
+const DIMENSIONLESS = vector();
+
+/**
+ * Error raised for unknown units and impossible conversions
+ */
+class UnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnitError';
+  }
+}
+
+// UCUM atoms; metric atoms take SI prefixes
+const ATOMS = {
+  // Base units
+  m: { dimension: { L: 1 }, factor: 1, metric: true },
+  g: { dimension: { M: 1 }, factor: 1e-3, metric: true },
+  s: { dimension: { T: 1 }, factor: 1, metric: true },
+  A: { dimension: { I: 1 }, factor: 1, metric: true },
+  K: { dimension: { Θ: 1 }, factor: 1, metric: true },
+  mol: { dimension: { N: 1 }, factor: 1, metric: true },
+  cd: { dimension: { J: 1 }, factor: 1, metric: true },
+
+  // Derived SI units
+  Hz: { dimension: { T: -1 }, factor: 1, metric: true },
+  N: { dimension: { L: 1, M: 1, T: -2 }, factor: 1, metric: true },
+  Pa: { dimension: { L: -1, M: 1, T: -2 }, factor: 1, metric: true },
+  J: { dimension: { L: 2, M: 1, T: -2 }, factor: 1, metric: true },
+  W: { dimension: { L: 2, M: 1, T: -3 }, factor: 1, metric: true },
+  VA: { dimension: { L: 2, M: 1, T: -3 }, factor: 1, metric: true },
+  var: { dimension: { L: 2, M: 1, T: -3 }, factor: 1, metric: true },
+  C: { dimension: { T: 1, I: 1 }, factor: 1, metric: true },
+  V: { dimension: { L: 2, M: 1, T: -3, I: -1 }, factor: 1, metric: true },
+  Ohm: { dimension: { L: 2, M: 1, T: -3, I: -2 }, factor: 1, metric: true },
+  S: { dimension: { L: -2, M: -1, T: 3, I: 2 }, factor: 1, metric: true },
+  l: { dimension: { L: 3 }, factor: 1e-3, metric: true },
+  L: { dimension: { L: 3 }, factor: 1e-3, metric: true },
+  t: { dimension: { M: 1 }, factor: 1e3, metric: true },
+  bar: { dimension: { L: -1, M: 1, T: -2 }, factor: 1e5, metric: true },
+  atm: { dimension: { L: -1, M: 1, T: -2 }, factor: 101325, metric: true },
+  'm[Hg]': { dimension: { L: -1, M: 1, T: -2 }, factor: 133322.387415, metric: true },
+  // Energy metering convention, not a UCUM atom
+  Wh: { dimension: { L: 2, M: 1, T: -2 }, factor: 3600, metric: true },
+
+  // Time
+  min: { dimension: { T: 1 }, factor: 60 },
+  h: { dimension: { T: 1 }, factor: 3600 },
+  d: { dimension: { T: 1 }, factor: 86400 },
+  wk: { dimension: { T: 1 }, factor: 604800 },
+
+  // Customary units
+  '[in_i]': { dimension: { L: 1 }, factor: 0.0254 },
+  '[ft_i]': { dimension: { L: 1 }, factor: 0.3048 },
+  '[mi_i]': { dimension: { L: 1 }, factor: 1609.344 },
+  '[lb_av]': { dimension: { M: 1 }, factor: 0.45359237 },
+  '[gal_us]': { dimension: { L: 3 }, factor: 0.003785411784 },
+  '[psi]': { dimension: { L: -1, M: 1, T: -2 }, factor: 6894.757293168 },
+  '[HP]': { dimension: { L: 2, M: 1, T: -3 }, factor: 745.69987158227 },
+  '[g]': { dimension: { L: 1, T: -2 }, factor: 9.80665 },
+
+  // Dimensionless
+  '%': { dimension: {}, factor: 1e-2 },
+  '[ppm]': { dimension: {}, factor: 1e-6 },
+  '[ppb]': { dimension: {}, factor: 1e-9 },
+
+  // Special units
+  Cel: { dimension: { Θ: 1 }, factor: 1, offset: 273.15, special: true },
+  '[degF]': { dimension: { Θ: 1 }, factor: 5 / 9, offset: 273.15 - (32 * 5) / 9, special: true },
+  '[pH]': { dimension: {}, factor: 1, kind: 'pH', special: true },
+  B: { dimension: {}, factor: 1, kind: 'level', metric: true, special: true }
+};
+
+const PREFIXES = {
+  Y: 1e24,
+  Z: 1e21,
+  E: 1e18,
+  P: 1e15,
+  T: 1e12,
+  G: 1e9,
+  M: 1e6,
+  k: 1e3,
+  h: 1e2,
+  da: 1e1,
+  d: 1e-1,
+  c: 1e-2,
+  m: 1e-3,
+  u: 1e-6,
+  'µ': 1e-6,
+  'μ': 1e-6,
+  n: 1e-9,
+  p: 1e-12,
+  f: 1e-15
+};
+
+// Print symbols and the UCUM code they stand for
+const SYMBOLS = {
+  '°C': 'Cel',
+  '°F': '[degF]',
+  psi: '[psi]',
+  mmHg: 'mm[Hg]',
+  in: '[in_i]',
+  ft: '[ft_i]',
+  mi: '[mi_i]',
+  lb: '[lb_av]',
+  gal: '[gal_us]',
+  'm³': 'm3',
+  'm³/s': 'm3/s',
+  'm³/h': 'm3/h',
+  'L/min': 'L/min',
+  gpm: '[gal_us]/min',
+  'km/h': 'km/h',
+  rpm: '{rev}/min',
+  hp: '[HP]',
+  ppm: '[ppm]',
+  ppb: '[ppb]',
+  pH: '[pH]',
+  'Ω': 'Ohm',
+  'kΩ': 'kOhm',
+  dB: 'dB'
+};
+
+// Common spellings found in historian exports and device payloads
+const ALIASES = {
+  c: '°C',
+  degc: '°C',
+  'deg c': '°C',
+  celsius: '°C',
+  '℃': '°C',
+  f: '°F',
+  degf: '°F',
+  'deg f': '°F',
+  fahrenheit: '°F',
+  '℉': '°F',
+  kelvin: 'K',
+  l: 'L',
+  ml: 'mL',
+  m3: 'm³',
+  'm^3': 'm³',
+  'm3/h': 'm³/h',
+  'm^3/h': 'm³/h',
+  'm3/s': 'm³/s',
+  'l/s': 'L/s',
+  'l/min': 'L/min',
+  lpm: 'L/min',
+  kph: 'km/h',
+  'r/min': 'rpm',
+  percent: '%',
+  sec: 's',
+  ohm: 'Ω',
+  gn: '[g]'
+};
+
+// Case-insensitive fallback for symbols such as "KW" or "BAR"
+const LOWERCASE_UNITS = [
+  ...Object.keys(SYMBOLS),
+  'K', 'Pa', 'hPa', 'kPa', 'MPa', 'mbar', 'bar', 'atm', 'mm', 'cm', 'm', 'km', 'g', 'kg', 't',
+  'mL', 'L', 'L/s', 'm/s', 'mm/s', 'Hz', 'kHz', 'W', 'kW', 'MW', 'J', 'kJ', 'MJ', 'Wh', 'kWh',
+  'MWh', 'mV', 'V', 'kV', 'mA', 'A', 'ms', 's', 'min', 'h', '%'
+].reduce((units, symbol) => {
+  units[symbol.toLowerCase()] = units[symbol.toLowerCase()] || symbol;
+  return units;
+}, {});
+
+// Names of the dimensions that sensors commonly measure
+const DIMENSION_NAMES = {
+  [vector({ L: 1 })]: 'length',
+  [vector({ M: 1 })]: 'mass',
+  [vector({ T: 1 })]: 'time',
+  [vector({ I: 1 })]: 'current',
+  [vector({ Θ: 1 })]: 'temperature',
+  [vector({ N: 1 })]: 'amount',
+  [vector({ J: 1 })]: 'luminous_intensity',
+  [vector({ L: 2 })]: 'area',
+  [vector({ L: 3 })]: 'volume',
+  [vector({ L: 1, T: -1 })]: 'speed',
+  [vector({ L: 1, T: -2 })]: 'acceleration',
+  [vector({ T: -1 })]: 'frequency',
+  [vector({ L: 1, M: 1, T: -2 })]: 'force',
+  [vector({ L: -1, M: 1, T: -2 })]: 'pressure',
+  [vector({ L: 2, M: 1, T: -2 })]: 'energy',
+  [vector({ L: 2, M: 1, T: -3 })]: 'power',
+  [vector({ T: 1, I: 1 })]: 'charge',
+  [vector({ L: 2, M: 1, T: -3, I: -1 })]: 'voltage',
+  [vector({ L: 2, M: 1, T: -3, I: -2 })]: 'resistance',
+  [vector({ L: -2, M: -1, T: 3, I: 2 })]: 'conductance',
+  [vector({ L: 3, T: -1 })]: 'flow',
+  [vector({ M: 1, T: -1 })]: 'mass_flow',
+  [vector({ L: -3, M: 1 })]: 'density',
+  [vector({ L: -3, N: 1 })]: 'concentration',
+  [DIMENSIONLESS]: 'ratio'
+};
+
+// Dimensions a sensor of each type may report; types not listed take any unit
+const SENSOR_TYPE_DIMENSIONS = {
+  temperature: ['temperature'],
+  pressure: ['pressure'],
+  humidity: ['ratio', 'density'],
+  flow: ['flow', 'mass_flow'],
+  level: ['length', 'volume', 'ratio'],
+  power: ['power'],
+  energy: ['energy'],
+  voltage: ['voltage'],
+  current: ['current'],
+  speed: ['speed', 'frequency'],
+  vibration: ['acceleration', 'speed', 'length', 'frequency'],
+  frequency: ['frequency']
+};
+
+const dimensionName = (exponents, kind) => {
+  if (kind) return kind;
+  const name = DIMENSION_NAMES[exponents];
+  if (name) return name;
+
+  const terms = exponents
+    .map((exponent, index) => (exponent === 0 ? null : `${BASE_DIMENSIONS[index]}${exponent === 1 ? '' : exponent}`))
+    .filter(Boolean);
+  return terms.join('.');
+};
+
+const SUPERSCRIPTS = { '⁻': '-', '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+const OPERATORS = '.*·/()';
+
+const lookupAtom = (symbol) => {
+  if (ATOMS[symbol]) {
+    return { ...ATOMS[symbol], scale: 1 };
+  }
+  // Longest prefix first, so "da" wins over "d"
+  const prefix = Object.keys(PREFIXES)
+    .sort((a, b) => b.length - a.length)
+    .find((candidate) => symbol.startsWith(candidate) && ATOMS[symbol.slice(candidate.length)]
+      && ATOMS[symbol.slice(candidate.length)].metric);
+  if (!prefix) return null;
+
+  return { ...ATOMS[symbol.slice(prefix.length)], scale: PREFIXES[prefix] };
+};
+
+/**
+ * Parse a UCUM expression such as "kg.m-3", "m3/h", "W/(m2.K)" or "{rev}/min"
+ * @returns {Object} { exponents, factor, offset, kind }
+ * @throws {UnitError} When the expression is malformed or uses an unknown atom
+ */
+const parseExpression = (expression) => {
+  let position = 0;
+  const peek = () => expression[position];
+
+  const fail = (reason) => {
+    throw new UnitError(`Invalid unit "${expression}": ${reason}`);
+  };
+
+  const readExponent = () => {
+    let text = '';
+    if (peek() === '^') position += 1;
+    while (position < expression.length) {
+      const char = SUPERSCRIPTS[peek()] || peek();
+      if (!(/[0-9]/.test(char) || (text === '' && (char === '-' || char === '+')))) break;
+      text += char;
+      position += 1;
+    }
+    if (text === '' || text === '-' || text === '+') {
+      return text === '' ? 1 : fail('exponent without digits');
+    }
+    return parseInt(text, 10);
+  };
+
+  const readAnnotation = () => {
+    const end = expression.indexOf('}', position);
+    if (end === -1) fail('unclosed annotation');
+    position = end + 1;
+  };
+
+  const readComponent = () => {
+    if (peek() === '(') {
+      position += 1;
+      const term = readTerm();
+      if (peek() !== ')') fail('unbalanced parentheses');
+      position += 1;
+      return power(term, readExponent());
+    }
+    if (peek() === '{') {
+      readAnnotation();
+      return { exponents: DIMENSIONLESS, factor: 1, offset: 0 };
+    }
+
+    const start = position;
+    if (/[0-9]/.test(peek())) {
+      while (/[0-9]/.test(peek() || '')) position += 1;
+      return { exponents: DIMENSIONLESS, factor: Number(expression.slice(start, position)), offset: 0 };
+    }
+
+    let depth = 0;
+    while (position < expression.length) {
+      const char = peek();
+      if (char === '[') depth += 1;
+      if (char === ']') depth -= 1;
+      if (depth === 0 && (OPERATORS.includes(char) || /[0-9+\-^{]/.test(char) || SUPERSCRIPTS[char])) break;
+      position += 1;
+    }
+    const symbol = expression.slice(start, position);
+    if (symbol === '') fail(`unexpected "${peek()}"`);
+
+    const atom = lookupAtom(symbol);
+    if (!atom) fail(`unknown unit "${symbol}"`);
+    if (peek() === '{') readAnnotation();
+
+    const exponent = readExponent();
+    if (atom.special && exponent !== 1) fail(`${symbol} cannot be raised to a power`);
+
+    return power({
+      exponents: vector(atom.dimension),
+      factor: atom.factor * atom.scale,
+      offset: atom.offset || 0,
+      kind: atom.kind,
+      special: atom.special
+    }, exponent);
+  };
+
+  const power = (unit, exponent) => {
+    if (exponent === 1) return unit;
+    return {
+      exponents: unit.exponents.map((value) => value * exponent),
+      factor: unit.factor ** exponent,
+      offset: 0
+    };
+  };
+
+  const combine = (left, right, divide) => {
+    if (left.special || right.special) fail('special units cannot be combined with other units');
+    const sign = divide ? -1 : 1;
+    return {
+      exponents: left.exponents.map((value, index) => value + sign * right.exponents[index]),
+      factor: divide ? left.factor / right.factor : left.factor * right.factor,
+      offset: 0
+    };
+  };
+
+  const readTerm = () => {
+    let term;
+    if (peek() === '/') {
+      position += 1;
+      term = combine({ exponents: DIMENSIONLESS, factor: 1, offset: 0 }, readComponent(), true);
+    } else {
+      term = readComponent();
+    }
+
+    while (position < expression.length && peek() !== ')') {
+      const operator = peek();
+      if (!'.*·/'.includes(operator)) fail(`unexpected "${operator}"`);
+      position += 1;
+      term = combine(term, readComponent(), operator === '/');
+    }
+    return term;
+  };
+
+  const unit = readTerm();
+  if (position < expression.length) fail('unbalanced parentheses');
+  return unit;
+};
+
+/**
+ * Resolve a unit to its definition
+ * @param {string} unit - UCUM code, print symbol or alias, e.g. "Cel", "degC", "bar", "m3/h"
+ * @returns {Object|null} { symbol, code, dimension, exponents, factor, offset } or null if unknown
+ */
+const resolveUnit = (unit) => {
+  if (typeof unit !== 'string' || unit.trim() === '') {
+    return null;
+  }
+
+  const raw = unit.trim();
+  const lower = raw.toLowerCase();
+  // Aliases first, so "C" stays degrees Celsius rather than the coulomb
+  const candidates = [ALIASES[lower], raw, LOWERCASE_UNITS[lower]].filter(Boolean);
+
+  for (const symbol of candidates) {
+    const code = SYMBOLS[symbol] || symbol;
+    try {
+      const { exponents, factor, offset, kind } = parseExpression(code);
+      return { symbol, code, dimension: dimensionName(exponents, kind), exponents, factor, offset };
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve a unit or throw
+ * @throws {UnitError} When the unit is unknown
+ */
+const requireUnit = (unit) => {
+  const definition = resolveUnit(unit);
+  if (!definition) {
+    throw new UnitError(`Unknown unit "${unit}"`);
+  }
+  return definition;
+};
+
+/**
+ * Whether values in one unit can be converted to another
+ */
+const compatibleUnits = (from, to) => {
+  const source = resolveUnit(from);
+  const target = resolveUnit(to);
+  return Boolean(source && target && source.dimension === target.dimension);
+};
+
+/**
+ * Create a converter between two units of the same dimension
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @param {Object} options - { difference: convert differences of values such as a
+ *   standard deviation or spread, which ignore the units' offsets }
+ * @returns {Function} value => converted value
+ * @throws {UnitError} When a unit is unknown or the dimensions differ
+ */
+const unitConverter = (from, to, { difference = false } = {}) => {
+  const source = requireUnit(from);
+  const target = requireUnit(to);
+
+  if (source.dimension !== target.dimension) {
+    throw new UnitError(`Cannot convert ${source.dimension} (${source.symbol}) to ${target.dimension} (${target.symbol})`);
+  }
+  if (source.symbol === target.symbol) {
+    return (value) => value;
+  }
+
+  const offset = difference ? 0 : source.offset;
+  const targetOffset = difference ? 0 : target.offset;
+
+  // Trim binary floating point noise such as 26.850000000000023
+  return (value) => Number((((value * source.factor + offset) - targetOffset) / target.factor).toPrecision(12));
+};
+
+/**
+ * Convert a value between two units of the same dimension
+ * @param {number} value - Value in the source unit
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @returns {number} Converted value
+ * @throws {UnitError} When a unit is unknown or the dimensions differ
+ */
+const convertValue = (value, from, to) => unitConverter(from, to)(value);
+
+/**
+ * Converter of readings and their aggregates to a requested unit. Counts keep their
+ * value, standard deviations and spreads convert as differences, and sums of units
+ * with different offsets cannot be converted at all.
+ * @param {string} target - Requested unit
+ * @returns {Object} { unit, convert(value, from, aggregation) }
+ * @throws {UnitError} When the unit is unknown; convert throws when a source unit is
+ *   unknown, measures another dimension or is summed across offsets
+ */
+const readingConverter = (target) => {
+  const { symbol, offset } = requireUnit(target);
+  const converters = new Map();
+
+  const converter = (from, aggregation) => {
+    const difference = aggregation === 'stddev' || aggregation === 'spread';
+    const key = `${from}:${aggregation}`;
+    if (!from) {
+      throw new UnitError(`Readings without a unit cannot be converted to ${symbol}`);
+    }
+    if (!converters.has(key)) {
+      if (aggregation === 'sum' && requireUnit(from).offset !== offset) {
+        throw new UnitError(`Sums of ${requireUnit(from).symbol} readings cannot be converted to ${symbol}`);
+      }
+      converters.set(key, unitConverter(from, target, { difference }));
+    }
+    return converters.get(key);
+  };
+
+  return {
+    unit: symbol,
+    convert: (value, from, aggregation) => {
+      if (value === null || value === undefined || aggregation === 'count') {
+        return value;
+      }
+      return converter(from, aggregation)(Number(value));
+    }
+  };
+};
+
+/**
+ * Check a unit against the dimensions a sensor type may report
+ * @returns {string|null} The problem, or null when the unit fits the type
+ */
+const sensorUnitError = (sensorType, unit) => {
+  const definition = resolveUnit(unit);
+  if (!definition) {
+    return `Unknown unit "${unit}"`;
+  }
+
+  const dimensions = SENSOR_TYPE_DIMENSIONS[sensorType];
+  if (dimensions && !dimensions.includes(definition.dimension)) {
+    return `Unit ${definition.symbol} measures ${definition.dimension}, but ${sensorType} sensors report ${dimensions.join(' or ')}`;
+  }
+  return null;
+};
+
+module.exports = {
+  UnitError,
+  SENSOR_TYPE_DIMENSIONS,
+  resolveUnit,
+  requireUnit,
+  compatibleUnits,
+  unitConverter,
+  convertValue,
+  readingConverter,
+  sensorUnitError
+};
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SEGMENT_EXTENSION = '.ndjson';
+const REJECTED_FILE = path.join('rejected', `records${SEGMENT_EXTENSION}`);
+
+/**
+ * Append-only, disk-backed FIFO of records stored as NDJSON segment files.
+ * Records are replayed oldest first; fully replayed segments are deleted.
+ * When the total size exceeds maxBytes the oldest segments are discarded.
+ * Records that can never be written are moved to a dead-letter file, rejected/records.ndjson,
+ * which is capped at maxBytes as well.
+ */
+class WriteBuffer {
+  /**
+   * @param {string} name - Buffer name, used as sub-directory
+   * @param {Object} options - { dir, maxBytes, segmentBytes, serialize, deserialize }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.dir = path.join(options.dir || path.join(process.cwd(), 'buffer'), name);
+    this.maxBytes = options.maxBytes || 512 * 1024 * 1024;
+    this.segmentBytes = options.segmentBytes || 4 * 1024 * 1024;
+    this.serialize = options.serialize || JSON.stringify;
+    this.deserialize = options.deserialize || JSON.parse;
+
+    this.segments = [];
+    this.sequence = 0;
+    this.dropped = 0;
+    this.rejected = 0;
+    this.initialized = false;
+
+    // Serializes all file operations so appends never interleave with replays
+    this.lock = Promise.resolve();
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load segments left over from a previous run
+   */
+  async init() {
+    return this.withLock(async () => {
+      if (this.initialized) {
+        return;
+      }
+
+      await fs.mkdir(this.dir, { recursive: true });
+      const files = (await fs.readdir(this.dir))
+        .filter((file) => file.endsWith(SEGMENT_EXTENSION))
+        .sort();
+
+      for (const file of files) {
+        const content = await fs.readFile(path.join(this.dir, file), 'utf8');
+        const records = content.split('\n').filter(Boolean).length;
+
+        if (records === 0) {
+          await fs.unlink(path.join(this.dir, file));
+        } else {
+          this.segments.push({ file, bytes: Buffer.byteLength(content), records });
+        }
+      }
+
+      this.initialized = true;
+    });
+  }
+
+  nextSegmentName() {
+    this.sequence += 1;
+    return `${Date.now()}-${String(this.sequence).padStart(6, '0')}${SEGMENT_EXTENSION}`;
+  }
+
+  /**
+   * Append records to the tail of the buffer
+   * @param {Array} records - Records to persist
+   */
+  async append(records = []) {
+    if (records.length === 0) {
+      return;
+    }
+
+    await this.init();
+
+    await this.withLock(async () => {
+      const data = `${records.map((record) => this.serialize(record)).join('\n')}\n`;
+      let segment = this.segments[this.segments.length - 1];
+
+      if (!segment || segment.bytes >= this.segmentBytes) {
+        segment = { file: this.nextSegmentName(), bytes: 0, records: 0 };
+        this.segments.push(segment);
+      }
+
+      await fs.appendFile(path.join(this.dir, segment.file), data, 'utf8');
+      segment.bytes += Buffer.byteLength(data);
+      segment.records += records.length;
+
+      await this.enforceSizeCap();
+    });
+  }
+
+  async enforceSizeCap() {
+    while (this.segments.length > 1 && this.getBytes() > this.maxBytes) {
+      const oldest = this.segments.shift();
+      this.dropped += oldest.records;
+      await fs.unlink(path.join(this.dir, oldest.file));
+    }
+  }
+
+  /**
+   * Move records that can never be written to the dead-letter file
+   * @param {Array} records - Records to set aside
+   */
+  async reject(records = []) {
+    if (records.length === 0) {
+      return;
+    }
+
+    await this.init();
+    await this.withLock(() => this.appendRejected(records.map((record) => this.serialize(record))));
+  }
+
+  async appendRejected(lines) {
+    const filePath = path.join(this.dir, REJECTED_FILE);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const size = await fs.stat(filePath).then((stat) => stat.size, () => 0);
+    const data = `${lines.join('\n')}\n`;
+    if (size + Buffer.byteLength(data) > this.maxBytes) {
+      this.dropped += lines.length;
+      return;
+    }
+
+    await fs.appendFile(filePath, data, 'utf8');
+    this.rejected += lines.length;
+  }
+
+  /**
+   * Replay buffered records oldest first.
+   * Stops at the first retriable handler failure and keeps the unprocessed records;
+   * batches failing with any other error are moved to the dead-letter file.
+   * @param {Function} handler - async (records) => void
+   * @param {number} batchSize - Records per handler call
+   * @param {Object} options - { isRetriable: (error) => boolean, every error by default }
+   * @returns {Object} { replayed, rejected, error }
+   */
+  async replay(handler, batchSize = 500, { isRetriable = () => true } = {}) {
+    await this.init();
+
+    return this.withLock(async () => {
+      let replayed = 0;
+      let rejected = 0;
+
+      while (this.segments.length > 0) {
+        const segment = this.segments[0];
+        const filePath = path.join(this.dir, segment.file);
+        const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+
+        for (let offset = 0; offset < lines.length; offset += batchSize) {
+          const batch = lines.slice(offset, offset + batchSize);
+
+          try {
+            await handler(batch.map((line) => this.deserialize(line)));
+            replayed += batch.length;
+          } catch (error) {
+            if (!isRetriable(error)) {
+              await this.appendRejected(batch);
+              rejected += batch.length;
+              continue;
+            }
+
+            const remaining = lines.slice(offset);
+            const data = `${remaining.join('\n')}\n`;
+            await fs.writeFile(filePath, data, 'utf8');
+            segment.bytes = Buffer.byteLength(data);
+            segment.records = remaining.length;
+            return { replayed, rejected, error };
+          }
+        }
+
+        await fs.unlink(filePath);
+        this.segments.shift();
+      }
+
+      return { replayed, rejected, error: null };
+    });
+  }
+
+  getBytes() {
+    return this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+  }
+
+  getDepth() {
+    return this.segments.reduce((sum, segment) => sum + segment.records, 0);
+  }
+
+  isEmpty() {
+    return this.getDepth() === 0;
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      depth: this.getDepth(),
+      bytes: this.getBytes(),
+      max_bytes: this.maxBytes,
+      segments: this.segments.length,
+      dropped: this.dropped,
+      rejected: this.rejected
+    };
+  }
+}
+
+module.exports = WriteBuffer;
@@ -0,0 +1,155 @@
+jest.mock('../../../src/services/mongoService', () => ({ getCollection: jest.fn() }));
+jest.mock('../../../src/services/ingestionService', () => ({ ingest: jest.fn() }));
+jest.mock('../../../src/services/livenessService', () => ({ touch: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoService = require('../../../src/services/mongoService');
+const ingestionService = require('../../../src/services/ingestionService');
+const livenessService = require('../../../src/services/livenessService');
+const batchIngestService = require('../../../src/services/batchIngestService');
+
+const GATEWAY = { _id: 'gateway-1' };
+
+const DEVICES = [
+  { _id: 'press-1', gateway_id: 'gateway-1' },
+  { _id: 'press-2', gateway_id: 'gateway-9' }
+];
+
+const SENSORS = [
+  { _id: 'gateway-1.uptime', device_id: 'gateway-1' },
+  { _id: 'press-1.pressure', device_id: 'press-1' },
+  { _id: 'press-1.temperature', device_id: 'press-1' },
+  { _id: 'press-2.pressure', device_id: 'press-2' }
+];
+
+const collections = {
+  devices: (filter) => DEVICES.filter((device) => filter._id.$in.includes(device._id)
+    && device.gateway_id === filter.gateway_id),
+  sensors: (filter) => SENSORS.filter((sensor) => filter._id.$in.includes(sensor._id))
+};
+
+const ingested = () => ingestionService.ingest.mock.calls.flatMap(([readings]) => readings);
+
+describe('batchIngestService', () => {
+  beforeEach(() => {
+    mongoService.getCollection.mockImplementation((name) => ({
+      find: (filter) => ({ toArray: async () => collections[name](filter) })
+    }));
+  });
+
+  it('queues valid readings and reports the others by array index', async () => {
+    const result = await batchIngestService.ingest(GATEWAY, [
+      { sensor_id: 'gateway-1.uptime', value: 12, timestamp: '2024-01-01T00:00:00Z' },
+      { device_id: 'press-1', sensor_id: 'press-1.pressure', value: '4.5', unit: 'bar' },
+      { device_id: 'press-1', sensor_id: 'press-1.temperature', value: 'hot' },
+      { device_id: 'press-1', value: 1 },
+      'not a reading'
+    ], 'json');
+
+    expect(result).toEqual({
+      received: 5,
+      accepted: 2,
+      rejected: 3,
+      errors: [
+        { index: 2, error: 'value must be a finite number' },
+        { index: 3, error: 'sensor_id must be a string of 1 to 200 characters' },
+        { index: 4, error: 'Reading must be an object' }
+      ],
+      errors_truncated: false
+    });
+    expect(ingested()).toEqual([
+      {
+        device_id: 'gateway-1',
+        sensor_id: 'gateway-1.uptime',
+        value: 12,
+        unit: null,
+        timestamp: new Date('2024-01-01T00:00:00Z'),
+        tags: { source: 'http_batch' }
+      },
+      {
+        device_id: 'press-1',
+        sensor_id: 'press-1.pressure',
+        value: 4.5,
+        unit: 'bar',
+        timestamp: undefined,
+        tags: { source: 'http_batch' }
+      }
+    ]);
+    expect(livenessService.touch.mock.calls.map(([deviceId]) => deviceId)).toEqual(['gateway-1', 'press-1']);
+  });
+
+  it('only accepts readings for the device, its gateway devices and their registered sensors', async () => {
+    const result = await batchIngestService.ingest(GATEWAY, { readings: [
+      { device_id: 'press-2', sensor_id: 'press-2.pressure', value: 1 },
+      { device_id: 'press-1', sensor_id: 'press-2.pressure', value: 1 },
+      { device_id: 'press-1', sensor_id: 'press-1.unknown', value: 1 },
+      { device_id: 'press-1', sensor_id: 'press-1.pressure', value: 1 }
+    ] }, 'json');
+
+    expect(result.accepted).toBe(1);
+    expect(result.errors).toEqual([
+      { index: 0, error: 'Device press-2 is not this device or one of its gateway devices' },
+      { index: 1, error: 'Sensor press-2.pressure is not registered for device press-1' },
+      { index: 2, error: 'Sensor press-1.unknown is not registered for device press-1' }
+    ]);
+    expect(ingested().map((reading) => reading.sensor_id)).toEqual(['press-1.pressure']);
+  });
+
+  it.each([
+    [['a', 'b'], 'tags must be an object'],
+    [{ '': 'x' }, 'tag key "" must be 1 to 200 characters and not start with "_"'],
+    [{ _measurement: 'x' }, 'tag key "_measurement" must be 1 to 200 characters and not start with "_"'],
+    [{ line: '' }, 'tag line must be a string of 1 to 200 characters'],
+    [{ line: 4 }, 'tag line must be a string of 1 to 200 characters'],
+    [Object.fromEntries(Array.from({ length: 21 }, (_value, index) => [`tag${index}`, 'x'])),
+      'tags must not have more than 20 entries']
+  ])('rejects a reading with tags %p', async (tags, error) => {
+    const result = await batchIngestService.ingest(GATEWAY, [
+      { sensor_id: 'gateway-1.uptime', value: 1, tags },
+      { sensor_id: 'gateway-1.uptime', value: 2, tags: { line: 'L4' } }
+    ], 'json');
+
+    expect(result.errors).toEqual([{ index: 0, error }]);
+    expect(ingested()).toEqual([expect.objectContaining({ value: 2, tags: { line: 'L4', source: 'http_batch' } })]);
+  });
+
+  it('reads NDJSON and line protocol, reporting errors by line number', async () => {
+    const ndjson = await batchIngestService.ingest(GATEWAY, [
+      '{"sensor_id": "gateway-1.uptime", "value": 1}',
+      '',
+      '{"sensor_id": ',
+      '{"sensor_id": "gateway-1.uptime", "value": 2}'
+    ].join('\n'), 'ndjson');
+
+    expect(ndjson).toMatchObject({ received: 3, accepted: 2, rejected: 1, errors: [{ line: 3 }] });
+
+    ingestionService.ingest.mockClear();
+    const lineProtocol = await batchIngestService.ingest(GATEWAY, [
+      '# pressure and temperature of press 1',
+      'press-1,device_id=press-1,sensor_id=press-1,unit=bar,line=L4 pressure=4.2,temperature=61.5 1700000000000',
+      'press-1,device_id=press-1 pressure=',
+      'press-1,device_id=press-1,_field=x pressure=1'
+    ].join('\n'), 'line_protocol', { precision: 'ms' });
+
+    expect(lineProtocol).toMatchObject({ received: 3, accepted: 2, rejected: 2 });
+    expect(lineProtocol.errors.map((error) => error.line)).toEqual([3, 4]);
+    expect(ingested()).toEqual([
+      expect.objectContaining({ sensor_id: 'press-1.pressure', value: 4.2, unit: 'bar', tags: { line: 'L4', source: 'http_batch' } }),
+      expect.objectContaining({ sensor_id: 'press-1.temperature', value: 61.5, timestamp: new Date(1700000000000) })
+    ]);
+  });
+
+  it('refuses batches over the reading limit and unknown precisions', async () => {
+    const readings = Array.from({ length: batchIngestService.maxReadings + 1 }, () => ({}));
+
+    await expect(batchIngestService.ingest(GATEWAY, readings, 'json')).rejects.toMatchObject({ statusCode: 413 });
+    await expect(batchIngestService.ingest(GATEWAY, '', 'line_protocol', { precision: 'm' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(ingestionService.ingest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+const net = require('net');
+
+// hexy is an ES module that Jest cannot require; node-opcua only uses it for hex dumps in debug logs
+jest.mock('hexy', () => ({ hexy: (buffer) => buffer.toString('hex') }));
+
+const { OPCUAServer } = require('node-opcua-server');
+const { nodesets } = require('node-opcua-nodesets');
+const { DataType, Variant } = require('node-opcua-client');
+
+jest.mock('../../../src/services/mongoService', () => ({ getCollection: jest.fn() }));
+jest.mock('../../../src/services/ingestionService', () => ({ ingest: jest.fn() }));
+jest.mock('../../../src/services/livenessService', () => ({ touch: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoService = require('../../../src/services/mongoService');
+const ingestionService = require('../../../src/services/ingestionService');
+const livenessService = require('../../../src/services/livenessService');
+const opcuaService = require('../../../src/services/opcuaService');
+
+const SENSORS = [
+  { _id: 'temperature', device_id: 'press-1', unit: 'Cel', sampling_rate: 200 },
+  { _id: 'running', device_id: 'press-1', unit: null, sampling_rate: 200 },
+  { _id: 'label', device_id: 'press-1', unit: null, sampling_rate: 200 }
+];
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const waitFor = async (condition, timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+const ingested = () => ingestionService.ingest.mock.calls.flatMap(([readings]) => readings);
+
+describe('OPC UA connector', () => {
+  let server;
+  let endpointUrl;
+  const variables = {};
+
+  beforeAll(async () => {
+    const port = await freePort();
+    server = new OPCUAServer({ port, nodeset_filename: [nodesets.standard] });
+    await server.initialize();
+
+    const { addressSpace } = server.engine;
+    const namespace = addressSpace.getOwnNamespace();
+    const addVariable = (name, dataType, value) => {
+      variables[name] = namespace.addVariable({
+        organizedBy: addressSpace.rootFolder.objects,
+        browseName: name,
+        nodeId: `s=${name}`,
+        dataType
+      });
+      variables[name].setValueFromSource(new Variant({ dataType: DataType[dataType], value }));
+    };
+    addVariable('Temperature', 'Double', 21.5);
+    addVariable('Running', 'Boolean', true);
+    addVariable('Label', 'String', 'batch 42');
+
+    await server.start();
+    endpointUrl = `opc.tcp://localhost:${port}`;
+  }, 60000);
+
+  afterAll(async () => {
+    await server.shutdown(0);
+  });
+
+  const bindings = () => [
+    { node_id: `ns=1;s=Temperature`, sensor_id: 'temperature' },
+    { node_id: `ns=1;s=Running`, sensor_id: 'running' },
+    { node_id: `ns=1;s=Label`, sensor_id: 'label' }
+  ];
+
+  const startConnector = async (config) => {
+    const connection = { _id: 'conn-1', name: 'press', endpoint_url: endpointUrl, bindings: bindings(), ...config };
+
+    mongoService.getCollection.mockImplementation((name) => ({
+      find: () => ({
+        toArray: async () => (name === 'opcua_connections' ? [connection] : []),
+        project: () => ({ toArray: async () => SENSORS })
+      })
+    }));
+    ingestionService.ingest.mockResolvedValue();
+    livenessService.touch.mockResolvedValue();
+
+    await opcuaService.start();
+    await waitFor(() => opcuaService.getConnectionStatus('conn-1').status === 'connected');
+  };
+
+  afterEach(async () => {
+    await opcuaService.stop();
+  });
+
+  it('polls the bound nodes and ingests numeric values with the sensor registry data', async () => {
+    await startConnector({ mode: 'polling' });
+    await waitFor(() => ingestionService.ingest.mock.calls.length >= 2);
+
+    const [first] = ingestionService.ingest.mock.calls[0];
+    expect(first).toEqual([
+      expect.objectContaining({ device_id: 'press-1', sensor_id: 'temperature', value: 21.5, unit: 'Cel', tags: { source: 'opcua' } }),
+      expect.objectContaining({ device_id: 'press-1', sensor_id: 'running', value: 1, unit: null })
+    ]);
+    expect(first[0].timestamp).toBeInstanceOf(Date);
+    expect(livenessService.touch).toHaveBeenCalledWith('press-1');
+
+    // Strings are not sensor values
+    const status = opcuaService.getConnectionStatus('conn-1');
+    expect(status.skipped).toBeGreaterThanOrEqual(1);
+    expect(ingested().some((reading) => reading.sensor_id === 'label')).toBe(false);
+  });
+
+  it('subscribes to the bound nodes and ingests every data change', async () => {
+    await startConnector({ mode: 'subscription', publishing_interval: 100 });
+    await waitFor(() => ingested().some((reading) => reading.sensor_id === 'temperature'));
+
+    variables.Temperature.setValueFromSource(new Variant({ dataType: DataType.Double, value: 23.25 }));
+    await waitFor(() => ingested().some((reading) => reading.sensor_id === 'temperature' && reading.value === 23.25));
+
+    const temperatures = ingested().filter((reading) => reading.sensor_id === 'temperature').map((reading) => reading.value);
+    expect(temperatures).toEqual([21.5, 23.25]);
+    expect(ingested()).toContainEqual(expect.objectContaining({ sensor_id: 'running', value: 1 }));
+    expect(opcuaService.getConnectionStatus('conn-1')).toMatchObject({ status: 'connected', nodes: 3 });
+  });
+});
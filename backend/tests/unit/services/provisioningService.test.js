@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/services/mongoService', () => ({ getDb: jest.fn() }));
+jest.mock('../../../src/services/topicMappingService', () => ({
+  load: jest.fn(),
+  getTopicFilters: jest.fn(),
+  on: jest.fn()
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const brokerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provisioning-'));
+process.env.MOSQUITTO_PASSWORD_FILE = path.join(brokerDir, 'passwd');
+process.env.MOSQUITTO_ACL_FILE = path.join(brokerDir, 'acl');
+
+const mongoService = require('../../../src/services/mongoService');
+const topicMappingService = require('../../../src/services/topicMappingService');
+const provisioningService = require('../../../src/services/provisioningService');
+
+const cursor = (documents) => ({
+  sort: () => cursor(documents),
+  toArray: async () => documents
+});
+
+const useStore = ({ credentials, devices }) => {
+  mongoService.getDb.mockReturnValue({
+    collection: (name) => ({
+      find: (filter) => (name === 'device_credentials'
+        ? cursor(credentials.filter((credential) => credential.status === filter.status))
+        : cursor(devices.filter((device) => filter._id.$in.includes(device._id))))
+    })
+  });
+};
+
+const credential = (deviceId, overrides = {}) => ({
+  _id: `credential-${deviceId}`,
+  device_id: deviceId,
+  username: deviceId,
+  type: 'password',
+  status: 'active',
+  secret_hash: '$7$101$salt$hash',
+  fingerprint: null,
+  ...overrides
+});
+
+const readAcl = () => fs.readFileSync(process.env.MOSQUITTO_ACL_FILE, 'utf8');
+
+const userBlock = (acl, username) => {
+  const lines = acl.split('\n');
+  const start = lines.indexOf(`user ${username}`);
+  const end = lines.indexOf('', start);
+  return lines.slice(start + 1, end === -1 ? undefined : end);
+};
+
+describe('provisioningService broker files', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.MQTT_USERNAME = 'iiot_backend';
+    process.env.MQTT_PASSWORD = 'secret';
+    topicMappingService.getTopicFilters.mockReturnValue([]);
+  });
+
+  afterAll(() => {
+    process.env = env;
+    fs.rmSync(brokerDir, { recursive: true, force: true });
+  });
+
+  it('restricts each device to its own topics and skips revoked and inactive ones', async () => {
+    useStore({
+      credentials: [
+        credential('press-1'),
+        credential('press-2', { status: 'revoked' }),
+        credential('press-3')
+      ],
+      devices: [{ _id: 'press-1' }, { _id: 'press-2' }]
+    });
+
+    await provisioningService.syncBrokerFiles();
+
+    const acl = readAcl();
+    expect(userBlock(acl, 'press-1')).toEqual(['topic readwrite iiot/press-1/#']);
+    expect(acl).not.toContain('user press-2');
+    expect(acl).not.toContain('user press-3');
+    expect(userBlock(acl, 'iiot_backend')).toEqual(expect.arrayContaining([
+      'topic readwrite iiot/#',
+      'topic readwrite spBv1.0/#'
+    ]));
+
+    const passwd = fs.readFileSync(process.env.MOSQUITTO_PASSWORD_FILE, 'utf8').trim().split('\n');
+    expect(passwd.map((line) => line.split(':')[0])).toEqual(['iiot_backend', 'press-1']);
+    expect(passwd[0]).toMatch(/^iiot_backend:\$7\$101\$/);
+  });
+
+  it('lets the backend read the topics of its topic mappings', async () => {
+    topicMappingService.getTopicFilters.mockReturnValue([
+      { filter: 'enterprise/+/+/+/+/+', qos: 1 },
+      { filter: 'iiot/+/custom', qos: 1 }
+    ]);
+    useStore({ credentials: [], devices: [] });
+
+    await provisioningService.syncBrokerFiles();
+
+    expect(topicMappingService.load).toHaveBeenCalled();
+    expect(userBlock(readAcl(), 'iiot_backend')).toEqual([
+      'topic readwrite iiot/#',
+      'topic readwrite spBv1.0/#',
+      'topic read enterprise/+/+/+/+/+'
+    ]);
+  });
+
+  it('lists certificate credentials without a password entry', async () => {
+    const fingerprint = Array(32).fill('AB').join(':');
+    useStore({
+      credentials: [credential('press-1', { type: 'certificate', secret_hash: null, fingerprint })],
+      devices: [{ _id: 'press-1' }]
+    });
+
+    await provisioningService.syncBrokerFiles();
+
+    expect(readAcl()).toContain(`# certificate ${fingerprint}, CN press-1\nuser press-1\n`);
+    expect(fs.readFileSync(process.env.MOSQUITTO_PASSWORD_FILE, 'utf8')).not.toContain('press-1');
+  });
+
+  it('grants Sparkplug topics only for the edge node identity set on the device', async () => {
+    useStore({
+      credentials: [credential('gateway-1'), credential('gateway-2')],
+      devices: [
+        { _id: 'gateway-1', sparkplug_edge_node: { group_id: 'plant', edge_node_id: 'line-4' } },
+        {
+          _id: 'gateway-2',
+          sparkplug: { group_id: 'plant', edge_node_id: 'line-5' },
+          configuration: { sparkplug: { group_id: 'plant', edge_node_id: 'line-6' } }
+        }
+      ]
+    });
+
+    await provisioningService.syncBrokerFiles();
+
+    const acl = readAcl();
+    expect(userBlock(acl, 'gateway-1')).toEqual([
+      'topic readwrite iiot/gateway-1/#',
+      'topic readwrite spBv1.0/plant/+/line-4/#',
+      'topic read spBv1.0/STATE/#'
+    ]);
+    expect(userBlock(acl, 'gateway-2')).toEqual(['topic readwrite iiot/gateway-2/#']);
+  });
+
+  it.each([
+    ['a wildcard', { group_id: '#', edge_node_id: 'line-4' }],
+    ['a single level wildcard', { group_id: 'plant', edge_node_id: '+' }],
+    ['a topic separator', { group_id: 'plant/other', edge_node_id: 'line-4' }],
+    ['whitespace', { group_id: 'plant', edge_node_id: 'line 4' }],
+    ['a control character', { group_id: 'plant\u0000', edge_node_id: 'line-4' }],
+    ['an empty ID', { group_id: '', edge_node_id: 'line-4' }]
+  ])('ignores an edge node identity with %s', async (_case, identity) => {
+    useStore({
+      credentials: [credential('gateway-1')],
+      devices: [{ _id: 'gateway-1', sparkplug_edge_node: identity }]
+    });
+
+    await provisioningService.syncBrokerFiles();
+
+    expect(userBlock(readAcl(), 'gateway-1')).toEqual(['topic readwrite iiot/gateway-1/#']);
+  });
+
+  it('skips generating the files without a service user', async () => {
+    delete process.env.MQTT_USERNAME;
+    mongoService.isConnected = true;
+
+    await expect(provisioningService.start()).resolves.toBeUndefined();
+    expect(mongoService.getDb).not.toHaveBeenCalled();
+  });
+});
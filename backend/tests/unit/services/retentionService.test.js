@@ -0,0 +1,67 @@
+jest.mock('../../../src/services/mongoService', () => ({ getCollection: jest.fn() }));
+jest.mock('../../../src/services/influxService', () => {
+  const { FluxQuery } = jest.requireActual('../../../src/utils/flux');
+  return {
+    bucket: 'iiot',
+    isConfigured: jest.fn(),
+    select: (measurement, { bucket }) => new FluxQuery(bucket).measurement(measurement)
+  };
+});
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const influxService = require('../../../src/services/influxService');
+const retentionService = require('../../../src/services/retentionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('retentionService.select', () => {
+  const now = Date.now();
+  const start = new Date(now - 48 * HOUR_MS).toISOString();
+
+  beforeEach(() => {
+    influxService.isConfigured.mockReturnValue(true);
+    retentionService.watermarks = new Map([['1h', now - 2 * HOUR_MS]]);
+  });
+
+  it('reads means from a rollup tier as the totals of sum over count', () => {
+    const { query, tier } = retentionService.select({ start, every: '1h', aggregation: 'mean' });
+    const text = query.toString();
+
+    expect(tier).toBe('1h');
+    expect(text).toContain([
+      'part0 = from(bucket: "iiot_1h")',
+      `  |> range(start: ${start}, stop: ${new Date(Math.floor((now - 2 * HOUR_MS) / HOUR_MS) * HOUR_MS).toISOString()})`,
+      '  |> filter(fn: (r) => r["_measurement"] == "sensor_data")',
+      '  |> filter(fn: (r) => r["_field"] == "sum" or r["_field"] == "count")',
+      '  |> aggregateWindow(every: 1h, fn: sum, timeSrc: "_start", createEmpty: false)'
+    ].join('\n'));
+    expect(text).toContain('_value: float(v: r.sum) / float(v: r.count)');
+    // Readings after the last rollup are averaged from the raw bucket
+    expect(text).toMatch(/part1 = from\(bucket: "iiot"\)[^]*r\["_field"\] == "value"\)\n {2}\|> aggregateWindow\(every: 1h, fn: mean, createEmpty: false\)/);
+  });
+
+  it.each([
+    ['min', 'min'],
+    ['max', 'max'],
+    ['sum', 'sum'],
+    ['count', 'sum']
+  ])('reads %s from the rollup field of the same name', (aggregation, fn) => {
+    const { query } = retentionService.select({ start, every: '1h', aggregation });
+    const [tierPart] = query.toString().split('\n\n');
+
+    expect(tierPart).toContain(`r["_field"] == "${aggregation}"`);
+    expect(tierPart).toContain(`aggregateWindow(every: 1h, fn: ${fn}, createEmpty: false)`);
+  });
+
+  it('reads aggregates the tiers cannot answer from the raw bucket', () => {
+    const { query, tier } = retentionService.select({ start, every: '1h', aggregation: 'median' });
+
+    expect(tier).toBe('raw');
+    expect(query.toString()).not.toContain('iiot_1h');
+  });
+});
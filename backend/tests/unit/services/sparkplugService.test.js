@@ -0,0 +1,165 @@
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+
+jest.mock('../../../src/services/ingestionService', () => ({ ingest: jest.fn() }));
+jest.mock('../../../src/services/storeForwardService', () => ({ writeMongo: jest.fn() }));
+jest.mock('../../../src/services/livenessService', () => ({
+  track: jest.fn(),
+  setStatus: jest.fn(),
+  getChildren: jest.fn()
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ingestionService = require('../../../src/services/ingestionService');
+const storeForwardService = require('../../../src/services/storeForwardService');
+const livenessService = require('../../../src/services/livenessService');
+const sparkplugService = require('../../../src/services/sparkplugService');
+const { RejectedMessageError } = require('../../../src/utils/errors');
+
+const encode = (payload) => sparkplug.encodePayload({ timestamp: 1700000000000, ...payload });
+
+const engUnit = (unit) => ({ engUnit: { type: 'String', value: unit } });
+
+const birthMetrics = [
+  { name: 'bdSeq', type: 'UInt64', value: 3 },
+  { name: 'Temperature', alias: 1, type: 'Float', value: 21.5, properties: engUnit('Cel') },
+  { name: 'Running', alias: 2, type: 'Boolean', value: true },
+  { name: 'Label', alias: 3, type: 'String', value: 'press' },
+  { name: 'Node Control/Rebirth', alias: 4, type: 'Boolean', value: false }
+];
+
+const sensorUpdates = () => storeForwardService.writeMongo.mock.calls
+  .map(([operation]) => operation)
+  .filter((operation) => operation.collection === 'sensors');
+
+const ingested = () => ingestionService.ingest.mock.calls.flatMap(([readings]) => readings);
+
+describe('sparkplugService', () => {
+  const mqtt = { isConnected: true, client: { publish: jest.fn() } };
+
+  beforeEach(() => {
+    livenessService.getChildren.mockReturnValue([]);
+  });
+
+  it('registers the numeric process metrics of a birth certificate', async () => {
+    await sparkplugService.handleMessage('spBv1.0/plant/NBIRTH/node-1', encode({ metrics: birthMetrics }), mqtt);
+
+    const updates = sensorUpdates();
+    expect(updates.map((operation) => operation.filter._id)).toEqual([
+      'plant:node-1:Temperature',
+      'plant:node-1:Running'
+    ]);
+
+    const [temperature, running] = updates.map((operation) => operation.update);
+    expect(temperature.$set).toEqual({
+      'configuration.sparkplug_alias': 1,
+      'configuration.sparkplug_datatype': 'Float',
+      unit: 'Cel',
+      updated_at: expect.any(Date)
+    });
+    expect(temperature.$setOnInsert).not.toHaveProperty('unit');
+
+    // Without an engineering unit a unit set on the platform is left alone
+    expect(running.$set).not.toHaveProperty('unit');
+    expect(running.$set).not.toHaveProperty('configuration');
+    expect(running.$setOnInsert.unit).toBeNull();
+
+    expect(ingested()).toEqual([
+      expect.objectContaining({ sensor_id: 'plant:node-1:Temperature', value: expect.closeTo(21.5), unit: 'Cel' }),
+      expect.objectContaining({ sensor_id: 'plant:node-1:Running', value: 1, unit: null })
+    ]);
+    expect(livenessService.setStatus).toHaveBeenCalledWith('plant:node-1', 'online', 'birth', 'sparkplug');
+  });
+
+  it('resolves data metrics sent by alias through the birth certificate', async () => {
+    await sparkplugService.handleMessage('spBv1.0/plant/NBIRTH/node-2', encode({ metrics: birthMetrics }), mqtt);
+    ingestionService.ingest.mockClear();
+
+    await sparkplugService.handleMessage('spBv1.0/plant/NDATA/node-2', encode({
+      metrics: [
+        { alias: 1, type: 'Float', value: 22.25, timestamp: 1700000001000 },
+        { alias: 2, type: 'Boolean', value: false },
+        { alias: 3, type: 'String', value: 'ignored' }
+      ]
+    }), mqtt);
+
+    expect(ingested()).toEqual([
+      {
+        device_id: 'plant:node-2',
+        sensor_id: 'plant:node-2:Temperature',
+        value: expect.closeTo(22.25),
+        unit: 'Cel',
+        timestamp: 1700000001000
+      },
+      {
+        device_id: 'plant:node-2',
+        sensor_id: 'plant:node-2:Running',
+        value: 0,
+        unit: null,
+        timestamp: 1700000000000
+      }
+    ]);
+    expect(mqtt.client.publish).not.toHaveBeenCalled();
+  });
+
+  it('keeps device alias tables apart from the node and drops them on a new node birth', async () => {
+    await sparkplugService.handleMessage('spBv1.0/plant/NBIRTH/node-3', encode({ metrics: birthMetrics }), mqtt);
+    await sparkplugService.handleMessage('spBv1.0/plant/DBIRTH/node-3/pump', encode({
+      metrics: [{ name: 'Flow', alias: 1, type: 'Double', value: 4, properties: engUnit('m3/h') }]
+    }), mqtt);
+    ingestionService.ingest.mockClear();
+
+    await sparkplugService.handleMessage('spBv1.0/plant/DDATA/node-3/pump', encode({
+      metrics: [{ alias: 1, type: 'Double', value: 5 }]
+    }), mqtt);
+    expect(ingested()).toEqual([
+      expect.objectContaining({ sensor_id: 'plant:node-3:pump:Flow', value: 5, unit: 'm3/h' })
+    ]);
+
+    // The device's aliases belong to the previous node session
+    await sparkplugService.handleMessage('spBv1.0/plant/NBIRTH/node-3', encode({ metrics: birthMetrics }), mqtt);
+    ingestionService.ingest.mockClear();
+
+    await sparkplugService.handleMessage('spBv1.0/plant/DDATA/node-3/pump', encode({
+      metrics: [{ alias: 1, type: 'Double', value: 6 }]
+    }), mqtt);
+    expect(ingestionService.ingest).not.toHaveBeenCalled();
+    expect(mqtt.client.publish).toHaveBeenCalledWith('spBv1.0/plant/NCMD/node-3', expect.any(Buffer), { qos: 0 });
+  });
+
+  it('asks for a rebirth once when data arrives without a birth certificate', async () => {
+    const data = encode({ metrics: [{ alias: 1, type: 'Float', value: 1 }] });
+
+    await sparkplugService.handleMessage('spBv1.0/plant/NDATA/node-4', data, mqtt);
+    await sparkplugService.handleMessage('spBv1.0/plant/NDATA/node-4', data, mqtt);
+
+    expect(ingestionService.ingest).not.toHaveBeenCalled();
+    expect(mqtt.client.publish).toHaveBeenCalledTimes(1);
+    const [, payload] = mqtt.client.publish.mock.calls[0];
+    expect(sparkplug.decodePayload(payload).metrics[0]).toMatchObject({ name: 'Node Control/Rebirth', value: true });
+  });
+
+  it('ignores a death certificate from an earlier session', async () => {
+    await sparkplugService.handleMessage('spBv1.0/plant/NBIRTH/node-5', encode({ metrics: birthMetrics }), mqtt);
+    livenessService.setStatus.mockClear();
+
+    await sparkplugService.handleMessage('spBv1.0/plant/NDEATH/node-5', encode({
+      metrics: [{ name: 'bdSeq', type: 'UInt64', value: 2 }]
+    }), mqtt);
+    expect(livenessService.setStatus).not.toHaveBeenCalled();
+
+    await sparkplugService.handleMessage('spBv1.0/plant/NDEATH/node-5', encode({
+      metrics: [{ name: 'bdSeq', type: 'UInt64', value: 3 }]
+    }), mqtt);
+    expect(livenessService.setStatus).toHaveBeenCalledWith('plant:node-5', 'offline', 'death', 'sparkplug');
+  });
+
+  it('rejects payloads that are not Sparkplug B protobuf', async () => {
+    await expect(sparkplugService.handleMessage('spBv1.0/plant/NDATA/node-6', Buffer.from('{"value": 1}'), mqtt))
+      .rejects.toBeInstanceOf(RejectedMessageError);
+  });
+});
@@ -0,0 +1,139 @@
+const { createDetector } = require('../../../src/utils/anomaly');
+
+const MINUTE_MS = 60 * 1000;
+
+const at = (minutes, value) => ({ timestamp: new Date(minutes * MINUTE_MS), value });
+
+// Offer readings one per minute and return the result of the last one
+const feed = (detector, values, from = 0) => values
+  .map((value, index) => detector.offer(at(from + index, value)))
+  .pop();
+
+describe('createDetector', () => {
+  it('rejects unknown detectors and incomplete configs', () => {
+    expect(() => createDetector({ type: 'median' })).toThrow('Unknown anomaly detector: median');
+    expect(() => createDetector({ type: 'rate_of_change' })).toThrow('Rate of change detector requires max_rate');
+    expect(() => createDetector({ type: 'rate_of_change', max_rate: 1, per: 'day' })).toThrow('Unknown rate unit: day');
+  });
+});
+
+describe('zscore detector', () => {
+  it('flags readings more than threshold standard deviations from the window mean', () => {
+    const detector = createDetector({ type: 'zscore', window: 10, min_samples: 10 });
+    const baseline = [9, 11, 9, 11, 9, 11, 9, 11, 9, 11];
+
+    expect(feed(detector, [...baseline, 12])).toBeNull();
+    const result = feed(detector, [...baseline, 20], 20);
+    expect(result.expected).toBe(10);
+    expect(result.score).toBeGreaterThan(3);
+    expect(result.upper).toBeLessThan(20);
+  });
+
+  it('waits for min_samples and ignores readings out of time order', () => {
+    const detector = createDetector({ type: 'zscore', min_samples: 5 });
+
+    expect(feed(detector, [1, 1, 1, 1, 100])).toBeNull();
+    expect(detector.offer(at(2, 1000))).toBeNull();
+  });
+
+  it('keeps the score finite for a constant series', () => {
+    const detector = createDetector({ type: 'zscore', min_samples: 5 });
+    const result = feed(detector, [5, 5, 5, 5, 5, 6]);
+
+    expect(result).toMatchObject({ expected: 5, lower: 5, upper: 5 });
+    expect(Number.isFinite(result.score)).toBe(true);
+    expect(JSON.parse(JSON.stringify(result)).score).toBe(result.score);
+  });
+
+  it('tolerates min_deviation around a constant series', () => {
+    const detector = createDetector({ type: 'zscore', min_samples: 5, min_deviation: 0.5 });
+
+    expect(feed(detector, [5, 5, 5, 5, 5, 5.4])).toBeNull();
+    const result = feed(detector, [5.7], 10);
+    expect(result.upper - result.expected).toBeCloseTo(0.5);
+  });
+});
+
+describe('ewma detector', () => {
+  it('signals a sustained shift of the mean after the warmup', () => {
+    const detector = createDetector({ type: 'ewma', warmup: 10 });
+    const warmup = [9, 11, 9, 11, 9, 11, 9, 11, 9, 11];
+
+    expect(feed(detector, warmup)).toBeNull();
+    expect(feed(detector, [10, 10, 10], 10)).toBeNull();
+
+    const results = [13, 13, 13].map((value, index) => detector.offer(at(20 + index, value)));
+    expect(results[0]).toBeNull();
+    // The in-control readings of the shift pull the baseline along slowly
+    expect(results[2].expected).toBeCloseTo(10.06, 2);
+    expect(results[2].score).toBeGreaterThan(3);
+  });
+
+  it('keeps the score finite for a constant warmup', () => {
+    const detector = createDetector({ type: 'ewma', warmup: 5 });
+    const result = feed(detector, [2, 2, 2, 2, 2, 3]);
+
+    expect(result).toMatchObject({ expected: 2, lower: 2, upper: 2 });
+    expect(Number.isFinite(result.score)).toBe(true);
+  });
+
+  it('restores its baseline from a saved state', () => {
+    const detector = createDetector({ type: 'ewma', warmup: 5 });
+    feed(detector, [1, 2, 1, 2, 1]);
+
+    const restored = createDetector({ type: 'ewma', warmup: 5 });
+    restored.setState(JSON.parse(JSON.stringify(detector.getState())));
+    expect(restored.offer(at(10, 50))).toEqual(detector.offer(at(10, 50)));
+  });
+});
+
+describe('seasonal detector', () => {
+  const HOUR = 60;
+
+  // One reading per hour of a day, starting at the given day
+  const day = (detector, values, dayIndex) => values
+    .map((value, hour) => detector.offer(at((dayIndex * 24 + hour) * HOUR, value)));
+
+  it('judges a reading against the baseline of its hour over past days', () => {
+    const detector = createDetector({ type: 'seasonal', min_cycles: 2 });
+    const profile = Array.from({ length: 24 }, (_value, hour) => (hour >= 8 && hour < 18 ? 100 : 20));
+
+    day(detector, profile.map((value) => value + 1), 0);
+    day(detector, profile.map((value) => value - 1), 1);
+    day(detector, profile.map((value) => value + 1), 2);
+
+    const results = day(detector, [...profile.slice(0, 12), 20, ...profile.slice(13)], 3);
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(results[12].expected).toBeCloseTo(100.7, 1);
+    expect(results[12].score).toBeGreaterThan(3);
+  });
+
+  it('keeps the score finite for a constant series', () => {
+    const detector = createDetector({ type: 'seasonal', min_cycles: 1 });
+
+    day(detector, Array(24).fill(7), 0);
+    const [result] = day(detector, [8], 1);
+    expect(result).toMatchObject({ expected: 7, lower: 7, upper: 7 });
+    expect(Number.isFinite(result.score)).toBe(true);
+  });
+});
+
+describe('rate_of_change detector', () => {
+  it('flags changes faster than max_rate per unit of time', () => {
+    const detector = createDetector({ type: 'rate_of_change', max_rate: 2, per: 'minute' });
+
+    expect(detector.offer(at(0, 10))).toBeNull();
+    expect(detector.offer(at(1, 12))).toBeNull();
+    expect(detector.offer(at(3, 22))).toEqual({ score: 2.5, expected: 12, lower: 8, upper: 16, rate: 5 });
+  });
+
+  it('keeps the score finite when no change is allowed', () => {
+    const detector = createDetector({ type: 'rate_of_change', max_rate: 0 });
+
+    detector.offer(at(0, 1));
+    expect(detector.offer(at(1, 1))).toBeNull();
+    const result = detector.offer(at(2, 2));
+    expect(result).toMatchObject({ expected: 1, lower: 1, upper: 1 });
+    expect(Number.isFinite(result.score)).toBe(true);
+  });
+});
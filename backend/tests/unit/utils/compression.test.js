@@ -0,0 +1,75 @@
+const { createFilter } = require('../../../src/utils/compression');
+
+const point = (seconds, value) => ({ timestamp: new Date(seconds * 1000), value });
+
+// Offer the values one second apart and return the seconds of the stored points
+const run = (filter, values) => values
+  .flatMap((value, index) => filter.offer(point(index, value)))
+  .map(({ timestamp }) => timestamp.getTime() / 1000);
+
+describe('createFilter', () => {
+  describe('deadband', () => {
+    it('stores a point only when it leaves the deadband around the last stored value', () => {
+      const filter = createFilter({ mode: 'deadband', deviation: 1 });
+
+      expect(run(filter, [10, 10.5, 10.9, 11.5, 11.6, 9])).toEqual([0, 3, 5]);
+    });
+
+    it('takes a percentage of the sensor span', () => {
+      const filter = createFilter({ mode: 'deadband', deviation_percent: 10 }, { span: 20 });
+
+      expect(run(filter, [0, 1.5, 2.5, 3])).toEqual([0, 2]);
+    });
+
+    it('takes a percentage of the last stored value without a span', () => {
+      const filter = createFilter({ mode: 'deadband', deviation_percent: 10 });
+
+      expect(run(filter, [100, 105, 111, 118])).toEqual([0, 2]);
+    });
+
+    it('stores a point when max_interval has passed', () => {
+      const filter = createFilter({ mode: 'deadband', deviation: 5, max_interval: 3 });
+
+      expect(run(filter, [1, 1, 1, 1, 1, 1, 1])).toEqual([0, 3, 6]);
+    });
+
+    it('passes late points through without moving the reference', () => {
+      const filter = createFilter({ mode: 'deadband', deviation: 1 });
+      filter.offer(point(10, 5));
+
+      expect(filter.offer(point(5, 5))).toEqual([point(5, 5)]);
+      expect(filter.offer(point(11, 5.5))).toEqual([]);
+    });
+  });
+
+  describe('exception', () => {
+    it('stores the last suppressed point before each exception', () => {
+      const filter = createFilter({ mode: 'exception', deviation: 1 });
+
+      expect(run(filter, [10, 10.2, 10.4, 15, 15.1])).toEqual([0, 2, 3]);
+    });
+  });
+
+  describe('swinging_door', () => {
+    it('drops points on a straight line and archives the snapshot where the slope changes', () => {
+      const filter = createFilter({ mode: 'swinging_door', deviation: 0.1 });
+
+      expect(run(filter, [0, 1, 2, 3, 4, 4, 4, 4])).toEqual([0, 4]);
+      expect(filter.takePending()).toEqual(point(7, 4));
+      expect(filter.takePending()).toBeNull();
+    });
+
+    it('keeps noise within the deviation out of the archive', () => {
+      const filter = createFilter({ mode: 'swinging_door', deviation: 1 });
+
+      expect(run(filter, [5, 5.4, 4.7, 5.2, 4.9])).toEqual([0]);
+      expect(filter.pendingSince()).not.toBeNull();
+    });
+
+    it('archives the snapshot when max_interval has passed', () => {
+      const filter = createFilter({ mode: 'swinging_door', deviation: 1, max_interval: 2 });
+
+      expect(run(filter, [5, 5, 5, 5, 5])).toEqual([0, 2, 4]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { ExpressionError, compileExpression, isValidVariableName } = require('../../../src/utils/expression');
+
+const evaluate = (source, scope = {}, time = 0) => compileExpression(source).createEvaluator().evaluate(scope, time);
+
+describe('compileExpression', () => {
+  describe('arithmetic', () => {
+    it('applies operator precedence and right associative powers', () => {
+      expect(evaluate('1 + 2 * 3')).toBe(7);
+      expect(evaluate('(1 + 2) * 3')).toBe(9);
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluate('-2 ^ 2')).toBe(-4);
+      expect(evaluate('7 % 4')).toBe(3);
+    });
+
+    it('reads variables from the scope and lists them', () => {
+      const compiled = compileExpression('flow * density + offset');
+
+      expect(compiled.variables.sort()).toEqual(['density', 'flow', 'offset']);
+      expect(compiled.createEvaluator().evaluate({ flow: 2, density: 3, offset: 1 }, 0)).toBe(7);
+    });
+
+    it('yields 1 or 0 for comparisons and logical operators', () => {
+      expect(evaluate('a > 1 && a < 3', { a: 2 })).toBe(1);
+      expect(evaluate('a == 1 || !a', { a: 2 })).toBe(0);
+      expect(evaluate('a >= 2 ? 10 : 20', { a: 2 })).toBe(10);
+    });
+
+    it('provides the built-in functions and constants', () => {
+      expect(evaluate('round(pi, 2)')).toBe(3.14);
+      expect(evaluate('clamp(x, 0, 10)', { x: 12 })).toBe(10);
+      expect(evaluate('max(1, 5, 3) - min(4, 2)')).toBe(3);
+      expect(evaluate('if(x, sqrt(x), -1)', { x: 0 })).toBe(-1);
+      expect(evaluate('ln(e)')).toBe(1);
+    });
+  });
+
+  describe('windowed functions', () => {
+    it('aggregates the values over the window ending at the evaluation time', () => {
+      const evaluator = compileExpression('rolling_mean(x, "2m")').createEvaluator();
+
+      expect(evaluator.evaluate({ x: 10 }, 0)).toBe(10);
+      expect(evaluator.evaluate({ x: 20 }, 60000)).toBe(15);
+      expect(evaluator.evaluate({ x: 60 }, 120000)).toBe(40);
+    });
+
+    it('matches a recomputation over the window as samples enter and expire', () => {
+      const evaluator = compileExpression(
+        'rolling_min(x, "10s") + 1000 * rolling_max(x, "10s") + 1000000 * rolling_sum(x, "10s")'
+      ).createEvaluator();
+      const samples = [];
+      let seed = 7;
+
+      for (let time = 0; time < 60000; time += 250 + (seed % 3) * 500) {
+        seed = (seed * 48271) % 2147483647;
+        const x = seed % 100;
+        samples.push({ time, x });
+
+        const window = samples.filter((sample) => sample.time > time - 10000).map((sample) => sample.x);
+        const expected = Math.min(...window) + 1000 * Math.max(...window) + 1000000 * window.reduce((a, b) => a + b, 0);
+        expect(evaluator.evaluate({ x }, time)).toBe(expected);
+      }
+    });
+
+    it('handles windows holding more samples than fit on the call stack', () => {
+      const evaluator = compileExpression('rolling_max(x, "1h") - rolling_min(x, "1h")').createEvaluator();
+
+      let result;
+      for (let i = 0; i < 200000; i += 1) {
+        result = evaluator.evaluate({ x: i % 1000 }, i);
+      }
+      expect(result).toBe(999);
+    });
+
+    it('compares delta and rate with the previous evaluation', () => {
+      const evaluator = compileExpression('delta(total) + rate(total, "minute")').createEvaluator();
+
+      expect(evaluator.evaluate({ total: 100 }, 0)).toBeNaN();
+      expect(evaluator.evaluate({ total: 130 }, 30000)).toBe(30 + 60);
+    });
+
+    it('keeps separate state per evaluator', () => {
+      const compiled = compileExpression('delta(x)');
+      const first = compiled.createEvaluator();
+      first.evaluate({ x: 1 }, 0);
+
+      expect(first.evaluate({ x: 4 }, 1000)).toBe(3);
+      expect(compiled.createEvaluator().evaluate({ x: 4 }, 1000)).toBeNaN();
+    });
+
+    it('reports the longest window', () => {
+      expect(compileExpression('rolling_max(x, "5m") - rolling_min(x, "1h")').longestWindowMs).toBe(3600000);
+    });
+  });
+
+  describe('errors', () => {
+    it.each([
+      ['', 'Expression is empty'],
+      ['a +', 'Unexpected end of expression'],
+      ['foo(1)', 'Unknown function foo()'],
+      ['abs(1, 2)', 'abs() takes 1 arguments'],
+      ['a ? 1', 'Expected ":"']
+    ])('rejects %p', (source, message) => {
+      expect(() => compileExpression(source)).toThrow(ExpressionError);
+      expect(() => compileExpression(source)).toThrow(message);
+    });
+
+    it('reports the position of the offending token', () => {
+      expect(() => compileExpression('a +')).toThrow(expect.objectContaining({ position: 3 }));
+    });
+
+    it('rejects windows longer than maxWindowMs', () => {
+      expect(() => compileExpression('rolling_mean(x, "2h")', { maxWindowMs: 3600000 })).toThrow(ExpressionError);
+      expect(() => compileExpression('rolling_mean(x, "2h")')).not.toThrow();
+    });
+  });
+});
+
+describe('isValidVariableName', () => {
+  it('accepts identifiers that are not reserved', () => {
+    expect(isValidVariableName('flow_rate')).toBe(true);
+    expect(isValidVariableName('1flow')).toBe(false);
+    expect(isValidVariableName('pi')).toBe(false);
+    expect(isValidVariableName('rolling_mean')).toBe(false);
+  });
+});
@@ -0,0 +1,194 @@
+const {
+  FluxQuery,
+  FluxQueryError,
+  deletePredicate,
+  duration,
+  durationMs,
+  rollupQuery
+} = require('../../../src/utils/flux');
+
+describe('duration', () => {
+  it('accepts Flux durations and rejects anything else', () => {
+    expect(duration(' 1h30m ')).toBe('1h30m');
+    expect(duration('-7d')).toBe('-7d');
+    expect(() => duration('1 hour')).toThrow(FluxQueryError);
+    expect(() => duration('5m) |> drop()')).toThrow('Invalid duration');
+  });
+});
+
+describe('durationMs', () => {
+  it('sums the units of a duration', () => {
+    expect(durationMs('1h30m')).toBe(5400000);
+    expect(durationMs('-1d')).toBe(-86400000);
+    expect(durationMs('250ms')).toBe(250);
+  });
+});
+
+describe('FluxQuery', () => {
+  it('emits the stages in a fixed order regardless of call order', () => {
+    const query = new FluxQuery('iiot')
+      .limit(10)
+      .fill('previous')
+      .aggregate('mean', { every: '15m' })
+      .field('value')
+      .measurement('sensor_data')
+      .range('-24h')
+      .toString();
+
+    expect(query).toBe([
+      'from(bucket: "iiot")',
+      '  |> range(start: -24h)',
+      '  |> filter(fn: (r) => r["_field"] == "value")',
+      '  |> filter(fn: (r) => r["_measurement"] == "sensor_data")',
+      '  |> aggregateWindow(every: 15m, fn: mean, createEmpty: true)',
+      '  |> fill(usePrevious: true)',
+      '  |> limit(n: 10, offset: 0)'
+    ].join('\n'));
+  });
+
+  it('turns absolute bounds into RFC 3339 times and rejects an inverted range', () => {
+    const query = new FluxQuery('iiot').range(new Date(Date.UTC(2024, 0, 1)), 1704153600000).toString();
+
+    expect(query).toContain('range(start: 2024-01-01T00:00:00.000Z, stop: 2024-01-02T00:00:00.000Z)');
+    expect(() => new FluxQuery('iiot').range('2024-01-02', '2024-01-01')).toThrow('Range start must be before stop');
+    expect(() => new FluxQuery('iiot').range('yesterday')).toThrow('Invalid time');
+  });
+
+  it('escapes filter values and matches nothing for an empty list', () => {
+    const query = new FluxQuery('iiot')
+      .where('device_id', ['a', 'b" or true or "'])
+      .where('sensor_id', [])
+      .toString();
+
+    expect(query).toContain('filter(fn: (r) => r["device_id"] == "a" or r["device_id"] == "b\\" or true or \\"")');
+    expect(query).toContain('filter(fn: (r) => false)');
+  });
+
+  it('rejects column names that are not identifiers', () => {
+    expect(() => new FluxQuery('iiot').where('device_id"]', 'a')).toThrow('Invalid column name');
+    expect(() => new FluxQuery('iiot').group(['ok', 'not ok'])).toThrow(FluxQueryError);
+  });
+
+  it('filters values within bounds', () => {
+    const query = new FluxQuery('iiot').between({ min: 0, max: '10.5' }).toString();
+
+    expect(query).toContain('filter(fn: (r) => r._value >= 0.0)');
+    expect(query).toContain('filter(fn: (r) => r._value <= 10.5)');
+    expect(() => new FluxQuery('iiot').between({ min: 'low' })).toThrow('Minimum value must be a number');
+  });
+
+  it('builds percentile aggregates as quantiles', () => {
+    expect(new FluxQuery('iiot').aggregate('percentile', { percentile: 95 }).toString())
+      .toContain('|> quantile(q: 0.95)');
+    expect(new FluxQuery('iiot').aggregate('percentile', { percentile: 50, every: '1h', windowStart: true }).toString())
+      .toContain('aggregateWindow(every: 1h, fn: (column, tables=<-) => tables |> quantile(q: 0.5, column: column), timeSrc: "_start", createEmpty: false)');
+    expect(() => new FluxQuery('iiot').aggregate('percentile', { percentile: 101 })).toThrow('Percentile must be between 0 and 100');
+    expect(() => new FluxQuery('iiot').aggregate('mode')).toThrow('Unsupported aggregate "mode"');
+  });
+
+  it('weights rollup means by their counts before filling the windows', () => {
+    const query = new FluxQuery('iiot_1h')
+      .range('-7d')
+      .field(['sum', 'count'])
+      .aggregate('mean', { every: '1d', windowStart: true, weighted: true })
+      .fill('previous')
+      .toString();
+
+    expect(query).toBe([
+      'import "experimental"',
+      '',
+      'from(bucket: "iiot_1h")',
+      '  |> range(start: -7d)',
+      '  |> filter(fn: (r) => r["_field"] == "sum" or r["_field"] == "count")',
+      '  |> aggregateWindow(every: 1d, fn: sum, timeSrc: "_start", createEmpty: false)',
+      '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+      '  |> map(fn: (r) => ({ r with _field: "mean", _value: float(v: r.sum) / float(v: r.count) }))',
+      '  |> drop(columns: ["sum", "count"])',
+      '  |> experimental.group(columns: ["_field"], mode: "extend")',
+      '  |> aggregateWindow(every: 1d, fn: mean, timeSrc: "_start", createEmpty: true)',
+      '  |> fill(usePrevious: true)'
+    ].join('\n'));
+    expect(() => new FluxQuery('iiot').aggregate('max', { weighted: true })).toThrow('Only the mean can be weighted');
+  });
+
+  it('imports interpolate for linear fill and requires a window to fill', () => {
+    const query = new FluxQuery('iiot').aggregate('mean', { every: '5m' }).fill('linear').toString();
+
+    expect(query.startsWith('import "interpolate"\n\n')).toBe(true);
+    expect(query).toContain('|> interpolate.linear(every: 5m)');
+    expect(() => new FluxQuery('iiot').aggregate('mean').fill('value', 0).toString())
+      .toThrow('Filling gaps requires an aggregation window');
+  });
+
+  it('merges series before paging through them', () => {
+    const query = new FluxQuery('iiot').paginate({ page: 3, limit: 20, desc: true }).toString();
+
+    expect(query).toMatch(/\|> group\(\)\n {2}\|> sort\(columns: \["_time"\], desc: true\)\n {2}\|> limit\(n: 20, offset: 40\)$/);
+    expect(() => new FluxQuery('iiot').limit(0)).toThrow(FluxQueryError);
+  });
+
+  it('combines unions and applies pivot and keep to the combined rows', () => {
+    const recent = new FluxQuery('raw').range('-1h').field('value');
+    const query = new FluxQuery('rollup_1h')
+      .range('-7d', '-1h')
+      .field('mean')
+      .union(recent)
+      .pivot()
+      .keep(['_time', 'value'])
+      .toString();
+
+    expect(query).toBe([
+      'part0 = from(bucket: "rollup_1h")',
+      '  |> range(start: -7d, stop: -1h)',
+      '  |> filter(fn: (r) => r["_field"] == "mean")',
+      '',
+      'part1 = from(bucket: "raw")',
+      '  |> range(start: -1h)',
+      '  |> filter(fn: (r) => r["_field"] == "value")',
+      '',
+      'union(tables: [part0, part1])',
+      '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+      '  |> keep(columns: ["_time", "value"])'
+    ].join('\n'));
+  });
+
+  it('counts the rows the query would return without its limit', () => {
+    const query = new FluxQuery('iiot').pivot().paginate({ limit: 10 });
+
+    expect(query.toCountQuery()).toBe([
+      'from(bucket: "iiot")',
+      '  |> range(start: -1h)',
+      '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+      '  |> group()',
+      '  |> count(column: "_time")',
+      '  |> rename(columns: {_time: "_value"})'
+    ].join('\n'));
+  });
+});
+
+describe('rollupQuery', () => {
+  const options = { source: 'raw', target: 'rollup_1h', org: 'iiot', start: '2024-01-01T00:00:00Z', stop: '2024-01-02T00:00:00Z', every: '1h' };
+
+  it('rolls up raw readings by counting them', () => {
+    const query = rollupQuery(options);
+
+    expect(query).toContain('minimum = rollup(field: "value", fn: min, as: "min")');
+    expect(query).toContain('samples = rollup(field: "value", fn: count, as: "count")');
+    expect(query).toContain('|> to(bucket: "rollup_1h", org: "iiot")');
+  });
+
+  it('rolls up a rollup tier by summing its counts', () => {
+    const query = rollupQuery({ ...options, fromRollup: true });
+
+    expect(query).toContain('minimum = rollup(field: "min", fn: min, as: "min")');
+    expect(query).toContain('samples = rollup(field: "count", fn: sum, as: "count")');
+  });
+});
+
+describe('deletePredicate', () => {
+  it('joins equality conditions with AND and escapes quotes', () => {
+    expect(deletePredicate({ _measurement: 'sensor_data', sensor_id: 'a"b' }))
+      .toBe('_measurement="sensor_data" AND sensor_id="a\\"b"');
+    expect(() => deletePredicate({ 'sensor id': 'a' })).toThrow(FluxQueryError);
+  });
+});
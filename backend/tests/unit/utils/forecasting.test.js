@@ -0,0 +1,103 @@
+const { minimumLength, fitForecastModel, errorMetrics, backtest } = require('../../../src/utils/forecasting');
+
+const SEASON = [2, 5, 9, 4];
+
+// Seasons of four intervals on a rising trend
+const seasonal = (seasons, { slope = 0.5, base = 20, multiplicative = false } = {}) => Array.from(
+  { length: seasons * SEASON.length },
+  (item, t) => {
+    const trend = base + slope * t;
+    const pattern = SEASON[t % SEASON.length];
+    return multiplicative ? trend * (pattern / 5) : trend + pattern;
+  }
+);
+
+describe('minimumLength', () => {
+  it('needs one season plus one value for seasonal naive and two seasons plus two for Holt-Winters', () => {
+    expect(minimumLength('seasonal_naive', 24)).toBe(25);
+    expect(minimumLength('holt_winters_additive', 24)).toBe(50);
+  });
+});
+
+describe('fitForecastModel', () => {
+  it('returns null for series that are too short', () => {
+    expect(fitForecastModel([1, 2, 3, 4, 5], { type: 'holt_winters_additive', seasonLength: 4 })).toBeNull();
+  });
+
+  it('returns null for the multiplicative model on series that are not strictly positive', () => {
+    const values = seasonal(4).map((value, index) => (index === 6 ? 0 : value));
+
+    expect(fitForecastModel(values, { type: 'holt_winters_multiplicative', seasonLength: 4 })).toBeNull();
+  });
+
+  it('repeats the last season for seasonal naive, widening the interval every season', () => {
+    const values = [1, 2, 3, 4, 2, 3, 4, 5];
+    const model = fitForecastModel(values, { type: 'seasonal_naive', seasonLength: 4 });
+    const forecast = model.forecast(5, 2);
+
+    expect(model.sigma).toBe(1);
+    expect(forecast.map((point) => point.value)).toEqual([2, 3, 4, 5, 2]);
+    expect(forecast[0]).toEqual({ step: 1, value: 2, lower: 0, upper: 4 });
+    expect(forecast[4].upper - forecast[4].value).toBeCloseTo(2 * Math.SQRT2);
+  });
+
+  it('continues trend and season with the additive Holt-Winters model', () => {
+    const values = seasonal(6);
+    const model = fitForecastModel(values, { type: 'holt_winters_additive', seasonLength: 4 });
+    const expected = seasonal(8).slice(values.length);
+
+    model.forecast(8, 1.96).forEach((point, index) => {
+      expect(point.step).toBe(index + 1);
+      expect(point.value).toBeCloseTo(expected[index], 1);
+      expect(point.lower).toBeLessThanOrEqual(point.value);
+      expect(point.upper).toBeGreaterThanOrEqual(point.value);
+    });
+    expect(model.params).toEqual({ alpha: expect.any(Number), beta: expect.any(Number), gamma: expect.any(Number) });
+  });
+
+  it('scales the season with the level in the multiplicative Holt-Winters model', () => {
+    const values = seasonal(6, { multiplicative: true });
+    const model = fitForecastModel(values, { type: 'holt_winters_multiplicative', seasonLength: 4 });
+    const expected = seasonal(7, { multiplicative: true }).slice(values.length);
+
+    model.forecast(4, 0).forEach((point, index) => {
+      expect(point.value).toBeCloseTo(expected[index], 0);
+    });
+  });
+
+  it('uses the given smoothing parameters instead of fitting them', () => {
+    const params = { alpha: 0.2, beta: 0.1, gamma: 0.3 };
+    const model = fitForecastModel(seasonal(4), { type: 'holt_winters_additive', seasonLength: 4, params });
+
+    expect(model.params).toBe(params);
+  });
+});
+
+describe('errorMetrics', () => {
+  it('computes RMSE, MAE and MAPE, skipping zero actuals in MAPE', () => {
+    expect(errorMetrics([10, 0, 20], [12, 1, 20])).toEqual({
+      points: 3,
+      rmse: Math.sqrt(5 / 3),
+      mae: 1,
+      mape: 10
+    });
+  });
+
+  it('has no MAPE when every actual is zero', () => {
+    expect(errorMetrics([0, 0], [1, -1]).mape).toBeNull();
+  });
+});
+
+describe('backtest', () => {
+  it('scores a forecast of the holdout made without seeing it', () => {
+    const result = backtest(seasonal(7), { type: 'holt_winters_additive', seasonLength: 4, holdout: 4 });
+
+    expect(result.metrics.points).toBe(4);
+    expect(result.metrics.mae).toBeLessThan(0.5);
+    expect(result.params).toEqual(expect.objectContaining({ alpha: expect.any(Number) }));
+  });
+
+  it('returns null when the training part is too short', () => {
+    expect(backtest(seasonal(3), { type: 'holt_winters_additive', seasonLength: 4, holdout: 4 })).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+const { alignRange, windowGrid, resampleColumn, alignColumns } = require('../../../src/utils/resample');
+
+const points = (...pairs) => pairs.map(([time, value]) => ({ time, value }));
+
+describe('alignRange', () => {
+  it('widens the range to whole windows', () => {
+    expect(alignRange(1500, 4200, 1000)).toEqual({ start: 1000, end: 5000 });
+    expect(alignRange(2000, 4000, 1000)).toEqual({ start: 2000, end: 4000 });
+  });
+});
+
+describe('windowGrid', () => {
+  it('lists window starts up to but excluding the end', () => {
+    expect(windowGrid(0, 3000, 1000)).toEqual([0, 1000, 2000]);
+    expect(windowGrid(0, 0, 1000)).toEqual([]);
+  });
+});
+
+describe('resampleColumn', () => {
+  const grid = [0, 10, 20, 30, 40];
+  const column = points([0, 1], [30, 4]);
+
+  it('leaves empty windows null by default', () => {
+    expect(resampleColumn(column, grid)).toEqual([1, null, null, 4, null]);
+  });
+
+  it('carries the previous value forward while it is at most maxGapMs old', () => {
+    expect(resampleColumn(column, grid, { fill: 'previous', maxGapMs: 10 })).toEqual([1, 1, null, 4, 4]);
+  });
+
+  it('interpolates between known windows at most maxGapMs apart', () => {
+    expect(resampleColumn(column, grid, { fill: 'linear', maxGapMs: 30 })).toEqual([1, 2, 3, 4, null]);
+    expect(resampleColumn(column, grid, { fill: 'linear', maxGapMs: 20 })).toEqual([1, null, null, 4, null]);
+  });
+
+  it('uses points before the grid to fill its first windows', () => {
+    expect(resampleColumn(points([-10, 7]), [0, 10], { fill: 'previous', maxGapMs: 10 })).toEqual([7, null]);
+  });
+});
+
+describe('alignColumns', () => {
+  it('builds one row per grid time with a value per column', () => {
+    const rows = alignColumns([points([0, 1], [20, 3]), points([10, 5])], [0, 10, 20], { fill: 'null' });
+
+    expect(rows).toEqual([
+      [0, 1, null],
+      [10, null, 5],
+      [20, 3, null]
+    ]);
+  });
+});
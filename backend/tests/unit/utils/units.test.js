@@ -0,0 +1,93 @@
+const {
+  UnitError,
+  resolveUnit,
+  requireUnit,
+  compatibleUnits,
+  unitConverter,
+  convertValue,
+  readingConverter,
+  sensorUnitError
+} = require('../../../src/utils/units');
+
+describe('resolveUnit', () => {
+  it('resolves UCUM codes, print symbols and aliases', () => {
+    expect(resolveUnit('Cel')).toMatchObject({ code: 'Cel', dimension: 'temperature', factor: 1, offset: 273.15 });
+    expect(resolveUnit('°C')).toMatchObject({ symbol: '°C', code: 'Cel', dimension: 'temperature' });
+    expect(resolveUnit('rpm')).toMatchObject({ code: '{rev}/min', dimension: 'frequency' });
+    expect(resolveUnit('m³/h').dimension).toBe('flow');
+    expect(resolveUnit('kg.m-3').dimension).toBe('density');
+  });
+
+  it('returns null for unknown or empty units', () => {
+    expect(resolveUnit('furlongs')).toBeNull();
+    expect(resolveUnit('Cel2')).toBeNull();
+    expect(resolveUnit('')).toBeNull();
+    expect(resolveUnit(undefined)).toBeNull();
+  });
+});
+
+describe('requireUnit', () => {
+  it('throws a UnitError for unknown units', () => {
+    expect(() => requireUnit('furlongs')).toThrow(UnitError);
+    expect(() => requireUnit('furlongs')).toThrow('Unknown unit "furlongs"');
+  });
+});
+
+describe('compatibleUnits', () => {
+  it('compares dimensions', () => {
+    expect(compatibleUnits('kW', 'W')).toBe(true);
+    expect(compatibleUnits('kW', 'kWh')).toBe(false);
+    expect(compatibleUnits('kW', 'furlongs')).toBe(false);
+  });
+});
+
+describe('convertValue', () => {
+  it('converts between units of one dimension', () => {
+    expect(convertValue(100, 'Cel', '[degF]')).toBe(212);
+    expect(convertValue(1, 'bar', 'kPa')).toBe(100);
+    expect(convertValue(1, 'kWh', 'MJ')).toBe(3.6);
+    expect(convertValue(1, 'm3/h', 'L/min')).toBeCloseTo(16.6667, 4);
+  });
+
+  it('refuses to convert across dimensions', () => {
+    expect(() => convertValue(1, 'Cel', 'bar')).toThrow('Cannot convert temperature (Cel) to pressure (bar)');
+  });
+});
+
+describe('unitConverter', () => {
+  it('ignores offsets when converting differences', () => {
+    expect(unitConverter('Cel', 'K')(5)).toBe(278.15);
+    expect(unitConverter('Cel', 'K', { difference: true })(5)).toBe(5);
+  });
+});
+
+describe('readingConverter', () => {
+  const converter = readingConverter('[degF]');
+
+  it('converts values, spreads and counts by aggregation', () => {
+    expect(converter.unit).toBe('[degF]');
+    expect(converter.convert(100, 'Cel', 'mean')).toBe(212);
+    expect(converter.convert(10, 'Cel', 'stddev')).toBe(18);
+    expect(converter.convert(5, 'Cel', 'count')).toBe(5);
+    expect(converter.convert(null, 'Cel', 'mean')).toBeNull();
+  });
+
+  it('refuses sums across units with different offsets, also after a cached mean', () => {
+    converter.convert(100, 'Cel', 'mean');
+
+    expect(() => converter.convert(10, 'Cel', 'sum')).toThrow('Sums of Cel readings cannot be converted to [degF]');
+  });
+
+  it('refuses readings without a unit', () => {
+    expect(() => converter.convert(10, null, 'mean')).toThrow(UnitError);
+  });
+});
+
+describe('sensorUnitError', () => {
+  it('checks the unit against the dimensions of the sensor type', () => {
+    expect(sensorUnitError('pressure', 'psi')).toBeNull();
+    expect(sensorUnitError('temperature', 'bar')).toBe('Unit bar measures pressure, but temperature sensors report temperature');
+    expect(sensorUnitError('custom', 'furlongs')).toBe('Unknown unit "furlongs"');
+    expect(sensorUnitError('custom', 'bar')).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WriteBuffer = require('../../../src/utils/writeBuffer');
+
+const records = (from, count) => Array.from({ length: count }, (_, index) => ({ id: from + index }));
+
+const permanentError = () => Object.assign(new Error('unprocessable'), { statusCode: 422 });
+
+describe('WriteBuffer', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'write-buffer-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const segmentFiles = async (name) => (await fs.readdir(path.join(dir, name)))
+    .filter((file) => file.endsWith('.ndjson'))
+    .sort();
+
+  describe('append', () => {
+    it('starts a new segment once the current one reaches segmentBytes', async () => {
+      const buffer = new WriteBuffer('points', { dir, segmentBytes: 30 });
+
+      await buffer.append(records(0, 2));
+      await buffer.append(records(2, 2));
+      await buffer.append(records(4, 1));
+
+      expect(buffer.getStats()).toMatchObject({ depth: 5, segments: 2, dropped: 0 });
+      expect(await segmentFiles('points')).toHaveLength(2);
+    });
+
+    it('drops the oldest segments when the buffer exceeds maxBytes', async () => {
+      // Every record is 9 bytes and gets a segment of its own
+      const buffer = new WriteBuffer('points', { dir, segmentBytes: 1, maxBytes: 40 });
+
+      for (let id = 0; id < 5; id += 1) {
+        await buffer.append(records(id, 1));
+      }
+
+      const replayed = [];
+      await buffer.replay(async (batch) => replayed.push(...batch.map(({ id }) => id)));
+
+      expect(buffer.dropped).toBe(1);
+      expect(replayed).toEqual([1, 2, 3, 4]);
+    });
+
+    it('reloads the segments left by a previous instance', async () => {
+      await new WriteBuffer('points', { dir, segmentBytes: 1 }).append(records(0, 3));
+      // Segment names start with the current time in milliseconds
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await new WriteBuffer('points', { dir, segmentBytes: 1 }).append(records(3, 2));
+
+      const buffer = new WriteBuffer('points', { dir });
+      await buffer.init();
+
+      expect(buffer.getDepth()).toBe(5);
+      expect(buffer.getStats().segments).toBe(2);
+    });
+  });
+
+  describe('replay', () => {
+    it('hands records to the handler oldest first in batches and deletes replayed segments', async () => {
+      const buffer = new WriteBuffer('points', { dir, segmentBytes: 20 });
+      await buffer.append(records(0, 3));
+      await buffer.append(records(3, 3));
+
+      const batches = [];
+      const result = await buffer.replay(async (batch) => batches.push(batch.map(({ id }) => id)), 2);
+
+      expect(result).toEqual({ replayed: 6, rejected: 0, error: null });
+      expect(batches).toEqual([[0, 1], [2], [3, 4], [5]]);
+      expect(buffer.isEmpty()).toBe(true);
+      expect(await segmentFiles('points')).toEqual([]);
+    });
+
+    it('stops at a retriable failure and keeps the records not yet replayed', async () => {
+      const buffer = new WriteBuffer('points', { dir });
+      await buffer.append(records(0, 5));
+
+      const failure = new Error('connection refused');
+      let calls = 0;
+      const result = await buffer.replay(async () => {
+        calls += 1;
+        if (calls === 2) {
+          throw failure;
+        }
+      }, 2);
+
+      expect(result).toEqual({ replayed: 2, rejected: 0, error: failure });
+      expect(buffer.getDepth()).toBe(3);
+
+      const remaining = [];
+      await buffer.replay(async (batch) => remaining.push(...batch.map(({ id }) => id)));
+      expect(remaining).toEqual([2, 3, 4]);
+    });
+
+    it('moves batches failing with a permanent error to the dead-letter file and carries on', async () => {
+      const buffer = new WriteBuffer('points', { dir });
+      await buffer.append(records(0, 4));
+
+      const replayed = [];
+      const result = await buffer.replay(async (batch) => {
+        if (batch.some(({ id }) => id === 1)) {
+          throw permanentError();
+        }
+        replayed.push(...batch.map(({ id }) => id));
+      }, 2, { isRetriable: (error) => error.statusCode !== 422 });
+
+      expect(result).toEqual({ replayed: 2, rejected: 2, error: null });
+      expect(replayed).toEqual([2, 3]);
+      expect(buffer.isEmpty()).toBe(true);
+      expect(buffer.getStats().rejected).toBe(2);
+
+      const deadLetters = await fs.readFile(path.join(dir, 'points', 'rejected', 'records.ndjson'), 'utf8');
+      expect(deadLetters.split('\n').filter(Boolean).map((line) => JSON.parse(line))).toEqual(records(0, 2));
+    });
+  });
+
+  describe('reject', () => {
+    it('counts records as dropped once the dead-letter file would exceed maxBytes', async () => {
+      const buffer = new WriteBuffer('points', { dir, maxBytes: 25 });
+
+      await buffer.reject(records(0, 2));
+      await buffer.reject(records(2, 2));
+
+      expect(buffer.getStats()).toMatchObject({ rejected: 2, dropped: 2 });
+    });
+  });
+});